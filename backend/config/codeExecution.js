@@ -0,0 +1,65 @@
+const os = require('os');
+const path = require('path');
+
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const toAccountId = (value) => {
+    const parsed = Number(value);
+    return value && Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+};
+
+// Code execution backend configuration
+// CODE_EXECUTOR selects the default backend ('piston' or 'local'),
+// QUIZ_CODE_EXECUTOR overrides it for graded quiz submissions only.
+const CODE_EXECUTION_CONFIG = {
+    EXECUTOR: process.env.CODE_EXECUTOR || 'piston',
+    QUIZ_EXECUTOR: process.env.QUIZ_CODE_EXECUTOR || process.env.CODE_EXECUTOR || 'piston',
+    PISTON_URL: process.env.PISTON_URL || 'https://emkc.org/api/v2/piston/execute',
+    LOCAL: {
+        WORK_DIR: process.env.CODE_EXECUTOR_WORK_DIR || path.join(os.tmpdir(), 'beeja-code-runner'),
+        MAX_OUTPUT_BYTES: toNumber(process.env.CODE_EXECUTOR_MAX_OUTPUT_BYTES, 64 * 1024), // 64KB per stream
+        MAX_CONCURRENT_RUNS: toNumber(process.env.CODE_EXECUTOR_MAX_CONCURRENT, 2),
+        // Dedicated unprivileged account submissions run as; the executor refuses to run without it
+        SANDBOX_UID: toAccountId(process.env.CODE_EXECUTOR_UID),
+        SANDBOX_GID: toAccountId(process.env.CODE_EXECUTOR_GID),
+        // Processes and threads the sandbox account may have at once (ulimit -u), shared by concurrent runs
+        MAX_PROCESSES: toNumber(process.env.CODE_EXECUTOR_MAX_PROCESSES, 128),
+        // Fixed PATH for the sandbox; nothing else is taken from the server's environment
+        SANDBOX_PATH: process.env.CODE_EXECUTOR_PATH || '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin'
+    }
+};
+
+// Background grading queue for codeSolve submissions
+const GRADING_QUEUE_CONFIG = {
+    CONCURRENCY: toNumber(process.env.GRADING_CONCURRENCY, 2), // Attempts graded at the same time
+    MAX_RETRIES: toNumber(process.env.GRADING_MAX_RETRIES, 3), // Retries for executor failures
+    RETRY_DELAY_BASE: 5000, // Base delay for exponential backoff (ms)
+    POLL_INTERVAL: 5000, // How often the worker looks for due attempts (ms)
+    LOCK_TIMEOUT: 10 * 60 * 1000 // Attempts stuck in grading longer than this are reclaimed (ms)
+};
+
+// Per-language limits for the local runner
+// timeLimit/compileTimeLimit are wall-clock milliseconds, memoryLimit is in MB
+const LANGUAGE_LIMITS = {
+    javascript: { timeLimit: 5000, memoryLimit: 256 },
+    typescript: { timeLimit: 5000, compileTimeLimit: 20000, memoryLimit: 256 },
+    python: { timeLimit: 5000, memoryLimit: 256 },
+    java: { timeLimit: 8000, compileTimeLimit: 20000, memoryLimit: 512 },
+    kotlin: { timeLimit: 15000, compileTimeLimit: 30000, memoryLimit: 512 },
+    cpp: { timeLimit: 3000, compileTimeLimit: 20000, memoryLimit: 256 },
+    c: { timeLimit: 3000, compileTimeLimit: 20000, memoryLimit: 256 },
+    go: { timeLimit: 5000, compileTimeLimit: 30000, memoryLimit: 512 },
+    rust: { timeLimit: 3000, compileTimeLimit: 30000, memoryLimit: 256 },
+    ruby: { timeLimit: 5000, memoryLimit: 256 },
+    csharp: { timeLimit: 8000, compileTimeLimit: 20000, memoryLimit: 512 },
+    sql: { timeLimit: 3000, memoryLimit: 128 }
+};
+
+module.exports = {
+    CODE_EXECUTION_CONFIG,
+    GRADING_QUEUE_CONFIG,
+    LANGUAGE_LIMITS
+};
@@ -0,0 +1,66 @@
+// GST tax invoices (see PAYMENTS.md)
+// The seller printed on every invoice; GSTIN and state decide how the tax is split.
+
+// State codes used by GST (the first two digits of a GSTIN)
+const GST_STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '96': 'Outside India'
+};
+
+// 2-digit state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const INVOICE_CONFIG = {
+    // Invoice numbers read PREFIX/26-27/00001, counted per financial year (April to March)
+    PREFIX: process.env.INVOICE_PREFIX || 'INV',
+    // SAC of the service sold: commercial training and coaching
+    SAC_CODE: process.env.INVOICE_SAC_CODE || '999293',
+    SELLER: {
+        NAME: process.env.INVOICE_SELLER_NAME || 'Beeja Academy',
+        ADDRESS: process.env.INVOICE_SELLER_ADDRESS || 'No.2, 2nd Floor, Gokul Arcade, Sardar Patel Road, Adyar, Chennai 600020',
+        STATE_CODE: process.env.INVOICE_SELLER_STATE_CODE || '33',
+        GSTIN: process.env.INVOICE_SELLER_GSTIN || '',
+        EMAIL: process.env.INVOICE_SELLER_EMAIL || 'info@beejaacademy.com'
+    }
+};
+
+module.exports = {
+    GST_STATES,
+    GSTIN_PATTERN,
+    INVOICE_CONFIG
+};
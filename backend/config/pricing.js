@@ -0,0 +1,55 @@
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Checkout pricing (see PAYMENTS.md)
+// Every amount a student pays is computed from these rules on the server and handed out as a
+// signed quote; checkout only accepts such a quote.
+const PRICING_CONFIG = {
+    // Course prices, coupons and reports are in this currency
+    CURRENCY: 'INR',
+    // GST on course sales in CURRENCY, in percent
+    TAX_RATE: toNumber(process.env.GST_RATE, 18),
+    // Sales in any other currency are exports of services, zero-rated unless EXPORT_GST_RATE is
+    // set (IGST paid on exports)
+    EXPORT_TAX_RATE: toNumber(process.env.EXPORT_GST_RATE, 0),
+    // Course prices include GST unless PRICES_INCLUDE_TAX=false, which adds it on top
+    PRICES_INCLUDE_TAX: process.env.PRICES_INCLUDE_TAX !== 'false',
+    // Bundle checkouts get the discount of the first rule their number of courses reaches
+    BUNDLE_DISCOUNTS: [
+        { MIN_COURSES: 3, PERCENT: 15 },
+        { MIN_COURSES: 2, PERCENT: 10 }
+    ],
+    // Bundle and coupon discounts together never take more than this share of the price
+    MAX_DISCOUNT_PERCENT: Math.min(toNumber(process.env.PRICING_MAX_DISCOUNT_PERCENT, 100), 100),
+    QUOTE_TTL: toNumber(process.env.PRICING_QUOTE_TTL_MINUTES, 15) * 60 * 1000, // ms
+    QUOTE_SECRET: process.env.PRICING_QUOTE_SECRET || process.env.JWT_SECRET
+};
+
+// Currencies (see PAYMENTS.md)
+// Prices are converted from PRICING_CONFIG.CURRENCY with the exchange rates admins maintain,
+// unless a course sets its own price in the currency.
+const CURRENCY_CONFIG = {
+    // Currencies a checkout can be charged in, each but the base once it has an exchange rate.
+    // Amounts are sent to Razorpay in hundredths, so only two-decimal currencies fit.
+    SUPPORTED: [...new Set([
+        PRICING_CONFIG.CURRENCY,
+        ...(process.env.SUPPORTED_CURRENCIES || 'USD,EUR,GBP,AED,SGD,AUD,CAD')
+            .split(',')
+            .map(code => code.trim().toUpperCase())
+            .filter(code => /^[A-Z]{3}$/.test(code))
+    ])]
+};
+
+// Refunds (see PAYMENTS.md)
+const REFUND_CONFIG = {
+    // How long after paying a student may ask for a refund (ms)
+    WINDOW: toNumber(process.env.REFUND_WINDOW_DAYS, 7) * 24 * 60 * 60 * 1000
+};
+
+module.exports = {
+    PRICING_CONFIG,
+    CURRENCY_CONFIG,
+    REFUND_CONFIG
+};
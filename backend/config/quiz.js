@@ -0,0 +1,43 @@
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Server-side quiz attempt timing
+// Attempts are started through POST /api/v1/quiz/start; the deadline is startedAt + quiz.timeLimit.
+const QUIZ_ATTEMPT_CONFIG = {
+    // Extra time accepted after the deadline to absorb network latency (ms)
+    GRACE_PERIOD: toNumber(process.env.QUIZ_GRACE_PERIOD_SECONDS, 30) * 1000,
+    // How often overdue attempts are auto-submitted (ms)
+    SWEEP_INTERVAL: 60 * 1000,
+    // Secret for attempt tokens (falls back to the login JWT secret)
+    TOKEN_SECRET: process.env.QUIZ_ATTEMPT_SECRET || process.env.JWT_SECRET
+};
+
+// Question import/export (see QUIZ_IMPORT_EXPORT.md)
+const QUIZ_IMPORT_CONFIG = {
+    // Largest import file accepted, in characters
+    MAX_CONTENT_LENGTH: toNumber(process.env.QUIZ_IMPORT_MAX_KB, 2048) * 1024,
+    // Questions parsed from one file
+    MAX_QUESTIONS: 500
+};
+
+// Per-question item analysis (GET /api/v1/quiz/analytics/:quizId)
+const QUIZ_ANALYTICS_CONFIG = {
+    // Share of attempts in the top and bottom groups of the discrimination index
+    GROUP_FRACTION: 0.27,
+    // Attempts a question needs before a discrimination index is reported
+    MIN_ATTEMPTS_FOR_DISCRIMINATION: 10,
+    // Most recent completed attempts analysed per quiz
+    MAX_ATTEMPTS: 5000,
+    // Flags shown next to a question (percent correct and discrimination index)
+    TOO_EASY_PERCENT: 90,
+    TOO_HARD_PERCENT: 20,
+    LOW_DISCRIMINATION: 0.2
+};
+
+module.exports = {
+    QUIZ_ATTEMPT_CONFIG,
+    QUIZ_IMPORT_CONFIG,
+    QUIZ_ANALYTICS_CONFIG
+};
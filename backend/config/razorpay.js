@@ -1,10 +1,40 @@
 const Razorpay = require("razorpay");
 
-const instance = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY,
-    key_secret: process.env.RAZORPAY_SECRET,
-});
+// Razorpay checkout (see PAYMENTS.md)
+// RAZORPAY_HOST_URL and RAZORPAY_CHECKOUT_URL point the API client and the browser's checkout
+// script at another host, such as the mock gateway of scripts/mockRazorpay.js.
+const RAZORPAY_CONFIG = {
+    KEY_ID: process.env.RAZORPAY_KEY,
+    KEY_SECRET: process.env.RAZORPAY_SECRET,
+    // Signs webhook deliveries; set in the Razorpay dashboard with the webhook URL
+    WEBHOOK_SECRET: process.env.RAZORPAY_WEBHOOK_SECRET,
+    HOST_URL: (process.env.RAZORPAY_HOST_URL || 'https://api.razorpay.com').replace(/\/+$/, ''),
+    CHECKOUT_URL: process.env.RAZORPAY_CHECKOUT_URL || 'https://checkout.razorpay.com/v1/checkout.js',
+    REQUEST_TIMEOUT: 15 * 1000 // ms
+};
+
+let instance = null;
+
+/**
+ * The Razorpay API client, created on first use so the server starts without keys
+ */
+const getRazorpay = () => {
+    if (!instance) {
+        if (!RAZORPAY_CONFIG.KEY_ID || !RAZORPAY_CONFIG.KEY_SECRET) {
+            throw new Error('RAZORPAY_KEY and RAZORPAY_SECRET are required for payments');
+        }
+        instance = new Razorpay({
+            key_id: RAZORPAY_CONFIG.KEY_ID,
+            key_secret: RAZORPAY_CONFIG.KEY_SECRET
+        });
+        // The client has no host option
+        instance.api.rq.defaults.baseURL = RAZORPAY_CONFIG.HOST_URL;
+        instance.api.rq.defaults.timeout = RAZORPAY_CONFIG.REQUEST_TIMEOUT;
+    }
+    return instance;
+};
 
 module.exports = {
-    instance
+    RAZORPAY_CONFIG,
+    getRazorpay
 };
@@ -0,0 +1,53 @@
+const path = require('path');
+
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// File storage backend (see STORAGE.md)
+// STORAGE_PROVIDER selects where uploads are kept: 'supabase' (default), 'local' for a directory
+// on this server, or 's3' for any S3-compatible service (AWS S3, MinIO, ...). Bucket names come
+// from STORAGE_BUCKETS in config/supabaseStorage.js for every provider.
+const STORAGE_CONFIG = {
+    PROVIDER: process.env.STORAGE_PROVIDER || 'supabase',
+    LOCAL: {
+        ROOT: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', 'storage'),
+        // Address the /storage route is reached at from browsers
+        PUBLIC_URL: (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/+$/, ''),
+        // Signs the expiring URLs handed out for stored files
+        SIGNING_SECRET: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+    },
+    S3: {
+        ENDPOINT: (process.env.S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/+$/, ''),
+        REGION: process.env.S3_REGION || 'us-east-1',
+        ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+        SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+        // MinIO serves buckets as path segments; AWS prefers bucket subdomains
+        FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        // Prepended to every bucket name, as S3 bucket names are global
+        BUCKET_PREFIX: process.env.S3_BUCKET_PREFIX || '',
+        // Public address of the buckets when it differs from the endpoint (CDN, reverse proxy)
+        PUBLIC_URL: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, ''),
+        REQUEST_TIMEOUT: 5 * 60 * 1000 // ms
+    }
+};
+
+// Clean-up of stored files no record refers to (services/mediaGarbageCollector.js, see STORAGE.md)
+const MEDIA_GC_CONFIG = {
+    // Younger files are never removed: the record referring to them may not be saved yet (ms)
+    MIN_AGE: toNumber(process.env.MEDIA_GC_MIN_AGE_HOURS, 24) * 60 * 60 * 1000,
+    // Finished chunked uploads that no lecture uses are removed after this (ms)
+    UNATTACHED_VIDEO_AGE: toNumber(process.env.MEDIA_GC_UNATTACHED_VIDEO_DAYS, 7) * 24 * 60 * 60 * 1000,
+    // Cron expression for a scheduled run (e.g. '0 3 * * *'); no scheduled runs when unset
+    SCHEDULE: process.env.MEDIA_GC_SCHEDULE || null,
+    // Scheduled runs only report orphans unless this is set
+    SCHEDULED_DELETE: process.env.MEDIA_GC_DELETE === 'true',
+    LIST_PAGE_SIZE: 1000,
+    DELETE_BATCH_SIZE: 100
+};
+
+module.exports = {
+    STORAGE_CONFIG,
+    MEDIA_GC_CONFIG
+};
@@ -1,5 +1,3 @@
-const supabase = require('./supabase');
-
 // Storage bucket configuration
 const STORAGE_BUCKETS = {
     IMAGES: 'images',
@@ -10,6 +8,10 @@ const STORAGE_BUCKETS = {
     CHAT: 'chat-files'
 };
 
+// Buckets that are not publicly readable: lecture videos are only handed out as signed URLs
+// (see services/videoPlayback.js), so only students who may watch a course can play them
+const PRIVATE_BUCKETS = [STORAGE_BUCKETS.VIDEOS];
+
 // File size limits (in bytes)
 const FILE_SIZE_LIMITS = {
     IMAGE: 10 * 1024 * 1024,    // 10MB
@@ -28,6 +30,16 @@ const CHUNKED_UPLOAD_CONFIG = {
     RETRY_DELAY_BASE: 1000 // Base delay for exponential backoff (ms)
 };
 
+// tus resumable uploads (https://tus.io/protocols/resumable-upload), stored as CHUNK_SIZE chunks
+const TUS_UPLOAD_CONFIG = {
+    VERSION: '1.0.0',
+    EXTENSIONS: ['creation', 'termination', 'checksum', 'expiration'],
+    CHECKSUM_ALGORITHMS: ['sha1', 'sha256', 'md5'],
+    MAX_SIZE: 20 * 1024 * 1024 * 1024, // 20GB
+    LOCK_TIMEOUT: 10 * 60 * 1000, // A PATCH that has not stored a chunk for this long is treated as dead (ms)
+    EXPIRATION: 24 * 60 * 60 * 1000 // Incomplete uploads are removed by ChunkedVideo.cleanupOldUploads after this (ms)
+};
+
 // Allowed file types
 const ALLOWED_FILE_TYPES = {
     IMAGES: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
@@ -40,17 +52,22 @@ const ALLOWED_FILE_TYPES = {
         'video/x-matroska', // .mkv files
         'video/x-flv',      // .flv files
         'video/x-ms-wmv',   // .wmv files
-        'application/octet-stream' // Sometimes .mkv files are detected as this
+        'application/octet-stream', // Sometimes .mkv files are detected as this
+        'application/vnd.apple.mpegurl', // HLS playlists
+        'video/mp2t'        // HLS segments
     ],
     DOCUMENTS: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
 };
 
 /**
  * Initialize storage buckets if they don't exist
+ * Used by the Supabase storage provider (services/storage); the client is only created here,
+ * so the other providers don't need a Supabase project.
  */
 const initializeStorageBuckets = async () => {
     try {
         console.log('🗄️ Initializing Supabase storage buckets...');
+        const supabase = require('./supabase');
         
         // Get existing buckets
         const { data: existingBuckets, error: listError } = await supabase.storage.listBuckets();
@@ -76,7 +93,7 @@ const initializeStorageBuckets = async () => {
                 
                 try {
                     const { data, error } = await supabase.storage.createBucket(bucketName, {
-                        public: true, // Make buckets public for easier access
+                        public: !PRIVATE_BUCKETS.includes(bucketName),
                         allowedMimeTypes: getAllowedMimeTypes(bucketName),
                         fileSizeLimit: getFileSizeLimit(bucketName)
                     });
@@ -102,6 +119,21 @@ const initializeStorageBuckets = async () => {
             } else {
                 console.log(`✅ Bucket already exists: ${bucketName}`);
                 bucketsExisted++;
+
+                // Buckets created public by earlier versions are made private
+                const existing = existingBuckets.find(bucket => bucket.name === bucketName);
+                if (PRIVATE_BUCKETS.includes(bucketName) && existing.public) {
+                    const { error } = await supabase.storage.updateBucket(bucketName, {
+                        public: false,
+                        allowedMimeTypes: getAllowedMimeTypes(bucketName),
+                        fileSizeLimit: getFileSizeLimit(bucketName)
+                    });
+                    if (error) {
+                        console.error(`❌ Could not make bucket ${bucketName} private:`, error.message);
+                    } else {
+                        console.log(`🔒 Bucket ${bucketName} is now private`);
+                    }
+                }
             }
         }
         
@@ -116,11 +148,11 @@ const initializeStorageBuckets = async () => {
             console.log('   Some buckets failed to create automatically.');
             console.log('   Please create them manually in your Supabase Dashboard:');
             console.log('   1. Go to Storage in your Supabase project');
-            console.log('   2. Create the following buckets as PUBLIC:');
+            console.log('   2. Create the following buckets:');
             
             for (const [key, bucketName] of Object.entries(STORAGE_BUCKETS)) {
                 if (!existingBucketNames.includes(bucketName)) {
-                    console.log(`      - ${bucketName}`);
+                    console.log(`      - ${bucketName} (${PRIVATE_BUCKETS.includes(bucketName) ? 'PRIVATE' : 'PUBLIC'})`);
                 }
             }
             
@@ -152,7 +184,8 @@ const getAllowedMimeTypes = (bucketName) => {
         case STORAGE_BUCKETS.CHAT:
             return ALLOWED_FILE_TYPES.IMAGES;
         case STORAGE_BUCKETS.VIDEOS:
-            return ALLOWED_FILE_TYPES.VIDEOS;
+            // Posters and thumbnail sprites are stored next to the videos
+            return [...ALLOWED_FILE_TYPES.VIDEOS, 'image/jpeg'];
         case STORAGE_BUCKETS.DOCUMENTS:
             return ALLOWED_FILE_TYPES.DOCUMENTS;
         default:
@@ -302,9 +335,11 @@ const shouldUseChunkedUpload = (file) => {
 
 module.exports = {
     STORAGE_BUCKETS,
+    PRIVATE_BUCKETS,
     FILE_SIZE_LIMITS,
     ALLOWED_FILE_TYPES,
     CHUNKED_UPLOAD_CONFIG,
+    TUS_UPLOAD_CONFIG,
     initializeStorageBuckets,
     getBucketForFileType,
     validateFile,
@@ -0,0 +1,117 @@
+const os = require('os');
+const path = require('path');
+
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// HLS transcoding of chunked lecture uploads (see VIDEO_STREAMING.md)
+// Bitrates are in kbit/s. Renditions taller than the source video are skipped,
+// except the smallest one, so every video gets at least one rendition.
+const VIDEO_TRANSCODE_CONFIG = {
+    ENABLED: process.env.VIDEO_TRANSCODING !== 'false',
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    FFPROBE_PATH: process.env.FFPROBE_PATH || require('ffprobe-static').path,
+    WORK_DIR: process.env.VIDEO_TRANSCODE_WORK_DIR || path.join(os.tmpdir(), 'beeja-transcode'),
+    SEGMENT_SECONDS: 6,
+    RENDITIONS: [
+        { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+        { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+        { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+        { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 64 }
+    ],
+    CONCURRENCY: toNumber(process.env.VIDEO_TRANSCODE_CONCURRENCY, 1), // Videos transcoded at the same time
+    MAX_RETRIES: 3,
+    RETRY_DELAY_BASE: 60 * 1000, // Base delay for exponential backoff (ms)
+    POLL_INTERVAL: 30 * 1000, // How often the worker looks for queued videos (ms)
+    LOCK_TIMEOUT: 3 * 60 * 60 * 1000, // Videos stuck in processing longer than this are reclaimed (ms)
+    FFMPEG_TIMEOUT: 2 * 60 * 60 * 1000, // ffmpeg is stopped after this long (ms)
+    UPLOAD_CONCURRENCY: 4 // Segments uploaded to storage in parallel
+};
+
+const toList = (value, fallback) => {
+    const list = (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    return list.length > 0 ? list : fallback;
+};
+
+// Probing of lecture uploads with ffprobe (see VIDEO_STREAMING.md)
+// Uploads play as they are until they have been transcoded, and small uploads are never
+// transcoded, so only codecs (ffprobe codec names) that browsers play are accepted.
+const VIDEO_METADATA_CONFIG = {
+    SUPPORTED_VIDEO_CODECS: toList(process.env.VIDEO_SUPPORTED_CODECS, ['h264', 'vp8', 'vp9', 'av1']),
+    SUPPORTED_AUDIO_CODECS: toList(process.env.VIDEO_SUPPORTED_AUDIO_CODECS, ['aac', 'mp3', 'opus', 'vorbis', 'flac']),
+    PROBE_TIMEOUT: 60 * 1000 // ffprobe is stopped after this long (ms)
+};
+
+// Resume positions and watched intervals of lecture videos (see VIDEO_STREAMING.md)
+// A lecture is completed once COMPLETION_THRESHOLD of it has been watched. One progress report
+// can't add more watched time than the wall-clock time since the previous report allows at the
+// fastest playback speed, so a client can't report the whole video at once.
+const VIDEO_PROGRESS_CONFIG = {
+    COMPLETION_THRESHOLD: Math.min(toNumber(process.env.VIDEO_COMPLETION_THRESHOLD, 0.9), 1),
+    MAX_PLAYBACK_RATE: 2,
+    MAX_REPORT_GAP: 60, // Wall-clock seconds one report can cover
+    REPORT_SLACK: 5, // Seconds added to every report's allowance
+    MAX_INTERVALS_PER_REPORT: 50,
+    RESUME_MIN_POSITION: 5, // Positions closer than this to the start aren't resumed (s)
+    RESUME_END_MARGIN: 10 // Nor ones closer than this to the end; the video starts over (s)
+};
+
+// Poster frame and hover-scrub thumbnails, made by the transcoding worker (see VIDEO_STREAMING.md)
+// One thumbnail every INTERVAL seconds, spaced further apart for long videos so there are
+// never more than MAX_THUMBNAILS. Thumbnails are packed COLUMNS x ROWS per sprite sheet.
+const VIDEO_THUMBNAIL_CONFIG = {
+    ENABLED: process.env.VIDEO_THUMBNAILS !== 'false',
+    INTERVAL: toNumber(process.env.VIDEO_THUMBNAIL_INTERVAL, 10),
+    MAX_THUMBNAILS: 300,
+    WIDTH: 160, // Thumbnail width (px); the height follows the video's aspect ratio
+    COLUMNS: 10,
+    ROWS: 10,
+    POSTER_WIDTH: 1280, // Posters are never wider than this (px)
+    POSTER_POSITION: 0.1, // Share of the video after which the poster frame is taken
+    JPEG_QUALITY: 5 // ffmpeg -q:v, 2 (best) to 31
+};
+
+// Signed playback of chunked lecture videos (see VIDEO_STREAMING.md)
+// Tokens are signed with PLAYBACK_TOKEN_SECRET, or JWT_SECRET when it is not set.
+const VIDEO_PLAYBACK_CONFIG = {
+    TOKEN_TTL: toNumber(process.env.PLAYBACK_TOKEN_TTL, 2 * 60 * 60), // Lifetime of a playback token (s)
+    MIN_SIGNED_URL_TTL: 60, // Storage links handed to players never expire sooner than this (s)
+    MAX_RANGE_SIZE: 2 * 1024 * 1024 // Largest byte range served per request
+};
+
+// Caption tracks of lectures (WebVTT, SRT is converted on upload)
+const CAPTION_CONFIG = {
+    MAX_CONTENT_LENGTH: toNumber(process.env.CAPTION_MAX_KB, 1024) * 1024, // Largest caption file, in characters
+    MAX_TRACKS: 20, // Caption tracks per lecture
+    MAX_LABEL_LENGTH: 60
+};
+
+// Chapter markers of lectures
+const CHAPTER_CONFIG = {
+    MAX_CHAPTERS: 50,
+    MAX_TITLE_LENGTH: 100
+};
+
+// Encrypted offline copies of lectures (see VIDEO_STREAMING.md)
+// Licenses are signed with the ECDSA P-256 key in OFFLINE_LICENSE_PRIVATE_KEY (PEM); without it
+// a key is generated once and kept in KEY_FILE. Every server of a deployment needs the same key.
+const OFFLINE_CONFIG = {
+    LICENSE_TTL: toNumber(process.env.OFFLINE_LICENSE_DAYS, 7) * 24 * 60 * 60 * 1000, // (ms)
+    MAX_ACTIVE_LICENSES: toNumber(process.env.OFFLINE_MAX_LICENSES, 3), // Unexpired licenses per student and section
+    PRIVATE_KEY: (process.env.OFFLINE_LICENSE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+    KEY_FILE: process.env.OFFLINE_LICENSE_KEY_FILE || path.join(__dirname, '..', 'keys', 'offlineLicense.pem'),
+    RECORD_SIZE: 1024 * 1024 // Bytes of video encrypted per record
+};
+
+module.exports = {
+    VIDEO_TRANSCODE_CONFIG,
+    VIDEO_METADATA_CONFIG,
+    VIDEO_THUMBNAIL_CONFIG,
+    VIDEO_PLAYBACK_CONFIG,
+    VIDEO_PROGRESS_CONFIG,
+    CAPTION_CONFIG,
+    CHAPTER_CONFIG,
+    OFFLINE_CONFIG
+};
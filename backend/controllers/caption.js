@@ -0,0 +1,335 @@
+const Caption = require('../models/caption');
+const SubSection = require('../models/subSection');
+const Section = require('../models/section');
+const Course = require('../models/course');
+const { CAPTION_CONFIG } = require('../config/video');
+const { canWatchCourse } = require('../utils/courseAccess');
+const { detectCaptionFormat, toWebVtt, isLanguageTag } = require('../services/captionFormats');
+
+// Resolve the course a lecture belongs to (subsection -> section -> course)
+const findSubSectionCourse = async (subSectionId) => {
+    const section = await Section.findOne({ subSection: subSectionId }).select('_id');
+    if (!section) {
+        return null;
+    }
+    return Course.findOne({ courseContent: section._id }).select('instructor courseType adminSetFree');
+};
+
+// Admins and the instructor who owns the course can change its captions
+const canManageCaptions = (user, course) => {
+    if (user.accountType === 'Admin') {
+        return true;
+    }
+    return user.accountType === 'Instructor' && Boolean(course.instructor) && course.instructor.toString() === user.id;
+};
+
+// Load the lecture and its course and check the user may watch (or, with manage, edit) it
+const loadLecture = async (req, res, { manage = false } = {}) => {
+    const { subSectionId } = req.params;
+
+    const subSection = await SubSection.findById(subSectionId).select('title captions');
+    const course = subSection ? await findSubSectionCourse(subSectionId) : null;
+    if (!subSection || !course) {
+        res.status(404).json({
+            success: false,
+            message: 'Lecture not found'
+        });
+        return null;
+    }
+
+    const allowed = manage ? canManageCaptions(req.user, course) : await canWatchCourse(req.user, course);
+    if (!allowed) {
+        res.status(403).json({
+            success: false,
+            message: manage
+                ? 'You can only edit captions of your own courses'
+                : 'Access denied. Course access has been disabled or not purchased.'
+        });
+        return null;
+    }
+
+    return { subSection, course };
+};
+
+// Check and convert the caption text of a create or update request
+// Returns { content, cueCount } or sends the error response and returns null
+const readCaptionContent = (req, res) => {
+    const { content, filename } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+        res.status(400).json({
+            success: false,
+            message: 'The caption file is empty'
+        });
+        return null;
+    }
+
+    if (content.length > CAPTION_CONFIG.MAX_CONTENT_LENGTH) {
+        res.status(413).json({
+            success: false,
+            message: `Caption files can be at most ${Math.round(CAPTION_CONFIG.MAX_CONTENT_LENGTH / 1024)} KB`
+        });
+        return null;
+    }
+
+    const format = req.body.format || detectCaptionFormat(filename, content);
+    const result = toWebVtt(format, content);
+    if (result.errors) {
+        res.status(400).json({
+            success: false,
+            message: 'The caption file is not valid',
+            errors: result.errors.slice(0, 20)
+        });
+        return null;
+    }
+
+    return result;
+};
+
+// Check language and label, returns an error message or null
+const validateTrackDetails = (language, label) => {
+    if (!isLanguageTag(language)) {
+        return 'Language must be a language code such as "en", "hi" or "pt-BR"';
+    }
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > CAPTION_CONFIG.MAX_LABEL_LENGTH) {
+        return `Label is required and can be at most ${CAPTION_CONFIG.MAX_LABEL_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Caption tracks without their text, in the order they were added
+const formatTrack = (caption) => ({
+    _id: caption._id,
+    language: caption.language,
+    label: caption.label,
+    isDefault: caption.isDefault,
+    cueCount: caption.cueCount,
+    updatedAt: caption.updatedAt
+});
+
+// Only one track of a lecture can be the default
+const clearOtherDefaults = async (subSectionId, captionId) => {
+    await Caption.updateMany(
+        { subSection: subSectionId, _id: { $ne: captionId } },
+        { $set: { isDefault: false } }
+    );
+};
+
+//   == Get caption tracks of a lecture   ==
+exports.getCaptionTracks = async (req, res) => {
+    try {
+        const lecture = await loadLecture(req, res);
+        if (!lecture) return;
+
+        const captions = await Caption.find({ subSection: lecture.subSection._id })
+            .select('-content')
+            .sort({ createdAt: 1 });
+
+        return res.status(200).json({
+            success: true,
+            data: captions.map(formatTrack)
+        });
+    } catch (error) {
+        console.error('Error fetching caption tracks:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching caption tracks',
+            error: error.message
+        });
+    }
+};
+
+//   == Get the WebVTT file of a caption track   ==
+exports.getCaptionContent = async (req, res) => {
+    try {
+        const lecture = await loadLecture(req, res);
+        if (!lecture) return;
+
+        const caption = await Caption.findOne({ _id: req.params.captionId, subSection: lecture.subSection._id });
+        if (!caption) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        res.set('Cache-Control', 'private, no-cache');
+        return res.type('text/vtt; charset=utf-8').send(caption.content);
+    } catch (error) {
+        console.error('Error fetching caption file:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching caption file',
+            error: error.message
+        });
+    }
+};
+
+//   == Add a caption track to a lecture   ==
+exports.addCaptionTrack = async (req, res) => {
+    try {
+        const lecture = await loadLecture(req, res, { manage: true });
+        if (!lecture) return;
+        const { subSection } = lecture;
+
+        const language = (req.body.language || '').trim();
+        const label = (req.body.label || '').trim();
+        const detailsError = validateTrackDetails(language, label);
+        if (detailsError) {
+            return res.status(400).json({
+                success: false,
+                message: detailsError
+            });
+        }
+
+        const trackCount = await Caption.countDocuments({ subSection: subSection._id });
+        if (trackCount >= CAPTION_CONFIG.MAX_TRACKS) {
+            return res.status(400).json({
+                success: false,
+                message: `A lecture can have at most ${CAPTION_CONFIG.MAX_TRACKS} caption tracks`
+            });
+        }
+
+        if (await Caption.exists({ subSection: subSection._id, language, label })) {
+            return res.status(409).json({
+                success: false,
+                message: `This lecture already has a "${label}" track for ${language}`
+            });
+        }
+
+        const vtt = readCaptionContent(req, res);
+        if (!vtt) return;
+
+        const caption = await Caption.create({
+            subSection: subSection._id,
+            language,
+            label,
+            content: vtt.content,
+            cueCount: vtt.cueCount,
+            // The first track of a lecture is shown by default unless told otherwise
+            isDefault: req.body.isDefault === undefined ? trackCount === 0 : Boolean(req.body.isDefault),
+            createdBy: req.user.id
+        });
+
+        if (caption.isDefault) {
+            await clearOtherDefaults(subSection._id, caption._id);
+        }
+        await SubSection.findByIdAndUpdate(subSection._id, { $push: { captions: caption._id } });
+
+        console.log(`Caption track ${language} (${vtt.cueCount} cues) added to lecture ${subSection._id} by ${req.user.id}`);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Caption track added',
+            data: formatTrack(caption)
+        });
+    } catch (error) {
+        console.error('Error adding caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error adding caption track',
+            error: error.message
+        });
+    }
+};
+
+//   == Update a caption track (details or text)   ==
+exports.updateCaptionTrack = async (req, res) => {
+    try {
+        const lecture = await loadLecture(req, res, { manage: true });
+        if (!lecture) return;
+        const { subSection } = lecture;
+
+        const caption = await Caption.findOne({ _id: req.params.captionId, subSection: subSection._id });
+        if (!caption) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        const language = req.body.language === undefined ? caption.language : String(req.body.language).trim();
+        const label = req.body.label === undefined ? caption.label : String(req.body.label).trim();
+        const detailsError = validateTrackDetails(language, label);
+        if (detailsError) {
+            return res.status(400).json({
+                success: false,
+                message: detailsError
+            });
+        }
+
+        if ((language !== caption.language || label !== caption.label) &&
+            await Caption.exists({ subSection: subSection._id, language, label, _id: { $ne: caption._id } })) {
+            return res.status(409).json({
+                success: false,
+                message: `This lecture already has a "${label}" track for ${language}`
+            });
+        }
+
+        if (req.body.content !== undefined) {
+            const vtt = readCaptionContent(req, res);
+            if (!vtt) return;
+            caption.content = vtt.content;
+            caption.cueCount = vtt.cueCount;
+        }
+
+        caption.language = language;
+        caption.label = label;
+        if (req.body.isDefault !== undefined) {
+            caption.isDefault = Boolean(req.body.isDefault);
+        }
+        await caption.save();
+
+        if (caption.isDefault) {
+            await clearOtherDefaults(subSection._id, caption._id);
+        }
+
+        console.log(`Caption track ${caption._id} of lecture ${subSection._id} updated by ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Caption track updated',
+            data: formatTrack(caption)
+        });
+    } catch (error) {
+        console.error('Error updating caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating caption track',
+            error: error.message
+        });
+    }
+};
+
+//   == Delete a caption track   ==
+exports.deleteCaptionTrack = async (req, res) => {
+    try {
+        const lecture = await loadLecture(req, res, { manage: true });
+        if (!lecture) return;
+        const { subSection } = lecture;
+
+        const caption = await Caption.findOneAndDelete({ _id: req.params.captionId, subSection: subSection._id });
+        if (!caption) {
+            return res.status(404).json({
+                success: false,
+                message: 'Caption track not found'
+            });
+        }
+
+        await SubSection.findByIdAndUpdate(subSection._id, { $pull: { captions: caption._id } });
+
+        console.log(`Caption track ${caption._id} removed from lecture ${subSection._id} by ${req.user.id}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Caption track deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting caption track:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting caption track',
+            error: error.message
+        });
+    }
+};
@@ -1,4 +1,5 @@
 const Coupon = require('../models/coupon');
+const { findCoupon, getCouponError, calculateCouponDiscount, recordCouponUse } = require('../utils/couponRules');
 
 // Create a new coupon
 exports.createCoupon = async (req, res) => {
@@ -118,10 +119,7 @@ exports.validateAndApplyCoupon = async (req, res) => {
       applyImmediately
     });
 
-    const coupon = await Coupon.findOne({ 
-      code: code.toUpperCase(),
-      linkedTo: checkoutType // Only find coupons linked to this checkout type
-    });
+    const coupon = await findCoupon(code, checkoutType);
 
     // Update analytics - increment validation attempts
     if (coupon) {
@@ -150,109 +148,23 @@ exports.validateAndApplyCoupon = async (req, res) => {
       });
     }
 
-    // Check if coupon is active
-    if (!coupon.isActive) {
+    // Active, started, not expired, usage limits and minimum order amount
+    const couponError = getCouponError(coupon, userId, totalAmount);
+    if (couponError) {
       await Coupon.findByIdAndUpdate(coupon._id, {
         $inc: { 'analytics.failedAttempts': 1 }
       });
-      return res.status(400).json({
+      return res.status(couponError.status).json({
         success: false,
-        message: 'Coupon is not active'
+        message: couponError.message
       });
     }
 
-    // Check expiry - use more precise date comparison
-    const now = new Date();
-    const startDate = new Date(coupon.startDate);
-    const expiryDate = new Date(coupon.expiryDate);
-    
-    if (now < startDate) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon is not yet active'
-      });
-    }
-    
-    if (now > expiryDate) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon has expired'
-      });
-    }
-
-    // Check usage limit
-    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'Coupon usage limit exceeded'
-      });
-    }
-
-    // Check per-user limit
-    const userUsage = coupon.userUsage.find(u => u.user.toString() === userId);
-    if (coupon.perUserLimit > 0 && userUsage && userUsage.usedCount >= coupon.perUserLimit) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: 'You have exceeded the usage limit for this coupon'
-      });
-    }
-
-    // Check minimum order amount
-    if (coupon.minimumOrderAmount > 0 && totalAmount < coupon.minimumOrderAmount) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order amount of ₹${coupon.minimumOrderAmount} required`
-      });
-    }
-
-    // Calculate discount
-    let discountAmount = 0;
-    if (coupon.discountType === 'percentage') {
-      discountAmount = (totalAmount * coupon.discountValue) / 100;
-      // Apply maximum discount limit if set
-      if (coupon.maxDiscountAmount > 0) {
-        discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
-      }
-    } else {
-      discountAmount = coupon.discountValue;
-    }
-
-    // Ensure discount doesn't exceed order amount
-    discountAmount = Math.min(discountAmount, totalAmount);
+    const discountAmount = calculateCouponDiscount(coupon, totalAmount);
 
     // If applyImmediately is true, update usage counts
     if (applyImmediately) {
-      // Update usage counts
-      coupon.usedCount += 1;
-      coupon.lastUsed = new Date();
-
-      // Update user usage
-      const userUsageIndex = coupon.userUsage.findIndex(u => u.user.toString() === userId);
-      if (userUsageIndex >= 0) {
-        coupon.userUsage[userUsageIndex].usedCount += 1;
-      } else {
-        coupon.userUsage.push({ user: userId, usedCount: 1 });
-      }
-
-      // Update analytics
-      coupon.analytics.successfulUses += 1;
-
-      await coupon.save();
+      await recordCouponUse(coupon, userId);
     }
 
     return res.status(200).json({
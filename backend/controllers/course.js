@@ -9,6 +9,8 @@ const RatingAndReview = require('../models/ratingAndReview')
 const { uploadImageToSupabase, deleteFileFromSupabase } = require('../utils/supabaseUploader');
 const { convertSecondsToDuration } = require("../utils/secToDuration")
 const { cleanupCourseFiles } = require('../utils/fileCleanup');
+const { checkCourseEnrollment } = require('../utils/courseAccess');
+const { normalizeCoursePrices } = require('../services/currency');
 const mongoose = require('mongoose');
 
 // Import notification helpers
@@ -234,7 +236,7 @@ exports.getAllCourses = async (req, res) => {
     try {
         const allCourses = await Course.find({},
             {
-                courseName: true, courseDescription: true, price: true, thumbnail: true, instructor: true,
+                courseName: true, courseDescription: true, price: true, prices: true, thumbnail: true, instructor: true,
                 ratingAndReviews: true, studentsEnrolled: true, courseType: true, originalPrice: true,
                 adminSetFree: true, status: true, createdAt: true, courseContent: true
             })
@@ -404,72 +406,15 @@ exports.getFullCourseDetails = async (req, res) => {
         }
 
         // Check access permissions based on user type
-        if (userAccountType === 'Admin') {
-            // Admin has full access
-            console.log('Admin access granted');
-        } 
-        else if (userAccountType === 'Instructor' && course.instructor.toString() === userId) {
-            // Instructor can access their own courses
-            console.log('Instructor access granted - course owner');
-        }
-        else if (userAccountType === 'Student') {
-            // For students, check if they are enrolled in the course
-            const user = await User.findById(userId).select('courses');
-            if (!user) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'User not found'
-                });
-            }
-
-            const isEnrolled = user.courses.some(c => c.toString() === courseId);
-            if (!isEnrolled) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'You are not enrolled in this course'
-                });
-            }
-
-            // Check if course access is active (order status validation)
-            const isFree = course.courseType === 'Free' || course.adminSetFree;
-            if (!isFree) {
-                const Order = require('../models/order');
-                const activeOrder = await Order.findOne({
-                    user: userId,
-                    course: courseId,
-                    status: true
-                });
-
-                if (!activeOrder) {
-                    // Check if there's an inactive order
-                    const inactiveOrder = await Order.findOne({
-                        user: userId,
-                        course: courseId,
-                        status: false
-                    });
-
-                    if (inactiveOrder) {
-                        return res.status(403).json({
-                            success: false,
-                            message: 'This course has been deactivated by the admin. Please contact the administrator for further information.',
-                            isDeactivated: true
-                        });
-                    } else {
-                        return res.status(403).json({
-                            success: false,
-                            message: 'You do not have an active enrollment for this course'
-                        });
-                    }
-                }
-            }
-            console.log('Student access granted - enrolled in course with active order');
-        }
-        else {
-            return res.status(403).json({
+        const access = await checkCourseEnrollment(req.user, course);
+        if (!access.allowed) {
+            return res.status(access.status).json({
                 success: false,
-                message: 'You are not authorized to access this course'
+                message: access.message,
+                ...(access.isDeactivated && { isDeactivated: true })
             });
         }
+        console.log(`${userAccountType} access granted`);
 
         const courseDetails = await Course.findOne({
             _id: courseId,
@@ -624,6 +569,22 @@ exports.editCourse = async (req, res) => {
                         message: `Invalid ${key} format`
                     });
                 }
+            } else if (key === "prices") {
+                // Prices in other currencies, e.g. [{ currency: "USD", amount: 19.99 }]
+                let prices = value;
+                try {
+                    prices = typeof value === 'string' ? JSON.parse(value) : value;
+                } catch (e) {
+                    console.error(`Error parsing ${key}:`, e);
+                }
+                const result = normalizeCoursePrices(prices);
+                if (result.error) {
+                    return res.status(result.error.status).json({
+                        success: false,
+                        message: result.error.message
+                    });
+                }
+                updateData[key] = result.prices;
             } else if (key !== 'courseId' && key !== 'thumbnailImage') {
                 updateData[key] = value;
             }
@@ -800,6 +761,8 @@ exports.deleteCourse = async (req, res) => {
 
         // Get all sections and subsections
         const Quiz = require('../models/quiz');
+        const Caption = require('../models/caption');
+        const VideoProgress = require('../models/videoProgress');
         const courseSections = course.courseContent;
         const allSubSectionIds = [];
         
@@ -818,6 +781,12 @@ exports.deleteCourse = async (req, res) => {
         await Promise.all([
             // Delete all quizzes for this course's subsections
             Quiz.deleteMany({ subSection: { $in: allSubSectionIds } }),
+
+            // Delete all caption tracks of those subsections
+            Caption.deleteMany({ subSection: { $in: allSubSectionIds } }),
+
+            // Delete the students' playback progress
+            VideoProgress.deleteMany({ course: courseId }),
             
             // Delete all subsections and their videos
             ...allSubSectionIds.map(async (subSectionId) => {
@@ -2,6 +2,9 @@ const mongoose = require("mongoose")
 const Section = require("../models/section")
 const SubSection = require("../models/subSection")
 const CourseProgress = require("../models/courseProgress")
+const VideoProgress = require("../models/videoProgress")
+const { VIDEO_PROGRESS_CONFIG } = require("../config/video")
+const { hasCourseAccess } = require("../utils/courseAccess")
 
 
 //   == update Course Progress   ==
@@ -47,6 +50,19 @@ exports.updateCourseProgress = async (req, res) => {
       return res.status(404).json({ error: "Invalid subsection" })
     }
 
+    // A lecture video only counts as completed once enough of it has been watched
+    // (watched intervals are reported to updateVideoProgress while the video plays)
+    if (subsection.videoUrl) {
+      const videoProgress = await VideoProgress.findOne({ user: userId, subSection: subsectionId })
+      const duration = subsection.timeDuration > 0 ? subsection.timeDuration : videoProgress?.duration
+      if (duration > 0 && !videoProgress?.completedAt) {
+        const watched = Math.floor(((videoProgress?.watchedSeconds || 0) / duration) * 100)
+        return res.status(400).json({
+          error: `Watch at least ${Math.round(VIDEO_PROGRESS_CONFIG.COMPLETION_THRESHOLD * 100)}% of the lecture to complete it (watched ${watched}%)`
+        })
+      }
+    }
+
     // Find the course progress document for the user and course
     let courseProgress = await CourseProgress.findOne({
       courseID: courseId,
@@ -144,9 +160,12 @@ exports.updateQuizProgress = async (req, res) => {
       userId: userId,
     })
 
-    // Calculate percentage for pass/fail
+    // Calculate percentage for pass/fail against the quiz's pass mark
+    const Quiz = require('../models/quiz');
+    const { getQuizPolicy } = require('../services/quizPolicy');
+    const quiz = await Quiz.findById(quizId).select('passingPercentage');
     const percentage = (score / totalMarks) * 100;
-    const passed = percentage >= 60;
+    const passed = percentage >= getQuizPolicy(quiz).passingPercentage;
 
     if (!courseProgress) {
       // If course progress doesn't exist, create a new one
@@ -230,7 +249,6 @@ exports.checkSectionAccess = async (req, res) => {
     }
 
     // Check if user has access to this course (either free course or active order)
-    const Order = require('../models/order');
     const Course = require("../models/course")
     
     const courseBasic = await Course.findById(courseId);
@@ -241,14 +259,7 @@ exports.checkSectionAccess = async (req, res) => {
       });
     }
 
-    const isFree = courseBasic.courseType === 'Free' || courseBasic.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
-
-    if (!isFree && !activeOrder) {
+    if (!await hasCourseAccess(userId, courseBasic)) {
       console.log(`Access denied for user ${userId} - no active order for course ${courseId}`);
       return res.status(403).json({
         success: false,
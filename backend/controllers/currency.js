@@ -0,0 +1,127 @@
+const ExchangeRate = require("../models/exchangeRate");
+const { BASE, isSupported, getRates } = require("../services/currency");
+const { CURRENCY_CONFIG } = require("../config/pricing");
+
+//   == Get Currencies   ==
+// The currencies prices can be shown and charged in, with their rates against the base currency
+exports.getCurrencies = async (req, res) => {
+    try {
+        const rates = await getRates();
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                base: BASE,
+                currencies: Object.entries(rates).map(([code, rate]) => ({ code, rate }))
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching currencies:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not fetch currencies"
+        });
+    }
+};
+
+//   == Get Exchange Rates (Admin)   ==
+// Every supported currency, with its rate when one is set
+exports.getExchangeRates = async (req, res) => {
+    try {
+        const rates = await ExchangeRate.find({})
+            .populate('updatedBy', 'firstName lastName');
+
+        const data = CURRENCY_CONFIG.SUPPORTED
+            .filter(code => code !== BASE)
+            .map(code => {
+                const rate = rates.find(item => item.currency === code);
+                return {
+                    currency: code,
+                    rate: rate ? rate.rate : null,
+                    updatedAt: rate ? rate.updatedAt : null,
+                    updatedBy: rate ? rate.updatedBy : null
+                };
+            });
+
+        return res.status(200).json({
+            success: true,
+            data: { base: BASE, rates: data },
+            message: "Exchange rates fetched successfully"
+        });
+    } catch (error) {
+        console.error("Error fetching exchange rates:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Error fetching exchange rates",
+            error: error.message
+        });
+    }
+};
+
+//   == Set Exchange Rate (Admin)   ==
+// rate is what one unit of the currency is worth in the base currency
+exports.setExchangeRate = async (req, res) => {
+    try {
+        const currency = req.params.currency.toUpperCase();
+        const rate = Number(req.body.rate);
+
+        if (!isSupported(currency) || currency === BASE) {
+            return res.status(400).json({
+                success: false,
+                message: "Unsupported currency"
+            });
+        }
+        if (!Number.isFinite(rate) || rate <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: "The rate must be a positive number"
+            });
+        }
+
+        const exchangeRate = await ExchangeRate.findOneAndUpdate(
+            { currency },
+            { $set: { rate, updatedBy: req.user.id } },
+            { new: true, upsert: true, runValidators: true }
+        );
+        console.log(`💱 Exchange rate ${currency} set to ${rate} ${BASE}`);
+
+        return res.status(200).json({
+            success: true,
+            data: exchangeRate,
+            message: `1 ${currency} = ${rate} ${BASE}`
+        });
+    } catch (error) {
+        console.error("Error setting exchange rate:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not set the exchange rate"
+        });
+    }
+};
+
+//   == Delete Exchange Rate (Admin)   ==
+// Without a rate the currency can no longer be charged
+exports.deleteExchangeRate = async (req, res) => {
+    try {
+        const currency = req.params.currency.toUpperCase();
+
+        const deleted = await ExchangeRate.findOneAndDelete({ currency });
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: "Exchange rate not found"
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: `${currency} can no longer be charged`
+        });
+    } catch (error) {
+        console.error("Error deleting exchange rate:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not delete the exchange rate"
+        });
+    }
+};
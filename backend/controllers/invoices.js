@@ -0,0 +1,93 @@
+const Order = require("../models/order");
+const { getInvoicePdf, getInvoiceFileName, regenerateInvoice, renderInvoicePdf } = require("../services/invoices");
+
+const sendPdf = (res, invoice, pdf) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${getInvoiceFileName(invoice)}`);
+    return res.send(pdf);
+};
+
+//   == Download Invoice   ==
+// The GST invoice of one of the student's paid orders, issued the first time it is asked for
+exports.downloadInvoice = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const order = await Order.findOne({ _id: orderId, user: req.user.id }).select('_id');
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: "Order not found"
+            });
+        }
+
+        const result = await getInvoicePdf(order._id);
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "No invoice is issued for unpaid or free orders"
+            });
+        }
+
+        return sendPdf(res, result.invoice, result.pdf);
+
+    } catch (error) {
+        console.error("Error downloading invoice:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not download the invoice"
+        });
+    }
+};
+
+//   == Download Order Invoice (Admin)   ==
+exports.getOrderInvoice = async (req, res) => {
+    try {
+        const result = await getInvoicePdf(req.params.orderId);
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "The order does not exist or was not paid for"
+            });
+        }
+
+        return sendPdf(res, result.invoice, result.pdf);
+
+    } catch (error) {
+        console.error("Error downloading invoice:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not download the invoice"
+        });
+    }
+};
+
+//   == Regenerate Invoice (Admin)   ==
+// Copies the current seller, billing and order details into the invoice, keeping its number
+exports.regenerateInvoice = async (req, res) => {
+    try {
+        const invoice = await regenerateInvoice(req.params.orderId, req.user.id);
+        if (!invoice) {
+            return res.status(400).json({
+                success: false,
+                message: "The order does not exist or was not paid for"
+            });
+        }
+
+        // Render it to catch a broken invoice here rather than on the student's download
+        await renderInvoicePdf(invoice);
+
+        return res.status(200).json({
+            success: true,
+            message: `Invoice ${invoice.invoiceNumber} regenerated`,
+            data: invoice
+        });
+
+    } catch (error) {
+        console.error("Error regenerating invoice:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not regenerate the invoice"
+        });
+    }
+};
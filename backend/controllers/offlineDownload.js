@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const { pipeline, Readable } = require('stream');
+const OfflineLicense = require('../models/offlineLicense');
+const Course = require('../models/course');
+const Section = require('../models/section');
+const SubSection = require('../models/subSection');
+const { OFFLINE_CONFIG } = require('../config/video');
+const { checkCourseEnrollment } = require('../utils/courseAccess');
+const {
+    getPublicJwk,
+    createContentKey,
+    signLicense,
+    openLectureVideo,
+    encryptPackage
+} = require('../services/offlinePackage');
+
+// Load the course and check it allows offline copies and the user may watch it
+// Returns the course or sends the error response and returns null
+const loadOfflineCourse = async (req, res, courseId) => {
+    const course = mongoose.isValidObjectId(courseId)
+        ? await Course.findById(courseId).select('courseType adminSetFree instructor courseContent allowOffline')
+        : null;
+    if (!course) {
+        res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+        return null;
+    }
+
+    if (!course.allowOffline) {
+        res.status(403).json({
+            success: false,
+            message: 'Offline downloads are not enabled for this course'
+        });
+        return null;
+    }
+
+    const access = await checkCourseEnrollment(req.user, course);
+    if (!access.allowed) {
+        res.status(access.status).json({
+            success: false,
+            message: access.message,
+            ...(access.isDeactivated && { isDeactivated: true })
+        });
+        return null;
+    }
+
+    return course;
+};
+
+// Lectures of a section that have a video
+const getSectionLectures = async (course, sectionId) => {
+    const inCourse = course.courseContent.some(id => id.toString() === sectionId);
+    const section = inCourse ? await Section.findById(sectionId).populate('subSection', 'title videoUrl') : null;
+    if (!section) return null;
+    return section.subSection.filter(subSection => subSection.videoUrl);
+};
+
+// Load a license of the user that is neither revoked nor, unless allowExpired is set, expired
+const loadLicense = async (req, res, licenseId, { allowExpired = false } = {}) => {
+    const license = mongoose.isValidObjectId(licenseId)
+        ? await OfflineLicense.findOne({ _id: licenseId, user: req.user.id, revokedAt: null }).select('+contentKey')
+        : null;
+    if (!license) {
+        res.status(404).json({
+            success: false,
+            message: 'Offline license not found'
+        });
+        return null;
+    }
+
+    if (!allowExpired && license.expiresAt <= new Date()) {
+        res.status(410).json({
+            success: false,
+            message: 'This offline license has expired'
+        });
+        return null;
+    }
+
+    return license;
+};
+
+const formatLicense = (license, lectures) => ({
+    licenseId: license._id,
+    license: signLicense(license),
+    expiresAt: license.expiresAt,
+    lectures: lectures.map(lecture => ({ _id: lecture._id, title: lecture.title }))
+});
+
+//   == Public key the player verifies licenses with   ==
+exports.getOfflinePublicKey = async (req, res) => {
+    try {
+        return res.status(200).json({
+            success: true,
+            data: getPublicJwk()
+        });
+    } catch (error) {
+        console.error('Error loading offline license key:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error loading offline license key',
+            error: error.message
+        });
+    }
+};
+
+//   == Issue a license to download a section for offline playback   ==
+exports.createOfflineLicense = async (req, res) => {
+    try {
+        const { courseId, sectionId } = req.body;
+
+        const course = await loadOfflineCourse(req, res, courseId);
+        if (!course) return;
+
+        const lectures = await getSectionLectures(course, sectionId);
+        if (!lectures) {
+            return res.status(404).json({
+                success: false,
+                message: 'Section not found in this course'
+            });
+        }
+        if (lectures.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This section has no lecture videos'
+            });
+        }
+
+        const activeLicenses = await OfflineLicense.countDocuments({
+            user: req.user.id,
+            section: sectionId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+        if (activeLicenses >= OFFLINE_CONFIG.MAX_ACTIVE_LICENSES) {
+            return res.status(409).json({
+                success: false,
+                message: `This section is already downloaded on ${activeLicenses} devices. Remove one of the downloads first.`
+            });
+        }
+
+        const license = await OfflineLicense.create({
+            user: req.user.id,
+            course: course._id,
+            section: sectionId,
+            lectures: lectures.map(lecture => lecture._id),
+            contentKey: createContentKey(),
+            expiresAt: new Date(Date.now() + OFFLINE_CONFIG.LICENSE_TTL)
+        });
+
+        console.log(`📥 Offline license ${license._id} issued to ${req.user.id} for section ${sectionId}`);
+        return res.status(201).json({
+            success: true,
+            message: 'Offline license issued',
+            data: formatLicense(license, lectures)
+        });
+    } catch (error) {
+        console.error('Error issuing offline license:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error issuing offline license',
+            error: error.message
+        });
+    }
+};
+
+//   == Extend a license, also after it expired   ==
+exports.renewOfflineLicense = async (req, res) => {
+    try {
+        const license = await loadLicense(req, res, req.params.licenseId, { allowExpired: true });
+        if (!license) return;
+
+        // Enrollment and the course setting are checked again, as for a new license
+        const course = await loadOfflineCourse(req, res, license.course.toString());
+        if (!course) return;
+
+        const lectures = await getSectionLectures(course, license.section.toString());
+        if (!lectures) {
+            return res.status(404).json({
+                success: false,
+                message: 'Section not found in this course'
+            });
+        }
+
+        license.lectures = lectures.map(lecture => lecture._id);
+        license.expiresAt = new Date(Date.now() + OFFLINE_CONFIG.LICENSE_TTL);
+        license.renewedAt = new Date();
+        await license.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Offline license renewed',
+            data: formatLicense(license, lectures)
+        });
+    } catch (error) {
+        console.error('Error renewing offline license:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error renewing offline license',
+            error: error.message
+        });
+    }
+};
+
+//   == Give up a license when its download is removed   ==
+exports.revokeOfflineLicense = async (req, res) => {
+    try {
+        const license = await loadLicense(req, res, req.params.licenseId, { allowExpired: true });
+        if (!license) return;
+
+        license.revokedAt = new Date();
+        await license.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Offline license removed'
+        });
+    } catch (error) {
+        console.error('Error removing offline license:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error removing offline license',
+            error: error.message
+        });
+    }
+};
+
+//   == Download one lecture of a license, encrypted with its content key   ==
+exports.downloadOfflineLecture = async (req, res) => {
+    try {
+        const { licenseId, subSectionId } = req.params;
+
+        const license = await loadLicense(req, res, licenseId);
+        if (!license) return;
+
+        const course = await loadOfflineCourse(req, res, license.course.toString());
+        if (!course) return;
+
+        const subSection = license.lectures.some(id => id.toString() === subSectionId)
+            ? await SubSection.findById(subSectionId).select('videoUrl')
+            : null;
+        if (!subSection?.videoUrl) {
+            return res.status(404).json({
+                success: false,
+                message: 'Lecture not found in this license'
+            });
+        }
+
+        let video;
+        try {
+            video = await openLectureVideo(subSection.videoUrl);
+        } catch (error) {
+            return res.status(error.status === 409 ? 409 : 502).json({
+                success: false,
+                message: error.status === 409 ? error.message : 'Could not read the video of this lecture'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${subSectionId}.offline"`,
+            'Cache-Control': 'no-store'
+        });
+
+        const encrypted = Readable.from(encryptPackage(video.source, {
+            contentKey: license.contentKey,
+            licenseId: license._id.toString(),
+            subSectionId,
+            mimeType: video.mimeType
+        }));
+        pipeline(encrypted, res, (error) => {
+            // Part of the file is already sent; a short download must not look complete
+            if (error) {
+                console.error(`Error sending offline lecture ${subSectionId}:`, error.message);
+                res.destroy(error);
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading offline lecture:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error downloading offline lecture',
+            error: error.message
+        });
+    }
+};
@@ -46,6 +46,14 @@ exports.deleteOrder = async (req, res) => {
             });
         }
 
+        // Money that went through a checkout stays on record; it is refunded instead
+        if (order.payment && !['pending', 'failed'].includes(order.paymentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Paid orders cannot be deleted. Refund the order instead.'
+            });
+        }
+
         await Order.findByIdAndDelete(orderId);
 
         return res.status(200).json({
@@ -75,6 +83,21 @@ exports.updateOrderStatus = async (req, res) => {
             });
         }
 
+        const existing = await Order.findById(orderId).select('paymentStatus');
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        // Only orders that are paid for can give access
+        if (status && !['paid', 'partially_refunded'].includes(existing.paymentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${existing.paymentStatus.replace('_', ' ')} order cannot be activated`
+            });
+        }
+
         const order = await Order.findByIdAndUpdate(
             orderId,
             { status },
@@ -82,13 +105,6 @@ exports.updateOrderStatus = async (req, res) => {
         ).populate('user', 'firstName lastName email')
          .populate('course', 'courseName');
 
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
-            });
-        }
-
         return res.status(200).json({
             success: true,
             order,
@@ -117,10 +133,13 @@ exports.getOrderByCourse = async (req, res) => {
             });
         }
 
+        // The latest order that was paid; a course bought again after a refund has several
         const order = await Order.findOne({
             user: userId,
-            course: courseId
+            course: courseId,
+            paymentStatus: { $nin: ['pending', 'failed'] }
         })
+        .sort({ purchaseDate: -1 })
         .populate('user', 'firstName lastName email additionalDetails')
         .populate('course', 'courseName instructor')
         .populate({
@@ -158,7 +177,8 @@ exports.generateOrdersPDF = async (req, res) => {
     try {
         const PDFDocument = require('pdfkit');
         
-        const orders = await Order.find({})
+        // Checkouts that were never paid are left out of the report
+        const orders = await Order.find({ paymentStatus: { $nin: ['pending', 'failed'] } })
             .populate('user', 'firstName lastName email')
             .populate('course', 'courseName')
             .sort({ purchaseDate: -1 });
@@ -198,8 +218,10 @@ exports.generateOrdersPDF = async (req, res) => {
         
         doc.moveDown(2);
 
-        // Add summary section
-        const totalRevenue = orders.reduce((sum, order) => sum + order.amount, 0);
+        // Add summary section (in rupees, orders in other currencies at their checkout's rate)
+        const inRupees = (order, amount) => Math.round(amount * (order.exchangeRate || 1) * 100) / 100;
+        const totalRefunded = orders.reduce((sum, order) => sum + inRupees(order, order.refundedAmount || 0), 0);
+        const totalRevenue = orders.reduce((sum, order) => sum + inRupees(order, order.amount), 0) - totalRefunded;
         const activeOrders = orders.filter(order => order.status).length;
         const freeOrders = orders.filter(order => order.amount === 0).length;
         const paidOrders = orders.filter(order => order.amount > 0).length;
@@ -211,7 +233,8 @@ exports.generateOrdersPDF = async (req, res) => {
         doc.fontSize(12)
            .font('Helvetica')
            .text(`Total Orders: ${orders.length}`)
-           .text(`Total Revenue: Rs. ${totalRevenue}`)
+           .text(`Total Revenue: Rs. ${totalRevenue.toFixed(2)}`)
+           .text(`Refunded: Rs. ${totalRefunded.toFixed(2)}`)
            .text(`Active Orders: ${activeOrders}`)
            .text(`Inactive Orders: ${orders.length - activeOrders}`)
            .text(`Free Orders: ${freeOrders}`)
@@ -326,7 +349,8 @@ exports.generateOrdersPDF = async (req, res) => {
                 xPos += colWidths[2];
                 
                 // Amount
-                const amountText = order.amount === 0 ? 'Free' : `Rs. ${order.amount}`;
+                const currency = !order.currency || order.currency === 'INR' ? 'Rs.' : order.currency;
+                const amountText = order.amount === 0 ? 'Free' : `${currency} ${order.amount}`;
                 doc.font('Helvetica-Bold')
                    .text(amountText, xPos + 5, yPos + 2, {
                     width: colWidths[3] - 10,
@@ -335,8 +359,11 @@ exports.generateOrdersPDF = async (req, res) => {
                 xPos += colWidths[3];
                 
                 // Status
+                const statusText = order.paymentStatus === 'refunded' ? 'Refunded'
+                    : order.paymentStatus === 'partially_refunded' ? 'Part refunded'
+                    : order.status ? 'Active' : 'Inactive';
                 doc.font('Helvetica')
-                   .text(order.status ? 'Active' : 'Inactive', xPos + 5, yPos + 2, {
+                   .text(statusText, xPos + 5, yPos + 2, {
                     width: colWidths[4] - 10,
                     align: 'center'
                 });
@@ -1,56 +1,103 @@
-const User = require("../models/user");
-const Course = require("../models/course");
 const Order = require("../models/order");
-const mongoose = require("mongoose");
-const mailSender = require("../utils/mailSender");
-const { courseEnrollmentEmail } = require("../mail/templates/courseEnrollmentEmail");
+const Payment = require("../models/payment");
+const Refund = require("../models/refund");
+const { RAZORPAY_CONFIG } = require("../config/razorpay");
+const { createQuote } = require("../services/pricing");
+const {
+    createCheckout,
+    fulfillPayment,
+    isValidPaymentSignature,
+    isValidWebhookSignature,
+    handleWebhookEvent
+} = require("../services/checkout");
+const { OPEN_STATUSES, getRefundError } = require("../services/refunds");
 
-exports.capturePayment = async (req, res) => {
+const PURCHASE_STATUS_LABELS = {
+    paid: "Completed",
+    partially_refunded: "Partially Refunded",
+    refunded: "Refunded"
+};
+
+//   == Get Checkout Quote   ==
+// Prices the courses and coupon on the server, in the currency asked for when it can be charged;
+// the signed quote is what capturePayment accepts
+exports.getCheckoutQuote = async (req, res) => {
     try {
-        const { coursesId, couponCode, discountAmount } = req.body;
+        const { coursesId, couponCode, checkoutType, currency } = req.body;
         const userId = req.user.id;
 
-        // Validate coursesId
-        if (!coursesId || !Array.isArray(coursesId)) {
-            return res.status(400).json({
+        const result = await createQuote(userId, { coursesId, couponCode, checkoutType, currency });
+        if (result.error) {
+            return res.status(result.error.status).json({
                 success: false,
-                message: "Please provide valid course IDs"
+                message: result.error.message
             });
         }
 
-        // Check if user already enrolled in any of these courses
-        const user = await User.findById(userId);
-        const alreadyEnrolledCourses = coursesId.filter(courseId => 
-            user.courses.includes(courseId)
-        );
+        return res.status(200).json({
+            success: true,
+            message: "Quote created",
+            data: result
+        });
 
-        if (alreadyEnrolledCourses.length > 0) {
-            return res.status(400).json({
+    } catch (error) {
+        console.error("Error in getCheckoutQuote:", error);
+        res.status(500).json({
+            success: false,
+            message: "Could not price your order"
+        });
+    }
+};
+
+//   == Capture Payment   ==
+// Starts the checkout of a quote with a Razorpay order; the browser then opens the checkout with it
+exports.capturePayment = async (req, res) => {
+    try {
+        const { quote } = req.body;
+        const userId = req.user.id;
+
+        const result = await createCheckout(userId, quote);
+        if (result.error) {
+            const { status, message, ...data } = result.error;
+            return res.status(status).json({
                 success: false,
-                message: "You are already enrolled in one or more of these courses"
+                message,
+                // A fresh quote when the prices changed
+                ...(data.quote && { data })
             });
         }
 
-        // Get course details
-        const courses = await Course.find({ _id: { $in: coursesId } });
-        
-        if (!courses || courses.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: "Courses not found"
+        const { payment, order } = result;
+
+        // Nothing left to pay, the user is enrolled already
+        if (!order) {
+            return res.status(200).json({
+                success: true,
+                message: "Courses enrolled successfully",
+                data: {
+                    paymentId: payment._id,
+                    amount: 0,
+                    currency: payment.currency,
+                    enrolled: true
+                }
             });
         }
 
-        // Log coupon usage if provided
-        if (couponCode) {
-            console.log(`Coupon ${couponCode} applied for user ${userId}, discount: ${discountAmount}`);
-        }
+        console.log(`💳 Razorpay order ${order.id} for payment ${payment._id} (${payment.amount} ${payment.currency})`);
 
-        // For test development, proceed directly to enrollment
         return res.status(200).json({
             success: true,
-            message: "Proceed with enrollment",
-            couponApplied: !!couponCode
+            message: "Payment order created",
+            data: {
+                paymentId: payment._id,
+                orderId: order.id,
+                amount: order.amount, // paise
+                currency: order.currency,
+                keyId: RAZORPAY_CONFIG.KEY_ID,
+                checkoutUrl: RAZORPAY_CONFIG.CHECKOUT_URL,
+                coupon: payment.coupon?.code ? payment.coupon : null,
+                enrolled: false
+            }
         });
 
     } catch (error) {
@@ -62,122 +109,96 @@ exports.capturePayment = async (req, res) => {
     }
 };
 
+//   == Verify Payment   ==
+// Checks the signature Razorpay's checkout returned and enrolls the user
 exports.verifyPayment = async (req, res) => {
     try {
-        const { coursesId, couponCode, discountAmount } = req.body;
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
         const userId = req.user.id;
 
-        if (!coursesId || !Array.isArray(coursesId)) {
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
             return res.status(400).json({
                 success: false,
-                message: "Invalid course IDs provided"
+                message: "Payment details are missing"
             });
         }
 
-        // Find user and validate
-        const user = await User.findById(userId);
-        if (!user) {
-            throw new Error("User not found");
+        if (!isValidPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+            console.warn(`⚠️ Invalid payment signature for order ${razorpay_order_id}`);
+            return res.status(400).json({
+                success: false,
+                message: "Payment verification failed"
+            });
         }
 
-        // Validate courses exist
-        const courses = await Course.find({ _id: { $in: coursesId } });
-        if (courses.length !== coursesId.length) {
-            throw new Error("One or more courses not found");
+        const checkout = await Payment.findOne({ razorpayOrderId: razorpay_order_id }).select('user');
+        if (!checkout || checkout.user.toString() !== userId.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: "Payment not found"
+            });
         }
 
-        // Calculate final amounts for each course
-        const totalOriginalPrice = courses.reduce((sum, course) => sum + (course.price || 0), 0);
-        const totalDiscountAmount = discountAmount || 0;
-        const finalAmount = Math.max(0, totalOriginalPrice - totalDiscountAmount);
-        
-        // Create order records for each course with active status
-        const orderPromises = courses.map((course, index) => {
-            // Calculate proportional discount for each course if multiple courses
-            const courseOriginalPrice = course.price || 0;
-            const courseDiscountAmount = courses.length > 1 
-                ? Math.round((courseOriginalPrice / totalOriginalPrice) * totalDiscountAmount)
-                : totalDiscountAmount;
-            const courseFinalAmount = Math.max(0, courseOriginalPrice - courseDiscountAmount);
-
-            const orderData = {
-                user: userId,
-                course: course._id,
-                amount: courseFinalAmount,
-                originalPrice: courseOriginalPrice,
-                discountAmount: courseDiscountAmount,
-                status: true, // Set as active by default
-                paymentMethod: 'test', // Default payment method for testing
-                transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                purchaseDate: new Date()
-            };
+        // The webhook may have enrolled the user already
+        const { payment } = await fulfillPayment(
+            { razorpayOrderId: razorpay_order_id },
+            { razorpayPaymentId: razorpay_payment_id }
+        );
 
-            // Only add coupon information if coupon was actually used and has discount
-            if (couponCode && courseDiscountAmount > 0) {
-                orderData.couponUsed = {
-                    code: couponCode,
-                    discountType: 'flat', // Assuming flat discount for now
-                    discountValue: courseDiscountAmount,
-                    discountAmount: courseDiscountAmount
-                };
-            }
-            // If no coupon used, don't include couponUsed field at all to avoid validation errors
+        if (payment.status !== 'paid') {
+            return res.status(409).json({
+                success: false,
+                message: payment.status === 'refunded'
+                    ? "This payment has been refunded"
+                    : "Payment could not be completed"
+            });
+        }
 
-            return Order.create(orderData);
+        return res.status(200).json({
+            success: true,
+            message: "Courses enrolled successfully",
+            couponApplied: !!payment.coupon?.code
         });
 
-        const orders = await Promise.all(orderPromises);
-
-        // Add courses to user's enrolled courses using $addToSet to avoid duplicates
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            {
-                $addToSet: { courses: { $each: coursesId } }
-            },
-            { new: true }
-        );
+    } catch (error) {
+        console.error("Error in verifyPayment:", error);
+        return res.status(500).json({
+            success: false,
+            message: error.message || "Could not complete enrollment"
+        });
+    }
+};
 
-        // Update course student counts
-        await Course.updateMany(
-            { _id: { $in: coursesId } },
-            { $addToSet: { studentsEnrolled: userId } }
-        );
+//   == Razorpay Webhook   ==
+// Receives the raw body (see server.js), as the signature covers it byte for byte
+exports.razorpayWebhook = async (req, res) => {
+    try {
+        const signature = req.get('x-razorpay-signature');
+        const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
 
-        // If a coupon was used, log the usage
-        if (couponCode) {
-            console.log(`Verifying enrollment with coupon ${couponCode} for user ${userId}`);
-            console.log(`Applied discount amount: ${discountAmount}`);
+        if (!isValidWebhookSignature(rawBody, signature)) {
+            console.warn('⚠️ Razorpay webhook with an invalid signature');
+            return res.status(400).json({
+                success: false,
+                message: "Invalid signature"
+            });
         }
 
-        // Send confirmation emails
-        for (const course of courses) {
-            try {
-                const emailSubject = couponCode 
-                    ? `Successfully enrolled in ${course.courseName} with coupon ${couponCode}`
-                    : `Successfully enrolled in ${course.courseName}`;
-
-                await mailSender(
-                    updatedUser.email,
-                    emailSubject,
-                    courseEnrollmentEmail(course.courseName, updatedUser.firstName)
-                );
-            } catch (emailError) {
-                console.error("Error sending enrollment email:", emailError);
-                // Don't fail the enrollment if email fails
-            }
-        }
+        const event = JSON.parse(rawBody.toString('utf8'));
+        const outcome = await handleWebhookEvent(event, req.get('x-razorpay-event-id'));
+        console.log(`🔔 Razorpay webhook ${event.event}: ${outcome}`);
 
         return res.status(200).json({
             success: true,
-            message: "Courses enrolled successfully",
-            couponApplied: !!couponCode
+            message: outcome
         });
 
     } catch (error) {
-        console.error("Error in verifyPayment:", error);
+        console.error("Error handling Razorpay webhook:", error);
+        // A non-2xx answer makes Razorpay deliver the event again
         return res.status(500).json({
             success: false,
-            message: error.message || "Could not complete enrollment"
+            message: "Could not handle webhook"
         });
     }
 };
@@ -186,8 +207,8 @@ exports.getPurchaseHistory = async (req, res) => {
     try {
         const userId = req.user.id;
 
-        // Find all orders for the user and populate course and user details
-        const orders = await Order.find({ user: userId, status: true })
+        // Find all paid orders for the user (refunded ones included) and populate course and user details
+        const orders = await Order.find({ user: userId, paymentStatus: { $nin: ['pending', 'failed'] } })
             .populate({
                 path: 'course',
                 model: 'Course',
@@ -218,26 +239,47 @@ exports.getPurchaseHistory = async (req, res) => {
             });
         }
 
+        // The latest refund request of each order
+        const refunds = await Refund.find({ order: { $in: orders.map(order => order._id) } }).sort({ createdAt: -1 });
+        const latestRefund = (order) => refunds.find(refund => refund.order.toString() === order._id.toString());
+
         // Transform the orders data to include all necessary details for invoices
-        const purchaseHistory = orders.map(order => ({
-            _id: order._id,
-            courseName: order.course?.courseName || 'N/A',
-            courseDescription: order.course?.description || '',
-            thumbnail: order.course?.thumbnail || '',
-            price: order.amount || 0,
-            originalPrice: order.originalPrice || order.amount || 0,
-            discountAmount: order.discountAmount || 0,
-            purchaseDate: order.purchaseDate,
-            status: "Completed",
-            // Order details for invoice
-            transactionId: order.transactionId,
-            paymentMethod: order.paymentMethod,
-            // Coupon information
-            couponUsed: order.couponUsed || null,
-            // Course and user details for invoice
-            course: order.course,
-            user: order.user
-        }));
+        const purchaseHistory = orders.map(order => {
+            const refund = latestRefund(order);
+            const refundOpen = Boolean(refund && OPEN_STATUSES.includes(refund.status));
+            return {
+                _id: order._id,
+                courseName: order.course?.courseName || 'N/A',
+                courseDescription: order.course?.description || '',
+                thumbnail: order.course?.thumbnail || '',
+                price: order.amount || 0,
+                originalPrice: order.originalPrice || order.amount || 0,
+                discountAmount: order.discountAmount || 0,
+                currency: order.currency || 'INR',
+                purchaseDate: order.purchaseDate,
+                status: PURCHASE_STATUS_LABELS[order.paymentStatus] || "Completed",
+                paymentStatus: order.paymentStatus,
+                refundedAmount: order.refundedAmount || 0,
+                isActive: order.status,
+                // Refund details
+                refund: refund ? {
+                    _id: refund._id,
+                    status: refund.status,
+                    amount: refund.amount,
+                    adminNote: refund.adminNote,
+                    createdAt: refund.createdAt
+                } : null,
+                canRequestRefund: order.amount > 0 && !refundOpen && !getRefundError(order),
+                // Order details for invoice
+                transactionId: order.transactionId,
+                paymentMethod: order.paymentMethod,
+                // Coupon information
+                couponUsed: order.couponUsed || null,
+                // Course and user details for invoice
+                course: order.course,
+                user: order.user
+            };
+        });
 
         return res.status(200).json({
             success: true,
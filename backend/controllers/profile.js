@@ -11,6 +11,8 @@ const RatingAndReview = require('../models/ratingAndReview');
 const { uploadImageToSupabase, deleteFileFromSupabase } = require('../utils/supabaseUploader');
 const { convertSecondsToDuration } = require('../utils/secToDuration');
 const { cleanupCourseFiles } = require('../utils/fileCleanup');
+const { GST_STATES, GSTIN_PATTERN } = require('../config/invoice');
+const { isSupported } = require('../services/currency');
 
 
 
@@ -19,7 +21,27 @@ const { cleanupCourseFiles } = require('../utils/fileCleanup');
 exports.updateProfile = async (req, res) => {
     try {
         // extract data
-        const { gender = '', dateOfBirth = "", about = "", contactNumber = '', firstName, lastName } = req.body;
+        const { gender = '', dateOfBirth = "", about = "", contactNumber = '', firstName, lastName, billingAddress, billingStateCode, gstin, currency } = req.body;
+
+        // Billing details are optional and only changed when sent
+        if (billingStateCode && !GST_STATES[billingStateCode]) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid billing state'
+            });
+        }
+        if (gstin && !GSTIN_PATTERN.test(gstin.trim().toUpperCase())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid GSTIN'
+            });
+        }
+        if (currency && !isSupported(String(currency).toUpperCase())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unsupported currency'
+            });
+        }
 
         // extract userId
         const userId = req.user.id;
@@ -41,6 +63,10 @@ exports.updateProfile = async (req, res) => {
         profileDetails.dateOfBirth = dateOfBirth;
         profileDetails.about = about;
         profileDetails.contactNumber = contactNumber;
+        if (billingAddress !== undefined) profileDetails.billingAddress = billingAddress;
+        if (billingStateCode !== undefined) profileDetails.billingStateCode = billingStateCode;
+        if (gstin !== undefined) profileDetails.gstin = gstin;
+        if (currency !== undefined) profileDetails.currency = currency || null;
 
         // save data to DB
         await profileDetails.save();
@@ -377,10 +403,12 @@ exports.getEnrolledCourses = async (req, res) => {
                 isDeactivated = true;
                 isAccessible = false;
             } else {
-                // Check if there's any order (active or inactive) for this course
-                const anyOrder = await Order.findOne({
+                // Check if there's any order (active or inactive) for this course; an active one wins,
+                // as a course bought again after a refund also has the refunded order
+                const anyOrder = activeOrder || await Order.findOne({
                     user: userId,
-                    course: course._id
+                    course: course._id,
+                    paymentStatus: { $nin: ['pending', 'failed'] }
                 });
                 
                 if (anyOrder) {
@@ -0,0 +1,320 @@
+const QuestionBank = require('../models/questionBank');
+const Quiz = require('../models/quiz');
+const { validateScoringRules } = require('../services/quizScoring');
+const { getFormat, listFormats, exportQuestions } = require('../services/quizFormats');
+const { canManageBank } = require('../services/quizPaper');
+
+const QUESTION_TYPES = ['multipleChoice', 'singleAnswer', 'shortAnswer', 'longAnswer', 'matchTheFollowing', 'codeSolve'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CODE_LANGUAGES = ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql', 'open'];
+
+// Validate the questions of a bank; returns an error message or null
+const validateBankQuestions = (questions) => {
+    if (!Array.isArray(questions)) {
+        return 'Questions must be an array';
+    }
+
+    for (let i = 0; i < questions.length; i++) {
+        const question = questions[i];
+        const position = `Question ${i + 1}`;
+
+        if (!question.questionText || !question.questionText.trim()) {
+            return `${position}: question text is required`;
+        }
+        if (!QUESTION_TYPES.includes(question.questionType)) {
+            return `${position}: invalid question type`;
+        }
+        if (question.difficulty && !DIFFICULTIES.includes(question.difficulty)) {
+            return `${position}: difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+        }
+        const scoringError = validateScoringRules(question);
+        if (scoringError) {
+            return `${position}: ${scoringError}`;
+        }
+        if (question.questionType === 'codeSolve') {
+            if (!Array.isArray(question.testCases) || question.testCases.length === 0) {
+                return `${position}: code solving questions must have at least one test case`;
+            }
+            if (question.testCases.some(testCase => !testCase.expectedOutput || testCase.expectedOutput.trim() === '')) {
+                return `${position}: all test cases must have expected output`;
+            }
+            if (!CODE_LANGUAGES.includes(question.programmingLanguage)) {
+                return `${position}: code solving questions must have a valid programming language`;
+            }
+        }
+    }
+
+    return null;
+};
+
+// Question counts per difficulty and the topics used, for building draw rules
+const summarizeBank = (bank) => {
+    const difficultyCounts = { easy: 0, medium: 0, hard: 0 };
+    const topics = new Set();
+
+    for (const question of bank.questions) {
+        difficultyCounts[question.difficulty || 'medium']++;
+        if (question.topic) topics.add(question.topic);
+    }
+
+    return {
+        _id: bank._id,
+        title: bank.title,
+        description: bank.description,
+        course: bank.course,
+        createdBy: bank.createdBy,
+        questionCount: bank.questions.length,
+        difficultyCounts,
+        topics: [...topics].sort(),
+        updatedAt: bank.updatedAt
+    };
+};
+
+// Create a question bank
+exports.createQuestionBank = async (req, res) => {
+    try {
+        const { title, description, courseId, questions = [] } = req.body;
+
+        if (!title || !title.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Title is required'
+            });
+        }
+
+        const questionError = validateBankQuestions(questions);
+        if (questionError) {
+            return res.status(400).json({
+                success: false,
+                message: questionError
+            });
+        }
+
+        const bank = await QuestionBank.create({
+            title,
+            description: description || '',
+            course: courseId || null,
+            createdBy: req.user.id,
+            questions
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Question bank created successfully',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error creating question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating question bank',
+            error: error.message
+        });
+    }
+};
+
+// List question banks with their question counts
+exports.getQuestionBanks = async (req, res) => {
+    try {
+        const filter = req.user.accountType === 'Admin' ? {} : { createdBy: req.user.id };
+        if (req.query.courseId) {
+            // Banks of the course plus banks that are not tied to a course
+            filter.course = { $in: [req.query.courseId, null] };
+        }
+
+        const banks = await QuestionBank.find(filter).sort({ updatedAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: banks.map(summarizeBank)
+        });
+    } catch (error) {
+        console.error('Error fetching question banks:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching question banks',
+            error: error.message
+        });
+    }
+};
+
+// Get a question bank with its questions
+exports.getQuestionBankById = async (req, res) => {
+    try {
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canManageBank(req.user, bank)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view your own question banks'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error fetching question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching question bank',
+            error: error.message
+        });
+    }
+};
+
+// Update the details and questions of a question bank
+exports.updateQuestionBank = async (req, res) => {
+    try {
+        const { title, description, courseId, questions } = req.body;
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canManageBank(req.user, bank)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit your own question banks'
+            });
+        }
+
+        if (title !== undefined) {
+            if (!title.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Title cannot be empty'
+                });
+            }
+            bank.title = title;
+        }
+        if (description !== undefined) bank.description = description;
+        if (courseId !== undefined) bank.course = courseId || null;
+
+        if (questions !== undefined) {
+            const questionError = validateBankQuestions(questions);
+            if (questionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: questionError
+                });
+            }
+            // Attempts keep their own copy of drawn questions, so editing the bank never changes past papers
+            bank.questions = questions;
+        }
+
+        await bank.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question bank updated successfully',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error updating question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating question bank',
+            error: error.message
+        });
+    }
+};
+
+// Delete a question bank that no quiz draws from
+exports.deleteQuestionBank = async (req, res) => {
+    try {
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canManageBank(req.user, bank)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own question banks'
+            });
+        }
+
+        const usedBy = await Quiz.countDocuments({ 'drawRules.bank': bank._id });
+        if (usedBy > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `This question bank is used by ${usedBy} quiz(zes). Remove it from their draw rules first.`
+            });
+        }
+
+        await bank.deleteOne();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question bank deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting question bank',
+            error: error.message
+        });
+    }
+};
+
+// Export the questions of a question bank
+exports.exportQuestionBank = async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+
+        if (!getFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${listFormats().map(item => item.name).join(', ')}`
+            });
+        }
+
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canManageBank(req.user, bank)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only export your own question banks'
+            });
+        }
+
+        const { content, extension, mimeType } = exportQuestions(format, [{ path: [bank.title], questions: bank.questions }]);
+        const fileName = `bank-${bank.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.${extension}`;
+
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.status(200).send(content);
+    } catch (error) {
+        console.error('Error exporting question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error exporting question bank',
+            error: error.message
+        });
+    }
+};
@@ -2,8 +2,32 @@ const Quiz = require('../models/quiz');
 const CourseProgress = require('../models/courseProgress');
 const SubSection = require('../models/subSection');
 const Course = require('../models/course');
-const { executeCode } = require('../services/codeExecution');
+const QuizAttempt = require('../models/quizAttempt');
+const { buildAttemptResult } = require('../services/gradingQueue');
+const { scoreQuizAnswers, validateScoringRules } = require('../services/quizScoring');
+const {
+    verifyAttemptToken,
+    isAttemptOverdue,
+    buildAttemptSession,
+    startAttempt,
+    saveAttemptAnswers,
+    completeAttempt
+} = require('../services/quizAttempts');
+const {
+    MAX_QUIZ_QUESTIONS,
+    getPaperQuestions,
+    toStudentQuiz,
+    parseQuizPaperSettings,
+    countDrawnQuestions,
+    checkDrawRulePools
+} = require('../services/quizPaper');
+const { getReviewQueue, validateGrades, gradeAttempt } = require('../services/manualGrading');
+const { analyzeQuizAttempts } = require('../services/quizAnalytics');
+const { QUIZ_ATTEMPT_CONFIG, QUIZ_IMPORT_CONFIG } = require('../config/quiz');
+const { getFormat, listFormats, importQuestions, exportQuestions } = require('../services/quizFormats');
+const { getQuizPolicy, parseQuizPolicy, getAttemptState, checkAttemptEligibility } = require('../services/quizPolicy');
 const { handleNewContentAddition } = require('../utils/certificateRegeneration');
+const { canWatchCourse } = require('../utils/courseAccess');
 
 // Create a new quiz
 exports.createQuiz = async (req, res) => {
@@ -17,11 +41,29 @@ exports.createQuiz = async (req, res) => {
             });
         }
 
-        // Validate questions array
-        if (!Array.isArray(questions) || questions.length < 1 || questions.length > 25) {
+        // Validate question bank draws and shuffle settings if provided
+        const { settings: paperSettings, error: paperError } = parseQuizPaperSettings(req.body);
+        if (paperError) {
             return res.status(400).json({
                 success: false,
-                message: 'Questions must be an array with 1 to 25 items'
+                message: paperError
+            });
+        }
+
+        // Validate questions array; drawn bank questions count towards the limit
+        const drawnCount = countDrawnQuestions(paperSettings.drawRules);
+        if (!Array.isArray(questions) || questions.length + drawnCount < 1 || questions.length + drawnCount > MAX_QUIZ_QUESTIONS) {
+            return res.status(400).json({
+                success: false,
+                message: `A quiz must have 1 to ${MAX_QUIZ_QUESTIONS} questions, including questions drawn from banks`
+            });
+        }
+
+        const poolError = await checkDrawRulePools(paperSettings.drawRules, req.user);
+        if (poolError) {
+            return res.status(poolError.status).json({
+                success: false,
+                message: poolError.message
             });
         }
 
@@ -35,8 +77,25 @@ exports.createQuiz = async (req, res) => {
             }
         }
 
-        // Validate code solving questions
+        // Validate attempt policy settings if provided
+        const { policy, error: policyError } = parseQuizPolicy(req.body);
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                message: policyError
+            });
+        }
+
+        // Validate scoring rules and code solving questions
         for (const question of questions) {
+            const scoringError = validateScoringRules(question);
+            if (scoringError) {
+                return res.status(400).json({
+                    success: false,
+                    message: scoringError
+                });
+            }
+
             if (question.questionType === 'codeSolve') {
                 if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
                     return res.status(400).json({
@@ -78,7 +137,9 @@ exports.createQuiz = async (req, res) => {
         // Create quiz data
         const quizData = {
             subSection: subSectionId,
-            questions
+            questions,
+            ...policy,
+            ...paperSettings
         };
 
         // Add timeLimit if provided, otherwise use default
@@ -112,7 +173,7 @@ exports.createQuiz = async (req, res) => {
                         {
                             subSectionId,
                             quizId: quiz._id,
-                            questionsCount: questions.length,
+                            questionsCount: questions.length + drawnCount,
                             timeLimit: quiz.timeLimit
                         }
                     );
@@ -151,11 +212,36 @@ exports.updateQuiz = async (req, res) => {
             });
         }
 
-        // Validate questions array
-        if (!Array.isArray(questions) || questions.length < 1 || questions.length > 25) {
+        // Validate question bank draws and shuffle settings if provided
+        const { settings: paperSettings, error: paperError } = parseQuizPaperSettings(req.body);
+        if (paperError) {
+            return res.status(400).json({
+                success: false,
+                message: paperError
+            });
+        }
+
+        // Draw rules left out of the request stay as they are
+        let drawRules = paperSettings.drawRules;
+        if (drawRules === undefined) {
+            const currentQuiz = await Quiz.findById(quizId).select('drawRules');
+            drawRules = currentQuiz ? currentQuiz.drawRules : [];
+        }
+
+        // Validate questions array; drawn bank questions count towards the limit
+        const drawnCount = countDrawnQuestions(drawRules);
+        if (!Array.isArray(questions) || questions.length + drawnCount < 1 || questions.length + drawnCount > MAX_QUIZ_QUESTIONS) {
             return res.status(400).json({
                 success: false,
-                message: 'Questions must be an array with 1 to 25 items'
+                message: `A quiz must have 1 to ${MAX_QUIZ_QUESTIONS} questions, including questions drawn from banks`
+            });
+        }
+
+        const poolError = await checkDrawRulePools(paperSettings.drawRules, req.user);
+        if (poolError) {
+            return res.status(poolError.status).json({
+                success: false,
+                message: poolError.message
             });
         }
 
@@ -169,8 +255,25 @@ exports.updateQuiz = async (req, res) => {
             }
         }
 
-        // Validate code solving questions
+        // Validate attempt policy settings if provided
+        const { policy, error: policyError } = parseQuizPolicy(req.body);
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                message: policyError
+            });
+        }
+
+        // Validate scoring rules and code solving questions
         for (const question of questions) {
+            const scoringError = validateScoringRules(question);
+            if (scoringError) {
+                return res.status(400).json({
+                    success: false,
+                    message: scoringError
+                });
+            }
+
             if (question.questionType === 'codeSolve') {
                 if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
                     return res.status(400).json({
@@ -201,7 +304,7 @@ exports.updateQuiz = async (req, res) => {
         }
 
         // Create update data
-        const updateData = { questions };
+        const updateData = { questions, ...policy, ...paperSettings };
         if (timeLimit !== undefined) {
             updateData.timeLimit = timeLimit;
         }
@@ -243,7 +346,7 @@ exports.updateQuiz = async (req, res) => {
                             {
                                 subSectionId: subSection._id,
                                 quizId: quiz._id,
-                                questionsCount: questions.length,
+                                questionsCount: questions.length + drawnCount,
                                 timeLimit: quiz.timeLimit,
                                 updateType: 'modification'
                             }
@@ -306,9 +409,12 @@ exports.getQuizById = async (req, res) => {
             });
         }
 
+        // Only admins and the course's instructor get the answer keys
+        const canManage = await canManageCourseQuizzes(req.user, await findQuizCourseId(quiz));
+
         return res.status(200).json({
             success: true,
-            data: quiz
+            data: canManage ? quiz : toStudentQuiz(quiz)
         });
     } catch (error) {
         console.error('Error fetching quiz:', error);
@@ -357,45 +463,60 @@ exports.getQuizResults = async (req, res) => {
 };
 
 // Validate section access
+// A section unlocks once every quiz in the earlier sections of its course has been passed
+// with that quiz's own passing percentage
 exports.validateSectionAccess = async (req, res) => {
     try {
         const { sectionId } = req.params;
         const userId = req.user.id;
 
-        // Get all subsections in the section with quizzes
-        const subsections = await SubSection.find({
-            section: sectionId,
-            quiz: { $exists: true }
-        }).sort('createdAt');
+        const course = await Course.findOne({ courseContent: sectionId })
+            .populate({
+                path: 'courseContent',
+                populate: {
+                    path: 'subSection',
+                    populate: {
+                        path: 'quiz',
+                        select: 'passingPercentage'
+                    }
+                }
+            });
 
-        if (!subsections.length) {
-            return res.status(200).json({
-                success: true,
-                canAccess: true
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Section not found'
             });
         }
 
-        // Get user's course progress
-        const courseProgress = await CourseProgress.findOne({ userId });
-        
-        if (!courseProgress) {
+        const sectionIndex = course.courseContent.findIndex(
+            section => section._id.toString() === sectionId
+        );
+
+        // Quizzes that have to be passed before this section
+        const requiredQuizzes = course.courseContent
+            .slice(0, sectionIndex)
+            .flatMap(section => section.subSection || [])
+            .filter(subsection => subsection.quiz);
+
+        if (!requiredQuizzes.length) {
             return res.status(200).json({
                 success: true,
-                canAccess: subsections[0]._id === sectionId
+                canAccess: true
             });
         }
 
-        // Check if all previous quizzes are passed with 60% or higher
-        for (const subsection of subsections) {
-            if (subsection._id === sectionId) {
-                break;
-            }
-            
-            if (!courseProgress.passedQuizzes.includes(subsection._id)) {
+        // Get user's course progress
+        const courseProgress = await CourseProgress.findOne({ userId, courseID: course._id });
+        const passedQuizzes = (courseProgress?.passedQuizzes || []).map(id => id.toString());
+
+        for (const subsection of requiredQuizzes) {
+            if (!passedQuizzes.includes(subsection._id.toString())) {
+                const { passingPercentage } = getQuizPolicy(subsection.quiz);
                 return res.status(200).json({
                     success: true,
                     canAccess: false,
-                    message: 'Pass previous quizzes with at least 60% to unlock this section'
+                    message: `Pass "${subsection.title}" with at least ${passingPercentage}% to unlock this section`
                 });
             }
         }
@@ -414,77 +535,277 @@ exports.validateSectionAccess = async (req, res) => {
     }
 };
 
-// Submit quiz answers and validate
-// Get quiz status (passed/failed/attempts)
+// Get quiz status (passed/failed/attempts) together with the quiz's attempt policy
 exports.getQuizStatus = async (req, res) => {
     try {
         const { quizId } = req.params;
         const userId = req.user.id;
 
-        const courseProgress = await CourseProgress.findOne({
-            userId,
-            'quizResults.quiz': quizId
+        const quiz = await Quiz.findById(quizId)
+            .select('subSection passingPercentage maxAttempts cooldownMinutes allowRetakeAfterPass scoringMode');
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        // Submission still in the grading queue, if any (clients poll this while waiting)
+        const pendingAttempt = await QuizAttempt.findOne({
+            user: userId,
+            quiz: quizId,
+            status: { $in: ['pending', 'grading'] }
+        }).sort({ submittedAt: -1 });
+
+        const grading = pendingAttempt ? {
+            attemptId: pendingAttempt._id,
+            status: pendingAttempt.status,
+            submittedAt: pendingAttempt.submittedAt
+        } : null;
+
+        // Latest submission whose short/long answers are waiting for an instructor
+        const reviewAttempt = await QuizAttempt.findOne({ user: userId, quiz: quizId, status: 'review' })
+            .sort({ submittedAt: -1 });
+        const awaitingReview = reviewAttempt ? {
+            attemptId: reviewAttempt._id,
+            score: reviewAttempt.score,
+            totalMarks: reviewAttempt.totalMarks,
+            percentage: reviewAttempt.percentage,
+            submittedAt: reviewAttempt.submittedAt
+        } : null;
+
+        // Attempt started but not submitted yet (resumable until its deadline)
+        const openAttempt = await QuizAttempt.findOne({ user: userId, quiz: quizId, status: 'in_progress' });
+        const inProgress = openAttempt && !isAttemptOverdue(openAttempt) ? {
+            attemptId: openAttempt._id,
+            startedAt: openAttempt.startedAt,
+            expiresAt: openAttempt.expiresAt,
+            timeRemaining: Math.max(0, Math.ceil((openAttempt.expiresAt.getTime() - Date.now()) / 1000))
+        } : null;
+
+        const policy = getQuizPolicy(quiz);
+        const attemptState = await getAttemptState(userId, quiz);
+        const eligibility = checkAttemptEligibility(policy, attemptState);
+        const quizResult = attemptState.quizResult;
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                attempts: quizResult ? quizResult.attempts : 0,
+                passed: attemptState.passed,
+                lastAttempt: quizResult ? {
+                    score: quizResult.score,
+                    totalMarks: quizResult.totalMarks,
+                    percentage: quizResult.percentage,
+                    completedAt: quizResult.completedAt
+                } : null,
+                grading,
+                awaitingReview,
+                inProgress,
+                policy,
+                canAttempt: (eligibility.canAttempt || Boolean(inProgress)) && !grading,
+                reason: eligibility.reason,
+                attemptsRemaining: eligibility.attemptsRemaining,
+                nextAttemptAt: eligibility.nextAttemptAt
+            }
         });
+    } catch (error) {
+        console.error('Error getting quiz status:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error getting quiz status',
+            error: error.message
+        });
+    }
+};
 
-        if (!courseProgress) {
-            return res.status(200).json({
-                success: true,
+// Start a timed quiz attempt, or resume the one already in progress
+exports.startQuizAttempt = async (req, res) => {
+    try {
+        const { quizId } = req.body;
+        const userId = req.user.id;
+
+        if (!quizId) {
+            return res.status(400).json({
+                success: false,
+                message: 'quizId is required'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        // The lecture and course come from the quiz, never from the request; passing an
+        // attempt marks exactly that lecture's quiz as passed
+        const course = quiz.subSection
+            ? await findQuizCourse(quiz, '_id courseType adminSetFree instructor')
+            : null;
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'This quiz is not part of a course'
+            });
+        }
+
+        if (!await canWatchCourse(req.user, course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Course access has been disabled or not purchased.'
+            });
+        }
+
+        // Resume an open attempt; the clock keeps running from its original start
+        const openAttempt = await QuizAttempt.findOne({ user: userId, quiz: quiz._id, status: 'in_progress' });
+        if (openAttempt) {
+            if (!isAttemptOverdue(openAttempt)) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Resuming your quiz attempt',
+                    data: buildAttemptSession(openAttempt, true)
+                });
+            }
+            // Ran out of time while away - submit what was saved before deciding on a new attempt
+            await completeAttempt(openAttempt._id);
+        }
+
+        // Only one submission per quiz can be in the grading queue at a time
+        const pendingAttempt = await QuizAttempt.findOne({
+            user: userId,
+            quiz: quiz._id,
+            status: { $in: ['pending', 'grading'] }
+        });
+        if (pendingAttempt) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your previous submission for this quiz is still being graded.',
+                data: buildAttemptResult(pendingAttempt)
+            });
+        }
+
+        // Enforce the quiz's attempt policy (retakes, attempt limit, cooldown)
+        const policy = getQuizPolicy(quiz);
+        const attemptState = await getAttemptState(userId, quiz);
+        const eligibility = checkAttemptEligibility(policy, attemptState);
+
+        if (!eligibility.canAttempt) {
+            const existingResult = attemptState.quizResult;
+            return res.status(eligibility.code === 'COOLDOWN' ? 429 : eligibility.code === 'MAX_ATTEMPTS' ? 403 : 400).json({
+                success: false,
+                message: eligibility.reason,
+                code: eligibility.code,
                 data: {
-                    attempts: 0,
-                    passed: false,
-                    lastAttempt: null
+                    score: existingResult?.score,
+                    totalMarks: existingResult?.totalMarks,
+                    percentage: existingResult?.percentage,
+                    passed: attemptState.passed,
+                    attemptsRemaining: eligibility.attemptsRemaining,
+                    nextAttemptAt: eligibility.nextAttemptAt
                 }
             });
         }
 
-        const quizResult = courseProgress.quizResults.find(
-            result => result.quiz.toString() === quizId
-        );
+        let attempt;
+        try {
+            attempt = await startAttempt({ userId, quiz, courseId: course._id });
+        } catch (error) {
+            // Another request opened an attempt at the same time - resume that one
+            if (error.code !== 11000) throw error;
+            attempt = await QuizAttempt.findOne({ user: userId, quiz: quiz._id, status: 'in_progress' });
+            if (!attempt) throw error;
+        }
+
+        console.log(`Quiz attempt ${attempt._id} started, due at ${attempt.expiresAt.toISOString()}`);
+
+        return res.status(201).json({
+            success: true,
+            message: 'Quiz attempt started',
+            data: buildAttemptSession(attempt)
+        });
+    } catch (error) {
+        console.error('Error starting quiz attempt:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error starting quiz attempt',
+            error: error.message
+        });
+    }
+};
+
+// Autosave the answers of an in-progress attempt
+exports.autosaveQuizAttempt = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { attemptToken, answers, questionTimes } = req.body;
+        const userId = req.user.id;
+
+        const tokenPayload = verifyAttemptToken(attemptToken, userId);
+        if (!tokenPayload || tokenPayload.attemptId !== attemptId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid attempt token'
+            });
+        }
+
+        if (!answers || typeof answers !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: 'answers object is required'
+            });
+        }
 
-        if (!quizResult) {
+        const saved = await saveAttemptAnswers(attemptId, answers, questionTimes);
+        if (saved) {
             return res.status(200).json({
                 success: true,
                 data: {
-                    attempts: 0,
-                    passed: false,
-                    lastAttempt: null
+                    expired: false,
+                    lastSavedAt: saved.lastSavedAt,
+                    timeRemaining: Math.max(0, Math.ceil((saved.expiresAt.getTime() - Date.now()) / 1000))
                 }
             });
         }
 
-        return res.status(200).json({
-            success: true,
+        // Not open any more: either already submitted or out of time
+        let attempt = await QuizAttempt.findById(attemptId);
+        if (attempt && attempt.status === 'in_progress' && isAttemptOverdue(attempt)) {
+            attempt = await completeAttempt(attempt._id) || await QuizAttempt.findById(attemptId);
+        }
+
+        return res.status(409).json({
+            success: false,
+            message: 'Time is up. Your quiz was submitted with your last saved answers.',
             data: {
-                attempts: quizResult.attempts,
-                passed: quizResult.passed,
-                lastAttempt: {
-                    score: quizResult.score,
-                    totalMarks: quizResult.totalMarks,
-                    percentage: quizResult.percentage,
-                    completedAt: quizResult.completedAt
-                }
+                expired: true,
+                result: attempt ? buildAttemptResult(attempt) : null
             }
         });
     } catch (error) {
-        console.error('Error getting quiz status:', error);
+        console.error('Error autosaving quiz attempt:', error);
         return res.status(500).json({
             success: false,
-            message: 'Error getting quiz status',
+            message: 'Error saving quiz answers',
             error: error.message
         });
     }
 };
 
+// Submit quiz answers and validate
+// Time is checked against the attempt's server-side deadline; late submissions are
+// completed with the answers that were saved before the deadline.
 exports.submitQuiz = async (req, res) => {
     console.log('=== QUIZ SUBMISSION START ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
     console.log('User:', req.user);
     
     try {
-        const { quizId, courseID, subsectionId, answers, timerExpired } = req.body;
+        const { quizId, attemptToken, answers, questionTimes } = req.body;
         const userId = req.user?.id;
 
-        console.log('Extracted data:', { quizId, courseID, subsectionId, userId, timerExpired });
+        console.log('Extracted data:', { quizId, userId });
 
         // Validate user
         if (!userId) {
@@ -503,22 +824,6 @@ exports.submitQuiz = async (req, res) => {
             });
         }
 
-        if (!courseID) {
-            console.log('ERROR: courseID missing');
-            return res.status(400).json({
-                success: false,
-                message: 'courseID is required'
-            });
-        }
-
-        if (!subsectionId) {
-            console.log('ERROR: subsectionId missing');
-            return res.status(400).json({
-                success: false,
-                message: 'subsectionId is required'
-            });
-        }
-
         // Validate answers object
         if (!answers || typeof answers !== 'object') {
             console.log('ERROR: answers object invalid');
@@ -528,279 +833,88 @@ exports.submitQuiz = async (req, res) => {
             });
         }
 
-        console.log('All validations passed, finding quiz...');
+        const tokenPayload = verifyAttemptToken(attemptToken, userId);
+        if (!tokenPayload || tokenPayload.quizId !== quizId) {
+            console.log('ERROR: invalid attempt token');
+            return res.status(400).json({
+                success: false,
+                message: 'Start the quiz before submitting answers'
+            });
+        }
 
-        // Find quiz
-        const quiz = await Quiz.findById(quizId);
-        if (!quiz) {
-            console.log('ERROR: Quiz not found for ID:', quizId);
+        const attempt = await QuizAttempt.findById(tokenPayload.attemptId);
+        if (!attempt) {
             return res.status(404).json({
                 success: false,
-                message: 'Quiz not found'
+                message: 'Quiz attempt not found'
             });
         }
 
-        console.log('Quiz found:', quiz.title || 'Untitled Quiz');
-
-        // Find existing course progress
-        console.log('Finding course progress for:', { userId, courseID });
-        let courseProgress = await CourseProgress.findOne({ userId, courseID });
-        console.log('Found course progress:', courseProgress ? 'Yes' : 'No');
-        
-        // Check if quiz is already passed
-        const existingResult = courseProgress?.quizResults?.find(
-            result => result.quiz.toString() === quiz._id.toString() && result.passed
-        );
-        console.log('Existing quiz result:', existingResult ? 'Yes (Passed)' : 'No');
-        
-        if (existingResult) {
-            console.log('Quiz already passed, returning existing result');
-            return res.status(400).json({
+        if (attempt.status !== 'in_progress') {
+            return res.status(409).json({
                 success: false,
-                message: 'Quiz already passed. Retakes not allowed for passed quizzes.',
-                data: {
-                    score: existingResult.score,
-                    totalMarks: existingResult.totalMarks,
-                    percentage: existingResult.percentage,
-                    passed: true
-                }
+                message: 'This attempt has already been submitted.',
+                data: buildAttemptResult(attempt)
             });
         }
 
-        console.log('Starting score calculation...');
-
-        // Validate required questions and calculate score
-        let score = 0;
-        let totalMarks = 0;
-        const unansweredQuestions = [];
+        const now = new Date();
+        const overdue = isAttemptOverdue(attempt, now);
+        // Within the grace period around the deadline unanswered questions are accepted
+        const timeIsUp = now.getTime() >= attempt.expiresAt.getTime() - QUIZ_ATTEMPT_CONFIG.GRACE_PERIOD;
 
-        for (let i = 0; i < quiz.questions.length; i++) {
-            const question = quiz.questions[i];
-            const questionId = question._id.toString();
-            
-            totalMarks += question.marks;
-
-            // Check if question is answered based on question type
-            let isAnswered = false;
-            let isCorrect = false;
-
-            // Check if answer exists for this question
-            const answer = answers[questionId];
-
-            if (question.questionType === 'codeSolve') {
-                // For code solving questions
-                isAnswered = answer && typeof answer.code === 'string' && answer.code.trim() !== '';
-                
-                if (isAnswered) {
-                    // Execute code against test cases
-                    try {
-                        const testResults = await Promise.all(question.testCases.map(async testCase => {
-                            const result = await executeCode(
-                                answer.code,
-                                question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage,
-                                testCase.input
-                            );
-                            
-                            // Clean up output (remove trailing newlines, etc)
-                            const cleanOutput = (output) => output.trim().replace(/\r\n/g, '\n');
-                            const expectedOutput = cleanOutput(testCase.expectedOutput);
-                            const actualOutput = cleanOutput(result.data.stdout || '');
-                            
-                            return {
-                                passed: expectedOutput === actualOutput,
-                                input: testCase.input,
-                                expectedOutput,
-                                actualOutput,
-                                error: result.data.stderr || null
-                            };
-                        }));
-
-                        // Question is correct if all test cases pass
-                        isCorrect = testResults.every(result => result.passed);
-                        
-                        // Store test results for feedback
-                        answer.testResults = testResults;
-                    } catch (error) {
-                        console.error('Code execution error:', error);
-                        isCorrect = false;
-                        answer.error = error.message;
-                    }
-                }
-            } else if (question.questionType === 'matchTheFollowing') {
-                // For match the following, check if all pairs are answered
-                const hasAllMatches = question.options.every((_, optionIndex) => 
-                    answers[`${questionId}_${optionIndex}`] !== undefined && 
-                    answers[`${questionId}_${optionIndex}`] !== ''
-                );
-                isAnswered = hasAllMatches;
-                
-                if (isAnswered) {
-                    // Check if ALL matches are correct - if any one is wrong, entire question is wrong
-                    isCorrect = question.options.every((_, optionIndex) => {
-                        const userAnswer = answers[`${questionId}_${optionIndex}`];
-                        // The correct answer should match the option index
-                        return parseInt(userAnswer) === optionIndex;
-                    });
-                }
-            } else if (question.questionType === 'multipleChoice') {
-                // For multiple choice questions
-                const answer = answers[questionId];
-                isAnswered = Array.isArray(answer) && answer.length > 0;
-                
-                if (isAnswered && question.correctAnswers && question.correctAnswers.length > 0) {
-                    // Check if selected answers match correct answers
-                    const selectedIndices = answer.sort();
-                    const correctIndices = question.correctAnswers.sort();
-                    isCorrect = selectedIndices.length === correctIndices.length && 
-                               selectedIndices.every((val, index) => val === correctIndices[index]);
-                }
-            } else if (question.questionType === 'singleAnswer') {
-                // For single answer questions
-                const answer = answers[questionId];
-                isAnswered = answer !== undefined && answer !== null;
-                
-                if (isAnswered) {
-                    const correctNum = Number(question.correctAnswer);
-                    const answerNum = Number(answer);
-                    isCorrect = answerNum === correctNum;
-                }
-            } else {
-                // For other question types (shortAnswer, longAnswer)
-                const answer = answers[questionId];
-                isAnswered = answer !== undefined && answer !== null && 
-                           (typeof answer === 'string' ? answer.trim() !== '' : true);
-                
-                // For short answer questions, check if at least 50% of keywords match
-                if (isAnswered && question.questionType === 'shortAnswer') {
-                  if (!question.keywords || question.keywords.length === 0) {
-                    isCorrect = true; // If no keywords defined, consider it correct
-                  } else {
-                    const studentAnswer = answer.toLowerCase();
-                    const matchedKeywords = question.keywords.filter(keyword => 
-                      studentAnswer.includes(keyword.toLowerCase())
-                    );
-                    isCorrect = matchedKeywords.length >= Math.ceil(question.keywords.length * 0.5);
-                  }
-                } else if (isAnswered) {
-                  isCorrect = true; // For other text answers (like longAnswer)
-                }
+        if (!timeIsUp) {
+            const quiz = await Quiz.findById(quizId);
+            if (!quiz) {
+                console.log('ERROR: Quiz not found for ID:', quizId);
+                return res.status(404).json({
+                    success: false,
+                    message: 'Quiz not found'
+                });
             }
 
-            // Track unanswered required questions (only if timer hasn't expired)
-            if (question.required && !isAnswered && !timerExpired) {
+            const { missingRequired } = scoreQuizAnswers({ questions: getPaperQuestions(attempt, quiz) }, answers);
+            if (missingRequired.length > 0) {
                 return res.status(400).json({
                     success: false,
-                    message: `Answer required for question ${i + 1}`
+                    message: `Answer required for question ${missingRequired[0]}`
                 });
             }
-
-            // Add to score if correct
-            if (isCorrect) {
-                score += question.marks;
-            }
         }
 
-        console.log('Score calculation complete:', { score, totalMarks });
+        if (overdue) {
+            console.log(`Quiz attempt ${attempt._id} submitted after the deadline, using saved answers`);
+        }
 
-        // Only validate required questions if timer hasn't expired
-        if (!timerExpired && unansweredQuestions.length > 0) {
-            console.log('Unanswered questions found:', unansweredQuestions);
-            return res.status(400).json({
+        const completed = await completeAttempt(attempt._id, overdue ? null : answers, questionTimes);
+        if (!completed) {
+            const latest = await QuizAttempt.findById(attempt._id);
+            return res.status(409).json({
                 success: false,
-                message: `Please answer all questions before submitting. Unanswered questions: ${unansweredQuestions.join(', ')}`
+                message: 'This attempt has already been submitted.',
+                data: buildAttemptResult(latest)
             });
         }
 
-        // Calculate percentage
-        const percentage = (score / totalMarks) * 100;
-        const passed = percentage >= 60;
+        const result = { ...buildAttemptResult(completed), autoSubmitted: overdue };
 
-        console.log('Starting course progress update...');
-
-        // Simplified course progress update
-        if (!courseProgress) {
-            console.log('Creating new course progress');
-            try {
-                courseProgress = new CourseProgress({
-                    userId,
-                    courseID,
-                    completedVideos: [],
-                    completedQuizzes: passed ? [subsectionId] : [],
-                    passedQuizzes: passed ? [subsectionId] : [],
-                    quizResults: [{
-                        quiz: quiz._id,
-                        subSection: subsectionId,
-                        score,
-                        totalMarks,
-                        percentage,
-                        passed,
-                        attempts: 1,
-                        completedAt: new Date()
-                    }]
-                });
-                await courseProgress.save();
-                console.log('Course progress created successfully');
-            } catch (saveError) {
-                console.error('Error creating course progress:', saveError);
-                throw saveError;
-            }
-        } else {
-            console.log('Updating existing course progress');
-            try {
-                // Find existing quiz result
-                const existingQuizResultIndex = courseProgress.quizResults.findIndex(
-                    result => result.quiz.toString() === quiz._id.toString()
-                );
-
-                const newQuizResult = {
-                    quiz: quiz._id,
-                    subSection: subsectionId,
-                    score,
-                    totalMarks,
-                    percentage,
-                    passed,
-                    attempts: existingQuizResultIndex >= 0 ? courseProgress.quizResults[existingQuizResultIndex].attempts + 1 : 1,
-                    completedAt: new Date()
-                };
-
-                if (existingQuizResultIndex >= 0) {
-                    // Update existing result
-                    courseProgress.quizResults[existingQuizResultIndex] = newQuizResult;
-                } else {
-                    // Add new result
-                    courseProgress.quizResults.push(newQuizResult);
-                }
-
-                // Update completed and passed quizzes if passed
-                if (passed) {
-                    if (!courseProgress.completedQuizzes.includes(subsectionId)) {
-                        courseProgress.completedQuizzes.push(subsectionId);
-                    }
-                    if (!courseProgress.passedQuizzes.includes(subsectionId)) {
-                        courseProgress.passedQuizzes.push(subsectionId);
-                    }
-                }
-
-                await courseProgress.save();
-                console.log('Course progress updated successfully');
-            } catch (updateError) {
-                console.error('Error updating course progress:', updateError);
-                throw updateError;
-            }
+        if (completed.status === 'pending') {
+            console.log('Quiz attempt queued for code grading:', completed._id);
+            return res.status(202).json({
+                success: true,
+                message: 'Quiz submitted. Your code answers are being graded.',
+                data: result
+            });
         }
 
         console.log('Sending success response...');
 
         return res.status(200).json({
             success: true,
-            message: passed ? 'Quiz passed successfully!' : 'Quiz submitted successfully, but did not meet passing score.',
-            data: {
-                score,
-                totalMarks,
-                percentage: percentage.toFixed(1),
-                passed,
-                requiredPercentage: 60
-            }
+            message: overdue
+                ? 'Time was up. Your quiz was graded using your last saved answers.'
+                : completed.passed ? 'Quiz passed successfully!' : 'Quiz submitted successfully, but did not meet passing score.',
+            data: result
         });
     } catch (error) {
         console.error('=== QUIZ SUBMISSION ERROR ===');
@@ -809,10 +923,7 @@ exports.submitQuiz = async (req, res) => {
         console.error('Error name:', error.name);
         console.error('Request data:', {
             quizId: req.body?.quizId,
-            courseID: req.body?.courseID,
-            subsectionId: req.body?.subsectionId,
-            userId: req.user?.id,
-            timerExpired: req.body?.timerExpired
+            userId: req.user?.id
         });
 
         // Check for specific error types
@@ -852,3 +963,520 @@ exports.submitQuiz = async (req, res) => {
         });
     }
 };
+
+// Admins and the instructor who owns the course can see every student's attempts
+const canManageCourseQuizzes = async (user, courseId) => {
+    if (user.accountType === 'Admin') {
+        return true;
+    }
+    if (user.accountType !== 'Instructor' || !courseId) {
+        return false;
+    }
+    const course = await Course.findById(courseId).select('instructor');
+    return Boolean(course && course.instructor && course.instructor.toString() === user.id);
+};
+
+// Resolve the course a quiz belongs to (quiz -> subsection -> section -> course)
+const findQuizCourse = async (quiz, fields = '_id') => {
+    const Section = require('../models/section');
+    const section = await Section.findOne({ subSection: quiz.subSection });
+    if (!section) {
+        return null;
+    }
+    return Course.findOne({ courseContent: section._id }).select(fields);
+};
+
+const findQuizCourseId = async (quiz) => {
+    const course = await findQuizCourse(quiz);
+    return course ? course._id : null;
+};
+
+// Students may only review an attempt once they have passed the quiz
+const hasPassedQuiz = async (userId, attempt) => {
+    const passedAttempt = await QuizAttempt.exists({
+        user: userId,
+        quiz: attempt.quiz,
+        status: 'graded',
+        passed: true
+    });
+    if (passedAttempt) {
+        return true;
+    }
+
+    const courseProgress = await CourseProgress.findOne({ userId, courseID: attempt.course });
+    return Boolean(courseProgress && courseProgress.passedQuizzes.some(
+        id => id.toString() === attempt.subSection.toString()
+    ));
+};
+
+const summarizeAttempt = (attempt) => ({
+    attemptId: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    score: attempt.score,
+    totalMarks: attempt.totalMarks,
+    percentage: attempt.percentage,
+    passed: attempt.passed,
+    timeTaken: attempt.timeTaken,
+    submittedAt: attempt.submittedAt,
+    gradedAt: attempt.gradedAt
+});
+
+// Get attempt history for a quiz
+exports.getQuizAttempts = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const { userId: studentId } = req.query;
+        const userId = req.user.id;
+
+        const quiz = await Quiz.findById(quizId).select('subSection');
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const courseId = await findQuizCourseId(quiz);
+        const canManage = await canManageCourseQuizzes(req.user, courseId);
+
+        if (!canManage) {
+            // Students only ever see their own history
+            const attempts = await QuizAttempt.find({ user: userId, quiz: quizId })
+                .select('-answers -questionResults -codeSubmissions -paper')
+                .sort({ submittedAt: -1 });
+
+            const canReview = attempts.length > 0 && await hasPassedQuiz(userId, attempts[0]);
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    attempts: attempts.map(summarizeAttempt),
+                    canReview
+                }
+            });
+        }
+
+        const filter = { quiz: quizId };
+        if (studentId) {
+            filter.user = studentId;
+        }
+
+        const attempts = await QuizAttempt.find(filter)
+            .select('-answers -questionResults -codeSubmissions -paper')
+            .populate('user', 'firstName lastName email')
+            .sort({ submittedAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                attempts: attempts.map(attempt => ({
+                    ...summarizeAttempt(attempt),
+                    user: attempt.user
+                })),
+                canReview: true
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching quiz attempts:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching quiz attempts',
+            error: error.message
+        });
+    }
+};
+
+// Get a single attempt question by question for review
+exports.getAttemptReview = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const userId = req.user.id;
+
+        const attempt = await QuizAttempt.findById(attemptId)
+            .populate('user', 'firstName lastName email');
+
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attempt not found'
+            });
+        }
+
+        const isOwner = attempt.user._id.toString() === userId;
+        const canManage = await canManageCourseQuizzes(req.user, attempt.course);
+
+        if (!canManage) {
+            if (!isOwner) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not allowed to review this attempt'
+                });
+            }
+            if (!(await hasPassedQuiz(userId, attempt))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can review your attempts after passing this quiz'
+                });
+            }
+        }
+
+        if (attempt.status === 'in_progress') {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt has not been submitted yet'
+            });
+        }
+
+        if (['pending', 'grading'].includes(attempt.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt is still being graded'
+            });
+        }
+
+        const questions = attempt.questionResults.map(result => {
+            const submission = attempt.codeSubmissions.find(
+                codeSubmission => codeSubmission.question.toString() === result.question.toString()
+            );
+
+            // Students never get to see the data of hidden test cases
+            const testResults = submission ? submission.testResults.map(testResult => (
+                testResult.isHidden && !canManage
+                    ? { passed: testResult.passed, status: testResult.status, isHidden: true }
+                    : testResult
+            )) : undefined;
+
+            return {
+                questionId: result.question,
+                ...result.questionSnapshot,
+                answer: result.answer,
+                isAnswered: result.isAnswered,
+                isCorrect: result.isCorrect,
+                marksAwarded: result.marksAwarded,
+                maxMarks: result.maxMarks,
+                needsReview: result.needsReview,
+                feedback: result.feedback,
+                testResults
+            };
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...summarizeAttempt(attempt),
+                user: canManage ? attempt.user : undefined,
+                questions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching attempt review:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching attempt review',
+            error: error.message
+        });
+    }
+};
+
+// List submissions whose short/long answers are waiting to be graded by an instructor
+exports.getGradingQueue = async (req, res) => {
+    try {
+        const { courseId, quizId } = req.query;
+        const attempts = await getReviewQueue(req.user, { courseId, quizId });
+
+        return res.status(200).json({
+            success: true,
+            data: attempts
+        });
+    } catch (error) {
+        console.error('Error fetching grading queue:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching grading queue',
+            error: error.message
+        });
+    }
+};
+
+// Award marks and feedback to the answers of an attempt in review
+exports.gradeQuizAttempt = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { grades } = req.body;
+
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz attempt not found'
+            });
+        }
+
+        if (!await canManageCourseQuizzes(req.user, attempt.course)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only grade attempts in your own courses'
+            });
+        }
+
+        if (attempt.status !== 'review') {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt is not waiting for manual grading'
+            });
+        }
+
+        const gradesError = validateGrades(attempt, grades);
+        if (gradesError) {
+            return res.status(400).json({
+                success: false,
+                message: gradesError
+            });
+        }
+
+        const graded = await gradeAttempt(attempt._id, grades, req.user.id);
+        if (!graded) {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt has already been graded'
+            });
+        }
+
+        console.log(`Quiz attempt ${graded._id} graded manually by ${req.user.id}: ${graded.score}/${graded.totalMarks}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Attempt graded successfully',
+            data: buildAttemptResult(graded)
+        });
+    } catch (error) {
+        console.error('Error grading quiz attempt:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error grading quiz attempt',
+            error: error.message
+        });
+    }
+};
+
+// Send questions as a downloadable file in the requested format
+const sendQuestionExport = (res, format, sections, baseName) => {
+    const { content, extension, mimeType } = exportQuestions(format, sections);
+    const fileName = `${baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz'}.${extension}`;
+
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.status(200).send(content);
+};
+
+// Parse an import file and report which questions can be added
+// Nothing is saved: the editor adds the valid questions and saves them with the quiz or bank.
+exports.previewQuizImport = async (req, res) => {
+    try {
+        const { format, content } = req.body;
+
+        if (!getFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${listFormats().map(item => item.name).join(', ')}`
+            });
+        }
+
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'The import file is empty'
+            });
+        }
+
+        if (content.length > QUIZ_IMPORT_CONFIG.MAX_CONTENT_LENGTH) {
+            return res.status(413).json({
+                success: false,
+                message: `Import files can be at most ${Math.round(QUIZ_IMPORT_CONFIG.MAX_CONTENT_LENGTH / 1024)} KB`
+            });
+        }
+
+        const result = importQuestions(format, content);
+
+        if (result.report.length > QUIZ_IMPORT_CONFIG.MAX_QUESTIONS) {
+            return res.status(400).json({
+                success: false,
+                message: `Import files can hold at most ${QUIZ_IMPORT_CONFIG.MAX_QUESTIONS} questions`
+            });
+        }
+
+        console.log(`Quiz import preview (${format}) by ${req.user.id}: ${result.summary.valid}/${result.summary.total} valid`);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error previewing quiz import:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error reading import file',
+            error: error.message
+        });
+    }
+};
+
+// Export the questions of one quiz
+exports.exportQuiz = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const format = req.query.format || 'json';
+
+        if (!getFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${listFormats().map(item => item.name).join(', ')}`
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId).populate('subSection', 'title');
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+        // The lecture of the quiz was deleted
+        if (!quiz.subSection) {
+            return res.status(404).json({
+                success: false,
+                message: 'This quiz is not part of a course'
+            });
+        }
+
+        const courseId = await findQuizCourseId({ subSection: quiz.subSection._id });
+        if (!await canManageCourseQuizzes(req.user, courseId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only export quizzes of your own courses'
+            });
+        }
+
+        const title = quiz.subSection.title || quiz.title;
+        return sendQuestionExport(res, format, [{ path: [], questions: quiz.questions }], `quiz-${title}`);
+    } catch (error) {
+        console.error('Error exporting quiz:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error exporting quiz',
+            error: error.message
+        });
+    }
+};
+
+// Export every quiz of a course in one file, grouped by section and lecture
+exports.exportCourseQuizzes = async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const format = req.query.format || 'json';
+
+        if (!getFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${listFormats().map(item => item.name).join(', ')}`
+            });
+        }
+
+        const course = await Course.findById(courseId)
+            .select('courseName instructor courseContent')
+            .populate({
+                path: 'courseContent',
+                select: 'sectionName subSection',
+                populate: { path: 'subSection', select: 'title' }
+            });
+
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        if (!await canManageCourseQuizzes(req.user, course._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only export quizzes of your own courses'
+            });
+        }
+
+        const subSections = course.courseContent.flatMap(section =>
+            section.subSection.map(subSection => ({ section, subSection }))
+        );
+        const quizzes = await Quiz.find({ subSection: { $in: subSections.map(item => item.subSection._id) } });
+
+        // Keep the course order
+        const sections = subSections
+            .map(({ section, subSection }) => ({
+                path: [course.courseName, section.sectionName, subSection.title],
+                quiz: quizzes.find(quiz => quiz.subSection.toString() === subSection._id.toString())
+            }))
+            .filter(item => item.quiz)
+            .map(item => ({ path: item.path, questions: item.quiz.questions }));
+
+        if (sections.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'This course has no quizzes to export'
+            });
+        }
+
+        console.log(`Exporting ${sections.length} quizzes of course ${courseId} as ${format}`);
+
+        return sendQuestionExport(res, format, sections, `${course.courseName}-quizzes`);
+    } catch (error) {
+        console.error('Error exporting course quizzes:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error exporting course quizzes',
+            error: error.message
+        });
+    }
+};
+
+// Per-question item analysis of a quiz (percent correct, discrimination, option picks,
+// time spent and failing code test cases), computed from completed attempts
+exports.getQuizAnalytics = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const courseId = await findQuizCourseId(quiz);
+        if (!await canManageCourseQuizzes(req.user, courseId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view analytics of your own courses'
+            });
+        }
+
+        const analytics = await analyzeQuizAttempts(quiz);
+        console.log(`Quiz ${quizId} analytics built from ${analytics.summary.attempts} attempts`);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                quizId: quiz._id,
+                ...analytics
+            }
+        });
+    } catch (error) {
+        console.error('Error building quiz analytics:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error building quiz analytics',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,122 @@
+const Refund = require("../models/refund");
+const { requestRefund, approveRefund, rejectRefund } = require("../services/refunds");
+
+//   == Request Refund   ==
+// A student asks for the refund of one of their orders; an admin decides on it
+exports.requestRefund = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { reason } = req.body;
+
+        const result = await requestRefund(req.user.id, orderId, reason);
+        if (result.error) {
+            return res.status(result.error.status).json({
+                success: false,
+                message: result.error.message
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: "Refund requested. We will let you know once it has been reviewed.",
+            data: result.refund
+        });
+
+    } catch (error) {
+        console.error("Error requesting refund:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not request the refund"
+        });
+    }
+};
+
+//   == Get All Refunds (Admin)   ==
+exports.getAllRefunds = async (req, res) => {
+    try {
+        const { status } = req.query;
+        const filter = status ? { status } : {};
+
+        const refunds = await Refund.find(filter)
+            .populate('user', 'firstName lastName email')
+            .populate('course', 'courseName')
+            .populate('order', 'amount refundedAmount paymentStatus status purchaseDate transactionId paymentMethod currency')
+            .populate('reviewedBy', 'firstName lastName')
+            .sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: refunds,
+            message: 'Refunds fetched successfully'
+        });
+    } catch (error) {
+        console.error('Error fetching refunds:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching refunds',
+            error: error.message
+        });
+    }
+};
+
+//   == Approve Refund (Admin)   ==
+// Body: { amount?, revokeAccess?, note? }; the whole remainder of the order by default
+exports.approveRefund = async (req, res) => {
+    try {
+        const { refundId } = req.params;
+        const { amount, revokeAccess, note } = req.body;
+
+        const result = await approveRefund(req.user.id, refundId, { amount, revokeAccess, note });
+        if (result.error) {
+            return res.status(result.error.status).json({
+                success: false,
+                message: result.error.message
+            });
+        }
+
+        const { refund } = result;
+        return res.status(200).json({
+            success: true,
+            message: refund.status === 'processed'
+                ? 'Refund processed successfully'
+                : 'Refund sent to Razorpay, it will be completed once Razorpay processes it',
+            data: refund
+        });
+    } catch (error) {
+        console.error('Error approving refund:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error approving refund',
+            error: error.message
+        });
+    }
+};
+
+//   == Reject Refund (Admin)   ==
+exports.rejectRefund = async (req, res) => {
+    try {
+        const { refundId } = req.params;
+        const { note } = req.body;
+
+        const result = await rejectRefund(req.user.id, refundId, note);
+        if (result.error) {
+            return res.status(result.error.status).json({
+                success: false,
+                message: result.error.message
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Refund request rejected',
+            data: result.refund
+        });
+    } catch (error) {
+        console.error('Error rejecting refund:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error rejecting refund',
+            error: error.message
+        });
+    }
+};
@@ -2,9 +2,12 @@ const Section = require('../models/section');
 const SubSection = require('../models/subSection');
 const Course = require('../models/course');
 const Quiz = require('../models/quiz');
+const Caption = require('../models/caption');
+const VideoProgress = require('../models/videoProgress');
 const { uploadFileToSupabase } = require('../utils/supabaseUploader');
 const { createNewContentNotification } = require('./notification');
 const { handleNewContentAddition } = require('../utils/certificateRegeneration');
+const { parseChapters } = require('../utils/lectureChapters');
 
 // Helper function to get error suggestions
 const getSuggestionForError = (statusCode, fileSize) => {
@@ -15,6 +18,8 @@ const getSuggestionForError = (statusCode, fileSize) => {
             return 'Upload timed out. Try with a smaller file or check your internet connection.';
         case 400:
             return 'Please check the video format and ensure it\'s a valid video file.';
+        case 415:
+            return 'Please export the video as MP4 with H.264 video and AAC audio and upload it again.';
         case 503:
             return 'Service temporarily unavailable. Please try again later.';
         case 507:
@@ -88,6 +93,7 @@ exports.updateSubSection = async (req, res) => {
                     console.log('Video duration (update):', uploadDetails.duration);
                     console.log('Upload method:', uploadDetails.size > 25 * 1024 * 1024 ? 'Chunked Upload' : 'Direct Upload');
                     subSection.videoUrl = uploadDetails.secure_url;
+                    subSection.videoMetadata = uploadDetails.metadata;
                     
                     // Ensure duration is properly set
                     const duration = uploadDetails.duration || 0;
@@ -112,7 +118,11 @@ exports.updateSubSection = async (req, res) => {
                 let errorMessage = 'Video upload failed';
                 let statusCode = 500;
                 
-                if (uploadError.message.includes('timeout')) {
+                if (uploadError.message.includes('Unsupported video')) {
+                    // The codec check says what is wrong; strip the wrapping upload error
+                    errorMessage = uploadError.message.slice(uploadError.message.indexOf('Unsupported video'));
+                    statusCode = 415;
+                } else if (uploadError.message.includes('timeout')) {
                     errorMessage = 'Video upload timed out. Large videos may take longer to process. Please try again or use a smaller file.';
                     statusCode = 408;
                 } else if (uploadError.message.includes('chunk')) {
@@ -156,6 +166,18 @@ exports.updateSubSection = async (req, res) => {
             }
         }
 
+        // chapter markers replace the existing ones
+        if (req.body.chapters !== undefined) {
+            const { chapters, error } = parseChapters(req.body.chapters, subSection.timeDuration);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            subSection.chapters = chapters;
+        }
+
         // Handle quiz attachment
         if (req.body.quiz !== undefined) {
             if (req.body.quiz === '' || req.body.quiz === null) {
@@ -181,7 +203,7 @@ exports.updateSubSection = async (req, res) => {
         const updatedSection = await Section.findById(sectionId).populate("subSection");
 
         // Handle certificate regeneration if content was modified
-        if (title || description || req.file || req.body.quiz !== undefined) {
+        if (title || description || req.file || req.body.quiz !== undefined || req.body.chapters !== undefined) {
             // Find the course that contains this section
             const course = await Course.findOne({
                 courseContent: sectionId
@@ -253,8 +275,18 @@ exports.createSubSection = async (req, res) => {
             });
         }
 
+        // chapter markers are checked against the video length once it is known
+        const parsedChapters = parseChapters(req.body.chapters || []);
+        if (parsedChapters.error) {
+            return res.status(400).json({
+                success: false,
+                message: parsedChapters.error
+            });
+        }
+
         let videoUrl = '';
         let timeDuration = 0;
+        let videoMetadata;
 
         if (videoFile) {
             try {
@@ -298,6 +330,7 @@ exports.createSubSection = async (req, res) => {
                     videoUrl = videoFileDetails.secure_url;
                     // Duration in seconds
                     timeDuration = videoFileDetails.duration || 0;
+                    videoMetadata = videoFileDetails.metadata;
                     
                     console.log('Setting timeDuration to:', timeDuration);
                     
@@ -329,7 +362,11 @@ exports.createSubSection = async (req, res) => {
                 let errorMessage = 'Video upload failed';
                 let statusCode = 500;
                 
-                if (uploadError.message.includes('timeout')) {
+                if (uploadError.message.includes('Unsupported video')) {
+                    // The codec check says what is wrong; strip the wrapping upload error
+                    errorMessage = uploadError.message.slice(uploadError.message.indexOf('Unsupported video'));
+                    statusCode = 415;
+                } else if (uploadError.message.includes('timeout')) {
                     errorMessage = 'Video upload timed out. Large videos may take longer to process. Please try again or use a smaller file.';
                     statusCode = 408;
                 } else if (uploadError.message.includes('chunk')) {
@@ -381,7 +418,9 @@ exports.createSubSection = async (req, res) => {
             title, 
             timeDuration, 
             description, 
-            videoUrl 
+            videoUrl,
+            videoMetadata,
+            chapters: parsedChapters.chapters.filter(chapter => !timeDuration || chapter.time < timeDuration)
         });
 
         // Handle quiz attachment
@@ -481,6 +520,10 @@ exports.deleteSubSection = async (req, res) => {
                 .json({ success: false, message: "SubSection not found" })
         }
 
+        // caption tracks and playback progress belong to the lecture
+        await Caption.deleteMany({ subSection: subSection._id })
+        await VideoProgress.deleteMany({ subSection: subSection._id })
+
         const updatedSection = await Section.findById(sectionId).populate('subSection')
 
         // In frontned we have to take care - when subsection is deleted we are sending ,
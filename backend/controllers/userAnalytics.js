@@ -114,15 +114,16 @@ exports.getUserAnalytics = async (req, res) => {
             .slice(0, 5);
 
         // Get user's orders for purchase history analytics
-        const userOrders = await Order.find({ user: userId })
+        // Checkouts that were never paid are not purchases
+        const userOrders = await Order.find({ user: userId, paymentStatus: { $nin: ['pending', 'failed'] } })
             .populate('course', 'courseName price')
             .sort({ createdAt: -1 })
             .limit(10);
 
-        // Calculate total spent
-        const totalSpent = userOrders.reduce((total, order) => {
-            return total + (order.amount || 0);
-        }, 0);
+        // Calculate total spent, in rupees at each checkout's exchange rate
+        const totalSpent = Math.round(userOrders.reduce((total, order) => {
+            return total + ((order.amount || 0) - (order.refundedAmount || 0)) * (order.exchangeRate || 1);
+        }, 0) * 100) / 100;
 
         // Get course categories user is interested in
         const courseCategories = user.courses.map(course => course.category).filter(Boolean);
@@ -183,6 +184,7 @@ exports.getUserAnalytics = async (req, res) => {
             // Get order activities for the day
             const orderActivities = await Order.find({
                 user: userId,
+                paymentStatus: { $nin: ['pending', 'failed'] },
                 createdAt: { $gte: dayStart, $lte: dayEnd }
             });
 
@@ -207,7 +209,7 @@ exports.getUserAnalytics = async (req, res) => {
             .limit(10)
             .populate('courseID', 'courseName');
 
-        const recentOrders = await Order.find({ user: userId })
+        const recentOrders = await Order.find({ user: userId, paymentStatus: { $nin: ['pending', 'failed'] } })
             .sort({ createdAt: -1 })
             .limit(5)
             .populate('course', 'courseName');
@@ -360,6 +362,7 @@ exports.getUserActivity = async (req, res) => {
         // Get orders in the time period
         const orders = await Order.find({
             user: userId,
+            paymentStatus: { $nin: ['pending', 'failed'] },
             createdAt: { $gte: startDate, $lte: endDate }
         }).populate('course', 'courseName');
 
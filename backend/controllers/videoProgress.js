@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const VideoProgress = require('../models/videoProgress');
+const CourseProgress = require('../models/courseProgress');
+const SubSection = require('../models/subSection');
+const Section = require('../models/section');
+const Course = require('../models/course');
+const { VIDEO_PROGRESS_CONFIG } = require('../config/video');
+const { hasCourseAccess } = require('../utils/courseAccess');
+const { normalizeIntervals, limitIntervals, mergeIntervals, getWatchedSeconds } = require('../utils/watchIntervals');
+
+// Load the course and lecture and check the student may watch it
+// Returns { course, subSection } or sends the error response and returns null
+const loadLecture = async (req, res, courseId, subSectionId) => {
+    if (!mongoose.isValidObjectId(courseId) || !mongoose.isValidObjectId(subSectionId)) {
+        res.status(400).json({
+            success: false,
+            message: 'Course ID and SubSection ID are required'
+        });
+        return null;
+    }
+
+    const course = await Course.findById(courseId).select('courseType adminSetFree courseContent');
+    const inCourse = course && await Section.exists({ _id: { $in: course.courseContent }, subSection: subSectionId });
+    const subSection = inCourse ? await SubSection.findById(subSectionId).select('videoUrl timeDuration') : null;
+    if (!subSection) {
+        res.status(404).json({
+            success: false,
+            message: 'Lecture not found'
+        });
+        return null;
+    }
+
+    if (!await hasCourseAccess(req.user.id, course)) {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Course access has been disabled or not purchased.'
+        });
+        return null;
+    }
+
+    return { course, subSection };
+};
+
+// Length used for coverage: the probed length, or the player's when the lecture has none yet
+const getLectureDuration = (subSection, reportedDuration) => {
+    if (subSection.timeDuration > 0) {
+        return Number(subSection.timeDuration);
+    }
+    const reported = Number(reportedDuration);
+    return Number.isFinite(reported) && reported > 0 ? reported : 0;
+};
+
+// Where the player should start: the saved position, unless it is at the very start or end
+const getResumePosition = (progress, duration) => {
+    const { RESUME_MIN_POSITION, RESUME_END_MARGIN } = VIDEO_PROGRESS_CONFIG;
+    if (!progress || progress.position < RESUME_MIN_POSITION) return 0;
+    if (duration > 0 && progress.position > duration - RESUME_END_MARGIN) return 0;
+    return progress.position;
+};
+
+const formatProgress = (progress, duration) => ({
+    position: progress?.position || 0,
+    resumePosition: getResumePosition(progress, duration),
+    watchedSeconds: Math.round(progress?.watchedSeconds || 0),
+    duration,
+    // Share of the video watched, 0 to 1
+    coverage: duration > 0 ? Math.min(Math.round(((progress?.watchedSeconds || 0) / duration) * 1000) / 1000, 1) : 0,
+    completionThreshold: VIDEO_PROGRESS_CONFIG.COMPLETION_THRESHOLD,
+    completed: Boolean(progress?.completedAt),
+    intervals: progress?.intervals || []
+});
+
+//   == Get the playback progress of a lecture   ==
+exports.getVideoProgress = async (req, res) => {
+    try {
+        const lecture = await loadLecture(req, res, req.query.courseId, req.params.subSectionId);
+        if (!lecture) return;
+
+        const progress = await VideoProgress.findOne({ user: req.user.id, subSection: lecture.subSection._id });
+        const duration = getLectureDuration(lecture.subSection, progress?.duration);
+
+        return res.status(200).json({
+            success: true,
+            data: formatProgress(progress, duration)
+        });
+    } catch (error) {
+        console.error('Error fetching video progress:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching video progress',
+            error: error.message
+        });
+    }
+};
+
+//   == Save the playback position and newly watched intervals of a lecture   ==
+exports.updateVideoProgress = async (req, res) => {
+    try {
+        const { courseId, subSectionId, position, intervals = [], duration: reportedDuration } = req.body;
+        const userId = req.user.id;
+
+        const lecture = await loadLecture(req, res, courseId, subSectionId);
+        if (!lecture) return;
+
+        if (!Array.isArray(intervals) || intervals.length > VIDEO_PROGRESS_CONFIG.MAX_INTERVALS_PER_REPORT) {
+            return res.status(400).json({
+                success: false,
+                message: `Intervals must be a list of at most ${VIDEO_PROGRESS_CONFIG.MAX_INTERVALS_PER_REPORT} [start, end] pairs`
+            });
+        }
+
+        const duration = getLectureDuration(lecture.subSection, reportedDuration);
+        const progress = await VideoProgress.findOne({ user: userId, subSection: subSectionId })
+            || new VideoProgress({ user: userId, course: courseId, subSection: subSectionId });
+
+        // Watched time can't grow faster than the wall clock at the fastest playback speed
+        const now = new Date();
+        const { MAX_REPORT_GAP, REPORT_SLACK, MAX_PLAYBACK_RATE, COMPLETION_THRESHOLD } = VIDEO_PROGRESS_CONFIG;
+        const elapsed = progress.lastReportAt ? (now - progress.lastReportAt) / 1000 : MAX_REPORT_GAP;
+        const budget = (Math.min(elapsed, MAX_REPORT_GAP) + REPORT_SLACK) * MAX_PLAYBACK_RATE;
+        const reported = limitIntervals(normalizeIntervals(intervals, duration), budget);
+
+        progress.intervals = mergeIntervals([...progress.intervals.map(({ start, end }) => ({ start, end })), ...reported]);
+        progress.watchedSeconds = getWatchedSeconds(progress.intervals);
+        progress.duration = duration;
+        progress.lastReportAt = now;
+
+        const newPosition = Number(position);
+        if (Number.isFinite(newPosition) && newPosition >= 0) {
+            progress.position = duration > 0 ? Math.min(newPosition, duration) : newPosition;
+        }
+
+        let justCompleted = false;
+        if (!progress.completedAt && duration > 0 && progress.watchedSeconds / duration >= COMPLETION_THRESHOLD) {
+            progress.completedAt = now;
+            justCompleted = true;
+        }
+        await progress.save();
+
+        if (justCompleted) {
+            await CourseProgress.findOneAndUpdate(
+                { courseID: courseId, userId },
+                { $addToSet: { completedVideos: subSectionId } },
+                { upsert: true }
+            );
+            console.log(`Lecture ${subSectionId} completed by ${userId} (${Math.round((progress.watchedSeconds / duration) * 100)}% watched)`);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: { ...formatProgress(progress, duration), justCompleted }
+        });
+    } catch (error) {
+        console.error('Error saving video progress:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error saving video progress',
+            error: error.message
+        });
+    }
+};
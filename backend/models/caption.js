@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One caption track of a lecture video, stored as WebVTT
+// Kept out of the SubSection document so course payloads don't carry caption text.
+const captionSchema = new mongoose.Schema({
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    // BCP 47 language tag, e.g. "en" or "pt-BR"
+    language: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    cueCount: {
+        type: Number,
+        default: 0
+    },
+    // Shown when the student has not picked a track; at most one per lecture
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+captionSchema.index({ subSection: 1 });
+
+module.exports = mongoose.model('Caption', captionSchema);
@@ -51,6 +51,12 @@ const chunkedVideoSchema = new mongoose.Schema({
         type: String,
         default: 'videos'
     },
+    // Who uploaded it; besides admins only they may preview it before it is attached to a lecture
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -64,10 +70,123 @@ const chunkedVideoSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Read with ffprobe by the transcoding worker (utils/videoMetadata.js)
+    videoMetadata: {
+        duration: Number, // Seconds
+        width: Number,
+        height: Number,
+        rotation: Number,
+        frameRate: Number,
+        videoCodec: String, // ffprobe codec names, e.g. h264, aac
+        audioCodec: String,
+        hasAudio: Boolean,
+        bitrate: Number, // bit/s
+        container: String,
+        probedAt: Date
+    },
     // Progress tracking
     uploadProgress: {
         type: Number,
         default: 0
+    },
+    // State of uploads made through the tus protocol (see CHUNKED_VIDEO_UPLOAD.md)
+    tus: {
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        // Raw Upload-Metadata header, echoed back on HEAD requests
+        metadata: {
+            type: String,
+            default: null
+        },
+        // Bytes received after the last full chunk, kept in storage until the chunk fills up
+        partialPath: {
+            type: String,
+            default: null
+        },
+        partialSize: {
+            type: Number,
+            default: 0
+        },
+        // Set while a PATCH request is writing to the upload
+        lockedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // HLS transcoding after the upload completes (see VIDEO_STREAMING.md)
+    transcoding: {
+        status: {
+            type: String,
+            enum: ['none', 'queued', 'processing', 'ready', 'failed'],
+            default: 'none'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        nextRunAt: {
+            type: Date,
+            default: null
+        },
+        lockedAt: {
+            type: Date,
+            default: null
+        },
+        error: {
+            type: String,
+            default: null
+        },
+        completedAt: {
+            type: Date,
+            default: null
+        },
+        // Only (re)make the poster and thumbnails of an already transcoded video
+        thumbnailsOnly: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // Renditions of the HLS stream; playlists and segments live under hls.path in the bucket
+    hls: {
+        path: {
+            type: String,
+            default: null
+        },
+        renditions: [{
+            _id: false,
+            name: String,
+            width: Number,
+            height: Number,
+            bandwidth: Number,
+            // Attributes of the EXT-X-STREAM-INF tag written by ffmpeg
+            streamInf: String,
+            playlistPath: String
+        }]
+    },
+    // Poster frame and hover-scrub thumbnail sprites, stored under thumbnails.path in the bucket
+    thumbnails: {
+        path: {
+            type: String,
+            default: null
+        },
+        posterPath: {
+            type: String,
+            default: null
+        },
+        sprites: [String],
+        interval: Number, // Seconds between thumbnails
+        count: Number,
+        width: Number, // Size of one thumbnail (px)
+        height: Number,
+        columns: Number,
+        rows: Number,
+        error: {
+            type: String,
+            default: null
+        }
     }
 });
 
@@ -75,6 +194,7 @@ const chunkedVideoSchema = new mongoose.Schema({
 chunkedVideoSchema.index({ videoId: 1 });
 chunkedVideoSchema.index({ isComplete: 1 });
 chunkedVideoSchema.index({ createdAt: 1 });
+chunkedVideoSchema.index({ 'transcoding.status': 1, 'transcoding.nextRunAt': 1 });
 
 // Method to calculate upload progress
 chunkedVideoSchema.methods.calculateProgress = function() {
@@ -103,14 +223,16 @@ chunkedVideoSchema.statics.cleanupOldUploads = async function() {
         });
 
         for (const upload of oldUploads) {
-            // Delete chunks from Supabase
-            const { deleteFileFromSupabase } = require('../utils/supabaseUploader');
-            for (const chunk of upload.uploadedChunks) {
-                try {
-                    await deleteFileFromSupabase(chunk.chunkPath);
-                } catch (error) {
-                    console.error(`Failed to delete chunk ${chunk.chunkPath}:`, error);
-                }
+            // Delete chunks from storage
+            const { getStorage } = require('../services/storage');
+            const paths = upload.uploadedChunks.map(chunk => chunk.chunkPath);
+            if (upload.tus?.partialPath) {
+                paths.push(upload.tus.partialPath);
+            }
+            try {
+                await getStorage().remove(upload.bucket, paths);
+            } catch (error) {
+                console.error(`Failed to delete chunks of ${upload.videoId}:`, error);
             }
         }
 
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per financial year; see services/invoices.js
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
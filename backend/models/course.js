@@ -21,6 +21,11 @@ const courseSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set by the instructor: enrolled students may download encrypted lecture packages
+    allowOffline: {
+        type: Boolean,
+        default: false
+    },
     originalPrice: {
         type: Number
     },
@@ -50,6 +55,17 @@ const courseSchema = new mongoose.Schema({
     price: {
         type: Number
     },
+    // Prices set in other currencies; any other currency is converted from price
+    prices: [
+        {
+            _id: false,
+            currency: {
+                type: String,
+                uppercase: true
+            },
+            amount: Number
+        }
+    ],
     thumbnail: {
         type: String
     },
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Admin-maintained exchange rate of a currency checkouts can be charged in
+// rate is what one unit of the currency is worth in the base currency (PRICING_CONFIG.CURRENCY),
+// e.g. 83.25 for USD against INR.
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// GST tax invoice of one paid order
+// Seller, buyer and amounts are copied when the invoice is issued, so it reads the same
+// however the profile or configuration change later; an admin can regenerate it from the
+// current details, keeping its number. Amounts are in the order's currency.
+const partySchema = new mongoose.Schema({
+    name: String,
+    address: String,
+    email: String,
+    phone: String,
+    stateCode: String,
+    state: String,
+    gstin: String
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    // PREFIX/26-27/00001, sequential per financial year; set right after the order's invoice is
+    // claimed, so a number is only drawn for an invoice that exists
+    invoiceNumber: {
+        type: String,
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    placeOfSupply: {
+        stateCode: String,
+        state: String
+    },
+    // 'intra' splits the tax into CGST and SGST, 'inter' charges IGST and 'export' (orders not
+    // in rupees) is zero-rated or charges IGST
+    supplyType: {
+        type: String,
+        enum: ['intra', 'inter', 'export'],
+        required: true
+    },
+    lines: [
+        {
+            _id: false,
+            description: String,
+            sac: String,
+            quantity: Number,
+            originalPrice: Number,
+            discountAmount: Number,
+            taxableAmount: Number,
+            taxRate: Number, // percent, the total of the parts below
+            cgst: Number,
+            sgst: Number,
+            igst: Number,
+            amount: Number
+        }
+    ],
+    coupon: {
+        code: String,
+        discountAmount: Number
+    },
+    taxableAmount: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxAmount: Number,
+    amount: Number,
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    // Worth of one unit of currency in rupees, for invoices not in rupees
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
+    transactionId: String,
+    paymentMethod: String,
+    revision: {
+        type: Number,
+        default: 1
+    },
+    regeneratedAt: {
+        type: Date,
+        default: null
+    },
+    regeneratedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { timestamps: true });
+
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
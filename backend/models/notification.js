@@ -30,6 +30,8 @@ const notificationSchema = new mongoose.Schema({
             'NEW_CONTENT_ADDED',
             'COURSE_PROGRESS_MILESTONE',
             'NEW_RATING_ON_ENROLLED_COURSE',
+            'QUIZ_GRADED',
+            'REFUND_STATUS',
             
             // Instructor notifications
             'NEW_STUDENT_ENROLLMENT',
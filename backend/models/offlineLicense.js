@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Permission for one student to play the lectures of one section offline until expiresAt
+// The downloaded lectures are encrypted with contentKey, which the player only gets inside
+// the signed license; renewing keeps the key so downloaded copies stay playable.
+const offlineLicenseSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    section: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Section',
+        required: true
+    },
+    // Lectures with a video when the license was issued or last renewed
+    lectures: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'SubSection'
+        }
+    ],
+    // AES-256 key, base64
+    contentKey: {
+        type: String,
+        required: true,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    renewedAt: {
+        type: Date,
+        default: null
+    },
+    // Set when the student removes the download; the license can't be renewed after that
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+offlineLicenseSchema.index({ user: 1, section: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('OfflineLicense', offlineLicenseSchema);
@@ -11,10 +11,20 @@ const orderSchema = new mongoose.Schema({
         ref: 'Course',
         required: true
     },
+    // Amounts of the order are in currency; exchangeRate is what one unit of it was worth in
+    // rupees at checkout, for reports
     amount: {
         type: Number,
         required: true
     },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
     originalPrice: {
         type: Number,
         default: 0
@@ -23,6 +33,11 @@ const orderSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // GST included in amount
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
     couponUsed: {
         code: {
             type: String,
@@ -46,10 +61,28 @@ const orderSchema = new mongoose.Schema({
             default: 0
         }
     },
+    // Whether the student can watch the course; admins can switch it off, a refund may too
     status: {
         type: Boolean,
         default: true
     },
+    // Where the money stands: orders of a checkout are 'pending' until it is paid.
+    // Orders made before checkouts had this are treated as 'paid'.
+    paymentStatus: {
+        type: String,
+        enum: ['pending', 'paid', 'refunded', 'partially_refunded', 'failed'],
+        default: 'paid'
+    },
+    // Given back so far, in currency (see services/refunds.js)
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Approved refunds still being processed, in currency; held back from what can be refunded
+    refundPending: {
+        type: Number,
+        default: 0
+    },
     paymentMethod: {
         type: String,
         required: true
@@ -58,10 +91,18 @@ const orderSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Checkout the order was bought with; not set for orders made before gateway payments
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
     purchaseDate: {
         type: Date,
         default: Date.now
     }
 }, { timestamps: true });
 
+orderSchema.index({ payment: 1 });
+
 module.exports = mongoose.model("Order", orderSchema);
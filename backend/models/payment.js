@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// One checkout: the courses bought together, the amount charged and its Razorpay order
+// Amounts are in currency; Razorpay is sent hundredths of it (paise for rupees). An Order per
+// course is created once the payment is confirmed, by the checkout's verify call or by the
+// payment.captured webhook.
+const paymentSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Prices as computed on the server when the checkout started
+    lines: [
+        {
+            _id: false,
+            course: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Course',
+                required: true
+            },
+            originalPrice: Number,
+            bundleDiscount: Number,
+            couponDiscount: Number,
+            discountAmount: Number, // bundle and coupon
+            taxableAmount: Number,
+            taxAmount: Number,
+            amount: Number // paid for the course, tax included
+        }
+    ],
+    // The signed quote the checkout was started from (see services/pricing.js)
+    quoteId: {
+        type: String,
+        default: null
+    },
+    // Coupons are linked to 'course' or 'bundle' checkouts
+    checkoutType: {
+        type: String,
+        enum: ['course', 'bundle'],
+        default: 'course'
+    },
+    coupon: {
+        code: String,
+        discountType: String,
+        discountValue: Number,
+        discountAmount: Number
+    },
+    // GST rate in percent, and whether the course prices included it
+    tax: {
+        rate: Number,
+        inclusive: Boolean
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    // Worth of one unit of currency in the base currency when the checkout was priced
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
+    // 'razorpay', or 'free' for checkouts that came to nothing after the discount
+    gateway: {
+        type: String,
+        enum: ['razorpay', 'free'],
+        default: 'razorpay'
+    },
+    razorpayOrderId: {
+        type: String,
+        default: null
+    },
+    razorpayPaymentId: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'failed', 'refunded'],
+        default: 'created'
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    paidAt: {
+        type: Date,
+        default: null
+    },
+    refunds: [
+        {
+            _id: false,
+            refundId: String,
+            amount: Number, // in currency
+            processedAt: Date
+        }
+    ],
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    // Webhook events already handled (x-razorpay-event-id), so redeliveries are skipped
+    webhookEvents: {
+        type: [String],
+        default: []
+    }
+}, { timestamps: true });
+
+paymentSchema.index({ razorpayOrderId: 1 }, { unique: true, partialFilterExpression: { razorpayOrderId: { $type: 'string' } } });
+paymentSchema.index({ quoteId: 1 }, { unique: true, partialFilterExpression: { quoteId: { $type: 'string' } } });
+paymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -14,6 +14,26 @@ const profileSchema = new mongoose.Schema({
     contactNumber: {
         type: String,
         trim: true
+    },
+    // Billing details printed on tax invoices; the state decides how GST is split
+    billingAddress: {
+        type: String,
+        trim: true
+    },
+    billingStateCode: {
+        type: String,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // Currency prices are shown and charged in; the browser's locale decides when not set
+    currency: {
+        type: String,
+        uppercase: true,
+        default: null
     }
 
 });
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Quiz = require('./quiz');
+
+// Bank questions use the same schema as quiz questions (including topic and difficulty tags)
+const questionSchema = Quiz.schema.path('questions').schema;
+
+const questionBankSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Optional course the bank belongs to; banks without one can be used in any course
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    questions: {
+        type: [questionSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+questionBankSchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('QuestionBank', questionBankSchema);
@@ -69,9 +69,61 @@ const questionSchema = new mongoose.Schema({
     required: {
         type: Boolean,
         default: true
+    },
+    // Scoring rules (see services/quizScoring.js)
+    // Partial credit for multipleChoice, matchTheFollowing and codeSolve questions
+    partialCredit: {
+        type: Boolean,
+        default: false
+    },
+    // Marks deducted for a wrong singleAnswer
+    negativeMarks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Weight of a hidden test case relative to a visible one, for partial credit
+    hiddenTestWeight: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+    // Tags used to draw questions from question banks
+    topic: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        default: 'medium'
     }
 });
 
+// "Draw `count` questions from `bank`", optionally narrowed to one difficulty/topic
+const drawRuleSchema = new mongoose.Schema({
+    bank: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QuestionBank',
+        required: true
+    },
+    count: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard', null],
+        default: null
+    },
+    topic: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
 const quizSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -99,11 +151,52 @@ const quizSchema = new mongoose.Schema({
         },
         required: true
     },
+    // Bank questions drawn per attempt, in addition to the fixed questions above
+    drawRules: {
+        type: [drawRuleSchema],
+        default: []
+    },
+    // Randomise question order and option order per attempt
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    shuffleOptions: {
+        type: Boolean,
+        default: false
+    },
     timeLimit: {
         type: Number,
         default: 10 * 60, // Default 10 minutes in seconds
         min: 1 * 60, // Minimum 1 minute
         max: 180 * 60 // Maximum 3 hours
+    },
+    // Attempt policy (see services/quizPolicy.js)
+    passingPercentage: {
+        type: Number,
+        default: 60,
+        min: 0,
+        max: 100
+    },
+    maxAttempts: {
+        type: Number,
+        default: 0, // 0 = unlimited
+        min: 0
+    },
+    cooldownMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    allowRetakeAfterPass: {
+        type: Boolean,
+        default: false
+    },
+    // Which graded attempt counts towards the recorded result
+    scoringMode: {
+        type: String,
+        enum: ['best', 'latest', 'average'],
+        default: 'latest'
     }
 });
 
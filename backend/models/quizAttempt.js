@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+
+const testResultSchema = new mongoose.Schema({
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    input: String,
+    expectedOutput: String,
+    actualOutput: String,
+    status: String,
+    error: String,
+    isHidden: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// Per-question outcome; the question itself is snapshotted so reviews survive quiz edits
+const questionResultSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    questionSnapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    answer: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    isAnswered: {
+        type: Boolean,
+        default: false
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    },
+    marksAwarded: {
+        type: Number,
+        default: 0
+    },
+    maxMarks: {
+        type: Number,
+        default: 0
+    },
+    // Short and long answers wait for an instructor to award (partial) marks
+    needsReview: {
+        type: Boolean,
+        default: false
+    },
+    feedback: {
+        type: String,
+        default: ''
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// One entry per answered codeSolve question, graded by the background worker
+const codeSubmissionSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    language: {
+        type: String,
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    marks: {
+        type: Number,
+        default: 1
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'graded'],
+        default: 'pending'
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    // Marks earned, which can be partial when the question gives credit per test case
+    marksAwarded: {
+        type: Number,
+        default: 0
+    },
+    testResults: [testResultSchema],
+    lastError: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+// One question of the paper a student was given, fixed when the attempt starts
+// questionData holds the question as shown (options already in their shuffled order);
+// optionOrder maps each shown option back to its index in the original question.
+const paperQuestionSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Question bank the question was drawn from (null for the quiz's own questions)
+    bank: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QuestionBank',
+        default: null
+    },
+    questionData: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    optionOrder: {
+        type: [Number],
+        default: []
+    },
+    // Display order of the right-hand column of match questions
+    answerOrder: {
+        type: [Number],
+        default: []
+    }
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    attemptNumber: {
+        type: Number,
+        default: 1
+    },
+    // Questions drawn for this attempt; empty for attempts made before papers existed
+    paper: {
+        type: [paperQuestionSchema],
+        default: []
+    },
+    answers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    questionResults: [questionResultSchema],
+    // Seconds spent on each question, keyed by question id (reported by the quiz page)
+    questionTimes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Seconds between starting and submitting the quiz
+    timeTaken: {
+        type: Number,
+        default: null
+    },
+    // Server-side clock: the attempt must be submitted by expiresAt (plus the grace period)
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    // Last autosave of answers while the attempt is in progress
+    lastSavedAt: {
+        type: Date,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'pending', 'grading', 'review', 'graded', 'failed'],
+        default: 'pending'
+    },
+    // Marks from questions graded synchronously at submission time
+    objectiveScore: {
+        type: Number,
+        default: 0
+    },
+    score: {
+        type: Number,
+        default: 0
+    },
+    totalMarks: {
+        type: Number,
+        default: 0
+    },
+    percentage: {
+        type: Number,
+        default: 0
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    // Pass mark in effect when the attempt was submitted
+    passingPercentage: {
+        type: Number,
+        default: 60
+    },
+    codeSubmissions: [codeSubmissionSchema],
+    // Grading queue bookkeeping
+    gradingAttempts: {
+        type: Number,
+        default: 0
+    },
+    nextRunAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    gradedAt: {
+        type: Date,
+        default: null
+    },
+    // Manual grading of short and long answers (status 'review' until done)
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the grading worker and per-user lookups
+quizAttemptSchema.index({ status: 1, nextRunAt: 1 });
+quizAttemptSchema.index({ user: 1, quiz: 1, submittedAt: -1 });
+// Overdue attempt sweeper, and at most one open attempt per student and quiz
+quizAttemptSchema.index({ status: 1, expiresAt: 1 });
+// Manual grading queue per course
+quizAttemptSchema.index({ status: 1, course: 1, submittedAt: 1 });
+quizAttemptSchema.index(
+    { user: 1, quiz: 1 },
+    { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A refund of one order, asked for by the student and approved by an admin
+// Amounts are in the order's currency. Gateway refunds are 'processing' until Razorpay reports
+// them processed (its response or the refund.processed webhook); see services/refunds.js.
+// An order has at most one open (requested, processing or failed) refund at a time.
+const refundSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    // Checkout the order was paid with; null for orders made outside a checkout
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        default: null
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+    },
+    // Set when approved; the student asks for the order, the admin decides how much
+    amount: {
+        type: Number,
+        default: null
+    },
+    // Whether the student loses the course once the refund is processed
+    revokeAccess: {
+        type: Boolean,
+        default: true
+    },
+    status: {
+        type: String,
+        enum: ['requested', 'processing', 'processed', 'rejected', 'failed'],
+        default: 'requested'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    adminNote: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: ''
+    },
+    razorpayRefundId: {
+        type: String,
+        default: null
+    },
+    failureReason: {
+        type: String,
+        default: null
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+refundSchema.index({ order: 1, createdAt: -1 });
+refundSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { status: { $in: ['requested', 'processing', 'failed'] } } });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ razorpayRefundId: 1 }, { unique: true, partialFilterExpression: { razorpayRefundId: { $type: 'string' } } });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -14,10 +14,44 @@ const subSectionSchema = new mongoose.Schema({
     videoUrl: {
         type: String
     },
+    // Read with ffprobe when the video is uploaded (utils/videoMetadata.js)
+    videoMetadata: {
+        duration: Number, // Seconds
+        width: Number,
+        height: Number,
+        rotation: Number,
+        frameRate: Number,
+        videoCodec: String, // ffprobe codec names, e.g. h264, aac
+        audioCodec: String,
+        hasAudio: Boolean,
+        bitrate: Number, // bit/s
+        container: String,
+        probedAt: Date
+    },
     quiz: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Quiz'
-    }
+    },
+    // Chapter markers, sorted by time (seconds from the start of the video)
+    chapters: [
+        {
+            _id: false,
+            time: {
+                type: Number,
+                required: true
+            },
+            title: {
+                type: String,
+                required: true
+            }
+        }
+    ],
+    captions: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Caption'
+        }
+    ]
 
 });
 
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Playback of one lecture video by one student: where they stopped and what they have seen
+const videoProgressSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubSection',
+        required: true
+    },
+    // Last playback position (seconds)
+    position: {
+        type: Number,
+        default: 0
+    },
+    // Watched stretches, sorted and merged (see utils/watchIntervals.js)
+    intervals: [
+        {
+            _id: false,
+            start: Number,
+            end: Number
+        }
+    ],
+    watchedSeconds: {
+        type: Number,
+        default: 0
+    },
+    // Video length the coverage was measured against (seconds)
+    duration: {
+        type: Number,
+        default: 0
+    },
+    // Set once enough of the video was watched; the lecture is then added to CourseProgress
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    lastReportAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+videoProgressSchema.index({ user: 1, subSection: 1 }, { unique: true });
+videoProgressSchema.index({ user: 1, course: 1 });
+
+module.exports = mongoose.model('VideoProgress', videoProgressSchema);
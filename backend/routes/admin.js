@@ -34,6 +34,9 @@ const {
     cleanupExpiredCoupons
 } = require('../controllers/coupon');
 const { getAllOrders, deleteOrder, updateOrderStatus, generateOrdersPDF, getOrderByCourse } = require('../controllers/order');
+const { getAllRefunds, approveRefund, rejectRefund } = require('../controllers/refunds');
+const { getOrderInvoice, regenerateInvoice } = require('../controllers/invoices');
+const { getExchangeRates, setExchangeRate, deleteExchangeRate } = require('../controllers/currency');
 const { 
     getAllReviewsForAdmin, 
     toggleReviewSelection, 
@@ -84,6 +87,16 @@ router.delete('/orders/:orderId', auth, isAdmin, deleteOrder);
 router.patch('/orders/:orderId/status', auth, isAdmin, updateOrderStatus);
 router.get('/orders/export-pdf', auth, isAdmin, generateOrdersPDF);
 router.get('/orders/course/:courseId', auth, getOrderByCourse);
+router.get('/orders/:orderId/invoice', auth, isAdmin, getOrderInvoice);
+router.post('/orders/:orderId/invoice/regenerate', auth, isAdmin, regenerateInvoice);
+//   == REFUND ROUTES   ==
+router.get('/refunds', auth, isAdmin, getAllRefunds);
+router.post('/refunds/:refundId/approve', auth, isAdmin, approveRefund);
+router.post('/refunds/:refundId/reject', auth, isAdmin, rejectRefund);
+//   == EXCHANGE RATE ROUTES   ==
+router.get('/exchange-rates', auth, isAdmin, getExchangeRates);
+router.put('/exchange-rates/:currency', auth, isAdmin, setExchangeRate);
+router.delete('/exchange-rates/:currency', auth, isAdmin, deleteExchangeRate);
 //   == NOTIFICATION MANAGEMENT ROUTES   ==
 router.post('/notifications/send', auth, isAdmin, sendNotification);
 router.get('/notifications', auth, isAdmin, getAllNotifications);
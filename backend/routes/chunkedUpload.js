@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, isAdmin } = require('../middleware/auth');
 const {
     initializeChunkedUpload,
     uploadChunk,
@@ -8,6 +8,16 @@ const {
     getUploadProgress
 } = require('../utils/chunkedVideoUploader');
 const ChunkedVideo = require('../models/chunkedVideo');
+const { queueTranscode, enqueueTranscode } = require('../services/videoTranscoding');
+const { TUS_UPLOAD_CONFIG } = require('../config/supabaseStorage');
+const {
+    getUploadOffset,
+    getUploadExpiry,
+    parseUploadChecksum,
+    createTusUpload,
+    findTusUpload,
+    appendToTusUpload
+} = require('../utils/tusUploader');
 
 // Middleware to parse JSON and handle file uploads
 const multer = require('multer');
@@ -43,7 +53,7 @@ router.post('/initialize', auth, upload.single('video'), async (req, res) => {
             folder
         });
         
-        const result = await initializeChunkedUpload(req.file, folder);
+        const result = await initializeChunkedUpload(req.file, folder, req.user.id);
         
         console.log('✅ Chunked upload initialized successfully:', result);
         res.status(200).json({
@@ -259,6 +269,256 @@ router.get('/list', auth, async (req, res) => {
     }
 });
 
+/**
+ * tus resumable upload protocol (https://tus.io/protocols/resumable-upload)
+ * Creation, termination, checksum and expiration extensions; OPTIONS is answered in server.js
+ */
+const requireTusResumable = (req, res, next) => {
+    res.set('Tus-Resumable', TUS_UPLOAD_CONFIG.VERSION);
+    if (req.headers['tus-resumable'] !== TUS_UPLOAD_CONFIG.VERSION) {
+        res.set('Tus-Version', TUS_UPLOAD_CONFIG.VERSION);
+        return res.status(412).json({
+            success: false,
+            message: `Unsupported tus version, expected ${TUS_UPLOAD_CONFIG.VERSION}`
+        });
+    }
+    next();
+};
+
+/**
+ * Create a tus upload
+ * POST /api/chunked-upload/tus
+ */
+router.post('/tus', requireTusResumable, auth, async (req, res) => {
+    try {
+        if (req.headers['upload-defer-length']) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload-Defer-Length is not supported'
+            });
+        }
+
+        const totalSize = Number(req.headers['upload-length']);
+        if (!Number.isSafeInteger(totalSize) || totalSize <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload-Length must be a positive integer'
+            });
+        }
+        if (totalSize > TUS_UPLOAD_CONFIG.MAX_SIZE) {
+            return res.status(413).json({
+                success: false,
+                message: 'Upload is larger than Tus-Max-Size'
+            });
+        }
+
+        const result = await createTusUpload({
+            totalSize,
+            metadataHeader: req.headers['upload-metadata'],
+            userId: req.user.id
+        });
+        if (!result.chunkedVideo) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.set({
+            Location: `${req.baseUrl}/tus/${result.chunkedVideo.videoId}`,
+            'Upload-Expires': getUploadExpiry(result.chunkedVideo).toUTCString()
+        });
+        res.status(201).end();
+    } catch (error) {
+        console.error('Error creating tus upload:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to create upload'
+        });
+    }
+});
+
+/**
+ * Get the offset to resume a tus upload from
+ * HEAD /api/chunked-upload/tus/:videoId
+ */
+router.head('/tus/:videoId', requireTusResumable, auth, async (req, res) => {
+    try {
+        const chunkedVideo = await findTusUpload(req.params.videoId, req.user);
+        res.set('Cache-Control', 'no-store');
+        if (!chunkedVideo) {
+            return res.status(404).end();
+        }
+
+        res.set({
+            'Upload-Offset': String(getUploadOffset(chunkedVideo)),
+            'Upload-Length': String(chunkedVideo.totalSize)
+        });
+        if (chunkedVideo.tus.metadata) {
+            res.set('Upload-Metadata', chunkedVideo.tus.metadata);
+        }
+        if (!chunkedVideo.isComplete) {
+            res.set('Upload-Expires', getUploadExpiry(chunkedVideo).toUTCString());
+        }
+        res.status(200).end();
+    } catch (error) {
+        console.error('Error getting tus upload offset:', error);
+        res.status(500).end();
+    }
+});
+
+/**
+ * Append bytes to a tus upload
+ * PATCH /api/chunked-upload/tus/:videoId
+ */
+router.patch('/tus/:videoId', requireTusResumable, auth, async (req, res) => {
+    try {
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+            return res.status(415).json({
+                success: false,
+                message: 'Content-Type must be application/offset+octet-stream'
+            });
+        }
+
+        const offset = Number(req.headers['upload-offset']);
+        if (!Number.isSafeInteger(offset) || offset < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload-Offset must be a non-negative integer'
+            });
+        }
+
+        const checksum = parseUploadChecksum(req.headers['upload-checksum']);
+        if (req.headers['upload-checksum'] && !checksum) {
+            return res.status(400).json({
+                success: false,
+                message: `Upload-Checksum must use one of: ${TUS_UPLOAD_CONFIG.CHECKSUM_ALGORITHMS.join(', ')}`
+            });
+        }
+
+        const chunkedVideo = await findTusUpload(req.params.videoId, req.user);
+        if (!chunkedVideo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found'
+            });
+        }
+
+        const result = await appendToTusUpload(chunkedVideo, req, { offset, checksum });
+        if (result.offset !== undefined) {
+            res.set('Upload-Offset', String(result.offset));
+        }
+        if (result.status !== 204) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        if (!result.isComplete) {
+            res.set('Upload-Expires', getUploadExpiry(chunkedVideo).toUTCString());
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error writing tus upload:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to store upload data'
+        });
+    }
+});
+
+/**
+ * Terminate an incomplete tus upload
+ * DELETE /api/chunked-upload/tus/:videoId
+ */
+router.delete('/tus/:videoId', requireTusResumable, auth, async (req, res) => {
+    try {
+        const chunkedVideo = await findTusUpload(req.params.videoId, req.user);
+        if (!chunkedVideo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found'
+            });
+        }
+
+        if (chunkedVideo.isComplete) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete completed upload'
+            });
+        }
+
+        const { cleanupChunks } = require('../utils/chunkedVideoUploader');
+        await cleanupChunks(chunkedVideo.videoId, true);
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error terminating tus upload:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to terminate upload'
+        });
+    }
+});
+
+/**
+ * Queue a completed upload for HLS transcoding again (e.g. after a failure)
+ * POST /api/chunked-upload/transcode/:videoId
+ */
+router.post('/transcode/:videoId', auth, isAdmin, async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId });
+        if (!chunkedVideo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Chunked upload not found'
+            });
+        }
+
+        if (!chunkedVideo.isComplete) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only completed uploads can be transcoded'
+            });
+        }
+
+        if (chunkedVideo.transcoding?.status === 'processing') {
+            return res.status(409).json({
+                success: false,
+                message: 'Video is already being transcoded'
+            });
+        }
+
+        if (!queueTranscode(chunkedVideo)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Video transcoding is disabled on this server'
+            });
+        }
+        await chunkedVideo.save();
+        enqueueTranscode();
+
+        res.status(200).json({
+            success: true,
+            message: 'Video queued for transcoding',
+            data: { videoId, transcoding: chunkedVideo.transcoding.status }
+        });
+    } catch (error) {
+        console.error('Error queueing video transcoding:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to queue video transcoding'
+        });
+    }
+});
+
 /**
  * Cancel/Delete an incomplete chunked upload
  * DELETE /api/chunked-upload/:videoId
@@ -16,6 +16,14 @@ const {
 } = require('../controllers/course')
 
 const { updateCourseProgress, updateQuizProgress, checkSectionAccess, getProgressPercentage } = require('../controllers/courseProgress')
+const { getVideoProgress, updateVideoProgress } = require('../controllers/videoProgress')
+const {
+    getOfflinePublicKey,
+    createOfflineLicense,
+    renewOfflineLicense,
+    revokeOfflineLicense,
+    downloadOfflineLecture
+} = require('../controllers/offlineDownload')
 
 // categories Controllers
 const {
@@ -42,6 +50,15 @@ const {
     deleteSubSection
 } = require('../controllers/subSection');
 
+// caption controllers
+const {
+    getCaptionTracks,
+    getCaptionContent,
+    addCaptionTrack,
+    updateCaptionTrack,
+    deleteCaptionTrack
+} = require('../controllers/caption');
+
 
 // rating controllers
 const {
@@ -73,6 +90,13 @@ router.post('/addSubSection', auth, isInstructor, upload.single('video'), create
 router.post('/updateSubSection', auth, isInstructor, upload.single('videoFile'), updateSubSection);
 router.post('/deleteSubSection', auth, isInstructor, deleteSubSection);
 
+// Lecture Captions (WebVTT; SRT is converted on upload)
+router.get('/captions/:subSectionId', auth, getCaptionTracks);
+router.get('/captions/:subSectionId/:captionId', auth, getCaptionContent);
+router.post('/captions/:subSectionId', auth, isInstructor, addCaptionTrack);
+router.put('/captions/:subSectionId/:captionId', auth, isInstructor, updateCaptionTrack);
+router.delete('/captions/:subSectionId/:captionId', auth, isInstructor, deleteCaptionTrack);
+
 
 // Get Details for a Specific Courses
 router.post('/getCourseDetails', getCourseDetails);
@@ -106,6 +130,17 @@ router.delete("/deleteCourse", auth, deleteCourse)
 // update Course Progress
 router.post("/updateCourseProgress", auth, isStudent, updateCourseProgress)
 
+// resume position and watched intervals of a lecture video
+router.get("/video-progress/:subSectionId", auth, isStudent, getVideoProgress)
+router.post("/video-progress", auth, isStudent, updateVideoProgress)
+
+// encrypted offline copies of a section's lectures and their licenses
+router.get("/offline/public-key", auth, getOfflinePublicKey)
+router.post("/offline/licenses", auth, isStudent, createOfflineLicense)
+router.post("/offline/licenses/:licenseId/renew", auth, isStudent, renewOfflineLicense)
+router.delete("/offline/licenses/:licenseId", auth, isStudent, revokeOfflineLicense)
+router.get("/offline/licenses/:licenseId/lectures/:subSectionId", auth, isStudent, downloadOfflineLecture)
+
 // update Quiz Progress
 router.post("/updateQuizProgress", auth, isStudent, updateQuizProgress)
 
@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
 
-const { capturePayment, verifyPayment, getPurchaseHistory } = require('../controllers/payments');
+const { getCheckoutQuote, capturePayment, verifyPayment, razorpayWebhook, getPurchaseHistory } = require('../controllers/payments');
 const { getOrderByCourse } = require('../controllers/order');
+const { requestRefund } = require('../controllers/refunds');
+const { downloadInvoice } = require('../controllers/invoices');
+const { getCurrencies } = require('../controllers/currency');
 const { auth, isAdmin, isInstructor, isStudent } = require('../middleware/auth');
 
+router.get('/currencies', getCurrencies);
+router.post('/quote', auth, isStudent, getCheckoutQuote);
 router.post('/capturePayment', auth, isStudent, capturePayment);
 router.post('/verifyPayment', auth, isStudent, verifyPayment);
+// Called by Razorpay, authenticated by its signature
+router.post('/webhook', razorpayWebhook);
 router.get('/purchaseHistory', auth, isStudent, getPurchaseHistory);
 router.get('/order/course/:courseId', auth, isStudent, getOrderByCourse);
+router.post('/orders/:orderId/refund', auth, isStudent, requestRefund);
+router.get('/orders/:orderId/invoice', auth, isStudent, downloadInvoice);
 
 module.exports = router
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+const { auth, isInstructor } = require('../middleware/auth');
+const {
+  createQuestionBank,
+  getQuestionBanks,
+  getQuestionBankById,
+  updateQuestionBank,
+  deleteQuestionBank,
+  exportQuestionBank
+} = require('../controllers/questionBank');
+
+// Question banks are managed by instructors and admins
+router.post('/', auth, isInstructor, createQuestionBank);
+router.get('/', auth, isInstructor, getQuestionBanks);
+router.get('/:bankId', auth, isInstructor, getQuestionBankById);
+router.get('/:bankId/export', auth, isInstructor, exportQuestionBank);
+router.put('/:bankId', auth, isInstructor, updateQuestionBank);
+router.delete('/:bankId', auth, isInstructor, deleteQuestionBank);
+
+module.exports = router;
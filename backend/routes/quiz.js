@@ -12,7 +12,17 @@ const {
   getQuizResults,
   validateSectionAccess,
   submitQuiz,
-  getQuizStatus
+  getQuizStatus,
+  getQuizAttempts,
+  getAttemptReview,
+  startQuizAttempt,
+  autosaveQuizAttempt,
+  getGradingQueue,
+  gradeQuizAttempt,
+  previewQuizImport,
+  exportQuiz,
+  exportCourseQuizzes,
+  getQuizAnalytics
 } = require('../controllers/quiz');
 
 // Routes
@@ -31,6 +41,14 @@ router.post('/create', auth, (req, res, next) => {
 router.get('/status/:quizId', auth, getQuizStatus);
 router.get('/results/:quizId', auth, getQuizResults);
 router.get('/validate-access/:sectionId', auth, validateSectionAccess);
+router.get('/attempts/:quizId', auth, getQuizAttempts);
+router.get('/attempt/:attemptId/review', auth, getAttemptReview);
+router.get('/grading-queue', auth, isInstructor, getGradingQueue);
+router.put('/attempt/:attemptId/grade', auth, isInstructor, gradeQuizAttempt);
+router.post('/import/preview', auth, isInstructor, previewQuizImport);
+router.get('/export/course/:courseId', auth, isInstructor, exportCourseQuizzes);
+router.get('/export/:quizId', auth, isInstructor, exportQuiz);
+router.get('/analytics/:quizId', auth, isInstructor, getQuizAnalytics);
 router.get('/:quizId', auth, getQuizById);
 router.put('/update/:quizId', auth, (req, res, next) => {
   // Allow both admin and instructor to update quizzes
@@ -43,6 +61,8 @@ router.put('/update/:quizId', auth, (req, res, next) => {
     });
   }
 }, updateQuiz);
+router.post('/start', auth, startQuizAttempt);
+router.put('/attempt/:attemptId/autosave', auth, autosaveQuizAttempt);
 router.post('/submit', auth, submitQuiz);
 
 module.exports = router;
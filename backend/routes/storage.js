@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const localStorage = require('../services/storage/localStorage');
+const { STORAGE_BUCKETS, PRIVATE_BUCKETS } = require('../config/supabaseStorage');
+
+/**
+ * Serve a file of the local storage backend (STORAGE_PROVIDER=local)
+ * GET /storage/:bucket/*path
+ * Buckets are public like the Supabase ones, except PRIVATE_BUCKETS (lecture videos), whose
+ * files are only served with a valid signature (?expires=...&signature=...). A signed URL is
+ * refused once it has expired. Range requests are answered by sendFile.
+ */
+router.get('/:bucket/*', (req, res) => {
+    const { bucket } = req.params;
+    const filePath = req.params[0];
+
+    if (!Object.values(STORAGE_BUCKETS).includes(bucket) || !filePath) {
+        return res.status(404).json({
+            success: false,
+            message: 'File not found'
+        });
+    }
+
+    const { expires, signature } = req.query;
+    const mustBeSigned = PRIVATE_BUCKETS.includes(bucket);
+    if ((mustBeSigned || expires || signature) && !localStorage.verifySignature(bucket, filePath, expires, signature)) {
+        return res.status(403).json({
+            success: false,
+            message: 'This link has expired or is invalid'
+        });
+    }
+
+    let absolutePath;
+    try {
+        absolutePath = localStorage.resolvePath(bucket, filePath);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.sendFile(absolutePath, { dotfiles: 'allow', maxAge: signature ? 0 : '1h' }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.status || 500).json({
+                success: false,
+                message: error.status === 404 ? 'File not found' : 'Could not read file'
+            });
+        }
+    });
+});
+
+module.exports = router;
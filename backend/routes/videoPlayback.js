@@ -2,13 +2,183 @@ const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
 const ChunkedVideo = require('../models/chunkedVideo');
-const { supabaseAdmin } = require('../config/supabaseAdmin');
+const { getStorage } = require('../services/storage');
+const { VIDEO_PLAYBACK_CONFIG } = require('../config/video');
+const {
+    resolvePlaybackVideo,
+    createPlaybackToken,
+    verifyPlaybackToken,
+    getSignedUrlTtl,
+    createSignedUrls,
+    signDirectVideo,
+    signVariantPlaylist
+} = require('../services/videoPlayback');
+const { buildThumbnailsVtt } = require('../utils/videoThumbnails');
+
+/**
+ * Require a playback token (from POST /playback-token) for the video in the URL
+ * Accepted in the query string, since video elements cannot send headers, or as a Bearer token.
+ */
+const requirePlaybackToken = async (req, res, next) => {
+    const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Playback token required'
+        });
+    }
+
+    try {
+        const result = await verifyPlaybackToken(token, req.params.videoId);
+        if (!result.claims) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+        req.playback = { token, claims: result.claims };
+        next();
+    } catch (error) {
+        console.error('Error verifying playback token:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to verify playback token'
+        });
+    }
+};
+
+/**
+ * Parse a single-range Range header against the size of the video
+ * @returns {Object|null} { start, end }, { unsatisfiable: true }, or null to send the whole video
+ */
+const parseRange = (header, totalSize) => {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, totalSize - Number(match[2]));
+        end = totalSize - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? totalSize - 1 : Math.min(Number(match[2]), totalSize - 1);
+    }
+
+    if (start >= totalSize || end < start) return { unsatisfiable: true };
+    return { start, end };
+};
+
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Write bytes [from, to] of one stored chunk to the response
+ * Only the requested bytes are read from storage.
+ */
+const writeChunkRange = async (res, chunkedVideo, chunk, from, to) => {
+    let stream;
+    try {
+        stream = await getStorage().createReadStream(chunkedVideo.bucket, chunk.chunkPath, { start: from, end: to });
+    } catch (error) {
+        throw new Error(`Could not read chunk ${chunk.chunkIndex}: ${error.message}`);
+    }
+
+    let remaining = to - from + 1;
+    try {
+        for await (const part of stream) {
+            const buffer = part.subarray(0, remaining);
+            remaining -= buffer.length;
+
+            if (buffer.length > 0 && !res.write(buffer)) {
+                await waitForDrain(res);
+            }
+            if (remaining <= 0 || res.destroyed) break;
+        }
+    } finally {
+        stream.destroy();
+    }
+
+    if (remaining > 0 && !res.destroyed) {
+        throw new Error(`Chunk ${chunk.chunkIndex} ended ${remaining} bytes early`);
+    }
+};
+
+/**
+ * Issue a playback token for a lecture video
+ * POST /api/v1/video/playback-token
+ * Body: { courseId, subSectionId } for students, or { videoId } for previews by admins and the uploader
+ * Lectures uploaded in one piece get a signed videoUrl instead of a token.
+ */
+router.post('/playback-token', auth, async (req, res) => {
+    try {
+        const { courseId, subSectionId, videoId } = req.body;
+
+        const result = await resolvePlaybackVideo(req.user, { courseId, subSectionId, videoId });
+        if (result.directVideo) {
+            const { videoUrl, expiresAt } = await signDirectVideo(result.directVideo);
+            return res.status(200).json({
+                success: true,
+                data: { videoUrl, expiresAt, isComplete: true },
+                message: 'Playback URL issued successfully'
+            });
+        }
+        if (!result.chunkedVideo) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const { chunkedVideo } = result;
+        const { token, expiresAt } = createPlaybackToken(req.user, chunkedVideo.videoId, result.courseId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                playbackToken: token,
+                expiresAt,
+                videoId: chunkedVideo.videoId,
+                isComplete: chunkedVideo.isComplete,
+                duration: chunkedVideo.duration || 0,
+                transcodingStatus: chunkedVideo.transcoding?.status || 'none',
+                renditions: (chunkedVideo.hls?.renditions || []).map(rendition => ({
+                    name: rendition.name,
+                    width: rendition.width,
+                    height: rendition.height,
+                    bandwidth: rendition.bandwidth
+                })),
+                // Served by /poster/:videoId and /thumbnails/:videoId/thumbnails.vtt
+                hasPoster: Boolean(chunkedVideo.thumbnails?.posterPath),
+                hasThumbnails: Boolean(chunkedVideo.thumbnails?.sprites?.length)
+            },
+            message: 'Playback token issued successfully'
+        });
+    } catch (error) {
+        console.error('Error issuing playback token:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to issue playback token'
+        });
+    }
+});
 
 /**
  * Get video manifest for chunked video playback
- * GET /api/v1/video/manifest/:videoId
+ * GET /api/v1/video/manifest/:videoId?token=<playback token>
+ * Chunk URLs are signed and expire with the playback token
  */
-router.get('/manifest/:videoId', auth, async (req, res) => {
+router.get('/manifest/:videoId', requirePlaybackToken, async (req, res) => {
     try {
         const { videoId } = req.params;
         
@@ -32,16 +202,16 @@ router.get('/manifest/:videoId', auth, async (req, res) => {
         const sortedChunks = chunkedVideo.uploadedChunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
 
         // Generate chunk URLs for playback
-        const chunkUrls = sortedChunks.map(chunk => {
-            const { data: urlData } = supabaseAdmin.storage
-                .from(chunkedVideo.bucket)
-                .getPublicUrl(chunk.chunkPath);
-            return {
-                index: chunk.chunkIndex,
-                url: urlData.publicUrl,
-                size: chunk.chunkSize
-            };
-        });
+        const signedUrls = await createSignedUrls(
+            chunkedVideo.bucket,
+            sortedChunks.map(chunk => chunk.chunkPath),
+            getSignedUrlTtl(req.playback.claims)
+        );
+        const chunkUrls = sortedChunks.map((chunk, index) => ({
+            index: chunk.chunkIndex,
+            url: signedUrls[index],
+            size: chunk.chunkSize
+        }));
 
         const manifest = {
             videoId,
@@ -52,7 +222,8 @@ router.get('/manifest/:videoId', auth, async (req, res) => {
             mimetype: chunkedVideo.mimetype,
             chunks: chunkUrls,
             duration: chunkedVideo.duration || 0,
-            isChunked: true
+            isChunked: true,
+            transcodingStatus: chunkedVideo.transcoding?.status || 'none'
         };
 
         res.status(200).json({
@@ -72,37 +243,12 @@ router.get('/manifest/:videoId', auth, async (req, res) => {
 
 /**
  * Stream chunked video for playback
- * GET /api/v1/video/stream/:videoId
- * Supports both header and query parameter authentication
+ * GET /api/v1/video/stream/:videoId?token=<playback token>
+ * Honours single byte ranges, including ranges that span several chunks
  */
-router.get('/stream/:videoId', async (req, res) => {
-    // Check for token in header or query parameter
-    let token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token && req.query.token) {
-        token = req.query.token;
-    }
-    
-    if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication token required'
-        });
-    }
-    
-    // Verify token manually since we're not using the auth middleware
-    try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
-    } catch (error) {
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid authentication token'
-        });
-    }
+router.get('/stream/:videoId', requirePlaybackToken, async (req, res) => {
     try {
         const { videoId } = req.params;
-        const range = req.headers.range;
         
         // Get chunked video record
         const chunkedVideo = await ChunkedVideo.findOne({ videoId });
@@ -121,112 +267,47 @@ router.get('/stream/:videoId', async (req, res) => {
         }
 
         const totalSize = chunkedVideo.totalSize;
-        
-        if (range) {
-            // Parse range header
-            const parts = range.replace(/bytes=/, "").split("-");
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : totalSize - 1;
-
-            // Limit range size to prevent memory issues and improve performance
-            const maxRangeSize = 2 * 1024 * 1024; // 2MB max per request
-            const actualEnd = Math.min(end, start + maxRangeSize - 1, totalSize - 1);
-            const rangeSize = actualEnd - start + 1;
-
-            // Determine which chunks we need
-            const startChunk = Math.floor(start / chunkedVideo.chunkSize);
-            const endChunk = Math.floor(actualEnd / chunkedVideo.chunkSize);
-
-            console.log(`Range request: ${start}-${actualEnd} (${rangeSize} bytes), chunks: ${startChunk}-${endChunk}`);
-
-            // Set response headers immediately for faster response
-            res.writeHead(206, {
-                'Content-Range': `bytes ${start}-${actualEnd}/${totalSize}`,
-                'Accept-Ranges': 'bytes',
-                'Content-Length': rangeSize,
-                'Content-Type': chunkedVideo.mimetype,
-                'Cache-Control': 'public, max-age=3600'
-            });
+        const range = parseRange(req.headers.range, totalSize);
 
-            // Stream chunks as we download them for faster response
-            const sortedChunks = chunkedVideo.uploadedChunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
-            let bytesWritten = 0;
-            
-            for (let i = startChunk; i <= endChunk && bytesWritten < rangeSize; i++) {
-                const chunk = sortedChunks[i];
-                if (!chunk) continue;
-
-                try {
-                    // Download chunk from Supabase
-                    const { data, error } = await supabaseAdmin.storage
-                        .from(chunkedVideo.bucket)
-                        .download(chunk.chunkPath);
-
-                    if (error) {
-                        console.error(`Error downloading chunk ${i}:`, error);
-                        continue;
-                    }
-
-                    const arrayBuffer = await data.arrayBuffer();
-                    const chunkBuffer = Buffer.from(arrayBuffer);
-
-                    // Calculate the portion of this chunk we need
-                    const chunkStartPos = i * chunkedVideo.chunkSize;
-                    const chunkEndPos = chunkStartPos + chunkBuffer.length - 1;
-                    
-                    // Check if this chunk overlaps with our requested range
-                    if (chunkEndPos >= start && chunkStartPos <= actualEnd) {
-                        const sliceStart = Math.max(0, start - chunkStartPos);
-                        const sliceEnd = Math.min(chunkBuffer.length, actualEnd - chunkStartPos + 1);
-                        
-                        if (sliceStart < sliceEnd && bytesWritten < rangeSize) {
-                            const slicedChunk = chunkBuffer.slice(sliceStart, sliceEnd);
-                            const bytesToWrite = Math.min(slicedChunk.length, rangeSize - bytesWritten);
-                            
-                            if (bytesToWrite > 0) {
-                                const finalChunk = slicedChunk.slice(0, bytesToWrite);
-                                res.write(finalChunk);
-                                bytesWritten += finalChunk.length;
-                            }
-                        }
-                    }
-                } catch (downloadError) {
-                    console.error(`Error processing chunk ${i}:`, downloadError);
-                }
-            }
+        if (range?.unsatisfiable) {
+            return res.status(416).set('Content-Range', `bytes */${totalSize}`).end();
+        }
 
-            res.end();
-        } else {
-            // No range header, stream entire video
-            res.writeHead(200, {
-                'Content-Length': totalSize,
-                'Content-Type': chunkedVideo.mimetype,
-            });
+        // Limit range size to prevent memory issues and improve performance
+        const start = range ? range.start : 0;
+        const end = range ? Math.min(range.end, start + VIDEO_PLAYBACK_CONFIG.MAX_RANGE_SIZE - 1) : totalSize - 1;
 
-            // Stream all chunks in order
-            const sortedChunks = chunkedVideo.uploadedChunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
-            
-            for (const chunk of sortedChunks) {
-                try {
-                    const { data, error } = await supabaseAdmin.storage
-                        .from(chunkedVideo.bucket)
-                        .download(chunk.chunkPath);
-
-                    if (error) {
-                        console.error(`Error downloading chunk ${chunk.chunkIndex}:`, error);
-                        continue;
-                    }
-
-                    const arrayBuffer = await data.arrayBuffer();
-                    const chunkBuffer = Buffer.from(arrayBuffer);
-                    res.write(chunkBuffer);
-                } catch (downloadError) {
-                    console.error(`Error processing chunk ${chunk.chunkIndex}:`, downloadError);
-                }
-            }
+        // Byte offset of every chunk within the video
+        let offset = 0;
+        const chunks = [...chunkedVideo.uploadedChunks]
+            .sort((a, b) => a.chunkIndex - b.chunkIndex)
+            .map(chunk => {
+                const entry = { chunk, start: offset, end: offset + chunk.chunkSize - 1 };
+                offset += chunk.chunkSize;
+                return entry;
+            })
+            .filter(entry => entry.end >= start && entry.start <= end);
+
+        const headers = {
+            'Accept-Ranges': 'bytes',
+            'Content-Length': end - start + 1,
+            'Content-Type': chunkedVideo.mimetype,
+            // URLs carry a user's playback token, so only their browser may cache the bytes
+            'Cache-Control': 'private, max-age=3600'
+        };
+        if (range) {
+            headers['Content-Range'] = `bytes ${start}-${end}/${totalSize}`;
+        }
+        res.writeHead(range ? 206 : 200, headers);
 
-            res.end();
+        for (const entry of chunks) {
+            if (res.destroyed) break;
+            const from = Math.max(start, entry.start) - entry.start;
+            const to = Math.min(end, entry.end) - entry.start;
+            await writeChunkRange(res, chunkedVideo, entry.chunk, from, to);
         }
+
+        res.end();
     } catch (error) {
         console.error('Error streaming video:', error);
         if (!res.headersSent) {
@@ -235,6 +316,9 @@ router.get('/stream/:videoId', async (req, res) => {
                 message: error.message,
                 error: 'Failed to stream video'
             });
+        } else {
+            // Part of the body is already sent; a short response must not look complete
+            res.destroy(error);
         }
     }
 });
@@ -291,7 +375,15 @@ router.get('/info/:videoId', async (req, res) => {
             mimetype: chunkedVideo.mimetype,
             createdAt: chunkedVideo.createdAt,
             completedAt: chunkedVideo.completedAt,
-            isChunked: true
+            isChunked: true,
+            // Adaptive streaming: play /hls/:videoId/master.m3u8 once this is 'ready'
+            transcodingStatus: chunkedVideo.transcoding?.status || 'none',
+            renditions: (chunkedVideo.hls?.renditions || []).map(rendition => ({
+                name: rendition.name,
+                width: rendition.width,
+                height: rendition.height,
+                bandwidth: rendition.bandwidth
+            }))
         };
 
         res.status(200).json({
@@ -309,4 +401,164 @@ router.get('/info/:videoId', async (req, res) => {
     }
 });
 
+/**
+ * HLS master playlist of a transcoded video
+ * GET /api/v1/video/hls/:videoId/master.m3u8?token=<playback token>
+ * Variant playlists are served by this router too, so the token travels with them
+ */
+router.get('/hls/:videoId/master.m3u8', requirePlaybackToken, async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId });
+        if (!chunkedVideo) {
+            return res.status(404).json({
+                success: false,
+                message: 'Video not found'
+            });
+        }
+
+        const transcodingStatus = chunkedVideo.transcoding?.status || 'none';
+        if (transcodingStatus !== 'ready' || !chunkedVideo.hls?.renditions?.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'Adaptive stream is not ready for this video',
+                data: { transcodingStatus }
+            });
+        }
+
+        const renditions = [...chunkedVideo.hls.renditions].sort((a, b) => b.bandwidth - a.bandwidth);
+        const lines = ['#EXTM3U', '#EXT-X-VERSION:3', '#EXT-X-INDEPENDENT-SEGMENTS'];
+        for (const rendition of renditions) {
+            lines.push(
+                `#EXT-X-STREAM-INF:${rendition.streamInf}`,
+                `${req.baseUrl}/hls/${videoId}/${rendition.name}/index.m3u8?token=${encodeURIComponent(req.playback.token)}`
+            );
+        }
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            // The URL carries the viewer's token, so shared caches must not keep it
+            'Cache-Control': 'private, no-cache'
+        });
+        res.status(200).send(`${lines.join('\n')}\n`);
+    } catch (error) {
+        console.error('Error building HLS master playlist:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get HLS playlist'
+        });
+    }
+});
+
+/**
+ * HLS variant playlist of one rendition, with signed segment URLs
+ * GET /api/v1/video/hls/:videoId/:rendition/index.m3u8?token=<playback token>
+ */
+router.get('/hls/:videoId/:rendition/index.m3u8', requirePlaybackToken, async (req, res) => {
+    try {
+        const { videoId, rendition: name } = req.params;
+
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId });
+        const rendition = chunkedVideo?.hls?.renditions?.find(item => item.name === name);
+        if (!rendition || chunkedVideo.transcoding?.status !== 'ready') {
+            return res.status(404).json({
+                success: false,
+                message: 'Rendition not found'
+            });
+        }
+
+        let data;
+        try {
+            data = await getStorage().download(chunkedVideo.bucket, rendition.playlistPath);
+        } catch (error) {
+            throw new Error(`Could not download playlist: ${error.message}`);
+        }
+
+        const playlist = await signVariantPlaylist(
+            chunkedVideo,
+            rendition.playlistPath,
+            data.toString('utf8'),
+            getSignedUrlTtl(req.playback.claims)
+        );
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.status(200).send(playlist);
+    } catch (error) {
+        console.error('Error building HLS variant playlist:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get HLS playlist'
+        });
+    }
+});
+
+/**
+ * Poster frame of a video: redirects to a signed storage URL
+ * GET /api/v1/video/poster/:videoId?token=<playback token>
+ */
+router.get('/poster/:videoId', requirePlaybackToken, async (req, res) => {
+    try {
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId: req.params.videoId });
+        if (!chunkedVideo?.thumbnails?.posterPath) {
+            return res.status(404).json({
+                success: false,
+                message: 'This video has no poster'
+            });
+        }
+
+        const [signedUrl] = await createSignedUrls(
+            chunkedVideo.bucket,
+            [chunkedVideo.thumbnails.posterPath],
+            getSignedUrlTtl(req.playback.claims)
+        );
+        res.set('Cache-Control', 'private, no-cache');
+        res.redirect(302, signedUrl);
+    } catch (error) {
+        console.error('Error getting video poster:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get video poster'
+        });
+    }
+});
+
+/**
+ * WebVTT thumbnails track for hover-scrub previews, with signed sprite sheet URLs
+ * GET /api/v1/video/thumbnails/:videoId/thumbnails.vtt?token=<playback token>
+ */
+router.get('/thumbnails/:videoId/thumbnails.vtt', requirePlaybackToken, async (req, res) => {
+    try {
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId: req.params.videoId });
+        const thumbnails = chunkedVideo?.thumbnails;
+        if (!thumbnails?.sprites?.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'This video has no thumbnails'
+            });
+        }
+
+        const spriteUrls = await createSignedUrls(chunkedVideo.bucket, thumbnails.sprites, getSignedUrlTtl(req.playback.claims));
+
+        res.set({
+            'Content-Type': 'text/vtt; charset=utf-8',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.status(200).send(buildThumbnailsVtt(thumbnails, spriteUrls, chunkedVideo.duration));
+    } catch (error) {
+        console.error('Error building thumbnails track:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message,
+            error: 'Failed to get thumbnails'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { runMediaGarbageCollection } = require('../services/mediaGarbageCollector');
+require('dotenv').config();
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)}MB`;
+
+/**
+ * Report stored files that no course, lecture, chat message, job application, user, category
+ * or chunked video refers to
+ * Runs as a dry run; pass --delete to remove the orphans (and chunked uploads no lecture has
+ * used for MEDIA_GC_UNATTACHED_VIDEO_DAYS days).
+ */
+const cleanupOrphanedMedia = async () => {
+    const dryRun = !process.argv.includes('--delete');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URL, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log('✅ Connected to database');
+
+        const report = await runMediaGarbageCollection({ dryRun });
+
+        report.orphans.forEach(file => {
+            console.log(`🗑️ ${file.bucket}/${file.path} (${formatSize(file.size || 0)})`);
+        });
+        report.unattachedVideos.forEach(video => {
+            console.log(`📹 Unattached upload ${video.videoId} (${video.originalFilename}, ${formatSize(video.totalSize || 0)}, completed ${new Date(video.completedAt).toISOString()})`);
+        });
+
+        console.log('\n📊 Summary:');
+        for (const [bucket, stats] of Object.entries(report.buckets)) {
+            console.log(`${bucket}: ${stats.scanned} files, ${stats.referenced} in use, ${stats.recent} too recent, ${stats.orphaned} orphaned (${formatSize(stats.orphanedBytes)}), ${stats.deleted} deleted`);
+        }
+        if (report.errors.length > 0) {
+            console.log(`\n⚠️ ${report.errors.length} errors:`);
+            report.errors.forEach(error => console.log(`  ${error}`));
+        }
+        if (report.dryRun) {
+            console.log('\nDry run: nothing was deleted. Run with --delete to remove the orphans.');
+        }
+
+    } catch (error) {
+        console.error('❌ Error cleaning up orphaned media:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+        process.exit(0);
+    }
+};
+
+if (require.main === module) {
+    cleanupOrphanedMedia();
+}
+
+module.exports = { cleanupOrphanedMedia };
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+require('dotenv').config();
+
+// Local stand-in for Razorpay, for trying the checkout without a Razorpay account
+// Serves the parts of the API the backend calls (orders, refunds), a checkout.js for the
+// browser and signed webhooks. Point the backend at it with:
+//   RAZORPAY_HOST_URL=http://localhost:4010
+//   RAZORPAY_CHECKOUT_URL=http://localhost:4010/v1/checkout.js
+// It uses the same RAZORPAY_KEY, RAZORPAY_SECRET and RAZORPAY_WEBHOOK_SECRET as the backend.
+const PORT = Number(process.env.MOCK_RAZORPAY_PORT) || 4010;
+const WEBHOOK_URL = process.env.MOCK_RAZORPAY_WEBHOOK_URL || 'http://localhost:5001/api/v1/payment/webhook';
+const WEBHOOK_DELAY = 1000; // ms, so the browser's verify call usually comes first
+const WEBHOOK_ATTEMPTS = 3;
+
+const KEY_ID = process.env.RAZORPAY_KEY;
+const KEY_SECRET = process.env.RAZORPAY_SECRET;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const orders = new Map();
+const payments = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const apiError = (res, status, description) => res.status(status).json({
+    error: { code: 'BAD_REQUEST_ERROR', description }
+});
+
+/**
+ * Deliver a signed webhook event, retrying like Razorpay when it isn't accepted
+ */
+const sendWebhook = async (event, entities) => {
+    const body = JSON.stringify({
+        entity: 'event',
+        account_id: 'acc_mock',
+        event,
+        contains: Object.keys(entities),
+        payload: Object.fromEntries(Object.entries(entities).map(([name, entity]) => [name, { entity }])),
+        created_at: now()
+    });
+    const eventId = randomId('evt');
+
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(WEBHOOK_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Razorpay-Signature': hmac(WEBHOOK_SECRET, body),
+                    'X-Razorpay-Event-Id': eventId
+                },
+                body
+            });
+            console.log(`🔔 ${event} → ${response.status}`);
+            if (response.ok) return;
+        } catch (error) {
+            console.log(`🔔 ${event} not delivered: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, WEBHOOK_DELAY * attempt));
+    }
+};
+
+const app = express();
+app.use(express.json());
+
+// The browser calls /mock from the frontend's origin
+app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+});
+
+// Basic auth with the key id and secret, as the SDK sends them
+app.use('/v1', (req, res, next) => {
+    if (req.path === '/checkout.js') return next();
+    const expected = `Basic ${Buffer.from(`${KEY_ID}:${KEY_SECRET}`).toString('base64')}`;
+    if (req.get('authorization') !== expected) {
+        return apiError(res, 401, 'Authentication failed');
+    }
+    next();
+});
+
+app.post('/v1/orders', (req, res) => {
+    const { amount, currency = 'INR', receipt, notes = {} } = req.body;
+    if (!Number.isInteger(amount) || amount < 100) {
+        return apiError(res, 400, 'The amount must be atleast INR 1.00');
+    }
+    const order = {
+        id: randomId('order'),
+        entity: 'order',
+        amount,
+        amount_paid: 0,
+        amount_due: amount,
+        currency,
+        receipt,
+        status: 'created',
+        attempts: 0,
+        notes,
+        created_at: now()
+    };
+    orders.set(order.id, order);
+    console.log(`🧾 Order ${order.id}: ${amount} ${currency}`);
+    res.json(order);
+});
+
+app.get('/v1/orders/:orderId', (req, res) => {
+    const order = orders.get(req.params.orderId);
+    if (!order) return apiError(res, 400, 'The id provided does not exist');
+    res.json(order);
+});
+
+app.post('/v1/payments/:paymentId/refund', (req, res) => {
+    const payment = payments.get(req.params.paymentId);
+    if (!payment || payment.status !== 'captured') {
+        return apiError(res, 400, 'The payment has not been captured');
+    }
+    const amount = req.body.amount || payment.amount - payment.amount_refunded;
+    if (amount <= 0 || payment.amount_refunded + amount > payment.amount) {
+        return apiError(res, 400, 'The refund amount provided is greater than amount captured');
+    }
+
+    const refund = {
+        id: randomId('rfnd'),
+        entity: 'refund',
+        amount,
+        currency: payment.currency,
+        payment_id: payment.id,
+        notes: req.body.notes || {},
+        status: 'processed',
+        created_at: now()
+    };
+    payment.amount_refunded += amount;
+    payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+    console.log(`↩️ Refund ${refund.id}: ${amount} of ${payment.id}`);
+
+    res.json(refund);
+    setTimeout(() => sendWebhook('refund.processed', { refund, payment }), WEBHOOK_DELAY);
+});
+
+// What the browser's checkout calls when the user confirms; outcome 'failed' declines the payment
+app.post('/mock/orders/:orderId/pay', (req, res) => {
+    const order = orders.get(req.params.orderId);
+    if (!order) return apiError(res, 400, 'The id provided does not exist');
+    if (order.status === 'paid') return apiError(res, 400, 'This order has already been paid');
+
+    const failed = req.body.outcome === 'failed';
+    const payment = {
+        id: randomId('pay'),
+        entity: 'payment',
+        amount: order.amount,
+        currency: order.currency,
+        status: failed ? 'failed' : 'captured',
+        order_id: order.id,
+        method: 'card',
+        amount_refunded: 0,
+        refund_status: null,
+        captured: !failed,
+        error_code: failed ? 'BAD_REQUEST_ERROR' : null,
+        error_description: failed ? 'Payment failed because the card was declined' : null,
+        created_at: now()
+    };
+    payments.set(payment.id, payment);
+    order.attempts += 1;
+
+    if (failed) {
+        res.status(400).json({
+            error: {
+                code: payment.error_code,
+                description: payment.error_description,
+                reason: 'payment_failed',
+                metadata: { order_id: order.id, payment_id: payment.id }
+            }
+        });
+        setTimeout(() => sendWebhook('payment.failed', { payment }), WEBHOOK_DELAY);
+        return;
+    }
+
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+    console.log(`💳 Payment ${payment.id} captured for ${order.id}`);
+
+    res.json({
+        razorpay_payment_id: payment.id,
+        razorpay_order_id: order.id,
+        razorpay_signature: hmac(KEY_SECRET, `${order.id}|${payment.id}`)
+    });
+    setTimeout(() => sendWebhook('payment.captured', { payment }), WEBHOOK_DELAY);
+});
+
+// A window.Razorpay with the options and events the frontend uses, asking with a prompt
+app.get('/v1/checkout.js', (req, res) => {
+    const origin = `${req.protocol}://${req.get('host')}`;
+    res.type('application/javascript').send(`(function () {
+  function Razorpay(options) {
+    this.options = options;
+    this.handlers = {};
+  }
+  Razorpay.prototype.on = function (event, callback) {
+    this.handlers[event] = callback;
+  };
+  Razorpay.prototype.open = function () {
+    var options = this.options;
+    var handlers = this.handlers;
+    var answer = window.prompt(
+      'Mock Razorpay: pay ' + (options.amount / 100).toFixed(2) + ' ' + options.currency + ' to ' + options.name +
+      '?\\nOK pays, type "fail" to decline the payment, Cancel closes the checkout.'
+    );
+    if (answer === null) {
+      if (options.modal && options.modal.ondismiss) options.modal.ondismiss();
+      return;
+    }
+    fetch(${JSON.stringify(origin)} + '/mock/orders/' + options.order_id + '/pay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome: answer.trim() === 'fail' ? 'failed' : 'captured' })
+    })
+      .then(function (response) { return response.json(); })
+      .then(function (result) {
+        if (result.error) {
+          if (handlers['payment.failed']) handlers['payment.failed']({ error: result.error });
+        } else {
+          options.handler(result);
+        }
+      });
+  };
+  window.Razorpay = Razorpay;
+})();
+`);
+});
+
+if (!KEY_ID || !KEY_SECRET || !WEBHOOK_SECRET) {
+    console.error('❌ RAZORPAY_KEY, RAZORPAY_SECRET and RAZORPAY_WEBHOOK_SECRET must be set');
+    process.exit(1);
+}
+
+app.listen(PORT, () => {
+    console.log(`✅ Mock Razorpay on http://localhost:${PORT}, webhooks to ${WEBHOOK_URL}`);
+});
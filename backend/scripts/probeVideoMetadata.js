@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const SubSection = require('../models/subSection');
+const ChunkedVideo = require('../models/chunkedVideo');
+const { probeVideo, getUnsupportedReason } = require('../utils/videoMetadata');
+const { downloadSource } = require('../services/videoTranscoding');
+const { convertSecondsToDuration } = require('../utils/secToDuration');
+require('dotenv').config();
+
+/**
+ * Probe the video of a lecture
+ * Chunked uploads are joined into a temporary file (unless the transcoding worker has already
+ * probed them); other videos are probed from their URL.
+ */
+const probeLectureVideo = async (subSection, dryRun) => {
+    const chunkedVideo = await ChunkedVideo.findOne({ finalVideoUrl: subSection.videoUrl });
+    if (!chunkedVideo) {
+        return probeVideo(subSection.videoUrl);
+    }
+    if (chunkedVideo.videoMetadata?.probedAt) {
+        return chunkedVideo.toObject().videoMetadata;
+    }
+
+    const tempPath = path.join(os.tmpdir(), `probe-${chunkedVideo.videoId}${path.extname(chunkedVideo.originalFilename) || '.mp4'}`);
+    try {
+        await fs.promises.rm(tempPath, { force: true });
+        await downloadSource(chunkedVideo, tempPath);
+        const metadata = await probeVideo(tempPath);
+        if (!dryRun) {
+            chunkedVideo.videoMetadata = { ...metadata, probedAt: new Date() };
+            chunkedVideo.duration = metadata.duration;
+            await chunkedVideo.save();
+        }
+        return metadata;
+    } finally {
+        await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    }
+};
+
+/**
+ * Re-probe the videos of existing lectures with ffprobe
+ * Fills SubSection.videoMetadata and corrects timeDuration, which older uploads got from the
+ * mvhd parser or a size-based estimate. Course lengths are summed from timeDuration when they
+ * are read, so they are corrected too.
+ * Only lectures that were never probed are checked; pass --all to check every lecture and
+ * --dry-run to only report the changes. Videos with unsupported codecs are listed, not removed.
+ */
+const probeExistingVideos = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        console.log(`🎬 Probing lecture videos${dryRun ? ' (dry run)' : ''}...`);
+
+        await mongoose.connect(process.env.MONGODB_URL, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log('✅ Connected to database');
+
+        const filter = { videoUrl: { $nin: [null, ''] } };
+        if (!process.argv.includes('--all')) {
+            filter['videoMetadata.probedAt'] = { $exists: false };
+        }
+        const subSections = await SubSection.find(filter).select('title videoUrl timeDuration');
+        console.log(`Found ${subSections.length} lectures to probe`);
+
+        let updated = 0;
+        let unchanged = 0;
+        let failed = 0;
+        const unsupported = [];
+
+        for (const subSection of subSections) {
+            try {
+                const metadata = await probeLectureVideo(subSection, dryRun);
+                const reason = getUnsupportedReason(metadata);
+                if (reason) {
+                    unsupported.push(`${subSection._id} (${subSection.title}): ${reason}`);
+                }
+
+                const timeDuration = Math.round(metadata.duration);
+                if (timeDuration !== Math.round(Number(subSection.timeDuration) || 0)) {
+                    console.log(`📹 ${subSection._id} (${subSection.title}): ${convertSecondsToDuration(subSection.timeDuration)} -> ${convertSecondsToDuration(timeDuration)}`);
+                    updated++;
+                } else {
+                    unchanged++;
+                }
+
+                if (!dryRun) {
+                    const update = { videoMetadata: { ...metadata, probedAt: metadata.probedAt || new Date() } };
+                    if (timeDuration > 0) {
+                        update.timeDuration = timeDuration;
+                    }
+                    await SubSection.updateOne({ _id: subSection._id }, { $set: update });
+                }
+            } catch (error) {
+                console.error(`❌ ${subSection._id} (${subSection.title}): ${error.message}`);
+                failed++;
+            }
+        }
+
+        console.log('\n📊 Summary:');
+        console.log(`Duration ${dryRun ? 'would change' : 'corrected'}: ${updated}`);
+        console.log(`Duration already right: ${unchanged}`);
+        console.log(`Could not be probed: ${failed}`);
+        if (unsupported.length > 0) {
+            console.log(`\n⚠️ ${unsupported.length} lectures use codecs new uploads are rejected for:`);
+            unsupported.forEach(line => console.log(`  ${line}`));
+        }
+
+    } catch (error) {
+        console.error('❌ Error probing videos:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+        process.exit(0);
+    }
+};
+
+if (require.main === module) {
+    probeExistingVideos();
+}
+
+module.exports = { probeExistingVideos };
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const ChunkedVideo = require('../models/chunkedVideo');
+require('dotenv').config();
+
+/**
+ * Queue completed chunked uploads that were never transcoded to HLS
+ * The running server's transcoding worker picks them up.
+ * Pass --failed to also retry videos whose transcoding failed, and --thumbnails to make the
+ * poster and thumbnails of transcoded videos that have none (their renditions are kept).
+ */
+const queueExistingVideos = async () => {
+    try {
+        console.log('🎬 Queueing completed videos for HLS transcoding...');
+
+        await mongoose.connect(process.env.MONGODB_URL, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+
+        console.log('✅ Connected to database');
+
+        const statuses = process.argv.includes('--failed') ? ['none', 'failed'] : ['none'];
+        const result = await ChunkedVideo.updateMany(
+            {
+                isComplete: true,
+                $or: [
+                    { 'transcoding.status': { $in: statuses } },
+                    { 'transcoding.status': { $exists: false } }
+                ]
+            },
+            {
+                $set: {
+                    'transcoding.status': 'queued',
+                    'transcoding.attempts': 0,
+                    'transcoding.nextRunAt': new Date(),
+                    'transcoding.lockedAt': null,
+                    'transcoding.error': null
+                }
+            }
+        );
+
+        console.log(`🎉 Queued ${result.modifiedCount} videos for transcoding.`);
+
+        if (process.argv.includes('--thumbnails')) {
+            const thumbnailsResult = await ChunkedVideo.updateMany(
+                {
+                    isComplete: true,
+                    'transcoding.status': 'ready',
+                    'hls.renditions.0': { $exists: true },
+                    'thumbnails.sprites.0': { $exists: false }
+                },
+                {
+                    $set: {
+                        'transcoding.status': 'queued',
+                        'transcoding.attempts': 0,
+                        'transcoding.nextRunAt': new Date(),
+                        'transcoding.lockedAt': null,
+                        'transcoding.error': null,
+                        'transcoding.thumbnailsOnly': true
+                    }
+                }
+            );
+            console.log(`🖼️ Queued ${thumbnailsResult.modifiedCount} transcoded videos for thumbnails.`);
+        }
+
+    } catch (error) {
+        console.error('❌ Error queueing videos:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+        process.exit(0);
+    }
+};
+
+if (require.main === module) {
+    queueExistingVideos();
+}
+
+module.exports = { queueExistingVideos };
@@ -12,9 +12,10 @@ const server = http.createServer(app);
 const cookieParser = require('cookie-parser');
 const cors = require('cors');
 
-// connection to DB and Supabase
+// connection to DB and file storage
 const { connectDB, isConnected, getConnectionStatus } = require('./config/database');
-const { initializeStorageBuckets } = require('./config/supabaseStorage');
+const { initializeStorage } = require('./services/storage');
+const { STORAGE_CONFIG } = require('./config/storage');
 
 // routes
 const userRoutes = require('./routes/user');
@@ -25,6 +26,7 @@ const adminRoutes = require('./routes/admin');
 const studentProgressRoutes = require('./routes/admin/studentProgress');
 const courseAccessRoutes = require('./routes/courseAccess');
 const quizRoutes = require('./routes/quiz');
+const questionBankRoutes = require('./routes/questionBank');
 const certificateRoutes = require('./routes/certificate');
 const notificationRoutes = require('./routes/notification');
 const contactMessageRoutes = require('./routes/contactMessage');
@@ -37,6 +39,8 @@ const jobApplicationRoutes = require('./routes/jobApplications');
 const recycleBinRoutes = require('./routes/recycleBin');
 const chunkedUploadRoutes = require('./routes/chunkedUpload');
 const videoPlaybackRoutes = require('./routes/videoPlayback');
+const storageRoutes = require('./routes/storage');
+const { getTusCapabilityHeaders } = require('./utils/tusUploader');
 
 // middleware 
 app.use(cookieParser());
@@ -45,11 +49,26 @@ app.use(cookieParser());
 const corsOptions = {
     origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:3000','http://18.133.138.91:5173'], // Frontend URLs
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+    allowedHeaders: [
+        'Content-Type', 'Authorization',
+        // tus resumable uploads
+        'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset', 'Upload-Checksum', 'Upload-Defer-Length'
+    ],
+    exposedHeaders: [
+        'Content-Type', 'Authorization', 'Content-Disposition',
+        'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm',
+        'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires'
+    ]
 };
 
+// tus clients discover server support with OPTIONS, which the CORS middleware would otherwise answer
+app.options(
+    ['/api/v1/chunked-upload/tus', '/api/v1/chunked-upload/tus/:videoId'],
+    cors({ ...corsOptions, preflightContinue: true }),
+    (req, res) => res.set(getTusCapabilityHeaders()).status(204).end()
+);
+
 app.use(cors(corsOptions));
 
 // Socket.io configuration
@@ -202,6 +221,9 @@ io.on('connection', (socket) => {
 // Make io available to routes
 app.set('io', io);
 
+// Razorpay signs the exact webhook body, so it is kept raw
+app.use('/api/v1/payment/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+
 // Body parser middleware with increased limits
 app.use(express.json({ limit: '500mb' }));
 app.use(express.urlencoded({ extended: true, limit: '500mb' }));
@@ -241,6 +263,7 @@ app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/admin', studentProgressRoutes);
 app.use('/api/v1/course-access', courseAccessRoutes);
 app.use('/api/v1/quiz', quizRoutes);
+app.use('/api/v1/question-bank', questionBankRoutes);
 app.use('/api/v1/certificate', certificateRoutes);
 app.use('/api/v1/notification', notificationRoutes);
 app.use('/api/v1/contact', contactMessageRoutes);
@@ -262,6 +285,11 @@ app.use('/api/v1/chunked-upload', chunkedUploadRoutes);
 // Video Playback Routes
 app.use('/api/v1/video', videoPlaybackRoutes);
 
+// Files of the local storage backend
+if (STORAGE_CONFIG.PROVIDER === 'local') {
+    app.use('/storage', storageRoutes);
+}
+
 // Health check route
 app.get('/health', (req, res) => {
     const dbStatus = getConnectionStatus();
@@ -416,7 +444,7 @@ const startServer = async () => {
         await connectDB();
         
         // Initialize storage buckets
-        await initializeStorageBuckets();
+        await initializeStorage();
         
         // Run seed data if SEED_DATABASE environment variable is set to true
         if (process.env.SEED_DATABASE === 'true') {
@@ -436,6 +464,22 @@ const startServer = async () => {
         const { scheduleCleanup } = require('./scripts/recycleBinCleanup');
         scheduleCleanup();
 
+        // Report (or remove) stored files no record refers to, when MEDIA_GC_SCHEDULE is set
+        const { scheduleMediaGarbageCollection } = require('./services/mediaGarbageCollector');
+        scheduleMediaGarbageCollection();
+
+        // Start the background grading worker for codeSolve quiz submissions
+        const { startGradingWorker } = require('./services/gradingQueue');
+        startGradingWorker(io);
+
+        // Build HLS renditions of completed chunked video uploads
+        const { startTranscodeWorker } = require('./services/videoTranscoding');
+        startTranscodeWorker();
+
+        // Auto-submit timed quiz attempts that ran past their deadline
+        const { startAttemptSweeper } = require('./services/quizAttempts');
+        startAttemptSweeper();
+
         // Start connection monitoring
         connectionMonitor.startMonitoring(30000); // Check every 30 seconds
 
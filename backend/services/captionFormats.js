@@ -0,0 +1,206 @@
+// Caption file formats
+// Lecture captions are stored as WebVTT, the format browsers load into <track> elements.
+// SRT files are converted on upload: cue numbers are dropped, timestamps are rewritten with a
+// dot before the milliseconds and formatting the browser can't show (<font>, {\an8}) is removed.
+
+const FORMATS = ['vtt', 'srt'];
+
+const VTT_TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+// SRT players accept a few sloppy variants: single-digit hours, a dot instead of a comma
+const SRT_TIMESTAMP = /^(\d{1,}):([0-5]?\d):([0-5]?\d)[,.](\d{1,3})$/;
+
+/**
+ * Pick the format of an uploaded caption file from its name, falling back to its content
+ * @returns {string|null} 'vtt', 'srt' or null when it is neither
+ */
+const detectCaptionFormat = (filename, content) => {
+    const extension = (filename || '').split('.').pop().toLowerCase();
+    if (FORMATS.includes(extension)) return extension;
+
+    const text = normalizeText(content);
+    if (/^WEBVTT(?:[ \t]|$)/.test(text)) return 'vtt';
+    if (/^\d+\n[\d:,.]+ --> [\d:,.]+/.test(text)) return 'srt';
+    return null;
+};
+
+const normalizeText = (content) => {
+    return String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+};
+
+/**
+ * Seconds as a WebVTT timestamp (hh:mm:ss.ttt)
+ */
+const formatTimestamp = (seconds) => {
+    const totalMs = Math.round(seconds * 1000);
+    const ms = totalMs % 1000;
+    const totalSeconds = Math.floor(totalMs / 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(ms, 3)}`;
+};
+
+const parseTimestamp = (value, pattern) => {
+    const match = value.trim().match(pattern);
+    if (!match) return null;
+    const [, hours, minutes, seconds, ms] = match;
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(ms.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Parse a timing line ("start --> end [settings]")
+ * @returns {Object|null} { start, end, settings }
+ */
+const parseTiming = (line, pattern) => {
+    const match = line.match(/^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/);
+    if (!match) return null;
+    const start = parseTimestamp(match[1], pattern);
+    const end = parseTimestamp(match[2], pattern);
+    if (start === null || end === null) return null;
+    return { start, end, settings: match[3].trim() };
+};
+
+/**
+ * Parse and check a WebVTT file
+ * @returns {Object} { cues, errors } - cues are { id, start, end, settings, text }; errors name the line
+ */
+const parseVtt = (content) => {
+    const lines = normalizeText(content).split('\n');
+    const cues = [];
+    const errors = [];
+
+    if (!/^WEBVTT(?:[ \t]|$)/.test(lines[0])) {
+        errors.push('Line 1: a WebVTT file must start with "WEBVTT"');
+        return { cues, errors };
+    }
+
+    let index = 1;
+    // The header runs to the first blank line
+    while (index < lines.length && lines[index].trim() !== '') index++;
+
+    while (index < lines.length) {
+        if (lines[index].trim() === '') {
+            index++;
+            continue;
+        }
+
+        const blockStart = index;
+        const block = [];
+        while (index < lines.length && lines[index].trim() !== '') {
+            block.push(lines[index]);
+            index++;
+        }
+
+        if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(block[0])) continue;
+
+        const timingOffset = block[0].includes('-->') ? 0 : 1;
+        const timingLine = block[timingOffset];
+        const lineNumber = blockStart + timingOffset + 1;
+        if (!timingLine || !timingLine.includes('-->')) {
+            errors.push(`Line ${blockStart + 1}: cue is missing its timing ("00:00:01.000 --> 00:00:04.000")`);
+            continue;
+        }
+
+        const timing = parseTiming(timingLine, VTT_TIMESTAMP);
+        if (!timing) {
+            errors.push(`Line ${lineNumber}: invalid cue timing "${timingLine.trim()}"`);
+            continue;
+        }
+        if (timing.end <= timing.start) {
+            errors.push(`Line ${lineNumber}: cue ends before it starts`);
+            continue;
+        }
+
+        const text = block.slice(timingOffset + 1);
+        const badLine = text.findIndex(line => line.includes('-->'));
+        if (badLine !== -1) {
+            errors.push(`Line ${lineNumber + badLine + 1}: cue text can't contain "-->"`);
+            continue;
+        }
+
+        cues.push({
+            id: timingOffset === 1 ? block[0].trim() : null,
+            ...timing,
+            text: text.join('\n')
+        });
+    }
+
+    return { cues, errors };
+};
+
+/**
+ * Convert an SRT file to WebVTT
+ * @returns {Object} { content, errors }
+ */
+const srtToVtt = (content) => {
+    const blocks = normalizeText(content).trim().split(/\n[ \t]*\n+/);
+    const cues = [];
+    const errors = [];
+
+    blocks.forEach((block, blockIndex) => {
+        const lines = block.split('\n');
+        if (lines.length === 1 && lines[0].trim() === '') return;
+
+        const timingOffset = lines[0].includes('-->') ? 0 : 1;
+        const timing = lines[timingOffset] ? parseTiming(lines[timingOffset].trim(), SRT_TIMESTAMP) : null;
+        if (!timing) {
+            errors.push(`Cue ${blockIndex + 1}: invalid or missing timing`);
+            return;
+        }
+        if (timing.end <= timing.start) {
+            errors.push(`Cue ${blockIndex + 1}: cue ends before it starts`);
+            return;
+        }
+
+        const text = lines.slice(timingOffset + 1)
+            .map(line => line
+                .replace(/<\/?font[^>]*>/gi, '')
+                .replace(/\{\\[^}]*\}/g, '')
+                .replace(/-->/g, '->'))
+            .join('\n');
+        cues.push({ start: timing.start, end: timing.end, text });
+    });
+
+    const body = cues
+        .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`)
+        .join('\n\n');
+    return { content: `WEBVTT\n\n${body}\n`, errors };
+};
+
+/**
+ * Turn an uploaded or edited caption file into the WebVTT that is stored
+ * @param {string} format - 'vtt' or 'srt'
+ * @returns {Object} { content, cueCount } or { errors } when the file is not usable
+ */
+const toWebVtt = (format, content) => {
+    let vtt = normalizeText(content);
+    let errors = [];
+
+    if (format === 'srt') {
+        ({ content: vtt, errors } = srtToVtt(vtt));
+        if (errors.length > 0) return { errors };
+    } else if (format !== 'vtt') {
+        return { errors: [`Caption files must be ${FORMATS.join(' or ').toUpperCase()}`] };
+    }
+
+    const parsed = parseVtt(vtt);
+    if (parsed.errors.length > 0) return { errors: parsed.errors };
+    if (parsed.cues.length === 0) return { errors: ['The caption file has no cues'] };
+
+    return { content: vtt.endsWith('\n') ? vtt : `${vtt}\n`, cueCount: parsed.cues.length };
+};
+
+/**
+ * Whether a string looks like a BCP 47 language tag ("en", "hi", "pt-BR", "zh-Hant")
+ */
+const isLanguageTag = (value) => {
+    return typeof value === 'string' && /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(value);
+};
+
+module.exports = {
+    FORMATS,
+    detectCaptionFormat,
+    formatTimestamp,
+    parseVtt,
+    srtToVtt,
+    toWebVtt,
+    isLanguageTag
+};
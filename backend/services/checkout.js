@@ -0,0 +1,385 @@
+// Course checkout through Razorpay
+// A checkout starts from a signed quote of services/pricing.js, so the amount charged is never
+// taken from the browser. A Payment records the checkout and its Razorpay order, with a
+// pending Order per course; it is fulfilled (orders paid, enrollment, coupon use, emails) when
+// the browser returns a correctly signed payment or the payment.captured webhook arrives,
+// whichever comes first. Fulfillment claims the payment with an atomic status change, so it
+// runs once however often either of them is repeated; a paid checkout whose orders were never
+// marked paid is finished by the next of them.
+const crypto = require('crypto');
+const Payment = require('../models/payment');
+const Order = require('../models/order');
+const User = require('../models/user');
+const Course = require('../models/course');
+const mailSender = require('../utils/mailSender');
+const { courseEnrollmentEmail } = require('../mail/templates/courseEnrollmentEmail');
+const { findCoupon, recordCouponUse } = require('../utils/couponRules');
+const { toPaise, priceCart, readQuote, signQuote, isSamePricing } = require('./pricing');
+const { handleGatewayRefund, handleGatewayRefundFailure } = require('./refunds');
+const { getInvoicePdf, getInvoiceFileName } = require('./invoices');
+const { RAZORPAY_CONFIG, getRazorpay } = require('../config/razorpay');
+
+const refuse = (status, message) => ({ error: { status, message } });
+
+/**
+ * HMAC-SHA256 of a payload, compared in constant time with the signature given
+ */
+const isValidSignature = (payload, signature, secret) => {
+    if (!secret || typeof signature !== 'string') return false;
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// One order per course of a checkout
+const buildOrders = (payment, fields) => payment.lines.map(line => ({
+    user: payment.user,
+    course: line.course,
+    amount: line.amount,
+    originalPrice: line.originalPrice,
+    discountAmount: line.discountAmount,
+    taxAmount: line.taxAmount,
+    currency: payment.currency,
+    exchangeRate: payment.exchangeRate,
+    // couponUsed is left out without a discount, as its discountType must be valid when set
+    ...(payment.coupon?.code && line.couponDiscount > 0 && {
+        couponUsed: {
+            code: payment.coupon.code,
+            discountType: payment.coupon.discountType,
+            discountValue: payment.coupon.discountValue,
+            discountAmount: line.couponDiscount
+        }
+    }),
+    payment: payment._id,
+    ...fields
+}));
+
+// The pending orders of a checkout whose payment failed; a later attempt may still pay them
+const failOrders = (paymentId) => {
+    return Order.updateMany({ payment: paymentId, paymentStatus: 'pending' }, { $set: { paymentStatus: 'failed' } });
+};
+
+// Whether a paid checkout still has to be finished: its orders were never marked paid
+const isEnrollmentPending = async (payment) => {
+    const orders = await Order.find({ payment: payment._id }).select('paymentStatus');
+    return orders.length === 0 || orders.some(order => ['pending', 'failed'].includes(order.paymentStatus));
+};
+
+/**
+ * Enroll the user of a paid checkout and mark its orders paid
+ * Every step can be repeated. The orders are marked paid last, so a checkout that stopped
+ * halfway is still pending and is finished by the next call.
+ * @returns {Promise<boolean>} whether this call marked the orders paid
+ */
+const enrollPayment = async (payment) => {
+    const courseIds = payment.lines.map(line => line.course);
+    const user = await User.findByIdAndUpdate(
+        payment.user,
+        { $addToSet: { courses: { $each: courseIds } } },
+        { new: true }
+    );
+    await Course.updateMany(
+        { _id: { $in: courseIds } },
+        { $addToSet: { studentsEnrolled: payment.user } }
+    );
+
+    const paid = {
+        status: true,
+        paymentStatus: 'paid',
+        paymentMethod: payment.gateway,
+        transactionId: payment.razorpayPaymentId || `FREE_${payment._id}`,
+        purchaseDate: payment.paidAt
+    };
+    const updated = await Order.updateMany(
+        { payment: payment._id, paymentStatus: { $in: ['pending', 'failed'] } },
+        { $set: paid }
+    );
+    let marked = updated.modifiedCount > 0;
+    // Checkouts started before their orders were created up front
+    if (!marked && !await Order.exists({ payment: payment._id })) {
+        await Order.insertMany(buildOrders(payment, paid));
+        marked = true;
+    }
+    // Coupon use and emails belong to the call that completed the checkout
+    if (!marked) return false;
+
+    if (payment.coupon?.code) {
+        try {
+            const coupon = await findCoupon(payment.coupon.code, payment.checkoutType);
+            if (coupon) await recordCouponUse(coupon, payment.user);
+        } catch (error) {
+            console.error('Error recording coupon use:', error);
+        }
+    }
+
+    console.log(`✅ Payment ${payment._id} fulfilled: ${courseIds.length} course(s) for user ${payment.user}`);
+
+    // Send confirmation emails, each with the invoice of its order
+    const courses = await Course.find({ _id: { $in: courseIds } }).select('courseName');
+    const orders = await Order.find({ payment: payment._id }).select('course');
+    for (const course of courses) {
+        const attachments = [];
+        try {
+            const order = orders.find(item => item.course.equals(course._id));
+            const issued = order && await getInvoicePdf(order._id);
+            if (issued) {
+                attachments.push({ filename: getInvoiceFileName(issued.invoice), content: issued.pdf });
+            }
+        } catch (invoiceError) {
+            console.error('Error issuing invoice:', invoiceError);
+            // The invoice can still be downloaded from the purchase history
+        }
+
+        try {
+            const emailSubject = payment.coupon?.code
+                ? `Successfully enrolled in ${course.courseName} with coupon ${payment.coupon.code}`
+                : `Successfully enrolled in ${course.courseName}`;
+            await mailSender(user.email, emailSubject, courseEnrollmentEmail(course.courseName, user.firstName), attachments);
+        } catch (emailError) {
+            console.error('Error sending enrollment email:', emailError);
+            // Don't fail the enrollment if email fails
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Mark a checkout paid and enroll its user
+ * The call that moves the payment to 'paid' enrolls; others get the payment back, unless it is
+ * paid but its enrollment never finished (e.g. the server stopped halfway), which they finish.
+ * @param {Object} filter - Selects the payment, e.g. { razorpayOrderId }
+ * @param {Object} [update] - Fields set with the status, e.g. razorpayPaymentId
+ * @returns {Promise<Object>} { payment, fulfilled } (payment is null when it does not exist)
+ */
+const fulfillPayment = async (filter, update = {}) => {
+    let payment = await Payment.findOneAndUpdate(
+        { ...filter, status: { $in: ['created', 'failed'] } },
+        { $set: { ...update, status: 'paid', paidAt: new Date(), failureReason: null } },
+        { new: true }
+    );
+    if (!payment) {
+        payment = await Payment.findOne(filter);
+        if (!payment || payment.status !== 'paid' || !await isEnrollmentPending(payment)) {
+            return { payment, fulfilled: false };
+        }
+    }
+
+    return { payment, fulfilled: await enrollPayment(payment) };
+};
+
+// Create the Razorpay order of a payment; a failure leaves the payment to be tried again
+const openRazorpayOrder = async (payment) => {
+    let order;
+    try {
+        order = await getRazorpay().orders.create({
+            amount: toPaise(payment.amount),
+            currency: payment.currency,
+            receipt: payment._id.toString(),
+            notes: { paymentId: payment._id.toString(), userId: payment.user.toString() }
+        });
+    } catch (error) {
+        payment.status = 'failed';
+        payment.failureReason = 'Could not create the Razorpay order';
+        await payment.save();
+        await failOrders(payment._id);
+        console.error('Error creating Razorpay order:', error.error || error.message || error);
+        return refuse(502, 'Could not start the payment. Please try again.');
+    }
+
+    payment.razorpayOrderId = order.id;
+    payment.status = 'created';
+    payment.failureReason = null;
+    await payment.save();
+    return { payment, order };
+};
+
+// A quote checked out before: hand back its pending order
+const resumeCheckout = async (payment) => {
+    if (payment.status === 'paid' || payment.status === 'refunded') {
+        return refuse(409, 'This order has already been paid');
+    }
+    if (payment.gateway === 'free') {
+        const { payment: fulfilled } = await fulfillPayment({ _id: payment._id });
+        return { payment: fulfilled, order: null };
+    }
+    if (!payment.razorpayOrderId) {
+        return openRazorpayOrder(payment);
+    }
+    return {
+        payment,
+        order: { id: payment.razorpayOrderId, amount: toPaise(payment.amount), currency: payment.currency }
+    };
+};
+
+/**
+ * Start a checkout from a quote, with a Razorpay order unless nothing is left to pay
+ * The cart is priced again, so a quote does not outlive an enrollment, a used-up coupon or a
+ * price change; when the price moved the quote is refused with a fresh one. Checking out the
+ * same quote again returns its pending order. Checkouts that cost nothing are fulfilled
+ * right away.
+ * @param {string} userId
+ * @param {string} quote - Signed quote from services/pricing.js
+ * @returns {Promise<Object>} { payment, order } or { error: { status, message, quote? } }
+ */
+const createCheckout = async (userId, quote) => {
+    const read = readQuote(quote, userId);
+    if (read.error) return read;
+    const { pricing } = read;
+
+    const existing = await Payment.findOne({ quoteId: pricing.quoteId });
+    if (existing) return resumeCheckout(existing);
+
+    const current = await priceCart(userId, {
+        coursesId: pricing.lines.map(line => line.course),
+        couponCode: pricing.coupon?.code,
+        checkoutType: pricing.checkoutType,
+        currency: pricing.currency
+    });
+    if (current.error) return current;
+    if (!isSamePricing(pricing, current)) {
+        const fresh = signQuote(userId, current);
+        return { error: { status: 409, message: 'Prices have changed. Please review your order.', ...fresh } };
+    }
+
+    let payment;
+    try {
+        payment = await Payment.create({
+            user: userId,
+            quoteId: pricing.quoteId,
+            lines: pricing.lines,
+            checkoutType: pricing.checkoutType,
+            coupon: pricing.coupon,
+            tax: pricing.tax,
+            taxAmount: pricing.taxAmount,
+            amount: pricing.amount,
+            currency: pricing.currency,
+            exchangeRate: pricing.exchangeRate,
+            gateway: pricing.amount > 0 ? 'razorpay' : 'free'
+        });
+    } catch (error) {
+        // The same quote checked out twice at once
+        if (error.code !== 11000) throw error;
+        return resumeCheckout(await Payment.findOne({ quoteId: pricing.quoteId }));
+    }
+    // Pending until the payment is confirmed; they give no access before that
+    await Order.insertMany(buildOrders(payment, {
+        status: false,
+        paymentStatus: 'pending',
+        paymentMethod: payment.gateway,
+        transactionId: `PENDING_${payment._id}`,
+        purchaseDate: payment.createdAt
+    }));
+
+    if (payment.gateway === 'free') {
+        const { payment: fulfilled } = await fulfillPayment({ _id: payment._id });
+        return { payment: fulfilled, order: null };
+    }
+    return openRazorpayOrder(payment);
+};
+
+/**
+ * Whether the signature the checkout returned belongs to this order and payment
+ */
+const isValidPaymentSignature = (orderId, paymentId, signature) => {
+    return isValidSignature(`${orderId}|${paymentId}`, signature, RAZORPAY_CONFIG.KEY_SECRET);
+};
+
+/**
+ * Whether a webhook body was signed with the webhook secret
+ */
+const isValidWebhookSignature = (rawBody, signature) => {
+    return isValidSignature(rawBody, signature, RAZORPAY_CONFIG.WEBHOOK_SECRET);
+};
+
+// Mark an event handled; false when it already was
+const claimWebhookEvent = async (paymentId, eventId) => {
+    if (!eventId) return true;
+    const claimed = await Payment.updateOne(
+        { _id: paymentId, webhookEvents: { $ne: eventId } },
+        { $push: { webhookEvents: eventId } }
+    );
+    return claimed.modifiedCount === 1;
+};
+
+// Give a claimed event up again when handling it failed, so Razorpay's retry is handled
+const releaseWebhookEvent = async (paymentId, eventId) => {
+    if (!eventId) return;
+    await Payment.updateOne({ _id: paymentId }, { $pull: { webhookEvents: eventId } });
+};
+
+/**
+ * Handle a verified webhook event
+ * payment.captured fulfills the checkout, payment.failed records the failure, and the refund
+ * events complete or fail refunds (services/refunds.js). Events seen before are skipped; an
+ * event whose handling fails is not recorded, so Razorpay's retry handles it again.
+ * @param {Object} event - The webhook body
+ * @param {string} eventId - x-razorpay-event-id
+ * @returns {Promise<string>} What was done, for the log
+ */
+const handleWebhookEvent = async (event, eventId) => {
+    const paymentEntity = event.payload?.payment?.entity;
+    const refundEntity = event.payload?.refund?.entity;
+
+    const payment = refundEntity
+        ? await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id })
+        : paymentEntity?.order_id ? await Payment.findOne({ razorpayOrderId: paymentEntity.order_id }) : null;
+    if (!payment) {
+        return `ignored ${event.event}: no checkout for it`;
+    }
+    if (!await claimWebhookEvent(payment._id, eventId)) {
+        return `skipped ${event.event}: already handled`;
+    }
+
+    try {
+        return await applyWebhookEvent(event, payment);
+    } catch (error) {
+        await releaseWebhookEvent(payment._id, eventId);
+        throw error;
+    }
+};
+
+// Act on a webhook event of a checkout
+const applyWebhookEvent = async (event, payment) => {
+    const paymentEntity = event.payload?.payment?.entity;
+    const refundEntity = event.payload?.refund?.entity;
+
+    switch (event.event) {
+        case 'payment.captured': {
+            if (paymentEntity.amount !== toPaise(payment.amount) || paymentEntity.currency !== payment.currency) {
+                await Payment.updateOne({ _id: payment._id, status: 'created' }, {
+                    $set: { status: 'failed', failureReason: `Captured ${paymentEntity.amount} ${paymentEntity.currency}, expected ${toPaise(payment.amount)} ${payment.currency}` }
+                });
+                await failOrders(payment._id);
+                return `refused payment.captured for ${payment._id}: amount does not match`;
+            }
+            const { fulfilled } = await fulfillPayment({ _id: payment._id }, { razorpayPaymentId: paymentEntity.id });
+            return fulfilled ? `fulfilled ${payment._id}` : `${payment._id} was already fulfilled`;
+        }
+
+        case 'payment.failed':
+            // A later attempt on the same order may still succeed
+            await Payment.updateOne({ _id: payment._id, status: 'created' }, {
+                $set: { status: 'failed', failureReason: paymentEntity.error_description || 'Payment failed' }
+            });
+            await failOrders(payment._id);
+            return `recorded failure of ${payment._id}`;
+
+        case 'refund.processed':
+            return handleGatewayRefund(payment, refundEntity);
+
+        case 'refund.failed':
+            return handleGatewayRefundFailure(refundEntity);
+
+        default:
+            return `ignored ${event.event}`;
+    }
+};
+
+module.exports = {
+    createCheckout,
+    fulfillPayment,
+    isValidPaymentSignature,
+    isValidWebhookSignature,
+    handleWebhookEvent
+};
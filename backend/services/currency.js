@@ -0,0 +1,106 @@
+// Currencies
+// Course prices, coupons and reports are in the base currency (PRICING_CONFIG.CURRENCY). A
+// checkout can be charged in any of CURRENCY_CONFIG.SUPPORTED that has an exchange rate; a
+// course's price in it is the one set on the course (Course.prices) or its base price
+// converted at the rate. Rates are maintained by admins.
+const ExchangeRate = require('../models/exchangeRate');
+const { PRICING_CONFIG, CURRENCY_CONFIG } = require('../config/pricing');
+
+const BASE = PRICING_CONFIG.CURRENCY;
+
+const refuse = (status, message) => ({ error: { status, message } });
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const isSupported = (currency) => CURRENCY_CONFIG.SUPPORTED.includes(currency);
+
+/**
+ * Exchange rates of the currencies checkouts can be charged in
+ * @returns {Promise<Object>} { INR: 1, USD: 83.25, ... }
+ */
+const getRates = async () => {
+    const rates = await ExchangeRate.find({ currency: { $in: CURRENCY_CONFIG.SUPPORTED, $ne: BASE } }).select('currency rate');
+    return rates.reduce((all, { currency, rate }) => {
+        if (rate > 0) all[currency] = rate;
+        return all;
+    }, { [BASE]: 1 });
+};
+
+/**
+ * The currency to charge: the one asked for, else the user's preferred one, else the base
+ * currency; each only when it has a rate
+ */
+const resolveCurrency = (rates, ...candidates) => {
+    const currency = candidates
+        .map(candidate => typeof candidate === 'string' ? candidate.trim().toUpperCase() : null)
+        .find(candidate => candidate && rates[candidate]);
+    return currency || BASE;
+};
+
+/**
+ * A course's price in a currency: its own price in it, or its base price converted
+ * @param {Object} course - With price and prices
+ * @param {string} currency
+ * @param {number} rate - Worth of one unit of currency in the base currency
+ */
+const getCoursePrice = (course, currency, rate) => {
+    const base = Math.max(course.price || 0, 0);
+    if (currency === BASE) return base;
+    const own = (course.prices || []).find(price => price.currency === currency);
+    if (own && own.amount > 0) return roundAmount(own.amount);
+    return roundAmount(base / rate);
+};
+
+/**
+ * Convert an amount between the base currency and another
+ */
+const fromBase = (amount, rate) => roundAmount(amount / rate);
+const toBase = (amount, rate) => roundAmount(amount * rate);
+
+/**
+ * Check the prices a course sets in other currencies
+ * @param {Array} prices - [{ currency, amount }]
+ * @returns {Object} { prices } cleaned up, or { error: { status, message } }
+ */
+const normalizeCoursePrices = (prices) => {
+    if (!Array.isArray(prices)) {
+        return refuse(400, 'Invalid prices format. Expected an array');
+    }
+
+    const normalized = [];
+    for (const price of prices) {
+        const currency = typeof price?.currency === 'string' ? price.currency.trim().toUpperCase() : '';
+        const amount = Number(price?.amount);
+        if (!isSupported(currency) || currency === BASE) {
+            return refuse(400, `Prices can be set in ${CURRENCY_CONFIG.SUPPORTED.filter(code => code !== BASE).join(', ')}`);
+        }
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return refuse(400, `Invalid ${currency} price`);
+        }
+        if (normalized.some(item => item.currency === currency)) {
+            return refuse(400, `${currency} price is given twice`);
+        }
+        normalized.push({ currency, amount: roundAmount(amount) });
+    }
+    return { prices: normalized };
+};
+
+/**
+ * An amount with its currency for messages, e.g. ₹1180 or USD 14.99
+ */
+const formatAmount = (amount, currency = BASE) => {
+    if (currency === 'INR') return `₹${amount}`;
+    return `${currency} ${Number(amount).toFixed(2)}`;
+};
+
+module.exports = {
+    BASE,
+    isSupported,
+    getRates,
+    resolveCurrency,
+    getCoursePrice,
+    fromBase,
+    toBase,
+    normalizeCoursePrices,
+    formatAmount
+};
@@ -0,0 +1,28 @@
+const pistonExecutor = require('./pistonExecutor');
+const localExecutor = require('./localExecutor');
+const { CODE_EXECUTION_CONFIG } = require('../../config/codeExecution');
+const { EXECUTION_STATUS } = require('./status');
+
+// Registered executor backends, keyed by the name used in CODE_EXECUTOR
+const executors = {
+    [pistonExecutor.name]: pistonExecutor,
+    [localExecutor.name]: localExecutor
+};
+
+/**
+ * Resolve an executor backend by name, falling back to the configured default
+ * @param {string} [name] - Executor name ('piston' or 'local')
+ * @returns {Object} Executor exposing name, supportsLanguage and run
+ */
+const getExecutor = (name = CODE_EXECUTION_CONFIG.EXECUTOR) => {
+    const executor = executors[name];
+    if (!executor) {
+        throw new Error(`Unknown code executor "${name}". Available: ${Object.keys(executors).join(', ')}`);
+    }
+    return executor;
+};
+
+module.exports = {
+    getExecutor,
+    EXECUTION_STATUS
+};
@@ -0,0 +1,438 @@
+// Local sandboxed executor - runs submissions as child processes on this server
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { CODE_EXECUTION_CONFIG, LANGUAGE_LIMITS } = require('../../config/codeExecution');
+const { EXECUTION_STATUS } = require('./status');
+
+const LOCAL_CONFIG = CODE_EXECUTION_CONFIG.LOCAL;
+
+// Largest file a submission may write, in bytes; compilers may write larger binaries
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_COMPILE_FILE_SIZE = 64 * 1024 * 1024;
+
+const TRUNCATION_NOTICE = '\n...[output truncated]';
+
+// First process of a run's PID namespace. The namespace's init ignores signals it has no
+// handler for, so the submission runs as its child; a child killed by signal N comes back
+// as exit code 128 + N.
+const NAMESPACE_INIT = ['/bin/sh', '-c', '"$@"; exit $?', 'sh'];
+
+const signalOf = (exitCode) => {
+    if (!(exitCode > 128)) return null;
+    return Object.keys(os.constants.signals).find(name => os.constants.signals[name] === exitCode - 128) || null;
+};
+
+const OUT_OF_MEMORY_PATTERN = /out of memory|MemoryError|bad_alloc|OutOfMemoryError|Cannot allocate memory|memory allocation of \d+ bytes failed/i;
+
+// prompt()/alert() shim so browser-style snippets read the real stdin
+const JAVASCRIPT_PRELUDE = `
+const __stdinLines = require('fs').readFileSync(0, 'utf8').split(/\\r?\\n/);
+let __stdinIndex = 0;
+function prompt() { return __stdinLines[__stdinIndex++] || ''; }
+function alert(message) { console.log(message); }
+`;
+
+/**
+ * Toolchain definitions for each supported language.
+ * compile/run receive the effective limits and return [command, args].
+ * limitAddressSpace is disabled for runtimes (V8, JVM, CLR) that reserve large
+ * virtual ranges up front; their heap is capped with runtime flags instead.
+ */
+const LANGUAGES = {
+    javascript: {
+        fileName: 'main.js',
+        prepare: (code) => (code.includes('prompt(') ? `${JAVASCRIPT_PRELUDE}\n${code}` : code),
+        run: ({ memoryLimit }) => ['node', [`--max-old-space-size=${memoryLimit}`, 'main.js']],
+        limitAddressSpace: false
+    },
+    typescript: {
+        fileName: 'main.ts',
+        compile: () => ['tsc', ['--target', 'es2020', '--module', 'commonjs', '--skipLibCheck', 'main.ts']],
+        run: ({ memoryLimit }) => ['node', [`--max-old-space-size=${memoryLimit}`, 'main.js']],
+        limitAddressSpace: false
+    },
+    python: {
+        fileName: 'main.py',
+        run: () => ['python3', ['-u', 'main.py']],
+        limitAddressSpace: true
+    },
+    java: {
+        fileName: 'Main.java',
+        compile: () => ['javac', ['-encoding', 'UTF-8', 'Main.java']],
+        run: ({ memoryLimit }) => ['java', [`-Xmx${memoryLimit}m`, '-XX:+UseSerialGC', 'Main']],
+        limitAddressSpace: false
+    },
+    kotlin: {
+        fileName: 'main.kt',
+        compile: () => ['kotlinc', ['main.kt', '-include-runtime', '-d', 'main.jar']],
+        run: ({ memoryLimit }) => ['java', [`-Xmx${memoryLimit}m`, '-XX:+UseSerialGC', '-jar', 'main.jar']],
+        limitAddressSpace: false
+    },
+    cpp: {
+        fileName: 'main.cpp',
+        compile: () => ['g++', ['-O2', '-std=c++17', '-o', 'main', 'main.cpp']],
+        run: () => ['./main', []],
+        limitAddressSpace: true
+    },
+    c: {
+        fileName: 'main.c',
+        compile: () => ['gcc', ['-O2', '-std=c11', '-o', 'main', 'main.c', '-lm']],
+        run: () => ['./main', []],
+        limitAddressSpace: true
+    },
+    go: {
+        fileName: 'main.go',
+        compile: () => ['go', ['build', '-o', 'main', 'main.go']],
+        run: () => ['./main', []],
+        limitAddressSpace: true
+    },
+    rust: {
+        fileName: 'main.rs',
+        compile: () => ['rustc', ['-O', '-o', 'main', 'main.rs']],
+        run: () => ['./main', []],
+        limitAddressSpace: true
+    },
+    ruby: {
+        fileName: 'main.rb',
+        run: () => ['ruby', ['main.rb']],
+        limitAddressSpace: true
+    },
+    csharp: {
+        fileName: 'main.cs',
+        compile: () => ['mcs', ['-out:main.exe', 'main.cs']],
+        run: () => ['mono', ['main.exe']],
+        limitAddressSpace: false
+    },
+    sql: {
+        fileName: 'main.sql',
+        run: () => ['sqlite3', ['-header', '-column', ':memory:', '.read main.sql']],
+        limitAddressSpace: true
+    }
+};
+
+const supportsLanguage = (language) => Boolean(LANGUAGES[language]);
+
+// Simple FIFO semaphore so a burst of submissions queues instead of overloading the host
+let activeRuns = 0;
+const waitingRuns = [];
+
+const acquireSlot = () => new Promise(resolve => {
+    if (activeRuns < LOCAL_CONFIG.MAX_CONCURRENT_RUNS) {
+        activeRuns++;
+        resolve();
+    } else {
+        waitingRuns.push(resolve);
+    }
+});
+
+const releaseSlot = () => {
+    const next = waitingRuns.shift();
+    if (next) {
+        next();
+    } else {
+        activeRuns--;
+    }
+};
+
+/**
+ * Collect a child stream up to maxBytes, reporting when the cap is hit
+ */
+const createOutputCollector = (maxBytes, onOverflow) => {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+
+    return {
+        push(chunk) {
+            if (truncated) return;
+            const remaining = maxBytes - size;
+            if (chunk.length > remaining) {
+                chunks.push(chunk.subarray(0, remaining));
+                size = maxBytes;
+                truncated = true;
+                onOverflow();
+                return;
+            }
+            chunks.push(chunk);
+            size += chunk.length;
+        },
+        get truncated() {
+            return truncated;
+        },
+        toString() {
+            const text = Buffer.concat(chunks).toString('utf8');
+            return truncated ? text + TRUNCATION_NOTICE : text;
+        }
+    };
+};
+
+/**
+ * Spawn a command inside the work directory with resource limits applied.
+ * The command runs in its own network, IPC and PID namespaces (unshare) as the sandbox
+ * account (setpriv), with an environment built from scratch. Limits are set with
+ * prlimit before the real binary is exec'd so they apply to the submission itself
+ * and everything it forks. When the namespace's init exits or is killed, every process
+ * left in the namespace is killed too, including ones that left the process group.
+ */
+const runProcess = (command, args, { cwd, stdin = '', timeLimit, memoryLimit, limitAddressSpace, maxFileSize = MAX_FILE_SIZE }) => {
+    return new Promise((resolve, reject) => {
+        const cpuSeconds = Math.ceil(timeLimit / 1000) + 1;
+        const limits = [
+            `--cpu=${cpuSeconds}`,
+            `--fsize=${maxFileSize}`,
+            `--nproc=${LOCAL_CONFIG.MAX_PROCESSES}`
+        ];
+        if (limitAddressSpace && memoryLimit) {
+            limits.push(`--as=${memoryLimit * 1024 * 1024}`);
+        }
+
+        const uid = LOCAL_CONFIG.SANDBOX_UID;
+        const gid = LOCAL_CONFIG.SANDBOX_GID ?? uid;
+        const sandbox = [
+            '--net', '--ipc', '--pid', '--fork', '--kill-child', '--',
+            'setpriv', `--reuid=${uid}`, `--regid=${gid}`, '--clear-groups', '--no-new-privs', '--',
+            'prlimit', ...limits, '--',
+            ...NAMESPACE_INIT
+        ];
+
+        const startedAt = process.hrtime.bigint();
+        const child = spawn('unshare', [...sandbox, command, ...args], {
+            cwd,
+            // Only what toolchains need to locate themselves, nothing from the server's environment
+            env: {
+                PATH: LOCAL_CONFIG.SANDBOX_PATH,
+                HOME: cwd,
+                TMPDIR: cwd,
+                LANG: 'C.UTF-8',
+                GOCACHE: path.join(cwd, '.gocache')
+            },
+            detached: true,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let timedOut = false;
+        let finished = false;
+
+        // Kill unshare and the namespace's init, which takes the rest of the namespace with it
+        const killGroup = () => {
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch (error) {
+                // Process already exited
+            }
+        };
+
+        const stdout = createOutputCollector(LOCAL_CONFIG.MAX_OUTPUT_BYTES, killGroup);
+        const stderr = createOutputCollector(LOCAL_CONFIG.MAX_OUTPUT_BYTES, killGroup);
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killGroup();
+        }, timeLimit);
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+
+        // Programs that never read stdin close the pipe early
+        child.stdin.on('error', () => {});
+        child.stdin.end(stdin);
+
+        child.on('error', (error) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on('close', (exitCode, closeSignal) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            const signal = closeSignal || signalOf(exitCode);
+
+            // exec failing inside one of the wrappers means a binary is missing
+            const commandOutput = stderr.toString();
+            if (exitCode === 127 && /not found|failed to execute/.test(commandOutput)) {
+                const error = new Error(commandOutput.trim().split('\n')[0] || `${command}: not found`);
+                error.code = 'ENOENT';
+                reject(error);
+                return;
+            }
+
+            const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+            resolve({
+                stdout: stdout.toString(),
+                stderr: commandOutput,
+                exitCode,
+                signal,
+                // SIGXCPU means the CPU-time rlimit fired before the wall clock did
+                timedOut: timedOut || signal === 'SIGXCPU',
+                outputLimitExceeded: stdout.truncated || stderr.truncated,
+                time: (elapsedMs / 1000).toFixed(3)
+            });
+        });
+    });
+};
+
+const resolveRunStatus = (result) => {
+    if (result.timedOut) return EXECUTION_STATUS.TIME_LIMIT_EXCEEDED;
+    if (result.outputLimitExceeded) return EXECUTION_STATUS.OUTPUT_LIMIT_EXCEEDED;
+    if (result.exitCode === 0) return EXECUTION_STATUS.ACCEPTED;
+    if (OUT_OF_MEMORY_PATTERN.test(result.stderr)) return EXECUTION_STATUS.MEMORY_LIMIT_EXCEEDED;
+    return EXECUTION_STATUS.RUNTIME_ERROR;
+};
+
+const toolchainError = (error, command) => {
+    if (error.code === 'ENOENT') {
+        return new Error(`Local executor toolchain not available: ${command} (${error.message})`);
+    }
+    return error;
+};
+
+/**
+ * Why submissions can't be run safely on this host, or null when they can.
+ * Submissions must run as a dedicated account: not root and not the account
+ * the server (with its environment, .env and keys) runs as.
+ */
+const getSandboxError = () => {
+    if (process.platform !== 'linux') {
+        return 'The local code executor requires a Linux host';
+    }
+    const uid = LOCAL_CONFIG.SANDBOX_UID;
+    if (uid === undefined) {
+        return 'The local code executor requires CODE_EXECUTOR_UID, a dedicated unprivileged account to run submissions as';
+    }
+    if (uid === 0 || uid === process.getuid() || LOCAL_CONFIG.SANDBOX_GID === 0) {
+        return 'CODE_EXECUTOR_UID/CODE_EXECUTOR_GID must be a dedicated account, not root or the account the server runs as';
+    }
+    if (process.getuid() !== 0) {
+        return 'The local code executor needs the server to run as root to switch to CODE_EXECUTOR_UID and isolate the network';
+    }
+    return null;
+};
+
+// Checked once: a sandbox that can't be set up refuses every run until the server restarts
+let sandboxCheck = null;
+
+const ensureSandbox = () => {
+    if (!sandboxCheck) {
+        sandboxCheck = (async () => {
+            const configError = getSandboxError();
+            if (configError) {
+                throw new Error(configError);
+            }
+            await fs.mkdir(LOCAL_CONFIG.WORK_DIR, { recursive: true, mode: 0o711 });
+            let probe;
+            try {
+                probe = await runProcess('true', [], { cwd: LOCAL_CONFIG.WORK_DIR, timeLimit: 5000 });
+            } catch (error) {
+                throw new Error(`The local code executor sandbox is not available: ${error.message}`);
+            }
+            if (probe.exitCode !== 0) {
+                throw new Error(`The local code executor sandbox is not available: ${probe.stderr.trim() || `exit code ${probe.exitCode}`}`);
+            }
+        })();
+        sandboxCheck.catch(error => console.error(error.message));
+    }
+    return sandboxCheck;
+};
+
+/**
+ * Compile (when needed) and run source code in a throwaway directory
+ * @param {Object} params
+ * @param {string} params.code - Source code (already normalised by codeExecution)
+ * @param {string} params.language - Language key
+ * @param {string} params.stdin - Input piped to the program's stdin
+ * @returns {Promise<Object>} Normalised execution result
+ */
+const run = async ({ code, language, stdin = '' }) => {
+    await ensureSandbox();
+
+    const definition = LANGUAGES[language];
+    if (!definition) {
+        throw new Error(`Language ${language} not supported by the local executor`);
+    }
+
+    const limits = LANGUAGE_LIMITS[language];
+
+    await acquireSlot();
+    let workDir;
+    try {
+        workDir = await fs.mkdtemp(path.join(LOCAL_CONFIG.WORK_DIR, 'run-'));
+        await fs.chown(workDir, LOCAL_CONFIG.SANDBOX_UID, LOCAL_CONFIG.SANDBOX_GID ?? LOCAL_CONFIG.SANDBOX_UID);
+
+        const source = definition.prepare ? definition.prepare(code) : code;
+        await fs.writeFile(path.join(workDir, definition.fileName), source);
+
+        let compileOutput = '';
+        if (definition.compile) {
+            const [compileCommand, compileArgs] = definition.compile(limits);
+            let compileResult;
+            try {
+                compileResult = await runProcess(compileCommand, compileArgs, {
+                    cwd: workDir,
+                    timeLimit: limits.compileTimeLimit || limits.timeLimit,
+                    // Compilers are trusted, only the wall clock applies
+                    limitAddressSpace: false,
+                    maxFileSize: MAX_COMPILE_FILE_SIZE
+                });
+            } catch (error) {
+                throw toolchainError(error, compileCommand);
+            }
+
+            compileOutput = compileResult.stderr || compileResult.stdout;
+            if (compileResult.exitCode !== 0 || compileResult.timedOut) {
+                return {
+                    stdout: '',
+                    stderr: '',
+                    compileOutput: compileResult.timedOut ? 'Compilation timed out' : compileOutput,
+                    status: EXECUTION_STATUS.COMPILATION_ERROR,
+                    time: compileResult.time,
+                    memory: null,
+                    truncated: compileResult.outputLimitExceeded
+                };
+            }
+        }
+
+        const [runCommand, runArgs] = definition.run(limits);
+        let runResult;
+        try {
+            runResult = await runProcess(runCommand, runArgs, {
+                cwd: workDir,
+                stdin,
+                timeLimit: limits.timeLimit,
+                memoryLimit: limits.memoryLimit,
+                limitAddressSpace: definition.limitAddressSpace
+            });
+        } catch (error) {
+            throw toolchainError(error, runCommand);
+        }
+
+        return {
+            stdout: runResult.stdout,
+            stderr: runResult.stderr,
+            compileOutput,
+            status: resolveRunStatus(runResult),
+            time: runResult.time,
+            memory: null,
+            truncated: runResult.outputLimitExceeded
+        };
+    } finally {
+        releaseSlot();
+        if (workDir) {
+            fs.rm(workDir, { recursive: true, force: true }).catch(error => {
+                console.error('Error removing code runner directory:', error);
+            });
+        }
+    }
+};
+
+module.exports = {
+    name: 'local',
+    supportsLanguage,
+    getSandboxError,
+    run
+};
@@ -0,0 +1,213 @@
+// Remote executor backed by the public Piston API
+const fetch = require('node-fetch');
+const { CODE_EXECUTION_CONFIG } = require('../../config/codeExecution');
+const { EXECUTION_STATUS } = require('./status');
+
+// Rate limiting setup - the public Piston instance throttles aggressively
+const rateLimiter = {
+  tokens: 5,
+  lastRefill: Date.now(),
+  refillRate: 2000, // 1 token per 2 seconds
+  maxTokens: 5,
+  maxWait: 60000, // Runs that would queue longer than this are refused (ms)
+  waiting: 0,
+  queue: Promise.resolve()
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const refillTokens = () => {
+  const now = Date.now();
+  const tokensToAdd = Math.floor((now - rateLimiter.lastRefill) / rateLimiter.refillRate);
+
+  if (tokensToAdd > 0) {
+    rateLimiter.tokens = Math.min(rateLimiter.maxTokens, rateLimiter.tokens + tokensToAdd);
+    // Keep the part of the interval already waited, unless the bucket is full
+    rateLimiter.lastRefill = rateLimiter.tokens === rateLimiter.maxTokens
+      ? now
+      : rateLimiter.lastRefill + tokensToAdd * rateLimiter.refillRate;
+  }
+};
+
+const takeToken = async () => {
+  refillTokens();
+  while (rateLimiter.tokens <= 0) {
+    await delay(rateLimiter.lastRefill + rateLimiter.refillRate - Date.now());
+    refillTokens();
+  }
+  rateLimiter.tokens--;
+};
+
+// Wait for a token; runs take them in the order they asked, so a busy grading queue
+// slows down instead of failing test cases
+const waitForRateLimit = async () => {
+  if (rateLimiter.waiting * rateLimiter.refillRate > rateLimiter.maxWait) {
+    throw new Error("Rate limit exceeded. Please wait a moment before trying again.");
+  }
+
+  rateLimiter.waiting++;
+  const turn = rateLimiter.queue.then(takeToken);
+  rateLimiter.queue = turn;
+  try {
+    await turn;
+  } finally {
+    rateLimiter.waiting--;
+  }
+};
+
+// Transform JavaScript code to work in Node.js environment
+const transformJavaScriptCode = (code, customInput) => {
+  if (!code.includes('prompt(')) {
+    return code;
+  }
+
+  // Convert input to array of lines
+  const inputLines = customInput.split('\n').filter(line => line.trim());
+
+  // Add input handling at the beginning
+  const inputSetup = `
+// Mock prompt function using predefined input
+const inputLines = ${JSON.stringify(inputLines)};
+let inputIndex = 0;
+
+function prompt(message) {
+  // Don't display the prompt message in output
+  return inputLines[inputIndex++] || '';
+}
+
+// Mock alert function
+function alert(message) {
+  console.log(message);
+}
+
+`;
+
+  // Wrap the user code
+  return `
+${inputSetup}
+
+// User code starts here
+${code}
+`;
+};
+
+const pistonLanguageMap = {
+  javascript: "javascript",
+  python: "python",
+  java: "java",
+  cpp: "cpp",
+  c: "c",
+  go: "go",
+  rust: "rust",
+  ruby: "ruby",
+  csharp: "csharp",
+  kotlin: "kotlin",
+  typescript: "typescript",
+  sql: "sqlite"
+};
+
+const fileNames = {
+  java: 'Main.java',
+  cpp: 'main.cpp',
+  c: 'main.c',
+  go: 'main.go',
+  rust: 'main.rs',
+  ruby: 'main.rb',
+  python: 'main.py',
+  javascript: 'main.js',
+  typescript: 'main.ts',
+  csharp: 'main.cs',
+  kotlin: 'main.kt',
+  sql: 'main.sql'
+};
+
+const supportsLanguage = (language) => Boolean(pistonLanguageMap[language]);
+
+/**
+ * Run source code on the Piston API
+ * @param {Object} params
+ * @param {string} params.code - Source code (already normalised by codeExecution)
+ * @param {string} params.language - Language key
+ * @param {string} params.stdin - Input passed to the program
+ * @returns {Promise<Object>} Normalised execution result
+ */
+const run = async ({ code, language, stdin = '' }) => {
+  await waitForRateLimit();
+
+  let processedCode = code;
+  let processedInput = stdin;
+
+  // prompt() does not exist in Node, so the input is baked into the source
+  if (language === 'javascript') {
+    processedCode = transformJavaScriptCode(code, stdin);
+    processedInput = '';
+  } else if (language === 'sql') {
+    processedCode = `
+-- Enable column headers in output
+.headers on
+.mode column
+
+-- Create temporary in-memory database
+.open :memory:
+
+-- Execute user's SQL code
+${code}`;
+  }
+
+  const pistonData = {
+    language: pistonLanguageMap[language],
+    version: "*",
+    files: [
+      {
+        name: fileNames[language] || 'main',
+        content: processedCode
+      }
+    ],
+    stdin: processedInput,
+    // Add compilation and runtime args - increase timeouts for Kotlin
+    compile_timeout: language === 'kotlin' ? 30000 : 10000,
+    run_timeout: language === 'kotlin' ? 15000 : 10000,
+    compile_memory_limit: -1,
+    run_memory_limit: -1
+  };
+
+  const response = await fetch(CODE_EXECUTION_CONFIG.PISTON_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(pistonData)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Execution API error: ${response.status}`);
+  }
+
+  const result = await response.json();
+  // Piston omits the run stage when compilation fails
+  const runStage = result.run || {};
+  const compileFailed = result.compile && result.compile.code !== 0;
+
+  let status = EXECUTION_STATUS.ACCEPTED;
+  if (compileFailed) {
+    status = EXECUTION_STATUS.COMPILATION_ERROR;
+  } else if (runStage.code !== 0) {
+    status = EXECUTION_STATUS.RUNTIME_ERROR;
+  }
+
+  return {
+    stdout: runStage.stdout || "",
+    stderr: runStage.stderr || "",
+    compileOutput: result.compile?.stderr || "",
+    status,
+    time: runStage.time || "0.01",
+    memory: runStage.memory || 1024,
+    truncated: false
+  };
+};
+
+module.exports = {
+  name: 'piston',
+  supportsLanguage,
+  run
+};
@@ -0,0 +1,14 @@
+// Execution statuses shared by every executor backend
+// Accepted (3) and Runtime Error (6) keep the ids the Piston integration always returned
+const EXECUTION_STATUS = {
+    ACCEPTED: { id: 3, description: 'Accepted' },
+    TIME_LIMIT_EXCEEDED: { id: 5, description: 'Time Limit Exceeded' },
+    RUNTIME_ERROR: { id: 6, description: 'Runtime Error' },
+    COMPILATION_ERROR: { id: 7, description: 'Compilation Error' },
+    MEMORY_LIMIT_EXCEEDED: { id: 8, description: 'Memory Limit Exceeded' },
+    OUTPUT_LIMIT_EXCEEDED: { id: 9, description: 'Output Limit Exceeded' }
+};
+
+module.exports = {
+    EXECUTION_STATUS
+};
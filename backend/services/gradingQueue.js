@@ -0,0 +1,335 @@
+// Background grading queue for codeSolve quiz submissions
+// Pending QuizAttempt documents are the queue: the worker claims them atomically,
+// runs their test cases on the quiz executor and finalises the score.
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const CourseProgress = require('../models/courseProgress');
+const { validateCodeWithTestCases } = require('./codeExecution');
+const { getSandboxError } = require('./executors/localExecutor');
+const { CODE_EXECUTION_CONFIG, GRADING_QUEUE_CONFIG } = require('../config/codeExecution');
+const { getQuizPolicy, aggregateAttempts } = require('./quizPolicy');
+const { getPaperQuestions } = require('./quizPaper');
+const { roundMarks, scoreCodeSubmission } = require('./quizScoring');
+
+let io = null;
+let pollTimer = null;
+let activeJobs = 0;
+let pumping = false;
+
+/**
+ * Record a graded attempt in the student's CourseProgress
+ * The stored result is the one selected by the quiz's scoring mode. A quiz that
+ * was passed once stays in passedQuizzes, so a weaker retake never re-locks content.
+ */
+const recordQuizResult = async (attempt) => {
+    const subsectionId = attempt.subSection;
+    let courseProgress = await CourseProgress.findOne({ userId: attempt.user, courseID: attempt.course });
+
+    const quiz = await Quiz.findById(attempt.quiz).select('passingPercentage scoringMode');
+    const policy = { ...getQuizPolicy(quiz), passingPercentage: attempt.passingPercentage };
+
+    const gradedAttempts = await QuizAttempt.find({
+        user: attempt.user,
+        quiz: attempt.quiz,
+        status: 'graded',
+        _id: { $ne: attempt._id }
+    }).select('score totalMarks percentage submittedAt');
+
+    const counted = aggregateAttempts([...gradedAttempts, attempt], policy);
+
+    const newQuizResult = {
+        quiz: attempt.quiz,
+        subSection: subsectionId,
+        score: counted.score,
+        totalMarks: counted.totalMarks,
+        percentage: counted.percentage,
+        passed: counted.passed,
+        attempts: 1,
+        completedAt: new Date()
+    };
+
+    if (!courseProgress) {
+        courseProgress = new CourseProgress({
+            userId: attempt.user,
+            courseID: attempt.course,
+            completedVideos: [],
+            completedQuizzes: counted.passed ? [subsectionId] : [],
+            passedQuizzes: counted.passed ? [subsectionId] : [],
+            quizResults: [newQuizResult]
+        });
+        await courseProgress.save();
+        return courseProgress;
+    }
+
+    // Find existing quiz result
+    const existingQuizResultIndex = courseProgress.quizResults.findIndex(
+        result => result.quiz.toString() === attempt.quiz.toString()
+    );
+
+    if (existingQuizResultIndex >= 0) {
+        newQuizResult.attempts = courseProgress.quizResults[existingQuizResultIndex].attempts + 1;
+        courseProgress.quizResults[existingQuizResultIndex] = newQuizResult;
+    } else {
+        courseProgress.quizResults.push(newQuizResult);
+    }
+
+    // Update completed and passed quizzes if passed
+    if (counted.passed) {
+        if (!courseProgress.completedQuizzes.some(id => id.toString() === subsectionId.toString())) {
+            courseProgress.completedQuizzes.push(subsectionId);
+        }
+        if (!courseProgress.passedQuizzes.some(id => id.toString() === subsectionId.toString())) {
+            courseProgress.passedQuizzes.push(subsectionId);
+        }
+    }
+
+    await courseProgress.save();
+    return courseProgress;
+};
+
+/**
+ * Public result payload for a graded attempt (used by the HTTP response and socket event)
+ */
+const buildAttemptResult = (attempt) => ({
+    attemptId: attempt._id,
+    quizId: attempt.quiz,
+    status: attempt.status,
+    score: attempt.score,
+    totalMarks: attempt.totalMarks,
+    percentage: Number(attempt.percentage || 0).toFixed(1),
+    passed: attempt.passed,
+    requiredPercentage: attempt.passingPercentage
+});
+
+const notifyStudent = (attempt, event) => {
+    if (!io) return;
+    io.to(attempt.user.toString()).emit(event, buildAttemptResult(attempt));
+};
+
+/**
+ * Compute the final score, persist it and update course progress
+ * Attempts with short/long answers still to be marked are parked in 'review' with a
+ * provisional score; course progress is only updated once an instructor has graded them.
+ */
+const finalizeAttempt = async (attempt) => {
+    // Carry code grading results into the per-question history
+    for (const submission of attempt.codeSubmissions) {
+        const questionResult = attempt.questionResults.find(
+            result => result.question.toString() === submission.question.toString()
+        );
+        if (questionResult) {
+            questionResult.isCorrect = submission.passed;
+            questionResult.marksAwarded = submission.marksAwarded;
+        }
+    }
+
+    const codeScore = attempt.codeSubmissions.reduce((sum, submission) => sum + submission.marksAwarded, 0);
+
+    // Negative marks never take an attempt below zero
+    attempt.score = Math.max(0, roundMarks(attempt.objectiveScore + codeScore));
+    attempt.percentage = attempt.totalMarks > 0 ? (attempt.score / attempt.totalMarks) * 100 : 0;
+    attempt.passed = attempt.percentage >= attempt.passingPercentage;
+    attempt.lockedAt = null;
+
+    if (attempt.questionResults.some(result => result.needsReview)) {
+        attempt.status = 'review';
+        await attempt.save();
+        notifyStudent(attempt, 'quiz_review_pending');
+        return attempt;
+    }
+
+    attempt.status = 'graded';
+    attempt.gradedAt = new Date();
+
+    await recordQuizResult(attempt);
+    await attempt.save();
+
+    notifyStudent(attempt, 'quiz_graded');
+    return attempt;
+};
+
+const retryDelay = (gradingAttempts) => GRADING_QUEUE_CONFIG.RETRY_DELAY_BASE * Math.pow(2, Math.max(gradingAttempts - 1, 0));
+
+/**
+ * Run every ungraded code submission of a claimed attempt
+ */
+const processAttempt = async (attempt) => {
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+        throw new Error('Quiz no longer exists');
+    }
+
+    // Bank questions are only on the attempt's paper, not on the quiz
+    const questions = getPaperQuestions(attempt, quiz);
+    let needsRetry = false;
+
+    for (const submission of attempt.codeSubmissions) {
+        if (submission.status === 'graded') continue;
+
+        const question = questions.find(item => item._id.toString() === submission.question.toString());
+        if (!question) {
+            submission.status = 'graded';
+            submission.passed = false;
+            submission.marksAwarded = 0;
+            submission.lastError = 'Question was removed from the quiz';
+            continue;
+        }
+
+        // Test cases that passed before a retry keep their result
+        const validation = await validateCodeWithTestCases(
+            submission.code,
+            submission.language,
+            question.testCases,
+            {
+                executor: CODE_EXECUTION_CONFIG.QUIZ_EXECUTOR,
+                previousResults: submission.testResults.map(result => result.toObject ? result.toObject() : result)
+            }
+        );
+
+        submission.testResults = validation.results;
+
+        if (validation.executionFailed) {
+            submission.lastError = validation.results.find(result => result.executionFailed).error;
+            needsRetry = true;
+            continue;
+        }
+
+        submission.status = 'graded';
+        submission.passed = validation.allPassed;
+        submission.marksAwarded = scoreCodeSubmission(question, validation.results);
+        submission.lastError = null;
+    }
+
+    const retriesLeft = attempt.gradingAttempts <= GRADING_QUEUE_CONFIG.MAX_RETRIES;
+
+    if (needsRetry && retriesLeft) {
+        attempt.status = 'pending';
+        attempt.lockedAt = null;
+        attempt.nextRunAt = new Date(Date.now() + retryDelay(attempt.gradingAttempts));
+        attempt.markModified('codeSubmissions');
+        await attempt.save();
+        console.log(`Quiz attempt ${attempt._id} will be retried at ${attempt.nextRunAt.toISOString()}`);
+        return;
+    }
+
+    // Out of retries - test cases that could not be executed count as failed, the
+    // ones that passed keep their partial credit
+    for (const submission of attempt.codeSubmissions) {
+        if (submission.status !== 'graded') {
+            const question = questions.find(item => item._id.toString() === submission.question.toString());
+            submission.status = 'graded';
+            submission.passed = false;
+            submission.marksAwarded = scoreCodeSubmission(question, submission.testResults);
+        }
+    }
+    attempt.markModified('codeSubmissions');
+
+    await finalizeAttempt(attempt);
+    console.log(`Quiz attempt ${attempt._id} graded: ${attempt.score}/${attempt.totalMarks}`);
+};
+
+/**
+ * Atomically claim the next due attempt (or one whose worker died mid-grading)
+ */
+const claimNextAttempt = () => {
+    const now = new Date();
+    return QuizAttempt.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextRunAt: { $lte: now } },
+                { status: 'grading', lockedAt: { $lte: new Date(now.getTime() - GRADING_QUEUE_CONFIG.LOCK_TIMEOUT) } }
+            ]
+        },
+        {
+            $set: { status: 'grading', lockedAt: now },
+            $inc: { gradingAttempts: 1 }
+        },
+        { sort: { submittedAt: 1 }, new: true }
+    );
+};
+
+const runJob = async (attempt) => {
+    try {
+        await processAttempt(attempt);
+    } catch (error) {
+        console.error(`Error grading quiz attempt ${attempt._id}:`, error);
+        try {
+            attempt.lastError = error.message;
+            attempt.lockedAt = null;
+            if (attempt.gradingAttempts <= GRADING_QUEUE_CONFIG.MAX_RETRIES) {
+                attempt.status = 'pending';
+                attempt.nextRunAt = new Date(Date.now() + retryDelay(attempt.gradingAttempts));
+            } else {
+                attempt.status = 'failed';
+                notifyStudent(attempt, 'quiz_grading_failed');
+            }
+            await attempt.save();
+        } catch (saveError) {
+            console.error('Error saving failed quiz attempt:', saveError);
+        }
+    }
+};
+
+/**
+ * Fill free worker slots with due attempts
+ */
+const pump = async () => {
+    // Only one claim loop at a time so concurrency cannot be overshot
+    if (pumping) return;
+    pumping = true;
+
+    try {
+        while (activeJobs < GRADING_QUEUE_CONFIG.CONCURRENCY) {
+            const attempt = await claimNextAttempt();
+            if (!attempt) return;
+
+            activeJobs++;
+            runJob(attempt).finally(() => {
+                activeJobs--;
+                pump();
+            });
+        }
+    } catch (error) {
+        console.error('Error claiming quiz attempt for grading:', error);
+    } finally {
+        pumping = false;
+    }
+};
+
+/**
+ * Wake the worker right away after a new submission
+ */
+const enqueueAttempt = () => {
+    setImmediate(pump);
+};
+
+/**
+ * Start polling for pending attempts
+ * @param {Object} socketServer - socket.io server used to notify students
+ */
+const startGradingWorker = (socketServer) => {
+    io = socketServer;
+    if (pollTimer) return;
+
+    pollTimer = setInterval(pump, GRADING_QUEUE_CONFIG.POLL_INTERVAL);
+    pump();
+    if (CODE_EXECUTION_CONFIG.QUIZ_EXECUTOR === 'local' && getSandboxError()) {
+        console.error(`Code answers will not be graded: ${getSandboxError()}`);
+    }
+    console.log(`Quiz grading worker started (concurrency ${GRADING_QUEUE_CONFIG.CONCURRENCY})`);
+};
+
+const stopGradingWorker = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    buildAttemptResult,
+    finalizeAttempt,
+    enqueueAttempt,
+    startGradingWorker,
+    stopGradingWorker
+};
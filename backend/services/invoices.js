@@ -0,0 +1,402 @@
+// GST tax invoices
+// Every paid order gets an invoice numbered PREFIX/26-27/00001, counted per financial year
+// with an atomic counter. The order's invoice is claimed (inserted without a number) before a
+// number is drawn, so calls racing to issue it never use up a number. The invoice copies the seller (INVOICE_CONFIG), the buyer (profile
+// billing details) and the order's amounts and tax when it is issued; the tax is split into
+// CGST and SGST when the place of supply is the seller's state and charged as IGST otherwise.
+// Orders paid in another currency than rupees are exports: supplied outside India, zero-rated
+// unless EXPORT_GST_RATE is set, and shown with their value in rupees at the order's rate.
+// Invoices are rendered to PDF with pdfkit on demand, so regenerating one only changes the
+// stored copy.
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/invoice');
+const Counter = require('../models/counter');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const { toPaise, getTaxRate } = require('./pricing');
+const { PRICING_CONFIG } = require('../config/pricing');
+const { GST_STATES, INVOICE_CONFIG } = require('../config/invoice');
+
+const toRupees = (paise) => paise / 100;
+
+/**
+ * Financial year of a date in India (April to March), e.g. '26-27'
+ */
+const getFinancialYear = (date) => {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    const short = (value) => String(value % 100).padStart(2, '0');
+    return `${short(year)}-${short(year + 1)}`;
+};
+
+const nextInvoiceNumber = async (date) => {
+    const financialYear = getFinancialYear(date);
+    const counter = await Counter.findOneAndUpdate(
+        { _id: `invoice-${financialYear}` },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return `${INVOICE_CONFIG.PREFIX}/${financialYear}/${String(counter.seq).padStart(5, '0')}`;
+};
+
+// How long a claimed invoice may go without a number before another call numbers it (the
+// server stopped in between)
+const CLAIM_TIMEOUT = 30 * 1000;
+
+// Give a claimed invoice its number
+const numberInvoice = async (invoice) => {
+    const invoiceNumber = await nextInvoiceNumber(invoice.issuedAt);
+    const numbered = await Invoice.findOneAndUpdate(
+        { _id: invoice._id, invoiceNumber: null },
+        { $set: { invoiceNumber } },
+        { new: true }
+    );
+    // Numbered by a call that took the claim over
+    if (!numbered) return waitForNumber(await Invoice.findById(invoice._id));
+    console.log(`🧾 Invoice ${invoiceNumber} issued for order ${invoice.order}`);
+    return numbered;
+};
+
+// An invoice once it has its number; a claim left without one past CLAIM_TIMEOUT is taken
+// over and issued again
+const waitForNumber = async (invoice) => {
+    while (invoice && !invoice.invoiceNumber) {
+        if (Date.now() - invoice.issuedAt.getTime() > CLAIM_TIMEOUT) {
+            const claimed = await Invoice.findOneAndUpdate(
+                { _id: invoice._id, invoiceNumber: null, issuedAt: invoice.issuedAt },
+                { $set: { issuedAt: new Date() } },
+                { new: true }
+            );
+            if (claimed) return numberInvoice(claimed);
+        } else {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        invoice = await Invoice.findById(invoice._id);
+    }
+    return invoice;
+};
+
+// Orders that were paid for something get an invoice
+const isInvoiceable = (order) => order.amount > 0 && !['pending', 'failed'].includes(order.paymentStatus);
+
+const loadOrder = (orderId) => {
+    return Order.findById(orderId)
+        .populate('course', 'courseName')
+        .populate({
+            path: 'user',
+            select: 'firstName lastName email additionalDetails',
+            populate: { path: 'additionalDetails', select: 'contactNumber billingAddress billingStateCode gstin' }
+        });
+};
+
+const getSeller = () => {
+    const { SELLER } = INVOICE_CONFIG;
+    return {
+        name: SELLER.NAME,
+        address: SELLER.ADDRESS,
+        email: SELLER.EMAIL,
+        stateCode: SELLER.STATE_CODE,
+        state: GST_STATES[SELLER.STATE_CODE] || '',
+        gstin: SELLER.GSTIN
+    };
+};
+
+// A registered buyer's state is the one of their GSTIN
+const getBuyer = (user) => {
+    const profile = user?.additionalDetails || {};
+    const gstin = profile.gstin || '';
+    const stateCode = gstin ? gstin.slice(0, 2) : profile.billingStateCode || '';
+    return {
+        name: user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '',
+        address: profile.billingAddress || '',
+        email: user?.email || '',
+        phone: profile.contactNumber || '',
+        stateCode,
+        state: GST_STATES[stateCode] || '',
+        gstin
+    };
+};
+
+// GST of an order in paise: as priced at checkout, or taken out of the amount for orders
+// made before checkouts recorded it
+const getOrderTax = (order, payment) => {
+    const rate = payment?.tax?.rate ?? getTaxRate(order.currency || PRICING_CONFIG.CURRENCY);
+    if (order.payment) {
+        return { rate, taxAmount: toPaise(order.taxAmount || 0) };
+    }
+    const amount = toPaise(order.amount);
+    return { rate, taxAmount: amount - Math.round((amount * 100) / (100 + rate)) };
+};
+
+// The copied details of an order's invoice
+const buildInvoice = async (order) => {
+    const payment = order.payment ? await Payment.findById(order.payment).select('tax') : null;
+    const seller = getSeller();
+    const buyer = getBuyer(order.user);
+
+    // Exports are supplied outside India; otherwise where the buyer is, or the seller's state
+    // when they have not said
+    const currency = order.currency || PRICING_CONFIG.CURRENCY;
+    const isExport = currency !== PRICING_CONFIG.CURRENCY;
+    const placeCode = isExport ? '96' : buyer.stateCode || seller.stateCode;
+    const supplyType = isExport ? 'export' : placeCode === seller.stateCode ? 'intra' : 'inter';
+
+    // Hundredths of the order's currency
+    const amount = toPaise(order.amount);
+    const { rate, taxAmount } = getOrderTax(order, payment);
+    const cgst = supplyType === 'intra' ? Math.floor(taxAmount / 2) : 0;
+    const sgst = supplyType === 'intra' ? taxAmount - cgst : 0;
+    const igst = supplyType === 'intra' ? 0 : taxAmount;
+
+    return {
+        seller,
+        buyer,
+        placeOfSupply: { stateCode: placeCode, state: GST_STATES[placeCode] || '' },
+        supplyType,
+        lines: [{
+            description: order.course?.courseName || 'Course',
+            sac: INVOICE_CONFIG.SAC_CODE,
+            quantity: 1,
+            originalPrice: order.originalPrice || order.amount,
+            discountAmount: order.discountAmount || 0,
+            taxableAmount: toRupees(amount - taxAmount),
+            taxRate: rate,
+            cgst: toRupees(cgst),
+            sgst: toRupees(sgst),
+            igst: toRupees(igst),
+            amount: order.amount
+        }],
+        coupon: order.couponUsed?.code
+            ? { code: order.couponUsed.code, discountAmount: order.couponUsed.discountAmount }
+            : undefined,
+        taxableAmount: toRupees(amount - taxAmount),
+        cgst: toRupees(cgst),
+        sgst: toRupees(sgst),
+        igst: toRupees(igst),
+        taxAmount: toRupees(taxAmount),
+        amount: order.amount,
+        currency,
+        exchangeRate: order.exchangeRate || 1,
+        transactionId: order.transactionId,
+        paymentMethod: order.paymentMethod
+    };
+};
+
+/**
+ * The invoice of an order, issued the first time it is asked for
+ * @param {string} orderId
+ * @returns {Promise<Object|null>} The invoice, or null when the order was not paid for
+ */
+const issueInvoice = async (orderId) => {
+    const existing = await Invoice.findOne({ order: orderId });
+    if (existing) return waitForNumber(existing);
+
+    const order = await loadOrder(orderId);
+    if (!order || !isInvoiceable(order)) return null;
+
+    const details = await buildInvoice(order);
+    let invoice;
+    try {
+        invoice = await Invoice.create({
+            ...details,
+            order: order._id,
+            user: order.user._id,
+            issuedAt: new Date()
+        });
+    } catch (error) {
+        // Claimed at the same time by another call, which numbers it
+        if (error.code !== 11000) throw error;
+        return waitForNumber(await Invoice.findOne({ order: order._id }));
+    }
+    return numberInvoice(invoice);
+};
+
+/**
+ * Copy the current seller, buyer and order details into an order's invoice again
+ * The number and issue date stay; the revision goes up.
+ * @param {string} orderId
+ * @param {string} adminId
+ * @returns {Promise<Object|null>} The invoice, or null when the order was not paid for
+ */
+const regenerateInvoice = async (orderId, adminId) => {
+    const invoice = await waitForNumber(await Invoice.findOne({ order: orderId }));
+    if (!invoice) return issueInvoice(orderId);
+
+    const order = await loadOrder(orderId);
+    if (!order || !isInvoiceable(order)) return null;
+
+    Object.assign(invoice, await buildInvoice(order));
+    invoice.revision += 1;
+    invoice.regeneratedAt = new Date();
+    invoice.regeneratedBy = adminId;
+    await invoice.save();
+    console.log(`🧾 Invoice ${invoice.invoiceNumber} regenerated (revision ${invoice.revision})`);
+    return invoice;
+};
+
+// Helvetica has no rupee sign
+const money = (value, currency) => `${currency === 'INR' ? 'Rs.' : currency} ${Number(value || 0).toFixed(2)}`;
+const formatState = (party) => party.state ? `${party.state} (${party.stateCode})` : '';
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = 50;
+    const format = (value) => money(value, invoice.currency);
+    const width = doc.page.width - 100;
+    const issuedOn = new Date(invoice.issuedAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+    // Title and number
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#000000').text('TAX INVOICE', left, 50);
+    doc.font('Helvetica').fontSize(10)
+       .text(`Invoice No: ${invoice.invoiceNumber}`, left, 55, { width, align: 'right' })
+       .text(`Date: ${issuedOn}`, { width, align: 'right' });
+    if (invoice.revision > 1) {
+        doc.text(`Revision ${invoice.revision}`, { width, align: 'right' });
+    }
+
+    // Seller and buyer
+    const partyTop = 110;
+    const columnWidth = width / 2 - 10;
+    const writeParty = (title, party, x) => {
+        doc.font('Helvetica-Bold').fontSize(11).text(title, x, partyTop, { width: columnWidth });
+        doc.font('Helvetica').fontSize(9);
+        [
+            party.name,
+            party.address,
+            party.email,
+            party.phone,
+            party.state && `State: ${formatState(party)}`,
+            party.gstin ? `GSTIN: ${party.gstin}` : title === 'Bill To' ? 'GSTIN: Unregistered' : ''
+        ].filter(Boolean).forEach(line => doc.text(line, { width: columnWidth }));
+        return doc.y;
+    };
+    const sellerBottom = writeParty('Sold By', invoice.seller, left);
+    const buyerBottom = writeParty('Bill To', invoice.buyer, left + width / 2 + 10);
+
+    let y = Math.max(sellerBottom, buyerBottom) + 15;
+    doc.font('Helvetica').fontSize(9)
+       .text(`Place of supply: ${invoice.placeOfSupply.state || '-'} (${invoice.placeOfSupply.stateCode || '-'})`, left, y)
+       .text('Tax payable under reverse charge: No');
+    const exported = invoice.supplyType === 'export';
+    if (exported) {
+        doc.text(invoice.igst > 0
+            ? 'Export of services with payment of IGST'
+            : 'Export of services, supply meant for export under LUT without payment of IGST');
+    }
+    y = doc.y + 15;
+
+    // Lines
+    const intra = invoice.supplyType === 'intra';
+    const rate = invoice.lines[0]?.taxRate || 0;
+    const columns = [
+        { title: '#', width: 20, value: (line, index) => String(index + 1) },
+        { title: 'Description', width: 105, value: line => line.description },
+        { title: 'SAC', width: 45, value: line => line.sac },
+        { title: 'Price', width: 55, value: line => format(line.originalPrice), right: true },
+        { title: 'Discount', width: 55, value: line => format(line.discountAmount), right: true },
+        { title: 'Taxable', width: 55, value: line => format(line.taxableAmount), right: true },
+        ...(intra
+            ? [
+                { title: `CGST ${rate / 2}%`, width: 50, value: line => format(line.cgst), right: true },
+                { title: `SGST ${rate / 2}%`, width: 50, value: line => format(line.sgst), right: true }
+            ]
+            : [{ title: `IGST ${rate}%`, width: 100, value: line => format(line.igst), right: true }]),
+        { title: 'Total', width: width - 435, value: line => format(line.amount), right: true }
+    ];
+
+    const writeRow = (values, rowY, bold) => {
+        let x = left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        columns.forEach((column, index) => {
+            doc.text(values[index], x + 3, rowY + 6, { width: column.width - 6, align: column.right ? 'right' : 'left' });
+            x += column.width;
+        });
+    };
+
+    doc.rect(left, y, width, 22).fill('#2c3e50');
+    doc.fillColor('#ffffff');
+    writeRow(columns.map(column => column.title), y, true);
+    doc.fillColor('#000000');
+    y += 22;
+
+    invoice.lines.forEach((line, index) => {
+        const height = Math.max(24, doc.heightOfString(line.description, { width: columns[1].width - 6 }) + 12);
+        doc.rect(left, y, width, height).stroke('#e5e7eb');
+        writeRow(columns.map(column => column.value(line, index)), y, false);
+        y += height;
+    });
+
+    // Totals
+    y += 15;
+    const totals = [
+        ['Taxable value', format(invoice.taxableAmount)],
+        ...(intra
+            ? [[`CGST @ ${rate / 2}%`, format(invoice.cgst)], [`SGST @ ${rate / 2}%`, format(invoice.sgst)]]
+            : [[`IGST @ ${rate}%`, format(invoice.igst)]]),
+        ['Total', format(invoice.amount)]
+    ];
+    totals.forEach(([label, value], index) => {
+        const last = index === totals.length - 1;
+        doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 11 : 9)
+           .text(label, left + width - 250, y, { width: 150, align: 'right' })
+           .text(value, left + width - 100, y, { width: 100, align: 'right' });
+        y += last ? 18 : 14;
+    });
+
+    // Payment
+    y += 10;
+    doc.font('Helvetica').fontSize(9).text(`Paid via ${invoice.paymentMethod || '-'}, transaction ${invoice.transactionId || '-'}`, left, y);
+    if (invoice.coupon?.code) {
+        doc.text(`Coupon ${invoice.coupon.code} applied: ${format(invoice.coupon.discountAmount)} off`);
+    }
+    const inBase = (value) => money(toRupees(Math.round(toPaise(value) * invoice.exchangeRate)), PRICING_CONFIG.CURRENCY);
+    const exchangeRate = `1 ${invoice.currency} = ${money(invoice.exchangeRate, PRICING_CONFIG.CURRENCY)}`;
+    if (exported) {
+        doc.text(`Amounts in ${invoice.currency}, exchange rate ${exchangeRate}.`);
+        doc.text(`In ${PRICING_CONFIG.CURRENCY}: taxable value ${inBase(invoice.taxableAmount)}, IGST ${inBase(invoice.igst)}, total ${inBase(invoice.amount)}.`);
+    } else {
+        doc.text(`Amounts in ${invoice.currency}; prices ${PRICING_CONFIG.PRICES_INCLUDE_TAX ? 'include' : 'exclude'} GST.`);
+        if (invoice.currency !== PRICING_CONFIG.CURRENCY) {
+            doc.text(`Exchange rate: ${exchangeRate}; total ${inBase(invoice.amount)}.`);
+        }
+    }
+
+    doc.fontSize(8).fillColor('#6b7280')
+       .text('This is a computer-generated invoice and needs no signature.', left, doc.page.height - 80, { width, align: 'center' });
+
+    doc.end();
+});
+
+/**
+ * The PDF of an order's invoice, issuing the invoice if needed
+ * @returns {Promise<Object|null>} { invoice, pdf } or null when the order was not paid for
+ */
+const getInvoicePdf = async (orderId) => {
+    const invoice = await issueInvoice(orderId);
+    if (!invoice) return null;
+    return { invoice, pdf: await renderInvoicePdf(invoice) };
+};
+
+/**
+ * File name of an invoice's PDF
+ */
+const getInvoiceFileName = (invoice) => `invoice-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+
+module.exports = {
+    getFinancialYear,
+    issueInvoice,
+    regenerateInvoice,
+    renderInvoicePdf,
+    getInvoicePdf,
+    getInvoiceFileName
+};
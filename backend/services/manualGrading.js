@@ -0,0 +1,138 @@
+// Manual grading of short and long answers
+// The grading queue parks attempts with such answers in 'review'. Instructors of the
+// course award (partial) marks and feedback per question; completing the review
+// finalises the attempt, which records the result in the student's CourseProgress.
+const Course = require('../models/course');
+const QuizAttempt = require('../models/quizAttempt');
+const SubSection = require('../models/subSection');
+const { finalizeAttempt } = require('./gradingQueue');
+const { roundMarks } = require('./quizScoring');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+/**
+ * Attempts waiting for manual grading that the user may grade, oldest first
+ * @param {Object} user - authenticated user (admins see every course)
+ * @param {Object} filters - optional { courseId, quizId }
+ */
+const getReviewQueue = async (user, { courseId, quizId } = {}) => {
+    const filter = { status: 'review' };
+
+    if (user.accountType === 'Admin') {
+        if (courseId) filter.course = courseId;
+    } else {
+        const courses = await Course.find({ instructor: user.id }).select('_id');
+        const courseIds = courses.map(course => course._id.toString());
+        filter.course = { $in: courseId ? courseIds.filter(id => id === courseId) : courseIds };
+    }
+
+    if (quizId) filter.quiz = quizId;
+
+    const attempts = await QuizAttempt.find(filter)
+        .select('-answers -codeSubmissions -paper')
+        .populate('user', 'firstName lastName email')
+        .populate('course', 'courseName')
+        .populate('subSection', 'title')
+        .sort({ submittedAt: 1 });
+
+    return attempts.map(attempt => ({
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        quizId: attempt.quiz,
+        user: attempt.user,
+        course: attempt.course,
+        subSection: attempt.subSection,
+        score: attempt.score,
+        totalMarks: attempt.totalMarks,
+        submittedAt: attempt.submittedAt,
+        questionsToReview: attempt.questionResults.filter(result => result.needsReview).length
+    }));
+};
+
+/**
+ * Check the marks submitted for an attempt in review
+ * @param {Array} grades - [{ questionId, marks, feedback }]
+ * @returns {string|null} error message, or null if every pending answer has a valid grade
+ */
+const validateGrades = (attempt, grades) => {
+    if (!Array.isArray(grades)) {
+        return 'grades must be an array';
+    }
+
+    const pending = attempt.questionResults.filter(result => result.needsReview);
+    for (const result of pending) {
+        const grade = grades.find(item => item && item.questionId === result.question.toString());
+        if (!grade) {
+            return 'Every answer awaiting review needs a mark';
+        }
+        if (typeof grade.marks !== 'number' || !Number.isFinite(grade.marks) || grade.marks < 0 || grade.marks > result.maxMarks) {
+            return `Marks must be between 0 and ${result.maxMarks}`;
+        }
+        if (grade.feedback !== undefined && typeof grade.feedback !== 'string') {
+            return 'Feedback must be text';
+        }
+    }
+
+    const unknown = grades.find(item => !pending.some(result => result.question.toString() === item?.questionId));
+    if (unknown) {
+        return 'Only answers awaiting review can be graded';
+    }
+
+    return null;
+};
+
+/**
+ * Apply an instructor's marks to an attempt in review and finalise it
+ * The attempt is claimed atomically so two reviewers cannot record it twice.
+ * @returns {Object|null} the graded attempt, or null if it was no longer in review
+ */
+const gradeAttempt = async (attemptId, grades, reviewerId) => {
+    const now = new Date();
+    const attempt = await QuizAttempt.findOneAndUpdate(
+        { _id: attemptId, status: 'review' },
+        { $set: { status: 'grading', lockedAt: now } },
+        { new: true }
+    );
+    if (!attempt) return null;
+
+    for (const result of attempt.questionResults) {
+        if (!result.needsReview) continue;
+        const grade = grades.find(item => item.questionId === result.question.toString());
+        const marks = roundMarks(grade.marks);
+
+        attempt.objectiveScore += marks - result.marksAwarded;
+        result.marksAwarded = marks;
+        result.isCorrect = marks >= result.maxMarks;
+        result.feedback = (grade.feedback || '').trim();
+        result.needsReview = false;
+        result.reviewedAt = now;
+    }
+
+    attempt.reviewedBy = reviewerId;
+    attempt.reviewedAt = now;
+
+    await finalizeAttempt(attempt);
+
+    try {
+        const subSection = await SubSection.findById(attempt.subSection).select('title');
+        await createAdvancedNotification({
+            recipient: attempt.user,
+            type: 'QUIZ_GRADED',
+            title: 'Quiz Graded',
+            message: `Your answers in "${subSection?.title || 'your quiz'}" have been graded: ${attempt.score}/${attempt.totalMarks} (${attempt.passed ? 'passed' : 'not passed'}).`,
+            relatedCourse: attempt.course,
+            priority: 'medium',
+            actionUrl: `/view-course/${attempt.course}`,
+            metadata: { attemptId: attempt._id, quizId: attempt.quiz }
+        });
+    } catch (error) {
+        console.error('Error sending quiz graded notification:', error);
+    }
+
+    return attempt;
+};
+
+module.exports = {
+    getReviewQueue,
+    validateGrades,
+    gradeAttempt
+};
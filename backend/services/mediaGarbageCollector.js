@@ -0,0 +1,252 @@
+// Clean-up of stored files that no record refers to
+// Deleting courses, lectures, chat messages, job applications or profile pictures does not
+// always remove their files. This job lists every object of every bucket and compares it with
+// the URLs and paths kept in the database; whatever is left over is an orphan. It only reports
+// by default. Files younger than MEDIA_GC_CONFIG.MIN_AGE are skipped, since an upload is
+// stored before the record pointing at it is saved.
+const cron = require('node-cron');
+const SubSection = require('../models/subSection');
+const Course = require('../models/course');
+const Message = require('../models/message');
+const JobApplication = require('../models/jobApplication');
+const User = require('../models/user');
+const Category = require('../models/category');
+const RecycleBin = require('../models/recycleBin');
+const ChunkedVideo = require('../models/chunkedVideo');
+const { getStorage } = require('./storage');
+const { STORAGE_BUCKETS } = require('../config/supabaseStorage');
+const { MEDIA_GC_CONFIG } = require('../config/storage');
+
+// Supabase keeps this file in folders created from its dashboard
+const FOLDER_PLACEHOLDER = '.emptyFolderPlaceholder';
+
+// Fields of recycle bin snapshots that hold file URLs
+const RECYCLE_BIN_URL_FIELDS = ['thumbnail', 'image', 'icon', 'previewImage'];
+
+/**
+ * Paths the database refers to, per bucket
+ * Chunked videos also own everything below their HLS and thumbnail folders.
+ */
+const createReferences = (storage) => {
+    const files = new Map();
+    const prefixes = new Map();
+    const add = (map, bucket, value) => {
+        if (!map.has(bucket)) map.set(bucket, new Set());
+        map.get(bucket).add(value);
+    };
+
+    return {
+        addPath: (bucket, filePath) => {
+            if (bucket && filePath) add(files, bucket, filePath);
+        },
+        addFolder: (bucket, folder) => {
+            if (bucket && folder) add(prefixes, bucket, folder.endsWith('/') ? folder : `${folder}/`);
+        },
+        // URLs of other providers or outside storage (default avatars, ...) are ignored
+        addUrl(url) {
+            const location = typeof url === 'string' ? storage.parseUrl(url) : null;
+            if (location) this.addPath(location.bucket, location.path);
+        },
+        has: (bucket, filePath) => {
+            if (files.get(bucket)?.has(filePath)) return true;
+            return [...(prefixes.get(bucket) || [])].some(prefix => filePath.startsWith(prefix));
+        }
+    };
+};
+
+/**
+ * Collect the file URLs of every model that stores uploads
+ * @returns {Promise<Object>} { references, unattachedVideos }
+ */
+const collectReferences = async (storage) => {
+    const references = createReferences(storage);
+    const addUrls = async (query, getUrls) => {
+        for await (const doc of query.lean().cursor()) {
+            getUrls(doc).forEach(url => references.addUrl(url));
+        }
+    };
+
+    const lectureVideoUrls = new Set();
+    await addUrls(SubSection.find({ videoUrl: { $nin: [null, ''] } }).select('videoUrl'), doc => {
+        lectureVideoUrls.add(doc.videoUrl);
+        return [doc.videoUrl];
+    });
+    await addUrls(Course.find({ thumbnail: { $nin: [null, ''] } }).select('thumbnail'), doc => [doc.thumbnail]);
+    await addUrls(Message.find({ imageUrl: { $nin: [null, ''] } }).select('imageUrl'), doc => [doc.imageUrl]);
+    await addUrls(JobApplication.find({ 'resume.url': { $nin: [null, ''] } }).select('resume.url'), doc => [doc.resume.url]);
+    await addUrls(User.find({ image: { $nin: [null, ''] } }).select('image'), doc => [doc.image]);
+    await addUrls(Category.find().select('icon previewImage'), doc => [doc.icon, doc.previewImage]);
+    // Deleted items can be restored until the recycle bin expires them
+    await addUrls(RecycleBin.find().select('originalData'), doc => RECYCLE_BIN_URL_FIELDS.map(field => doc.originalData?.[field]));
+
+    // Finished chunked uploads no lecture uses any more are orphans as a whole
+    const unattachedBefore = new Date(Date.now() - MEDIA_GC_CONFIG.UNATTACHED_VIDEO_AGE);
+    const unattachedVideos = [];
+    for await (const video of ChunkedVideo.find().lean().cursor()) {
+        const attached = video.finalVideoUrl && lectureVideoUrls.has(video.finalVideoUrl);
+        if (video.isComplete && !attached && video.completedAt && video.completedAt < unattachedBefore) {
+            unattachedVideos.push({
+                videoId: video.videoId,
+                bucket: video.bucket,
+                originalFilename: video.originalFilename,
+                totalSize: video.totalSize,
+                completedAt: video.completedAt
+            });
+            continue;
+        }
+
+        // Incomplete uploads are left to ChunkedVideo.cleanupOldUploads
+        (video.uploadedChunks || []).forEach(chunk => references.addPath(video.bucket, chunk.chunkPath));
+        references.addPath(video.bucket, video.tus?.partialPath);
+        references.addPath(video.bucket, `${video.folder}/manifests/${video.videoId}_manifest.json`);
+        references.addUrl(video.finalVideoUrl);
+        references.addFolder(video.bucket, video.hls?.path);
+        references.addFolder(video.bucket, video.thumbnails?.path);
+    }
+
+    return { references, unattachedVideos };
+};
+
+/**
+ * Every file of a bucket, descending into folders
+ * @returns {Promise<Array>} [{ path, size, updatedAt }]
+ */
+const listBucketFiles = async (storage, bucket, prefix = '') => {
+    const files = [];
+    const pageSize = MEDIA_GC_CONFIG.LIST_PAGE_SIZE;
+
+    for (let offset = 0; ; offset += pageSize) {
+        const page = await storage.list(bucket, prefix, { limit: pageSize, offset });
+        for (const entry of page) {
+            const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isFolder) {
+                files.push(...await listBucketFiles(storage, bucket, entryPath));
+            } else if (entry.name !== FOLDER_PLACEHOLDER) {
+                files.push({ path: entryPath, size: entry.size, updatedAt: entry.updatedAt });
+            }
+        }
+        if (page.length < pageSize) break;
+    }
+
+    return files;
+};
+
+/**
+ * Find, and unless dryRun is set remove, stored files no record refers to
+ * @param {Object} [options] - { dryRun: true to only report (default) }
+ * @returns {Promise<Object>} Report: per-bucket counts, orphans, unattached chunked videos, errors
+ */
+const runMediaGarbageCollection = async ({ dryRun = true } = {}) => {
+    const storage = getStorage();
+    const report = {
+        dryRun,
+        provider: storage.name,
+        startedAt: new Date(),
+        buckets: {},
+        orphans: [],
+        unattachedVideos: [],
+        errors: []
+    };
+
+    console.log(`🧹 Looking for orphaned files in ${storage.name} storage${dryRun ? ' (dry run)' : ''}...`);
+    const { references, unattachedVideos } = await collectReferences(storage);
+    report.unattachedVideos = unattachedVideos;
+
+    const recentAfter = Date.now() - MEDIA_GC_CONFIG.MIN_AGE;
+    const orphansByBucket = {};
+    let referencedTotal = 0;
+
+    for (const bucket of Object.values(STORAGE_BUCKETS)) {
+        const stats = { scanned: 0, referenced: 0, recent: 0, orphaned: 0, orphanedBytes: 0, deleted: 0 };
+        report.buckets[bucket] = stats;
+
+        let files;
+        try {
+            files = await listBucketFiles(storage, bucket);
+        } catch (error) {
+            // Nothing is removed from a bucket that could not be listed completely
+            console.error(`❌ Could not list bucket ${bucket}:`, error.message);
+            report.errors.push(`${bucket}: ${error.message}`);
+            continue;
+        }
+
+        orphansByBucket[bucket] = [];
+        for (const file of files) {
+            stats.scanned++;
+            if (references.has(bucket, file.path)) {
+                stats.referenced++;
+            } else if (!file.updatedAt || new Date(file.updatedAt).getTime() > recentAfter) {
+                stats.recent++;
+            } else {
+                stats.orphaned++;
+                stats.orphanedBytes += file.size || 0;
+                orphansByBucket[bucket].push(file.path);
+                report.orphans.push({ bucket, ...file });
+            }
+        }
+        referencedTotal += stats.referenced;
+    }
+
+    // With files in storage but none of them referenced, the database is most likely not the
+    // one this storage belongs to; removing everything would be the wrong answer
+    if (!dryRun && report.orphans.length > 0 && referencedTotal === 0) {
+        report.errors.push('No stored file is referenced by the database; nothing was deleted');
+        console.error('❌ No stored file is referenced by the database, refusing to delete anything');
+        dryRun = true;
+        report.dryRun = true;
+    }
+
+    if (!dryRun) {
+        for (const [bucket, paths] of Object.entries(orphansByBucket)) {
+            for (let i = 0; i < paths.length; i += MEDIA_GC_CONFIG.DELETE_BATCH_SIZE) {
+                const batch = paths.slice(i, i + MEDIA_GC_CONFIG.DELETE_BATCH_SIZE);
+                try {
+                    await storage.remove(bucket, batch);
+                    report.buckets[bucket].deleted += batch.length;
+                } catch (error) {
+                    console.error(`❌ Could not delete files from ${bucket}:`, error.message);
+                    report.errors.push(`${bucket}: ${error.message}`);
+                }
+            }
+        }
+
+        // Their files were removed with the other orphans above
+        if (unattachedVideos.length > 0) {
+            await ChunkedVideo.deleteMany({ videoId: { $in: unattachedVideos.map(video => video.videoId) } });
+        }
+    }
+
+    report.finishedAt = new Date();
+    const deleted = Object.values(report.buckets).reduce((total, stats) => total + stats.deleted, 0);
+    console.log(`🧹 Orphaned files: ${report.orphans.length} found, ${deleted} deleted; unattached videos: ${unattachedVideos.length}`);
+    return report;
+};
+
+/**
+ * Run the collector on MEDIA_GC_SCHEDULE, if set
+ */
+const scheduleMediaGarbageCollection = () => {
+    if (!MEDIA_GC_CONFIG.SCHEDULE) return;
+    if (!cron.validate(MEDIA_GC_CONFIG.SCHEDULE)) {
+        console.error(`❌ Invalid MEDIA_GC_SCHEDULE "${MEDIA_GC_CONFIG.SCHEDULE}", orphaned media clean-up not scheduled`);
+        return;
+    }
+
+    cron.schedule(MEDIA_GC_CONFIG.SCHEDULE, async () => {
+        try {
+            await runMediaGarbageCollection({ dryRun: !MEDIA_GC_CONFIG.SCHEDULED_DELETE });
+        } catch (error) {
+            console.error('Error during orphaned media clean-up:', error);
+        }
+    }, {
+        scheduled: true,
+        timezone: "UTC"
+    });
+
+    console.log(`Orphaned media clean-up scheduled (${MEDIA_GC_CONFIG.SCHEDULE} UTC, ${MEDIA_GC_CONFIG.SCHEDULED_DELETE ? 'deleting' : 'report only'})`);
+};
+
+module.exports = {
+    runMediaGarbageCollection,
+    scheduleMediaGarbageCollection
+};
@@ -0,0 +1,195 @@
+// Encrypted offline copies of lecture videos
+// A student downloads the lectures of a section as encrypted files together with a license that
+// holds the content key and an expiry, signed with the server's ECDSA key. The player checks the
+// signature and the expiry before it decrypts a lecture, so a copy stops playing once its
+// license expires. This keeps honest students from keeping lectures forever; it is not DRM, as
+// the key reaches the browser.
+//
+// Package file: "OFFLINE1", header length (uint32 BE), JSON header, then records of RECORD_SIZE
+// bytes of video, each encrypted with AES-256-GCM and followed by its 16 byte tag. The IV of
+// record i is the header's IV with i XORed into its last 4 bytes; the additional data is
+// "{licenseId}:{subSectionId}:{i}:{1 for the last record, else 0}", so records can't be moved
+// between lectures, reordered or cut off.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ChunkedVideo = require('../models/chunkedVideo');
+const { getStorage } = require('./storage');
+const { fetchObjectStream } = require('./storage/http');
+const { extractVideoId } = require('./videoPlayback');
+const { OFFLINE_CONFIG } = require('../config/video');
+
+const PACKAGE_MAGIC = Buffer.from('OFFLINE1');
+const PACKAGE_VERSION = 1;
+const IV_LENGTH = 12;
+
+const MIME_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska'
+};
+
+let signingKey = null;
+
+/**
+ * The license signing key: OFFLINE_LICENSE_PRIVATE_KEY, or the key file, created on first use
+ */
+const getSigningKey = () => {
+    if (signingKey) return signingKey;
+
+    if (OFFLINE_CONFIG.PRIVATE_KEY) {
+        signingKey = crypto.createPrivateKey(OFFLINE_CONFIG.PRIVATE_KEY);
+        return signingKey;
+    }
+
+    if (!fs.existsSync(OFFLINE_CONFIG.KEY_FILE)) {
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        fs.mkdirSync(path.dirname(OFFLINE_CONFIG.KEY_FILE), { recursive: true });
+        try {
+            fs.writeFileSync(OFFLINE_CONFIG.KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+            console.log(`🔑 Offline license key created in ${OFFLINE_CONFIG.KEY_FILE}`);
+        } catch (error) {
+            // Another process created it first
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+    signingKey = crypto.createPrivateKey(fs.readFileSync(OFFLINE_CONFIG.KEY_FILE));
+    return signingKey;
+};
+
+/**
+ * Public half of the signing key as a JWK, for players to verify licenses with
+ */
+const getPublicJwk = () => {
+    const { kty, crv, x, y } = crypto.createPublicKey(getSigningKey()).export({ format: 'jwk' });
+    return { kty, crv, x, y, alg: 'ES256', use: 'sig' };
+};
+
+const createContentKey = () => crypto.randomBytes(32).toString('base64');
+
+/**
+ * Sign a license for the player
+ * The license is "{base64url JSON payload}.{base64url signature}"; the signature is ECDSA
+ * P-256/SHA-256 over the first part, in the r||s form WebCrypto expects.
+ * @param {Object} license - OfflineLicense document, with contentKey selected
+ * @returns {string}
+ */
+const signLicense = (license) => {
+    const payload = Buffer.from(JSON.stringify({
+        version: PACKAGE_VERSION,
+        licenseId: license._id.toString(),
+        userId: license.user.toString(),
+        courseId: license.course.toString(),
+        sectionId: license.section.toString(),
+        lectures: license.lectures.map(id => id.toString()),
+        issuedAt: new Date().toISOString(),
+        expiresAt: license.expiresAt.toISOString(),
+        contentKey: license.contentKey
+    })).toString('base64url');
+
+    const signature = crypto.sign('sha256', Buffer.from(payload), { key: getSigningKey(), dsaEncoding: 'ieee-p1363' });
+    return `${payload}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Chunks of a chunked upload, one after the other
+ */
+async function* readChunks(chunkedVideo) {
+    const storage = getStorage();
+    const chunks = [...chunkedVideo.uploadedChunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+    for (const chunk of chunks) {
+        yield* await storage.createReadStream(chunkedVideo.bucket, chunk.chunkPath);
+    }
+}
+
+/**
+ * The original video file of a lecture
+ * Chunked uploads are read chunk by chunk, other videos from storage or their URL.
+ * @returns {Promise<Object>} { source: AsyncIterable<Buffer>, mimeType }
+ */
+const openLectureVideo = async (videoUrl) => {
+    const videoId = extractVideoId(videoUrl);
+    if (videoId) {
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId });
+        if (!chunkedVideo || !chunkedVideo.isComplete) {
+            const error = new Error('The video of this lecture is not available yet');
+            error.status = 409;
+            throw error;
+        }
+        return { source: readChunks(chunkedVideo), mimeType: chunkedVideo.mimetype || 'video/mp4' };
+    }
+
+    const mimeType = MIME_TYPES[path.extname(new URL(videoUrl).pathname).toLowerCase()] || 'video/mp4';
+    const storage = getStorage();
+    const location = storage.parseUrl(videoUrl);
+    const source = location
+        ? await storage.createReadStream(location.bucket, location.path)
+        : await fetchObjectStream(videoUrl);
+    return { source, mimeType };
+};
+
+const recordIv = (baseIv, index) => {
+    const iv = Buffer.from(baseIv);
+    iv.writeUInt32BE((iv.readUInt32BE(IV_LENGTH - 4) ^ index) >>> 0, IV_LENGTH - 4);
+    return iv;
+};
+
+/**
+ * Encrypt a video into a package file
+ * @param {AsyncIterable<Buffer>} source - The video
+ * @param {Object} options - { contentKey (base64), licenseId, subSectionId, mimeType }
+ * @returns {AsyncGenerator<Buffer>} The package, header first
+ */
+async function* encryptPackage(source, { contentKey, licenseId, subSectionId, mimeType }) {
+    const key = Buffer.from(contentKey, 'base64');
+    const baseIv = crypto.randomBytes(IV_LENGTH);
+    const recordSize = OFFLINE_CONFIG.RECORD_SIZE;
+
+    const header = Buffer.from(JSON.stringify({
+        version: PACKAGE_VERSION,
+        algorithm: 'AES-256-GCM',
+        licenseId,
+        subSectionId,
+        mimeType,
+        recordSize,
+        iv: baseIv.toString('base64')
+    }));
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32BE(header.length);
+    yield Buffer.concat([PACKAGE_MAGIC, headerLength, header]);
+
+    let index = 0;
+    const seal = (plaintext, last) => {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, recordIv(baseIv, index));
+        cipher.setAAD(Buffer.from(`${licenseId}:${subSectionId}:${index}:${last ? 1 : 0}`));
+        index++;
+        return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    // A full record is held back until more video follows, as the last one is sealed differently
+    let buffered = Buffer.alloc(0);
+    let pending = null;
+    for await (const part of source) {
+        buffered = Buffer.concat([buffered, part]);
+        while (buffered.length >= recordSize) {
+            if (pending) yield seal(pending, false);
+            pending = buffered.subarray(0, recordSize);
+            buffered = buffered.subarray(recordSize);
+        }
+    }
+    if (buffered.length > 0) {
+        if (pending) yield seal(pending, false);
+        pending = buffered;
+    }
+    yield seal(pending || Buffer.alloc(0), true);
+}
+
+module.exports = {
+    getPublicJwk,
+    createContentKey,
+    signLicense,
+    openLectureVideo,
+    encryptPackage
+};
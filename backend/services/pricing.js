@@ -0,0 +1,266 @@
+// Checkout pricing
+// Prices a cart from the database: per-course prices, the bundle discount, the coupon (checked
+// with the rules of the coupon controller), the discount cap and GST, in the currency the student
+// pays in (services/currency.js). Sales in other currencies than rupees are exports and are taxed
+// at PRICING_CONFIG.EXPORT_TAX_RATE (zero-rated by default). Amounts are worked out in hundredths
+// (paise for rupees) so every line adds up to the total exactly, and returned in whole units. A
+// priced cart is handed to the browser as a quote signed with PRICING_CONFIG.QUOTE_SECRET;
+// checkout accepts nothing else, so the amount charged is always one the server computed.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Course = require('../models/course');
+const { isCourseFree } = require('../utils/courseAccess');
+const { findCoupon, getCouponError, calculateCouponDiscount } = require('../utils/couponRules');
+const { getRates, resolveCurrency, getCoursePrice, fromBase, toBase } = require('./currency');
+const { PRICING_CONFIG } = require('../config/pricing');
+
+const CHECKOUT_TYPES = ['course', 'bundle'];
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+const toRupees = (paise) => paise / 100;
+
+const refuse = (status, message) => ({ error: { status, message } });
+
+/**
+ * Split an amount over weights in whole paise, the rounding remainder going to the
+ * largest fractions
+ * @param {number} amount - paise
+ * @param {number[]} weights
+ * @returns {number[]} paise per weight
+ */
+const allocate = (amount, weights) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!amount || !totalWeight) return weights.map(() => 0);
+
+    const exact = weights.map(weight => (amount * weight) / totalWeight);
+    const shares = exact.map(Math.floor);
+    let remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+    exact
+        .map((value, index) => ({ index, fraction: value - shares[index] }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+            if (remainder > 0) {
+                shares[index] += 1;
+                remainder -= 1;
+            }
+        });
+    return shares;
+};
+
+const getBundlePercent = (checkoutType, courseCount) => {
+    if (checkoutType !== 'bundle') return 0;
+    const rule = PRICING_CONFIG.BUNDLE_DISCOUNTS.find(rule => courseCount >= rule.MIN_COURSES);
+    return rule ? rule.PERCENT : 0;
+};
+
+// GST in percent on a sale in a currency; other currencies than the base one are exports
+const getTaxRate = (currency) => {
+    return currency === PRICING_CONFIG.CURRENCY ? PRICING_CONFIG.TAX_RATE : PRICING_CONFIG.EXPORT_TAX_RATE;
+};
+
+// GST of a line: taken out of the price when prices include it, added on top otherwise
+const applyTax = (amount, rate) => {
+    if (PRICING_CONFIG.PRICES_INCLUDE_TAX) {
+        const taxableAmount = Math.round((amount * 100) / (100 + rate));
+        return { taxableAmount, taxAmount: amount - taxableAmount, total: amount };
+    }
+    const taxAmount = Math.round((amount * rate) / 100);
+    return { taxableAmount: amount, taxAmount, total: amount + taxAmount };
+};
+
+/**
+ * Price a cart for a user
+ * The currency asked for is used when it has an exchange rate, else the user's preferred one,
+ * else the base currency.
+ * @param {string} userId
+ * @param {Object} cart - { coursesId, couponCode, checkoutType, currency }
+ * @returns {Promise<Object>} The pricing (amounts in its currency) or { error: { status, message } }
+ */
+const priceCart = async (userId, { coursesId, couponCode, checkoutType = 'course', currency: requestedCurrency }) => {
+    if (!Array.isArray(coursesId) || coursesId.length === 0 || !coursesId.every(id => mongoose.isValidObjectId(id))) {
+        return refuse(400, 'Please provide valid course IDs');
+    }
+    if (!CHECKOUT_TYPES.includes(checkoutType)) {
+        return refuse(400, 'Invalid checkout type');
+    }
+
+    const courseIds = [...new Set(coursesId.map(String))];
+    const courses = await Course.find({ _id: { $in: courseIds } }).select('courseName price prices courseType adminSetFree');
+    if (courses.length !== courseIds.length) {
+        return refuse(404, 'One or more courses not found');
+    }
+    // Free courses are requested from the course page and approved by an admin
+    if (courses.some(isCourseFree)) {
+        return refuse(400, 'Free courses cannot be bought, please request access to them instead');
+    }
+
+    const user = await User.findById(userId).select('courses additionalDetails').populate('additionalDetails', 'currency');
+    if (!user) {
+        return refuse(404, 'User not found');
+    }
+    if (courses.some(course => user.courses.some(id => id.toString() === course._id.toString()))) {
+        return refuse(400, 'You are already enrolled in one or more of these courses');
+    }
+
+    // Keep the order the courses were asked for in
+    courses.sort((a, b) => courseIds.indexOf(a._id.toString()) - courseIds.indexOf(b._id.toString()));
+    const rates = await getRates();
+    const currency = resolveCurrency(rates, requestedCurrency, user.additionalDetails?.currency);
+    const rate = rates[currency];
+    const taxRate = getTaxRate(currency);
+
+    const prices = courses.map(course => toPaise(getCoursePrice(course, currency, rate)));
+    const subtotal = prices.reduce((sum, price) => sum + price, 0);
+
+    const bundlePercent = getBundlePercent(checkoutType, courses.length);
+    let bundleDiscount = Math.round((subtotal * bundlePercent) / 100);
+    const afterBundle = subtotal - bundleDiscount;
+
+    let coupon = null;
+    let couponDiscount = 0;
+    if (couponCode) {
+        const couponDoc = await findCoupon(couponCode, checkoutType);
+        if (!couponDoc) {
+            return refuse(404, 'Invalid coupon code or not applicable for this checkout type');
+        }
+        // Coupon minimums and flat discounts are in the base currency
+        const baseAmount = toBase(toRupees(afterBundle), rate);
+        const couponError = getCouponError(couponDoc, userId, baseAmount);
+        if (couponError) {
+            return refuse(couponError.status, couponError.message);
+        }
+        couponDiscount = Math.min(toPaise(fromBase(calculateCouponDiscount(couponDoc, baseAmount), rate)), afterBundle);
+        coupon = {
+            code: couponDoc.code,
+            discountType: couponDoc.discountType,
+            discountValue: couponDoc.discountValue
+        };
+    }
+
+    // The cap trims the coupon first, then the bundle discount
+    const maxDiscount = Math.floor((subtotal * PRICING_CONFIG.MAX_DISCOUNT_PERCENT) / 100);
+    bundleDiscount = Math.min(bundleDiscount, maxDiscount);
+    couponDiscount = Math.min(couponDiscount, maxDiscount - bundleDiscount);
+
+    const bundleShares = allocate(bundleDiscount, prices);
+    const couponShares = allocate(couponDiscount, prices.map((price, index) => price - bundleShares[index]));
+
+    const lines = courses.map((course, index) => {
+        const discount = bundleShares[index] + couponShares[index];
+        const { taxableAmount, taxAmount, total } = applyTax(prices[index] - discount, taxRate);
+        return {
+            course: course._id.toString(),
+            courseName: course.courseName,
+            originalPrice: toRupees(prices[index]),
+            bundleDiscount: toRupees(bundleShares[index]),
+            couponDiscount: toRupees(couponShares[index]),
+            discountAmount: toRupees(discount),
+            taxableAmount: toRupees(taxableAmount),
+            taxAmount: toRupees(taxAmount),
+            amount: toRupees(total)
+        };
+    });
+
+    const sum = (field) => toRupees(lines.reduce((total, line) => total + toPaise(line[field]), 0));
+    if (coupon) {
+        coupon.discountAmount = toRupees(couponDiscount);
+    }
+
+    return {
+        checkoutType,
+        currency,
+        exchangeRate: rate,
+        lines,
+        coupon,
+        bundlePercent,
+        tax: {
+            rate: taxRate,
+            inclusive: PRICING_CONFIG.PRICES_INCLUDE_TAX
+        },
+        subtotal: toRupees(subtotal),
+        bundleDiscount: toRupees(bundleDiscount),
+        couponDiscount: toRupees(couponDiscount),
+        discountAmount: sum('discountAmount'),
+        taxAmount: sum('taxAmount'),
+        amount: sum('amount')
+    };
+};
+
+const sign = (body) => crypto.createHmac('sha256', PRICING_CONFIG.QUOTE_SECRET).update(body).digest('base64url');
+
+/**
+ * Sign a pricing as a quote for a user
+ * @returns {Object} { quote, pricing } with the quote's id and expiry added to the pricing
+ */
+const signQuote = (userId, pricing) => {
+    const issuedAt = Date.now();
+    const payload = {
+        ...pricing,
+        quoteId: crypto.randomUUID(),
+        userId: userId.toString(),
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: new Date(issuedAt + PRICING_CONFIG.QUOTE_TTL).toISOString()
+    };
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { quote: `${body}.${sign(body)}`, pricing: payload };
+};
+
+/**
+ * Price a cart and sign the result
+ * @returns {Promise<Object>} { quote, pricing } or { error: { status, message } }
+ */
+const createQuote = async (userId, cart) => {
+    const pricing = await priceCart(userId, cart);
+    if (pricing.error) return pricing;
+    return signQuote(userId, pricing);
+};
+
+/**
+ * Check a quote's signature, owner and expiry
+ * @param {string} quote - As returned by createQuote
+ * @param {string} userId - The user checking out
+ * @returns {Object} { pricing } or { error: { status, message } }
+ */
+const readQuote = (quote, userId) => {
+    const [body, signature] = typeof quote === 'string' ? quote.split('.') : [];
+    if (!body || !signature) {
+        return refuse(400, 'A price quote is required');
+    }
+
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return refuse(400, 'Invalid price quote');
+    }
+
+    const pricing = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (pricing.userId !== userId.toString()) {
+        return refuse(400, 'Invalid price quote');
+    }
+    if (Date.now() > new Date(pricing.expiresAt).getTime()) {
+        return refuse(410, 'Your price quote has expired. Please review your order again.');
+    }
+    return { pricing };
+};
+
+/**
+ * Whether two pricings charge the same amounts for the same courses
+ */
+const isSamePricing = (a, b) => {
+    if (a.amount !== b.amount || a.currency !== b.currency || a.lines.length !== b.lines.length) return false;
+    return a.lines.every((line, index) => {
+        const other = b.lines[index];
+        return line.course === other.course && line.amount === other.amount && line.taxAmount === other.taxAmount;
+    });
+};
+
+module.exports = {
+    toPaise,
+    getTaxRate,
+    priceCart,
+    signQuote,
+    createQuote,
+    readQuote,
+    isSamePricing
+};
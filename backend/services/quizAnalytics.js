@@ -0,0 +1,299 @@
+// Per-question item analysis of a quiz
+// Built from completed attempts: how many students get each question right, how well it
+// separates strong from weak students (discrimination index), which options are picked,
+// how long students spend on it and which code test cases they fail. Option statistics are
+// mapped back to the original option order, so shuffled papers are counted together.
+const QuizAttempt = require('../models/quizAttempt');
+const { roundMarks } = require('./quizScoring');
+const { QUIZ_ANALYTICS_CONFIG } = require('../config/quiz');
+
+// Attempts whose objective and code answers are scored (review only waits for written answers)
+const COMPLETED_STATUSES = ['graded', 'review'];
+
+const percent = (count, total) => (total > 0 ? roundMarks(count / total * 100) : null);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * Question as originally written, from a snapshot taken of a (possibly shuffled) paper question
+ */
+const unshuffleSnapshot = (snapshot, optionOrder) => {
+    if (!optionOrder || optionOrder.length === 0) return snapshot;
+    const toOriginal = (shownIndex) => optionOrder[Number(shownIndex)];
+    const reorder = (items) => {
+        if (!items || items.length !== optionOrder.length) return items;
+        const original = [];
+        optionOrder.forEach((originalIndex, shownIndex) => {
+            original[originalIndex] = items[shownIndex];
+        });
+        return original;
+    };
+
+    return {
+        ...snapshot,
+        options: reorder(snapshot.options),
+        answers: reorder(snapshot.answers),
+        correctAnswer: snapshot.correctAnswer === null || snapshot.correctAnswer === undefined
+            ? snapshot.correctAnswer
+            : toOriginal(snapshot.correctAnswer),
+        correctAnswers: (snapshot.correctAnswers || []).map(toOriginal)
+    };
+};
+
+/**
+ * Share of a question's marks earned in one attempt, between 0 and 1
+ */
+const itemScore = (result) => {
+    if (result.maxMarks > 0) {
+        return Math.min(1, Math.max(0, result.marksAwarded / result.maxMarks));
+    }
+    return result.isCorrect ? 1 : 0;
+};
+
+/**
+ * Discrimination index: mean item score of the top group minus that of the bottom group,
+ * with students ranked by their overall percentage on the attempt
+ * @param {Array} scored - [{ percentage, score }]
+ * @returns {number|null} between -1 and 1, or null with too few attempts
+ */
+const discriminationIndex = (scored) => {
+    if (scored.length < QUIZ_ANALYTICS_CONFIG.MIN_ATTEMPTS_FOR_DISCRIMINATION) return null;
+
+    const ranked = [...scored].sort((a, b) => b.percentage - a.percentage);
+    const groupSize = Math.max(1, Math.floor(ranked.length * QUIZ_ANALYTICS_CONFIG.GROUP_FRACTION));
+    const top = average(ranked.slice(0, groupSize).map(entry => entry.score));
+    const bottom = average(ranked.slice(-groupSize).map(entry => entry.score));
+
+    return Math.round((top - bottom) * 100) / 100;
+};
+
+const createStats = (question, source) => ({
+    question,
+    source,
+    seen: 0,
+    answered: 0,
+    pendingReview: 0,
+    correct: 0,
+    scored: [],
+    times: [],
+    optionCounts: [],
+    pairCounts: [],
+    testCases: new Map()
+});
+
+const recordChoice = (stats, result, toOriginal) => {
+    const selected = stats.question.questionType === 'multipleChoice'
+        ? (Array.isArray(result.answer) ? result.answer : [])
+        : (result.answer === null || result.answer === undefined ? [] : [result.answer]);
+
+    for (const shownIndex of new Set(selected.map(Number))) {
+        const originalIndex = toOriginal(shownIndex);
+        if (Number.isInteger(originalIndex)) {
+            stats.optionCounts[originalIndex] = (stats.optionCounts[originalIndex] || 0) + 1;
+        }
+    }
+};
+
+const recordPairs = (stats, result, toOriginal) => {
+    const pairs = Array.isArray(result.answer) ? result.answer : [];
+    pairs.forEach((matched, shownIndex) => {
+        if (matched === null || matched === undefined || matched === '') return;
+        const left = toOriginal(shownIndex);
+        const right = toOriginal(Number(matched));
+        if (!Number.isInteger(left) || !Number.isInteger(right)) return;
+
+        const counts = stats.pairCounts[left] || (stats.pairCounts[left] = { answered: 0, matches: {} });
+        counts.answered++;
+        counts.matches[right] = (counts.matches[right] || 0) + 1;
+    });
+};
+
+const recordTestResults = (stats, submission) => {
+    (submission.testResults || []).forEach((testResult, index) => {
+        const entry = stats.testCases.get(index) || {
+            index,
+            input: testResult.input,
+            expectedOutput: testResult.expectedOutput,
+            isHidden: Boolean(testResult.isHidden),
+            runs: 0,
+            failures: 0
+        };
+        entry.runs++;
+        if (!testResult.passed) entry.failures++;
+        stats.testCases.set(index, entry);
+    });
+};
+
+const summarizeOptions = (stats) => {
+    const { question } = stats;
+    const correct = question.questionType === 'multipleChoice'
+        ? (question.correctAnswers || []).map(Number)
+        : [Number(question.correctAnswer)];
+
+    return (question.options || []).map((text, index) => ({
+        index,
+        text,
+        isCorrect: correct.includes(index),
+        count: stats.optionCounts[index] || 0,
+        percent: percent(stats.optionCounts[index] || 0, stats.answered)
+    }));
+};
+
+const summarizePairs = (stats) => {
+    const { question } = stats;
+    const answers = question.answers || [];
+
+    return (question.options || []).map((left, index) => {
+        const counts = stats.pairCounts[index] || { answered: 0, matches: {} };
+        const wrong = Object.entries(counts.matches)
+            .filter(([right]) => Number(right) !== index)
+            .sort((a, b) => b[1] - a[1])[0];
+
+        return {
+            index,
+            left,
+            right: answers[index],
+            correctPercent: percent(counts.matches[index] || 0, counts.answered),
+            mostCommonWrong: wrong ? { right: answers[Number(wrong[0])], count: wrong[1] } : null
+        };
+    });
+};
+
+const buildFlags = (item) => {
+    const flags = [];
+    if (item.percentCorrect !== null && item.percentCorrect >= QUIZ_ANALYTICS_CONFIG.TOO_EASY_PERCENT) flags.push('tooEasy');
+    if (item.percentCorrect !== null && item.percentCorrect <= QUIZ_ANALYTICS_CONFIG.TOO_HARD_PERCENT) flags.push('tooHard');
+    if (item.discrimination !== null && item.discrimination < 0) {
+        flags.push('negativeDiscrimination');
+    } else if (item.discrimination !== null && item.discrimination < QUIZ_ANALYTICS_CONFIG.LOW_DISCRIMINATION) {
+        flags.push('lowDiscrimination');
+    }
+    // A wrong option picked more often than every correct one often means a wrong answer key
+    if (item.options) {
+        const bestCorrect = Math.max(0, ...item.options.filter(option => option.isCorrect).map(option => option.count));
+        if (item.options.some(option => !option.isCorrect && option.count > bestCorrect)) flags.push('distractorAboveKey');
+    }
+    return flags;
+};
+
+const summarizeQuestion = (stats) => {
+    const { question } = stats;
+    const type = question.questionType;
+    const item = {
+        questionId: question._id,
+        questionText: question.questionText,
+        questionType: type,
+        marks: question.marks,
+        source: stats.source,
+        attempts: stats.seen,
+        answered: stats.answered,
+        pendingReview: stats.pendingReview,
+        percentCorrect: percent(stats.correct, stats.scored.length),
+        averageScore: stats.scored.length > 0 ? roundMarks(average(stats.scored.map(entry => entry.score)) * 100) : null,
+        discrimination: discriminationIndex(stats.scored),
+        averageTime: stats.times.length > 0 ? Math.round(average(stats.times)) : null,
+        timedAttempts: stats.times.length,
+        options: type === 'singleAnswer' || type === 'multipleChoice' ? summarizeOptions(stats) : null,
+        pairs: type === 'matchTheFollowing' ? summarizePairs(stats) : null,
+        testCases: type === 'codeSolve'
+            ? [...stats.testCases.values()]
+                .map(entry => ({ ...entry, failPercent: percent(entry.failures, entry.runs) }))
+                .sort((a, b) => b.failPercent - a.failPercent || a.index - b.index)
+            : null
+    };
+    item.flags = buildFlags(item);
+    return item;
+};
+
+/**
+ * Item analysis of a quiz from a list of completed attempts (newest first)
+ * @param {Object} quiz - Quiz document or plain object
+ * @param {Array} attempts - lean QuizAttempt objects
+ * @returns {{ summary: Object, questions: Array }}
+ */
+const buildQuizAnalytics = (quiz, attempts) => {
+    const questions = new Map();
+    // The quiz's own questions are listed first, in quiz order, even before anyone answered them
+    for (const question of quiz.questions || []) {
+        const plain = typeof question.toObject === 'function' ? question.toObject() : question;
+        questions.set(plain._id.toString(), createStats(plain, 'quiz'));
+    }
+
+    for (const attempt of attempts) {
+        const paper = new Map((attempt.paper || []).map(entry => [entry.question.toString(), entry]));
+        const questionTimes = attempt.questionTimes || {};
+
+        for (const result of attempt.questionResults || []) {
+            const questionId = result.question.toString();
+            const entry = paper.get(questionId);
+            const optionOrder = entry ? entry.optionOrder : [];
+            const toOriginal = (shownIndex) => (optionOrder && optionOrder.length > 0 ? optionOrder[shownIndex] : shownIndex);
+
+            let stats = questions.get(questionId);
+            if (!stats) {
+                // Questions drawn from a bank (or removed from the quiz) are described by the newest snapshot
+                stats = createStats(
+                    { ...unshuffleSnapshot(result.questionSnapshot || {}, optionOrder), _id: result.question },
+                    entry && entry.bank ? 'bank' : 'removed'
+                );
+                questions.set(questionId, stats);
+            }
+
+            stats.seen++;
+            if (result.isAnswered) stats.answered++;
+
+            if (result.needsReview) {
+                stats.pendingReview++;
+            } else {
+                stats.scored.push({ percentage: attempt.percentage || 0, score: itemScore(result) });
+                if (result.isCorrect) stats.correct++;
+            }
+
+            if (result.isAnswered) {
+                const type = stats.question.questionType;
+                if (type === 'singleAnswer' || type === 'multipleChoice') recordChoice(stats, result, toOriginal);
+                if (type === 'matchTheFollowing') recordPairs(stats, result, toOriginal);
+            }
+
+            const seconds = Number(questionTimes[questionId]);
+            if (Number.isFinite(seconds) && seconds > 0) stats.times.push(seconds);
+        }
+
+        for (const submission of attempt.codeSubmissions || []) {
+            const stats = questions.get(submission.question.toString());
+            if (stats && submission.status === 'graded') recordTestResults(stats, submission);
+        }
+    }
+
+    const students = new Set(attempts.map(attempt => attempt.user.toString()));
+    const timed = attempts.filter(attempt => attempt.timeTaken !== null && attempt.timeTaken !== undefined);
+
+    return {
+        summary: {
+            attempts: attempts.length,
+            students: students.size,
+            averagePercentage: attempts.length > 0 ? roundMarks(average(attempts.map(attempt => attempt.percentage || 0))) : null,
+            averageTimeTaken: timed.length > 0 ? Math.round(average(timed.map(attempt => attempt.timeTaken))) : null,
+            truncated: attempts.length >= QUIZ_ANALYTICS_CONFIG.MAX_ATTEMPTS
+        },
+        questions: [...questions.values()].map(summarizeQuestion)
+    };
+};
+
+/**
+ * Item analysis of a quiz from its completed attempts
+ */
+const analyzeQuizAttempts = async (quiz) => {
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, status: { $in: COMPLETED_STATUSES } })
+        .select('user percentage timeTaken questionResults codeSubmissions paper.question paper.bank paper.optionOrder questionTimes')
+        .sort({ submittedAt: -1 })
+        .limit(QUIZ_ANALYTICS_CONFIG.MAX_ATTEMPTS)
+        .lean();
+
+    return buildQuizAnalytics(quiz, attempts);
+};
+
+module.exports = {
+    buildQuizAnalytics,
+    analyzeQuizAttempts
+};
@@ -0,0 +1,240 @@
+// Server-side lifecycle of a timed quiz attempt
+// An attempt is started with a deadline, autosaves answers while in progress and is
+// completed either by the student's submission or, once the deadline and grace period
+// have passed, by the sweeper using the last saved answers.
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const { scoreQuizAnswers } = require('./quizScoring');
+const { enqueueAttempt, finalizeAttempt } = require('./gradingQueue');
+const { getQuizPolicy } = require('./quizPolicy');
+const { buildQuizPaper, getPaperQuestions, toStudentQuestion, toPaperAnswers } = require('./quizPaper');
+const { QUIZ_ATTEMPT_CONFIG } = require('../config/quiz');
+
+let sweepTimer = null;
+
+/**
+ * Sign the token that ties a client session to an attempt
+ */
+const signAttemptToken = (attempt) => jwt.sign(
+    {
+        attemptId: attempt._id.toString(),
+        userId: attempt.user.toString(),
+        quizId: attempt.quiz.toString()
+    },
+    QUIZ_ATTEMPT_CONFIG.TOKEN_SECRET
+);
+
+/**
+ * Verify an attempt token for the given user
+ * @returns {Object|null} token payload ({ attemptId, userId, quizId }) or null if invalid
+ */
+const verifyAttemptToken = (token, userId) => {
+    if (!token) return null;
+    try {
+        const payload = jwt.verify(token, QUIZ_ATTEMPT_CONFIG.TOKEN_SECRET);
+        return payload.userId === userId.toString() ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Whether the deadline and grace period of an attempt are both over
+ */
+const isAttemptOverdue = (attempt, now = new Date()) =>
+    now.getTime() > attempt.expiresAt.getTime() + QUIZ_ATTEMPT_CONFIG.GRACE_PERIOD;
+
+/**
+ * Session payload returned when an attempt is started or resumed
+ */
+const buildAttemptSession = (attempt, resumed = false) => {
+    const now = new Date();
+    return {
+        attemptId: attempt._id,
+        attemptToken: signAttemptToken(attempt),
+        attemptNumber: attempt.attemptNumber,
+        answers: attempt.answers || {},
+        questionTimes: attempt.questionTimes || {},
+        questions: attempt.paper.map(toStudentQuestion),
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        serverTime: now,
+        timeRemaining: Math.max(0, Math.ceil((attempt.expiresAt.getTime() - now.getTime()) / 1000)),
+        resumed
+    };
+};
+
+/**
+ * Create an in-progress attempt with a server-side deadline and its own question paper
+ * @param {Object} params - { userId, quiz, courseId }; courseId must be the course the quiz's lecture belongs to
+ */
+const startAttempt = async ({ userId, quiz, courseId }) => {
+    const now = new Date();
+    const previousAttempts = await QuizAttempt.countDocuments({ user: userId, quiz: quiz._id });
+    const paper = await buildQuizPaper(quiz);
+
+    return QuizAttempt.create({
+        user: userId,
+        quiz: quiz._id,
+        course: courseId,
+        subSection: quiz.subSection,
+        attemptNumber: previousAttempts + 1,
+        paper,
+        status: 'in_progress',
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + quiz.timeLimit * 1000),
+        submittedAt: null,
+        passingPercentage: getQuizPolicy(quiz).passingPercentage
+    });
+};
+
+/**
+ * Per-question times reported by the client, as whole seconds keyed by question id
+ * @returns {Object|null} null when nothing usable was sent
+ */
+const sanitizeQuestionTimes = (questionTimes) => {
+    if (!questionTimes || typeof questionTimes !== 'object' || Array.isArray(questionTimes)) return null;
+
+    const sanitized = {};
+    for (const [questionId, seconds] of Object.entries(questionTimes).slice(0, 200)) {
+        const value = Number(seconds);
+        if (mongoose.Types.ObjectId.isValid(questionId) && Number.isFinite(value) && value >= 0) {
+            sanitized[questionId] = Math.min(Math.round(value), 24 * 60 * 60);
+        }
+    }
+    return sanitized;
+};
+
+/**
+ * Store the current answers (and time per question) of an in-progress attempt
+ * @returns {Object|null} the updated attempt, or null if it is no longer open
+ */
+const saveAttemptAnswers = (attemptId, answers, questionTimes = null) => {
+    const now = new Date();
+    const update = { answers, lastSavedAt: now };
+    const times = sanitizeQuestionTimes(questionTimes);
+    if (times) update.questionTimes = times;
+
+    return QuizAttempt.findOneAndUpdate(
+        {
+            _id: attemptId,
+            status: 'in_progress',
+            expiresAt: { $gte: new Date(now.getTime() - QUIZ_ATTEMPT_CONFIG.GRACE_PERIOD) }
+        },
+        { $set: update },
+        { new: true }
+    );
+};
+
+/**
+ * Score an in-progress attempt and hand it over for grading
+ * The attempt is claimed atomically so a submission and the sweeper cannot both complete it.
+ * @param {Object|null} answers - submitted answers, or null to use the last saved ones
+ * @param {Object|null} questionTimes - seconds per question, or null to keep the last saved ones
+ * @returns {Object|null} the completed attempt, or null if it was already submitted
+ */
+const completeAttempt = async (attemptId, answers = null, questionTimes = null) => {
+    const now = new Date();
+    const attempt = await QuizAttempt.findOneAndUpdate(
+        { _id: attemptId, status: 'in_progress' },
+        { $set: { status: 'grading', lockedAt: now } },
+        { new: true }
+    );
+    if (!attempt) return null;
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+        attempt.status = 'failed';
+        attempt.lastError = 'Quiz no longer exists';
+        attempt.lockedAt = null;
+        await attempt.save();
+        return attempt;
+    }
+
+    // Saved and submitted answers use the shown order of match columns
+    const finalAnswers = toPaperAnswers(attempt.paper, answers || attempt.answers || {});
+    const { score, totalMarks, questionResults, codeSubmissions } = scoreQuizAnswers(
+        { questions: getPaperQuestions(attempt, quiz) },
+        finalAnswers
+    );
+
+    attempt.answers = finalAnswers;
+    attempt.markModified('answers');
+    const times = answers ? sanitizeQuestionTimes(questionTimes) : null;
+    if (times) {
+        attempt.questionTimes = times;
+        attempt.markModified('questionTimes');
+    }
+    attempt.questionResults = questionResults;
+    attempt.codeSubmissions = codeSubmissions;
+    attempt.objectiveScore = score;
+    attempt.totalMarks = totalMarks;
+    attempt.submittedAt = now;
+    attempt.timeTaken = Math.min(Math.round((now - attempt.startedAt) / 1000), quiz.timeLimit);
+
+    if (codeSubmissions.length > 0) {
+        attempt.status = 'pending';
+        attempt.lockedAt = null;
+        attempt.nextRunAt = now;
+        await attempt.save();
+        enqueueAttempt();
+        return attempt;
+    }
+
+    return finalizeAttempt(attempt);
+};
+
+/**
+ * Auto-submit attempts whose deadline and grace period have passed
+ */
+const submitOverdueAttempts = async () => {
+    const cutoff = new Date(Date.now() - QUIZ_ATTEMPT_CONFIG.GRACE_PERIOD);
+
+    try {
+        const overdue = await QuizAttempt.find({ status: 'in_progress', expiresAt: { $lt: cutoff } })
+            .select('_id')
+            .limit(50);
+
+        for (const { _id } of overdue) {
+            try {
+                const attempt = await completeAttempt(_id);
+                if (attempt) {
+                    console.log(`Quiz attempt ${_id} auto-submitted after its time limit`);
+                }
+            } catch (error) {
+                console.error(`Error auto-submitting quiz attempt ${_id}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error looking up overdue quiz attempts:', error);
+    }
+};
+
+/**
+ * Start the periodic sweep for overdue attempts
+ */
+const startAttemptSweeper = () => {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(submitOverdueAttempts, QUIZ_ATTEMPT_CONFIG.SWEEP_INTERVAL);
+    submitOverdueAttempts();
+};
+
+const stopAttemptSweeper = () => {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+};
+
+module.exports = {
+    verifyAttemptToken,
+    isAttemptOverdue,
+    buildAttemptSession,
+    startAttempt,
+    saveAttemptAnswers,
+    completeAttempt,
+    startAttemptSweeper,
+    stopAttemptSweeper
+};
@@ -0,0 +1,233 @@
+// CSV format, one question per row (documented in QUIZ_IMPORT_EXPORT.md)
+// List cells (options, answers, correct, keywords) are separated by "|", written as
+// "\|" inside an item. Test cases are a JSON array so code and newlines survive.
+
+const name = 'csv';
+const label = 'CSV';
+const extension = 'csv';
+const mimeType = 'text/csv; charset=utf-8';
+
+const COLUMNS = [
+    'type', 'question', 'options', 'answers', 'correct', 'marks', 'required', 'topic', 'difficulty',
+    'partialCredit', 'negativeMarks', 'keywords', 'language', 'starterCode', 'solutionCode', 'testCases', 'hiddenTestWeight'
+];
+// Written by course exports to tell quizzes apart; ignored on import
+const LOCATION_COLUMNS = ['section', 'lecture'];
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+ */
+const parseRows = (content) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+const splitList = (value) => (value || '')
+    .split(/(?<!\\)\|/)
+    .map(item => item.replace(/\\\|/g, '|').trim())
+    .filter(item => item !== '');
+
+const joinList = (items) => (items || []).map(item => String(item ?? '').replace(/\|/g, '\\|')).join('|');
+
+const parseBoolean = (value, fallback) => {
+    const normalized = String(value || '').trim().toLowerCase();
+    if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+    if (['false', 'no', '0', 'n'].includes(normalized)) return false;
+    return fallback;
+};
+
+const parseNumber = (value, fallback) => {
+    if (value === undefined || String(value).trim() === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Question (in Quiz schema shape) for one row keyed by column name
+ */
+const parseRecord = (record) => {
+    const questionType = record.type.trim();
+    const question = {
+        questionType,
+        questionText: record.question,
+        marks: parseNumber(record.marks, 1),
+        required: parseBoolean(record.required, true),
+        topic: record.topic || '',
+        difficulty: (record.difficulty || '').trim().toLowerCase() || 'medium',
+        partialCredit: parseBoolean(record.partialCredit, false),
+        negativeMarks: parseNumber(record.negativeMarks, 0),
+        hiddenTestWeight: parseNumber(record.hiddenTestWeight, 1)
+    };
+    // Correct options are numbered from 1
+    const correct = splitList(record.correct).map(value => Number(value) - 1);
+
+    switch (questionType) {
+        case 'singleAnswer':
+            if (correct.length > 1) {
+                throw new Error('Single answer questions have exactly one correct option');
+            }
+            return { ...question, options: splitList(record.options), correctAnswer: correct.length === 1 ? correct[0] : null };
+        case 'multipleChoice':
+            return { ...question, options: splitList(record.options), correctAnswers: correct };
+        case 'matchTheFollowing':
+            return { ...question, options: splitList(record.options), answers: splitList(record.answers) };
+        case 'shortAnswer':
+            return { ...question, keywords: splitList(record.keywords) };
+        case 'codeSolve': {
+            let testCases = [];
+            if (record.testCases && record.testCases.trim()) {
+                try {
+                    testCases = JSON.parse(record.testCases);
+                } catch (error) {
+                    throw new Error('testCases must be a JSON array');
+                }
+                if (!Array.isArray(testCases)) {
+                    throw new Error('testCases must be a JSON array');
+                }
+            }
+            return {
+                ...question,
+                programmingLanguage: (record.language || '').trim() || 'javascript',
+                starterCode: record.starterCode || '',
+                solutionCode: record.solutionCode || '',
+                testCases
+            };
+        }
+        default:
+            return question;
+    }
+};
+
+/**
+ * Parse a CSV file with a header row
+ * @returns {Array} entries { question, errors, warnings }
+ */
+const parse = (content) => {
+    const rows = parseRows(content.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+        return [{ question: null, source: '', errors: ['The file is empty'], warnings: [] }];
+    }
+
+    const header = rows[0].map(cell => cell.trim());
+    const missing = ['type', 'question'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        return [{ question: null, source: '', errors: [`Missing column(s): ${missing.join(', ')}`], warnings: [] }];
+    }
+    const unknown = header.filter(column => column && !COLUMNS.includes(column) && !LOCATION_COLUMNS.includes(column));
+
+    return rows.slice(1).map((cells, rowIndex) => {
+        const record = {};
+        header.forEach((column, index) => {
+            record[column] = cells[index] ?? '';
+        });
+        const warnings = rowIndex === 0 && unknown.length > 0 ? [`Unknown column(s) ignored: ${unknown.join(', ')}`] : [];
+
+        try {
+            return { question: parseRecord(record), errors: [], warnings };
+        } catch (error) {
+            return { question: null, source: record.question.slice(0, 80), errors: [`Row ${rowIndex + 2}: ${error.message}`], warnings };
+        }
+    });
+};
+
+const escapeCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const serializeQuestion = (question) => {
+    const isChoice = question.questionType === 'singleAnswer' || question.questionType === 'multipleChoice';
+    const correct = question.questionType === 'singleAnswer'
+        ? [Number(question.correctAnswer) + 1]
+        : (question.correctAnswers || []).map(index => Number(index) + 1);
+    const isCode = question.questionType === 'codeSolve';
+
+    return {
+        type: question.questionType,
+        question: question.questionText,
+        options: isChoice || question.questionType === 'matchTheFollowing' ? joinList(question.options) : '',
+        answers: question.questionType === 'matchTheFollowing' ? joinList(question.answers) : '',
+        correct: isChoice ? correct.join('|') : '',
+        marks: question.marks,
+        required: question.required !== false,
+        topic: question.topic || '',
+        difficulty: question.difficulty || 'medium',
+        partialCredit: Boolean(question.partialCredit),
+        negativeMarks: question.negativeMarks || 0,
+        keywords: question.questionType === 'shortAnswer' ? joinList(question.keywords) : '',
+        language: isCode ? question.programmingLanguage : '',
+        starterCode: isCode ? question.starterCode || '' : '',
+        solutionCode: isCode ? question.solutionCode || '' : '',
+        testCases: isCode
+            ? JSON.stringify((question.testCases || []).map(({ input, expectedOutput, isHidden }) => ({ input, expectedOutput, isHidden })))
+            : '',
+        hiddenTestWeight: isCode ? question.hiddenTestWeight ?? 1 : ''
+    };
+};
+
+/**
+ * Write sections of questions as CSV
+ * Course exports (sections with a path) get leading section and lecture columns.
+ * @param {Array} sections - [{ path: string[], questions }]
+ */
+const serialize = (sections) => {
+    const withLocation = sections.some(section => section.path && section.path.length > 1);
+    const header = withLocation ? [...LOCATION_COLUMNS, ...COLUMNS] : COLUMNS;
+    const lines = [header.join(',')];
+
+    for (const section of sections) {
+        const path = section.path || [];
+        const location = { section: path[path.length - 2] || '', lecture: path[path.length - 1] || '' };
+        for (const question of section.questions) {
+            const record = { ...location, ...serializeQuestion(question) };
+            lines.push(header.map(column => escapeCell(record[column])).join(','));
+        }
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+    name,
+    label,
+    extension,
+    mimeType,
+    COLUMNS,
+    parse,
+    serialize
+};
@@ -0,0 +1,353 @@
+// GIFT format (Moodle's plain-text question format)
+// GIFT has no notion of marks, difficulty or code test cases, so exports add a
+// `// @meta {...}` comment above each question. Other LMSs ignore comments; our own
+// import reads the comment back, which makes a GIFT export round-trip losslessly.
+
+const name = 'gift';
+const label = 'GIFT';
+const extension = 'gift.txt';
+const mimeType = 'text/plain; charset=utf-8';
+
+// Fields GIFT cannot express, carried in the @meta comment
+const META_FIELDS = ['marks', 'required', 'topic', 'difficulty', 'partialCredit', 'negativeMarks', 'hiddenTestWeight'];
+const CODE_FIELDS = ['programmingLanguage', 'starterCode', 'solutionCode', 'testCases'];
+
+const escapeText = (text) => String(text ?? '')
+    .replace(/[~=#{}:\\]/g, char => `\\${char}`)
+    .replace(/\n/g, '\\n');
+
+const unescapeText = (text) => text
+    .replace(/\\([~=#{}:\\n])/g, (_, char) => (char === 'n' ? '\n' : char))
+    .trim();
+
+const stripHtml = (text) => text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Position of the first unescaped occurrence of token at or after from, or -1
+ */
+const indexOfUnescaped = (text, token, from = 0) => {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text.startsWith(token, i)) return i;
+    }
+    return -1;
+};
+
+/**
+ * Split an answer block into { marker, text } tokens at unescaped = and ~
+ */
+const tokenizeAnswers = (body) => {
+    const tokens = [];
+    let current = null;
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\') {
+            if (current) current.text += body.slice(i, i + 2);
+            i++;
+            continue;
+        }
+        if (char === '=' || char === '~') {
+            current = { marker: char, text: '' };
+            tokens.push(current);
+            continue;
+        }
+        if (current) current.text += char;
+    }
+
+    return tokens.map(token => {
+        // Drop per-answer feedback
+        const feedbackAt = indexOfUnescaped(token.text, '#');
+        let text = feedbackAt >= 0 ? token.text.slice(0, feedbackAt) : token.text;
+        let weight = null;
+        const weightMatch = text.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+        if (weightMatch) {
+            weight = Number(weightMatch[1]);
+            text = text.trim().slice(weightMatch[0].length);
+        }
+        return { marker: token.marker, text, weight };
+    });
+};
+
+/**
+ * Question (in Quiz schema shape) for the answer block of a GIFT question
+ * @param {boolean} fromExport - the question carries our @meta comment, so nothing was lost
+ */
+const parseAnswerBlock = (body, marksHint, warnings, fromExport) => {
+    if (body === '') {
+        return { questionType: 'longAnswer' };
+    }
+    if (body.startsWith('#')) {
+        throw new Error('Numerical questions are not supported');
+    }
+
+    const trueFalse = body.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+    if (trueFalse) {
+        return {
+            questionType: 'singleAnswer',
+            options: ['True', 'False'],
+            correctAnswer: trueFalse[1].toUpperCase().startsWith('T') ? 0 : 1
+        };
+    }
+
+    const tokens = tokenizeAnswers(body);
+    if (tokens.length === 0) {
+        throw new Error('No answers found between { and }');
+    }
+
+    if (tokens.some(token => indexOfUnescaped(token.text, '->') >= 0)) {
+        const pairs = tokens.map(token => {
+            const arrow = indexOfUnescaped(token.text, '->');
+            return arrow < 0
+                ? { left: unescapeText(token.text), right: '' }
+                : { left: unescapeText(token.text.slice(0, arrow)), right: unescapeText(token.text.slice(arrow + 2)) };
+        });
+        if (pairs.some(pair => !pair.left)) {
+            warnings.push('Extra right-hand items without a left-hand item were skipped');
+        }
+        const matched = pairs.filter(pair => pair.left);
+        return {
+            questionType: 'matchTheFollowing',
+            options: matched.map(pair => pair.left),
+            answers: matched.map(pair => pair.right)
+        };
+    }
+
+    if (tokens.every(token => token.marker === '=')) {
+        if (!fromExport) warnings.push('Accepted answers were imported as keywords; an answer needs at least half of them for the provisional score');
+        return {
+            questionType: 'shortAnswer',
+            keywords: tokens.map(token => unescapeText(token.text))
+        };
+    }
+
+    const options = tokens.map(token => unescapeText(token.text));
+    const exactCorrect = tokens.filter(token => token.marker === '=');
+    const weighted = tokens.filter(token => token.weight !== null && token.weight > 0);
+
+    if (exactCorrect.length === 1 && weighted.length === 0) {
+        // Negative weights on wrong options become negative marks
+        const penalty = Math.max(0, ...tokens.filter(token => token.weight < 0).map(token => -token.weight));
+        return {
+            questionType: 'singleAnswer',
+            options,
+            correctAnswer: tokens.indexOf(exactCorrect[0]),
+            negativeMarks: penalty > 0 ? Math.round(marksHint * penalty) / 100 : 0
+        };
+    }
+
+    const correctAnswers = tokens
+        .map((token, index) => (token.marker === '=' || token.weight > 0 ? index : -1))
+        .filter(index => index >= 0);
+    if (new Set(weighted.map(token => token.weight)).size > 1) {
+        warnings.push('Unequal option weights were replaced by equal partial credit per correct option');
+    }
+
+    return {
+        questionType: 'multipleChoice',
+        options,
+        correctAnswers,
+        partialCredit: weighted.length > 0
+    };
+};
+
+/**
+ * Parse one blank-line separated question
+ */
+const parseQuestion = (text, context) => {
+    const warnings = [];
+    let body = text.trim();
+
+    if (body.startsWith('::')) {
+        const titleEnd = indexOfUnescaped(body, '::', 2);
+        if (titleEnd >= 0) body = body.slice(titleEnd + 2).trim();
+    }
+
+    const open = indexOfUnescaped(body, '{');
+    const close = open >= 0 ? indexOfUnescaped(body, '}', open) : -1;
+    if (open < 0 || close < 0) {
+        return { question: null, source: body.slice(0, 80), errors: ['No answer block in { } - descriptions are not imported'], warnings };
+    }
+
+    let questionText = body.slice(0, open);
+    const after = body.slice(close + 1).trim();
+    if (after) {
+        // Fill-in-the-blank: the answer block sits inside the sentence
+        questionText = `${questionText.trimEnd()} _____ ${after}`;
+    }
+
+    const formatMatch = questionText.trim().match(/^\[(html|moodle|plain|markdown)\]/i);
+    if (formatMatch) {
+        questionText = questionText.trim().slice(formatMatch[0].length);
+        if (formatMatch[1].toLowerCase() === 'html') questionText = stripHtml(questionText);
+    }
+    questionText = unescapeText(questionText);
+
+    const meta = context.meta || {};
+    try {
+        const answerPart = parseAnswerBlock(body.slice(open + 1, close).trim(), Number(meta.marks) || 1, warnings, Boolean(context.meta));
+        const question = { questionText, topic: context.topic, ...answerPart };
+
+        for (const field of META_FIELDS) {
+            if (meta[field] !== undefined) question[field] = meta[field];
+        }
+        // Code questions are exported as essays; the meta comment restores them
+        if (meta.questionType === 'codeSolve' && question.questionType === 'longAnswer') {
+            question.questionType = 'codeSolve';
+            for (const field of CODE_FIELDS) {
+                if (meta[field] !== undefined) question[field] = meta[field];
+            }
+        }
+
+        return { question, errors: context.metaError ? [context.metaError] : [], warnings };
+    } catch (error) {
+        return { question: null, source: questionText.slice(0, 80), errors: [error.message], warnings };
+    }
+};
+
+/**
+ * Parse a GIFT file
+ * @returns {Array} entries { question, errors, warnings }
+ */
+const parse = (content) => {
+    const entries = [];
+    let topic = '';
+    let meta = null;
+    let metaError = null;
+    let lines = [];
+
+    const flush = () => {
+        if (lines.length === 0) return;
+        entries.push(parseQuestion(lines.join('\n'), { topic, meta, metaError }));
+        lines = [];
+        meta = null;
+        metaError = null;
+    };
+
+    for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.trim();
+
+        if (!line) {
+            flush();
+            continue;
+        }
+        if (line.startsWith('//')) {
+            const metaMatch = line.match(/^\/\/\s*@meta\s+(.*)$/);
+            if (metaMatch) {
+                try {
+                    meta = JSON.parse(metaMatch[1]);
+                } catch (error) {
+                    metaError = 'The @meta comment is not valid JSON';
+                }
+            }
+            continue;
+        }
+        if (line.startsWith('$CATEGORY:')) {
+            flush();
+            // The innermost category becomes the topic of the questions below it
+            const path = line.slice('$CATEGORY:'.length).trim().split('/').filter(Boolean);
+            topic = path.length > 0 && !path[path.length - 1].startsWith('$') ? path[path.length - 1].trim() : '';
+            continue;
+        }
+        lines.push(rawLine);
+    }
+    flush();
+
+    return entries;
+};
+
+const formatWeight = (weight) => String(Number(weight.toFixed(5)));
+
+const serializeAnswers = (question) => {
+    const options = question.options || [];
+
+    switch (question.questionType) {
+        case 'singleAnswer': {
+            const penalty = question.negativeMarks > 0 ? `%-${formatWeight(question.negativeMarks / question.marks * 100)}%` : '';
+            return options.map((option, index) => (
+                index === Number(question.correctAnswer) ? `=${escapeText(option)}` : `~${penalty}${escapeText(option)}`
+            ));
+        }
+        case 'multipleChoice': {
+            const correct = (question.correctAnswers || []).map(Number);
+            const share = formatWeight(100 / Math.max(correct.length, 1));
+            // Without partial credit any wrong pick costs the whole question
+            const wrong = question.partialCredit ? share : '100';
+            return options.map((option, index) => (
+                correct.includes(index) ? `~%${share}%${escapeText(option)}` : `~%-${wrong}%${escapeText(option)}`
+            ));
+        }
+        case 'matchTheFollowing':
+            return options.map((option, index) => `=${escapeText(option)} -> ${escapeText((question.answers || [])[index])}`);
+        case 'shortAnswer':
+            return (question.keywords || []).map(keyword => `=${escapeText(keyword)}`);
+        default:
+            // longAnswer and codeSolve are essays
+            return [];
+    }
+};
+
+const buildMeta = (question) => {
+    const meta = {};
+    for (const field of META_FIELDS) {
+        if (question[field] !== undefined) meta[field] = question[field];
+    }
+    if (question.questionType === 'codeSolve') {
+        meta.questionType = 'codeSolve';
+        for (const field of CODE_FIELDS) {
+            meta[field] = field === 'testCases'
+                ? (question.testCases || []).map(({ input, expectedOutput, isHidden }) => ({ input, expectedOutput, isHidden }))
+                : question[field];
+        }
+    }
+    return meta;
+};
+
+// Moodle uses "/" as the category separator
+const categoryName = (name) => String(name).replace(/\//g, '-').trim();
+
+/**
+ * Write sections of questions as GIFT
+ * @param {Array} sections - [{ path: string[], questions }]
+ */
+const serialize = (sections) => {
+    const lines = [
+        '// Quiz questions in GIFT format',
+        '// "// @meta" comments keep marks, tags and code test cases for re-import',
+        ''
+    ];
+
+    for (const section of sections) {
+        if (section.path && section.path.length > 0) {
+            lines.push(`$CATEGORY: $course$/${section.path.map(categoryName).join('/')}`, '');
+        }
+        for (const question of section.questions) {
+            const answers = serializeAnswers(question);
+            lines.push(`// @meta ${JSON.stringify(buildMeta(question))}`);
+            lines.push(answers.length > 0
+                ? `${escapeText(question.questionText)} {\n${answers.map(answer => `\t${answer}`).join('\n')}\n}`
+                : `${escapeText(question.questionText)} {}`);
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = {
+    name,
+    label,
+    extension,
+    mimeType,
+    parse,
+    serialize
+};
@@ -0,0 +1,208 @@
+// Quiz question import/export
+// Every format module turns a file into raw question entries ({ question, errors, warnings })
+// and turns sections of questions back into a file. Imports are normalised to the
+// Quiz question schema and validated here, so an instructor sees a report of what
+// will be added before anything is saved. See QUIZ_IMPORT_EXPORT.md for the formats.
+const Quiz = require('../../models/quiz');
+const { validateScoringRules } = require('../quizScoring');
+const gift = require('./gift');
+const moodleXml = require('./moodleXml');
+const csv = require('./csv');
+const json = require('./json');
+
+// Registered formats, keyed by the name used in the API
+const formats = {
+    [gift.name]: gift,
+    [moodleXml.name]: moodleXml,
+    [csv.name]: csv,
+    [json.name]: json
+};
+
+const questionSchema = Quiz.schema.path('questions').schema;
+const QUESTION_TYPES = questionSchema.path('questionType').enumValues;
+const CODE_LANGUAGES = questionSchema.path('programmingLanguage').enumValues;
+const DIFFICULTIES = questionSchema.path('difficulty').enumValues;
+
+/**
+ * Resolve a format module by name
+ * @returns {Object|null} module exposing name, label, extension, mimeType, parse and serialize
+ */
+const getFormat = (name) => formats[name] || null;
+
+const listFormats = () => Object.values(formats).map(({ name, label, extension }) => ({ name, label, extension }));
+
+/**
+ * Fill in the defaults of the Quiz question schema
+ */
+const normalizeQuestion = (raw) => {
+    const question = {
+        questionText: String(raw.questionText || '').trim(),
+        questionType: raw.questionType,
+        options: (raw.options || []).map(option => String(option ?? '').trim()),
+        answers: (raw.answers || []).map(answer => String(answer ?? '').trim()),
+        correctAnswers: (raw.correctAnswers || []).map(Number),
+        correctAnswer: raw.correctAnswer === undefined || raw.correctAnswer === null ? null : Number(raw.correctAnswer),
+        keywords: (raw.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean),
+        marks: raw.marks === undefined || raw.marks === null || raw.marks === '' ? 1 : Number(raw.marks),
+        required: raw.required === undefined ? true : Boolean(raw.required),
+        topic: String(raw.topic || '').trim(),
+        difficulty: raw.difficulty || 'medium',
+        partialCredit: Boolean(raw.partialCredit),
+        negativeMarks: Number(raw.negativeMarks || 0),
+        hiddenTestWeight: raw.hiddenTestWeight === undefined || raw.hiddenTestWeight === null ? 1 : Number(raw.hiddenTestWeight)
+    };
+
+    if (question.questionType === 'codeSolve') {
+        question.programmingLanguage = raw.programmingLanguage || 'javascript';
+        question.starterCode = raw.starterCode || '';
+        question.solutionCode = raw.solutionCode || '';
+        question.testCases = (raw.testCases || []).map(testCase => ({
+            input: String(testCase.input ?? ''),
+            expectedOutput: String(testCase.expectedOutput ?? ''),
+            isHidden: Boolean(testCase.isHidden)
+        }));
+    }
+
+    return question;
+};
+
+const isIndexOf = (value, list) => Number.isInteger(value) && value >= 0 && value < list.length;
+
+/**
+ * Check a normalised question against the rules the quiz editor enforces
+ * @returns {string[]} error messages (empty if the question can be saved)
+ */
+const validateQuestion = (question) => {
+    const errors = [];
+
+    if (!question.questionText) {
+        errors.push('Question text is required');
+    }
+    if (!QUESTION_TYPES.includes(question.questionType)) {
+        errors.push('Unsupported question type');
+        return errors;
+    }
+    if (!Number.isFinite(question.marks) || question.marks <= 0) {
+        errors.push('Marks must be a positive number');
+    }
+    if (!DIFFICULTIES.includes(question.difficulty)) {
+        errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+
+    const { questionType, options } = question;
+
+    if (questionType === 'singleAnswer' || questionType === 'multipleChoice') {
+        if (options.length < 2 || options.some(option => !option)) {
+            errors.push('At least two non-empty options are required');
+        }
+        if (questionType === 'singleAnswer' && !isIndexOf(question.correctAnswer, options)) {
+            errors.push('The correct option is missing');
+        }
+        if (questionType === 'multipleChoice' &&
+            (question.correctAnswers.length === 0 || !question.correctAnswers.every(index => isIndexOf(index, options)))) {
+            errors.push('At least one correct option is required');
+        }
+    } else if (questionType === 'matchTheFollowing') {
+        if (options.length < 2) {
+            errors.push('At least two pairs are required');
+        }
+        if (question.answers.length !== options.length || [...options, ...question.answers].some(item => !item)) {
+            errors.push('Every item needs a non-empty match');
+        }
+    } else if (questionType === 'shortAnswer') {
+        if (question.keywords.length === 0) {
+            errors.push('At least one keyword is required');
+        }
+    } else if (questionType === 'codeSolve') {
+        if (!CODE_LANGUAGES.includes(question.programmingLanguage)) {
+            errors.push(`Programming language must be one of: ${CODE_LANGUAGES.join(', ')}`);
+        }
+        if (question.testCases.length === 0) {
+            errors.push('At least one test case is required');
+        } else if (question.testCases.some(testCase => !testCase.expectedOutput.trim())) {
+            errors.push('All test cases must have expected output');
+        }
+    }
+
+    const scoringError = validateScoringRules(question);
+    if (scoringError) {
+        errors.push(scoringError);
+    }
+
+    return errors;
+};
+
+/**
+ * Parse an import file and build its validation report
+ * @param {string} formatName - gift, moodleXml, csv or json
+ * @param {string} content - file contents
+ * @returns {{ questions: Array, report: Array, summary: Object }} questions holds the valid questions only
+ */
+const importQuestions = (formatName, content) => {
+    const format = getFormat(formatName);
+    if (!format) {
+        throw new Error(`Unknown import format "${formatName}". Available: ${Object.keys(formats).join(', ')}`);
+    }
+
+    const entries = format.parse(String(content || ''));
+    const questions = [];
+    const report = entries.map((entry, index) => {
+        const question = entry.question ? normalizeQuestion(entry.question) : null;
+        const errors = [...(entry.errors || []), ...(question ? validateQuestion(question) : [])];
+        if (question && errors.length === 0) {
+            questions.push(question);
+        }
+        return {
+            index: index + 1,
+            questionText: question ? question.questionText : (entry.source || ''),
+            questionType: question ? question.questionType : null,
+            valid: Boolean(question) && errors.length === 0,
+            errors,
+            warnings: entry.warnings || []
+        };
+    });
+
+    return {
+        questions,
+        report,
+        summary: {
+            total: report.length,
+            valid: questions.length,
+            invalid: report.length - questions.length,
+            warnings: report.reduce((sum, item) => sum + item.warnings.length, 0)
+        }
+    };
+};
+
+/**
+ * Write questions in an export format
+ * @param {string} formatName - gift, moodleXml, csv or json
+ * @param {Array} sections - [{ path: string[], questions }], one per quiz or bank
+ * @returns {{ content: string, extension: string, mimeType: string }}
+ */
+const exportQuestions = (formatName, sections) => {
+    const format = getFormat(formatName);
+    if (!format) {
+        throw new Error(`Unknown export format "${formatName}". Available: ${Object.keys(formats).join(', ')}`);
+    }
+
+    const plainSections = sections.map(section => ({
+        ...section,
+        questions: section.questions.map(question => (question.toObject ? question.toObject() : question))
+    }));
+
+    return {
+        content: format.serialize(plainSections),
+        extension: format.extension,
+        mimeType: format.mimeType
+    };
+};
+
+module.exports = {
+    getFormat,
+    listFormats,
+    normalizeQuestion,
+    validateQuestion,
+    importQuestions,
+    exportQuestions
+};
@@ -0,0 +1,88 @@
+// JSON format: questions exactly as stored in the Quiz question schema
+// (documented in QUIZ_IMPORT_EXPORT.md). Course exports group them per quiz.
+
+const name = 'json';
+const label = 'JSON';
+const extension = 'json';
+const mimeType = 'application/json; charset=utf-8';
+
+const FORMAT_ID = 'quiz-questions';
+const VERSION = 1;
+
+// Schema fields written on export; ids and timestamps are left out
+const QUESTION_FIELDS = [
+    'questionText', 'questionType', 'options', 'answers', 'correctAnswers', 'correctAnswer', 'keywords',
+    'programmingLanguage', 'starterCode', 'solutionCode', 'testCases', 'marks', 'required', 'topic', 'difficulty',
+    'partialCredit', 'negativeMarks', 'hiddenTestWeight'
+];
+
+const toEntry = (question) => (
+    question && typeof question === 'object'
+        ? { question, errors: [], warnings: [] }
+        : { question: null, source: '', errors: ['Each question must be an object'], warnings: [] }
+);
+
+/**
+ * Parse a JSON export: { questions }, a course export { quizzes: [{ questions }] } or a bare array
+ * @returns {Array} entries { question, errors, warnings }
+ */
+const parse = (content) => {
+    let document;
+    try {
+        document = JSON.parse(content);
+    } catch (error) {
+        return [{ question: null, source: '', errors: [`Not valid JSON: ${error.message}`], warnings: [] }];
+    }
+
+    if (Array.isArray(document)) {
+        return document.map(toEntry);
+    }
+    if (document && Array.isArray(document.questions)) {
+        return document.questions.map(toEntry);
+    }
+    if (document && Array.isArray(document.quizzes)) {
+        return document.quizzes.flatMap(quiz => (quiz.questions || []).map(toEntry));
+    }
+
+    return [{ question: null, source: '', errors: ['Expected a "questions" array'], warnings: [] }];
+};
+
+const pickFields = (question) => {
+    const picked = {};
+    for (const field of QUESTION_FIELDS) {
+        if (question[field] !== undefined) picked[field] = question[field];
+    }
+    if (picked.testCases) {
+        picked.testCases = picked.testCases.map(({ input, expectedOutput, isHidden }) => ({ input, expectedOutput, isHidden }));
+    }
+    return picked;
+};
+
+/**
+ * Write sections of questions as JSON
+ * A single section is written as { questions }, several as { quizzes: [{ path, questions }] }.
+ * @param {Array} sections - [{ path: string[], questions }]
+ */
+const serialize = (sections) => {
+    const document = sections.length === 1
+        ? { format: FORMAT_ID, version: VERSION, questions: sections[0].questions.map(pickFields) }
+        : {
+            format: FORMAT_ID,
+            version: VERSION,
+            quizzes: sections.map(section => ({
+                path: section.path || [],
+                questions: section.questions.map(pickFields)
+            }))
+        };
+
+    return `${JSON.stringify(document, null, 2)}\n`;
+};
+
+module.exports = {
+    name,
+    label,
+    extension,
+    mimeType,
+    parse,
+    serialize
+};
@@ -0,0 +1,377 @@
+// Moodle XML format
+// Supports multichoice, truefalse, shortanswer, essay, matching and CodeRunner
+// (type="coderunner") questions. Topic and difficulty travel as question tags
+// ("topic:Loops", "difficulty:hard", "required:false"); marks are the question's default grade.
+const { XMLParser } = require('fast-xml-parser');
+
+const name = 'moodleXml';
+const label = 'Moodle XML';
+const extension = 'xml';
+const mimeType = 'application/xml; charset=utf-8';
+
+// CodeRunner question types for our languages
+const CODERUNNER_TYPES = {
+    python: 'python3',
+    javascript: 'nodejs',
+    java: 'java_program',
+    cpp: 'cpp_program',
+    c: 'c_program',
+    go: 'go_program'
+};
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    trimValues: false,
+    isArray: (tagName) => ['question', 'answer', 'subquestion', 'testcase', 'tag'].includes(tagName)
+});
+
+const decodeEntities = (text) => text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const htmlToText = (html) => decodeEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ''));
+
+/**
+ * Text content of an element with a <text> child (questiontext, answer, name, ...)
+ */
+const readText = (node) => {
+    if (node === undefined || node === null) return '';
+    if (typeof node !== 'object') return String(node);
+    const text = node.text !== undefined ? node.text : node['#text'];
+    if (text === undefined || text === null) return '';
+    if (typeof text === 'object') return String(text['#text'] ?? '');
+    return String(text);
+};
+
+const readFormattedText = (node) => {
+    const text = readText(node);
+    return node && node['@_format'] === 'html' ? htmlToText(text).trim() : text.trim();
+};
+
+const readNumber = (value, fallback) => {
+    const text = readText(value).trim();
+    if (!text) return fallback;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+const readFraction = (answer) => Number(answer['@_fraction'] || 0);
+
+const readTags = (node) => {
+    const tags = {};
+    for (const tag of (node.tags && node.tags.tag) || []) {
+        const [key, ...rest] = readText(tag).split(':');
+        if (rest.length > 0) tags[key.trim()] = rest.join(':').trim();
+    }
+    return tags;
+};
+
+/**
+ * Question (in Quiz schema shape) for one <question> element
+ */
+const parseQuestion = (node, topic, warnings) => {
+    const type = node['@_type'];
+    const marks = readNumber(node.defaultgrade, 1);
+    const answers = node.answer || [];
+    const tags = readTags(node);
+    const question = {
+        questionText: readFormattedText(node.questiontext),
+        marks,
+        topic: tags.topic !== undefined ? tags.topic : topic,
+        difficulty: tags.difficulty || 'medium',
+        required: tags.required !== 'false'
+    };
+
+    switch (type) {
+        case 'multichoice': {
+            const options = answers.map(answer => readFormattedText(answer));
+            const single = readText(node.single).trim() !== 'false' && readText(node.single).trim() !== '0';
+            if (single) {
+                if (!answers.some(answer => readFraction(answer) > 0)) {
+                    throw new Error('No correct option found');
+                }
+                const best = answers.reduce((bestIndex, answer, index) => (
+                    readFraction(answer) > readFraction(answers[bestIndex]) ? index : bestIndex
+                ), 0);
+                if (answers.some((answer, index) => index !== best && readFraction(answer) > 0)) {
+                    warnings.push('Options with partial marks were imported as wrong options');
+                }
+                const penalty = Math.max(0, ...answers.map(answer => -readFraction(answer)));
+                return {
+                    ...question,
+                    questionType: 'singleAnswer',
+                    options,
+                    correctAnswer: best,
+                    negativeMarks: Math.round(marks * penalty) / 100
+                };
+            }
+            const positive = answers.filter(answer => readFraction(answer) > 0);
+            if (new Set(positive.map(readFraction)).size > 1) {
+                warnings.push('Unequal option weights were replaced by equal partial credit per correct option');
+            }
+            // Moodle always gives partial credit on multiple-answer questions
+            return {
+                ...question,
+                questionType: 'multipleChoice',
+                options,
+                correctAnswers: answers.map((answer, index) => (readFraction(answer) > 0 ? index : -1)).filter(index => index >= 0),
+                partialCredit: true
+            };
+        }
+        case 'truefalse': {
+            const trueAnswer = answers.find(answer => readText(answer).trim().toLowerCase() === 'true');
+            return {
+                ...question,
+                questionType: 'singleAnswer',
+                options: ['True', 'False'],
+                correctAnswer: trueAnswer && readFraction(trueAnswer) > 0 ? 0 : 1
+            };
+        }
+        case 'shortanswer':
+            warnings.push('Accepted answers were imported as keywords; an answer needs at least half of them for the provisional score');
+            return {
+                ...question,
+                questionType: 'shortAnswer',
+                keywords: answers.filter(answer => readFraction(answer) > 0).map(answer => readText(answer).trim())
+            };
+        case 'essay':
+            return { ...question, questionType: 'longAnswer' };
+        case 'matching': {
+            const pairs = (node.subquestion || []).map(subquestion => ({
+                left: readFormattedText(subquestion),
+                right: readText(subquestion.answer && subquestion.answer[0]).trim()
+            }));
+            if (pairs.some(pair => !pair.left)) {
+                warnings.push('Extra right-hand items without a left-hand item were skipped');
+            }
+            const matched = pairs.filter(pair => pair.left);
+            // Moodle gives credit per correct pair
+            return {
+                ...question,
+                questionType: 'matchTheFollowing',
+                options: matched.map(pair => pair.left),
+                answers: matched.map(pair => pair.right),
+                partialCredit: true
+            };
+        }
+        case 'coderunner': {
+            const coderunnerType = readText(node.coderunnertype).trim();
+            const language = Object.keys(CODERUNNER_TYPES).find(key => CODERUNNER_TYPES[key] === coderunnerType);
+            if (!language) {
+                throw new Error(`CodeRunner type "${coderunnerType}" has no matching language`);
+            }
+            const testCaseNodes = (node.testcases && node.testcases.testcase) || [];
+            const testCases = testCaseNodes.map(testCase => ({
+                input: readText(testCase.stdin),
+                expectedOutput: readText(testCase.expected),
+                isHidden: readText(testCase.display).trim().toUpperCase() === 'HIDE',
+                mark: Number(testCase['@_mark'] || 1)
+            }));
+            if (testCaseNodes.some(testCase => readText(testCase.testcode).trim())) {
+                warnings.push('Test code is not supported; only stdin and expected output were imported');
+            }
+            const visibleMark = testCases.find(testCase => !testCase.isHidden)?.mark;
+            const hiddenMark = testCases.find(testCase => testCase.isHidden)?.mark;
+            return {
+                ...question,
+                questionType: 'codeSolve',
+                programmingLanguage: language,
+                starterCode: readText(node.answerpreload),
+                solutionCode: readText(node.answer && node.answer[0]),
+                testCases: testCases.map(({ input, expectedOutput, isHidden }) => ({ input, expectedOutput, isHidden })),
+                partialCredit: readText(node.allornothing).trim() === '0',
+                hiddenTestWeight: visibleMark && hiddenMark ? hiddenMark / visibleMark : 1
+            };
+        }
+        default:
+            throw new Error(`Moodle question type "${type}" is not supported`);
+    }
+};
+
+/**
+ * Parse a Moodle XML file
+ * @returns {Array} entries { question, errors, warnings }
+ */
+const parse = (content) => {
+    let document;
+    try {
+        document = parser.parse(content);
+    } catch (error) {
+        return [{ question: null, source: '', errors: [`Not a valid XML file: ${error.message}`], warnings: [] }];
+    }
+
+    const nodes = (document.quiz && document.quiz.question) || [];
+    if (nodes.length === 0) {
+        return [{ question: null, source: '', errors: ['No <quiz> element with questions found'], warnings: [] }];
+    }
+
+    const entries = [];
+    let topic = '';
+
+    for (const node of nodes) {
+        const type = node['@_type'];
+        if (type === 'category') {
+            const path = readText(node.category).split('/').filter(Boolean);
+            topic = path.length > 0 && !path[path.length - 1].startsWith('$') ? path[path.length - 1].trim() : '';
+            continue;
+        }
+        const warnings = [];
+        try {
+            entries.push({ question: parseQuestion(node, topic, warnings), errors: [], warnings });
+        } catch (error) {
+            entries.push({ question: null, source: readText(node.name).trim(), errors: [error.message], warnings });
+        }
+    }
+
+    return entries;
+};
+
+const escapeXml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const cdata = (text) => `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const textElement = (tag, text, attributes = '') => `<${tag}${attributes}><text>${cdata(text)}</text></${tag}>`;
+
+const formatFraction = (fraction) => String(Number(fraction.toFixed(5)));
+
+const serializeBody = (question) => {
+    const options = question.options || [];
+
+    switch (question.questionType) {
+        case 'singleAnswer': {
+            const penalty = question.negativeMarks > 0 ? -question.negativeMarks / question.marks * 100 : 0;
+            return [
+                'multichoice',
+                [
+                    '<single>true</single>',
+                    '<shuffleanswers>0</shuffleanswers>',
+                    ...options.map((option, index) => textElement(
+                        'answer',
+                        option,
+                        ` fraction="${index === Number(question.correctAnswer) ? 100 : formatFraction(penalty)}" format="plain_text"`
+                    ))
+                ]
+            ];
+        }
+        case 'multipleChoice': {
+            const correct = (question.correctAnswers || []).map(Number);
+            const share = 100 / Math.max(correct.length, 1);
+            return [
+                'multichoice',
+                [
+                    '<single>false</single>',
+                    '<shuffleanswers>0</shuffleanswers>',
+                    ...options.map((option, index) => textElement(
+                        'answer',
+                        option,
+                        ` fraction="${formatFraction(correct.includes(index) ? share : -(question.partialCredit ? share : 100))}" format="plain_text"`
+                    ))
+                ]
+            ];
+        }
+        case 'matchTheFollowing':
+            return [
+                'matching',
+                [
+                    '<shuffleanswers>1</shuffleanswers>',
+                    ...options.map((option, index) => (
+                        `<subquestion format="plain_text"><text>${cdata(option)}</text>${textElement('answer', (question.answers || [])[index])}</subquestion>`
+                    ))
+                ]
+            ];
+        case 'shortAnswer':
+            return [
+                'shortanswer',
+                [
+                    '<usecase>0</usecase>',
+                    ...(question.keywords || []).map(keyword => textElement('answer', keyword, ' fraction="100" format="plain_text"'))
+                ]
+            ];
+        case 'codeSolve': {
+            const hiddenMark = question.hiddenTestWeight ?? 1;
+            return [
+                'coderunner',
+                [
+                    `<coderunnertype>${escapeXml(CODERUNNER_TYPES[question.programmingLanguage] || question.programmingLanguage)}</coderunnertype>`,
+                    `<allornothing>${question.partialCredit ? 0 : 1}</allornothing>`,
+                    `<answer>${cdata(question.solutionCode)}</answer>`,
+                    `<answerpreload>${cdata(question.starterCode)}</answerpreload>`,
+                    '<testcases>',
+                    ...(question.testCases || []).map(testCase => [
+                        `<testcase testtype="0" useasexample="0" hiderestiffail="0" mark="${formatFraction(testCase.isHidden ? hiddenMark : 1)}">`,
+                        textElement('testcode', ''),
+                        textElement('stdin', testCase.input),
+                        textElement('expected', testCase.expectedOutput),
+                        textElement('extra', ''),
+                        textElement('display', testCase.isHidden ? 'HIDE' : 'SHOW'),
+                        '</testcase>'
+                    ].join('')),
+                    '</testcases>'
+                ]
+            ];
+        }
+        default:
+            return ['essay', ['<responseformat>editor</responseformat>', '<responserequired>1</responserequired>']];
+    }
+};
+
+const serializeQuestion = (question, index) => {
+    const [type, body] = serializeBody(question);
+    const tags = [
+        question.topic ? `topic:${question.topic}` : null,
+        question.difficulty ? `difficulty:${question.difficulty}` : null,
+        question.required === false ? 'required:false' : null
+    ].filter(Boolean);
+
+    return [
+        `  <question type="${type}">`,
+        `    ${textElement('name', `Q${index + 1} ${question.questionText.slice(0, 60)}`)}`,
+        `    ${textElement('questiontext', question.questionText, ' format="plain_text"')}`,
+        `    <defaultgrade>${question.marks}</defaultgrade>`,
+        '    <penalty>0</penalty>',
+        ...body.map(line => `    ${line}`),
+        tags.length > 0 ? `    <tags>${tags.map(tag => textElement('tag', tag)).join('')}</tags>` : null,
+        '  </question>'
+    ].filter(line => line !== null).join('\n');
+};
+
+/**
+ * Write sections of questions as Moodle XML
+ * @param {Array} sections - [{ path: string[], questions }]
+ */
+const serialize = (sections) => {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+
+    for (const section of sections) {
+        if (section.path && section.path.length > 0) {
+            const category = `$course$/${section.path.map(part => String(part).replace(/\//g, '-')).join('/')}`;
+            lines.push(`  <question type="category">\n    <category><text>${escapeXml(category)}</text></category>\n  </question>`);
+        }
+        section.questions.forEach((question, index) => lines.push(serializeQuestion(question, index)));
+    }
+
+    lines.push('</quiz>', '');
+    return lines.join('\n');
+};
+
+module.exports = {
+    name,
+    label,
+    extension,
+    mimeType,
+    parse,
+    serialize
+};
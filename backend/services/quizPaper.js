@@ -0,0 +1,323 @@
+// Per-attempt question papers
+// When an attempt starts, the questions the student gets are fixed: the quiz's own
+// questions plus the questions drawn from question banks, in shuffled order and with
+// shuffled options if the quiz asks for it. The paper is stored on the attempt so that
+// resuming, scoring and reviews all see exactly what the student saw.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QuestionBank = require('../models/questionBank');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_QUIZ_QUESTIONS = 25;
+
+/**
+ * Fisher-Yates shuffle into a new array
+ */
+const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+const isIdentity = (order) => order.every((value, index) => value === index);
+
+/**
+ * Random order of 0..length-1 that differs from the original order (when possible)
+ */
+const differentOrder = (length) => {
+    const indices = [...Array(length).keys()];
+    if (length < 2) return indices;
+    let order;
+    do {
+        order = shuffle(indices);
+    } while (isIdentity(order));
+    return order;
+};
+
+/**
+ * Copy of a question with its options reordered
+ * Answer keys are remapped so the copy is scored exactly like the original.
+ * @returns {{ question: Object, optionOrder: number[], answerOrder: number[] }}
+ */
+const permuteOptions = (question) => {
+    const options = question.options || [];
+
+    if ((question.questionType === 'singleAnswer' || question.questionType === 'multipleChoice') && options.length > 1) {
+        // optionOrder[shownIndex] = original index
+        const optionOrder = differentOrder(options.length);
+        const shownIndex = (originalIndex) => optionOrder.indexOf(Number(originalIndex));
+
+        return {
+            question: {
+                ...question,
+                options: optionOrder.map(index => options[index]),
+                correctAnswer: question.correctAnswer === null || question.correctAnswer === undefined
+                    ? question.correctAnswer
+                    : shownIndex(question.correctAnswer),
+                correctAnswers: (question.correctAnswers || []).map(shownIndex)
+            },
+            optionOrder,
+            answerOrder: []
+        };
+    }
+
+    if (question.questionType === 'matchTheFollowing' && options.length > 1) {
+        // Pairs move together, so left item i still matches right item i
+        const optionOrder = differentOrder(options.length);
+        const answers = question.answers || [];
+
+        return {
+            question: {
+                ...question,
+                options: optionOrder.map(index => options[index]),
+                answers: optionOrder.map(index => answers[index])
+            },
+            optionOrder,
+            // The right-hand column is shown in its own order
+            answerOrder: differentOrder(options.length)
+        };
+    }
+
+    return { question, optionOrder: [], answerOrder: [] };
+};
+
+/**
+ * Display order of the right-hand column of a match question
+ * The column is always shuffled, since in stored order every left item sits next to its answer.
+ */
+const getMatchAnswerOrder = (question) => (
+    question.questionType === 'matchTheFollowing' ? differentOrder((question.answers || []).length) : []
+);
+
+/**
+ * Questions of a bank that match a draw rule
+ */
+const getRulePool = (bank, rule) => bank.questions.filter(question =>
+    (!rule.difficulty || question.difficulty === rule.difficulty) &&
+    (!rule.topic || question.topic === rule.topic)
+);
+
+/**
+ * Build the question paper for a new attempt
+ * @param {Object} quiz - Quiz document
+ * @returns {Promise<Array>} paper entries { question, bank, questionData, optionOrder, answerOrder }
+ */
+const buildQuizPaper = async (quiz) => {
+    const entries = quiz.questions.map(question => ({
+        question: question._id,
+        bank: null,
+        questionData: question.toObject()
+    }));
+
+    const drawRules = quiz.drawRules || [];
+    if (drawRules.length > 0) {
+        const banks = await QuestionBank.find({ _id: { $in: drawRules.map(rule => rule.bank) } });
+        const drawn = new Set();
+
+        for (const rule of drawRules) {
+            const bank = banks.find(item => item._id.toString() === rule.bank.toString());
+            if (!bank) {
+                console.warn(`Question bank ${rule.bank} of quiz ${quiz._id} no longer exists`);
+                continue;
+            }
+
+            // A question matching several rules is only drawn once
+            const pool = getRulePool(bank, rule).filter(question => !drawn.has(question._id.toString()));
+            if (pool.length < rule.count) {
+                console.warn(`Question bank ${bank._id} has ${pool.length} questions left for a rule of ${rule.count} in quiz ${quiz._id}`);
+            }
+
+            for (const question of shuffle(pool).slice(0, rule.count)) {
+                drawn.add(question._id.toString());
+                entries.push({ question: question._id, bank: bank._id, questionData: question.toObject() });
+            }
+        }
+    }
+
+    const ordered = quiz.shuffleQuestions ? shuffle(entries) : entries;
+
+    return ordered.map(entry => {
+        if (!quiz.shuffleOptions) {
+            return { ...entry, optionOrder: [], answerOrder: getMatchAnswerOrder(entry.questionData) };
+        }
+        const { question, optionOrder, answerOrder } = permuteOptions(entry.questionData);
+        return { ...entry, questionData: question, optionOrder, answerOrder };
+    });
+};
+
+/**
+ * Questions an attempt is scored against
+ * Attempts made before papers existed fall back to the quiz's current questions.
+ */
+const getPaperQuestions = (attempt, quiz) => (
+    attempt.paper && attempt.paper.length > 0
+        ? attempt.paper.map(entry => entry.questionData)
+        : quiz.questions
+);
+
+/**
+ * Paper question as sent to the student: answer keys, solutions and hidden tests removed
+ * The right-hand column of match questions is sent in its shown order only, so the
+ * student's pairs are indexes into that order (see toPaperAnswers).
+ */
+const toStudentQuestion = (entry) => {
+    const question = entry.questionData;
+    const answerOrder = entry.answerOrder || [];
+    return {
+        _id: question._id,
+        questionText: question.questionText,
+        questionType: question.questionType,
+        options: question.options,
+        answers: answerOrder.length > 0 ? answerOrder.map(index => question.answers[index]) : question.answers,
+        programmingLanguage: question.programmingLanguage,
+        starterCode: question.starterCode,
+        testCases: (question.testCases || []).filter(testCase => !testCase.isHidden),
+        marks: question.marks,
+        required: question.required,
+        // Scoring rules are shown so students know when a wrong answer costs marks
+        partialCredit: Boolean(question.partialCredit),
+        negativeMarks: question.negativeMarks || 0
+    };
+};
+
+/**
+ * Quiz as shown to a student before an attempt: the quiz's own questions without answer keys
+ * Questions drawn from banks are only known once an attempt has its paper.
+ */
+const toStudentQuiz = (quiz) => ({
+    ...quiz.toObject(),
+    questions: quiz.questions.map(question => {
+        const questionData = question.toObject();
+        return toStudentQuestion({ questionData, answerOrder: getMatchAnswerOrder(questionData) });
+    })
+});
+
+/**
+ * Answers with match pairs turned from the shown order of the right-hand column back into
+ * the stored order, in which left item i matches right item i. Scoring, reviews and
+ * analytics all use the stored order.
+ * @param {Array} paper - the attempt's paper entries
+ * @param {Object} answers - answers as the student sent them
+ */
+const toPaperAnswers = (paper = [], answers = {}) => {
+    const converted = { ...answers };
+    for (const entry of paper) {
+        const answerOrder = entry.answerOrder || [];
+        if (entry.questionData.questionType !== 'matchTheFollowing' || answerOrder.length === 0) continue;
+
+        const questionId = entry.questionData._id.toString();
+        (entry.questionData.options || []).forEach((_, index) => {
+            const key = `${questionId}_${index}`;
+            const shown = answers[key];
+            if (shown === undefined || shown === null || shown === '') return;
+            converted[key] = answerOrder[parseInt(shown)] ?? null;
+        });
+    }
+    return converted;
+};
+
+/**
+ * Validate the draw rule and shuffle settings of a create/update request
+ * @returns {{ settings: Object, error: string|null }} only the fields present in the body
+ */
+const parseQuizPaperSettings = (body) => {
+    const settings = {};
+    const { drawRules, shuffleQuestions, shuffleOptions } = body;
+
+    if (drawRules !== undefined) {
+        if (!Array.isArray(drawRules)) {
+            return { settings, error: 'drawRules must be an array' };
+        }
+
+        settings.drawRules = [];
+        for (const rule of drawRules) {
+            if (!rule || !rule.bank || !mongoose.Types.ObjectId.isValid(rule.bank)) {
+                return { settings, error: 'Every draw rule needs a question bank' };
+            }
+            if (!Number.isInteger(rule.count) || rule.count < 1) {
+                return { settings, error: 'Draw rule count must be a whole number of at least 1' };
+            }
+            if (rule.difficulty && !DIFFICULTIES.includes(rule.difficulty)) {
+                return { settings, error: `Draw rule difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+            }
+            settings.drawRules.push({
+                bank: rule.bank,
+                count: rule.count,
+                difficulty: rule.difficulty || null,
+                topic: rule.topic ? String(rule.topic).trim() || null : null
+            });
+        }
+    }
+
+    for (const [key, value] of Object.entries({ shuffleQuestions, shuffleOptions })) {
+        if (value === undefined) continue;
+        if (typeof value !== 'boolean') {
+            return { settings, error: `${key} must be true or false` };
+        }
+        settings[key] = value;
+    }
+
+    return { settings, error: null };
+};
+
+/**
+ * Number of questions drawn from banks per attempt
+ */
+const countDrawnQuestions = (drawRules = []) => drawRules.reduce((sum, rule) => sum + rule.count, 0);
+
+/**
+ * Instructors manage their own banks, admins manage every bank
+ */
+const canManageBank = (user, bank) =>
+    user.accountType === 'Admin' || bank.createdBy.toString() === user.id;
+
+/**
+ * Check that every draw rule's bank exists, may be used by the user and has enough
+ * matching questions
+ * Drawn questions end up in attempt reviews, so only banks the user manages can be drawn from.
+ * @param {Array} drawRules
+ * @param {Object} user - { id, accountType }
+ * @returns {Promise<Object|null>} { status, message }, or null if all rules can be satisfied
+ */
+const checkDrawRulePools = async (drawRules = [], user) => {
+    if (drawRules.length === 0) return null;
+
+    const bankIds = [...new Set(drawRules.map(rule => rule.bank.toString()))];
+    const banks = await QuestionBank.find({ _id: { $in: bankIds } }).select('title questions createdBy');
+
+    for (const rule of drawRules) {
+        const bank = banks.find(item => item._id.toString() === rule.bank.toString());
+        if (!bank) {
+            return { status: 400, message: `Question bank ${rule.bank} not found` };
+        }
+        if (!canManageBank(user, bank)) {
+            return { status: 403, message: 'You can only draw questions from your own question banks' };
+        }
+        const available = getRulePool(bank, rule).length;
+        if (available < rule.count) {
+            const filters = [rule.difficulty, rule.topic].filter(Boolean).join(', ');
+            return {
+                status: 400,
+                message: `Question bank "${bank.title}" has only ${available} question(s)${filters ? ` matching ${filters}` : ''}, but ${rule.count} are drawn`
+            };
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    MAX_QUIZ_QUESTIONS,
+    buildQuizPaper,
+    getPaperQuestions,
+    toStudentQuestion,
+    toStudentQuiz,
+    toPaperAnswers,
+    parseQuizPaperSettings,
+    countDrawnQuestions,
+    canManageBank,
+    checkDrawRulePools
+};
@@ -0,0 +1,185 @@
+// Per-quiz attempt and scoring policy
+// Quizzes created before these settings existed fall back to the defaults,
+// which reproduce the original behaviour (60% to pass, no retakes after passing).
+const QuizAttempt = require('../models/quizAttempt');
+const CourseProgress = require('../models/courseProgress');
+
+const SCORING_MODES = ['best', 'latest', 'average'];
+
+const QUIZ_POLICY_DEFAULTS = {
+    passingPercentage: 60,
+    maxAttempts: 0, // 0 = unlimited
+    cooldownMinutes: 0,
+    allowRetakeAfterPass: false,
+    scoringMode: 'latest'
+};
+
+const POLICY_LIMITS = {
+    MAX_ATTEMPTS: 100,
+    MAX_COOLDOWN_MINUTES: 30 * 24 * 60 // 30 days
+};
+
+/**
+ * Effective policy of a quiz, with defaults for unset fields
+ */
+const getQuizPolicy = (quiz) => ({
+    passingPercentage: quiz?.passingPercentage ?? QUIZ_POLICY_DEFAULTS.passingPercentage,
+    maxAttempts: quiz?.maxAttempts ?? QUIZ_POLICY_DEFAULTS.maxAttempts,
+    cooldownMinutes: quiz?.cooldownMinutes ?? QUIZ_POLICY_DEFAULTS.cooldownMinutes,
+    allowRetakeAfterPass: quiz?.allowRetakeAfterPass ?? QUIZ_POLICY_DEFAULTS.allowRetakeAfterPass,
+    scoringMode: quiz?.scoringMode ?? QUIZ_POLICY_DEFAULTS.scoringMode
+});
+
+/**
+ * Validate the policy fields of a create/update request
+ * @returns {{ policy: Object, error: string|null }} only the fields present in the body
+ */
+const parseQuizPolicy = (body) => {
+    const policy = {};
+    const { passingPercentage, maxAttempts, cooldownMinutes, allowRetakeAfterPass, scoringMode } = body;
+
+    if (passingPercentage !== undefined) {
+        if (typeof passingPercentage !== 'number' || passingPercentage < 0 || passingPercentage > 100) {
+            return { policy, error: 'Passing percentage must be a number between 0 and 100' };
+        }
+        policy.passingPercentage = passingPercentage;
+    }
+
+    if (maxAttempts !== undefined) {
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 0 || maxAttempts > POLICY_LIMITS.MAX_ATTEMPTS) {
+            return { policy, error: `Max attempts must be a whole number between 0 (unlimited) and ${POLICY_LIMITS.MAX_ATTEMPTS}` };
+        }
+        policy.maxAttempts = maxAttempts;
+    }
+
+    if (cooldownMinutes !== undefined) {
+        if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > POLICY_LIMITS.MAX_COOLDOWN_MINUTES) {
+            return { policy, error: `Cooldown must be a whole number of minutes between 0 and ${POLICY_LIMITS.MAX_COOLDOWN_MINUTES}` };
+        }
+        policy.cooldownMinutes = cooldownMinutes;
+    }
+
+    if (allowRetakeAfterPass !== undefined) {
+        if (typeof allowRetakeAfterPass !== 'boolean') {
+            return { policy, error: 'allowRetakeAfterPass must be true or false' };
+        }
+        policy.allowRetakeAfterPass = allowRetakeAfterPass;
+    }
+
+    if (scoringMode !== undefined) {
+        if (!SCORING_MODES.includes(scoringMode)) {
+            return { policy, error: `Scoring mode must be one of: ${SCORING_MODES.join(', ')}` };
+        }
+        policy.scoringMode = scoringMode;
+    }
+
+    return { policy, error: null };
+};
+
+/**
+ * Collect what the policy checks need to know about a student's previous attempts
+ */
+const getAttemptState = async (userId, quiz) => {
+    const [attemptsCount, lastAttempt, courseProgress] = await Promise.all([
+        // Attempts whose grading failed on our side do not count against the student
+        QuizAttempt.countDocuments({ user: userId, quiz: quiz._id, status: { $ne: 'failed' } }),
+        QuizAttempt.findOne({ user: userId, quiz: quiz._id, status: { $nin: ['failed', 'in_progress'] } })
+            .sort({ submittedAt: -1 })
+            .select('submittedAt'),
+        CourseProgress.findOne({
+            userId,
+            $or: [{ 'quizResults.quiz': quiz._id }, { passedQuizzes: quiz.subSection }]
+        })
+    ]);
+
+    const quizResult = courseProgress?.quizResults?.find(
+        result => result.quiz.toString() === quiz._id.toString()
+    ) || null;
+
+    const passed = Boolean(quizResult?.passed) || Boolean(courseProgress?.passedQuizzes?.some(
+        id => id.toString() === quiz.subSection.toString()
+    ));
+
+    return {
+        // Results recorded before attempts were stored individually still count
+        attemptsUsed: Math.max(attemptsCount, quizResult?.attempts || 0),
+        lastAttemptAt: lastAttempt?.submittedAt || quizResult?.completedAt || null,
+        passed,
+        quizResult
+    };
+};
+
+/**
+ * Decide whether a student may start another attempt
+ * @returns {{ canAttempt: boolean, reason: string|null, code: string|null, attemptsRemaining: number|null, nextAttemptAt: Date|null }}
+ */
+const checkAttemptEligibility = (policy, state, now = new Date()) => {
+    const attemptsRemaining = policy.maxAttempts > 0
+        ? Math.max(policy.maxAttempts - state.attemptsUsed, 0)
+        : null;
+
+    const result = { canAttempt: true, reason: null, code: null, attemptsRemaining, nextAttemptAt: null };
+
+    if (state.passed && !policy.allowRetakeAfterPass) {
+        return { ...result, canAttempt: false, code: 'ALREADY_PASSED', reason: 'Quiz already passed. Retakes are not allowed for passed quizzes.' };
+    }
+
+    if (attemptsRemaining === 0) {
+        return { ...result, canAttempt: false, code: 'MAX_ATTEMPTS', reason: `You have used all ${policy.maxAttempts} attempts for this quiz.` };
+    }
+
+    if (policy.cooldownMinutes > 0 && state.lastAttemptAt) {
+        const nextAttemptAt = new Date(new Date(state.lastAttemptAt).getTime() + policy.cooldownMinutes * 60 * 1000);
+        if (nextAttemptAt > now) {
+            return {
+                ...result,
+                canAttempt: false,
+                code: 'COOLDOWN',
+                reason: `You can retake this quiz after ${nextAttemptAt.toISOString()}.`,
+                nextAttemptAt
+            };
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Combine graded attempts into the result that counts for the quiz
+ * @param {Array} attempts - graded attempts in any order
+ * @returns {Object|null} { score, totalMarks, percentage, passed }
+ */
+const aggregateAttempts = (attempts, policy) => {
+    if (!attempts.length) return null;
+
+    const ordered = [...attempts].sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+    const latest = ordered[ordered.length - 1];
+    let counted;
+
+    if (policy.scoringMode === 'best') {
+        // Ties go to the later attempt
+        counted = ordered.reduce((best, attempt) => (attempt.percentage >= best.percentage ? attempt : best));
+        counted = { score: counted.score, totalMarks: counted.totalMarks, percentage: counted.percentage };
+    } else if (policy.scoringMode === 'average') {
+        const average = (key) => ordered.reduce((sum, attempt) => sum + attempt[key], 0) / ordered.length;
+        counted = {
+            score: Math.round(average('score') * 100) / 100,
+            totalMarks: latest.totalMarks,
+            percentage: average('percentage')
+        };
+    } else {
+        counted = { score: latest.score, totalMarks: latest.totalMarks, percentage: latest.percentage };
+    }
+
+    return { ...counted, passed: counted.percentage >= policy.passingPercentage };
+};
+
+module.exports = {
+    SCORING_MODES,
+    QUIZ_POLICY_DEFAULTS,
+    getQuizPolicy,
+    parseQuizPolicy,
+    getAttemptState,
+    checkAttemptEligibility,
+    aggregateAttempts
+};
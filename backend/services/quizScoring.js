@@ -0,0 +1,249 @@
+// Scoring of submitted quiz answers
+// Every question type is scored here, so the rules live in one place and can be
+// exercised without a database. Questions can opt into partial credit (multi-select,
+// match pairs, code test cases) and singleAnswer questions can take negative marks.
+// codeSolve answers are only collected on submit; the grading queue runs their test
+// cases and scores them with scoreCodeSubmission. Answered short and long answers are
+// flagged for manual review: short answers get a provisional keyword score, long
+// answers get no marks until an instructor grades them.
+
+const roundMarks = (marks) => Math.round(marks * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Copy of a question as it was answered, so attempt reviews survive later quiz edits
+ */
+const snapshotQuestion = (question) => ({
+    questionText: question.questionText,
+    questionType: question.questionType,
+    options: question.options,
+    answers: question.answers,
+    correctAnswers: question.correctAnswers,
+    correctAnswer: question.correctAnswer,
+    keywords: question.keywords,
+    programmingLanguage: question.programmingLanguage,
+    marks: question.marks,
+    partialCredit: Boolean(question.partialCredit),
+    negativeMarks: question.negativeMarks || 0
+});
+
+/**
+ * singleAnswer: full marks for the right option, minus negativeMarks for a wrong one
+ */
+const scoreSingleAnswer = (question, answer) => {
+    const isAnswered = answer !== undefined && answer !== null;
+    if (!isAnswered) {
+        return { isAnswered, isCorrect: false, marksAwarded: 0 };
+    }
+
+    const isCorrect = Number(answer) === Number(question.correctAnswer);
+    return {
+        isAnswered,
+        isCorrect,
+        marksAwarded: isCorrect ? question.marks : -(question.negativeMarks || 0)
+    };
+};
+
+/**
+ * multipleChoice: all or nothing, or with partial credit
+ * (right options picked - wrong options picked) / right options, never below zero
+ */
+const scoreMultipleChoice = (question, answer) => {
+    const isAnswered = Array.isArray(answer) && answer.length > 0;
+    const correct = [...new Set((question.correctAnswers || []).map(Number))];
+    if (!isAnswered || correct.length === 0) {
+        return { isAnswered, isCorrect: false, marksAwarded: 0 };
+    }
+
+    const selected = [...new Set(answer.map(Number))];
+    const hits = selected.filter(index => correct.includes(index)).length;
+    const misses = selected.length - hits;
+    const isCorrect = hits === correct.length && misses === 0;
+
+    if (!question.partialCredit) {
+        return { isAnswered, isCorrect, marksAwarded: isCorrect ? question.marks : 0 };
+    }
+
+    const fraction = Math.max(0, (hits - misses) / correct.length);
+    return { isAnswered, isCorrect, marksAwarded: roundMarks(question.marks * fraction) };
+};
+
+/**
+ * matchTheFollowing: all pairs right, or with partial credit a share per right pair
+ * @param {Array} pairs - the student's answer for each left item (index of the matched right item)
+ */
+const scoreMatchTheFollowing = (question, pairs) => {
+    const options = question.options || [];
+    const isAnswered = options.length > 0 && pairs.every(pair => !isBlank(pair));
+    // Left item i matches right item i
+    const correctPairs = pairs.filter((pair, index) => !isBlank(pair) && parseInt(pair) === index).length;
+    const isCorrect = isAnswered && correctPairs === options.length;
+
+    if (!question.partialCredit) {
+        return { isAnswered, isCorrect, marksAwarded: isCorrect ? question.marks : 0 };
+    }
+
+    const marksAwarded = options.length > 0 ? roundMarks(question.marks * correctPairs / options.length) : 0;
+    return { isAnswered, isCorrect, marksAwarded };
+};
+
+/**
+ * shortAnswer/longAnswer: flagged for manual review once answered
+ * Short answers get a provisional score when at least half the keywords appear.
+ */
+const scoreWrittenAnswer = (question, answer) => {
+    const isAnswered = answer !== undefined && answer !== null &&
+        (typeof answer === 'string' ? answer.trim() !== '' : true);
+    let isCorrect = false;
+
+    if (isAnswered && question.questionType === 'shortAnswer') {
+        if (!question.keywords || question.keywords.length === 0) {
+            isCorrect = true; // If no keywords defined, consider it correct
+        } else {
+            const studentAnswer = String(answer).toLowerCase();
+            const matchedKeywords = question.keywords.filter(keyword =>
+                studentAnswer.includes(keyword.toLowerCase())
+            );
+            isCorrect = matchedKeywords.length >= Math.ceil(question.keywords.length * 0.5);
+        }
+    }
+
+    return { isAnswered, isCorrect, marksAwarded: isCorrect ? question.marks : 0, needsReview: isAnswered };
+};
+
+/**
+ * Marks for an executed codeSolve submission
+ * With partial credit every passed test case earns its weight: 1 for visible cases,
+ * hiddenTestWeight for hidden ones.
+ * @param {Object} question - the codeSolve question
+ * @param {Array} testResults - results from validateCodeWithTestCases ({ passed, isHidden })
+ */
+const scoreCodeSubmission = (question, testResults = []) => {
+    const allPassed = testResults.length > 0 && testResults.every(result => result.passed);
+
+    if (question.partialCredit) {
+        const hiddenWeight = question.hiddenTestWeight ?? 1;
+        const weightOf = (result) => (result.isHidden ? hiddenWeight : 1);
+        const totalWeight = testResults.reduce((sum, result) => sum + weightOf(result), 0);
+
+        if (totalWeight > 0) {
+            const passedWeight = testResults
+                .filter(result => result.passed)
+                .reduce((sum, result) => sum + weightOf(result), 0);
+            return roundMarks(question.marks * passedWeight / totalWeight);
+        }
+    }
+
+    return allPassed ? question.marks : 0;
+};
+
+/**
+ * Check the scoring settings of a question from a create/update request
+ * @returns {string|null} error message, or null if the settings are valid
+ */
+const validateScoringRules = (question) => {
+    if (question.negativeMarks !== undefined && question.negativeMarks !== null) {
+        if (typeof question.negativeMarks !== 'number' || question.negativeMarks < 0) {
+            return 'Negative marks must be a number of at least 0';
+        }
+        if (question.negativeMarks > 0 && question.questionType !== 'singleAnswer') {
+            return 'Negative marks are only supported for single answer questions';
+        }
+        if (question.negativeMarks > (question.marks ?? 1)) {
+            return 'Negative marks cannot be more than the marks of the question';
+        }
+    }
+
+    if (question.partialCredit && !['multipleChoice', 'matchTheFollowing', 'codeSolve'].includes(question.questionType)) {
+        return 'Partial credit is only supported for multiple choice, match the following and code solving questions';
+    }
+
+    if (question.hiddenTestWeight !== undefined && question.hiddenTestWeight !== null &&
+        (typeof question.hiddenTestWeight !== 'number' || question.hiddenTestWeight < 0)) {
+        return 'Hidden test case weight must be a number of at least 0';
+    }
+
+    return null;
+};
+
+/**
+ * Score a set of answers against a quiz
+ * Negative marks can make the returned score negative; the attempt total is floored
+ * at zero when it is finalised.
+ * @param {Object} quiz - Quiz document
+ * @param {Object} answers - answers keyed by question id (match pairs as `${questionId}_${index}`)
+ * @returns {{ score: number, totalMarks: number, questionResults: Array, codeSubmissions: Array, missingRequired: number[] }}
+ */
+const scoreQuizAnswers = (quiz, answers = {}) => {
+    let score = 0;
+    let totalMarks = 0;
+    const codeSubmissions = [];
+    const questionResults = [];
+    const missingRequired = [];
+
+    for (let i = 0; i < quiz.questions.length; i++) {
+        const question = quiz.questions[i];
+        const questionId = question._id.toString();
+        let answer = answers[questionId];
+        let outcome;
+
+        totalMarks += question.marks;
+
+        if (question.questionType === 'codeSolve') {
+            const isAnswered = Boolean(answer && typeof answer.code === 'string' && answer.code.trim() !== '');
+            if (isAnswered) {
+                // Test cases are executed by the background grading worker
+                codeSubmissions.push({
+                    question: question._id,
+                    language: question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage,
+                    code: answer.code,
+                    marks: question.marks
+                });
+            }
+            outcome = { isAnswered, isCorrect: false, marksAwarded: 0 };
+        } else if (question.questionType === 'matchTheFollowing') {
+            answer = question.options.map((_, optionIndex) => answers[`${questionId}_${optionIndex}`] ?? null);
+            outcome = scoreMatchTheFollowing(question, answer);
+        } else if (question.questionType === 'multipleChoice') {
+            outcome = scoreMultipleChoice(question, answer);
+        } else if (question.questionType === 'singleAnswer') {
+            outcome = scoreSingleAnswer(question, answer);
+        } else {
+            outcome = scoreWrittenAnswer(question, answer);
+        }
+
+        // Record the outcome of this question for the attempt history
+        questionResults.push({
+            question: question._id,
+            questionSnapshot: snapshotQuestion(question),
+            answer: answer ?? null,
+            isAnswered: outcome.isAnswered,
+            isCorrect: outcome.isCorrect,
+            marksAwarded: outcome.marksAwarded,
+            maxMarks: question.marks,
+            needsReview: Boolean(outcome.needsReview)
+        });
+
+        // Track unanswered required questions
+        if (question.required && !outcome.isAnswered) {
+            missingRequired.push(i + 1);
+        }
+
+        score += outcome.marksAwarded;
+    }
+
+    return { score: roundMarks(score), totalMarks, questionResults, codeSubmissions, missingRequired };
+};
+
+module.exports = {
+    roundMarks,
+    snapshotQuestion,
+    scoreSingleAnswer,
+    scoreMultipleChoice,
+    scoreMatchTheFollowing,
+    scoreWrittenAnswer,
+    scoreCodeSubmission,
+    validateScoringRules,
+    scoreQuizAnswers
+};
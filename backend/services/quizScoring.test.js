@@ -0,0 +1,220 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    scoreSingleAnswer,
+    scoreMultipleChoice,
+    scoreMatchTheFollowing,
+    scoreWrittenAnswer,
+    scoreCodeSubmission,
+    validateScoringRules,
+    scoreQuizAnswers
+} = require('./quizScoring');
+
+describe('scoreSingleAnswer', () => {
+    const question = { questionType: 'singleAnswer', correctAnswer: 2, marks: 4, negativeMarks: 1 };
+
+    it('gives full marks for the right option', () => {
+        assert.deepEqual(scoreSingleAnswer(question, 2), { isAnswered: true, isCorrect: true, marksAwarded: 4 });
+        assert.equal(scoreSingleAnswer(question, '2').marksAwarded, 4);
+    });
+
+    it('takes the negative marks for a wrong option', () => {
+        assert.deepEqual(scoreSingleAnswer(question, 1), { isAnswered: true, isCorrect: false, marksAwarded: -1 });
+        assert.ok(scoreSingleAnswer({ ...question, negativeMarks: undefined }, 1).marksAwarded === 0);
+    });
+
+    it('gives nothing and takes nothing for an empty answer', () => {
+        assert.deepEqual(scoreSingleAnswer(question, undefined), { isAnswered: false, isCorrect: false, marksAwarded: 0 });
+        assert.deepEqual(scoreSingleAnswer(question, null), { isAnswered: false, isCorrect: false, marksAwarded: 0 });
+    });
+
+    it('treats the first option as an answer', () => {
+        assert.equal(scoreSingleAnswer({ ...question, correctAnswer: 0 }, 0).marksAwarded, 4);
+    });
+});
+
+describe('scoreMultipleChoice', () => {
+    const question = { questionType: 'multipleChoice', correctAnswers: [0, 2, 3], marks: 3 };
+
+    it('is all or nothing without partial credit', () => {
+        assert.deepEqual(scoreMultipleChoice(question, [3, 0, 2]), { isAnswered: true, isCorrect: true, marksAwarded: 3 });
+        assert.deepEqual(scoreMultipleChoice(question, [0, 2]), { isAnswered: true, isCorrect: false, marksAwarded: 0 });
+        assert.equal(scoreMultipleChoice(question, [0, 1, 2, 3]).marksAwarded, 0);
+    });
+
+    it('gives a share per right option, less one per wrong option, with partial credit', () => {
+        const partial = { ...question, partialCredit: true };
+        assert.equal(scoreMultipleChoice(partial, [0, 2]).marksAwarded, 2);
+        assert.equal(scoreMultipleChoice(partial, [0, 2, 1]).marksAwarded, 1);
+        assert.equal(scoreMultipleChoice(partial, ['0', '2', '3']).marksAwarded, 3);
+        assert.equal(scoreMultipleChoice({ ...partial, marks: 1 }, [0, 2]).marksAwarded, 0.67);
+    });
+
+    it('never goes below zero with partial credit', () => {
+        const partial = { ...question, partialCredit: true };
+        assert.equal(scoreMultipleChoice(partial, [1, 4]).marksAwarded, 0);
+        assert.equal(scoreMultipleChoice(partial, [0, 1, 4]).marksAwarded, 0);
+    });
+
+    it('counts an option picked twice once', () => {
+        assert.equal(scoreMultipleChoice({ ...question, partialCredit: true }, [0, 0, 0]).marksAwarded, 1);
+    });
+
+    it('gives nothing for an empty answer', () => {
+        assert.deepEqual(scoreMultipleChoice(question, []), { isAnswered: false, isCorrect: false, marksAwarded: 0 });
+        assert.deepEqual(scoreMultipleChoice(question, undefined), { isAnswered: false, isCorrect: false, marksAwarded: 0 });
+    });
+});
+
+describe('scoreMatchTheFollowing', () => {
+    const question = { questionType: 'matchTheFollowing', options: ['a', 'b', 'c', 'd'], marks: 2 };
+
+    it('is all or nothing without partial credit', () => {
+        assert.deepEqual(scoreMatchTheFollowing(question, [0, 1, 2, 3]), { isAnswered: true, isCorrect: true, marksAwarded: 2 });
+        assert.deepEqual(scoreMatchTheFollowing(question, [0, 1, 3, 2]), { isAnswered: true, isCorrect: false, marksAwarded: 0 });
+    });
+
+    it('gives a share per right pair with partial credit', () => {
+        const partial = { ...question, partialCredit: true };
+        assert.equal(scoreMatchTheFollowing(partial, [0, 1, 3, 2]).marksAwarded, 1);
+        assert.equal(scoreMatchTheFollowing(partial, ['0', '2', '1', '3']).marksAwarded, 1);
+        assert.equal(scoreMatchTheFollowing(partial, [1, 0, 3, 2]).marksAwarded, 0);
+    });
+
+    it('scores the pairs given when some are left empty', () => {
+        const partial = { ...question, partialCredit: true };
+        assert.deepEqual(scoreMatchTheFollowing(partial, [0, null, '', 3]), { isAnswered: false, isCorrect: false, marksAwarded: 1 });
+        assert.equal(scoreMatchTheFollowing(question, [0, 1, 2, null]).marksAwarded, 0);
+    });
+
+    it('gives nothing when no pair is given', () => {
+        assert.deepEqual(scoreMatchTheFollowing(question, [null, null, null, null]), { isAnswered: false, isCorrect: false, marksAwarded: 0 });
+        assert.deepEqual(scoreMatchTheFollowing({ ...question, options: [], partialCredit: true }, []), { isAnswered: false, isCorrect: false, marksAwarded: 0 });
+    });
+});
+
+describe('scoreWrittenAnswer', () => {
+    const shortAnswer = { questionType: 'shortAnswer', keywords: ['event', 'loop', 'callback'], marks: 5 };
+
+    it('gives a short answer with half the keywords a provisional score', () => {
+        assert.deepEqual(scoreWrittenAnswer(shortAnswer, 'The Event Loop runs it'), { isAnswered: true, isCorrect: true, marksAwarded: 5, needsReview: true });
+        assert.deepEqual(scoreWrittenAnswer(shortAnswer, 'It is a loop'), { isAnswered: true, isCorrect: false, marksAwarded: 0, needsReview: true });
+    });
+
+    it('gives a short answer without keywords full marks', () => {
+        assert.equal(scoreWrittenAnswer({ ...shortAnswer, keywords: [] }, 'anything').marksAwarded, 5);
+    });
+
+    it('leaves long answers at zero for the instructor', () => {
+        const longAnswer = { questionType: 'longAnswer', marks: 10 };
+        assert.deepEqual(scoreWrittenAnswer(longAnswer, 'An essay'), { isAnswered: true, isCorrect: false, marksAwarded: 0, needsReview: true });
+    });
+
+    it('does not flag empty answers for review', () => {
+        for (const answer of [undefined, null, '', '   ']) {
+            assert.deepEqual(scoreWrittenAnswer(shortAnswer, answer), { isAnswered: false, isCorrect: false, marksAwarded: 0, needsReview: false });
+        }
+    });
+});
+
+describe('scoreCodeSubmission', () => {
+    const question = { questionType: 'codeSolve', marks: 6 };
+    const results = [
+        { passed: true, isHidden: false },
+        { passed: false, isHidden: false },
+        { passed: true, isHidden: true },
+        { passed: false, isHidden: true }
+    ];
+
+    it('is all or nothing without partial credit', () => {
+        assert.equal(scoreCodeSubmission(question, results), 0);
+        assert.equal(scoreCodeSubmission(question, results.map(result => ({ ...result, passed: true }))), 6);
+    });
+
+    it('gives a share per passed test case with partial credit', () => {
+        assert.equal(scoreCodeSubmission({ ...question, partialCredit: true }, results), 3);
+    });
+
+    it('weighs hidden test cases by hiddenTestWeight', () => {
+        const weighted = { ...question, partialCredit: true, hiddenTestWeight: 2 };
+        assert.equal(scoreCodeSubmission(weighted, results), 3);
+        assert.equal(scoreCodeSubmission(weighted, [{ passed: false }, { passed: true, isHidden: true }]), 4);
+        assert.equal(scoreCodeSubmission({ ...weighted, hiddenTestWeight: 0 }, [{ passed: true }, { passed: false, isHidden: true }]), 6);
+    });
+
+    it('gives nothing without test results', () => {
+        assert.equal(scoreCodeSubmission(question, []), 0);
+        assert.equal(scoreCodeSubmission({ ...question, partialCredit: true }), 0);
+    });
+});
+
+describe('validateScoringRules', () => {
+    it('accepts negative marks on single answer questions only', () => {
+        assert.equal(validateScoringRules({ questionType: 'singleAnswer', marks: 2, negativeMarks: 0.5 }), null);
+        assert.match(validateScoringRules({ questionType: 'multipleChoice', marks: 2, negativeMarks: 1 }), /only supported for single answer/);
+        assert.equal(validateScoringRules({ questionType: 'multipleChoice', marks: 2, negativeMarks: 0 }), null);
+    });
+
+    it('refuses negative marks that are negative or above the marks', () => {
+        assert.match(validateScoringRules({ questionType: 'singleAnswer', marks: 2, negativeMarks: -1 }), /at least 0/);
+        assert.match(validateScoringRules({ questionType: 'singleAnswer', marks: 2, negativeMarks: 3 }), /cannot be more/);
+    });
+
+    it('accepts partial credit on the question types that support it', () => {
+        for (const questionType of ['multipleChoice', 'matchTheFollowing', 'codeSolve']) {
+            assert.equal(validateScoringRules({ questionType, partialCredit: true }), null);
+        }
+        assert.match(validateScoringRules({ questionType: 'singleAnswer', partialCredit: true }), /Partial credit/);
+    });
+
+    it('refuses a negative hidden test case weight', () => {
+        assert.match(validateScoringRules({ questionType: 'codeSolve', hiddenTestWeight: -1 }), /Hidden test case weight/);
+    });
+});
+
+describe('scoreQuizAnswers', () => {
+    const quiz = {
+        questions: [
+            { _id: 'q1', questionType: 'singleAnswer', correctAnswer: 1, marks: 2, negativeMarks: 1, required: true },
+            { _id: 'q2', questionType: 'multipleChoice', correctAnswers: [0, 1], marks: 2, partialCredit: true },
+            { _id: 'q3', questionType: 'matchTheFollowing', options: ['a', 'b'], marks: 2, partialCredit: true },
+            { _id: 'q4', questionType: 'shortAnswer', keywords: ['node'], marks: 1, required: true },
+            { _id: 'q5', questionType: 'codeSolve', programmingLanguage: 'open', marks: 5 }
+        ]
+    };
+
+    it('adds up the marks of every question', () => {
+        const result = scoreQuizAnswers(quiz, {
+            q1: 1,
+            q2: [0],
+            q3_0: 0,
+            q3_1: 0,
+            q4: 'Node.js',
+            q5: { language: 'python', code: 'print(1)' }
+        });
+
+        assert.equal(result.totalMarks, 12);
+        assert.equal(result.score, 5);
+        assert.deepEqual(result.questionResults.map(item => item.marksAwarded), [2, 1, 1, 1, 0]);
+        assert.deepEqual(result.questionResults[2].answer, [0, 0]);
+        assert.equal(result.questionResults[3].needsReview, true);
+        assert.deepEqual(result.codeSubmissions, [{ question: 'q5', language: 'python', code: 'print(1)', marks: 5 }]);
+        assert.deepEqual(result.missingRequired, []);
+    });
+
+    it('can score below zero with negative marks', () => {
+        const result = scoreQuizAnswers(quiz, { q1: 0 });
+        assert.equal(result.score, -1);
+    });
+
+    it('lists unanswered required questions and collects no empty code', () => {
+        const result = scoreQuizAnswers(quiz, { q5: { language: 'python', code: '  ' } });
+
+        assert.equal(result.score, 0);
+        assert.deepEqual(result.missingRequired, [1, 4]);
+        assert.deepEqual(result.codeSubmissions, []);
+        assert.ok(result.questionResults.every(item => !item.isAnswered));
+        assert.equal(result.questionResults[0].answer, null);
+        assert.equal(result.questionResults[0].questionSnapshot.negativeMarks, 1);
+    });
+});
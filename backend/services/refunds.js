@@ -0,0 +1,405 @@
+// Refunds
+// A student asks for the refund of an order within REFUND_CONFIG.WINDOW of paying; an admin
+// approves it for the whole remainder or part of it, or rejects it. Orders paid through
+// Razorpay are refunded through it and the refund is completed when Razorpay reports it
+// processed (its response or the refund.processed webhook, whichever comes first); other
+// orders were paid outside the gateway, so their refund is only recorded. Completing a
+// refund updates the order's refunded amount and payment status, revokes the course when
+// the admin chose to and tells the student. It claims the refund with an atomic status
+// change, so it runs once however often Razorpay reports it.
+const mongoose = require('mongoose');
+const Refund = require('../models/refund');
+const Order = require('../models/order');
+const Payment = require('../models/payment');
+const User = require('../models/user');
+const Course = require('../models/course');
+const { toPaise } = require('./pricing');
+const { formatAmount } = require('./currency');
+const { getRazorpay } = require('../config/razorpay');
+const { REFUND_CONFIG } = require('../config/pricing');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+// A failed refund waits for the admin to approve it again or reject it (see models/refund.js)
+const OPEN_STATUSES = ['requested', 'processing', 'failed'];
+
+const refuse = (status, message) => ({ error: { status, message } });
+
+/**
+ * What is left to refund on an order, in the order's currency
+ * Refunds being processed are held back until they are processed or fail.
+ */
+const getRefundableAmount = (order) => {
+    const given = toPaise(order.refundedAmount || 0) + toPaise(order.refundPending || 0);
+    return Math.max(toPaise(order.amount) - given, 0) / 100;
+};
+
+/**
+ * Hold an approved amount back on its order, unless it is more than is left to refund
+ * A single conditional update, so two approvals can't both take the same remainder.
+ * @returns {Promise<boolean>} whether the amount was reserved
+ */
+const reserveRefund = async (orderId, amount) => {
+    const reserved = await Order.updateOne(
+        {
+            _id: orderId,
+            paymentStatus: { $in: REFUNDABLE_STATUSES },
+            $expr: {
+                $lte: [
+                    { $round: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$refundPending', 0] }, amount] }, 2] },
+                    '$amount'
+                ]
+            }
+        },
+        { $inc: { refundPending: amount } }
+    );
+    return reserved.modifiedCount === 1;
+};
+
+// Give a reservation back when its refund failed
+const releaseRefund = async (orderId, amount) => {
+    await Order.updateOne({ _id: orderId }, { $inc: { refundPending: -amount } });
+};
+
+/**
+ * Why a student may not ask for the refund of an order, or null when they may
+ * @param {Object} order
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+const getRefundError = (order, now = new Date()) => {
+    if (!REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+        return 'Only paid orders can be refunded';
+    }
+    if (getRefundableAmount(order) <= 0) {
+        return 'Nothing is left to refund on this order';
+    }
+    if (now - new Date(order.purchaseDate) > REFUND_CONFIG.WINDOW) {
+        const days = Math.round(REFUND_CONFIG.WINDOW / (24 * 60 * 60 * 1000));
+        return `Refunds can only be requested within ${days} day${days === 1 ? '' : 's'} of purchase`;
+    }
+    return null;
+};
+
+// Tell the student how their refund went; a failure here never undoes the refund
+const notifyStudent = async (refund, title, message) => {
+    try {
+        await createAdvancedNotification({
+            recipient: refund.user,
+            type: 'REFUND_STATUS',
+            title,
+            message,
+            relatedCourse: refund.course,
+            priority: 'high',
+            actionUrl: '/dashboard/purchase-history',
+            metadata: { refundId: refund._id, orderId: refund.order, status: refund.status }
+        });
+    } catch (error) {
+        console.error('Error sending refund notification:', error);
+    }
+};
+
+const getCourseName = async (courseId) => {
+    const course = await Course.findById(courseId).select('courseName');
+    return course?.courseName || 'your course';
+};
+
+// Unenroll a student, unless another active order still gives them the course
+const revokeCourseAccess = async (order) => {
+    await Order.updateOne({ _id: order._id }, { $set: { status: false } });
+    const otherOrder = await Order.exists({ _id: { $ne: order._id }, user: order.user, course: order.course, status: true });
+    if (otherOrder) return;
+
+    await User.updateOne({ _id: order.user }, { $pull: { courses: order.course } });
+    await Course.updateOne({ _id: order.course }, { $pull: { studentsEnrolled: order.user } });
+    console.log(`🔒 Access to course ${order.course} revoked for user ${order.user}`);
+};
+
+// Add a gateway refund to its payment once; the payment is 'refunded' when nothing is left
+const recordPaymentRefund = async (paymentId, refundId, amount) => {
+    const payment = await Payment.findById(paymentId);
+    if (!payment || payment.refunds.some(refund => refund.refundId === refundId)) return payment;
+
+    payment.refunds.push({ refundId, amount, processedAt: new Date() });
+    payment.refundedAmount = (toPaise(payment.refundedAmount) + toPaise(amount)) / 100;
+    if (payment.refundedAmount >= payment.amount) {
+        payment.status = 'refunded';
+    }
+    await payment.save();
+    return payment;
+};
+
+/**
+ * Complete a refund that is being processed
+ * Only the call that moves it to 'processed' does this; others get null.
+ * @param {Object} filter - Selects the refund, e.g. { _id }
+ * @param {Object} [update] - Fields set with the status, e.g. razorpayRefundId
+ * @returns {Promise<Object|null>} The refund
+ */
+const completeRefund = async (filter, update = {}) => {
+    const refund = await Refund.findOneAndUpdate(
+        { ...filter, status: 'processing' },
+        { $set: { ...update, status: 'processed', processedAt: new Date(), failureReason: null } },
+        { new: true }
+    );
+    if (!refund) return null;
+
+    const order = await Order.findById(refund.order);
+    order.refundedAmount = (toPaise(order.refundedAmount || 0) + toPaise(refund.amount)) / 100;
+    order.refundPending = Math.max(toPaise(order.refundPending || 0) - toPaise(refund.amount), 0) / 100;
+    order.paymentStatus = order.refundedAmount >= order.amount ? 'refunded' : 'partially_refunded';
+    await order.save();
+
+    if (refund.revokeAccess) {
+        await revokeCourseAccess(order);
+    }
+    if (refund.payment) {
+        await recordPaymentRefund(refund.payment, refund.razorpayRefundId || refund._id.toString(), refund.amount);
+    }
+
+    console.log(`↩️ Refund ${refund._id} processed: ${formatAmount(refund.amount, order.currency)} of order ${order._id}`);
+
+    const courseName = await getCourseName(refund.course);
+    await notifyStudent(
+        refund,
+        'Refund Processed',
+        `Your refund of ${formatAmount(refund.amount, order.currency)} for "${courseName}" has been processed.` +
+        (refund.revokeAccess ? ' The course has been removed from your account.' : '')
+    );
+    return refund;
+};
+
+/**
+ * Ask for the refund of an order
+ * @param {string} userId - The student; only their own orders can be refunded
+ * @param {string} orderId
+ * @param {string} [reason]
+ * @returns {Promise<Object>} { refund } or { error: { status, message } }
+ */
+const requestRefund = async (userId, orderId, reason = '') => {
+    if (!mongoose.isValidObjectId(orderId)) {
+        return refuse(400, 'Invalid order ID');
+    }
+    const order = await Order.findOne({ _id: orderId, user: userId });
+    if (!order) {
+        return refuse(404, 'Order not found');
+    }
+
+    const refundError = getRefundError(order);
+    if (refundError) {
+        return refuse(400, refundError);
+    }
+    const alreadyOpen = refuse(409, 'A refund for this order is already being handled');
+    if (await Refund.exists({ order: order._id, status: { $in: OPEN_STATUSES } })) {
+        return alreadyOpen;
+    }
+
+    let refund;
+    try {
+        refund = await Refund.create({
+            order: order._id,
+            payment: order.payment,
+            user: order.user,
+            course: order.course,
+            reason: typeof reason === 'string' ? reason.trim() : ''
+        });
+    } catch (error) {
+        // Another request for the same order was made at the same time
+        if (error.code !== 11000) throw error;
+        return alreadyOpen;
+    }
+    console.log(`📝 Refund ${refund._id} requested for order ${order._id}`);
+    return { refund };
+};
+
+/**
+ * Approve a refund request, or retry one the gateway refused
+ * @param {string} adminId
+ * @param {string} refundId
+ * @param {Object} options - { amount (in the order's currency, defaults to what is left), revokeAccess
+ *   (defaults to whether the order ends up fully refunded), note }
+ * @returns {Promise<Object>} { refund } or { error: { status, message } }
+ */
+const approveRefund = async (adminId, refundId, { amount, revokeAccess, note } = {}) => {
+    if (!mongoose.isValidObjectId(refundId)) {
+        return refuse(400, 'Invalid refund ID');
+    }
+    const request = await Refund.findById(refundId);
+    if (!request) {
+        return refuse(404, 'Refund request not found');
+    }
+    if (!['requested', 'failed'].includes(request.status)) {
+        return refuse(409, 'This refund request has already been handled');
+    }
+
+    const order = await Order.findById(request.order);
+    if (!order || !REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+        return refuse(400, 'This order can no longer be refunded');
+    }
+    const refundable = getRefundableAmount(order);
+    const refundAmount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+    if (!Number.isFinite(refundAmount) || toPaise(refundAmount) <= 0 || toPaise(refundAmount) > toPaise(refundable)) {
+        return refuse(400, `The refund amount must be more than ${formatAmount(0, order.currency)} and at most ${formatAmount(refundable, order.currency)}`);
+    }
+    const isFullRefund = toPaise(refundAmount) === toPaise(refundable);
+    const approvedAmount = toPaise(refundAmount) / 100;
+
+    if (!await reserveRefund(order._id, approvedAmount)) {
+        return refuse(409, 'The order was refunded in the meantime. Please check the amount and try again.');
+    }
+
+    const refund = await Refund.findOneAndUpdate(
+        { _id: request._id, status: request.status },
+        {
+            $set: {
+                status: 'processing',
+                amount: approvedAmount,
+                revokeAccess: typeof revokeAccess === 'boolean' ? revokeAccess : isFullRefund,
+                reviewedBy: adminId,
+                reviewedAt: new Date(),
+                adminNote: typeof note === 'string' ? note.trim() : '',
+                failureReason: null
+            }
+        },
+        { new: true }
+    );
+    if (!refund) {
+        await releaseRefund(order._id, approvedAmount);
+        return refuse(409, 'This refund request has already been handled');
+    }
+
+    const payment = refund.payment ? await Payment.findById(refund.payment) : null;
+    if (!payment || payment.gateway !== 'razorpay' || !payment.razorpayPaymentId) {
+        // Paid outside the gateway: the money is returned by hand and the refund recorded now
+        return { refund: await completeRefund({ _id: refund._id }) };
+    }
+
+    let gatewayRefund;
+    try {
+        gatewayRefund = await getRazorpay().payments.refund(payment.razorpayPaymentId, {
+            amount: toPaise(refund.amount),
+            notes: { refundId: refund._id.toString(), orderId: order._id.toString() }
+        });
+    } catch (error) {
+        const reason = error.error?.description || error.message || 'Razorpay refused the refund';
+        const failed = await Refund.updateOne({ _id: refund._id, status: 'processing' }, { $set: { status: 'failed', failureReason: reason } });
+        if (failed.modifiedCount === 1) {
+            await releaseRefund(order._id, refund.amount);
+        }
+        console.error('Error creating Razorpay refund:', error.error || error.message || error);
+        return refuse(502, `The refund could not be made: ${reason}`);
+    }
+
+    // The webhook may have completed the refund already, so only the id is set here
+    await Refund.updateOne({ _id: refund._id }, { $set: { razorpayRefundId: gatewayRefund.id } });
+    if (gatewayRefund.status === 'processed') {
+        await completeRefund({ _id: refund._id }, { razorpayRefundId: gatewayRefund.id });
+    }
+    return { refund: await Refund.findById(refund._id) };
+};
+
+/**
+ * Reject a refund request
+ * @returns {Promise<Object>} { refund } or { error: { status, message } }
+ */
+const rejectRefund = async (adminId, refundId, note = '') => {
+    if (!mongoose.isValidObjectId(refundId)) {
+        return refuse(400, 'Invalid refund ID');
+    }
+    const refund = await Refund.findOneAndUpdate(
+        { _id: refundId, status: { $in: ['requested', 'failed'] } },
+        {
+            $set: {
+                status: 'rejected',
+                reviewedBy: adminId,
+                reviewedAt: new Date(),
+                adminNote: typeof note === 'string' ? note.trim() : ''
+            }
+        },
+        { new: true }
+    );
+    if (!refund) {
+        return await Refund.exists({ _id: refundId })
+            ? refuse(409, 'This refund request has already been handled')
+            : refuse(404, 'Refund request not found');
+    }
+
+    const courseName = await getCourseName(refund.course);
+    await notifyStudent(
+        refund,
+        'Refund Request Declined',
+        `Your refund request for "${courseName}" was declined.` + (refund.adminNote ? ` ${refund.adminNote}` : '')
+    );
+    return { refund };
+};
+
+// The refund a Razorpay refund entity belongs to: by its id, or by the id we sent in its notes
+const findGatewayRefund = async (refundEntity) => {
+    const refund = await Refund.findOne({ razorpayRefundId: refundEntity.id });
+    if (refund) return refund;
+    const refundId = refundEntity.notes?.refundId;
+    return mongoose.isValidObjectId(refundId) ? Refund.findById(refundId) : null;
+};
+
+/**
+ * Handle Razorpay's refund.processed for a payment
+ * Refunds made from the Razorpay dashboard have no request; they are recorded on the
+ * payment, and once it is fully refunded all its orders are refunded and revoked.
+ * @param {Object} payment
+ * @param {Object} refundEntity - payload.refund.entity (amount in paise)
+ * @returns {Promise<string>} What was done, for the log
+ */
+const handleGatewayRefund = async (payment, refundEntity) => {
+    const refund = await findGatewayRefund(refundEntity);
+    if (refund) {
+        const completed = await completeRefund({ _id: refund._id }, { razorpayRefundId: refundEntity.id });
+        return completed ? `processed refund ${refund._id}` : `refund ${refund._id} was already processed`;
+    }
+
+    if (payment.refunds.some(entry => entry.refundId === refundEntity.id)) {
+        return `refund ${refundEntity.id} already recorded`;
+    }
+    const updated = await recordPaymentRefund(payment._id, refundEntity.id, refundEntity.amount / 100);
+    if (updated.status === 'refunded') {
+        const orders = await Order.find({ payment: payment._id, paymentStatus: { $in: REFUNDABLE_STATUSES } });
+        for (const order of orders) {
+            order.refundedAmount = order.amount;
+            order.paymentStatus = 'refunded';
+            await order.save();
+            await revokeCourseAccess(order);
+        }
+    }
+    return `recorded refund ${refundEntity.id} of ${payment._id}`;
+};
+
+/**
+ * Handle Razorpay's refund.failed: the refund can be approved again or rejected
+ * @returns {Promise<string>} What was done, for the log
+ */
+const handleGatewayRefundFailure = async (refundEntity) => {
+    const refund = await findGatewayRefund(refundEntity);
+    if (!refund) {
+        return `ignored refund.failed: no request for ${refundEntity.id}`;
+    }
+    const failed = await Refund.findOneAndUpdate(
+        { _id: refund._id, status: 'processing' },
+        { $set: { status: 'failed', failureReason: 'Razorpay could not process the refund', razorpayRefundId: refundEntity.id } },
+        { new: true }
+    );
+    if (!failed) {
+        return `refund ${refund._id} is no longer processing`;
+    }
+    await releaseRefund(failed.order, failed.amount);
+    return `recorded failure of refund ${refund._id}`;
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    getRefundableAmount,
+    getRefundError,
+    requestRefund,
+    approveRefund,
+    rejectRefund,
+    handleGatewayRefund,
+    handleGatewayRefundFailure
+};
@@ -0,0 +1,57 @@
+// Byte-range reads of stored objects over HTTP, shared by the providers that hand out URLs
+const { Readable, Transform, pipeline } = require('stream');
+
+/**
+ * Keep bytes [skip, skip + length) of a stream
+ */
+const sliceStream = (skip, length) => {
+    let toSkip = skip;
+    let remaining = length;
+    return new Transform({
+        transform(part, encoding, callback) {
+            let buffer = part;
+            if (toSkip > 0) {
+                const skipped = Math.min(toSkip, buffer.length);
+                buffer = buffer.subarray(skipped);
+                toSkip -= skipped;
+            }
+            buffer = buffer.subarray(0, remaining);
+            remaining -= buffer.length;
+            callback(null, buffer.length > 0 ? buffer : undefined);
+        }
+    });
+};
+
+/**
+ * Read an object (or bytes start..end of it, inclusive) from a URL
+ * Servers that ignore the Range header send the whole object, which is cut down here.
+ * @returns {Promise<Readable>}
+ */
+const fetchObjectStream = async (url, { start, end } = {}, init = {}) => {
+    const ranged = start !== undefined || end !== undefined;
+    const from = start || 0;
+    const headers = { ...init.headers };
+    if (ranged) {
+        headers.Range = `bytes=${from}-${end !== undefined ? end : ''}`;
+    }
+
+    const response = await fetch(url, { ...init, headers });
+    if (!response.ok) {
+        await response.body?.cancel().catch(() => {});
+        const error = new Error(`Storage returned ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const stream = Readable.fromWeb(response.body);
+    if (!ranged || response.status === 206) {
+        return stream;
+    }
+    const length = end !== undefined ? end - from + 1 : Infinity;
+    // pipeline passes errors of the download on to the returned stream
+    return pipeline(stream, sliceStream(from, length), () => {});
+};
+
+module.exports = {
+    fetchObjectStream
+};
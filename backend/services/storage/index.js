@@ -0,0 +1,58 @@
+const supabaseStorage = require('./supabaseStorage');
+const localStorage = require('./localStorage');
+const s3Storage = require('./s3Storage');
+const { STORAGE_CONFIG } = require('../../config/storage');
+
+// Registered storage backends, keyed by the name used in STORAGE_PROVIDER
+// Every backend exposes, with paths relative to the bucket:
+//   upload(bucket, path, buffer, { contentType, cacheControl, upsert }) -> { path }
+//   download(bucket, path) -> Buffer
+//   createReadStream(bucket, path, { start, end }) -> Readable (end inclusive)
+//   remove(bucket, paths)
+//   getPublicUrl(bucket, path) -> string
+//   createSignedUrls(bucket, paths, expiresIn) -> string[] in the order of the paths
+//   list(bucket, prefix, { limit, offset }) -> [{ name, size, updatedAt, isFolder }]
+//   parseUrl(url) -> { bucket, path } for URLs it handed out, otherwise null
+//   initialize() - create the buckets at startup
+// Missing objects are reported with errors carrying status 404.
+const providers = {
+    [supabaseStorage.name]: supabaseStorage,
+    [localStorage.name]: localStorage,
+    [s3Storage.name]: s3Storage
+};
+
+/**
+ * Resolve a storage backend by name, falling back to the configured one
+ * @param {string} [name] - Provider name ('supabase', 'local' or 's3')
+ * @returns {Object} Storage backend (see above)
+ */
+const getStorage = (name = STORAGE_CONFIG.PROVIDER) => {
+    const storage = providers[name];
+    if (!storage) {
+        throw new Error(`Unknown storage provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return storage;
+};
+
+/**
+ * Signed URL for one object
+ */
+const createSignedUrl = async (bucket, filePath, expiresIn) => {
+    const [signedUrl] = await getStorage().createSignedUrls(bucket, [filePath], expiresIn);
+    return signedUrl;
+};
+
+/**
+ * Prepare the configured backend at startup
+ */
+const initializeStorage = async () => {
+    const storage = getStorage();
+    console.log(`🗄️ Storage provider: ${storage.name}`);
+    await storage.initialize();
+};
+
+module.exports = {
+    getStorage,
+    createSignedUrl,
+    initializeStorage
+};
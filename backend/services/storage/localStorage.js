@@ -0,0 +1,157 @@
+// Local filesystem backend
+// Buckets are directories below STORAGE_LOCAL_ROOT, served by routes/storage.js at
+// /storage/:bucket/*path. Signed URLs carry an expiry and an HMAC of bucket, path and expiry.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { STORAGE_CONFIG } = require('../../config/storage');
+const { STORAGE_BUCKETS } = require('../../config/supabaseStorage');
+
+const { ROOT, PUBLIC_URL, SIGNING_SECRET } = STORAGE_CONFIG.LOCAL;
+
+const notFound = (filePath) => {
+    const error = new Error(`File not found: ${filePath}`);
+    error.status = 404;
+    return error;
+};
+
+/**
+ * Absolute path of an object, refusing paths that leave the bucket directory
+ */
+const resolvePath = (bucket, filePath = '') => {
+    const bucketDir = path.resolve(ROOT, bucket);
+    const resolved = path.resolve(bucketDir, filePath);
+    if (!bucket || bucket.includes('/') || bucket.startsWith('.')
+        || (resolved !== bucketDir && !resolved.startsWith(bucketDir + path.sep))) {
+        throw new Error(`Invalid storage path: ${bucket}/${filePath}`);
+    }
+    return resolved;
+};
+
+const encodePath = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+const sign = (bucket, filePath, expires) => {
+    if (!SIGNING_SECRET) {
+        throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required to sign storage URLs');
+    }
+    return crypto.createHmac('sha256', SIGNING_SECRET).update(`${bucket}/${filePath}:${expires}`).digest('hex');
+};
+
+/**
+ * Check the expiry and signature of a signed URL
+ */
+const verifySignature = (bucket, filePath, expires, signature) => {
+    if (!/^\d+$/.test(expires || '') || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+    const expected = Buffer.from(sign(bucket, filePath, expires));
+    const given = Buffer.from(String(signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const upload = async (bucket, filePath, body, { upsert = false } = {}) => {
+    const target = resolvePath(bucket, filePath);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+        await fs.promises.writeFile(target, body, { flag: upsert ? 'w' : 'wx' });
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            throw new Error(`Could not upload ${filePath}: the file already exists`);
+        }
+        throw error;
+    }
+    return { path: filePath };
+};
+
+const download = async (bucket, filePath) => {
+    try {
+        return await fs.promises.readFile(resolvePath(bucket, filePath));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw notFound(filePath);
+        throw error;
+    }
+};
+
+const createReadStream = async (bucket, filePath, { start, end } = {}) => {
+    const source = resolvePath(bucket, filePath);
+    const stats = await fs.promises.stat(source).catch(() => null);
+    if (!stats?.isFile()) {
+        throw notFound(filePath);
+    }
+    return fs.createReadStream(source, { start, end });
+};
+
+const remove = async (bucket, paths) => {
+    const bucketDir = resolvePath(bucket);
+    for (const filePath of paths) {
+        const target = resolvePath(bucket, filePath);
+        await fs.promises.rm(target, { force: true });
+
+        // Drop folders left empty, as object stores have no folders of their own
+        for (let dir = path.dirname(target); dir !== bucketDir; dir = path.dirname(dir)) {
+            try {
+                await fs.promises.rmdir(dir);
+            } catch (error) {
+                break;
+            }
+        }
+    }
+};
+
+const getPublicUrl = (bucket, filePath) => `${PUBLIC_URL}/storage/${bucket}/${encodePath(filePath)}`;
+
+const createSignedUrls = async (bucket, paths, expiresIn) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return paths.map(filePath => {
+        resolvePath(bucket, filePath);
+        return `${getPublicUrl(bucket, filePath)}?expires=${expires}&signature=${sign(bucket, filePath, expires)}`;
+    });
+};
+
+const list = async (bucket, prefix = '', { limit = 100, offset = 0 } = {}) => {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(resolvePath(bucket, prefix), { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const page = entries.sort((a, b) => a.name.localeCompare(b.name)).slice(offset, offset + limit);
+    return Promise.all(page.map(async entry => {
+        if (entry.isDirectory()) {
+            return { name: entry.name, size: 0, updatedAt: null, isFolder: true };
+        }
+        const stats = await fs.promises.stat(resolvePath(bucket, path.posix.join(prefix, entry.name)));
+        return { name: entry.name, size: stats.size, updatedAt: stats.mtime, isFolder: false };
+    }));
+};
+
+const parseUrl = (url) => {
+    const base = `${PUBLIC_URL}/storage/`;
+    if (!url || !url.startsWith(base)) return null;
+
+    const [bucket, ...pathParts] = url.slice(base.length).split('?')[0].split('/');
+    const filePath = pathParts.map(decodeURIComponent).join('/');
+    return bucket && filePath ? { bucket, path: filePath } : null;
+};
+
+const initialize = async () => {
+    for (const bucket of Object.values(STORAGE_BUCKETS)) {
+        await fs.promises.mkdir(resolvePath(bucket), { recursive: true });
+    }
+    console.log(`🗄️ Local storage ready in ${ROOT}`);
+};
+
+module.exports = {
+    name: 'local',
+    upload,
+    download,
+    createReadStream,
+    remove,
+    getPublicUrl,
+    createSignedUrls,
+    list,
+    parseUrl,
+    initialize,
+    resolvePath,
+    verifySignature
+};
@@ -0,0 +1,256 @@
+// S3-compatible backend (AWS S3, MinIO, ...)
+// Every request, including the server's own, is made with a presigned URL (AWS Signature V4,
+// query authentication), so no SDK is needed and signed links for players come for free.
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const { STORAGE_CONFIG } = require('../../config/storage');
+const { STORAGE_BUCKETS, PRIVATE_BUCKETS } = require('../../config/supabaseStorage');
+const { fetchObjectStream } = require('./http');
+
+const { ENDPOINT, REGION, ACCESS_KEY_ID, SECRET_ACCESS_KEY, FORCE_PATH_STYLE, BUCKET_PREFIX, PUBLIC_URL, REQUEST_TIMEOUT } = STORAGE_CONFIG.S3;
+
+// Longest expiry Signature V4 allows (seconds)
+const MAX_EXPIRES = 7 * 24 * 60 * 60;
+
+const xmlParser = new XMLParser({ ignoreAttributes: true });
+
+// RFC 3986 encoding as required by Signature V4
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const bucketName = (bucket) => `${BUCKET_PREFIX}${bucket}`;
+
+/**
+ * Base URL of a bucket: path-style (endpoint/bucket) or virtual-hosted (bucket.endpoint)
+ */
+const bucketUrl = (bucket) => {
+    const endpoint = new URL(ENDPOINT);
+    if (FORCE_PATH_STYLE) {
+        return `${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${bucketName(bucket)}`;
+    }
+    return `${endpoint.protocol}//${bucketName(bucket)}.${endpoint.host}`;
+};
+
+/**
+ * Presign a request
+ * @param {string} method - HTTP method
+ * @param {string} bucket - Bucket name without BUCKET_PREFIX
+ * @param {string} key - Object key, '' for bucket requests
+ * @param {Object} [options] - { expiresIn (seconds), query (extra query parameters) }
+ * @returns {string} URL valid for expiresIn seconds
+ */
+const presign = (method, bucket, key, { expiresIn = 300, query = {} } = {}) => {
+    if (!ACCESS_KEY_ID || !SECRET_ACCESS_KEY) {
+        throw new Error('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for S3 storage');
+    }
+
+    const url = new URL(`${bucketUrl(bucket)}/${encodeKey(key)}`);
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${REGION}/s3/aws4_request`;
+
+    const params = {
+        ...query,
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${ACCESS_KEY_ID}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(Math.min(Math.max(Math.round(expiresIn), 1), MAX_EXPIRES)),
+        'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(params)
+        .sort()
+        .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(String(params[name]))}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        `host:${url.host}\n`,
+        'host',
+        'UNSIGNED-PAYLOAD'
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, date), REGION)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+};
+
+/**
+ * Send a presigned request and fail on error responses
+ */
+const request = async (method, bucket, key, { query, body, headers, allowStatus = [] } = {}) => {
+    const response = await fetch(presign(method, bucket, key, { query }), {
+        method,
+        body,
+        headers,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    if (!response.ok && !allowStatus.includes(response.status)) {
+        const text = await response.text().catch(() => '');
+        const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+        const error = new Error(`S3 ${method} ${bucketName(bucket)}/${key} failed: ${code || response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+};
+
+const upload = async (bucket, filePath, body, { contentType, cacheControl = '3600', upsert = false } = {}) => {
+    if (!upsert) {
+        const existing = await request('HEAD', bucket, filePath, { allowStatus: [404] });
+        if (existing.ok) {
+            throw new Error(`Could not upload ${filePath}: the file already exists`);
+        }
+    }
+    await request('PUT', bucket, filePath, {
+        body,
+        headers: {
+            'Content-Type': contentType || 'application/octet-stream',
+            'Cache-Control': `max-age=${cacheControl}`
+        }
+    });
+    return { path: filePath };
+};
+
+const download = async (bucket, filePath) => {
+    const response = await request('GET', bucket, filePath);
+    return Buffer.from(await response.arrayBuffer());
+};
+
+const createReadStream = (bucket, filePath, range) => {
+    return fetchObjectStream(presign('GET', bucket, filePath), range);
+};
+
+const remove = async (bucket, paths) => {
+    for (const filePath of paths) {
+        await request('DELETE', bucket, filePath, { allowStatus: [404] });
+    }
+};
+
+const getPublicUrl = (bucket, filePath) => {
+    const base = PUBLIC_URL ? `${PUBLIC_URL}/${bucketName(bucket)}` : bucketUrl(bucket);
+    return `${base}/${encodeKey(filePath)}`;
+};
+
+const createSignedUrls = async (bucket, paths, expiresIn) => {
+    return paths.map(filePath => presign('GET', bucket, filePath, { expiresIn }));
+};
+
+const toArray = (value) => (value === undefined ? [] : [].concat(value));
+
+const list = async (bucket, prefix = '', { limit = 100, offset = 0 } = {}) => {
+    const folder = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    const items = [];
+    let continuationToken;
+
+    // S3 pages with tokens only, so the entries before the offset are read and dropped
+    do {
+        const query = { 'list-type': '2', prefix: folder, delimiter: '/', 'max-keys': '1000' };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+
+        const response = await request('GET', bucket, '', { query });
+        const result = xmlParser.parse(await response.text()).ListBucketResult || {};
+        toArray(result.CommonPrefixes).forEach(item => items.push({
+            name: String(item.Prefix).slice(folder.length).replace(/\/$/, ''),
+            size: 0,
+            updatedAt: null,
+            isFolder: true
+        }));
+        toArray(result.Contents).forEach(item => items.push({
+            name: String(item.Key).slice(folder.length),
+            size: Number(item.Size) || 0,
+            updatedAt: item.LastModified ? new Date(item.LastModified) : null,
+            isFolder: false
+        }));
+        continuationToken = result.IsTruncated ? result.NextContinuationToken : null;
+    } while (continuationToken && items.length < offset + limit);
+
+    return items.sort((a, b) => a.name.localeCompare(b.name)).slice(offset, offset + limit);
+};
+
+const parseUrl = (url) => {
+    if (!url) return null;
+    for (const bucket of Object.values(STORAGE_BUCKETS)) {
+        const bases = [bucketUrl(bucket)];
+        if (PUBLIC_URL) bases.push(`${PUBLIC_URL}/${bucketName(bucket)}`);
+
+        const base = bases.find(item => url.startsWith(`${item}/`));
+        if (base) {
+            const filePath = url.slice(base.length + 1).split('?')[0].split('/').map(decodeURIComponent).join('/');
+            return filePath ? { bucket, path: filePath } : null;
+        }
+    }
+    return null;
+};
+
+// Buckets other than PRIVATE_BUCKETS are readable by anyone, like the public Supabase buckets
+const publicReadPolicy = (bucket) => JSON.stringify({
+    Version: '2012-10-17',
+    Statement: [{
+        Effect: 'Allow',
+        Principal: { AWS: ['*'] },
+        Action: ['s3:GetObject'],
+        Resource: [`arn:aws:s3:::${bucketName(bucket)}/*`]
+    }]
+});
+
+const initialize = async () => {
+    console.log(`🗄️ Initializing S3 buckets at ${ENDPOINT}...`);
+    for (const bucket of Object.values(STORAGE_BUCKETS)) {
+        try {
+            const existing = await request('HEAD', bucket, '', { allowStatus: [404] });
+            if (existing.ok) {
+                console.log(`✅ Bucket already exists: ${bucketName(bucket)}`);
+                if (PRIVATE_BUCKETS.includes(bucket)) {
+                    // Earlier versions made every bucket publicly readable
+                    await request('DELETE', bucket, '', { query: { policy: '' }, allowStatus: [404] });
+                }
+                continue;
+            }
+
+            await request('PUT', bucket, '', {
+                body: REGION === 'us-east-1'
+                    ? undefined
+                    : `<CreateBucketConfiguration><LocationConstraint>${REGION}</LocationConstraint></CreateBucketConfiguration>`
+            });
+            console.log(`✅ Created bucket: ${bucketName(bucket)}`);
+            if (PRIVATE_BUCKETS.includes(bucket)) continue;
+
+            try {
+                await request('PUT', bucket, '', {
+                    query: { policy: '' },
+                    body: publicReadPolicy(bucket),
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            } catch (policyError) {
+                console.warn(`⚠️ Could not make ${bucketName(bucket)} publicly readable (${policyError.message}); public URLs will not work until it is`);
+            }
+        } catch (error) {
+            console.error(`❌ Could not prepare bucket ${bucketName(bucket)}:`, error.message);
+        }
+    }
+};
+
+module.exports = {
+    name: 's3',
+    upload,
+    download,
+    createReadStream,
+    remove,
+    getPublicUrl,
+    createSignedUrls,
+    list,
+    parseUrl,
+    initialize
+};
@@ -0,0 +1,105 @@
+// Supabase Storage backend
+// The client is created on first use, so the other providers run without a Supabase project.
+const { fetchObjectStream } = require('./http');
+
+const PUBLIC_URL_MARKER = '/storage/v1/object/public/';
+
+const bucketClient = (bucket) => require('../../config/supabaseAdmin').supabaseAdmin.storage.from(bucket);
+
+const storageError = (action, target, error) => {
+    const wrapped = new Error(`Could not ${action} ${target}: ${error.message}`);
+    const status = Number(error.statusCode || error.status);
+    if (status) wrapped.status = status;
+    return wrapped;
+};
+
+const upload = async (bucket, filePath, body, { contentType, cacheControl = '3600', upsert = false } = {}) => {
+    const { data, error } = await bucketClient(bucket).upload(filePath, body, {
+        contentType: contentType || 'application/octet-stream',
+        cacheControl,
+        upsert
+    });
+    if (error) {
+        throw storageError('upload', filePath, error);
+    }
+    return { path: data.path };
+};
+
+const download = async (bucket, filePath) => {
+    const { data, error } = await bucketClient(bucket).download(filePath);
+    if (error) {
+        throw storageError('download', filePath, error);
+    }
+    return Buffer.from(await data.arrayBuffer());
+};
+
+const createSignedUrls = async (bucket, paths, expiresIn) => {
+    if (paths.length === 0) return [];
+    const { data, error } = await bucketClient(bucket).createSignedUrls(paths, expiresIn);
+    if (error) {
+        throw new Error(`Could not sign storage URLs: ${error.message}`);
+    }
+    return data.map(item => {
+        if (item.error || !item.signedUrl) {
+            throw new Error(`Could not sign ${item.path}: ${item.error}`);
+        }
+        return item.signedUrl;
+    });
+};
+
+// Supabase has no streaming download, so the object is read through a short-lived signed URL
+const createReadStream = async (bucket, filePath, range) => {
+    const [signedUrl] = await createSignedUrls(bucket, [filePath], 60);
+    return fetchObjectStream(signedUrl, range);
+};
+
+const remove = async (bucket, paths) => {
+    if (paths.length === 0) return;
+    const { error } = await bucketClient(bucket).remove(paths);
+    if (error) {
+        throw storageError('delete files from', bucket, error);
+    }
+};
+
+const getPublicUrl = (bucket, filePath) => {
+    return bucketClient(bucket).getPublicUrl(filePath).data.publicUrl;
+};
+
+const list = async (bucket, prefix = '', { limit = 100, offset = 0 } = {}) => {
+    const { data, error } = await bucketClient(bucket).list(prefix, { limit, offset });
+    if (error) {
+        throw storageError('list', `${bucket}/${prefix}`, error);
+    }
+    // Folders are listed without an id
+    return data.map(item => ({
+        name: item.name,
+        size: item.metadata?.size || 0,
+        updatedAt: item.updated_at ? new Date(item.updated_at) : null,
+        isFolder: !item.id
+    }));
+};
+
+// URL format: https://[project-ref].supabase.co/storage/v1/object/public/[bucket]/[path]
+const parseUrl = (url) => {
+    const parts = (url || '').split(PUBLIC_URL_MARKER);
+    if (parts.length !== 2) return null;
+
+    const [bucket, ...pathParts] = parts[1].split('?')[0].split('/');
+    const filePath = pathParts.map(decodeURIComponent).join('/');
+    return bucket && filePath ? { bucket, path: filePath } : null;
+};
+
+const initialize = () => require('../../config/supabaseStorage').initializeStorageBuckets();
+
+module.exports = {
+    name: 'supabase',
+    upload,
+    download,
+    createReadStream,
+    remove,
+    getPublicUrl,
+    createSignedUrls,
+    list,
+    parseUrl,
+    initialize
+};
@@ -0,0 +1,189 @@
+// Signed playback of chunked lecture videos
+// Players get a short-lived token scoped to one user, course and video instead of the login
+// JWT. Every request made with the token rechecks that the user may still watch the course
+// (free course or active order), so a refund or a disabled order stops playback, and the
+// storage links handed out are signed URLs that expire with the token. The video bucket is
+// private (PRIVATE_BUCKETS), so these signed URLs are the only way to its files.
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const ChunkedVideo = require('../models/chunkedVideo');
+const Course = require('../models/course');
+const Section = require('../models/section');
+const SubSection = require('../models/subSection');
+const { getStorage } = require('./storage');
+const { VIDEO_PLAYBACK_CONFIG } = require('../config/video');
+const { canWatchCourse } = require('../utils/courseAccess');
+
+const TOKEN_TYPE = 'video-playback';
+
+const getTokenSecret = () => process.env.PLAYBACK_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Video id of a chunked upload from its manifest URL ({folder}/manifests/{videoId}_manifest.json)
+ */
+const extractVideoId = (videoUrl) => {
+    const match = (videoUrl || '').match(/\/([a-f0-9]+)_manifest\.json/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Whether a user may preview an upload outside of a course: admins and whoever uploaded it
+ * @param {Object} user - { id, accountType }
+ */
+const canPreviewVideo = (user, chunkedVideo) => {
+    if (user.accountType === 'Admin') return true;
+    const uploader = chunkedVideo.uploadedBy || chunkedVideo.tus?.uploadedBy;
+    return Boolean(uploader) && uploader.toString() === user.id;
+};
+
+/**
+ * Find the video a user wants to play and check they may play it
+ * Students name the lecture (courseId + subSectionId); admins and the uploader may also preview
+ * a chunked upload by videoId before it is attached to a lecture. Lectures uploaded in one piece
+ * are returned as the storage object to sign.
+ * @returns {Object} { chunkedVideo, courseId }, { directVideo: { bucket, path }, courseId }
+ * or { status, message } when refused
+ */
+const resolvePlaybackVideo = async (user, { courseId, subSectionId, videoId }) => {
+    if (!courseId || !subSectionId) {
+        if (!videoId) {
+            return { status: 400, message: 'courseId and subSectionId are required' };
+        }
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId });
+        if (!chunkedVideo) return { status: 404, message: 'Video not found' };
+        if (!canPreviewVideo(user, chunkedVideo)) {
+            return { status: 403, message: 'Only admins and the uploader can preview this video' };
+        }
+        return { chunkedVideo, courseId: null };
+    }
+
+    const course = await Course.findById(courseId).select('courseType adminSetFree instructor courseContent');
+    if (!course) return { status: 404, message: 'Course not found' };
+
+    const inCourse = await Section.exists({ _id: { $in: course.courseContent }, subSection: subSectionId });
+    const subSection = inCourse ? await SubSection.findById(subSectionId).select('videoUrl') : null;
+    if (!subSection) return { status: 404, message: 'Lecture not found in this course' };
+
+    if (!await canWatchCourse(user, course)) {
+        return { status: 403, message: 'Access denied. Course access has been disabled or not purchased.' };
+    }
+
+    const lectureVideoId = extractVideoId(subSection.videoUrl);
+    if (!lectureVideoId) {
+        const directVideo = getStorage().parseUrl(subSection.videoUrl);
+        if (!directVideo) return { status: 400, message: 'This lecture has no stored video' };
+        return { directVideo, courseId: course._id.toString() };
+    }
+
+    const chunkedVideo = await ChunkedVideo.findOne({ videoId: lectureVideoId });
+    if (!chunkedVideo) return { status: 404, message: 'Video not found' };
+    return { chunkedVideo, courseId: course._id.toString() };
+};
+
+/**
+ * Sign a playback token for one user and video (and course, except for previews)
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+const createPlaybackToken = (user, videoId, courseId) => {
+    const token = jwt.sign(
+        {
+            typ: TOKEN_TYPE,
+            id: user.id,
+            accountType: user.accountType,
+            video: videoId,
+            course: courseId || null
+        },
+        getTokenSecret(),
+        { expiresIn: VIDEO_PLAYBACK_CONFIG.TOKEN_TTL }
+    );
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Verify a playback token for a video and recheck the user's access to its course
+ * @returns {Object} { claims } or { status, message } when refused
+ */
+const verifyPlaybackToken = async (token, videoId) => {
+    let claims;
+    try {
+        claims = jwt.verify(token, getTokenSecret());
+    } catch (error) {
+        return { status: 401, message: error.name === 'TokenExpiredError' ? 'Playback token has expired' : 'Invalid playback token' };
+    }
+    if (claims.typ !== TOKEN_TYPE || claims.video !== videoId) {
+        return { status: 401, message: 'Invalid playback token' };
+    }
+
+    if (!claims.course) {
+        // Previews: the user must still be an admin or the uploader of the video
+        const chunkedVideo = await ChunkedVideo.findOne({ videoId }).select('uploadedBy tus.uploadedBy');
+        if (!chunkedVideo || !canPreviewVideo(claims, chunkedVideo)) {
+            return { status: 403, message: 'Only admins and the uploader can preview this video' };
+        }
+        return { claims };
+    }
+
+    const course = await Course.findById(claims.course).select('courseType adminSetFree instructor');
+    if (!course || !await canWatchCourse(claims, course)) {
+        return { status: 403, message: 'Access denied. Course access has been disabled or not purchased.' };
+    }
+    return { claims };
+};
+
+/**
+ * Seconds a storage link handed to a player should stay valid: as long as its playback token
+ */
+const getSignedUrlTtl = (claims) => {
+    const remaining = claims.exp - Math.floor(Date.now() / 1000);
+    return Math.max(remaining, VIDEO_PLAYBACK_CONFIG.MIN_SIGNED_URL_TTL);
+};
+
+/**
+ * Signed URLs for several objects of a bucket, in the order of the paths
+ */
+const createSignedUrls = async (bucket, paths, expiresIn) => {
+    if (paths.length === 0) return [];
+    return getStorage().createSignedUrls(bucket, paths, expiresIn);
+};
+
+/**
+ * Signed URL of a lecture video uploaded in one piece, valid as long as a playback token
+ * Unlike chunked videos it is not rechecked per request, so a refund stops playback only
+ * when the URL expires.
+ * @returns {Promise<{ videoUrl: string, expiresAt: Date }>}
+ */
+const signDirectVideo = async ({ bucket, path: filePath }) => {
+    const expiresIn = VIDEO_PLAYBACK_CONFIG.TOKEN_TTL;
+    const [videoUrl] = await createSignedUrls(bucket, [filePath], expiresIn);
+    return { videoUrl, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+/**
+ * Rewrite the segment URIs of a stored HLS variant playlist into signed storage URLs
+ * @param {string} playlist - playlist text as written by ffmpeg (segment URIs relative to it)
+ */
+const signVariantPlaylist = async (chunkedVideo, playlistPath, playlist, expiresIn) => {
+    const lines = playlist.split(/\r?\n/);
+    const uriIndexes = lines
+        .map((line, index) => (line.trim() && !line.startsWith('#') ? index : -1))
+        .filter(index => index !== -1);
+
+    const paths = uriIndexes.map(index => path.posix.join(path.posix.dirname(playlistPath), lines[index].trim()));
+    const signedUrls = await createSignedUrls(chunkedVideo.bucket, paths, expiresIn);
+    uriIndexes.forEach((lineIndex, i) => {
+        lines[lineIndex] = signedUrls[i];
+    });
+    return lines.join('\n');
+};
+
+module.exports = {
+    extractVideoId,
+    canPreviewVideo,
+    resolvePlaybackVideo,
+    createPlaybackToken,
+    verifyPlaybackToken,
+    getSignedUrlTtl,
+    createSignedUrls,
+    signDirectVideo,
+    signVariantPlaylist
+};
@@ -0,0 +1,459 @@
+// Background HLS transcoding of chunked lecture uploads
+// A completed ChunkedVideo is queued through its transcoding.status. The worker claims it
+// atomically, joins the stored chunks into one file, has ffmpeg write one HLS rendition per
+// configured quality and uploads the playlists and segments next to the chunks. The master
+// playlist itself is built per request by the playback route from hls.renditions. The same
+// job records the probed metadata (utils/videoMetadata.js) and takes the poster frame and the
+// thumbnail sprites (utils/videoThumbnails.js) while the source is on disk.
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const ChunkedVideo = require('../models/chunkedVideo');
+const SubSection = require('../models/subSection');
+const { getStorage } = require('./storage');
+const { VIDEO_TRANSCODE_CONFIG, VIDEO_THUMBNAIL_CONFIG } = require('../config/video');
+const { getThumbnailLayout, buildPosterArgs, buildSpriteArgs } = require('../utils/videoThumbnails');
+const { probeVideo, getUnsupportedReason } = require('../utils/videoMetadata');
+
+let pollTimer = null;
+let activeJobs = 0;
+let pumping = false;
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.jpg': 'image/jpeg'
+};
+
+/**
+ * Run a binary and collect its output
+ * @returns {Promise<string>} stdout; rejects with the tail of stderr on failure
+ */
+const runCommand = (command, args, timeout) => new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    // ffmpeg logs progress on stderr; only the end is useful for errors
+    child.stderr.on('data', (data) => { stderr = (stderr + data).slice(-4000); });
+    child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Could not run ${command}: ${error.message}`));
+    });
+    child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve(stdout);
+        reject(new Error(signal ? `${command} was stopped (${signal})` : `${command} exited with code ${code}: ${stderr.trim()}`));
+    });
+});
+
+/**
+ * Renditions to produce for a source of the given height
+ */
+const selectRenditions = (sourceHeight) => {
+    const renditions = [...VIDEO_TRANSCODE_CONFIG.RENDITIONS].sort((a, b) => b.height - a.height);
+    const fitting = renditions.filter(rendition => rendition.height <= sourceHeight);
+    return fitting.length > 0 ? fitting : [renditions[renditions.length - 1]];
+};
+
+/**
+ * ffmpeg arguments for a multi-bitrate HLS encode into outputDir/<rendition>/
+ */
+const buildFfmpegArgs = (inputPath, outputDir, renditions, hasAudio) => {
+    const segmentSeconds = VIDEO_TRANSCODE_CONFIG.SEGMENT_SECONDS;
+    const args = ['-hide_banner', '-y', '-i', inputPath];
+
+    renditions.forEach(() => {
+        args.push('-map', '0:v:0');
+        if (hasAudio) args.push('-map', '0:a:0');
+    });
+
+    args.push(
+        '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+        // Keyframes on segment boundaries so every rendition can switch at any segment
+        '-sc_threshold', '0', '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`
+    );
+    if (hasAudio) args.push('-c:a', 'aac', '-ac', '2');
+
+    renditions.forEach((rendition, index) => {
+        args.push(
+            `-filter:v:${index}`, `scale=-2:${rendition.height}`,
+            `-b:v:${index}`, `${rendition.videoBitrate}k`,
+            `-maxrate:v:${index}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+            `-bufsize:v:${index}`, `${rendition.videoBitrate * 1.5}k`
+        );
+        if (hasAudio) args.push(`-b:a:${index}`, `${rendition.audioBitrate}k`);
+    });
+
+    const streamMap = renditions
+        .map((rendition, index) => (hasAudio ? `v:${index},a:${index}` : `v:${index}`) + `,name:${rendition.name}`)
+        .join(' ');
+
+    args.push(
+        '-f', 'hls',
+        '-hls_time', String(segmentSeconds),
+        '-hls_playlist_type', 'vod',
+        '-hls_flags', 'independent_segments',
+        '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%04d.ts'),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', streamMap,
+        path.join(outputDir, '%v', 'index.m3u8')
+    );
+    return args;
+};
+
+/**
+ * Variant streams of the master playlist written by ffmpeg
+ * @returns {Array} [{ streamInf, uri, width, height, bandwidth }]
+ */
+const parseMasterPlaylist = (content) => {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const variants = [];
+
+    lines.forEach((line, index) => {
+        if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+        const uri = lines.slice(index + 1).find(next => !next.startsWith('#'));
+        const streamInf = line.slice('#EXT-X-STREAM-INF:'.length);
+        const resolution = streamInf.match(/RESOLUTION=(\d+)x(\d+)/);
+        const bandwidth = streamInf.match(/(?:^|,)BANDWIDTH=(\d+)/);
+        variants.push({
+            streamInf,
+            uri,
+            width: resolution ? Number(resolution[1]) : null,
+            height: resolution ? Number(resolution[2]) : null,
+            bandwidth: bandwidth ? Number(bandwidth[1]) : null
+        });
+    });
+    return variants;
+};
+
+/**
+ * Join the stored chunks into one local file
+ */
+const downloadSource = async (chunkedVideo, inputPath) => {
+    const chunks = [...chunkedVideo.uploadedChunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+    for (const chunk of chunks) {
+        let data;
+        try {
+            data = await getStorage().download(chunkedVideo.bucket, chunk.chunkPath);
+        } catch (error) {
+            throw new Error(`Could not download chunk ${chunk.chunkIndex}: ${error.message}`);
+        }
+        await fs.promises.appendFile(inputPath, data);
+    }
+};
+
+/**
+ * Upload every file below localDir to the bucket under storagePath
+ */
+const uploadDirectory = async (bucket, localDir, storagePath) => {
+    const files = [];
+    const walk = async (dir, prefix) => {
+        for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                await walk(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+            } else {
+                files.push({ localPath: path.join(dir, entry.name), storageName: `${prefix}${entry.name}` });
+            }
+        }
+    };
+    await walk(localDir, '');
+
+    const queue = [...files];
+    const uploadNext = async () => {
+        while (queue.length > 0) {
+            const file = queue.shift();
+            try {
+                await getStorage().upload(bucket, `${storagePath}/${file.storageName}`, await fs.promises.readFile(file.localPath), {
+                    contentType: CONTENT_TYPES[path.extname(file.localPath)] || 'application/octet-stream',
+                    cacheControl: '31536000',
+                    upsert: true
+                });
+            } catch (error) {
+                throw new Error(`Could not upload ${file.storageName}: ${error.message}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: VIDEO_TRANSCODE_CONFIG.UPLOAD_CONCURRENCY }, uploadNext));
+    return files.length;
+};
+
+/**
+ * Encode the HLS renditions of a video and store them
+ */
+const transcodeToHls = async (chunkedVideo, inputPath, source, outputDir) => {
+    const renditions = selectRenditions(source.height);
+    for (const rendition of renditions) {
+        await fs.promises.mkdir(path.join(outputDir, rendition.name), { recursive: true });
+    }
+    await runCommand(
+        VIDEO_TRANSCODE_CONFIG.FFMPEG_PATH,
+        buildFfmpegArgs(inputPath, outputDir, renditions, source.hasAudio),
+        VIDEO_TRANSCODE_CONFIG.FFMPEG_TIMEOUT
+    );
+
+    const master = await fs.promises.readFile(path.join(outputDir, 'master.m3u8'), 'utf8');
+    const variants = parseMasterPlaylist(master);
+    if (variants.length === 0) {
+        throw new Error('ffmpeg wrote no variant streams');
+    }
+
+    const hlsPath = `${chunkedVideo.folder}/hls/${chunkedVideo.videoId}`;
+    const uploaded = await uploadDirectory(chunkedVideo.bucket, outputDir, hlsPath);
+
+    chunkedVideo.hls = {
+        path: hlsPath,
+        renditions: variants.map(variant => ({
+            name: path.dirname(variant.uri),
+            width: variant.width,
+            height: variant.height,
+            bandwidth: variant.bandwidth,
+            streamInf: variant.streamInf,
+            playlistPath: `${hlsPath}/${variant.uri}`
+        }))
+    };
+    console.log(`✅ Video ${chunkedVideo.videoId} transcoded: ${renditions.map(item => item.name).join(', ')} (${uploaded} files)`);
+};
+
+/**
+ * Take the poster frame and thumbnail sprites of a video and store them
+ * @returns {Object} value for ChunkedVideo.thumbnails
+ */
+const createThumbnails = async (chunkedVideo, inputPath, source, outputDir) => {
+    await fs.promises.mkdir(outputDir, { recursive: true });
+    const layout = getThumbnailLayout(source);
+
+    await runCommand(
+        VIDEO_TRANSCODE_CONFIG.FFMPEG_PATH,
+        buildPosterArgs(inputPath, path.join(outputDir, 'poster.jpg'), source.duration),
+        10 * 60 * 1000
+    );
+    await runCommand(
+        VIDEO_TRANSCODE_CONFIG.FFMPEG_PATH,
+        buildSpriteArgs(inputPath, path.join(outputDir, 'sprite-%03d.jpg'), layout),
+        VIDEO_TRANSCODE_CONFIG.FFMPEG_TIMEOUT
+    );
+
+    const sprites = (await fs.promises.readdir(outputDir)).filter(name => name.startsWith('sprite-')).sort();
+    if (sprites.length === 0) {
+        throw new Error('ffmpeg wrote no thumbnail sprites');
+    }
+
+    const thumbnailsPath = `${chunkedVideo.folder}/thumbnails/${chunkedVideo.videoId}`;
+    await uploadDirectory(chunkedVideo.bucket, outputDir, thumbnailsPath);
+
+    return {
+        path: thumbnailsPath,
+        posterPath: `${thumbnailsPath}/poster.jpg`,
+        sprites: sprites.map(name => `${thumbnailsPath}/${name}`),
+        ...layout,
+        error: null
+    };
+};
+
+/**
+ * Store the probed metadata on the video and on the lectures playing it
+ * Uploads that did not go through the lecture form get their duration here.
+ */
+const recordVideoMetadata = async (chunkedVideo, source) => {
+    const videoMetadata = { ...source, probedAt: new Date() };
+    chunkedVideo.videoMetadata = videoMetadata;
+    chunkedVideo.duration = source.duration;
+
+    if (chunkedVideo.finalVideoUrl && source.duration > 0) {
+        await SubSection.updateMany(
+            { videoUrl: chunkedVideo.finalVideoUrl },
+            { $set: { timeDuration: Math.round(source.duration), videoMetadata } }
+        );
+    }
+};
+
+/**
+ * Transcode one claimed video and store its HLS renditions, poster and thumbnails
+ */
+const transcodeVideo = async (chunkedVideo) => {
+    const workDir = path.join(VIDEO_TRANSCODE_CONFIG.WORK_DIR, chunkedVideo.videoId);
+    const inputPath = path.join(workDir, `source${path.extname(chunkedVideo.originalFilename) || '.mp4'}`);
+    const outputDir = path.join(workDir, 'hls');
+    // Videos queued for thumbnails only keep the renditions they have
+    const thumbnailsOnly = chunkedVideo.transcoding.thumbnailsOnly && chunkedVideo.hls?.renditions?.length > 0;
+
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    try {
+        console.log(`🎞️ ${thumbnailsOnly ? 'Making thumbnails of' : 'Transcoding'} video ${chunkedVideo.videoId} (attempt ${chunkedVideo.transcoding.attempts})`);
+        await downloadSource(chunkedVideo, inputPath);
+
+        const source = await probeVideo(inputPath);
+        await recordVideoMetadata(chunkedVideo, source);
+
+        const unsupported = getUnsupportedReason(source);
+        if (unsupported) {
+            // Trying again won't help; the chunked stream is left as it is
+            console.error(`Video ${chunkedVideo.videoId} can't be transcoded: ${unsupported}`);
+            chunkedVideo.transcoding.status = 'failed';
+            chunkedVideo.transcoding.error = `Unsupported video: ${unsupported}`;
+            chunkedVideo.transcoding.lockedAt = null;
+            chunkedVideo.transcoding.thumbnailsOnly = false;
+            await chunkedVideo.save();
+            return;
+        }
+
+        if (!thumbnailsOnly) {
+            await transcodeToHls(chunkedVideo, inputPath, source, outputDir);
+        }
+
+        if (VIDEO_THUMBNAIL_CONFIG.ENABLED) {
+            try {
+                chunkedVideo.thumbnails = await createThumbnails(chunkedVideo, inputPath, source, path.join(workDir, 'thumbnails'));
+                console.log(`🖼️ Video ${chunkedVideo.videoId}: poster and ${chunkedVideo.thumbnails.sprites.length} thumbnail sprite(s) stored`);
+            } catch (error) {
+                // Playback works without thumbnails, so this doesn't fail the job
+                console.error(`Error making thumbnails of video ${chunkedVideo.videoId}:`, error.message);
+                chunkedVideo.thumbnails = { error: error.message };
+            }
+        }
+
+        chunkedVideo.transcoding.status = 'ready';
+        chunkedVideo.transcoding.error = null;
+        chunkedVideo.transcoding.lockedAt = null;
+        chunkedVideo.transcoding.completedAt = new Date();
+        chunkedVideo.transcoding.thumbnailsOnly = false;
+        await chunkedVideo.save();
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+};
+
+const retryDelay = (attempts) => VIDEO_TRANSCODE_CONFIG.RETRY_DELAY_BASE * Math.pow(2, attempts - 1);
+
+/**
+ * Atomically claim the next queued video (or one whose worker died)
+ */
+const claimNextVideo = () => {
+    const now = new Date();
+    return ChunkedVideo.findOneAndUpdate(
+        {
+            $or: [
+                { 'transcoding.status': 'queued', 'transcoding.nextRunAt': { $lte: now } },
+                {
+                    'transcoding.status': 'processing',
+                    'transcoding.lockedAt': { $lte: new Date(now.getTime() - VIDEO_TRANSCODE_CONFIG.LOCK_TIMEOUT) }
+                }
+            ]
+        },
+        {
+            $set: { 'transcoding.status': 'processing', 'transcoding.lockedAt': now },
+            $inc: { 'transcoding.attempts': 1 }
+        },
+        { sort: { completedAt: 1 }, new: true }
+    );
+};
+
+const runJob = async (chunkedVideo) => {
+    try {
+        await transcodeVideo(chunkedVideo);
+    } catch (error) {
+        console.error(`Error transcoding video ${chunkedVideo.videoId}:`, error.message);
+        try {
+            const { attempts } = chunkedVideo.transcoding;
+            chunkedVideo.transcoding.error = error.message;
+            chunkedVideo.transcoding.lockedAt = null;
+            if (attempts <= VIDEO_TRANSCODE_CONFIG.MAX_RETRIES) {
+                chunkedVideo.transcoding.status = 'queued';
+                chunkedVideo.transcoding.nextRunAt = new Date(Date.now() + retryDelay(attempts));
+            } else if (chunkedVideo.transcoding.thumbnailsOnly && chunkedVideo.hls?.renditions?.length > 0) {
+                // Only the thumbnails are missing; the renditions are still fine
+                chunkedVideo.transcoding.status = 'ready';
+                chunkedVideo.transcoding.thumbnailsOnly = false;
+                chunkedVideo.thumbnails = { error: error.message };
+            } else {
+                // The chunked stream keeps working, so playback is not affected
+                chunkedVideo.transcoding.status = 'failed';
+            }
+            await chunkedVideo.save();
+        } catch (saveError) {
+            console.error('Error saving failed transcoding state:', saveError);
+        }
+    }
+};
+
+/**
+ * Fill free worker slots with queued videos
+ */
+const pump = async () => {
+    if (pumping) return;
+    pumping = true;
+
+    try {
+        while (activeJobs < VIDEO_TRANSCODE_CONFIG.CONCURRENCY) {
+            const chunkedVideo = await claimNextVideo();
+            if (!chunkedVideo) return;
+
+            activeJobs++;
+            runJob(chunkedVideo).finally(() => {
+                activeJobs--;
+                pump();
+            });
+        }
+    } catch (error) {
+        console.error('Error claiming video for transcoding:', error);
+    } finally {
+        pumping = false;
+    }
+};
+
+/**
+ * Queue a completed upload for transcoding and wake the worker
+ * @param {Object} chunkedVideo - ChunkedVideo document (saved by the caller)
+ * @param {Object} options - { thumbnailsOnly } to keep the existing renditions and only make thumbnails
+ */
+const queueTranscode = (chunkedVideo, { thumbnailsOnly = false } = {}) => {
+    if (!VIDEO_TRANSCODE_CONFIG.ENABLED) return false;
+    chunkedVideo.transcoding = {
+        status: 'queued',
+        attempts: 0,
+        nextRunAt: new Date(),
+        lockedAt: null,
+        error: null,
+        completedAt: null,
+        thumbnailsOnly
+    };
+    return true;
+};
+
+const enqueueTranscode = () => {
+    if (VIDEO_TRANSCODE_CONFIG.ENABLED) setImmediate(pump);
+};
+
+/**
+ * Start polling for queued videos
+ */
+const startTranscodeWorker = () => {
+    if (pollTimer || !VIDEO_TRANSCODE_CONFIG.ENABLED) return;
+
+    pollTimer = setInterval(pump, VIDEO_TRANSCODE_CONFIG.POLL_INTERVAL);
+    pump();
+    console.log(`Video transcoding worker started (concurrency ${VIDEO_TRANSCODE_CONFIG.CONCURRENCY})`);
+};
+
+const stopTranscodeWorker = () => {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+};
+
+module.exports = {
+    downloadSource,
+    parseMasterPlaylist,
+    selectRenditions,
+    buildFfmpegArgs,
+    queueTranscode,
+    enqueueTranscode,
+    startTranscodeWorker,
+    stopTranscodeWorker
+};
@@ -1,6 +1,7 @@
-const { supabaseAdmin } = require('../config/supabaseAdmin');
+const { getStorage } = require('../services/storage');
 const { getBucketForFileType, CHUNKED_UPLOAD_CONFIG } = require('../config/supabaseStorage');
 const { extractVideoMetadata } = require('./videoMetadata');
+const { queueTranscode, enqueueTranscode } = require('../services/videoTranscoding');
 const ChunkedVideo = require('../models/chunkedVideo');
 const path = require('path');
 const crypto = require('crypto');
@@ -17,10 +18,103 @@ const generateVideoId = () => {
     return crypto.randomBytes(16).toString('hex');
 };
 
+/**
+ * Store one chunk file in the video's bucket, retrying with exponential backoff
+ * @returns {string} the storage path of the chunk
+ */
+const uploadChunkFile = async (chunkedVideo, filename, chunkBuffer, upsert = false) => {
+    let uploadAttempts = 0;
+    let uploadSuccess = false;
+    let chunkPath = '';
+
+    // Retry upload with exponential backoff and better error handling
+    while (uploadAttempts < MAX_RETRIES && !uploadSuccess) {
+        try {
+            uploadAttempts++;
+            console.log(`Upload attempt ${uploadAttempts}/${MAX_RETRIES} for ${filename}`);
+
+            // Add timeout for individual chunk uploads
+            const uploadPromise = getStorage().upload(chunkedVideo.bucket, filename, chunkBuffer, {
+                contentType: 'application/octet-stream',
+                cacheControl: '3600',
+                upsert
+            });
+
+            // Set timeout for chunk upload (5 minutes per chunk)
+            const timeoutPromise = new Promise((_, reject) => {
+                setTimeout(() => reject(new Error('Chunk upload timeout')), 5 * 60 * 1000);
+            });
+
+            const data = await Promise.race([uploadPromise, timeoutPromise]);
+
+            if (!data || !data.path) {
+                throw new Error('Invalid response from storage - no path returned');
+            }
+
+            chunkPath = data.path;
+            uploadSuccess = true;
+            console.log(`✅ ${filename} uploaded successfully to path: ${chunkPath}`);
+
+        } catch (uploadError) {
+            console.error(`Attempt ${uploadAttempts} failed for ${filename}:`, uploadError);
+            console.error('Upload error details:', {
+                errorMessage: uploadError.message,
+                errorName: uploadError.name,
+                chunkSize: chunkBuffer.length,
+                bucket: chunkedVideo.bucket,
+                filename,
+                attempt: uploadAttempts,
+                maxRetries: MAX_RETRIES
+            });
+            
+            if (uploadAttempts < MAX_RETRIES) {
+                // Exponential backoff with jitter to avoid thundering herd
+                const baseDelay = RETRY_DELAY_BASE * Math.pow(2, uploadAttempts - 1);
+                const jitter = Math.random() * 1000; // Add up to 1 second of jitter
+                const waitTime = baseDelay + jitter;
+                
+                console.log(`Retrying ${filename} in ${Math.round(waitTime)}ms...`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+            } else {
+                // Final attempt failed, provide detailed error
+                const errorDetails = {
+                    totalAttempts: uploadAttempts,
+                    lastError: uploadError.message,
+                    chunkSize: chunkBuffer.length,
+                    bucket: chunkedVideo.bucket
+                };
+                
+                throw new Error(`Failed to upload ${filename} after ${MAX_RETRIES} attempts. Details: ${JSON.stringify(errorDetails)}`);
+            }
+        }
+    }
+
+    return chunkPath;
+};
+
+/**
+ * Storage path of a chunk
+ */
+const getChunkFilename = (chunkedVideo, chunkIndex) => {
+    const extension = path.extname(chunkedVideo.originalFilename);
+    return `${chunkedVideo.folder}/chunks/${chunkedVideo.videoId}/chunk_${chunkIndex.toString().padStart(4, '0')}${extension}`;
+};
+
+/**
+ * Enhanced video detection - check both mimetype and file extension
+ */
+const isVideoUpload = (mimetype, originalname) => {
+    const isVideoByMimetype = Boolean(mimetype) && mimetype.startsWith('video/');
+    const isVideoByExtension = Boolean(originalname) && /\.(mp4|mov|avi|wmv|mkv|flv|webm)$/i.test(originalname);
+    const isMkvFile = Boolean(originalname) && /\.mkv$/i.test(originalname);
+    const isOctetStreamMkv = mimetype === 'application/octet-stream' && isMkvFile;
+    return isVideoByMimetype || isVideoByExtension || isOctetStreamMkv;
+};
+
 /**
  * Initialize chunked video upload
  */
-const initializeChunkedUpload = async (file, folder = 'videos') => {
+const initializeChunkedUpload = async (file, folder = 'videos', uploadedBy = null) => {
     try {
         console.log('🎬 Initializing chunked video upload...');
         
@@ -29,14 +123,7 @@ const initializeChunkedUpload = async (file, folder = 'videos') => {
             throw new Error('Invalid file buffer');
         }
 
-        // Enhanced video detection - check both mimetype and file extension
-        const isVideoByMimetype = file.mimetype.startsWith('video/');
-        const isVideoByExtension = file.originalname && /\.(mp4|mov|avi|wmv|mkv|flv|webm)$/i.test(file.originalname);
-        const isMkvFile = file.originalname && /\.mkv$/i.test(file.originalname);
-        const isOctetStreamMkv = file.mimetype === 'application/octet-stream' && isMkvFile;
-        const isVideo = isVideoByMimetype || isVideoByExtension || isOctetStreamMkv;
-
-        if (!isVideo) {
+        if (!isVideoUpload(file.mimetype, file.originalname)) {
             throw new Error('File must be a video');
         }
 
@@ -64,6 +151,7 @@ const initializeChunkedUpload = async (file, folder = 'videos') => {
             mimetype: file.mimetype,
             bucket,
             folder,
+            uploadedBy,
             uploadedChunks: []
         });
 
@@ -108,84 +196,7 @@ const uploadChunk = async (videoId, chunkIndex, chunkBuffer) => {
             };
         }
 
-        // Generate chunk filename
-        const extension = path.extname(chunkedVideo.originalFilename);
-        const chunkFilename = `${chunkedVideo.folder}/chunks/${videoId}/chunk_${chunkIndex.toString().padStart(4, '0')}${extension}`;
-
-        let uploadAttempts = 0;
-        let uploadSuccess = false;
-        let chunkPath = '';
-
-        // Retry upload with exponential backoff and better error handling
-        while (uploadAttempts < MAX_RETRIES && !uploadSuccess) {
-            try {
-                uploadAttempts++;
-                console.log(`Upload attempt ${uploadAttempts}/${MAX_RETRIES} for chunk ${chunkIndex}`);
-
-                // Add timeout for individual chunk uploads
-                const uploadPromise = supabaseAdmin.storage
-                    .from(chunkedVideo.bucket)
-                    .upload(chunkFilename, chunkBuffer, {
-                        contentType: 'application/octet-stream',
-                        cacheControl: '3600',
-                        upsert: false
-                    });
-
-                // Set timeout for chunk upload (5 minutes per chunk)
-                const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error('Chunk upload timeout')), 5 * 60 * 1000);
-                });
-
-                const { data, error } = await Promise.race([uploadPromise, timeoutPromise]);
-
-                if (error) {
-                    console.error(`Supabase storage error for chunk ${chunkIndex}:`, error);
-                    throw new Error(`Supabase upload error: ${error.message}`);
-                }
-
-                if (!data || !data.path) {
-                    throw new Error('Invalid response from Supabase storage - no path returned');
-                }
-
-                chunkPath = data.path;
-                uploadSuccess = true;
-                console.log(`✅ Chunk ${chunkIndex} uploaded successfully to path: ${chunkPath}`);
-
-            } catch (uploadError) {
-                console.error(`Attempt ${uploadAttempts} failed for chunk ${chunkIndex}:`, uploadError);
-                console.error('Upload error details:', {
-                    errorMessage: uploadError.message,
-                    errorName: uploadError.name,
-                    chunkIndex,
-                    chunkSize: chunkBuffer.length,
-                    bucket: chunkedVideo.bucket,
-                    filename: chunkFilename,
-                    attempt: uploadAttempts,
-                    maxRetries: MAX_RETRIES
-                });
-                
-                if (uploadAttempts < MAX_RETRIES) {
-                    // Exponential backoff with jitter to avoid thundering herd
-                    const baseDelay = RETRY_DELAY_BASE * Math.pow(2, uploadAttempts - 1);
-                    const jitter = Math.random() * 1000; // Add up to 1 second of jitter
-                    const waitTime = baseDelay + jitter;
-                    
-                    console.log(`Retrying chunk ${chunkIndex} in ${Math.round(waitTime)}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
-                } else {
-                    // Final attempt failed, provide detailed error
-                    const errorDetails = {
-                        chunkIndex,
-                        totalAttempts: uploadAttempts,
-                        lastError: uploadError.message,
-                        chunkSize: chunkBuffer.length,
-                        bucket: chunkedVideo.bucket
-                    };
-                    
-                    throw new Error(`Failed to upload chunk ${chunkIndex} after ${MAX_RETRIES} attempts. Details: ${JSON.stringify(errorDetails)}`);
-                }
-            }
-        }
+        const chunkPath = await uploadChunkFile(chunkedVideo, getChunkFilename(chunkedVideo, chunkIndex), chunkBuffer);
 
         // Update chunked video record
         chunkedVideo.uploadedChunks.push({
@@ -249,16 +260,12 @@ const completeChunkedUpload = async (videoId) => {
         const sortedChunks = chunkedVideo.uploadedChunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
 
         // Generate chunk URLs for playback
-        const chunkUrls = sortedChunks.map(chunk => {
-            const { data: urlData } = supabaseAdmin.storage
-                .from(chunkedVideo.bucket)
-                .getPublicUrl(chunk.chunkPath);
-            return {
-                index: chunk.chunkIndex,
-                url: urlData.publicUrl,
-                size: chunk.chunkSize
-            };
-        });
+        const storage = getStorage();
+        const chunkUrls = sortedChunks.map(chunk => ({
+            index: chunk.chunkIndex,
+            url: storage.getPublicUrl(chunkedVideo.bucket, chunk.chunkPath),
+            size: chunk.chunkSize
+        }));
 
         // Create a manifest URL that will serve the chunk information
         const manifestData = {
@@ -277,29 +284,28 @@ const completeChunkedUpload = async (videoId) => {
         const manifestFilename = `${chunkedVideo.folder}/manifests/${videoId}_manifest.json`;
         const manifestBuffer = Buffer.from(JSON.stringify(manifestData, null, 2));
 
-        const { data: manifestUpload, error: manifestError } = await supabaseAdmin.storage
-            .from(chunkedVideo.bucket)
-            .upload(manifestFilename, manifestBuffer, {
+        try {
+            await storage.upload(chunkedVideo.bucket, manifestFilename, manifestBuffer, {
                 contentType: 'application/json',
                 cacheControl: '3600',
                 upsert: true
             });
-
-        if (manifestError) {
+        } catch (manifestError) {
             console.warn('Failed to upload manifest, continuing without it:', manifestError);
         }
 
         // Get manifest URL
-        const { data: manifestUrlData } = supabaseAdmin.storage
-            .from(chunkedVideo.bucket)
-            .getPublicUrl(manifestFilename);
-
-        const manifestUrl = manifestUrlData.publicUrl;
+        const manifestUrl = storage.getPublicUrl(chunkedVideo.bucket, manifestFilename);
 
         // Update chunked video record
         chunkedVideo.finalVideoUrl = manifestUrl; // Store manifest URL as the "video URL"
         chunkedVideo.completedAt = new Date();
+        // Adaptive streaming renditions are built in the background; the chunks play until then
+        const transcodeQueued = queueTranscode(chunkedVideo);
         await chunkedVideo.save();
+        if (transcodeQueued) {
+            enqueueTranscode();
+        }
 
         console.log('✅ Chunked upload completed successfully (chunks kept separate)');
 
@@ -317,7 +323,8 @@ const completeChunkedUpload = async (videoId) => {
             status: 'completed',
             isChunked: true,
             chunks: chunkUrls,
-            manifestUrl: manifestUrl
+            manifestUrl: manifestUrl,
+            transcoding: chunkedVideo.transcoding.status
         };
 
     } catch (error) {
@@ -346,18 +353,18 @@ const cleanupChunks = async (videoId, force = false) => {
             return;
         }
 
-        // Delete chunk files from Supabase
+        // Delete chunk files from storage
         const chunkPaths = chunkedVideo.uploadedChunks.map(chunk => chunk.chunkPath);
+        if (chunkedVideo.tus?.partialPath) {
+            chunkPaths.push(chunkedVideo.tus.partialPath);
+        }
         
         if (chunkPaths.length > 0) {
-            const { data, error } = await supabaseAdmin.storage
-                .from(chunkedVideo.bucket)
-                .remove(chunkPaths);
-
-            if (error) {
-                console.error('Error deleting chunks:', error);
-            } else {
+            try {
+                await getStorage().remove(chunkedVideo.bucket, chunkPaths);
                 console.log(`✅ Cleaned up ${chunkPaths.length} chunk files`);
+            } catch (error) {
+                console.error('Error deleting chunks:', error);
             }
         }
 
@@ -398,11 +405,20 @@ const getUploadProgress = async (videoId) => {
 
 /**
  * Process entire video file in chunks
+ * @param {Object} videoMetadata - Result of extractVideoMetadata, when the caller has already probed the file
  */
-const uploadVideoInChunks = async (file, folder = 'videos') => {
+const uploadVideoInChunks = async (file, folder = 'videos', videoMetadata = null) => {
     try {
         console.log('🎬 Starting chunked video upload process...');
 
+        if (!videoMetadata) {
+            videoMetadata = await extractVideoMetadata(file.buffer, {
+                originalname: file.originalname,
+                size: file.size,
+                mimetype: file.mimetype
+            });
+        }
+
         // Initialize upload
         const initResult = await initializeChunkedUpload(file, folder);
         const { videoId, totalChunks } = initResult;
@@ -473,27 +489,12 @@ const uploadVideoInChunks = async (file, folder = 'videos') => {
 
         console.log('✅ All chunks verified successfully, proceeding to complete upload...');
 
-        // Extract video duration before completing upload
-        let videoDuration = 0;
-        try {
-            console.log('🎬 Extracting video duration from chunked upload...');
-            const videoMetadata = await extractVideoMetadata(file.buffer, {
-                originalname: file.originalname,
-                size: file.size,
-                mimetype: file.mimetype
-            });
-            videoDuration = videoMetadata.duration;
-            console.log(`✅ Video duration extracted: ${videoDuration}s`);
-        } catch (durationError) {
-            console.warn('⚠️ Failed to extract video duration:', durationError.message);
-            videoDuration = 0;
-        }
-
         // Complete the upload (creates manifest, keeps chunks separate)
         const finalResult = await completeChunkedUpload(videoId);
         
         // Add duration to the result
-        finalResult.duration = videoDuration;
+        finalResult.duration = Math.round(videoMetadata.duration);
+        finalResult.metadata = videoMetadata;
 
         console.log('🎉 Chunked video upload completed successfully!');
         console.log('📋 Chunks stored separately for Supabase free tier compatibility');
@@ -513,5 +514,8 @@ module.exports = {
     cleanupChunks,
     uploadVideoInChunks,
     generateVideoId,
+    isVideoUpload,
+    uploadChunkFile,
+    getChunkFilename,
     CHUNK_SIZE
 };
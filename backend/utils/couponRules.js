@@ -0,0 +1,90 @@
+const Coupon = require('../models/coupon');
+
+/**
+ * Find a coupon by code for a checkout type ('course' or 'bundle')
+ */
+const findCoupon = (code, checkoutType) => {
+    return Coupon.findOne({
+        code: String(code).toUpperCase(),
+        linkedTo: checkoutType
+    });
+};
+
+/**
+ * Why a coupon can't be used for an order, or null when it can
+ * @param {Object} coupon - Coupon document
+ * @param {string} userId
+ * @param {number} totalAmount - Order amount before the discount
+ * @returns {Object|null} { status, message }
+ */
+const getCouponError = (coupon, userId, totalAmount) => {
+    if (!coupon.isActive) {
+        return { status: 400, message: 'Coupon is not active' };
+    }
+
+    const now = new Date();
+    if (now < new Date(coupon.startDate)) {
+        return { status: 400, message: 'Coupon is not yet active' };
+    }
+    if (now > new Date(coupon.expiryDate)) {
+        return { status: 400, message: 'Coupon has expired' };
+    }
+
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+        return { status: 400, message: 'Coupon usage limit exceeded' };
+    }
+
+    const userUsage = coupon.userUsage.find(u => u.user.toString() === userId.toString());
+    if (coupon.perUserLimit > 0 && userUsage && userUsage.usedCount >= coupon.perUserLimit) {
+        return { status: 400, message: 'You have exceeded the usage limit for this coupon' };
+    }
+
+    if (coupon.minimumOrderAmount > 0 && totalAmount < coupon.minimumOrderAmount) {
+        return { status: 400, message: `Minimum order amount of ₹${coupon.minimumOrderAmount} required` };
+    }
+
+    return null;
+};
+
+/**
+ * Discount of a coupon on an order amount, never more than the amount
+ */
+const calculateCouponDiscount = (coupon, totalAmount) => {
+    let discountAmount = 0;
+    if (coupon.discountType === 'percentage') {
+        discountAmount = (totalAmount * coupon.discountValue) / 100;
+        // Apply maximum discount limit if set
+        if (coupon.maxDiscountAmount > 0) {
+            discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+        }
+    } else {
+        discountAmount = coupon.discountValue;
+    }
+
+    return Math.min(discountAmount, totalAmount);
+};
+
+/**
+ * Count one use of a coupon by a user
+ */
+const recordCouponUse = async (coupon, userId) => {
+    coupon.usedCount += 1;
+    coupon.lastUsed = new Date();
+
+    const userUsageIndex = coupon.userUsage.findIndex(u => u.user.toString() === userId.toString());
+    if (userUsageIndex >= 0) {
+        coupon.userUsage[userUsageIndex].usedCount += 1;
+    } else {
+        coupon.userUsage.push({ user: userId, usedCount: 1 });
+    }
+
+    coupon.analytics.successfulUses += 1;
+    await coupon.save();
+};
+
+module.exports = {
+    findCoupon,
+    getCouponError,
+    calculateCouponDiscount,
+    recordCouponUse
+};
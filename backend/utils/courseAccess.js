@@ -0,0 +1,89 @@
+const Order = require('../models/order');
+const User = require('../models/user');
+
+/**
+ * Whether a course is free for everyone (by type or made free by an admin)
+ */
+const isCourseFree = (course) => {
+    return course.courseType === 'Free' || Boolean(course.adminSetFree);
+};
+
+/**
+ * Whether a student may watch a course: it is free, or they have an active order for it
+ * @param {string} userId
+ * @param {Object} course - needs courseType and adminSetFree
+ */
+const hasCourseAccess = async (userId, course) => {
+    if (isCourseFree(course)) return true;
+
+    const activeOrder = await Order.exists({
+        user: userId,
+        course: course._id,
+        status: true
+    });
+    return Boolean(activeOrder);
+};
+
+/**
+ * Admins and the course's instructor can always watch; students need a free course or an active order
+ * @param {Object} user - { id, accountType }
+ * @param {Object} course - needs courseType, adminSetFree and instructor
+ */
+const canWatchCourse = async (user, course) => {
+    if (user.accountType === 'Admin') return true;
+    if (user.accountType === 'Instructor' && course.instructor && course.instructor.toString() === user.id) return true;
+    return hasCourseAccess(user.id, course);
+};
+
+/**
+ * The enrollment check of the course player: admins, the course's instructor, and enrolled
+ * students with a free course or an active order
+ * @param {Object} user - { id, accountType }
+ * @param {Object} course - needs courseType, adminSetFree and instructor
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, status, message, isDeactivated? }
+ */
+const checkCourseEnrollment = async (user, course) => {
+    if (user.accountType === 'Admin') return { allowed: true };
+    if (user.accountType === 'Instructor' && course.instructor && course.instructor.toString() === user.id) {
+        return { allowed: true };
+    }
+    if (user.accountType !== 'Student') {
+        return { allowed: false, status: 403, message: 'You are not authorized to access this course' };
+    }
+
+    const student = await User.findById(user.id).select('courses');
+    if (!student) {
+        return { allowed: false, status: 404, message: 'User not found' };
+    }
+
+    const isEnrolled = student.courses.some(c => c.toString() === course._id.toString());
+    if (!isEnrolled) {
+        return { allowed: false, status: 403, message: 'You are not enrolled in this course' };
+    }
+
+    if (await hasCourseAccess(user.id, course)) return { allowed: true };
+
+    // A paid order that was switched off, i.e. by an admin; older orders have no paymentStatus
+    const inactiveOrder = await Order.exists({
+        user: user.id,
+        course: course._id,
+        status: false,
+        paymentStatus: { $in: ['paid', 'partially_refunded', null] }
+    });
+    if (inactiveOrder) {
+        return {
+            allowed: false,
+            status: 403,
+            message: 'This course has been deactivated by the admin. Please contact the administrator for further information.',
+            isDeactivated: true
+        };
+    }
+    return { allowed: false, status: 403, message: 'You do not have an active enrollment for this course' };
+};
+
+module.exports = {
+    isCourseFree,
+    hasCourseAccess,
+    canWatchCourse,
+    checkCourseEnrollment
+};
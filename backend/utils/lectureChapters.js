@@ -0,0 +1,56 @@
+// Chapter markers of lecture videos
+const { CHAPTER_CONFIG } = require('../config/video');
+
+/**
+ * Read the chapter markers of a create/update lecture request
+ * Multipart forms send them as a JSON string, JSON bodies as an array.
+ * @param {string|Array} value - [{ time, title }] with time in seconds
+ * @param {number} duration - length of the lecture video in seconds, 0 if unknown
+ * @returns {Object} { chapters } sorted by time, or { error }
+ */
+const parseChapters = (value, duration = 0) => {
+    let list = value;
+    if (typeof value === 'string') {
+        if (!value.trim()) return { chapters: [] };
+        try {
+            list = JSON.parse(value);
+        } catch (error) {
+            return { error: 'Chapters must be a JSON array' };
+        }
+    }
+    if (!Array.isArray(list)) {
+        return { error: 'Chapters must be an array' };
+    }
+    if (list.length > CHAPTER_CONFIG.MAX_CHAPTERS) {
+        return { error: `A lecture can have at most ${CHAPTER_CONFIG.MAX_CHAPTERS} chapters` };
+    }
+
+    const chapters = [];
+    for (const [index, chapter] of list.entries()) {
+        const time = Number(chapter?.time);
+        const title = typeof chapter?.title === 'string' ? chapter.title.trim() : '';
+
+        if (!Number.isFinite(time) || time < 0) {
+            return { error: `Chapter ${index + 1}: time must be a number of seconds` };
+        }
+        if (duration > 0 && time >= duration) {
+            return { error: `Chapter ${index + 1}: starts after the end of the video` };
+        }
+        if (!title || title.length > CHAPTER_CONFIG.MAX_TITLE_LENGTH) {
+            return { error: `Chapter ${index + 1}: title is required and can be at most ${CHAPTER_CONFIG.MAX_TITLE_LENGTH} characters` };
+        }
+        chapters.push({ time: Math.round(time * 1000) / 1000, title });
+    }
+
+    chapters.sort((a, b) => a.time - b.time);
+    const duplicate = chapters.find((chapter, index) => index > 0 && chapter.time === chapters[index - 1].time);
+    if (duplicate) {
+        return { error: `Two chapters start at ${duplicate.time}s` };
+    }
+
+    return { chapters };
+};
+
+module.exports = {
+    parseChapters
+};
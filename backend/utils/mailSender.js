@@ -1,7 +1,8 @@
 const nodemailer = require('nodemailer');
 const path = require('path');
 
-const mailSender = async (email, title, body) => {
+// attachments (optional) are sent along with the logo, e.g. [{ filename, content }]
+const mailSender = async (email, title, body, attachments = []) => {
     try {
         if (!process.env.MAIL_HOST || !process.env.MAIL_USER || !process.env.MAIL_PASS) {
             throw new Error('Mail configuration is missing. Please check environment variables.');
@@ -31,7 +32,8 @@ const mailSender = async (email, title, body) => {
                     filename: 'beeja-logo.png',
                     path: path.join(__dirname, '../public/images/Beeja innovative ventures.png'),
                     cid: 'beeja-logo'
-                }
+                },
+                ...attachments
             ]
         });
 
@@ -1,4 +1,4 @@
-const supabase = require('../config/supabase');
+const { getStorage, createSignedUrl } = require('../services/storage');
 const { STORAGE_BUCKETS } = require('../config/supabaseStorage');
 
 /**
@@ -11,29 +11,20 @@ const generateSignedUrl = async (fileUrl, expiresIn = 3600) => {
     try {
         if (!fileUrl) return null;
 
-        // Extract bucket and path from Supabase URL
-        const urlParts = fileUrl.split('/storage/v1/object/public/');
-        if (urlParts.length !== 2) {
-            console.warn('Invalid Supabase URL format for signed URL generation');
+        // Extract bucket and path from the storage URL
+        const location = getStorage().parseUrl(fileUrl);
+        if (!location) {
+            console.warn('Invalid storage URL format for signed URL generation');
             return fileUrl; // Return original URL as fallback
         }
 
-        const [bucket, ...pathParts] = urlParts[1].split('/');
-        const filePath = pathParts.join('/');
-
+        const { bucket, path: filePath } = location;
         console.log(`Generating signed URL for bucket: ${bucket}, path: ${filePath}`);
 
-        const { data, error } = await supabase.storage
-            .from(bucket)
-            .createSignedUrl(filePath, expiresIn);
-
-        if (error) {
-            console.error('Error generating signed URL:', error);
-            return fileUrl; // Return original URL as fallback
-        }
+        const signedUrl = await createSignedUrl(bucket, filePath, expiresIn);
 
         console.log('Generated signed URL for:', filePath);
-        return data.signedUrl;
+        return signedUrl;
     } catch (error) {
         console.error('Error generating signed URL:', error);
         return fileUrl; // Return original URL as fallback
@@ -77,24 +68,19 @@ const getResponsiveImageUrls = (fileUrl, sizes = [200, 400, 600, 800]) => {
 };
 
 /**
- * Extract file information from Supabase URL
- * @param {string} fileUrl - The Supabase file URL
+ * Extract file information from a storage URL
+ * @param {string} fileUrl - The public file URL
  * @returns {Object} - File information object
  */
 const extractFileInfo = (fileUrl) => {
     try {
-        if (!fileUrl || !fileUrl.includes('/storage/v1/object/public/')) {
-            return null;
-        }
-
-        const urlParts = fileUrl.split('/storage/v1/object/public/');
-        if (urlParts.length !== 2) {
+        const location = getStorage().parseUrl(fileUrl);
+        if (!location) {
             return null;
         }
 
-        const [bucket, ...pathParts] = urlParts[1].split('/');
-        const filePath = pathParts.join('/');
-        const fileName = pathParts[pathParts.length - 1];
+        const { bucket, path: filePath } = location;
+        const fileName = filePath.split('/').pop();
         const fileExtension = fileName.split('.').pop();
 
         return {
@@ -111,59 +97,36 @@ const extractFileInfo = (fileUrl) => {
 };
 
 /**
- * Check if a file exists in Supabase Storage
+ * Get file metadata from storage
  * @param {string} bucket - The storage bucket
  * @param {string} filePath - The file path
- * @returns {boolean} - Whether the file exists
+ * @returns {Object|null} - File metadata ({ name, size, updatedAt })
  */
-const fileExists = async (bucket, filePath) => {
+const getFileMetadata = async (bucket, filePath) => {
     try {
-        const { data, error } = await supabase.storage
-            .from(bucket)
-            .list(filePath.split('/').slice(0, -1).join('/'), {
-                search: filePath.split('/').pop()
-            });
+        const folder = filePath.split('/').slice(0, -1).join('/');
+        const name = filePath.split('/').pop();
+        const entries = await getStorage().list(bucket, folder, { limit: 1000 });
 
-        if (error) {
-            console.error('Error checking file existence:', error);
-            return false;
-        }
-
-        return data && data.length > 0;
+        return entries.find(entry => !entry.isFolder && entry.name === name) || null;
     } catch (error) {
-        console.error('Error checking file existence:', error);
-        return false;
+        console.error('Error getting file metadata:', error);
+        return null;
     }
 };
 
 /**
- * Get file metadata from Supabase Storage
+ * Check if a file exists in storage
  * @param {string} bucket - The storage bucket
  * @param {string} filePath - The file path
- * @returns {Object|null} - File metadata
+ * @returns {boolean} - Whether the file exists
  */
-const getFileMetadata = async (bucket, filePath) => {
-    try {
-        const { data, error } = await supabase.storage
-            .from(bucket)
-            .list(filePath.split('/').slice(0, -1).join('/'), {
-                search: filePath.split('/').pop()
-            });
-
-        if (error || !data || data.length === 0) {
-            console.error('Error getting file metadata:', error);
-            return null;
-        }
-
-        return data[0];
-    } catch (error) {
-        console.error('Error getting file metadata:', error);
-        return null;
-    }
+const fileExists = async (bucket, filePath) => {
+    return Boolean(await getFileMetadata(bucket, filePath));
 };
 
 /**
- * Move file from one location to another within Supabase Storage
+ * Move file from one location to another within storage
  * @param {string} fromBucket - Source bucket
  * @param {string} fromPath - Source path
  * @param {string} toBucket - Destination bucket
@@ -172,32 +135,14 @@ const getFileMetadata = async (bucket, filePath) => {
  */
 const moveFile = async (fromBucket, fromPath, toBucket, toPath) => {
     try {
-        // Download the file
-        const { data: fileData, error: downloadError } = await supabase.storage
-            .from(fromBucket)
-            .download(fromPath);
-
-        if (downloadError) {
-            console.error('Error downloading file for move:', downloadError);
-            return false;
-        }
-
-        // Upload to new location
-        const { error: uploadError } = await supabase.storage
-            .from(toBucket)
-            .upload(toPath, fileData);
-
-        if (uploadError) {
-            console.error('Error uploading file to new location:', uploadError);
+        if (!await copyFile(fromBucket, fromPath, toBucket, toPath)) {
             return false;
         }
 
         // Delete from old location
-        const { error: deleteError } = await supabase.storage
-            .from(fromBucket)
-            .remove([fromPath]);
-
-        if (deleteError) {
+        try {
+            await getStorage().remove(fromBucket, [fromPath]);
+        } catch (deleteError) {
             console.error('Error deleting file from old location:', deleteError);
             // File was copied but not deleted from original location
             return false;
@@ -212,7 +157,7 @@ const moveFile = async (fromBucket, fromPath, toBucket, toPath) => {
 };
 
 /**
- * Copy file within Supabase Storage
+ * Copy file within storage
  * @param {string} fromBucket - Source bucket
  * @param {string} fromPath - Source path
  * @param {string} toBucket - Destination bucket
@@ -220,66 +165,50 @@ const moveFile = async (fromBucket, fromPath, toBucket, toPath) => {
  * @returns {boolean} - Success status
  */
 const copyFile = async (fromBucket, fromPath, toBucket, toPath) => {
+    const storage = getStorage();
+    let fileData;
     try {
         // Download the file
-        const { data: fileData, error: downloadError } = await supabase.storage
-            .from(fromBucket)
-            .download(fromPath);
-
-        if (downloadError) {
-            console.error('Error downloading file for copy:', downloadError);
-            return false;
-        }
+        fileData = await storage.download(fromBucket, fromPath);
+    } catch (downloadError) {
+        console.error('Error downloading file for copy:', downloadError);
+        return false;
+    }
 
+    try {
         // Upload to new location
-        const { error: uploadError } = await supabase.storage
-            .from(toBucket)
-            .upload(toPath, fileData);
-
-        if (uploadError) {
-            console.error('Error uploading file to new location:', uploadError);
-            return false;
-        }
-
-        console.log(`Successfully copied file from ${fromBucket}/${fromPath} to ${toBucket}/${toPath}`);
-        return true;
-    } catch (error) {
-        console.error('Error copying file:', error);
+        await storage.upload(toBucket, toPath, fileData);
+    } catch (uploadError) {
+        console.error('Error uploading file to new location:', uploadError);
         return false;
     }
+
+    console.log(`Successfully copied file from ${fromBucket}/${fromPath} to ${toBucket}/${toPath}`);
+    return true;
 };
 
 /**
  * Get storage usage statistics
+ * Only the files at the top of each bucket are counted.
  * @returns {Object} - Storage usage information
  */
 const getStorageStats = async () => {
-    try {
-        const stats = {};
-        
-        for (const [key, bucketName] of Object.entries(STORAGE_BUCKETS)) {
-            try {
-                const { data, error } = await supabase.storage
-                    .from(bucketName)
-                    .list('', { limit: 1000 });
-
-                if (!error && data) {
-                    stats[bucketName] = {
-                        fileCount: data.length,
-                        totalSize: data.reduce((sum, file) => sum + (file.metadata?.size || 0), 0)
-                    };
-                }
-            } catch (bucketError) {
-                console.error(`Error getting stats for bucket ${bucketName}:`, bucketError);
-                stats[bucketName] = { fileCount: 0, totalSize: 0 };
-            }
+    const stats = {};
+
+    for (const bucketName of Object.values(STORAGE_BUCKETS)) {
+        try {
+            const files = (await getStorage().list(bucketName, '', { limit: 1000 })).filter(file => !file.isFolder);
+            stats[bucketName] = {
+                fileCount: files.length,
+                totalSize: files.reduce((sum, file) => sum + file.size, 0)
+            };
+        } catch (bucketError) {
+            console.error(`Error getting stats for bucket ${bucketName}:`, bucketError);
+            stats[bucketName] = { fileCount: 0, totalSize: 0 };
         }
-
-        return stats;
-    } catch (error) {
-        console.error('Error getting storage stats:', error);
-        return {};
     }
+
+    return stats;
 };
 
 module.exports = {
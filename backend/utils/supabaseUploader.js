@@ -1,4 +1,7 @@
-const { supabaseAdmin } = require('../config/supabaseAdmin');
+// Uploads of images, documents and lecture videos
+// Files go to the configured storage provider (services/storage); the names of the exported
+// functions date from when Supabase was the only one.
+const { getStorage, createSignedUrl } = require('../services/storage');
 const sharp = require('sharp');
 const { getBucketForFileType, validateFile, CHUNKED_UPLOAD_CONFIG } = require('../config/supabaseStorage');
 const { uploadVideoInChunks } = require('./chunkedVideoUploader');
@@ -109,12 +112,12 @@ const processImage = async (fileBuffer, options = {}) => {
 };
 
 /**
- * Upload file to Supabase Storage with automatic chunking for large videos
+ * Upload file to storage with automatic chunking for large videos
  * This replaces uploadImageToCloudinary function
  */
 const uploadFileToSupabase = async (file, folder = '', options = {}) => {
     try {
-        console.log('🔧 Starting file upload to Supabase Storage');
+        console.log('🔧 Starting file upload to storage');
         console.log('File details:', {
             originalname: file.originalname,
             mimetype: file.mimetype,
@@ -147,6 +150,16 @@ const uploadFileToSupabase = async (file, folder = '', options = {}) => {
             originalname: file.originalname
         });
         
+        // Videos are probed before anything is stored, so unusable uploads are rejected right away
+        let videoMetadata = null;
+        if (isVideo) {
+            videoMetadata = await extractVideoMetadata(file.buffer, {
+                originalname: file.originalname,
+                size: file.size,
+                mimetype: file.mimetype
+            });
+        }
+
         const isLargeVideo = isVideo && file.size > VIDEO_CONFIG.chunkThreshold;
 
         if (isLargeVideo) {
@@ -160,7 +173,7 @@ const uploadFileToSupabase = async (file, folder = '', options = {}) => {
             
             try {
                 // Use chunked upload for large videos with enhanced error handling
-                const result = await uploadVideoInChunks(file, folder);
+                const result = await uploadVideoInChunks(file, folder, videoMetadata);
                 
                 console.log('✅ Chunked video upload successful:', {
                     secure_url: result.secure_url,
@@ -217,55 +230,36 @@ const uploadFileToSupabase = async (file, folder = '', options = {}) => {
             }
         }
 
-        // Upload to Supabase Storage
-        console.log(`📤 Uploading to Supabase Storage...`);
-        const { data, error } = await supabaseAdmin.storage
-            .from(bucket)
-            .upload(filename, fileBuffer, {
+        // Upload to storage
+        const storage = getStorage();
+        console.log(`📤 Uploading to ${storage.name} storage...`);
+        let data;
+        try {
+            data = await storage.upload(bucket, filename, fileBuffer, {
                 contentType: file.mimetype,
                 cacheControl: '3600',
                 upsert: false // Don't overwrite existing files
             });
-
-        if (error) {
-            console.error('Supabase upload error:', error);
-            throw new Error(`Upload failed: ${error.message}`);
+        } catch (uploadError) {
+            console.error('Storage upload error:', uploadError);
+            throw new Error(`Upload failed: ${uploadError.message}`);
         }
 
-        // Get public URL
-        const { data: urlData } = supabaseAdmin.storage
-            .from(bucket)
-            .getPublicUrl(filename);
-
         const result = {
-            secure_url: urlData.publicUrl,
+            secure_url: storage.getPublicUrl(bucket, data.path),
             public_id: filename,
             format: path.extname(file.originalname).substring(1),
             resource_type: isImage ? 'image' : isVideo ? 'video' : 'raw',
             bucket: bucket,
             path: data.path,
-            fullPath: data.fullPath,
+            fullPath: `${bucket}/${data.path}`,
             size: fileBuffer.length,
             original_filename: file.originalname
         };
 
-        // Extract video duration for video files
-        if (isVideo) {
-            try {
-                console.log('🎬 Extracting video duration...');
-                const videoMetadata = await extractVideoMetadata(file.buffer, {
-                    originalname: file.originalname,
-                    size: file.size,
-                    mimetype: file.mimetype
-                });
-                
-                result.duration = videoMetadata.duration;
-                result.metadata = videoMetadata;
-                console.log(`✅ Video duration extracted: ${videoMetadata.duration}s`);
-            } catch (durationError) {
-                console.warn('⚠️ Failed to extract video duration:', durationError.message);
-                result.duration = 0; // Default to 0 if extraction fails
-            }
+        if (videoMetadata) {
+            result.duration = Math.round(videoMetadata.duration);
+            result.metadata = videoMetadata;
         }
 
         console.log('✅ Upload successful:', {
@@ -278,7 +272,7 @@ const uploadFileToSupabase = async (file, folder = '', options = {}) => {
         return result;
 
     } catch (error) {
-        console.error("Error while uploading file to Supabase:", error);
+        console.error("Error while uploading file to storage:", error);
         throw new Error(`Failed to upload file: ${error.message}`);
     }
 };
@@ -338,7 +332,7 @@ const uploadResumeToSupabase = async (file, folder, height, quality) => {
 };
 
 /**
- * Delete file from Supabase Storage (replaces deleteResourceFromCloudinary)
+ * Delete a stored file by its public URL (replaces deleteResourceFromCloudinary)
  */
 const deleteFileFromSupabase = async (url) => {
     if (!url) return null;
@@ -346,30 +340,24 @@ const deleteFileFromSupabase = async (url) => {
     try {
         console.log(`🗑️ Attempting to delete file: ${url}`);
 
-        // Extract bucket and path from Supabase URL
-        // URL format: https://[project-ref].supabase.co/storage/v1/object/public/[bucket]/[path]
-        const urlParts = url.split('/storage/v1/object/public/');
-        if (urlParts.length !== 2) {
-            console.warn('Invalid Supabase URL format, skipping deletion');
+        const storage = getStorage();
+        const location = storage.parseUrl(url);
+        if (!location) {
+            console.warn(`Not a ${storage.name} storage URL, skipping deletion`);
             return null;
         }
 
-        const [bucket, ...pathParts] = urlParts[1].split('/');
-        const filePath = pathParts.join('/');
+        console.log(`📁 Deleting from bucket: ${location.bucket}, path: ${location.path}`);
 
-        console.log(`📁 Deleting from bucket: ${bucket}, path: ${filePath}`);
-
-        const { data, error } = await supabaseAdmin.storage
-            .from(bucket)
-            .remove([filePath]);
-
-        if (error) {
-            console.error(`Error deleting file from Supabase:`, error);
+        try {
+            await storage.remove(location.bucket, [location.path]);
+        } catch (removeError) {
+            console.error(`Error deleting file from storage:`, removeError);
             return null;
         }
 
-        console.log(`✅ Successfully deleted file: ${filePath}`);
-        return data;
+        console.log(`✅ Successfully deleted file: ${location.path}`);
+        return location;
 
     } catch (error) {
         console.error(`Error deleting file with URL ${url}:`, error);
@@ -384,17 +372,10 @@ const deleteFileFromSupabase = async (url) => {
  */
 const getSignedUrl = async (bucket, filePath, expiresIn = 3600) => {
     try {
-        const { data, error } = await supabaseAdmin.storage
-            .from(bucket)
-            .createSignedUrl(filePath, expiresIn);
-
-        if (error) {
-            console.error('Error generating signed URL:', error);
-            return null;
-        }
+        const signedUrl = await createSignedUrl(bucket, filePath, expiresIn);
 
         console.log('Generated signed URL for:', filePath);
-        return data.signedUrl;
+        return signedUrl;
     } catch (error) {
         console.error('Error generating signed URL:', error);
         return null;
@@ -406,11 +387,7 @@ const getSignedUrl = async (bucket, filePath, expiresIn = 3600) => {
  */
 const getPublicUrl = (bucket, filePath) => {
     try {
-        const { data } = supabaseAdmin.storage
-            .from(bucket)
-            .getPublicUrl(filePath);
-
-        return data.publicUrl;
+        return getStorage().getPublicUrl(bucket, filePath);
     } catch (error) {
         console.error('Error getting public URL:', error);
         return null;
@@ -422,19 +399,10 @@ const getPublicUrl = (bucket, filePath) => {
  */
 const listFiles = async (bucket, folder = '', limit = 100) => {
     try {
-        const { data, error } = await supabaseAdmin.storage
-            .from(bucket)
-            .list(folder, {
-                limit: limit,
-                offset: 0
-            });
-
-        if (error) {
-            console.error('Error listing files:', error);
-            return [];
-        }
-
-        return data;
+        return await getStorage().list(bucket, folder, {
+            limit: limit,
+            offset: 0
+        });
     } catch (error) {
         console.error('Error listing files:', error);
         return [];
@@ -0,0 +1,315 @@
+// tus resumable uploads on top of the chunked video storage
+// Clients send the file in PATCH requests of any size. The bytes are cut into the same fixed
+// CHUNK_SIZE chunks the custom chunked upload protocol stores, so playback, transcoding and
+// cleanup work unchanged. Bytes after the last full chunk are kept in a partial object in
+// storage, which lets a client resume from the exact byte offset it reached.
+const crypto = require('crypto');
+const { getStorage } = require('../services/storage');
+const { getBucketForFileType, TUS_UPLOAD_CONFIG } = require('../config/supabaseStorage');
+const ChunkedVideo = require('../models/chunkedVideo');
+const {
+    CHUNK_SIZE,
+    generateVideoId,
+    isVideoUpload,
+    uploadChunkFile,
+    getChunkFilename,
+    completeChunkedUpload
+} = require('./chunkedVideoUploader');
+
+/**
+ * Parse an Upload-Metadata header ("key base64value,key2 base64value2")
+ * @returns {Object|null} decoded values, or null if the header is malformed
+ */
+const parseUploadMetadata = (header) => {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(',')) {
+        const [key, value, ...rest] = pair.trim().split(' ');
+        if (!key || rest.length > 0) return null;
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+};
+
+/**
+ * Parse an Upload-Checksum header ("sha1 base64digest")
+ * @returns {{ algorithm: string, digest: string }|null} null if missing or unsupported
+ */
+const parseUploadChecksum = (header) => {
+    if (!header) return null;
+    const [algorithm, digest] = header.trim().split(' ');
+    if (!TUS_UPLOAD_CONFIG.CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) return null;
+    return { algorithm, digest };
+};
+
+/**
+ * Number of bytes of the upload the server has stored
+ */
+const getUploadOffset = (chunkedVideo) => {
+    const chunkBytes = chunkedVideo.uploadedChunks.reduce((sum, chunk) => sum + chunk.chunkSize, 0);
+    return chunkBytes + (chunkedVideo.tus?.partialSize || 0);
+};
+
+/**
+ * When an incomplete upload is removed by the cleanup job
+ */
+const getUploadExpiry = (chunkedVideo) => {
+    return new Date(chunkedVideo.createdAt.getTime() + TUS_UPLOAD_CONFIG.EXPIRATION);
+};
+
+const getPartialFilename = (chunkedVideo) => {
+    return `${chunkedVideo.folder}/chunks/${chunkedVideo.videoId}/partial`;
+};
+
+/**
+ * Create a ChunkedVideo for a tus creation request
+ * @param {Object} options - { totalSize, metadataHeader, userId }
+ * @returns {Object} { chunkedVideo } or { status, message } when the request is rejected
+ */
+const createTusUpload = async ({ totalSize, metadataHeader, userId }) => {
+    const metadata = parseUploadMetadata(metadataHeader);
+    if (!metadata) {
+        return { status: 400, message: 'Malformed Upload-Metadata header' };
+    }
+
+    const filename = metadata.filename || metadata.name;
+    const mimetype = metadata.filetype || metadata.type || 'application/octet-stream';
+    if (!filename) {
+        return { status: 400, message: 'Upload-Metadata must include the filename' };
+    }
+    if (!isVideoUpload(mimetype, filename)) {
+        return { status: 415, message: 'File must be a video' };
+    }
+
+    // Folder names come from the client, so only plain path segments are accepted
+    const folder = /^[\w-]+(\/[\w-]+)*$/.test(metadata.folder || '') ? metadata.folder : 'videos';
+
+    const chunkedVideo = new ChunkedVideo({
+        videoId: generateVideoId(),
+        originalFilename: filename,
+        totalSize,
+        totalChunks: Math.ceil(totalSize / CHUNK_SIZE),
+        chunkSize: CHUNK_SIZE,
+        mimetype,
+        bucket: getBucketForFileType(mimetype, folder),
+        folder,
+        uploadedChunks: [],
+        uploadedBy: userId,
+        tus: {
+            uploadedBy: userId,
+            metadata: metadataHeader || null
+        }
+    });
+    await chunkedVideo.save();
+
+    console.log(`🎬 tus upload ${chunkedVideo.videoId} created (${totalSize} bytes, ${chunkedVideo.totalChunks} chunks)`);
+    return { chunkedVideo };
+};
+
+/**
+ * Find a tus upload the user may write to
+ * Uploads of other users are reported as missing.
+ */
+const findTusUpload = async (videoId, user) => {
+    const chunkedVideo = await ChunkedVideo.findOne({ videoId });
+    if (!chunkedVideo || !chunkedVideo.tus?.uploadedBy) return null;
+    if (user.accountType !== 'Admin' && chunkedVideo.tus.uploadedBy.toString() !== user.id) return null;
+    return chunkedVideo;
+};
+
+const downloadPartial = async (chunkedVideo) => {
+    try {
+        return await getStorage().download(chunkedVideo.bucket, chunkedVideo.tus.partialPath);
+    } catch (error) {
+        return null;
+    }
+};
+
+const removeFiles = async (chunkedVideo, paths) => {
+    if (paths.length === 0) return;
+    try {
+        await getStorage().remove(chunkedVideo.bucket, paths);
+    } catch (error) {
+        console.error('Error removing tus upload files:', error);
+    }
+};
+
+/**
+ * Append the body of a PATCH request to a tus upload
+ * The upload is locked for the duration of the request. Without a checksum, every full chunk
+ * is recorded as soon as it is stored, so a dropped connection loses at most one chunk; with
+ * a checksum nothing is recorded until the whole body has been verified.
+ * @param {Object} chunkedVideo - upload from findTusUpload
+ * @param {Readable} stream - request body
+ * @param {Object} options - { offset, checksum } from the Upload-Offset and Upload-Checksum headers
+ * @returns {Object} { status, message?, offset?, isComplete? } - status 204 on success
+ */
+const appendToTusUpload = async (chunkedVideo, stream, { offset, checksum = null }) => {
+    const lockedAt = new Date();
+    const upload = await ChunkedVideo.findOneAndUpdate(
+        {
+            _id: chunkedVideo._id,
+            $or: [
+                { 'tus.lockedAt': null },
+                { 'tus.lockedAt': { $lt: new Date(lockedAt.getTime() - TUS_UPLOAD_CONFIG.LOCK_TIMEOUT) } }
+            ]
+        },
+        { $set: { 'tus.lockedAt': lockedAt } },
+        { new: true }
+    );
+    if (!upload) {
+        return { status: 423, message: 'Another request is writing to this upload' };
+    }
+
+    // Chunks stored by this request but not recorded yet, removed again if the request fails
+    const unrecorded = [];
+
+    try {
+        const currentOffset = getUploadOffset(upload);
+        if (offset !== currentOffset) {
+            return { status: 409, message: 'Upload-Offset does not match the stored offset', offset: currentOffset };
+        }
+
+        let pieces = [];
+        let pendingSize = 0;
+        if (upload.tus.partialSize > 0) {
+            const partial = await downloadPartial(upload);
+            if (!partial || partial.length !== upload.tus.partialSize) {
+                // The partial chunk is gone; the client has to resend it from the last full chunk
+                upload.tus.partialSize = 0;
+                await upload.save();
+                return { status: 409, message: 'Stored data was lost, resume from Upload-Offset', offset: getUploadOffset(upload) };
+            }
+            pieces = [partial];
+            pendingSize = partial.length;
+        }
+
+        const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+        let nextIndex = upload.uploadedChunks.length;
+        let received = 0;
+        let aborted = false;
+        let failure = null;
+
+        const recordChunks = async (chunks) => {
+            upload.uploadedChunks.push(...chunks);
+            upload.tus.partialSize = 0;
+            upload.tus.lockedAt = new Date();
+            upload.calculateProgress();
+            await upload.save();
+        };
+
+        const storeChunk = async (buffer) => {
+            const chunkPath = await uploadChunkFile(upload, getChunkFilename(upload, nextIndex), buffer, true);
+            const chunk = { chunkIndex: nextIndex, chunkPath, chunkSize: buffer.length, uploadedAt: new Date() };
+            nextIndex++;
+            if (hash) {
+                unrecorded.push(chunk);
+            } else {
+                await recordChunks([chunk]);
+            }
+        };
+
+        try {
+            for await (const data of stream) {
+                received += data.length;
+                if (currentOffset + received > upload.totalSize) {
+                    failure = { status: 413, message: 'Request body exceeds Upload-Length' };
+                    break;
+                }
+                if (hash) hash.update(data);
+                pieces.push(data);
+                pendingSize += data.length;
+
+                while (pendingSize >= CHUNK_SIZE) {
+                    const buffer = Buffer.concat(pieces, pendingSize);
+                    try {
+                        await storeChunk(buffer.subarray(0, CHUNK_SIZE));
+                    } catch (error) {
+                        failure = error;
+                        break;
+                    }
+                    const rest = buffer.subarray(CHUNK_SIZE);
+                    pieces = rest.length > 0 ? [rest] : [];
+                    pendingSize = rest.length;
+                }
+                if (failure) break;
+            }
+        } catch (error) {
+            // The client dropped the connection; keep what arrived unless it has to be verified
+            aborted = true;
+        }
+
+        if (failure instanceof Error) throw failure;
+        if (failure) {
+            await removeFiles(upload, unrecorded.splice(0).map(chunk => chunk.chunkPath));
+            return { ...failure, offset: getUploadOffset(upload) };
+        }
+
+        if (hash) {
+            if (aborted || hash.digest('base64') !== checksum.digest) {
+                await removeFiles(upload, unrecorded.splice(0).map(chunk => chunk.chunkPath));
+                return aborted
+                    ? { status: 400, message: 'Request body was interrupted' }
+                    : { status: 460, message: 'Checksum mismatch' };
+            }
+            if (unrecorded.length > 0) {
+                await recordChunks(unrecorded.splice(0));
+            }
+        }
+
+        const tail = Buffer.concat(pieces, pendingSize);
+        const reachedEnd = currentOffset + received === upload.totalSize;
+        if (received > 0 && reachedEnd && tail.length > 0) {
+            // The last chunk of a file is usually shorter than CHUNK_SIZE
+            const chunkPath = await uploadChunkFile(upload, getChunkFilename(upload, nextIndex), tail, true);
+            await recordChunks([{ chunkIndex: nextIndex, chunkPath, chunkSize: tail.length, uploadedAt: new Date() }]);
+        } else if (received > 0 && tail.length > 0) {
+            upload.tus.partialPath = await uploadChunkFile(upload, getPartialFilename(upload), tail, true);
+            upload.tus.partialSize = tail.length;
+            await upload.save();
+        }
+
+        upload.calculateProgress();
+        const isComplete = getUploadOffset(upload) === upload.totalSize && upload.checkCompletion();
+        if (isComplete && upload.tus.partialPath) {
+            await removeFiles(upload, [upload.tus.partialPath]);
+            upload.tus.partialPath = null;
+        }
+        await upload.save();
+
+        if (isComplete && !upload.finalVideoUrl) {
+            await completeChunkedUpload(upload.videoId);
+        }
+
+        console.log(`📤 tus upload ${upload.videoId}: ${getUploadOffset(upload)}/${upload.totalSize} bytes${aborted ? ' (connection dropped)' : ''}`);
+        return { status: 204, offset: getUploadOffset(upload), isComplete };
+    } catch (error) {
+        await removeFiles(upload, unrecorded.map(chunk => chunk.chunkPath));
+        throw error;
+    } finally {
+        await ChunkedVideo.updateOne({ _id: upload._id }, { $set: { 'tus.lockedAt': null } });
+    }
+};
+
+/**
+ * Headers describing the server's tus support, sent in reply to OPTIONS requests
+ */
+const getTusCapabilityHeaders = () => ({
+    'Tus-Resumable': TUS_UPLOAD_CONFIG.VERSION,
+    'Tus-Version': TUS_UPLOAD_CONFIG.VERSION,
+    'Tus-Extension': TUS_UPLOAD_CONFIG.EXTENSIONS.join(','),
+    'Tus-Max-Size': String(TUS_UPLOAD_CONFIG.MAX_SIZE),
+    'Tus-Checksum-Algorithm': TUS_UPLOAD_CONFIG.CHECKSUM_ALGORITHMS.join(',')
+});
+
+module.exports = {
+    parseUploadMetadata,
+    parseUploadChecksum,
+    getUploadOffset,
+    getUploadExpiry,
+    createTusUpload,
+    findTusUpload,
+    appendToTusUpload,
+    getTusCapabilityHeaders
+};
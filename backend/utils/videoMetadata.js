@@ -1,193 +1,150 @@
-/**
- * Extract video duration from buffer using basic MP4 parsing
- * @param {Buffer} videoBuffer - Video file buffer
- * @param {string} originalFilename - Original filename for format detection
- * @returns {Promise<number>} Duration in seconds
- */
-const extractVideoDuration = async (videoBuffer, originalFilename = 'video.mp4') => {
-    try {
-        console.log('🎬 Extracting video duration using basic MP4 parsing...');
-        
-        if (!videoBuffer || !Buffer.isBuffer(videoBuffer)) {
-            throw new Error('Invalid video buffer provided');
-        }
+// Metadata of lecture videos, read with ffprobe
+// Uploads are probed before they are stored: the duration feeds SubSection.timeDuration and the
+// course length, and videos browsers can't play are rejected. Chunked uploads made outside the
+// lecture form (tus, /chunked-upload) are probed by the transcoding worker instead.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { VIDEO_TRANSCODE_CONFIG, VIDEO_METADATA_CONFIG } = require('../config/video');
 
-        // Try to extract duration from MP4 metadata
-        const duration = await extractMP4Duration(videoBuffer);
-        
-        if (duration > 0) {
-            console.log(`✅ Video duration extracted: ${duration} seconds`);
-            return duration;
-        }
-
-        console.warn('Could not extract valid duration from video, using fallback');
-        return 0;
+const toNumber = (value) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
 
-    } catch (error) {
-        console.error('Error extracting video duration:', error);
-        console.warn('Falling back to duration 0 due to extraction error');
-        return 0; // Return 0 instead of throwing to prevent upload failure
-    }
+// ffprobe gives frame rates as fractions ("30000/1001")
+const parseFrameRate = (value) => {
+    const [numerator, denominator] = String(value || '').split('/').map(Number);
+    if (!numerator || !denominator) return null;
+    return Math.round((numerator / denominator) * 100) / 100;
 };
 
 /**
- * Extract duration from MP4 file by parsing the mvhd atom
- * @param {Buffer} buffer - Video file buffer
- * @returns {Promise<number>} Duration in seconds
+ * Probe a video file or URL
+ * @param {string} input - Local path, or an http(s) URL (ffprobe reads only the parts it needs)
+ * @returns {Promise<Object>} { duration, width, height, rotation, frameRate, videoCodec, audioCodec,
+ *   hasAudio, bitrate, container }; videoCodec is null when there is no video stream
  */
-const extractMP4Duration = async (buffer) => {
-    try {
-        // Look for the mvhd (movie header) atom which contains duration info
-        const mvhdIndex = buffer.indexOf('mvhd');
-        if (mvhdIndex === -1) {
-            throw new Error('mvhd atom not found - not a valid MP4 file');
-        }
-
-        // The mvhd atom structure:
-        // 4 bytes: atom size
-        // 4 bytes: atom type ('mvhd')
-        // 1 byte: version
-        // 3 bytes: flags
-        // 4 bytes: creation time (version 0) or 8 bytes (version 1)
-        // 4 bytes: modification time (version 0) or 8 bytes (version 1)
-        // 4 bytes: time scale
-        // 4 bytes: duration (version 0) or 8 bytes (version 1)
-
-        const mvhdStart = mvhdIndex - 4; // Start of the atom (including size)
-        if (mvhdStart < 0 || mvhdStart + 32 > buffer.length) {
-            throw new Error('Invalid mvhd atom position');
+const probeVideo = (input) => new Promise((resolve, reject) => {
+    execFile(VIDEO_TRANSCODE_CONFIG.FFPROBE_PATH, [
+        '-v', 'error',
+        '-show_entries',
+        'format=duration,bit_rate,format_name' +
+            ':stream=codec_type,codec_name,width,height,r_frame_rate,duration' +
+            ':stream_disposition=attached_pic:stream_tags=rotate:stream_side_data_list',
+        '-of', 'json',
+        input
+    ], { timeout: VIDEO_METADATA_CONFIG.PROBE_TIMEOUT, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+            if (typeof error.code === 'string') {
+                return reject(new Error(`Could not run ffprobe: ${error.message}`));
+            }
+            const reason = error.killed
+                ? 'ffprobe took too long'
+                : (stderr || error.message).trim().split('\n').pop().replace(`${input}: `, '');
+            return reject(new Error(`Invalid video file: ffprobe could not read it (${reason})`));
         }
 
-        // Read version to determine the structure
-        const version = buffer.readUInt8(mvhdStart + 8);
-        
-        let timeScale, duration;
-        
-        if (version === 0) {
-            // Version 0: 32-bit values
-            timeScale = buffer.readUInt32BE(mvhdStart + 20);
-            duration = buffer.readUInt32BE(mvhdStart + 24);
-        } else if (version === 1) {
-            // Version 1: 64-bit values (we'll read as 32-bit for simplicity)
-            timeScale = buffer.readUInt32BE(mvhdStart + 28);
-            duration = buffer.readUInt32BE(mvhdStart + 36); // Reading lower 32 bits
-        } else {
-            throw new Error(`Unsupported mvhd version: ${version}`);
-        }
-
-        if (timeScale === 0) {
-            throw new Error('Invalid time scale in mvhd atom');
+        let probe;
+        try {
+            probe = JSON.parse(stdout);
+        } catch (parseError) {
+            return reject(new Error('Invalid video file: ffprobe output could not be read'));
         }
 
-        const durationInSeconds = Math.round(duration / timeScale);
-        console.log(`MP4 duration extracted: ${durationInSeconds}s (duration: ${duration}, timeScale: ${timeScale})`);
-        
-        return durationInSeconds;
+        const streams = probe.streams || [];
+        // Cover art in audio files shows up as a one-frame video stream
+        const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+        const audio = streams.find(stream => stream.codec_type === 'audio');
+        const rotation = (video?.side_data_list || []).find(item => item.rotation !== undefined)?.rotation ?? video?.tags?.rotate;
+        const duration = toNumber(probe.format?.duration) || toNumber(video?.duration) || 0;
 
-    } catch (error) {
-        console.warn('MP4 duration extraction failed:', error.message);
-        return 0;
-    }
-};
+        resolve({
+            duration: Math.round(duration * 1000) / 1000,
+            width: video?.width || null,
+            height: video?.height || null,
+            rotation: Number(rotation) || 0,
+            frameRate: parseFrameRate(video?.r_frame_rate),
+            videoCodec: video?.codec_name || null,
+            audioCodec: audio?.codec_name || null,
+            hasAudio: Boolean(audio),
+            bitrate: toNumber(probe.format?.bit_rate),
+            container: probe.format?.format_name || null
+        });
+    });
+});
 
 /**
- * Fallback method to estimate duration from file size (very rough estimate)
- * This is used when ffprobe fails
- * @param {number} fileSize - File size in bytes
- * @param {string} mimetype - Video mimetype
- * @returns {number} Estimated duration in seconds
+ * Why a probed video can't be used for a lecture
+ * @param {Object} metadata - As returned by probeVideo
+ * @returns {string|null} The reason, or null when the video is fine
  */
-const estimateDurationFromSize = (fileSize, mimetype = 'video/mp4') => {
-    try {
-        // Very rough estimates based on typical bitrates
-        // These are just fallback estimates and won't be accurate
-        const estimatedBitrates = {
-            'video/mp4': 2000000, // 2 Mbps
-            'video/webm': 1500000, // 1.5 Mbps
-            'video/avi': 2500000, // 2.5 Mbps
-            'video/mov': 2000000, // 2 Mbps
-            'video/quicktime': 2000000, // 2 Mbps
-            'default': 2000000 // 2 Mbps default
-        };
+const getUnsupportedReason = (metadata) => {
+    const { SUPPORTED_VIDEO_CODECS, SUPPORTED_AUDIO_CODECS } = VIDEO_METADATA_CONFIG;
+    const names = (codecs) => codecs.map(codec => codec.toUpperCase()).join(', ');
 
-        const bitrate = estimatedBitrates[mimetype] || estimatedBitrates.default;
-        const estimatedDuration = Math.round((fileSize * 8) / bitrate); // Convert bytes to bits, divide by bitrate
-        
-        console.log(`📊 Estimated duration from file size: ${estimatedDuration}s (very rough estimate)`);
-        return Math.max(1, estimatedDuration); // At least 1 second
-        
-    } catch (error) {
-        console.error('Error estimating duration from size:', error);
-        return 60; // Default to 1 minute if all else fails
+    if (!metadata.videoCodec) {
+        return 'the file has no video stream';
     }
+    if (!SUPPORTED_VIDEO_CODECS.includes(metadata.videoCodec)) {
+        return `${metadata.videoCodec.toUpperCase()} video can't be played in browsers (use ${names(SUPPORTED_VIDEO_CODECS)})`;
+    }
+    if (metadata.audioCodec && !SUPPORTED_AUDIO_CODECS.includes(metadata.audioCodec)) {
+        return `${metadata.audioCodec.toUpperCase()} audio can't be played in browsers (use ${names(SUPPORTED_AUDIO_CODECS)})`;
+    }
+    if (!(metadata.duration > 0)) {
+        return 'the length of the video could not be read';
+    }
+    return null;
 };
 
 /**
- * Extract video metadata with fallbacks
+ * Probe an uploaded video and check that it can be used for a lecture
  * @param {Buffer} videoBuffer - Video file buffer
- * @param {Object} fileInfo - File information object
- * @returns {Promise<Object>} Metadata object with duration
+ * @param {Object} fileInfo - { originalname, size, mimetype } of the upload
+ * @returns {Promise<Object>} Metadata (see probeVideo) with probedAt
+ * @throws {Error} "Invalid video file: ..." when ffprobe can't read it, "Unsupported video: ..." when it can't be used
  */
 const extractVideoMetadata = async (videoBuffer, fileInfo = {}) => {
+    if (!videoBuffer || !Buffer.isBuffer(videoBuffer)) {
+        throw new Error('Invalid video file: no data received');
+    }
+
+    // ffprobe has to seek (MP4 files often keep their index at the end), so it reads a temporary file
+    const extension = path.extname(fileInfo.originalname || '');
+    const tempPath = path.join(
+        os.tmpdir(),
+        `probe-${crypto.randomBytes(8).toString('hex')}${/^\.[a-z0-9]{1,5}$/i.test(extension) ? extension : '.mp4'}`
+    );
+
     try {
-        const { originalname = 'video.mp4', size = 0, mimetype = 'video/mp4' } = fileInfo;
-        
-        console.log('🔍 Extracting video metadata...');
-        
-        let duration = 0;
-        let extractionMethod = 'none';
-        
-        // Try MP4 parsing first
-        try {
-            duration = await extractVideoDuration(videoBuffer, originalname);
-            extractionMethod = duration > 0 ? 'mp4_parsing' : 'size_estimation';
-        } catch (parseError) {
-            console.warn('MP4 parsing failed, trying fallback methods:', parseError.message);
-            extractionMethod = 'size_estimation';
-        }
-        
-        // If MP4 parsing failed or returned 0, use size estimation
-        if (duration === 0) {
-            duration = estimateDurationFromSize(size, mimetype);
-            extractionMethod = 'size_estimation';
+        console.log('🔍 Probing video metadata...');
+        await fs.promises.writeFile(tempPath, videoBuffer);
+        const metadata = await probeVideo(tempPath);
+
+        const unsupported = getUnsupportedReason(metadata);
+        if (unsupported) {
+            throw new Error(`Unsupported video: ${unsupported}`);
         }
-        
-        const metadata = {
-            duration,
-            extractionMethod,
-            originalFilename: originalname,
-            fileSize: size,
-            mimetype,
-            extractedAt: new Date().toISOString()
-        };
-        
-        console.log('📋 Video metadata extracted:', {
-            duration: `${duration}s`,
-            method: extractionMethod,
-            filename: originalname,
-            size: `${(size / (1024 * 1024)).toFixed(2)}MB`
+
+        console.log('📋 Video metadata:', {
+            filename: fileInfo.originalname,
+            duration: `${metadata.duration}s`,
+            resolution: `${metadata.width}x${metadata.height}`,
+            codecs: [metadata.videoCodec, metadata.audioCodec].filter(Boolean).join('/'),
+            bitrate: metadata.bitrate ? `${Math.round(metadata.bitrate / 1000)} kbit/s` : 'unknown'
         });
-        
-        return metadata;
-        
-    } catch (error) {
-        console.error('Error in extractVideoMetadata:', error);
-        
-        // Return minimal metadata with fallback duration
-        return {
-            duration: estimateDurationFromSize(fileInfo.size || 0, fileInfo.mimetype),
-            extractionMethod: 'fallback',
-            originalFilename: fileInfo.originalname || 'unknown',
-            fileSize: fileInfo.size || 0,
-            mimetype: fileInfo.mimetype || 'video/mp4',
-            extractedAt: new Date().toISOString(),
-            error: error.message
-        };
+
+        return { ...metadata, probedAt: new Date() };
+    } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
     }
 };
 
 module.exports = {
-    extractVideoDuration,
-    estimateDurationFromSize,
+    probeVideo,
+    getUnsupportedReason,
     extractVideoMetadata
 };
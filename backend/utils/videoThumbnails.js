@@ -0,0 +1,104 @@
+// Poster frames and hover-scrub thumbnail sprites for lecture videos
+// The transcoding worker runs the ffmpeg commands built here on the source file it has already
+// downloaded. Thumbnails are packed into JPEG sprite sheets; the WebVTT thumbnails track that
+// maps each stretch of the video to a tile of a sheet is built per request, because the sheets
+// are only reachable through signed URLs.
+const { VIDEO_THUMBNAIL_CONFIG } = require('../config/video');
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Size and spacing of the thumbnails of a video
+ * @param {Object} source - { duration, width, height, rotation } from ffprobe
+ * @returns {Object} { interval, count, width, height, columns, rows }
+ */
+const getThumbnailLayout = (source) => {
+    const { INTERVAL, MAX_THUMBNAILS, WIDTH, COLUMNS, ROWS } = VIDEO_THUMBNAIL_CONFIG;
+    const duration = Math.max(source.duration || 0, 1);
+
+    // Phone videos are often stored landscape with a rotation tag
+    const rotated = Math.abs(source.rotation || 0) % 180 === 90;
+    const sourceWidth = rotated ? source.height : source.width;
+    const sourceHeight = rotated ? source.width : source.height;
+
+    const interval = Math.max(INTERVAL, Math.ceil(duration / MAX_THUMBNAILS));
+    return {
+        interval,
+        count: Math.ceil(duration / interval),
+        width: WIDTH,
+        height: even(WIDTH * (sourceHeight / sourceWidth || 9 / 16)),
+        columns: COLUMNS,
+        rows: ROWS
+    };
+};
+
+/**
+ * ffmpeg arguments writing the poster frame
+ */
+const buildPosterArgs = (inputPath, outputPath, duration) => {
+    const position = Math.max((duration || 0) * VIDEO_THUMBNAIL_CONFIG.POSTER_POSITION, 0);
+    return [
+        '-y', '-hide_banner', '-loglevel', 'error',
+        '-ss', position.toFixed(3),
+        '-i', inputPath,
+        '-frames:v', '1',
+        '-vf', `scale='min(${VIDEO_THUMBNAIL_CONFIG.POSTER_WIDTH},iw)':-2`,
+        '-q:v', '3',
+        outputPath
+    ];
+};
+
+/**
+ * ffmpeg arguments writing the sprite sheets (outputPattern like ".../sprite-%03d.jpg")
+ */
+const buildSpriteArgs = (inputPath, outputPattern, layout) => {
+    return [
+        '-y', '-hide_banner', '-loglevel', 'error',
+        '-i', inputPath,
+        '-an',
+        '-vf', `fps=1/${layout.interval},scale=${layout.width}:${layout.height},tile=${layout.columns}x${layout.rows}`,
+        '-q:v', String(VIDEO_THUMBNAIL_CONFIG.JPEG_QUALITY),
+        outputPattern
+    ];
+};
+
+const formatTimestamp = (seconds) => {
+    const totalMs = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const totalSeconds = Math.floor(totalMs / 1000);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * WebVTT thumbnails track: one cue per thumbnail pointing at its tile ("sprite.jpg#xywh=x,y,w,h")
+ * @param {Object} thumbnails - ChunkedVideo.thumbnails
+ * @param {string[]} spriteUrls - URLs of the sprite sheets, in order
+ * @param {number} duration - video length in seconds, ends the last cue
+ */
+const buildThumbnailsVtt = (thumbnails, spriteUrls, duration) => {
+    const perSheet = thumbnails.columns * thumbnails.rows;
+    // ffmpeg may write one thumbnail less than planned at the very end
+    const count = Math.min(thumbnails.count, spriteUrls.length * perSheet);
+    const end = duration > 0 ? duration : count * thumbnails.interval;
+
+    const cues = [];
+    for (let index = 0; index < count; index++) {
+        const start = index * thumbnails.interval;
+        if (start >= end) break;
+        const tile = index % perSheet;
+        const x = (tile % thumbnails.columns) * thumbnails.width;
+        const y = Math.floor(tile / thumbnails.columns) * thumbnails.height;
+        cues.push(
+            `${formatTimestamp(start)} --> ${formatTimestamp(Math.min(start + thumbnails.interval, end))}\n` +
+            `${spriteUrls[Math.floor(index / perSheet)]}#xywh=${x},${y},${thumbnails.width},${thumbnails.height}`
+        );
+    }
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+module.exports = {
+    getThumbnailLayout,
+    buildPosterArgs,
+    buildSpriteArgs,
+    buildThumbnailsVtt
+};
@@ -0,0 +1,78 @@
+// Watched stretches of a lecture video
+// Intervals are { start, end } in seconds. Stored lists are sorted and never overlap, so the
+// watched share of a video is the sum of their lengths.
+
+// Players report the position a few times per second; smaller gaps than this are closed
+const MERGE_GAP = 1;
+
+/**
+ * Turn reported intervals ([start, end] pairs or { start, end }) into valid ones inside the video
+ * @param {Array} intervals - Reported intervals
+ * @param {number} duration - Video length in seconds, 0 if unknown
+ * @returns {Array} { start, end } intervals, in the order given
+ */
+const normalizeIntervals = (intervals, duration = 0) => {
+    if (!Array.isArray(intervals)) return [];
+
+    const limit = duration > 0 ? duration : Infinity;
+    return intervals
+        .map(interval => (Array.isArray(interval)
+            ? { start: Number(interval[0]), end: Number(interval[1]) }
+            : { start: Number(interval?.start), end: Number(interval?.end) }))
+        .filter(({ start, end }) => Number.isFinite(start) && Number.isFinite(end))
+        .map(({ start, end }) => ({ start: Math.max(0, start), end: Math.min(end, limit) }))
+        .filter(({ start, end }) => end > start);
+};
+
+/**
+ * Keep intervals until their total length reaches the budget, shortening the last one
+ * @param {Array} intervals - { start, end } intervals
+ * @param {number} budget - Seconds that may be added
+ */
+const limitIntervals = (intervals, budget) => {
+    const kept = [];
+    let remaining = budget;
+    for (const { start, end } of intervals) {
+        if (remaining <= 0) break;
+        const length = Math.min(end - start, remaining);
+        kept.push({ start, end: start + length });
+        remaining -= length;
+    }
+    return kept;
+};
+
+/**
+ * Sort intervals and join the ones that overlap or nearly touch
+ * @param {Array} intervals - { start, end } intervals
+ * @returns {Array} Sorted, non-overlapping intervals
+ */
+const mergeIntervals = (intervals) => {
+    const sorted = [...intervals].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const { start, end } of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last.end + MERGE_GAP) {
+            last.end = Math.max(last.end, end);
+        } else {
+            merged.push({ start, end });
+        }
+    }
+    return merged.map(({ start, end }) => ({
+        start: Math.round(start * 100) / 100,
+        end: Math.round(end * 100) / 100
+    }));
+};
+
+/**
+ * Seconds covered by merged intervals
+ */
+const getWatchedSeconds = (intervals) => {
+    return intervals.reduce((total, { start, end }) => total + (end - start), 0);
+};
+
+module.exports = {
+    normalizeIntervals,
+    limitIntervals,
+    mergeIntervals,
+    getWatchedSeconds
+};
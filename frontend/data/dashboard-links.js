@@ -63,4 +63,11 @@ export const sidebarLinks = [
     type: ACCOUNT_TYPE.INSTRUCTOR,
     icon: "VscComment",
   },
+  {
+    id: 10,
+    name: "Quiz Grading",
+    path: "/dashboard/quiz-grading",
+    type: ACCOUNT_TYPE.INSTRUCTOR,
+    icon: "VscChecklist",
+  },
 ];
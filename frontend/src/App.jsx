@@ -1,6 +1,6 @@
 import { useEffect, useState } from "react";
 import { Route, Routes, useLocation, Link } from "react-router-dom";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 
 import Toast from "./components/common/Toast";
 import CourseCategories from "./components/core/Dashboard/AddCategory/CourseCategories";
@@ -62,6 +62,7 @@ import PurchaseHistory from "./components/core/Dashboard/PurchaseHistory/Purchas
 import Certificates from "./pages/Dashboard/Certificates";
 import UserAnalytics from "./components/core/Dashboard/UserAnalytics";
 import InstructorChats from "./pages/Dashboard/InstructorChats";
+import QuizGrading from "./pages/Dashboard/QuizGrading";
 import AdminChats from "./pages/Dashboard/AdminChats";
 
 import ViewCourse from "./pages/ViewCourse";
@@ -71,6 +72,7 @@ import VideoDetails from './components/core/ViewCourse/VideoDetails';
 import QuizView from './components/core/ViewCourse/QuizView';
 
 import { ACCOUNT_TYPE } from './utils/constants';
+import { fetchCurrencies } from './services/operations/currencyAPI';
 
 import { HiArrowNarrowUp } from "react-icons/hi"
 import FaqButton from "./components/common/FaqButton"
@@ -79,6 +81,12 @@ import FaqButton from "./components/common/FaqButton"
 function App() {
 
   const { user } = useSelector((state) => state.profile)
+  const dispatch = useDispatch()
+
+  // Currencies prices can be shown in
+  useEffect(() => {
+    dispatch(fetchCurrencies())
+  }, [dispatch])
 
   // Scroll to the top of the page when the component mounts
   const location = useLocation();
@@ -231,6 +239,7 @@ function App() {
               <Route path="dashboard/my-courses" element={<MyCourses />} />
               <Route path="dashboard/edit-course/:courseId" element={<EditCourse />} />
               <Route path="dashboard/instructor-chats" element={<InstructorChats />} />
+              <Route path="dashboard/quiz-grading" element={<QuizGrading />} />
             </>
           )}
 
@@ -0,0 +1,26 @@
+import { useDispatch } from "react-redux";
+import useCurrency from "../../hooks/useCurrency";
+import { setCurrency } from "../../slices/currencySlice";
+
+// Currency prices are shown and charged in; hidden while the backend offers only one
+export default function CurrencySelector({ className = "" }) {
+  const dispatch = useDispatch();
+  const { currency, currencies } = useCurrency();
+
+  if (currencies.length < 2) return null;
+
+  return (
+    <select
+      aria-label="Currency"
+      value={currency}
+      onChange={(e) => dispatch(setCurrency(e.target.value))}
+      className={`rounded-md border border-richblack-600 bg-richblack-800 px-2 py-1 text-sm text-richblack-25 outline-none ${className}`}
+    >
+      {currencies.map((code) => (
+        <option key={code} value={code}>
+          {code}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -12,6 +12,7 @@ import { AiOutlineShoppingCart } from "react-icons/ai";
 import { MdKeyboardArrowDown } from "react-icons/md";
 import * as Icons from "react-icons/fa";
 import NotificationPanel from "./NotificationPanel";
+import CurrencySelector from "./CurrencySelector";
 
 const ModernNavbar = () => {
   const navigate = useNavigate();
@@ -428,6 +429,10 @@ const ModernNavbar = () => {
             </>
           )}
 
+          <li>
+            <CurrencySelector />
+          </li>
+
           {/* User Profile Picture with Dropdown */}
           {token && user && (
             <motion.li 
@@ -2,10 +2,12 @@ import React from "react"
 import RatingStars from "../../common/RatingStars"
 import Img from '../../common/Img'
 import { FiCheck } from "react-icons/fi"
+import useCurrency from "../../../hooks/useCurrency"
 
 function BundleCourseCard({ course, isSelected, onSelect, Height }) {
   const avgRating = course?.averageRating || 0
   const totalRatings = course?.totalRatings || 0
+  const { formatCoursePrice } = useCurrency()
 
   return (
     <div 
@@ -66,11 +68,11 @@ function BundleCourseCard({ course, isSelected, onSelect, Height }) {
             {course?.courseType === 'Free' ? (
               <span className="text-lg font-bold text-caribbeangreen-100">Free</span>
             ) : (
-              <span className="text-xl font-bold text-richblack-5">₹{course?.price}</span>
+              <span className="text-xl font-bold text-richblack-5">{formatCoursePrice(course)}</span>
             )}
             {course?.courseType === 'Free' && course?.originalPrice && (
               <span className="text-sm text-richblack-400 line-through">
-                ₹{course?.originalPrice}
+                {formatCoursePrice(course, "originalPrice")}
               </span>
             )}
           </div>
@@ -5,6 +5,7 @@ import { motion, AnimatePresence } from "framer-motion"
 import Course_Card from "./Course_Card"
 import { FiShoppingCart, FiArrowRight, FiX, FiPackage } from "react-icons/fi"
 import { getUserEnrolledCourses } from "../../../services/operations/profileAPI"
+import useCurrency from "../../../hooks/useCurrency"
 
 function BundleCourseSection({ courses }) {
   const [selectedCourses, setSelectedCourses] = useState([])
@@ -12,6 +13,7 @@ function BundleCourseSection({ courses }) {
   const [enrolledCourses, setEnrolledCourses] = useState([])
   const navigate = useNavigate()
   const { token } = useSelector((state) => state.auth)
+  const { formatCoursePrice, formatBasePrice } = useCurrency()
 
   // Fetch enrolled courses and filter available courses
   useEffect(() => {
@@ -179,7 +181,7 @@ function BundleCourseSection({ courses }) {
                         {getBundleDiscount() > 0 && (
                           <>
                             <span className="text-richblack-400 line-through text-xs sm:text-sm">
-                              ₹{getOriginalPrice()}
+                              {formatBasePrice(getOriginalPrice())}
                             </span>
                             <span className="bg-green-900/30 text-green-100 px-2 py-1 rounded text-xs font-medium">
                               {Math.round(getBundleDiscount() * 100)}% OFF
@@ -187,7 +189,7 @@ function BundleCourseSection({ courses }) {
                           </>
                         )}
                         <span className="text-yellow-50 font-bold text-base sm:text-lg md:text-xl">
-                          ₹{getFinalPrice()}
+                          {formatBasePrice(getFinalPrice())}
                         </span>
                       </div>
                     </div>
@@ -244,7 +246,7 @@ function BundleCourseSection({ courses }) {
                 <div className="flex-1 min-w-0">
                   <p className="text-richblack-5 font-medium text-xs sm:text-sm truncate">{course.courseName}</p>
                   <p className="text-richblack-300 text-xs">
-                    {course.courseType === 'Free' ? 'Free' : `₹${course.price}`}
+                    {course.courseType === 'Free' ? 'Free' : formatCoursePrice(course)}
                   </p>
                 </div>
                 <button
@@ -3,13 +3,15 @@ import { useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { HiUsers } from 'react-icons/hi';
-import { FaRupeeSign, FaClock } from 'react-icons/fa';
+import { FaClock } from 'react-icons/fa';
 import RatingStars from '../../common/RatingStars';
 import { toast } from 'react-hot-toast';
+import useCurrency from '../../../hooks/useCurrency';
 
 export default function CourseCard({ course, Height = "h-auto" }) {
   const { user } = useSelector((state) => state.profile);
   const navigate = useNavigate();
+  const { formatCoursePrice } = useCurrency();
 
   const handleCardClick = () => {
     if (course?._id) {
@@ -118,19 +120,18 @@ export default function CourseCard({ course, Height = "h-auto" }) {
               <div className="flex items-center gap-3">
                 <span className="text-lg font-bold bg-gradient-to-r from-caribbeangreen-300 to-caribbeangreen-200 bg-clip-text text-transparent">FREE</span>
                 <span className="text-sm text-richblack-300 line-through">
-                  ₹{course?.price || course?.originalPrice}
+                  {formatCoursePrice(course, course?.price ? "price" : "originalPrice")}
                 </span>
               </div>
             ) : (
               <div className="flex items-center gap-2">
                 {course?.originalPrice && course?.originalPrice !== course?.price && (
                   <span className="text-sm text-richblack-400 line-through">
-                    ₹{course.originalPrice}
+                    {formatCoursePrice(course, "originalPrice")}
                   </span>
                 )}
                 <div className="flex items-center text-yellow-50 font-bold">
-                  <FaRupeeSign className="text-sm" />
-                  <span className="text-lg">{course?.price}</span>
+                  <span className="text-lg">{formatCoursePrice(course)}</span>
                 </div>
               </div>
             )}
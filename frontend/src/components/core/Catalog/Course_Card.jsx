@@ -2,12 +2,15 @@ import React from "react"
 import { Link } from "react-router-dom"
 import { motion } from "framer-motion"
 import { HiUsers } from "react-icons/hi"
-import { FaRupeeSign, FaClock } from "react-icons/fa"
+import { FaClock } from "react-icons/fa"
 
 import RatingStars from "../../common/RatingStars"
 import Img from './../../common/Img';
+import useCurrency from "../../../hooks/useCurrency"
 
 function Course_Card({ course, Height, bundleMode = false, isSelected = false, onSelect = null, selectionText = "Click to Select" }) {
+  const { formatCoursePrice } = useCurrency()
+
   // Return null if no course data is provided
   if (!course) {
     return null;
@@ -93,19 +96,18 @@ function Course_Card({ course, Height, bundleMode = false, isSelected = false, o
               <div className="flex items-center gap-3">
                 <span className="text-base xs:text-lg font-bold bg-gradient-to-r from-caribbeangreen-300 to-caribbeangreen-200 bg-clip-text text-transparent">FREE</span>
                 <span className="text-xs xs:text-sm text-richblack-400 line-through">
-                  ₹{course?.price || course?.originalPrice }
+                  {formatCoursePrice(course, course?.price ? "price" : "originalPrice")}
                 </span>
               </div>
             ) : (
               <>
                 {course?.originalPrice && course?.originalPrice !== course?.price && (
                   <span className="text-xs xs:text-sm text-richblack-400 line-through">
-                    ₹{course.originalPrice}
+                    {formatCoursePrice(course, "originalPrice")}
                   </span>
                 )}
                 <div className="flex items-center text-yellow-50 font-bold">
-                  <FaRupeeSign className="text-sm" />
-                  <span className="text-base xs:text-lg">{course?.price}</span>
+                  <span className="text-base xs:text-lg">{formatCoursePrice(course)}</span>
                 </div>
               </>
             )}
@@ -8,6 +8,7 @@ import { BsFillCaretRightFill } from "react-icons/bs"
 import { FaShareSquare } from "react-icons/fa"
 
 import { addToCart } from "../../../slices/cartSlice"
+import useCurrency from "../../../hooks/useCurrency"
 import { ACCOUNT_TYPE } from "../../../utils/constants"
 import { requestCourseAccess } from "../../../services/operations/courseAccessAPI"
 import RatingStars from "../../common/RatingStars"
@@ -19,10 +20,10 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
   const { token } = useSelector((state) => state.auth)
   const navigate = useNavigate()
   const dispatch = useDispatch()
+  const { formatCoursePrice } = useCurrency()
 
   const {
     thumbnail: ThumbnailImage,
-    price: CurrentPrice,
     _id: courseId,
   } = course
 
@@ -129,7 +130,7 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
                 </div>
               </div>
             ) : (
-              <span className="text-3xl font-semibold text-yellow-50">Rs. {CurrentPrice}</span>
+              <span className="text-3xl font-semibold text-yellow-50">{formatCoursePrice(course)}</span>
             )}
           </div>
           
@@ -0,0 +1,60 @@
+// Chapter markers of a lecture, edited as part of the lecture form
+// Rows are { time, title } with the time as typed, see toChapterRows and readChapterRows
+export default function ChapterEditor({ rows, setRows, disabled = false }) {
+  const updateRow = (index, field, value) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)))
+  }
+
+  return (
+    <div className="flex flex-col space-y-2">
+      <label className="text-sm text-richblack-5">Chapters</label>
+      {!disabled && (
+        <p className="text-xs text-richblack-300">
+          Optional. Students can jump to each chapter from the progress bar and the lecture list.
+        </p>
+      )}
+
+      {rows.length === 0 && disabled && (
+        <p className="text-sm text-richblack-400">This lecture has no chapters.</p>
+      )}
+
+      {rows.map((row, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            disabled={disabled}
+            value={row.time}
+            onChange={(e) => updateRow(index, "time", e.target.value)}
+            placeholder="0:00"
+            className="form-style w-24 font-mono"
+          />
+          <input
+            disabled={disabled}
+            value={row.title}
+            onChange={(e) => updateRow(index, "title", e.target.value)}
+            placeholder="Chapter title"
+            className="form-style flex-1"
+          />
+          {!disabled && (
+            <button
+              type="button"
+              onClick={() => setRows(rows.filter((_, i) => i !== index))}
+              className="text-xs text-pink-200 hover:underline"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+
+      {!disabled && (
+        <button
+          type="button"
+          onClick={() => setRows([...rows, { time: "", title: "" }])}
+          className="self-start text-sm text-yellow-50 hover:underline"
+        >
+          + Add chapter
+        </button>
+      )}
+    </div>
+  )
+}
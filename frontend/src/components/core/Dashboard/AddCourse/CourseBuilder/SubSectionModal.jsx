@@ -9,7 +9,9 @@ import {
   updateSubSection,
 } from "../../../../../services/operations/courseDetailsAPI"
 import { setCourse } from "../../../../../slices/courseSlice"
+import { readChapterRows, toChapterRows } from "../../../../../utils/videoUtils"
 import IconBtn from "../../../../common/IconBtn"
+import ChapterEditor from "../ChapterEditor"
 import Upload from "../Upload"
 
 export default function SubSectionModal({ modalData, setModalData, add = false, view = false, edit = false, }) {
@@ -23,6 +25,7 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
 
   const dispatch = useDispatch()
   const [loading, setLoading] = useState(false)
+  const [chapterRows, setChapterRows] = useState(() => toChapterRows(modalData?.chapters))
   const { token } = useSelector((state) => state.auth)
   const { course } = useSelector((state) => state.course)
 
@@ -45,17 +48,27 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
     // Check if video changed - compare File object vs URL string
     const videoChanged = currentValues.lectureVideo instanceof File || 
                         (currentValues.lectureVideo && currentValues.lectureVideo !== modalData.videoUrl)
+
+    const chaptersChanged = haveChaptersChanged()
     
     console.log("Form update check:", {
       titleChanged,
       descChanged,
       videoChanged,
+      chaptersChanged,
       currentVideo: currentValues.lectureVideo,
       originalVideo: modalData.videoUrl,
       videoType: typeof currentValues.lectureVideo
     })
     
-    return titleChanged || descChanged || videoChanged
+    return titleChanged || descChanged || videoChanged || chaptersChanged
+  }
+
+  // compare chapters without the formatting of the typed times
+  const haveChaptersChanged = () => {
+    const { chapters } = readChapterRows(chapterRows)
+    const original = (modalData.chapters || []).map(({ time, title }) => ({ time, title }))
+    return !chapters || JSON.stringify(chapters) !== JSON.stringify(original)
   }
 
   // handle the editing of subsection
@@ -81,6 +94,10 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
         console.log("Description updated:", currentValues.lectureDesc)
       }
       
+      if (haveChaptersChanged()) {
+        formData.append("chapters", JSON.stringify(readChapterRows(chapterRows).chapters))
+      }
+      
       // Handle video update - check if it's a File object (new upload) or changed URL
       if (currentValues.lectureVideo instanceof File) {
         formData.append("videoFile", currentValues.lectureVideo)
@@ -125,6 +142,12 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
   const onSubmit = async (data) => {
     if (view) return
 
+    const chapterCheck = readChapterRows(chapterRows)
+    if (chapterCheck.error) {
+      toast.error(chapterCheck.error)
+      return
+    }
+
     if (edit) {
       if (!isFormUpdated()) {
         toast.error("No changes made to the form")
@@ -148,6 +171,9 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
       formData.append("sectionId", modalData)
       formData.append("title", data.lectureTitle)
       formData.append("description", data.lectureDesc)
+      if (chapterCheck.chapters.length > 0) {
+        formData.append("chapters", JSON.stringify(chapterCheck.chapters))
+      }
       
       // Only append video if one was selected
       if (data.lectureVideo instanceof File) {
@@ -231,6 +257,8 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
             video={true}
             viewData={view ? modalData.videoUrl : null}
             editData={edit ? modalData.videoUrl : null}
+            courseId={add ? null : course?._id}
+            subSectionId={add ? null : modalData._id}
           />
           
           {/* Lecture Title */}
@@ -272,6 +300,9 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
             )}
           </div>
 
+          {/* Lecture Chapters */}
+          <ChapterEditor rows={chapterRows} setRows={setChapterRows} disabled={view || loading} />
+
           {!view && (
             <div className="flex justify-end">
               <IconBtn
@@ -9,11 +9,21 @@ import { editCourseDetails, fetchCourseCategories, addCourseDetails } from "../.
 import { getAllInstructors, createCourseAsAdmin } from "../../../../../services/operations/adminAPI"
 import { setCourse, setStep } from "../../../../../slices/courseSlice"
 import { COURSE_STATUS } from "../../../../../utils/constants"
+import useCurrency from "../../../../../hooks/useCurrency"
 import IconBtn from "../../../../common/IconBtn"
 import Upload from "../Upload"
 import ChipInput from "./ChipInput"
 import RequirementsField from "./RequirementField"
 
+// Prices set in other currencies, from the form's { USD: 19.99, EUR: "" } to what editCourse takes
+const toCoursePrices = (values = {}) =>
+  Object.entries(values)
+    .filter(([, amount]) => Number(amount) > 0)
+    .map(([currency, amount]) => ({ currency, amount: Number(amount) }))
+
+const samePrices = (a = [], b = []) =>
+  a.length === b.length && a.every((price) => b.some((other) => other.currency === price.currency && other.amount === price.amount))
+
 export default function CourseInformationForm() {
 
   const { register, handleSubmit, setValue, getValues, formState: { errors } } = useForm()
@@ -25,6 +35,8 @@ export default function CourseInformationForm() {
   const [loading, setLoading] = useState(false)
   const [courseCategories, setCourseCategories] = useState([])
   const [instructors, setInstructors] = useState([])
+  const { currencies } = useCurrency()
+  const otherCurrencies = currencies.filter((code) => code !== "INR")
 
   useEffect(() => {
     const getCategories = async () => {
@@ -54,6 +66,7 @@ export default function CourseInformationForm() {
       setValue("courseTitle", course.courseName)
       setValue("courseShortDesc", course.courseDescription)
       setValue("coursePrice", course.price)
+      course.prices?.forEach((price) => setValue(`coursePrices.${price.currency}`, price.amount))
       setValue("courseTags", course.tag)
       setValue("courseBenefits", course.whatYouWillLearn)
       setValue("courseCategory", course.category)
@@ -77,6 +90,7 @@ export default function CourseInformationForm() {
       currentValues.courseTitle !== course.courseName ||
       currentValues.courseShortDesc !== course.courseDescription ||
       currentValues.coursePrice !== course.price ||
+      !samePrices(toCoursePrices(currentValues.coursePrices), course.prices) ||
       currentValues.courseTags.toString() !== course.tag.toString() ||
       currentValues.courseBenefits !== course.whatYouWillLearn ||
       currentValues.courseCategory._id !== course.category._id ||
@@ -110,6 +124,9 @@ export default function CourseInformationForm() {
         if (currentValues.coursePrice !== course.price) {
           formData.append("price", data.coursePrice)
         }
+        if (!samePrices(toCoursePrices(currentValues.coursePrices), course.prices)) {
+          formData.append("prices", JSON.stringify(toCoursePrices(data.coursePrices)))
+        }
         if (currentValues.courseTags.toString() !== course.tag.toString()) {
           formData.append("tag", JSON.stringify(data.courseTags))
           // formData.append("tag", data.courseTags)
@@ -269,6 +286,29 @@ export default function CourseInformationForm() {
         )}
       </div>
 
+      {/* Prices in other currencies; left empty, the price above is converted at the exchange rate */}
+      {editCourse && otherCurrencies.length > 0 && (
+        <div className="flex flex-col space-y-2">
+          <p className="text-sm text-richblack-5">Prices in Other Currencies</p>
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
+            {otherCurrencies.map((code) => (
+              <label key={code} className="flex items-center gap-2 text-xs text-richblack-300" htmlFor={`coursePrice-${code}`}>
+                {code}
+                <input
+                  id={`coursePrice-${code}`}
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Converted"
+                  {...register(`coursePrices.${code}`)}
+                  className="form-style w-full"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Course Category */}
       <div className="flex flex-col space-y-2 ">
         <label className="text-sm text-richblack-5" htmlFor="courseCategory">
@@ -21,6 +21,7 @@ export default function PublishCourse() {
     if (course?.status === COURSE_STATUS.PUBLISHED) {
       setValue("public", true)
     }
+    setValue("allowOffline", Boolean(course?.allowOffline))
   }, [])
 
   const goBack = () => {
@@ -34,10 +35,12 @@ export default function PublishCourse() {
 
   const handleCoursePublish = async () => {
     // check if form has been updated or not
+    const allowOfflineChanged = getValues("allowOffline") !== Boolean(course?.allowOffline)
     if (
-      (course?.status === COURSE_STATUS.PUBLISHED &&
+      !allowOfflineChanged &&
+      ((course?.status === COURSE_STATUS.PUBLISHED &&
         getValues("public") === true) ||
-      (course?.status === COURSE_STATUS.DRAFT && getValues("public") === false)
+      (course?.status === COURSE_STATUS.DRAFT && getValues("public") === false))
     ) {
       // form has not been updated
       // no need to make api call
@@ -50,6 +53,7 @@ export default function PublishCourse() {
       ? COURSE_STATUS.PUBLISHED
       : COURSE_STATUS.DRAFT
     formData.append("status", courseStatus)
+    formData.append("allowOffline", getValues("allowOffline") ? "true" : "false")
     setLoading(true)
     const result = await editCourseDetails(formData, token)
     if (result) {
@@ -82,6 +86,17 @@ export default function PublishCourse() {
               Make this course as public
             </span>
           </label>
+          <label htmlFor="allowOffline" className="mt-4 flex items-center text-lg">
+            <input
+              type="checkbox"
+              id="allowOffline"
+              {...register("allowOffline")}
+              className="border-gray-300 h-4 w-4 rounded bg-richblack-500 text-richblack-400 focus:ring-2 focus:ring-richblack-5"
+            />
+            <span className="ml-2 text-richblack-400">
+              Allow enrolled students to download lectures for offline viewing
+            </span>
+          </label>
         </div>
 
         {/* Next Prev Button */}
@@ -1,13 +1,15 @@
-import { useEffect, useRef, useState } from "react"
+import { useCallback, useEffect, useRef, useState } from "react"
 import { useDropzone } from "react-dropzone"
 import { FiUploadCloud } from "react-icons/fi"
 import { useSelector } from "react-redux"
 
+import { getPlaybackSession, getStreamUrl } from "../../../../utils/videoUtils"
+
 // Removed video-react to eliminate legacy context API warning
 
 
 
-export default function Upload({ name, label, register, setValue, errors, video = false, viewData = null, editData = null, setImageFile = null }) {
+export default function Upload({ name, label, register, setValue, errors, video = false, viewData = null, editData = null, setImageFile = null, courseId = null, subSectionId = null }) {
   const { token } = useSelector((state) => state.auth)
   const [selectedFile, setSelectedFile] = useState(null)
   const [previewSource, setPreviewSource] = useState("")
@@ -16,6 +18,23 @@ export default function Upload({ name, label, register, setValue, errors, video
   const inputRef = useRef(null)
   const videoRef = useRef(null)
 
+  // Stored videos play through a short-lived playback token or signed URL, like lectures do:
+  // { courseId, subSectionId } for a saved lecture, { videoId } for an upload of one's own
+  const loadStreamingPreview = useCallback((target) => {
+    setIsLoadingPreview(true)
+    getPlaybackSession(target, token).then((session) => {
+      if (session?.videoUrl) {
+        setPreviewSource(session.videoUrl)
+      } else if (session) {
+        setPreviewSource(getStreamUrl(session.videoId, session.playbackToken))
+      } else {
+        setPreviewError("Video file not found or inaccessible")
+        setPreviewSource("")
+      }
+      setIsLoadingPreview(false)
+    })
+  }, [token])
+
   const onDrop = (acceptedFiles) => {
     const file = acceptedFiles[0]
     if (file) {
@@ -146,8 +165,10 @@ export default function Upload({ name, label, register, setValue, errors, video
       console.log("Processing initial video URL:", initialVideoUrl)
       setIsLoadingPreview(true)
       
-      // Check if it's a Supabase URL that needs special handling
-      if (initialVideoUrl.includes('supabase') || initialVideoUrl.includes('storage')) {
+      // The video bucket is private, so a saved lecture's video is signed for the course's instructor and admins
+      if (courseId && subSectionId) {
+        loadStreamingPreview({ courseId, subSectionId })
+      } else if (initialVideoUrl.includes('supabase') || initialVideoUrl.includes('storage')) {
         console.log("Detected Supabase video URL, using direct URL")
         // For Supabase URLs, try to use them directly first
         setPreviewSource(initialVideoUrl)
@@ -182,12 +203,10 @@ export default function Upload({ name, label, register, setValue, errors, video
           videoId = videoId.replace('_manifest', '')
         }
         
-        const streamingUrl = `http://localhost:5001/api/v1/video/stream/${videoId}?token=${token}`
-        setPreviewSource(streamingUrl)
-        setIsLoadingPreview(false)
+        loadStreamingPreview({ videoId })
       }
     }
-  }, [viewData, editData, video, selectedFile, token])
+  }, [viewData, editData, video, selectedFile, loadStreamingPreview, courseId, subSectionId])
 
   // Clean up object URLs on unmount
   useEffect(() => {
@@ -261,10 +280,8 @@ export default function Upload({ name, label, register, setValue, errors, video
                         }
                       }
                       
-                      const streamingUrl = `http://localhost:5001/api/v1/video/stream/${videoId}?token=${token}`
-                      console.log("Trying streaming URL:", streamingUrl)
-                      setPreviewSource(streamingUrl)
-                      setIsLoadingPreview(false)
+                      console.log("Trying streaming endpoint for video:", videoId)
+                      loadStreamingPreview({ videoId })
                     } else {
                       setPreviewSource(originalUrl)
                       setIsLoadingPreview(false)
@@ -313,9 +330,8 @@ export default function Upload({ name, label, register, setValue, errors, video
                       }
                       
                       if (possibleVideoId && token) {
-                        const streamingUrl = `http://localhost:5001/api/v1/video/stream/${possibleVideoId}?token=${token}`
-                        console.log("Trying streaming URL:", streamingUrl)
-                        setPreviewSource(streamingUrl)
+                        console.log("Trying streaming endpoint for video:", possibleVideoId)
+                        loadStreamingPreview({ videoId: possibleVideoId })
                         return
                       }
                     }
@@ -2,7 +2,7 @@ import { useEffect, useState } from "react";
 import { useSelector, useDispatch } from 'react-redux';
 import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaStar, FaComments, FaTag, FaChartLine, FaCommentDots, FaBriefcase, FaEnvelope, FaTrash , FaSmile} from 'react-icons/fa';
 import { MdSettings, MdKeyboardArrowLeft, MdKeyboardArrowRight } from 'react-icons/md';
-import { FiBell } from 'react-icons/fi';
+import { FiBell, FiRotateCcw, FiDollarSign } from 'react-icons/fi';
 import { VscSignOut, VscPackage, VscGitPullRequestCreate, VscSymbolClass } from "react-icons/vsc";
 import { HiMenuAlt1 } from 'react-icons/hi';
 import { IoMdClose } from 'react-icons/io';
@@ -37,6 +37,8 @@ const AdminSidebar = ({ activeTab, onTabChange }) => {
     { id: 'accessRequests', label: 'Access Requests', icon: <FaUsers size={16} />, notificationKey: 'accessRequests' },
     { id: 'bundleRequests', label: 'Bundle Requests', icon: <VscGitPullRequestCreate size={16} />, notificationKey: 'bundleRequests' },
     { id: 'orders', label: 'Orders', icon: <VscPackage size={16} />, notificationKey: null },
+    { id: 'refunds', label: 'Refunds', icon: <FiRotateCcw size={16} />, notificationKey: null },
+    { id: 'exchangeRates', label: 'Exchange Rates', icon: <FiDollarSign size={16} />, notificationKey: null },
     { id: 'coupons', label: 'Coupons', icon: <FaTag size={16} />, notificationKey: null },
     { id: 'careers', label: 'Careers', icon: <FaBriefcase size={16} />, notificationKey: 'careers' },
     { id: 'notifications', label: 'Notifications', icon: <FiBell size={16} />, notificationKey: 'notifications' },
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useSelector } from 'react-redux';
-import { validateAndApplyCoupon, getAllCoupons } from '../../../../services/operations/couponAPI';
+import { validateCoupon, getAllCoupons } from '../../../../services/operations/couponAPI';
 import { toast } from 'react-hot-toast';
 import CouponSuccessModal from '../../../common/CouponSuccessModal';
 
@@ -47,8 +47,8 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
     setPricePreview(null);
     
     try {
-      // Use the new combined endpoint to validate and apply in one call
-      const result = await validateAndApplyCoupon(
+      // Only validated here; the use is counted once the payment completes
+      const result = await validateCoupon(
         {
           code,
           totalAmount,
@@ -66,7 +66,7 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
         });
         
         // Call the parent component's callback with discount details
-        onCouponApply(result.data);
+        onCouponApply({ ...result.data, code });
         
         // Show success modal
         setShowSuccessModal(true);
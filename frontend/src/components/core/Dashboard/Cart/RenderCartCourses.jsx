@@ -5,10 +5,12 @@ import ReactStars from "react-rating-stars-component"
 import { useDispatch, useSelector } from "react-redux"
 import { removeFromCart } from "../../../../slices/cartSlice"
 import Img from './../../../common/Img';
+import useCurrency from "../../../../hooks/useCurrency"
 
 export default function RenderCartCourses() {
   const { cart } = useSelector((state) => state.cart)
   const dispatch = useDispatch()
+  const { formatCoursePrice, formatBasePrice } = useCurrency()
 
   return (
     <div className="space-y-4">
@@ -82,10 +84,10 @@ export default function RenderCartCourses() {
                 <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 mt-4 pt-4 border-t border-slate-700/50">
                   <div className="space-y-1">
                     <div className="text-2xl font-bold bg-gradient-to-r from-yellow-400 to-orange-400 bg-clip-text text-transparent">
-                      ₹ {course?.price}
+                      {formatCoursePrice(course)}
                     </div>
                     <div className="text-sm text-slate-400 line-through">
-                      ₹ {Math.round(course?.price * 1.5)}
+                      {formatBasePrice(Math.round(course?.price * 1.5))}
                     </div>
                   </div>
                   
@@ -1,12 +1,13 @@
 import { useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate } from "react-router-dom"
-import toast from "react-hot-toast"
 
 import IconBtn from "../../../common/IconBtn"
 import CouponInput from "./CouponInput"
 import { FiCreditCard, FiShield, FiZap, FiGift } from "react-icons/fi"
 import { buyCourse } from "../../../../services/operations/studentFeaturesAPI"
+import useCheckoutQuote from "../../../../hooks/useCheckoutQuote"
+import useCurrency from "../../../../hooks/useCurrency"
 
 export default function RenderTotalAmount() {
   const { total, cart } = useSelector((state) => state.cart)
@@ -18,7 +19,17 @@ export default function RenderTotalAmount() {
   const [appliedCoupon, setAppliedCoupon] = useState(null)
   const [discountAmount, setDiscountAmount] = useState(0)
 
-  const finalAmount = total - discountAmount
+  // The prices shown and charged come from the server's quote
+  const { quote, pricing, loading: quoteLoading, error: quoteError, refresh: refreshQuote } =
+    useCheckoutQuote(cart.map((course) => course._id), appliedCoupon?.code, "course", token)
+
+  const subtotal = pricing ? pricing.subtotal : total
+  const couponDiscount = pricing ? pricing.couponDiscount : discountAmount
+  const finalAmount = pricing ? pricing.amount : total - discountAmount
+
+  // Quoted amounts are in the quote's currency, the cart's own totals in the base currency
+  const { formatPrice, formatBasePrice } = useCurrency()
+  const showAmount = (amount) => pricing ? formatPrice(amount, pricing.currency) : formatBasePrice(amount)
 
   const handleCouponApply = (couponData) => {
     setAppliedCoupon(couponData)
@@ -31,14 +42,9 @@ export default function RenderTotalAmount() {
   }
 
   const handleBuyCourse = async () => {
-    // Check if total amount is not zero - prevent purchase and show message
-    if (finalAmount !== 0 && finalAmount !== null) {
-      toast.error("You have to pay first")
-      return
-    }
-    
-    const courses = cart.map((course) => course._id)
-    await buyCourse(token, courses, user, navigate, dispatch)
+    if (!quote) return
+    const enrolled = await buyCourse(token, quote, user, navigate, dispatch)
+    if (!enrolled) refreshQuote()
   }
 
   const savings = Math.round(total * 0.3)
@@ -48,7 +54,7 @@ export default function RenderTotalAmount() {
     <div className="min-w-[280px] rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6">
       <div className="mb-4">
         <p className="mb-1 text-sm font-medium text-richblack-300">Subtotal:</p>
-        <p className="text-2xl font-medium text-richblack-100">₹ {total}</p>
+        <p className="text-2xl font-medium text-richblack-100">{showAmount(subtotal)}</p>
       </div>
 
       {appliedCoupon && (
@@ -70,18 +76,24 @@ export default function RenderTotalAmount() {
             </button>
           </div>
           <p className="text-sm text-green-200 mt-1">
-            Discount: -₹{discountAmount}
+            Discount: -{showAmount(couponDiscount)}
           </p>
         </div>
       )}
 
       <div className="mb-4">
         <p className="mb-1 text-sm font-medium text-richblack-300">Total:</p>
-        <p className="mb-6 text-3xl font-medium text-yellow-100">₹ {finalAmount}</p>
+        <p className="text-3xl font-medium text-yellow-100">{showAmount(finalAmount)}</p>
+        {pricing?.taxAmount > 0 && (
+          <p className="mt-1 text-xs text-richblack-300">
+            Includes GST ({pricing.tax.rate}%): {showAmount(pricing.taxAmount)}
+          </p>
+        )}
+        {quoteError && <p className="mt-2 text-sm text-pink-200">{quoteError}</p>}
       </div>
 
       {!appliedCoupon && (
-        <div className="mb-4">
+        <div className="mb-4 mt-6">
           <CouponInput totalAmount={total} onCouponApply={handleCouponApply} />
         </div>
       )}
@@ -89,6 +101,7 @@ export default function RenderTotalAmount() {
       <IconBtn
         text="Buy Now"
         onClick={handleBuyCourse}
+        disabled={!quote || quoteLoading}
         customClasses="w-full justify-center"
       />
     </div>
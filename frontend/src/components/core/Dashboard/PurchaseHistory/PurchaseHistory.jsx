@@ -1,19 +1,32 @@
 import React, { useEffect, useState } from "react";
 import { useSelector } from "react-redux";
 import { toast } from "react-hot-toast";
-import { FiFileText } from "react-icons/fi";
+import { FiFileText, FiRotateCcw } from "react-icons/fi";
 import { apiConnector } from "../../../../services/apiConnector";
 import { courseEndpoints } from "../../../../services/apis";
+import { downloadInvoice } from "../../../../services/operations/orderAPI";
 import OrderViewModal from "../../../../pages/Admin/components/OrderViewModal";
+import RefundRequestModal from "./RefundRequestModal";
+import { formatPrice } from "../../../../utils/currency";
 
 const { COURSE_PURCHASE_HISTORY_API } = courseEndpoints;
 
+// What the student sees of their latest refund request
+const REFUND_STATUS_LABELS = {
+  requested: "Refund requested",
+  processing: "Refund in progress",
+  rejected: "Refund declined",
+  failed: "Refund in progress",
+};
+
 export default function PurchaseHistory() {
   const { token } = useSelector((state) => state.auth);
   const [purchases, setPurchases] = useState([]);
   const [loading, setLoading] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showInvoiceModal, setShowInvoiceModal] = useState(false);
+  const [refundPurchase, setRefundPurchase] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     const fetchPurchaseHistory = async () => {
@@ -39,9 +52,25 @@ export default function PurchaseHistory() {
     };
 
     fetchPurchaseHistory();
-  }, [token]);
+  }, [token, reloadKey]);
+
+  const renderRefundStatus = (purchase) => {
+    const label = purchase.refund && REFUND_STATUS_LABELS[purchase.refund.status];
+    if (!label) return null;
+    return (
+      <p className="mt-1 text-xs text-richblack-300" title={purchase.refund.adminNote || undefined}>
+        {label}
+      </p>
+    );
+  };
 
   const handleViewInvoice = (purchase) => {
+    // Paid orders have a GST invoice; free enrollments get the order summary
+    if (purchase.price > 0) {
+      downloadInvoice(token, purchase._id);
+      return;
+    }
+
     // Convert purchase data to order format for the admin invoice modal
     const orderData = {
       _id: purchase._id,
@@ -130,15 +159,16 @@ export default function PurchaseHistory() {
                 </div>
                 <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-richblack-100">
-                    {purchase.price === 0 ? "Free" : `₹${purchase.price}`}
+                    {purchase.price === 0 ? "Free" : formatPrice(purchase.price, purchase.currency)}
                   </p>
                 </div>
                 <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-yellow-100">
                     {purchase.status}
                   </p>
+                  {renderRefundStatus(purchase)}
                 </div>
-                <div className="w-[12%] px-2 py-3">
+                <div className="flex w-[12%] flex-col items-start gap-2 px-2 py-3">
                   <button
                     onClick={() => handleViewInvoice(purchase)}
                     className="flex items-center gap-1 rounded-md bg-yellow-50 px-3 py-1 text-xs font-medium text-richblack-900 hover:bg-yellow-25"
@@ -146,6 +176,15 @@ export default function PurchaseHistory() {
                     <FiFileText size={14} />
                     Invoice
                   </button>
+                  {purchase.canRequestRefund && (
+                    <button
+                      onClick={() => setRefundPurchase(purchase)}
+                      className="flex items-center gap-1 rounded-md bg-richblack-700 px-3 py-1 text-xs font-medium text-richblack-50 hover:bg-richblack-600"
+                    >
+                      <FiRotateCcw size={14} />
+                      Refund
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -177,14 +216,15 @@ export default function PurchaseHistory() {
                   </div>
                   <div>
                     <p className="font-medium">Price</p>
-                    <p>{purchase.price === 0 ? "Free" : `₹${purchase.price}`}</p>
+                    <p>{purchase.price === 0 ? "Free" : formatPrice(purchase.price, purchase.currency)}</p>
                   </div>
                 </div>
                 <div>
                   <p className="font-medium text-yellow-100">Status</p>
                   <p>{purchase.status}</p>
+                  {renderRefundStatus(purchase)}
                 </div>
-                <div className="mt-3">
+                <div className="mt-3 flex flex-wrap gap-3">
                   <button
                     onClick={() => handleViewInvoice(purchase)}
                     className="flex items-center gap-2 rounded-md bg-yellow-50 px-4 py-2 text-sm font-medium text-richblack-900 hover:bg-yellow-25"
@@ -192,6 +232,15 @@ export default function PurchaseHistory() {
                     <FiFileText size={16} />
                     Download Invoice
                   </button>
+                  {purchase.canRequestRefund && (
+                    <button
+                      onClick={() => setRefundPurchase(purchase)}
+                      className="flex items-center gap-2 rounded-md bg-richblack-800 px-4 py-2 text-sm font-medium text-richblack-50 hover:bg-richblack-600"
+                    >
+                      <FiRotateCcw size={16} />
+                      Request Refund
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -209,6 +258,18 @@ export default function PurchaseHistory() {
           }}
         />
       )}
+
+      {/* Refund Request Modal */}
+      {refundPurchase && (
+        <RefundRequestModal
+          purchase={refundPurchase}
+          onClose={() => setRefundPurchase(null)}
+          onRequested={() => {
+            setRefundPurchase(null);
+            setReloadKey((key) => key + 1);
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,64 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+import { requestRefund } from "../../../../services/operations/orderAPI";
+import { formatPrice } from "../../../../utils/currency";
+
+export default function RefundRequestModal({ purchase, onClose, onRequested }) {
+  const { token } = useSelector((state) => state.auth);
+  const [reason, setReason] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const refundable = Math.round((purchase.price - (purchase.refundedAmount || 0)) * 100) / 100;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const requested = await requestRefund(token, purchase._id, reason);
+    setSubmitting(false);
+    if (requested) {
+      onRequested();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] !mt-0 grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm">
+      <form
+        onSubmit={handleSubmit}
+        className="w-11/12 max-w-[450px] rounded-lg border border-richblack-400 bg-richblack-800 p-6"
+      >
+        <p className="text-2xl font-semibold text-richblack-5">Request a Refund</p>
+        <p className="mt-3 text-sm leading-6 text-richblack-200">
+          {purchase.courseName}: {formatPrice(refundable, purchase.currency)} can be refunded.
+          An admin will review your request; if the course is refunded it is removed from your account.
+        </p>
+        <label className="mt-4 block text-sm text-richblack-5" htmlFor="refundReason">
+          Reason (optional)
+        </label>
+        <textarea
+          id="refundReason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          maxLength={1000}
+          rows={4}
+          className="mt-2 w-full rounded-md bg-richblack-700 p-3 text-sm text-richblack-5 outline-none"
+          placeholder="Tell us why you would like a refund"
+        />
+        <div className="mt-5 flex items-center gap-x-4">
+          <button
+            type="submit"
+            disabled={submitting}
+            className="rounded-md bg-yellow-50 px-4 py-2 font-semibold text-richblack-900 transition-all duration-200 hover:scale-95 disabled:opacity-50"
+          >
+            {submitting ? "Requesting..." : "Request Refund"}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-md bg-richblack-200 px-4 py-2 font-semibold text-richblack-900 transition-all duration-200 hover:scale-95"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
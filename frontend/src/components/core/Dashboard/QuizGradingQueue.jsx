@@ -0,0 +1,191 @@
+import { useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+import { FiCheckCircle, FiClock } from "react-icons/fi"
+import { getGradingQueue, getAttemptReview, gradeQuizAttempt } from "../../../services/operations/quizAPI"
+import IconBtn from "../../common/IconBtn"
+
+// Submissions whose short and long answers wait for an instructor, with a grading form
+export default function QuizGradingQueue() {
+  const { token } = useSelector((state) => state.auth)
+  const [queue, setQueue] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [selectedAttempt, setSelectedAttempt] = useState(null)
+  const [review, setReview] = useState(null)
+  // Marks and feedback per question id
+  const [grades, setGrades] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchQueue()
+  }, [])
+
+  const fetchQueue = async () => {
+    setLoading(true)
+    const result = await getGradingQueue(token)
+    setQueue(result || [])
+    setLoading(false)
+  }
+
+  const openAttempt = async (attempt) => {
+    setSelectedAttempt(attempt)
+    setReview(null)
+    const result = await getAttemptReview(attempt.attemptId, token)
+    if (!result) {
+      setSelectedAttempt(null)
+      return
+    }
+    const initialGrades = {}
+    result.questions
+      .filter(question => question.needsReview)
+      .forEach(question => {
+        // Start from the provisional keyword score for short answers
+        initialGrades[question.questionId] = { marks: question.marksAwarded, feedback: "" }
+      })
+    setGrades(initialGrades)
+    setReview(result)
+  }
+
+  const handleGradeChange = (questionId, field, value) => {
+    setGrades(prev => ({ ...prev, [questionId]: { ...prev[questionId], [field]: value } }))
+  }
+
+  const submitGrades = async () => {
+    setSaving(true)
+    const result = await gradeQuizAttempt(
+      selectedAttempt.attemptId,
+      Object.entries(grades).map(([questionId, grade]) => ({
+        questionId,
+        marks: Number(grade.marks),
+        feedback: grade.feedback
+      })),
+      token
+    )
+    setSaving(false)
+    if (result) {
+      setSelectedAttempt(null)
+      setReview(null)
+      fetchQueue()
+    }
+  }
+
+  if (selectedAttempt) {
+    const questionsToGrade = review ? review.questions.filter(question => question.needsReview) : []
+
+    return (
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <div>
+            <p className="text-lg font-semibold text-richblack-5">
+              {selectedAttempt.user?.firstName} {selectedAttempt.user?.lastName} · Attempt #{selectedAttempt.attemptNumber}
+            </p>
+            <p className="text-sm text-richblack-300">
+              {selectedAttempt.course?.courseName} · {selectedAttempt.subSection?.title}
+            </p>
+          </div>
+          <IconBtn onClick={() => setSelectedAttempt(null)} text="Back to Queue" outline />
+        </div>
+
+        {!review ? (
+          <div className="flex items-center justify-center h-40">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+          </div>
+        ) : (
+          <>
+            {questionsToGrade.map((question, index) => (
+              <div key={question.questionId} className="bg-richblack-700 rounded-lg p-4 space-y-3">
+                <div className="flex items-start justify-between gap-4">
+                  <p className="text-richblack-5 font-medium">
+                    {index + 1}. {question.questionText}
+                  </p>
+                  <span className="text-xs text-richblack-300 shrink-0">
+                    {question.questionType === "shortAnswer" ? "Short answer" : "Long answer"}
+                  </span>
+                </div>
+                {question.questionType === "shortAnswer" && question.keywords?.length > 0 && (
+                  <p className="text-sm text-richblack-300">
+                    Expected keywords: <span className="text-richblack-5">{question.keywords.join(", ")}</span>
+                  </p>
+                )}
+                <p className="bg-richblack-800 text-richblack-5 p-3 rounded-lg whitespace-pre-wrap">
+                  {question.answer}
+                </p>
+                <div className="flex flex-col md:flex-row gap-4">
+                  <div className="flex items-center gap-2">
+                    <label className="text-sm text-richblack-5">Marks:</label>
+                    <input
+                      type="number"
+                      value={grades[question.questionId]?.marks ?? 0}
+                      onChange={(e) => handleGradeChange(question.questionId, "marks", e.target.value)}
+                      min="0"
+                      max={question.maxMarks}
+                      step="0.5"
+                      className="w-24 bg-richblack-800 text-richblack-5 rounded-lg p-2"
+                    />
+                    <span className="text-sm text-richblack-300">/ {question.maxMarks}</span>
+                  </div>
+                  <textarea
+                    value={grades[question.questionId]?.feedback || ""}
+                    onChange={(e) => handleGradeChange(question.questionId, "feedback", e.target.value)}
+                    placeholder="Feedback for the student (optional)"
+                    className="flex-1 bg-richblack-800 text-richblack-5 rounded-lg p-2 min-h-[60px] resize-none"
+                  />
+                </div>
+              </div>
+            ))}
+            <div className="flex justify-end">
+              <IconBtn
+                onClick={submitGrades}
+                text={saving ? "Saving..." : "Submit Grades"}
+                disabled={saving}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-40">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+      </div>
+    )
+  }
+
+  if (queue.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+        <FiCheckCircle className="text-4xl text-green-400" />
+        <p className="text-xl font-semibold text-richblack-100">Nothing to grade</p>
+        <p className="text-richblack-400">Submissions with short or long answers will appear here.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {queue.map((attempt) => (
+        <div
+          key={attempt.attemptId}
+          className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-richblack-700 rounded-lg"
+        >
+          <div className="space-y-1">
+            <p className="text-richblack-5 font-semibold">
+              {attempt.user?.firstName} {attempt.user?.lastName}
+              <span className="text-richblack-300 font-normal"> · Attempt #{attempt.attemptNumber}</span>
+            </p>
+            <p className="text-sm text-richblack-300">
+              {attempt.course?.courseName} · {attempt.subSection?.title}
+            </p>
+            <p className="text-xs text-richblack-300 flex items-center gap-1">
+              <FiClock />
+              Submitted {new Date(attempt.submittedAt).toLocaleString()} · {attempt.questionsToReview} answer(s) to grade
+            </p>
+          </div>
+          <IconBtn onClick={() => openAttempt(attempt)} text="Grade" />
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -2,16 +2,23 @@ import { useForm } from "react-hook-form"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate } from "react-router-dom"
 
+import { GST_STATES } from "../../../../data/gst-states"
+import useCurrency from "../../../../hooks/useCurrency"
 import { updateProfile } from "../../../../services/operations/SettingsAPI"
+import { setCurrency } from "../../../../slices/currencySlice"
 import IconBtn from "../../../common/IconBtn"
 
 const genders = ["Male", "Female", "Non-Binary", "Prefer not to say", "Other"]
 
+// 2-digit state code, PAN, entity number, "Z", check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+
 export default function EditProfile() {
   const { user } = useSelector((state) => state.profile)
   const { token } = useSelector((state) => state.auth)
   const navigate = useNavigate()
   const dispatch = useDispatch()
+  const { currencies } = useCurrency()
 
   const { register, handleSubmit, formState: { errors } } = useForm()
 
@@ -19,6 +26,8 @@ export default function EditProfile() {
     // console.log("Form Data - ", data)
     try {
       dispatch(updateProfile(token, data))
+      // The saved preference replaces whatever was picked on this browser
+      dispatch(setCurrency(data.currency || null))
     } catch (error) {
       console.log("ERROR MESSAGE - ", error.message)
     }
@@ -181,6 +190,100 @@ export default function EditProfile() {
           </div>
         </div>
 
+        {/* Billing Details */}
+        <div className="my-10 flex flex-col gap-y-6 rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-8 px-6 sm:px-12">
+          <div>
+            <h2 className="text-lg font-semibold text-richblack-5">
+              Billing Details
+            </h2>
+            <p className="mt-1 text-sm text-richblack-300">
+              Printed on your tax invoices. Add a GSTIN to claim input tax credit.
+            </p>
+          </div>
+
+          <div className="flex flex-col gap-2">
+            <label htmlFor="billingAddress" className="lable-style">
+              Billing Address
+            </label>
+            <input
+              type="text"
+              name="billingAddress"
+              id="billingAddress"
+              placeholder="Enter Billing Address"
+              className="form-style"
+              {...register("billingAddress")}
+              defaultValue={user?.additionalDetails?.billingAddress}
+            />
+          </div>
+
+          <div className="flex flex-col gap-5 lg:flex-row">
+            <div className="flex flex-col gap-2 lg:w-[48%]">
+              <label htmlFor="billingStateCode" className="lable-style">
+                State
+              </label>
+              <select
+                name="billingStateCode"
+                id="billingStateCode"
+                className="form-style"
+                {...register("billingStateCode")}
+                defaultValue={user?.additionalDetails?.billingStateCode || ""}
+              >
+                <option value="">Select State</option>
+                {GST_STATES.map((state) => (
+                  <option key={state.code} value={state.code}>
+                    {state.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex flex-col gap-2 lg:w-[48%]">
+              <label htmlFor="gstin" className="lable-style">
+                GSTIN (optional)
+              </label>
+              <input
+                type="text"
+                name="gstin"
+                id="gstin"
+                placeholder="Enter GSTIN"
+                className="form-style uppercase"
+                {...register("gstin", {
+                  setValueAs: (value) => (value || "").trim().toUpperCase(),
+                  validate: (value) => !value || GSTIN_PATTERN.test(value) || "Invalid GSTIN",
+                })}
+                defaultValue={user?.additionalDetails?.gstin}
+              />
+              {errors.gstin && (
+                <span className="-mt-1 text-[12px] text-yellow-100">
+                  {errors.gstin.message}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {currencies.length > 1 && (
+            <div className="flex flex-col gap-2 lg:w-[48%]">
+              <label htmlFor="currency" className="lable-style">
+                Preferred Currency
+              </label>
+              <select
+                name="currency"
+                id="currency"
+                className="form-style"
+                {...register("currency")}
+                defaultValue={user?.additionalDetails?.currency || ""}
+              >
+                <option value="">Automatic (from your location)</option>
+                {currencies.map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
         <div className="flex justify-end gap-2">
           <button
             onClick={() => { navigate("/dashboard/my-profile") }}
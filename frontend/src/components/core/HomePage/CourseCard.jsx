@@ -2,11 +2,13 @@ import React from "react";
 import { motion } from "framer-motion";
 import { HiUsers } from "react-icons/hi";
 import { ImTree } from "react-icons/im";
-import { FaRupeeSign } from "react-icons/fa";
 import RatingStars from "../../common/RatingStars";
 import { toast } from "react-hot-toast";
+import useCurrency from "../../../hooks/useCurrency";
 
 const CourseCard = ({ cardData, currentCard, setCurrentCard }) => {
+  const { formatBasePrice } = useCurrency();
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -99,14 +101,11 @@ const CourseCard = ({ cardData, currentCard, setCurrentCard }) => {
               <div className="flex items-center gap-2 sm:gap-3">
                 <span className="text-sm sm:text-lg font-bold bg-gradient-to-r from-caribbeangreen-300 to-caribbeangreen-200 bg-clip-text text-transparent">FREE</span>
                 <span className="text-xs sm:text-sm text-richblack-400 line-through">
-                  ₹{cardData?.originalPrice || cardData?.price || 1999}
+                  {formatBasePrice(cardData?.originalPrice || cardData?.price || 1999)}
                 </span>
               </div>
               ) : (
-                <>
-                  <FaRupeeSign className="text-xs sm:text-sm" />
-                  <span>{cardData.price.toLocaleString()}</span>
-                </>
+                <span>{formatBasePrice(cardData.price)}</span>
               )}
             </div>
           )}
@@ -0,0 +1,168 @@
+import { useCallback, useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+import { toast } from "react-hot-toast"
+
+import {
+  getOfflinePublicKey,
+  createOfflineLicense,
+  renewOfflineLicense,
+  revokeOfflineLicense,
+  downloadOfflineLecture,
+} from "../../../services/operations/offlineAPI"
+import {
+  verifyLicense,
+  savePublicKey,
+  saveOfflineLicense,
+  getOfflineLicenses,
+  saveOfflineLecture,
+  getDownloadedLectureIds,
+  deleteOfflineLicense,
+  saveOfflineCourse,
+} from "../../../utils/offlineLectures"
+
+import { MdOutlineFileDownload, MdOutlineDeleteOutline } from "react-icons/md"
+
+// Download a section's lectures for offline playback, renew or remove the download
+export default function OfflineSectionDownload({ section }) {
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const {
+    courseEntireData,
+    completedLectures,
+    completedQuizzes,
+    passedQuizzes,
+  } = useSelector((state) => state.viewCourse)
+
+  const [record, setRecord] = useState(null) // stored license of this section
+  const [downloaded, setDownloaded] = useState(0)
+  const [busy, setBusy] = useState(false)
+  const [progress, setProgress] = useState("")
+
+  const courseId = courseEntireData?._id
+
+  const refresh = useCallback(async () => {
+    if (!user?._id || !courseId) return
+    try {
+      const licenses = await getOfflineLicenses(user._id, courseId)
+      const found = licenses.find((license) => license.sectionId === section._id) || null
+      setRecord(found)
+      setDownloaded(found ? (await getDownloadedLectureIds(found.licenseId)).size : 0)
+    } catch (error) {
+      console.error("Error reading offline downloads:", error)
+    }
+  }, [user, courseId, section._id])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // A new license for the first download, a renewed one to extend it or finish a partial download
+  const handleDownload = async () => {
+    setBusy(true)
+    setProgress("Preparing download...")
+    try {
+      const data = record
+        ? await renewOfflineLicense(record.licenseId, token)
+        : await createOfflineLicense(courseId, section._id, token)
+
+      const publicKey = await getOfflinePublicKey(token)
+      await savePublicKey(publicKey)
+      const payload = await verifyLicense(data.license, publicKey)
+      await saveOfflineLicense(payload, data)
+      await saveOfflineCourse(user._id, {
+        courseDetails: courseEntireData,
+        completedVideos: completedLectures,
+        completedQuizzes,
+        passedQuizzes,
+      })
+
+      const have = await getDownloadedLectureIds(data.licenseId)
+      const missing = data.lectures.filter((lecture) => !have.has(lecture._id))
+      for (const [index, lecture] of missing.entries()) {
+        const label = `Downloading ${index + 1} of ${missing.length}`
+        setProgress(label)
+        const blob = await downloadOfflineLecture(data.licenseId, lecture._id, token, (loaded) => {
+          setProgress(`${label} (${(loaded / (1024 * 1024)).toFixed(1)} MB)`)
+        })
+        await saveOfflineLecture(data.licenseId, lecture._id, blob)
+      }
+
+      toast.success(`Available offline until ${new Date(payload.expiresAt).toLocaleDateString()}`)
+    } catch (error) {
+      console.error("Error downloading section:", error)
+      toast.error(error.message || "Could not download this section")
+    } finally {
+      setBusy(false)
+      setProgress("")
+      refresh()
+    }
+  }
+
+  const handleRemove = async () => {
+    setBusy(true)
+    try {
+      // Removed locally even when the server can't be reached; its license then just expires
+      await revokeOfflineLicense(record.licenseId, token)
+      await deleteOfflineLicense(record.licenseId)
+      toast.success("Offline download removed")
+    } catch (error) {
+      console.error("Error removing offline download:", error)
+      toast.error("Could not remove the offline download")
+    } finally {
+      setBusy(false)
+      refresh()
+    }
+  }
+
+  const expired = record && new Date(record.expiresAt).getTime() <= Date.now()
+  const complete = record && downloaded >= record.lectures.length
+
+  return (
+    <div
+      className="flex items-center justify-between gap-2 border-b border-richblack-700 px-5 py-2 text-xs text-richblack-100"
+      onClick={(e) => e.stopPropagation()}
+    >
+      {busy && progress ? (
+        <span className="animate-pulse text-yellow-50">{progress}</span>
+      ) : !record ? (
+        <button
+          onClick={handleDownload}
+          disabled={busy}
+          className="flex items-center gap-1 text-yellow-50 hover:underline disabled:opacity-50"
+        >
+          <MdOutlineFileDownload size={16} />
+          Download for offline
+        </button>
+      ) : (
+        <>
+          <span className={expired ? "text-pink-200" : ""}>
+            {expired
+              ? "Offline copy expired"
+              : complete
+                ? `Offline until ${new Date(record.expiresAt).toLocaleDateString()}`
+                : `${downloaded} of ${record.lectures.length} lectures downloaded`}
+          </span>
+          <div className="flex items-center gap-3">
+            {(expired || !complete) && (
+              <button
+                onClick={handleDownload}
+                disabled={busy}
+                className="text-yellow-50 hover:underline disabled:opacity-50"
+              >
+                {expired ? "Renew" : "Resume"}
+              </button>
+            )}
+            <button
+              onClick={handleRemove}
+              disabled={busy}
+              title="Remove offline download"
+              className="text-richblack-300 hover:text-pink-200 disabled:opacity-50"
+            >
+              <MdOutlineDeleteOutline size={16} />
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
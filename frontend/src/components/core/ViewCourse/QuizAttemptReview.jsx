@@ -0,0 +1,305 @@
+import { useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+import { getAttemptReview } from "../../../services/operations/quizAPI"
+import IconBtn from "../../common/IconBtn"
+import { IoIosArrowBack } from "react-icons/io"
+import { FiCheckCircle, FiXCircle, FiClock, FiMinusCircle } from "react-icons/fi"
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return "-"
+  const minutes = Math.floor(seconds / 60)
+  const remainingSeconds = seconds % 60
+  return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`
+}
+
+// Partial credit earns some marks without the question being fully correct
+const isPartiallyCorrect = (item) => !item.isCorrect && item.marksAwarded > 0
+
+// Student's answer for one question, rendered per question type
+const AnswerDetails = ({ question }) => {
+  const { questionType, options = [], answers = [], answer } = question
+
+  if (questionType === 'singleAnswer' || questionType === 'multipleChoice') {
+    const selected = questionType === 'singleAnswer'
+      ? (answer !== null && answer !== undefined ? [Number(answer)] : [])
+      : (Array.isArray(answer) ? answer.map(Number) : [])
+    const correct = questionType === 'singleAnswer'
+      ? [Number(question.correctAnswer)]
+      : (question.correctAnswers || []).map(Number)
+
+    return (
+      <div className="space-y-2">
+        {options.map((option, index) => {
+          const isSelected = selected.includes(index)
+          const isRight = correct.includes(index)
+          return (
+            <div
+              key={index}
+              className={`flex items-center justify-between p-3 rounded-lg border ${
+                isRight
+                  ? 'border-green-500 bg-green-900/20'
+                  : isSelected
+                    ? 'border-red-500 bg-red-900/20'
+                    : 'border-richblack-600 bg-richblack-700'
+              }`}
+            >
+              <span className="text-richblack-5">{option}</span>
+              <span className="text-xs text-richblack-200">
+                {isSelected && "Your answer"}
+                {isSelected && isRight && " · "}
+                {isRight && "Correct answer"}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+
+  if (questionType === 'matchTheFollowing') {
+    const selected = Array.isArray(answer) ? answer : []
+    return (
+      <div className="space-y-2">
+        {options.map((option, index) => {
+          const pick = selected[index]
+          const isRight = pick !== null && pick !== undefined && parseInt(pick) === index
+          return (
+            <div key={index} className="grid grid-cols-1 md:grid-cols-3 gap-2 p-3 rounded-lg bg-richblack-700">
+              <span className="text-richblack-5">{option}</span>
+              <span className={isRight ? 'text-green-400' : 'text-red-400'}>
+                {pick !== null && pick !== undefined && pick !== '' ? answers[parseInt(pick)] : "Not matched"}
+              </span>
+              {!isRight && (
+                <span className="text-richblack-200 text-sm">Correct: {answers[index]}</span>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    )
+  }
+
+  if (questionType === 'codeSolve') {
+    return (
+      <div className="space-y-4">
+        <div>
+          <p className="text-sm text-richblack-200 mb-1">
+            Your code{answer?.language ? ` (${answer.language})` : ''}
+          </p>
+          <pre className="bg-richblack-900 text-richblack-5 text-sm p-4 rounded-lg overflow-x-auto whitespace-pre">
+            {answer?.code || "No code submitted"}
+          </pre>
+        </div>
+        {question.testResults && question.testResults.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm text-richblack-200">Test cases</p>
+            {question.testResults.map((testResult, index) => (
+              <div
+                key={index}
+                className={`p-3 rounded-lg border ${testResult.passed ? 'border-green-500 bg-green-900/20' : 'border-red-500 bg-red-900/20'}`}
+              >
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-richblack-5">
+                    Test {index + 1}{testResult.isHidden ? " (hidden)" : ""}
+                  </span>
+                  <span className={testResult.passed ? 'text-green-400' : 'text-red-400'}>
+                    {testResult.passed ? "Passed" : "Failed"}
+                  </span>
+                </div>
+                {testResult.input !== undefined && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mt-2 text-xs">
+                    <div>
+                      <p className="text-richblack-300">Input</p>
+                      <pre className="text-richblack-5 whitespace-pre-wrap">{testResult.input || "-"}</pre>
+                    </div>
+                    <div>
+                      <p className="text-richblack-300">Expected</p>
+                      <pre className="text-richblack-5 whitespace-pre-wrap">{testResult.expectedOutput || "-"}</pre>
+                    </div>
+                    <div>
+                      <p className="text-richblack-300">Output</p>
+                      <pre className="text-richblack-5 whitespace-pre-wrap">{testResult.actualOutput || testResult.error || "-"}</pre>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  // shortAnswer / longAnswer
+  return (
+    <div className="space-y-3">
+      <div>
+        <p className="text-sm text-richblack-200 mb-1">Your answer</p>
+        <p className="bg-richblack-700 text-richblack-5 p-3 rounded-lg whitespace-pre-wrap">
+          {answer || "Not answered"}
+        </p>
+      </div>
+      {question.needsReview && (
+        <p className="text-sm text-yellow-100">Waiting for the instructor to grade this answer.</p>
+      )}
+      {question.feedback && (
+        <div>
+          <p className="text-sm text-richblack-200 mb-1">Instructor feedback</p>
+          <p className="bg-richblack-700 text-richblack-5 p-3 rounded-lg whitespace-pre-wrap">{question.feedback}</p>
+        </div>
+      )}
+      {questionType === 'shortAnswer' && question.keywords && question.keywords.length > 0 && (
+        <p className="text-sm text-richblack-200">
+          Expected keywords: <span className="text-richblack-5">{question.keywords.join(", ")}</span>
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Question-by-question review of a submitted quiz attempt
+export default function QuizAttemptReview({ attemptId, onClose }) {
+  const { token } = useSelector((state) => state.auth)
+  const [review, setReview] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [currentQuestion, setCurrentQuestion] = useState(0)
+
+  useEffect(() => {
+    const loadReview = async () => {
+      setLoading(true)
+      const result = await getAttemptReview(attemptId, token)
+      setReview(result)
+      setCurrentQuestion(0)
+      setLoading(false)
+    }
+    loadReview()
+  }, [attemptId, token])
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50"></div>
+      </div>
+    )
+  }
+
+  if (!review || review.questions.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[60vh] gap-4">
+        <p className="text-richblack-200">This attempt cannot be reviewed.</p>
+        <IconBtn onClick={onClose} text="Back" />
+      </div>
+    )
+  }
+
+  const question = review.questions[currentQuestion]
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <div className="bg-richblack-800 rounded-xl p-6 shadow-xl mb-6">
+        <div className="flex items-center gap-4 mb-4">
+          <button
+            onClick={onClose}
+            className="flex items-center justify-center w-10 h-10 rounded-full bg-richblack-700 hover:bg-richblack-600 transition-colors"
+          >
+            <IoIosArrowBack className="text-white text-xl" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-white">Attempt #{review.attemptNumber} Review</h1>
+            {review.user && (
+              <p className="text-richblack-200 text-sm">
+                {review.user.firstName} {review.user.lastName} ({review.user.email})
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-richblack-200">
+          <div>
+            <p className="text-sm">Score</p>
+            <p className="text-xl font-bold text-white">{review.score}/{review.totalMarks}</p>
+          </div>
+          <div>
+            <p className="text-sm">Percentage</p>
+            <p className="text-xl font-bold text-white">{Number(review.percentage || 0).toFixed(1)}%</p>
+          </div>
+          <div>
+            <p className="text-sm">Result</p>
+            <p className={`text-xl font-bold ${review.passed ? 'text-green-400' : 'text-red-400'}`}>
+              {review.passed ? "Passed" : "Failed"}
+            </p>
+          </div>
+          <div>
+            <p className="text-sm">Time Taken</p>
+            <p className="text-xl font-bold text-white flex items-center gap-2">
+              <FiClock className="text-yellow-50" />
+              {formatDuration(review.timeTaken)}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Question navigator */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        {review.questions.map((item, index) => (
+          <button
+            key={item.questionId}
+            onClick={() => setCurrentQuestion(index)}
+            className={`w-10 h-10 rounded-lg font-semibold transition-colors ${
+              index === currentQuestion ? 'ring-2 ring-yellow-50 ' : ''
+            }${item.isCorrect
+              ? 'bg-green-700 text-white'
+              : isPartiallyCorrect(item) ? 'bg-yellow-700 text-white' : 'bg-red-700 text-white'}`}
+          >
+            {index + 1}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-richblack-800 rounded-xl p-6 shadow-xl">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <h2 className="text-lg font-semibold text-white">
+            {currentQuestion + 1}. {question.questionText}
+          </h2>
+          <div className="flex items-center gap-2 shrink-0">
+            {question.isCorrect ? (
+              <FiCheckCircle className="text-green-400 text-xl" />
+            ) : isPartiallyCorrect(question) ? (
+              <FiMinusCircle className="text-yellow-100 text-xl" />
+            ) : (
+              <FiXCircle className="text-red-400 text-xl" />
+            )}
+            <span className="text-richblack-5 font-semibold">
+              {question.marksAwarded}/{question.maxMarks}
+            </span>
+          </div>
+        </div>
+
+        {!question.isAnswered && (
+          <p className="text-yellow-100 text-sm mb-3">This question was not answered.</p>
+        )}
+        {isPartiallyCorrect(question) && (
+          <p className="text-yellow-100 text-sm mb-3">Partially correct - partial credit awarded.</p>
+        )}
+        {question.marksAwarded < 0 && (
+          <p className="text-red-300 text-sm mb-3">Wrong answer - negative marks applied.</p>
+        )}
+
+        <AnswerDetails question={question} />
+
+        <div className="flex justify-between mt-6">
+          <IconBtn
+            onClick={() => setCurrentQuestion(prev => prev - 1)}
+            text="Previous"
+            disabled={currentQuestion === 0}
+          />
+          <IconBtn
+            onClick={() => setCurrentQuestion(prev => prev + 1)}
+            text="Next"
+            disabled={currentQuestion === review.questions.length - 1}
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
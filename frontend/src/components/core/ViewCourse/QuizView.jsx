@@ -1,7 +1,7 @@
-import React, { useEffect, useState } from "react"
+import React, { useEffect, useRef, useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate, useParams, useLocation } from "react-router-dom"
-import { getQuizById, submitQuiz, getQuizStatus } from "../../../services/operations/quizAPI"
+import { getQuizById, submitQuiz, getQuizStatus, getQuizAttempts, startQuizAttempt, autosaveQuizAnswers } from "../../../services/operations/quizAPI"
 import IconBtn from "../../common/IconBtn"
 import CodeEditor from "../../common/CodeEditor"
 import { IoIosArrowBack } from "react-icons/io"
@@ -9,12 +9,18 @@ import { FiClock, FiCheckCircle, FiAlertCircle, FiAward } from "react-icons/fi"
 import { HiOutlineQuestionMarkCircle } from "react-icons/hi"
 import Xarrow from 'react-xarrows'
 import { toast } from "react-hot-toast"
+import useQuizGrading from "../../../hooks/useQuizGrading"
+import QuizAttemptReview from "./QuizAttemptReview"
+import { ACCOUNT_TYPE } from "../../../utils/constants"
+
+const AUTOSAVE_INTERVAL = 15000
 
 const QuizView = () => {
   const { courseId, sectionId, subSectionId } = useParams()
   const navigate = useNavigate()
   const location = useLocation()
   const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
   const { courseSectionData, courseEntireData, completedLectures } = useSelector((state) => state.viewCourse)
 
   const [quizData, setQuizData] = useState(null)
@@ -35,6 +41,49 @@ const QuizView = () => {
     one: false
   })
   const [initialTimeLimit, setInitialTimeLimit] = useState(null)
+  const [attemptHistory, setAttemptHistory] = useState(null)
+  const [reviewAttemptId, setReviewAttemptId] = useState(null)
+  // Server-side attempt the answers belong to ({ attemptId, attemptToken })
+  const [attemptSession, setAttemptSession] = useState(null)
+  const quizAnswersRef = useRef(quizAnswers)
+  const lastSavedAnswersRef = useRef(null)
+  quizAnswersRef.current = quizAnswers
+  // Seconds spent on each question ({ questionId: seconds }) for the instructor's question analytics
+  const questionTimesRef = useRef({})
+  const questionTimerRef = useRef(null)
+
+  // Add the time since the last check to the question on screen
+  const recordQuestionTime = () => {
+    const timer = questionTimerRef.current
+    if (timer) {
+      const now = Date.now()
+      questionTimesRef.current[timer.questionId] = (questionTimesRef.current[timer.questionId] || 0) + (now - timer.since) / 1000
+      timer.since = now
+    }
+    return questionTimesRef.current
+  }
+
+  const isStaff = user?.accountType === ACCOUNT_TYPE.ADMIN || user?.accountType === ACCOUNT_TYPE.INSTRUCTOR
+
+  // Attempt waiting in the server's grading queue (just submitted, or found on load)
+  const pendingAttemptId = quizResult?.status === 'pending'
+    ? quizResult.attemptId
+    : (!quizResult && !quizStarted && quizStatus?.grading?.attemptId) || null
+
+  useQuizGrading(pendingAttemptId, quizData?._id, token, async (result) => {
+    try {
+      const updatedStatus = await getQuizStatus(quizData._id, token)
+      setQuizStatus(updatedStatus)
+    } catch (error) {
+      console.error("Error updating quiz status:", error)
+    }
+    setQuizResult(result)
+    if (result?.status === 'review') {
+      toast.success("Your code answers have been graded")
+    } else if (result) {
+      toast.success("Your quiz has been graded")
+    }
+  })
 
   // Load quiz data and status
   useEffect(() => {
@@ -71,6 +120,18 @@ const QuizView = () => {
     loadQuiz()
   }, [courseSectionData, sectionId, subSectionId, token])
 
+  // Load attempt history whenever the quiz status changes (after each submission)
+  useEffect(() => {
+    if (!quizData?._id || !token) return
+
+    const loadAttempts = async () => {
+      const history = await getQuizAttempts(quizData._id, token)
+      setAttemptHistory(history)
+    }
+
+    loadAttempts()
+  }, [quizData?._id, quizStatus, token])
+
   // Timer effect
   useEffect(() => {
     if (quizStarted && timeRemaining > 0 && initialTimeLimit) {
@@ -124,6 +185,48 @@ const QuizView = () => {
     }
   }, [quizStarted, timeRemaining, notificationsShown, initialTimeLimit])
 
+  // Time the question on screen while the attempt is running
+  useEffect(() => {
+    const question = quizData?.questions?.[currentQuestion]
+    if (!quizStarted || !question) return
+
+    questionTimerRef.current = { questionId: question._id, since: Date.now() }
+    return () => {
+      recordQuestionTime()
+      questionTimerRef.current = null
+    }
+  }, [quizStarted, currentQuestion, quizData])
+
+  // Autosave answers so a refresh or crash does not lose them
+  useEffect(() => {
+    if (!quizStarted || !attemptSession) return
+
+    const autosave = setInterval(async () => {
+      const snapshot = JSON.stringify(quizAnswersRef.current)
+      if (snapshot === lastSavedAnswersRef.current) return
+
+      const saved = await autosaveQuizAnswers(attemptSession.attemptId, {
+        attemptToken: attemptSession.attemptToken,
+        answers: quizAnswersRef.current,
+        questionTimes: recordQuestionTime()
+      }, token)
+
+      if (saved?.expired) {
+        // The server already closed the attempt at its deadline
+        toast.error("Time is up. Your last saved answers were submitted.")
+        setQuizStarted(false)
+        setAttemptSession(null)
+        setQuizResult(saved.result)
+        const updatedStatus = await getQuizStatus(quizData._id, token)
+        setQuizStatus(updatedStatus)
+      } else if (saved) {
+        lastSavedAnswersRef.current = snapshot
+      }
+    }, AUTOSAVE_INTERVAL)
+
+    return () => clearInterval(autosave)
+  }, [quizStarted, attemptSession, token, quizData?._id])
+
   // Function to check if shuffled array is in different order than original
   const isShuffledDifferent = (original, shuffled) => {
     return !shuffled.every((item, index) => item.originalIndex === index);
@@ -152,15 +255,35 @@ const QuizView = () => {
               letter: String.fromCharCode(65 + index) 
             }))
           
-          // Shuffle until we get a different order than original
-          const shuffled = shuffleUntilDifferent(mappedAnswers)
-          newShuffledAnswers[question._id] = shuffled
+          // The server sends the column already shuffled; pairs are indexes into that order
+          newShuffledAnswers[question._id] = mappedAnswers
         }
       })
       setShuffledAnswers(newShuffledAnswers)
     }
   }, [quizData])
 
+  // Start (or resume) the attempt on the server - the server owns the clock
+  const beginAttempt = async (quiz = quizData) => {
+    const session = await startQuizAttempt({ quizId: quiz._id }, token)
+    if (!session) return false
+
+    setAttemptSession({ attemptId: session.attemptId, attemptToken: session.attemptToken })
+    // Every attempt gets its own paper (bank draws, shuffled questions and options)
+    if (session.questions && session.questions.length > 0) {
+      // Drawn questions are part of the paper now, so they are not counted again
+      setQuizData({ ...quiz, questions: session.questions, drawRules: [] })
+    }
+    setQuizAnswers(session.answers || {})
+    lastSavedAnswersRef.current = JSON.stringify(session.answers || {})
+    questionTimesRef.current = { ...(session.questionTimes || {}) }
+    setInitialTimeLimit(quiz.timeLimit || 10 * 60)
+    // Keep at least one tick so an attempt resumed at the deadline still auto-submits
+    setTimeRemaining(Math.max(session.timeRemaining, 1))
+    setQuizStarted(true)
+    return true
+  }
+
   // Function to handle quiz retake
   const handleQuizRetake = async () => {
     try {
@@ -175,9 +298,9 @@ const QuizView = () => {
         one: false
       })
       
-      // Check if quiz is already passed
-      if (quizStatus && quizStatus.passed) {
-        alert("Quiz already passed. Retakes are not allowed for passed quizzes.")
+      // Check the quiz's attempt policy (passed, attempt limit, cooldown)
+      if (quizStatus && quizStatus.canAttempt === false) {
+        alert(quizStatus.reason || "You cannot retake this quiz right now.")
         setLoading(false)
         return
       }
@@ -229,7 +352,7 @@ const QuizView = () => {
       }
       
       // Start the quiz immediately after reset
-      setQuizStarted(true)
+      await beginAttempt(quiz)
       
       setLoading(false)
       console.log("Quiz state reset and started for retake")
@@ -325,12 +448,15 @@ const QuizView = () => {
         courseID: courseId,
         subsectionId: subSectionId,
         answers: quizAnswers || {}, // Use empty object if no answers
+        questionTimes: recordQuestionTime(),
+        attemptToken: attemptSession?.attemptToken,
         timerExpired: true // Add timerExpired flag
       }
 
       const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
       if (result) {
         setQuizResult(result)
+        setAttemptSession(null)
         setQuizStarted(false) // Stop the quiz after submission
         try {
           const updatedStatus = await getQuizStatus(quizData._id, token)
@@ -397,12 +523,15 @@ const QuizView = () => {
         courseID: courseId,
         subsectionId: subSectionId,
         answers: quizAnswers,
+        questionTimes: recordQuestionTime(),
+        attemptToken: attemptSession?.attemptToken,
         timerExpired: false // Add timerExpired flag for manual submission
       }
 
       const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
       if (result) {
         setQuizResult(result)
+        setAttemptSession(null)
         setQuizStarted(false) // Stop the quiz after submission
         try {
           const updatedStatus = await getQuizStatus(quizData._id, token)
@@ -449,12 +578,31 @@ const QuizView = () => {
   // Compute result data
   const resultData = quizResult || (quizStatus?.lastAttempt && !quizStarted ? quizStatus.lastAttempt : null)
   const percentage = resultData ? parseFloat(resultData.percentage || 0) : 0
-  const isPassed = percentage >= 60
+  const policy = quizStatus?.policy
+  const requiredPercentage = resultData?.requiredPercentage ?? policy?.passingPercentage ?? 60
+  const isPassed = percentage >= requiredPercentage
+  const canRetake = quizStatus ? quizStatus.canAttempt !== false : !isPassed
 
-  // Update quizStatus to reflect the correct pass state only if we have a result
-  if (quizStatus && resultData) {
-    quizStatus.passed = isPassed
-  }
+  // Human readable attempt policy limits for the result and start screens
+  const attemptLimitText = (() => {
+    if (!quizStatus) return null
+    if (quizStatus.canAttempt === false && quizStatus.nextAttemptAt) {
+      return `You can retake this quiz after ${new Date(quizStatus.nextAttemptAt).toLocaleString()}.`
+    }
+    if (quizStatus.canAttempt === false) {
+      return quizStatus.reason
+    }
+    if (quizStatus.attemptsRemaining !== null && quizStatus.attemptsRemaining !== undefined) {
+      return `${quizStatus.attemptsRemaining} attempt${quizStatus.attemptsRemaining === 1 ? '' : 's'} remaining.`
+    }
+    return null
+  })()
+
+  const scoringModeText = {
+    best: "Your best attempt counts towards your result.",
+    average: "The average of all your attempts counts towards your result.",
+    latest: "Your latest attempt counts towards your result."
+  }[policy?.scoringMode || 'latest']
 
   // Loading state
   if (loading) {
@@ -485,6 +633,99 @@ const QuizView = () => {
     )
   }
 
+  // Review view - walk through a submitted attempt question by question
+  if (reviewAttemptId) {
+    return (
+      <QuizAttemptReview
+        attemptId={reviewAttemptId}
+        onClose={() => setReviewAttemptId(null)}
+      />
+    )
+  }
+
+  // Grading view - code answers are still being executed on the server
+  if (pendingAttemptId) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="bg-richblack-800 rounded-xl p-8 text-center shadow-xl max-w-lg">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50 mx-auto mb-4"></div>
+          <h1 className="text-2xl font-bold text-white mb-2">Grading Your Submission</h1>
+          <p className="text-richblack-200 mb-6">
+            Your code answers are being run against the test cases. Your score will appear here automatically, so you can keep this page open or come back later.
+          </p>
+          <IconBtn
+            onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}`)}
+            text="Back to Lecture"
+            customClasses="mx-auto"
+          />
+        </div>
+      </div>
+    )
+  }
+
+  // Review pending view - written answers are waiting for the instructor
+  if (quizResult?.status === 'review') {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="bg-richblack-800 rounded-xl p-8 text-center shadow-xl max-w-lg">
+          <FiClock className="mx-auto text-5xl text-yellow-50 mb-4" />
+          <h1 className="text-2xl font-bold text-white mb-2">Submitted for Review</h1>
+          <p className="text-richblack-200 mb-2">
+            Your short and long answers will be graded by your instructor. You will get a notification with your final score.
+          </p>
+          <p className="text-richblack-200 mb-6">
+            Score so far: {quizResult.score}/{quizResult.totalMarks}
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            <IconBtn
+              onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}`)}
+              text="Back to Lecture"
+              outline
+            />
+            <IconBtn
+              onClick={goToNextLecture}
+              text={isLastItem() ? "Go to Course" : "Next Lecture"}
+            />
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  // Resume view - an attempt was started earlier and its clock is still running
+  if (quizStatus?.inProgress && !quizStarted && !quizResult) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="bg-richblack-800 rounded-xl p-8 text-center shadow-xl max-w-lg">
+          <FiClock className="mx-auto text-5xl text-yellow-50 mb-4" />
+          <h1 className="text-2xl font-bold text-white mb-2">Quiz In Progress</h1>
+          <p className="text-richblack-200 mb-6">
+            You started this quiz on {new Date(quizStatus.inProgress.startedAt).toLocaleString()}. The timer kept running while you were away
+            and about {formatTime(quizStatus.inProgress.timeRemaining)} is left. Your saved answers will be restored.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-4 justify-center">
+            <IconBtn
+              onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}`)}
+              text="Back to Lecture"
+              outline
+            />
+            <IconBtn
+              onClick={() => beginAttempt()}
+              text="Resume Quiz"
+            />
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  // Most recent graded attempt of the current user, for the "Review Attempt" button
+  const latestReviewableAttempt = attemptHistory?.canReview
+    ? (quizResult?.attemptId || attemptHistory.attempts.find(attempt =>
+        attempt.status === 'graded' && (!isStaff || !attempt.user || attempt.user._id === user?._id)
+      )?.attemptId)
+    : null
+
   // Quiz result view - show if we have a result and quiz is not started, or if quiz was just submitted
   if ((resultData && !quizStarted) || quizResult) {
     return (
@@ -525,16 +766,31 @@ const QuizView = () => {
           {isPassed && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
-                🎉 Congratulations! You have successfully passed this quiz with {percentage}% (Required: 60%). 
-                Retakes are not allowed for passed quizzes.
+                🎉 Congratulations! You have successfully passed this quiz with {percentage}% (Required: {requiredPercentage}%). 
+                {policy?.allowRetakeAfterPass ? ` You can retake it to improve your score. ${scoringModeText}` : " Retakes are not allowed for passed quizzes."}
               </p>
+              {policy?.allowRetakeAfterPass && attemptLimitText && (
+                <p className="text-white text-sm mt-2">{attemptLimitText}</p>
+              )}
             </div>
           )}
 
           {!isPassed && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
-                You need at least 60% to pass this quiz. You can retake the quiz to improve your score.
+                You need at least {requiredPercentage}% to pass this quiz.
+                {canRetake ? " You can retake the quiz to improve your score." : ""}
+              </p>
+              {attemptLimitText && (
+                <p className="text-white text-sm mt-2">{attemptLimitText}</p>
+              )}
+            </div>
+          )}
+
+          {quizStatus?.awaitingReview && (
+            <div className="bg-white/10 rounded-lg p-4 mb-6">
+              <p className="text-white text-sm">
+                Your latest attempt is waiting for your instructor to grade your written answers. This result will update once it has been graded.
               </p>
             </div>
           )}
@@ -545,7 +801,14 @@ const QuizView = () => {
               text="Back to Lecture"
               customClasses="px-6 py-3 bg-white text-gray-800 hover:bg-gray-100"
             />
-            {!isPassed && (
+            {latestReviewableAttempt && (
+              <IconBtn
+                onClick={() => setReviewAttemptId(latestReviewableAttempt)}
+                text="Review Attempt"
+                customClasses="px-6 py-3 bg-white text-gray-800 hover:bg-gray-100"
+              />
+            )}
+            {canRetake && (
               <IconBtn
                 onClick={handleQuizRetake}
                 text="Retake Quiz"
@@ -585,7 +848,7 @@ const QuizView = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-richblack-200">
               <div className="flex items-center gap-2">
                 <HiOutlineQuestionMarkCircle className="text-yellow-50" />
-                <span>Questions: {quizData.questions.length}</span>
+                <span>Questions: {quizData.questions.length + (quizData.drawRules || []).reduce((sum, rule) => sum + rule.count, 0)}</span>
               </div>
               <div className="flex items-center gap-2">
                 <FiClock className="text-yellow-50" />
@@ -594,6 +857,14 @@ const QuizView = () => {
             </div>
           </div>
 
+          {quizStatus?.awaitingReview && (
+            <div className="bg-richblack-700 border border-yellow-600 rounded-lg p-4 mb-6">
+              <p className="text-yellow-100 text-sm">
+                Your attempt from {new Date(quizStatus.awaitingReview.submittedAt).toLocaleString()} is waiting for your instructor to grade your written answers.
+              </p>
+            </div>
+          )}
+
           {/* Quiz Status Display */}
           {quizStatus && quizStatus.attempts > 0 && (
             <div className="bg-richblack-700 rounded-lg p-6 mb-6">
@@ -604,21 +875,67 @@ const QuizView = () => {
                   <p className="text-xl font-bold text-white">{quizStatus.attempts}</p>
                 </div>
                 <div>
-                  <p className="text-sm">Best Score</p>
+                  <p className="text-sm">Recorded Score</p>
                   <p className="text-xl font-bold text-white">
                     {quizStatus.lastAttempt.percentage}%
                   </p>
                 </div>
                 <div>
                   <p className="text-sm">Status</p>
-                  <p className={`text-xl font-bold ${parseFloat(quizStatus.lastAttempt.percentage) >= 60 ? 'text-green-400' : 'text-red-400'}`}>
-                    {parseFloat(quizStatus.lastAttempt.percentage) >= 60 ? 'Passed' : 'Failed'}
+                  <p className={`text-xl font-bold ${quizStatus.passed ? 'text-green-400' : 'text-red-400'}`}>
+                    {quizStatus.passed ? 'Passed' : 'Failed'}
                   </p>
                 </div>
               </div>
             </div>
           )}
 
+          {/* Attempt History */}
+          {attemptHistory?.attempts?.length > 0 && (
+            <div className="bg-richblack-700 rounded-lg p-6 mb-6">
+              <h3 className="text-white font-semibold mb-4">
+                {isStaff ? "Student Attempts" : "Attempt History"}
+              </h3>
+              <div className="space-y-2 max-h-72 overflow-y-auto">
+                {attemptHistory.attempts.map((attempt) => (
+                  <div
+                    key={attempt.attemptId}
+                    className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-richblack-800 rounded-lg p-3 text-richblack-200"
+                  >
+                    <div className="text-sm">
+                      <p className="text-white font-semibold">
+                        {attempt.user ? `${attempt.user.firstName} ${attempt.user.lastName} · ` : ""}Attempt #{attempt.attemptNumber}
+                      </p>
+                      <p>
+                        {new Date(attempt.submittedAt).toLocaleString()}
+                        {attempt.timeTaken !== null && attempt.timeTaken !== undefined && ` · ${formatTime(attempt.timeTaken)}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      {attempt.status === 'graded' ? (
+                        <span className={`font-semibold ${attempt.passed ? 'text-green-400' : 'text-red-400'}`}>
+                          {attempt.score}/{attempt.totalMarks} ({Number(attempt.percentage || 0).toFixed(1)}%)
+                        </span>
+                      ) : attempt.status === 'review' ? (
+                        <span className="text-yellow-100">Awaiting instructor review</span>
+                      ) : (
+                        <span className="text-yellow-100 capitalize">{attempt.status.replace('_', ' ')}</span>
+                      )}
+                      {attemptHistory.canReview && (attempt.status === 'graded' || (isStaff && attempt.status === 'review')) && (
+                        <IconBtn
+                          onClick={() => setReviewAttemptId(attempt.attemptId)}
+                          text="Review"
+                          outline
+                          customClasses="py-1 px-3 text-sm"
+                        />
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="bg-yellow-800/20 border border-yellow-600 rounded-lg p-4 mb-6">
             <h3 className="text-yellow-200 font-semibold mb-2">Important Instructions:</h3>
             <ul className="text-yellow-100 space-y-1 text-sm">
@@ -626,23 +943,38 @@ const QuizView = () => {
               <li>• You cannot go back once you start the quiz</li>
               <li>• The quiz will auto-submit when time runs out</li>
               <li>• Make sure you have a stable internet connection</li>
-              <li>• You need at least 60% to pass this quiz</li>
-              {quizStatus && quizStatus.passed && (
+              <li>• You need at least {requiredPercentage}% to pass this quiz</li>
+              {policy?.maxAttempts > 0 && (
+                <li>• You can attempt this quiz at most {policy.maxAttempts} time{policy.maxAttempts === 1 ? '' : 's'}</li>
+              )}
+              {policy?.cooldownMinutes > 0 && (
+                <li>• You have to wait {policy.cooldownMinutes} minute{policy.cooldownMinutes === 1 ? '' : 's'} between attempts</li>
+              )}
+              {policy && <li>• {scoringModeText}</li>}
+              {quizStatus && quizStatus.passed && !policy?.allowRetakeAfterPass && (
                 <li className="text-green-300">• You have already passed this quiz. Retakes are not allowed.</li>
               )}
             </ul>
           </div>
 
           <div className="text-center">
-            {quizStatus && quizStatus.passed ? (
+            {quizStatus && !canRetake ? (
               <div className="space-y-4">
-                <div className="bg-green-800/20 border border-green-600 rounded-lg p-4">
-                  <FiAward className="mx-auto text-4xl text-green-400 mb-2" />
-                  <p className="text-green-200 font-semibold">Quiz Already Passed!</p>
-                  <p className="text-green-300 text-sm">
-                    You scored {quizStatus.lastAttempt.percentage}% on {new Date(quizStatus.lastAttempt.completedAt).toLocaleDateString()}
-                  </p>
-                </div>
+                {quizStatus.passed ? (
+                  <div className="bg-green-800/20 border border-green-600 rounded-lg p-4">
+                    <FiAward className="mx-auto text-4xl text-green-400 mb-2" />
+                    <p className="text-green-200 font-semibold">Quiz Already Passed!</p>
+                    <p className="text-green-300 text-sm">
+                      You scored {quizStatus.lastAttempt.percentage}% on {new Date(quizStatus.lastAttempt.completedAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                ) : (
+                  <div className="bg-red-800/20 border border-red-600 rounded-lg p-4">
+                    <FiAlertCircle className="mx-auto text-4xl text-red-400 mb-2" />
+                    <p className="text-red-200 font-semibold">No Attempts Available</p>
+                    <p className="text-red-300 text-sm">{attemptLimitText}</p>
+                  </div>
+                )}
                 <IconBtn
                   onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}`)}
                   text="Back to Lecture"
@@ -659,11 +991,7 @@ const QuizView = () => {
                     five: false,
                     one: false
                   })
-                  // Set initial time limit if not already set
-                  if (!initialTimeLimit && timeRemaining) {
-                    setInitialTimeLimit(timeRemaining)
-                  }
-                  setQuizStarted(true)
+                  beginAttempt()
                 }}
                 text={quizStatus && quizStatus.attempts > 0 ? "Retake Quiz" : "Start Quiz"}
                 customClasses="px-8 py-3 text-lg"
@@ -711,6 +1039,14 @@ const QuizView = () => {
             ({currentQuestionData.marks} {currentQuestionData.marks === 1 ? 'mark' : 'marks'})
           </span>
         </h2>
+        {currentQuestionData.negativeMarks > 0 && (
+          <p className="text-sm text-red-300 -mt-2 mb-4">
+            A wrong answer deducts {currentQuestionData.negativeMarks} {currentQuestionData.negativeMarks === 1 ? 'mark' : 'marks'}.
+          </p>
+        )}
+        {currentQuestionData.partialCredit && (
+          <p className="text-sm text-richblack-300 -mt-2 mb-4">Partial credit is awarded for this question.</p>
+        )}
 
         {/* Code Solving Questions */}
         {currentQuestionData.questionType === 'codeSolve' && (
@@ -1,22 +1,41 @@
 import React, { useEffect, useRef, useState, useCallback, useMemo } from "react"
+import { createPortal } from "react-dom"
+import { toast } from "react-hot-toast"
 import { useDispatch, useSelector } from "react-redux"
 import { useLocation } from "react-router-dom"
 import { useNavigate, useParams } from "react-router-dom"
 
 import "video-react/dist/video-react.css"
 import { BigPlayButton, Player, ControlBar, VolumeMenuButton } from "video-react"
+import Hls from "hls.js"
 
-import { markLectureAsComplete } from "../../../services/operations/courseDetailsAPI"
+import { markLectureAsComplete, getCaptionTracks, getCaptionContent } from "../../../services/operations/courseDetailsAPI"
+import { getVideoProgress, updateVideoProgress } from "../../../services/operations/courseProgressAPI"
+import { openOfflineLecture } from "../../../utils/offlineLectures"
 import { updateCompletedLectures } from "../../../slices/viewCourseSlice"
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
 import { apiConnector } from "../../../services/apiConnector"
 import { endpoints } from "../../../services/apis"
-import { getPlaybackUrl, isChunkedVideo, checkVideoAvailability } from "../../../utils/videoUtils"
+import {
+  getPlaybackUrl,
+  isChunkedVideo,
+  getPlaybackSession,
+  getHlsUrl,
+  isHlsReady,
+  getPosterUrl,
+  getVideoThumbnails,
+  formatChapterTime
+} from "../../../utils/videoUtils"
 
 import IconBtn from "../../common/IconBtn"
 
 import { HiMenuAlt1 } from 'react-icons/hi'
 
+// Playback tokens are renewed this long before they expire (ms)
+const PLAYBACK_REFRESH_MARGIN = 5 * 60 * 1000
+// How often the position and watched intervals are saved while playing (ms)
+const PROGRESS_REPORT_INTERVAL = 15 * 1000
+
 const PlaybackSpeedControl = ({ playerRef, playbackRate, setPlaybackRate }) => {
   const [isOpen, setIsOpen] = useState(false)
 
@@ -104,6 +123,241 @@ const PlaybackSpeedControl = ({ playerRef, playbackRate, setPlaybackRate }) => {
   )
 }
 
+// Picks the HLS rendition; "Auto" lets hls.js adapt to the viewer's bandwidth
+const QualityControl = ({ levels, currentLevel, setCurrentLevel }) => {
+  const [isOpen, setIsOpen] = useState(false)
+
+  const options = [{ index: -1, label: "Auto" }, ...levels.map((level) => ({ index: level.index, label: `${level.height}p` }))]
+  const selected = options.find((option) => option.index === currentLevel) || options[0]
+
+  const handleChange = (index) => {
+    setCurrentLevel(index)
+    setIsOpen(false)
+  }
+
+  return (
+    <div 
+      className="quality-control" 
+      style={{ 
+        display: "flex", 
+        alignItems: "center", 
+        marginLeft: "10px", 
+        color: "white", 
+        position: "relative"
+      }}
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => setIsOpen(false)}
+    >
+      <button
+        style={{
+          backgroundColor: "transparent",
+          border: "none",
+          color: "white",
+          cursor: "pointer",
+          padding: "5px 10px",
+          fontSize: "0.9em"
+        }}
+      >
+        {selected.label}
+      </button>
+      
+      {isOpen && (
+        <div 
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.9)",
+            borderRadius: "4px",
+            padding: "5px",
+            zIndex: 1000,
+            minWidth: "80px",
+            border: "1px solid rgba(255, 255, 255, 0.2)"
+          }}
+        >
+          {options.map((option) => (
+            <div
+              key={option.index}
+              style={{
+                padding: "5px 10px",
+                cursor: "pointer",
+                backgroundColor: currentLevel === option.index ? "rgba(255, 255, 255, 0.2)" : "transparent",
+                borderRadius: "3px"
+              }}
+              onClick={() => handleChange(option.index)}
+              onMouseEnter={(e) => e.currentTarget.style.backgroundColor = "rgba(255, 255, 255, 0.1)"}
+              onMouseLeave={(e) => e.currentTarget.style.backgroundColor = currentLevel === option.index ? "rgba(255, 255, 255, 0.2)" : "transparent"}
+            >
+              {option.label}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const CaptionControl = ({ tracks, currentTrack, setCurrentTrack }) => {
+  const [isOpen, setIsOpen] = useState(false)
+
+  const options = [{ id: "off", label: "Off" }, ...tracks.map((track) => ({ id: track._id, label: track.label }))]
+
+  const handleChange = (id) => {
+    setCurrentTrack(id)
+    setIsOpen(false)
+  }
+
+  return (
+    <div 
+      className="caption-control" 
+      style={{ 
+        display: "flex", 
+        alignItems: "center", 
+        marginLeft: "10px", 
+        color: "white", 
+        position: "relative"
+      }}
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => setIsOpen(false)}
+    >
+      <button
+        style={{
+          backgroundColor: "transparent",
+          border: "none",
+          color: "white",
+          cursor: "pointer",
+          padding: "5px 10px",
+          fontSize: "0.9em",
+          textDecoration: currentTrack === "off" ? "line-through" : "none"
+        }}
+        title="Captions"
+      >
+        CC
+      </button>
+      
+      {isOpen && (
+        <div 
+          style={{
+            position: "absolute",
+            top: "100%",
+            left: 0,
+            backgroundColor: "rgba(0, 0, 0, 0.9)",
+            borderRadius: "4px",
+            padding: "5px",
+            zIndex: 1000,
+            minWidth: "100px",
+            border: "1px solid rgba(255, 255, 255, 0.2)"
+          }}
+        >
+          {options.map((option) => (
+            <div
+              key={option.id}
+              style={{
+                padding: "5px 10px",
+                cursor: "pointer",
+                whiteSpace: "nowrap",
+                backgroundColor: currentTrack === option.id ? "rgba(255, 255, 255, 0.2)" : "transparent",
+                borderRadius: "3px"
+              }}
+              onClick={() => handleChange(option.id)}
+              onMouseEnter={(e) => e.currentTarget.style.backgroundColor = "rgba(255, 255, 255, 0.1)"}
+              onMouseLeave={(e) => e.currentTarget.style.backgroundColor = currentTrack === option.id ? "rgba(255, 255, 255, 0.2)" : "transparent"}
+            >
+              {option.label}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Chapter markers and the hover preview (thumbnail, chapter title, time), drawn inside
+// video-react's progress bar through a portal
+const ProgressOverlay = ({ holder, duration, chapters, thumbnails, onSeek }) => {
+  const [hover, setHover] = useState(null)
+
+  useEffect(() => {
+    const handleMove = (e) => {
+      const rect = holder.getBoundingClientRect()
+      const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1)
+      setHover({ left: fraction * rect.width, width: rect.width, time: fraction * duration })
+    }
+    const handleLeave = () => setHover(null)
+
+    holder.addEventListener("mousemove", handleMove)
+    holder.addEventListener("mouseleave", handleLeave)
+    return () => {
+      holder.removeEventListener("mousemove", handleMove)
+      holder.removeEventListener("mouseleave", handleLeave)
+    }
+  }, [holder, duration])
+
+  const thumbnail = hover && thumbnails.find((cue) => hover.time >= cue.start && hover.time < cue.end)
+  const chapter = hover && [...chapters].reverse().find((item) => item.time <= hover.time)
+  const previewWidth = thumbnail ? thumbnail.width : 120
+
+  return (
+    <>
+      {chapters.filter((item) => item.time > 0 && item.time < duration).map((item) => (
+        <div
+          key={item.time}
+          title={item.title}
+          onMouseDown={(e) => {
+            // Jump to the exact chapter start instead of the clicked pixel
+            e.stopPropagation()
+            onSeek(item.time)
+          }}
+          style={{
+            position: "absolute",
+            top: 0,
+            bottom: 0,
+            left: `${(item.time / duration) * 100}%`,
+            width: "3px",
+            marginLeft: "-1px",
+            backgroundColor: "rgba(0, 0, 0, 0.8)",
+            cursor: "pointer",
+            zIndex: 2
+          }}
+        />
+      ))}
+
+      {hover && (thumbnail || chapter) && (
+        <div
+          style={{
+            position: "absolute",
+            bottom: "32px",
+            left: Math.min(Math.max(hover.left - previewWidth / 2, 0), hover.width - previewWidth),
+            width: previewWidth,
+            pointerEvents: "none",
+            zIndex: 3,
+            textAlign: "center",
+            color: "white",
+            fontSize: "11px"
+          }}
+        >
+          {thumbnail && (
+            <div
+              style={{
+                width: thumbnail.width,
+                height: thumbnail.height,
+                backgroundImage: `url("${thumbnail.url}")`,
+                backgroundPosition: `-${thumbnail.x}px -${thumbnail.y}px`,
+                border: "1px solid rgba(255, 255, 255, 0.6)",
+                borderRadius: "3px"
+              }}
+            />
+          )}
+          <div style={{ backgroundColor: "rgba(0, 0, 0, 0.8)", padding: "2px 4px", marginTop: "2px", borderRadius: "3px" }}>
+            {chapter && <div style={{ fontWeight: 600, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{chapter.title}</div>}
+            {formatChapterTime(hover.time)}
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
 const VideoDetails = () => {
   const { courseId, sectionId, subSectionId } = useParams()
   const navigate = useNavigate()
@@ -112,6 +366,7 @@ const VideoDetails = () => {
   const dispatch = useDispatch()
 
   const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
   const { courseSectionData, courseEntireData, completedLectures } = useSelector((state) => state.viewCourse)
 
   const [videoData, setVideoData] = useState(null)
@@ -122,8 +377,32 @@ const VideoDetails = () => {
   const [videoAvailable, setVideoAvailable] = useState(true)
   const [checkingVideo, setCheckingVideo] = useState(false)
   const [playbackSpeed, setPlaybackSpeed] = useState(1)
+  const [playbackSession, setPlaybackSession] = useState(null)
+  const [offlineVideo, setOfflineVideo] = useState(null) // object URL of a decrypted offline copy
+  const [hlsFailed, setHlsFailed] = useState(false)
+  const [qualityLevels, setQualityLevels] = useState([])
+  const [qualityLevel, setQualityLevel] = useState(-1)
+  const [captionTracks, setCaptionTracks] = useState([])
+  const [captionTrack, setCaptionTrack] = useState("off")
+  const [videoDuration, setVideoDuration] = useState(0)
+  const [thumbnails, setThumbnails] = useState([])
+  const [progressHolder, setProgressHolder] = useState(null)
+  const playerWrapperRef = useRef(null)
+  // Chapter start picked in the sidebar before the video was loaded
+  const pendingSeekRef = useRef(null)
+  const hlsRef = useRef(null)
+  // Language the student last picked, kept when moving to the next lecture
+  const captionLanguageRef = useRef(null)
+  const resumeRef = useRef(null)
   const watchTimeRef = useRef(0)
   const lastUpdateTime = useRef(Date.now())
+  // Saved position and watched share of this lecture, from the server
+  const [videoProgress, setVideoProgress] = useState(null)
+  // Stretch being watched ({ start, end }), and the ones closed since the last report
+  const segmentRef = useRef(null)
+  const watchedIntervalsRef = useRef([])
+  const lastPositionRef = useRef(null)
+  const lastProgressReportRef = useRef(Date.now())
 
   const updateWatchTime = useCallback(async () => {
     if (watchTimeRef.current > 0) {
@@ -142,8 +421,90 @@ const VideoDetails = () => {
     }
   }, [courseId, subSectionId, token])
 
+  // Close the stretch being watched (seek, pause, end)
+  const closeSegment = useCallback(() => {
+    const segment = segmentRef.current
+    if (segment && segment.end - segment.start >= 0.5) {
+      watchedIntervalsRef.current.push([segment.start, segment.end])
+    }
+    segmentRef.current = null
+  }, [])
+
+  // Save the position and what was watched since the last report
+  // Returns the lecture's progress, or null when nothing was sent or the request failed
+  const reportProgress = useCallback(async ({ pause = false } = {}) => {
+    const segment = segmentRef.current
+    closeSegment()
+    if (segment && !pause) {
+      segmentRef.current = { start: segment.end, end: segment.end }
+    }
+
+    const intervals = watchedIntervalsRef.current
+    const position = lastPositionRef.current
+    watchedIntervalsRef.current = []
+    lastProgressReportRef.current = Date.now()
+    if (position === null && intervals.length === 0) return null
+
+    const duration = playerRef.current?.video?.video?.duration
+    const progress = await updateVideoProgress({
+      courseId,
+      subSectionId,
+      position,
+      duration: Number.isFinite(duration) ? duration : undefined,
+      intervals
+    }, token)
+
+    if (!progress) {
+      // Sent again with the next report
+      watchedIntervalsRef.current = [...intervals, ...watchedIntervalsRef.current]
+      return null
+    }
+    setVideoProgress(progress)
+    if (progress.justCompleted) {
+      dispatch(updateCompletedLectures(subSectionId))
+      toast.success("Lecture Completed")
+    }
+    return progress
+  }, [closeSegment, courseId, subSectionId, token, dispatch])
+
+  // Send the rest when leaving the lecture or the page
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") reportProgress()
+    }
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibilityChange)
+      reportProgress({ pause: true })
+      lastPositionRef.current = null
+    }
+  }, [reportProgress])
+
+  const trackPlayback = useCallback(() => {
+    const videoElement = playerRef.current?.video?.video
+    if (!videoElement) return
+
+    const time = videoElement.currentTime
+    lastPositionRef.current = time
+    if (videoElement.paused || videoElement.seeking) return
+
+    const segment = segmentRef.current
+    // Going back or jumping ahead means the student seeked
+    if (!segment || time < segment.end || time - segment.end > 3) {
+      closeSegment()
+      segmentRef.current = { start: time, end: time }
+    } else {
+      segment.end = time
+    }
+
+    if (Date.now() - lastProgressReportRef.current >= PROGRESS_REPORT_INTERVAL) {
+      reportProgress()
+    }
+  }, [closeSegment, reportProgress])
+
   const handleTimeUpdate = useCallback(() => {
     if (!playerRef.current) return
+    trackPlayback()
     
     const currentTime = Date.now()
     const timeDiff = currentTime - lastUpdateTime.current
@@ -158,7 +519,7 @@ const VideoDetails = () => {
         updateWatchTime()
       }
     }
-  }, [updateWatchTime])
+  }, [updateWatchTime, trackPlayback])
 
   useEffect(() => {
     return () => {
@@ -182,32 +543,84 @@ const VideoDetails = () => {
       return
     }
 
+    let cancelled = false
+    let offlineUrl = null
+
     if (currentVideoData) {
       setVideoData(currentVideoData)
       if (courseEntireData?.thumbnail) {
         setPreviewSource(courseEntireData.thumbnail)
       }
       
-      if (currentVideoData.videoUrl && isChunkedVideo(currentVideoData.videoUrl)) {
-        setCheckingVideo(true)
-        checkVideoAvailability(currentVideoData.videoUrl, token)
-          .then(available => {
-            setVideoAvailable(available)
-            setCheckingVideo(false)
+      setPlaybackSession(null)
+      setOfflineVideo(null)
+      setHlsFailed(false)
+      resumeRef.current = null
+
+      const loadVideo = async () => {
+        // A downloaded copy plays without a connection, once its license is verified
+        if (currentVideoData.videoUrl && courseEntireData?.allowOffline && user?._id) {
+          setCheckingVideo(true)
+          const offline = await openOfflineLecture(user._id, courseId, subSectionId).catch((error) => {
+            console.error("Error opening offline copy:", error)
+            return null
           })
-          .catch(error => {
-            console.error('Error checking video availability:', error)
-            setVideoAvailable(false)
+          if (cancelled) {
+            if (offline?.url) URL.revokeObjectURL(offline.url)
+            return
+          }
+          if (offline?.url) {
+            offlineUrl = offline.url
+            setOfflineVideo(offline.url)
+            setVideoAvailable(true)
             setCheckingVideo(false)
-          })
-      } else {
-        setVideoAvailable(true)
-        setCheckingVideo(false)
+            return
+          }
+          if (offline?.expired) {
+            toast.error("The offline copy of this lecture has expired. Renew it from the sidebar.")
+          }
+        }
+
+        if (currentVideoData.videoUrl && isChunkedVideo(currentVideoData.videoUrl)) {
+          setCheckingVideo(true)
+          // Chunked videos play through a short-lived token scoped to this user, course and lecture
+          getPlaybackSession({ courseId, subSectionId }, token)
+            .then(session => {
+              if (cancelled) return
+              setPlaybackSession(session)
+              setVideoAvailable(Boolean(session?.isComplete))
+              setCheckingVideo(false)
+            })
+            .catch(error => {
+              console.error('Error checking video availability:', error)
+              if (cancelled) return
+              setVideoAvailable(false)
+              setCheckingVideo(false)
+            })
+        } else if (currentVideoData.videoUrl) {
+          setCheckingVideo(true)
+          // Videos uploaded in one piece are in a private bucket and play from a signed URL;
+          // links to elsewhere play as they are
+          const session = await getPlaybackSession({ courseId, subSectionId }, token)
+          if (cancelled) return
+          setPlaybackSession(session)
+          setVideoAvailable(true)
+          setCheckingVideo(false)
+        } else {
+          setVideoAvailable(true)
+          setCheckingVideo(false)
+        }
       }
+      loadVideo()
     }
     setVideoEnded(false)
     setPlaybackSpeed(1) // Reset playback speed when video changes
-  }, [currentVideoData, courseEntireData, courseId, sectionId, subSectionId, navigate, token])
+
+    return () => {
+      cancelled = true
+      if (offlineUrl) URL.revokeObjectURL(offlineUrl)
+    }
+  }, [currentVideoData, courseEntireData, courseId, sectionId, subSectionId, navigate, token, user])
 
   // Effect to apply playback speed when player is ready
   useEffect(() => {
@@ -227,6 +640,214 @@ const VideoDetails = () => {
     }
   }, [playbackSpeed, videoData])
 
+  // Renew the playback token before it expires and continue from the same position
+  useEffect(() => {
+    if (!playbackSession?.expiresAt) return
+
+    const refreshIn = new Date(playbackSession.expiresAt).getTime() - Date.now() - PLAYBACK_REFRESH_MARGIN
+    const timer = setTimeout(async () => {
+      const session = await getPlaybackSession({ courseId, subSectionId }, token)
+      if (!session) return
+
+      const videoElement = playerRef.current?.video?.video
+      if (videoElement) {
+        resumeRef.current = { time: videoElement.currentTime, paused: videoElement.paused }
+      }
+      setPlaybackSession(session)
+    }, Math.max(refreshIn, 30 * 1000))
+
+    return () => clearTimeout(timer)
+  }, [playbackSession, courseId, subSectionId, token])
+
+  // Load the lecture's caption tracks as blob URLs, so the player needs no login token for them
+  useEffect(() => {
+    let cancelled = false
+    let objectUrls = []
+    setCaptionTracks([])
+    if (!subSectionId || !token) return
+
+    const loadCaptions = async () => {
+      const tracks = await getCaptionTracks(subSectionId, token)
+      const loaded = await Promise.all(tracks.map(async (track) => {
+        const content = await getCaptionContent(subSectionId, track._id, token)
+        if (content === null) return null
+        return { ...track, src: URL.createObjectURL(new Blob([content], { type: "text/vtt" })) }
+      }))
+      objectUrls = loaded.filter(Boolean).map((track) => track.src)
+      if (cancelled) {
+        objectUrls.forEach((url) => URL.revokeObjectURL(url))
+        return
+      }
+
+      const available = loaded.filter(Boolean)
+      const preferred = captionLanguageRef.current === "off"
+        ? null
+        : available.find((track) => track.language === captionLanguageRef.current) || available.find((track) => track.isDefault)
+      setCaptionTracks(available)
+      setCaptionTrack(preferred ? preferred._id : "off")
+    }
+    loadCaptions()
+
+    return () => {
+      cancelled = true
+      objectUrls.forEach((url) => URL.revokeObjectURL(url))
+    }
+  }, [subSectionId, token])
+
+  // Show the picked caption track and hide the others
+  const applyCaptionTrack = useCallback(() => {
+    const videoElement = playerRef.current?.video?.video
+    if (!videoElement) return
+
+    const selected = captionTracks.find((track) => track._id === captionTrack)
+    Array.from(videoElement.textTracks).forEach((textTrack) => {
+      const isSelected = Boolean(selected) && textTrack.label === selected.label && textTrack.language === selected.language
+      textTrack.mode = isSelected ? "showing" : "disabled"
+    })
+  }, [captionTracks, captionTrack])
+
+  useEffect(() => {
+    applyCaptionTrack()
+  }, [applyCaptionTrack])
+
+  const handleCaptionChange = (id) => {
+    setCaptionTrack(id)
+    captionLanguageRef.current = id === "off" ? "off" : captionTracks.find((track) => track._id === id)?.language
+  }
+
+  // Hover-scrub thumbnails made by the transcoding worker
+  useEffect(() => {
+    setThumbnails([])
+    if (!playbackSession?.hasThumbnails) return
+
+    let cancelled = false
+    getVideoThumbnails(playbackSession.videoId, playbackSession.playbackToken).then((cues) => {
+      if (!cancelled) setThumbnails(cues)
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [playbackSession])
+
+  // The progress bar is rendered by video-react; chapter markers are drawn into it
+  useEffect(() => {
+    setProgressHolder(playerWrapperRef.current?.querySelector(".video-react-progress-holder") || null)
+  }, [videoData, checkingVideo, videoAvailable])
+
+  const seekTo = useCallback((time) => {
+    const videoElement = playerRef.current?.video?.video
+    if (videoElement && videoElement.readyState > 0) {
+      videoElement.currentTime = time
+    } else {
+      pendingSeekRef.current = time
+    }
+  }, [])
+
+  // Chapters picked in the sidebar arrive as navigation state
+  useEffect(() => {
+    if (typeof location.state?.seekTo === "number") {
+      seekTo(location.state.seekTo)
+    }
+  }, [location.key, location.state, seekTo])
+
+  // Continue where the student stopped last time
+  useEffect(() => {
+    setVideoProgress(null)
+    if (!courseId || !subSectionId) return
+
+    let cancelled = false
+    getVideoProgress(courseId, subSectionId, token).then((progress) => {
+      if (cancelled || !progress) return
+      setVideoProgress(progress)
+
+      // A chapter picked in the sidebar, or a seek by the student, wins over the saved position
+      const videoElement = playerRef.current?.video?.video
+      if (progress.resumePosition > 0 && pendingSeekRef.current === null && !(videoElement?.currentTime > 1)) {
+        seekTo(progress.resumePosition)
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [courseId, subSectionId, token, seekTo])
+
+  const chapters = useMemo(() => videoData?.chapters || [], [videoData])
+
+  const handleLoadedMetadata = () => {
+    applyCaptionTrack()
+    const videoElement = playerRef.current?.video?.video
+    if (videoElement) {
+      setVideoDuration(videoElement.duration || 0)
+    }
+    if (videoElement && pendingSeekRef.current !== null) {
+      videoElement.currentTime = pendingSeekRef.current
+      pendingSeekRef.current = null
+    }
+    if (!videoElement || !resumeRef.current) return
+
+    videoElement.currentTime = resumeRef.current.time
+    if (resumeRef.current.paused) {
+      videoElement.pause()
+    }
+    resumeRef.current = null
+  }
+
+  // Play the adaptive stream once transcoded, the original upload until then
+  const hlsSource = useMemo(() => {
+    if (!playbackSession || hlsFailed || !isHlsReady(playbackSession)) return null
+    return getHlsUrl(playbackSession.videoId, playbackSession.playbackToken)
+  }, [playbackSession, hlsFailed])
+
+  // Attach hls.js to the player's video element for transcoded videos
+  useEffect(() => {
+    setQualityLevels([])
+    setQualityLevel(-1)
+    if (!hlsSource || checkingVideo || !videoAvailable) return
+
+    const videoElement = playerRef.current?.video?.video
+    if (!videoElement) return
+
+    if (!Hls.isSupported()) {
+      // Safari plays HLS natively, but without manual quality selection
+      if (videoElement.canPlayType("application/vnd.apple.mpegurl")) {
+        videoElement.src = hlsSource
+      } else {
+        setHlsFailed(true)
+      }
+      return
+    }
+
+    const hls = new Hls()
+    hlsRef.current = hls
+    hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+      setQualityLevels(
+        data.levels
+          .map((level, index) => ({ index, height: level.height }))
+          .sort((a, b) => b.height - a.height)
+      )
+    })
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) {
+        console.error("HLS playback failed, falling back to the original video:", data)
+        setHlsFailed(true)
+      }
+    })
+    hls.loadSource(hlsSource)
+    hls.attachMedia(videoElement)
+
+    return () => {
+      hls.destroy()
+      hlsRef.current = null
+    }
+  }, [hlsSource, checkingVideo, videoAvailable])
+
+  const handleQualityChange = (level) => {
+    setQualityLevel(level)
+    if (hlsRef.current) {
+      hlsRef.current.currentLevel = level
+    }
+  }
+
   const isFirstVideo = useMemo(() => {
     if (!courseSectionData?.length) return false
     
@@ -291,6 +912,10 @@ const VideoDetails = () => {
   const handleLectureCompletion = useCallback(async () => {
     setLoading(true)
     try {
+      // The last watched stretch may be enough to complete the lecture on its own
+      const progress = await reportProgress({ pause: true })
+      if (progress?.justCompleted) return
+
       const res = await markLectureAsComplete(
         { courseId: courseId, subsectionId: subSectionId },
         token
@@ -303,7 +928,7 @@ const VideoDetails = () => {
     } finally {
       setLoading(false)
     }
-  }, [courseId, subSectionId, token, dispatch])
+  }, [courseId, subSectionId, token, dispatch, reportProgress])
 
   const { courseViewSidebar } = useSelector(state => state.sidebar)
 
@@ -350,9 +975,10 @@ const VideoDetails = () => {
           </div>
         </div>
       ) : (
-        <>
+        <div ref={playerWrapperRef}>
           <Player
             ref={playerRef}
+            poster={playbackSession?.hasPoster ? getPosterUrl(playbackSession.videoId, playbackSession.playbackToken) : undefined}
             aspectRatio="16:9"
             playsInline
             autoPlay
@@ -360,10 +986,22 @@ const VideoDetails = () => {
             onEnded={() => {
               setVideoEnded(true)
               updateWatchTime()
+              reportProgress({ pause: true })
             }}
+            onPause={() => reportProgress({ pause: true })}
             onTimeUpdate={handleTimeUpdate}
-            src={getPlaybackUrl(videoData.videoUrl, token)}
+            onLoadedMetadata={handleLoadedMetadata}
+            src={offlineVideo || (hlsSource ? undefined : playbackSession?.videoUrl || getPlaybackUrl(videoData.videoUrl, playbackSession?.playbackToken))}
           >
+            {captionTracks.map((track) => (
+              <track
+                key={track._id}
+                kind="captions"
+                src={track.src}
+                srcLang={track.language}
+                label={track.label}
+              />
+            ))}
             <BigPlayButton position="center" />
             <ControlBar>
               <VolumeMenuButton vertical />
@@ -372,6 +1010,20 @@ const VideoDetails = () => {
                 playbackRate={playbackSpeed}
                 setPlaybackRate={setPlaybackSpeed}
               />
+              {qualityLevels.length > 1 && (
+                <QualityControl
+                  levels={qualityLevels}
+                  currentLevel={qualityLevel}
+                  setCurrentLevel={handleQualityChange}
+                />
+              )}
+              {captionTracks.length > 0 && (
+                <CaptionControl
+                  tracks={captionTracks}
+                  currentTrack={captionTrack}
+                  setCurrentTrack={handleCaptionChange}
+                />
+              )}
             </ControlBar>
             
             {videoEnded && (
@@ -390,6 +1042,13 @@ const VideoDetails = () => {
                     customClasses="text-xl max-w-max px-4 mx-auto"
                   />
                 )}
+
+                {!completedLectures.includes(subSectionId) && videoProgress && !videoProgress.completed && videoProgress.duration > 0 && (
+                  <p className="mt-2 text-center text-sm text-richblack-100">
+                    You have watched {Math.floor(videoProgress.coverage * 100)}% of this lecture;{" "}
+                    {Math.round(videoProgress.completionThreshold * 100)}% is needed to complete it.
+                  </p>
+                )}
                 
                 {completedLectures.includes(subSectionId) && videoData?.quiz && (
                   <IconBtn
@@ -444,7 +1103,19 @@ const VideoDetails = () => {
               </div>
             )}
           </Player>
-        </>
+
+          {progressHolder && videoDuration > 0 && (chapters.length > 0 || thumbnails.length > 0) &&
+            createPortal(
+              <ProgressOverlay
+                holder={progressHolder}
+                duration={videoDuration}
+                chapters={chapters}
+                thumbnails={thumbnails}
+                onSeek={seekTo}
+              />,
+              progressHolder
+            )}
+        </div>
       )}
 
       <h1 className="mt-4 text-3xl font-semibold">{videoData?.title}</h1>
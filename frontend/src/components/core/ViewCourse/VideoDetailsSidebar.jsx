@@ -5,7 +5,10 @@ import { useLocation, useNavigate, useParams } from "react-router-dom"
 import IconBtn from './../../common/IconBtn';
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
 import { checkSectionAccess } from "../../../services/operations/courseProgressAPI"
+import { formatChapterTime } from "../../../utils/videoUtils"
 import ChatButton from '../Chat/ChatButton';
+import OfflineSectionDownload from "./OfflineSectionDownload"
+import { ACCOUNT_TYPE } from "../../../utils/constants"
 
 import { BsChevronDown } from "react-icons/bs"
 import { IoIosArrowBack } from "react-icons/io"
@@ -27,6 +30,7 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
 
   const { sectionId, subSectionId } = useParams()
   const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
   const {
     courseSectionData,
     courseEntireData,
@@ -194,6 +198,10 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
               {/* Sub Sections */}
               {activeStatus === section?._id && (
                 <div className="transition-[height] duration-500 ease-in-out">
+                  {/* Offline download, for unlocked sections of courses that allow it */}
+                  {courseEntireData?.allowOffline && user?.accountType === ACCOUNT_TYPE.STUDENT && (index === 0 || sectionAccess[section._id]) && (
+                    <OfflineSectionDownload section={section} />
+                  )}
                   {section.subSection.map((topic, i) => {
                     // Check if this section should be locked using the sectionAccess state
                     let isLocked = false
@@ -262,6 +270,28 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                             )}
                           </span>
                         </div>
+
+                        {/* Chapters of the lecture being watched - clicking one seeks the player */}
+                        {videoBarActive === topic._id && topic.chapters?.length > 0 && (
+                          <div className="ml-11 mr-5 mt-1 flex flex-col">
+                            {topic.chapters.map((chapter) => (
+                              <button
+                                key={chapter.time}
+                                onClick={() => {
+                                  navigate(
+                                    `/view-course/${courseEntireData?._id}/section/${section?._id}/sub-section/${topic?._id}`,
+                                    { state: { seekTo: chapter.time } }
+                                  )
+                                  courseViewSidebar && window.innerWidth <= 640 ? dispatch(setCourseViewSidebar(false)) : null;
+                                }}
+                                className="flex gap-3 rounded-md px-2 py-1 text-left text-xs text-richblack-100 hover:bg-richblack-900"
+                              >
+                                <span className="font-mono text-yellow-50">{formatChapterTime(chapter.time)}</span>
+                                <span className="flex-1">{chapter.title}</span>
+                              </button>
+                            ))}
+                          </div>
+                        )}
                         
                         {/* Quiz Button - Show based on quiz status */}
                         {topic.quiz && (
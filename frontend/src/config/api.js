@@ -27,6 +27,7 @@ export const API_ENDPOINTS = {
   VIDEO_STREAM: (videoId) => `${BASE_URL}/api/v1/video/stream/${videoId}`,
   VIDEO_INFO: (videoId) => `${BASE_URL}/api/v1/video/info/${videoId}`,
   VIDEO_MANIFEST: (videoId) => `${BASE_URL}/api/v1/video/manifest/${videoId}`,
+  VIDEO_PLAYBACK_TOKEN: `${BASE_URL}/api/v1/video/playback-token`,
   CHUNKED_UPLOAD_INIT: `${BASE_URL}/api/v1/chunked-upload/initialize`,
   CHUNKED_UPLOAD_CHUNK: `${BASE_URL}/api/v1/chunked-upload/chunk`,
   CHUNKED_UPLOAD_COMPLETE: `${BASE_URL}/api/v1/chunked-upload/complete`,
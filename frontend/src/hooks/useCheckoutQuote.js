@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from "react";
+import { getCheckoutQuote } from "../services/operations/studentFeaturesAPI";
+import useCurrency from "./useCurrency";
+
+// This hook prices a checkout on the server and keeps the signed quote buyCourse pays for.
+// The quote is in the currency prices are shown in (useCurrency), when the server can charge
+// in it. It asks again whenever the courses, the coupon or the currency change, and on refresh()
+// (after a purchase that failed because the quote expired or the prices changed).
+export default function useCheckoutQuote(coursesId, couponCode, checkoutType, token) {
+  const [result, setResult] = useState(null); // { quote, pricing }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+  const { currency } = useCurrency();
+
+  const coursesKey = coursesId.join(",");
+
+  useEffect(() => {
+    if (!coursesKey || !token) {
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    getCheckoutQuote(token, coursesKey.split(","), couponCode || null, checkoutType, currency)
+      .then((data) => {
+        if (cancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setResult(null);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [coursesKey, couponCode, checkoutType, currency, token, version]);
+
+  const refresh = useCallback(() => setVersion((value) => value + 1), []);
+
+  return { quote: result?.quote || null, pricing: result?.pricing || null, loading, error, refresh };
+}
@@ -0,0 +1,35 @@
+import { useCallback } from "react";
+import { useSelector } from "react-redux";
+import { convertCoursePrice, detectLocaleCurrency, formatPrice } from "../utils/currency";
+
+// This hook picks the currency prices are shown in: the one chosen on this browser, else the
+// profile's, else the locale's, else the base currency; each only when the backend can charge
+// in it. Checkout quotes are asked for in the same currency.
+export default function useCurrency() {
+  const { currency: chosen, base, rates } = useSelector((state) => state.currency);
+  const { user } = useSelector((state) => state.profile);
+
+  const currency = [chosen, user?.additionalDetails?.currency, detectLocaleCurrency()]
+    .find((code) => code && rates[code]) || base;
+  const rate = rates[currency] || 1;
+
+  // A course's price in the currency, formatted
+  const formatCoursePrice = useCallback(
+    (course, field = "price") => formatPrice(convertCoursePrice(course, currency, rate, field), currency),
+    [currency, rate]
+  );
+
+  // An amount in the base currency (e.g. a bundle total worked out from base prices), formatted
+  const formatBasePrice = useCallback(
+    (amount) => formatPrice(convertCoursePrice({ price: amount }, currency, rate), currency),
+    [currency, rate]
+  );
+
+  return {
+    currency,
+    currencies: Object.keys(rates),
+    formatCoursePrice,
+    formatBasePrice,
+    formatPrice,
+  };
+}
@@ -0,0 +1,67 @@
+import { useEffect, useRef } from "react";
+import io from "socket.io-client";
+import { toast } from "react-hot-toast";
+import { getQuizStatus } from "../services/operations/quizAPI";
+
+const POLL_INTERVAL = 5000;
+
+// This hook waits for a queued quiz attempt to be graded and calls onGraded with the result.
+// The socket.io push is the fast path; polling the quiz status covers dropped connections.
+export default function useQuizGrading(attemptId, quizId, token, onGraded) {
+  const onGradedRef = useRef(onGraded);
+  onGradedRef.current = onGraded;
+
+  useEffect(() => {
+    if (!attemptId || !quizId || !token) {
+      return;
+    }
+
+    let finished = false;
+    const finish = (result) => {
+      if (finished) return;
+      finished = true;
+      onGradedRef.current(result);
+    };
+
+    const socket = io(import.meta.env.VITE_APP_BASE_URL || 'http://localhost:5001', {
+      withCredentials: true
+    });
+    socket.emit('authenticate', token);
+
+    socket.on('quiz_graded', (result) => {
+      if (result.attemptId === attemptId) {
+        finish(result);
+      }
+    });
+
+    // Graded, but written answers still wait for the instructor
+    socket.on('quiz_review_pending', (result) => {
+      if (result.attemptId === attemptId) {
+        finish(result);
+      }
+    });
+
+    socket.on('quiz_grading_failed', (result) => {
+      if (result.attemptId === attemptId) {
+        toast.error("We could not grade your submission. Please try again.");
+        finish(null);
+      }
+    });
+
+    // Fallback: the attempt has left the queue once the status no longer reports it
+    const poll = setInterval(async () => {
+      const status = await getQuizStatus(quizId, token);
+      if (status && !status.grading) {
+        finish(status.awaitingReview?.attemptId === attemptId
+          ? { ...status.awaitingReview, status: 'review' }
+          : status.lastAttempt);
+      }
+    }, POLL_INTERVAL);
+
+    return () => {
+      finished = true;
+      clearInterval(poll);
+      socket.disconnect();
+    };
+  }, [attemptId, quizId, token]);
+}
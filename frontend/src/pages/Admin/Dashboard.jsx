@@ -4,6 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaChartLine, FaTag } from 'react-icons/fa';
 import { MdSettings } from 'react-icons/md';
 import { VscPackage } from 'react-icons/vsc';
+import { FiRotateCcw, FiDollarSign } from 'react-icons/fi';
 
 import AdminSidebar from '../../components/core/Dashboard/Admin/AdminSidebar';
 
@@ -20,6 +21,8 @@ const CourseCategories = lazy(() => import('../../components/core/Dashboard/AddC
 const BundleAccessRequests = lazy(() => import('./components/BundleAccessRequests'));
 const Coupons = lazy(() => import('./Coupons'));
 const Orders = lazy(() => import('./components/Orders'));
+const Refunds = lazy(() => import('./components/Refunds'));
+const ExchangeRates = lazy(() => import('./components/ExchangeRates'));
 const NotificationManagement = lazy(() => import('./components/NotificationManagement'));
 const FeaturedCoursesManagement = lazy(() => import('./components/FeaturedCoursesManagement'));
 const ContactMessages = lazy(() => import('../../components/core/Dashboard/Admin/ContactMessages'));
@@ -59,6 +62,8 @@ const AdminDashboard = () => {
     { id: 'accessRequests', label: 'Access Requests', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'bundleRequests', label: 'Bundle Requests', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'orders', label: 'Orders', icon: <VscPackage className="w-5 h-5" /> },
+    { id: 'refunds', label: 'Refunds', icon: <FiRotateCcw className="w-5 h-5" /> },
+    { id: 'exchangeRates', label: 'Exchange Rates', icon: <FiDollarSign className="w-5 h-5" /> },
     { id: 'coupons', label: 'Coupons', icon: <FaTag className="w-5 h-5" /> },
     { id: 'careers', label: 'Careers', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'notifications', label: 'Notification Management', icon: <FaUsers className="w-5 h-5" /> },
@@ -117,6 +122,8 @@ const AdminDashboard = () => {
                     {activeTab === 'bundleRequests' && <BundleAccessRequests />}
                     {activeTab === 'studentProgress' && <StudentProgress />}
                     {activeTab === 'orders' && <Orders />}
+                    {activeTab === 'refunds' && <Refunds />}
+                    {activeTab === 'exchangeRates' && <ExchangeRates />}
                     {activeTab === 'coupons' && <Coupons />}
                     {activeTab === 'notifications' && <NotificationManagement />}
                     {activeTab === 'contactMessages' && <ContactMessages />}
@@ -254,6 +254,9 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
                   if (subSection.quiz) {
                     formData.append("quiz", subSection.quiz._id || subSection.quiz)
                   }
+                  if (subSection.chapters?.length) {
+                    formData.append("chapters", JSON.stringify(subSection.chapters))
+                  }
                   await createSubSection(formData, token)
                 }
               }
@@ -288,6 +291,9 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
               if (subSection.quiz) {
                 formData.append("quiz", subSection.quiz._id || subSection.quiz)
               }
+              if (subSection.chapters?.length) {
+                formData.append("chapters", JSON.stringify(subSection.chapters))
+              }
               await createSubSection(formData, token)
             } else if (subSection.isModified) {
               // Update modified subsection
@@ -302,6 +308,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
               if (subSection.quiz) {
                 formData.append("quiz", subSection.quiz._id || subSection.quiz)
               }
+              formData.append("chapters", JSON.stringify(subSection.chapters || []))
               await updateSubSection(formData, token)
             }
           }
@@ -577,6 +584,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
           modalData={viewSubSection}
           setModalData={setViewSubSection}
           view={true}
+          courseId={courseData._id}
           onUpdate={() => {}} // View mode doesn't need updates
         />
       )}
@@ -585,6 +593,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
           modalData={editSubSection}
           setModalData={setEditSubSection}
           edit={true}
+          courseId={courseData._id}
           onUpdate={(updatedSubSection) => {
             handleSubSectionUpdate(updatedSubSection, editSubSection.sectionId, false)
           }}
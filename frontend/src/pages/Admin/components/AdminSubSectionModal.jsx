@@ -10,6 +10,9 @@ import {
 } from "../../../services/operations/courseDetailsAPI"
 import { getAllQuizzes } from "../../../services/operations/quizAPI"
 import Upload from "../../../components/core/Dashboard/AddCourse/Upload"
+import ChapterEditor from "../../../components/core/Dashboard/AddCourse/ChapterEditor"
+import { readChapterRows, toChapterRows } from "../../../utils/videoUtils"
+import CaptionEditor from "./CaptionEditor"
 
 export default function AdminSubSectionModal({ 
   modalData, 
@@ -17,7 +20,8 @@ export default function AdminSubSectionModal({
   add = false, 
   view = false, 
   edit = false,
-  onUpdate 
+  onUpdate,
+  courseId = null
 }) {
   const {
     register,
@@ -28,6 +32,7 @@ export default function AdminSubSectionModal({
   } = useForm()
 
   const [loading, setLoading] = useState(false)
+  const [chapterRows, setChapterRows] = useState(() => toChapterRows(modalData?.chapters))
   const { token } = useSelector((state) => state.auth)
 
   useEffect(() => {
@@ -39,9 +44,11 @@ export default function AdminSubSectionModal({
   }, [])
 
   // detect whether form is updated or not
-  const isFormUpdated = () => {
+  const isFormUpdated = (chapters) => {
     const currentValues = getValues()
+    const originalChapters = (modalData.chapters || []).map(({ time, title }) => ({ time, title }))
     if (
+      JSON.stringify(chapters) !== JSON.stringify(originalChapters) ||
       currentValues.lectureTitle !== modalData.title ||
       currentValues.lectureDesc !== modalData.description ||
       currentValues.lectureVideo !== modalData.videoUrl ||
@@ -53,7 +60,7 @@ export default function AdminSubSectionModal({
   }
 
   // handle the editing of subsection - only update local state, not database
-  const handleEditSubsection = () => {
+  const handleEditSubsection = (chapters) => {
     const currentValues = getValues()
     
     // Create updated subsection object for local state
@@ -62,6 +69,7 @@ export default function AdminSubSectionModal({
       title: currentValues.lectureTitle,
       description: currentValues.lectureDesc,
       quiz: currentValues.quiz ? { _id: currentValues.quiz } : null,
+      chapters,
       // Keep existing video URL if no new video is uploaded
       videoUrl: currentValues.lectureVideo instanceof File ? 
         URL.createObjectURL(currentValues.lectureVideo) : modalData.videoUrl,
@@ -80,11 +88,17 @@ export default function AdminSubSectionModal({
   const onSubmit = async (data) => {
     if (view) return
 
+    const { chapters, error } = readChapterRows(chapterRows)
+    if (error) {
+      toast.error(error)
+      return
+    }
+
     if (edit) {
-      if (!isFormUpdated()) {
+      if (!isFormUpdated(chapters)) {
         toast.error("No changes made to the form")
       } else {
-        handleEditSubsection()
+        handleEditSubsection(chapters)
       }
       return
     }
@@ -96,6 +110,7 @@ export default function AdminSubSectionModal({
       title: data.lectureTitle,
       description: data.lectureDesc,
       quiz: data.quiz ? { _id: data.quiz } : null,
+      chapters,
       videoUrl: data.lectureVideo instanceof File ? 
         URL.createObjectURL(data.lectureVideo) : null,
       videoFile: data.lectureVideo instanceof File ? data.lectureVideo : null,
@@ -134,6 +149,8 @@ export default function AdminSubSectionModal({
             video={true}
             viewData={view ? modalData.videoUrl : null}
             editData={edit ? modalData.videoUrl : null}
+            courseId={add ? null : courseId}
+            subSectionId={add ? null : modalData._id}
           />
           {/* Lecture Title */}
           <div className="flex flex-col space-y-2">
@@ -174,6 +191,9 @@ export default function AdminSubSectionModal({
             )}
           </div>
 
+          {/* Lecture Chapters */}
+          <ChapterEditor rows={chapterRows} setRows={setChapterRows} disabled={view || loading} />
+
 
           {!view && (
             <div className="flex justify-end">
@@ -192,6 +212,17 @@ export default function AdminSubSectionModal({
             </div>
           )}
         </form>
+
+        {/* Captions belong to a saved lecture */}
+        {(view || edit) && modalData?._id && !modalData.isNew ? (
+          <CaptionEditor subSectionId={modalData._id} readOnly={view} />
+        ) : (
+          !view && (
+            <p className="border-t border-richblack-600 px-8 py-6 text-xs text-richblack-300">
+              Captions can be added once the lecture has been saved.
+            </p>
+          )
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,370 @@
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "react-hot-toast"
+import { useSelector } from "react-redux"
+
+import {
+  addCaptionTrack,
+  deleteCaptionTrack,
+  getCaptionContent,
+  getCaptionTracks,
+  updateCaptionTrack,
+} from "../../../services/operations/courseDetailsAPI"
+import {
+  formatTimestamp,
+  getCueError,
+  parseTimestamp,
+  parseVttCues,
+  serializeVttCues,
+} from "../../../utils/captionUtils"
+
+const emptyDraft = { language: "", label: "", isDefault: false }
+
+// Caption tracks of a saved lecture
+// Unlike the other lecture fields, caption changes are saved right away.
+export default function CaptionEditor({ subSectionId, readOnly = false }) {
+  const { token } = useSelector((state) => state.auth)
+  const [tracks, setTracks] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  // Track being added or edited: { _id?, language, label, isDefault }
+  const [draft, setDraft] = useState(null)
+  const [captionFile, setCaptionFile] = useState(null)
+  const [cues, setCues] = useState([])
+  // Files with NOTE/STYLE blocks are edited as text so those blocks are kept
+  const [rawMode, setRawMode] = useState(false)
+  const [rawText, setRawText] = useState("")
+
+  const loadTracks = useCallback(async () => {
+    setTracks(await getCaptionTracks(subSectionId, token))
+  }, [subSectionId, token])
+
+  useEffect(() => {
+    loadTracks()
+  }, [loadTracks])
+
+  const closeDraft = () => {
+    setDraft(null)
+    setCaptionFile(null)
+    setCues([])
+    setRawMode(false)
+    setRawText("")
+  }
+
+  const openTrack = async (track) => {
+    setLoading(true)
+    const content = await getCaptionContent(subSectionId, track._id, token)
+    setLoading(false)
+    if (content === null) {
+      toast.error("Could not load the caption file")
+      return
+    }
+
+    const parsed = parseVttCues(content)
+    setDraft({ _id: track._id, language: track.language, label: track.label, isDefault: track.isDefault })
+    setCues(parsed.cues)
+    setRawText(content)
+    setRawMode(parsed.hasExtraBlocks)
+    setCaptionFile(null)
+  }
+
+  const startNewTrack = () => {
+    setDraft({ ...emptyDraft, isDefault: tracks.length === 0 })
+    setCues([{ start: "00:00:00.000", end: "00:00:03.000", settings: "", text: "" }])
+    setRawText("")
+    setRawMode(false)
+    setCaptionFile(null)
+  }
+
+  const updateCue = (index, field, value) => {
+    setCues((current) => current.map((cue, i) => (i === index ? { ...cue, [field]: value } : cue)))
+  }
+
+  const addCue = () => {
+    const lastEnd = cues.length > 0 ? parseTimestamp(cues[cues.length - 1].end) : 0
+    const start = lastEnd === null ? 0 : lastEnd
+    setCues([...cues, { start: formatTimestamp(start), end: formatTimestamp(start + 3), settings: "", text: "" }])
+  }
+
+  const removeCue = (index) => {
+    setCues(cues.filter((_, i) => i !== index))
+  }
+
+  const toggleRawMode = () => {
+    if (!rawMode) {
+      setRawText(serializeVttCues(cues))
+      setRawMode(true)
+      return
+    }
+    const parsed = parseVttCues(rawText)
+    if (parsed.hasExtraBlocks) {
+      toast.error("This file has NOTE or STYLE blocks, which are lost when editing cues. Edit it as text instead.")
+      return
+    }
+    setCues(parsed.cues)
+    setRawMode(false)
+  }
+
+  const handleSave = async () => {
+    const language = draft.language.trim()
+    const label = draft.label.trim()
+    if (!language || !label) {
+      toast.error("Language and label are required")
+      return
+    }
+
+    let payload = { language, label, isDefault: draft.isDefault }
+    if (captionFile) {
+      // SRT files are converted to WebVTT by the server
+      payload = { ...payload, filename: captionFile.name, content: await captionFile.text() }
+    } else if (rawMode) {
+      payload = { ...payload, format: "vtt", content: rawText }
+    } else {
+      const invalidIndex = cues.findIndex((cue) => getCueError(cue))
+      if (cues.length === 0 || invalidIndex !== -1) {
+        toast.error(cues.length === 0 ? "Add at least one cue" : `Cue ${invalidIndex + 1}: ${getCueError(cues[invalidIndex])}`)
+        return
+      }
+      payload = { ...payload, format: "vtt", content: serializeVttCues(cues) }
+    }
+
+    setLoading(true)
+    const result = draft._id
+      ? await updateCaptionTrack(subSectionId, draft._id, payload, token)
+      : await addCaptionTrack(subSectionId, payload, token)
+    setLoading(false)
+
+    if (result) {
+      closeDraft()
+      loadTracks()
+    }
+  }
+
+  const handleDelete = async (track) => {
+    if (!window.confirm(`Delete the "${track.label}" captions?`)) return
+    setLoading(true)
+    const deleted = await deleteCaptionTrack(subSectionId, track._id, token)
+    setLoading(false)
+    if (deleted) {
+      if (draft?._id === track._id) closeDraft()
+      loadTracks()
+    }
+  }
+
+  return (
+    <div className="space-y-4 border-t border-richblack-600 px-8 py-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm text-richblack-5">Captions</p>
+          {!readOnly && (
+            <p className="text-xs text-richblack-300">
+              WebVTT or SRT files. Caption changes are saved immediately.
+            </p>
+          )}
+        </div>
+        {!readOnly && !draft && (
+          <button
+            type="button"
+            onClick={startNewTrack}
+            disabled={loading}
+            className="rounded-md bg-richblack-700 px-4 py-2 text-sm text-richblack-5 hover:bg-richblack-600"
+          >
+            Add Captions
+          </button>
+        )}
+      </div>
+
+      {tracks.length === 0 && !draft && (
+        <p className="text-sm text-richblack-400">This lecture has no captions yet.</p>
+      )}
+
+      {tracks.length > 0 && (
+        <div className="space-y-2">
+          {tracks.map((track) => (
+            <div
+              key={track._id}
+              className="flex items-center justify-between rounded-md bg-richblack-700 px-4 py-2"
+            >
+              <div className="text-sm text-richblack-5">
+                {track.label}{" "}
+                <span className="text-xs text-richblack-300">
+                  ({track.language} · {track.cueCount} cues)
+                </span>
+                {track.isDefault && (
+                  <span className="ml-2 rounded-full bg-yellow-900 px-2 py-0.5 text-xs text-yellow-100">
+                    Default
+                  </span>
+                )}
+              </div>
+              {!readOnly && (
+                <div className="flex gap-3 text-sm">
+                  <button
+                    type="button"
+                    disabled={loading}
+                    onClick={() => openTrack(track)}
+                    className="text-yellow-50 hover:underline"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    disabled={loading}
+                    onClick={() => handleDelete(track)}
+                    className="text-pink-200 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {draft && (
+        <div className="space-y-4 rounded-md border border-richblack-600 p-4">
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+            <div className="flex flex-col space-y-1">
+              <label className="text-xs text-richblack-300" htmlFor="captionLanguage">
+                Language code
+              </label>
+              <input
+                id="captionLanguage"
+                value={draft.language}
+                onChange={(e) => setDraft({ ...draft, language: e.target.value })}
+                placeholder="en, hi, pt-BR"
+                className="form-style w-full"
+              />
+            </div>
+            <div className="flex flex-col space-y-1">
+              <label className="text-xs text-richblack-300" htmlFor="captionLabel">
+                Label
+              </label>
+              <input
+                id="captionLabel"
+                value={draft.label}
+                onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+                placeholder="English"
+                className="form-style w-full"
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-richblack-100">
+            <input
+              type="checkbox"
+              checked={draft.isDefault}
+              onChange={(e) => setDraft({ ...draft, isDefault: e.target.checked })}
+              className="accent-yellow-50"
+            />
+            Show by default
+          </label>
+
+          <div className="flex flex-col space-y-1">
+            <label className="text-xs text-richblack-300" htmlFor="captionFile">
+              {draft._id ? "Replace with a file" : "Upload a file"} (.vtt or .srt)
+            </label>
+            <input
+              id="captionFile"
+              type="file"
+              accept=".vtt,.srt,text/vtt"
+              onChange={(e) => setCaptionFile(e.target.files[0] || null)}
+              className="text-sm text-richblack-100"
+            />
+          </div>
+
+          {!captionFile && (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-richblack-300">
+                  {rawMode ? "WebVTT text" : `${cues.length} cues`}
+                </p>
+                <button
+                  type="button"
+                  onClick={toggleRawMode}
+                  className="text-xs text-yellow-50 hover:underline"
+                >
+                  {rawMode ? "Edit cues" : "Edit as text"}
+                </button>
+              </div>
+
+              {rawMode ? (
+                <textarea
+                  value={rawText}
+                  onChange={(e) => setRawText(e.target.value)}
+                  spellCheck={false}
+                  className="form-style min-h-[240px] w-full font-mono text-xs"
+                />
+              ) : (
+                <div className="max-h-[360px] space-y-2 overflow-y-auto pr-1">
+                  {cues.map((cue, index) => {
+                    const error = getCueError(cue)
+                    return (
+                      <div key={index} className="space-y-1 rounded-md bg-richblack-700 p-2">
+                        <div className="flex items-center gap-2">
+                          <span className="w-6 text-xs text-richblack-400">{index + 1}</span>
+                          <input
+                            value={cue.start}
+                            onChange={(e) => updateCue(index, "start", e.target.value)}
+                            className="w-28 rounded bg-richblack-800 px-2 py-1 font-mono text-xs text-richblack-5"
+                          />
+                          <span className="text-xs text-richblack-400">→</span>
+                          <input
+                            value={cue.end}
+                            onChange={(e) => updateCue(index, "end", e.target.value)}
+                            className="w-28 rounded bg-richblack-800 px-2 py-1 font-mono text-xs text-richblack-5"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => removeCue(index)}
+                            className="ml-auto text-xs text-pink-200 hover:underline"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                        <textarea
+                          value={cue.text}
+                          onChange={(e) => updateCue(index, "text", e.target.value)}
+                          rows={2}
+                          className="w-full rounded bg-richblack-800 px-2 py-1 text-sm text-richblack-5"
+                        />
+                        {error && <p className="text-xs text-pink-200">{error}</p>}
+                      </div>
+                    )
+                  })}
+                  <button
+                    type="button"
+                    onClick={addCue}
+                    className="text-sm text-yellow-50 hover:underline"
+                  >
+                    + Add cue
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={closeDraft}
+              disabled={loading}
+              className="rounded-md bg-richblack-700 px-4 py-2 text-sm text-richblack-5"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={loading}
+              className={`rounded-md bg-yellow-50 px-4 py-2 text-sm font-bold text-black ${
+                loading ? "cursor-not-allowed opacity-50" : ""
+              }`}
+            >
+              {loading ? "Saving.." : "Save Captions"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
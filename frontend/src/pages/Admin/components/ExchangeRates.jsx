@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { FiSave, FiTrash2 } from 'react-icons/fi'
+import { getExchangeRates, setExchangeRate, deleteExchangeRate, fetchCurrencies } from '../../../services/operations/currencyAPI'
+
+// One supported currency; students can only pay in it once it has a rate
+function ExchangeRate({ base, item, onUpdated }) {
+  const { token } = useSelector((state) => state.auth)
+  const [rate, setRate] = useState(item.rate ?? '')
+  const [busy, setBusy] = useState(false)
+
+  const handleSave = async () => {
+    setBusy(true)
+    const saved = await setExchangeRate(token, item.currency, Number(rate))
+    setBusy(false)
+    if (saved) onUpdated()
+  }
+
+  const handleRemove = async () => {
+    setBusy(true)
+    const removed = await deleteExchangeRate(token, item.currency)
+    setBusy(false)
+    if (removed) {
+      setRate('')
+      onUpdated()
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 rounded-lg border border-richblack-600 bg-richblack-700 p-4">
+      <div className="w-24">
+        <p className="font-semibold text-richblack-5">{item.currency}</p>
+        <p className={`text-xs ${item.rate ? 'text-caribbeangreen-200' : 'text-richblack-400'}`}>
+          {item.rate ? 'Enabled' : 'No rate'}
+        </p>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-richblack-300" htmlFor={`rate-${item.currency}`}>
+        1 {item.currency} =
+        <input
+          id={`rate-${item.currency}`}
+          type="number"
+          min="0.000001"
+          step="any"
+          value={rate}
+          onChange={(e) => setRate(e.target.value)}
+          className="w-32 rounded-md bg-richblack-800 px-3 py-2 text-sm text-richblack-5 outline-none"
+        />
+        {base}
+      </label>
+      {item.updatedAt && (
+        <p className="text-xs text-richblack-400">
+          Updated {new Date(item.updatedAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+          {item.updatedBy && ` by ${`${item.updatedBy.firstName || ''} ${item.updatedBy.lastName || ''}`.trim()}`}
+        </p>
+      )}
+      <div className="ml-auto flex gap-2">
+        <button
+          onClick={handleSave}
+          disabled={busy || !(Number(rate) > 0) || Number(rate) === item.rate}
+          className="flex items-center gap-2 rounded-lg bg-yellow-50 px-4 py-2 text-sm font-medium text-richblack-900 transition-all duration-200 hover:scale-105 disabled:opacity-50"
+        >
+          <FiSave size={16} />
+          Save
+        </button>
+        {item.rate && (
+          <button
+            onClick={handleRemove}
+            disabled={busy}
+            className="flex items-center gap-2 rounded-lg bg-pink-600 px-4 py-2 text-sm font-medium text-white transition-all duration-200 hover:scale-105 disabled:opacity-50"
+          >
+            <FiTrash2 size={16} />
+            Remove
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default function ExchangeRates() {
+  const { token } = useSelector((state) => state.auth)
+  const dispatch = useDispatch()
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    const fetchRates = async () => {
+      setLoading(true)
+      const result = await getExchangeRates(token)
+      if (result) {
+        setData(result)
+      }
+      setLoading(false)
+    }
+    fetchRates()
+  }, [token, reloadKey])
+
+  // The currency selector picks up new and removed rates too
+  const reload = () => {
+    setReloadKey((key) => key + 1)
+    dispatch(fetchCurrencies())
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="flex justify-center py-20">
+        <div className="custom-loader"></div>
+      </div>
+    )
+  }
+
+  if (!data || data.rates.length === 0) {
+    return <p className="py-20 text-center text-richblack-300">No other currencies are supported</p>
+  }
+
+  return (
+    <div className="space-y-6">
+      <p className="text-sm text-richblack-300">
+        Course prices are set in {data.base} and converted at these rates, unless a course has its own price in
+        a currency. Checkouts are charged at the rate in effect when they are quoted; paid orders keep theirs.
+      </p>
+      <div className="space-y-3">
+        {data.rates.map((item) => (
+          <ExchangeRate key={item.currency} base={data.base} item={item} onUpdated={reload} />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -1,8 +1,33 @@
 import React, { useEffect, useState } from 'react'
 import { useSelector } from 'react-redux'
-import { FiDownload, FiEye, FiSearch } from 'react-icons/fi'
-import { getAllOrders, updateOrderStatus, generateOrdersPDF } from '../../../services/operations/orderAPI'
+import { FiDownload, FiEye, FiSearch, FiFileText, FiRefreshCw } from 'react-icons/fi'
+import { getAllOrders, updateOrderStatus, generateOrdersPDF, downloadInvoice, regenerateInvoice } from '../../../services/operations/orderAPI'
 import OrderViewModal from './OrderViewModal'
+import { formatPrice } from '../../../utils/currency'
+
+// Payment status of an order (see backend PAYMENTS.md); only paid orders can be switched on
+const PAYMENT_STATUS_LABELS = {
+  pending: { label: 'Pending', className: 'text-yellow-100' },
+  paid: { label: 'Paid', className: 'text-caribbeangreen-200' },
+  partially_refunded: { label: 'Partially refunded', className: 'text-blue-200' },
+  refunded: { label: 'Refunded', className: 'text-pink-200' },
+  failed: { label: 'Failed', className: 'text-pink-300' },
+}
+
+const canActivate = (order) => ['paid', 'partially_refunded', undefined].includes(order.paymentStatus)
+
+// Orders that were paid for something have a GST invoice
+const hasInvoice = (order) => order.amount > 0 && !['pending', 'failed'].includes(order.paymentStatus)
+
+const renderPaymentStatus = (order) => {
+  const status = PAYMENT_STATUS_LABELS[order.paymentStatus] || PAYMENT_STATUS_LABELS.paid
+  return (
+    <span className={`text-xs ${status.className}`}>
+      {status.label}
+      {order.refundedAmount > 0 && ` (${formatPrice(order.refundedAmount, order.currency)})`}
+    </span>
+  )
+}
 
 export default function Orders() {
   const { token } = useSelector((state) => state.auth)
@@ -68,6 +93,27 @@ export default function Orders() {
     }
   }
 
+  // Invoice actions of one order
+  const renderInvoiceActions = (order, padding) =>
+    hasInvoice(order) && (
+      <>
+        <button
+          onClick={() => downloadInvoice(token, order._id, true)}
+          className={`rounded-lg bg-gradient-to-r from-blue-600 to-blue-500 ${padding} text-white transition-all duration-200 hover:scale-105`}
+          title="Download Invoice"
+        >
+          <FiFileText size={16} />
+        </button>
+        <button
+          onClick={() => regenerateInvoice(token, order._id)}
+          className={`rounded-lg bg-richblack-600 ${padding} text-white transition-all duration-200 hover:scale-105`}
+          title="Regenerate Invoice"
+        >
+          <FiRefreshCw size={16} />
+        </button>
+      </>
+    )
+
   // Generate PDF
   const handleGeneratePDF = () => {
     generateOrdersPDF(token)
@@ -146,11 +192,12 @@ export default function Orders() {
                   <div className="flex items-center gap-2">
                     <button
                       onClick={() => handleStatusToggle(order._id, !order.status)}
+                      disabled={!order.status && !canActivate(order)}
                       className={`${
                         order.status 
                           ? 'bg-gradient-to-r from-green-500 to-green-400' 
                           : 'bg-gradient-to-r from-richblack-600 to-richblack-500'
-                      } relative inline-flex h-6 w-10 items-center rounded-full transition-all duration-300`}
+                      } relative inline-flex h-6 w-10 items-center rounded-full transition-all duration-300 disabled:cursor-not-allowed disabled:opacity-50`}
                     >
                       <span
                         className={`${
@@ -161,6 +208,7 @@ export default function Orders() {
                     <span className={`text-xs ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
                       {order.status ? 'Active' : 'Inactive'}
                     </span>
+                    {renderPaymentStatus(order)}
                   </div>
                 </div>
 
@@ -183,7 +231,7 @@ export default function Orders() {
                     <span className="text-xs bg-richblack-600 px-2 py-1 rounded text-orange-300">
                       {order.paymentMethod}
                     </span>
-                    <span className="text-sm font-bold text-green-400">₹{order.amount}</span>
+                    <span className="text-sm font-bold text-green-400">{formatPrice(order.amount, order.currency)}</span>
                   </div>
                 </div>
 
@@ -196,16 +244,19 @@ export default function Orders() {
                       year: 'numeric'
                     })}
                   </div>
-                  <button
-                    onClick={() => {
-                      setSelectedOrder(order)
-                      setShowViewModal(true)
-                    }}
-                    className="rounded-lg bg-gradient-to-r from-caribbeangreen-600 to-caribbeangreen-500 p-2 text-white transition-all duration-200 hover:scale-105"
-                    title="View Order"
-                  >
-                    <FiEye size={16} />
-                  </button>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => {
+                        setSelectedOrder(order)
+                        setShowViewModal(true)
+                      }}
+                      className="rounded-lg bg-gradient-to-r from-caribbeangreen-600 to-caribbeangreen-500 p-2 text-white transition-all duration-200 hover:scale-105"
+                      title="View Order"
+                    >
+                      <FiEye size={16} />
+                    </button>
+                    {renderInvoiceActions(order, 'p-2')}
+                  </div>
                 </div>
               </div>
             ))}
@@ -304,7 +355,7 @@ export default function Orders() {
                       </p>
                       <p className="flex items-center gap-2 text-sm xl:text-lg font-bold text-yellow-50">
                         <span className="text-richblack-400 text-xs font-normal">Amount:</span> 
-                        <span className="text-green-400">₹{order.amount}</span>
+                        <span className="text-green-400">{formatPrice(order.amount, order.currency)}</span>
                       </p>
                     </div>
                   </td>
@@ -329,11 +380,12 @@ export default function Orders() {
                     <div className="flex flex-col items-start gap-2">
                       <button
                         onClick={() => handleStatusToggle(order._id, !order.status)}
+                        disabled={!order.status && !canActivate(order)}
                         className={`${
                           order.status 
                             ? 'bg-gradient-to-r from-green-500 to-green-400 shadow-green-500/30' 
                             : 'bg-gradient-to-r from-richblack-600 to-richblack-500 shadow-richblack-600/30'
-                        } relative inline-flex h-6 w-10 xl:h-7 xl:w-12 items-center rounded-full shadow-lg transition-all duration-300 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-yellow-50 focus:ring-offset-2 focus:ring-offset-richblack-800`}
+                        } relative inline-flex h-6 w-10 xl:h-7 xl:w-12 items-center rounded-full shadow-lg transition-all duration-300 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-yellow-50 focus:ring-offset-2 focus:ring-offset-richblack-800 disabled:cursor-not-allowed disabled:opacity-50`}
                       >
                         <span
                           className={`${
@@ -344,6 +396,7 @@ export default function Orders() {
                       <span className={`text-xs font-medium ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
                         {order.status ? 'Active' : 'Inactive'}
                       </span>
+                      {renderPaymentStatus(order)}
                     </div>
                   </td>
                   <td className="p-4 xl:p-6">
@@ -358,6 +411,7 @@ export default function Orders() {
                       >
                         <FiEye size={16} />
                       </button>
+                      {renderInvoiceActions(order, 'p-2 xl:p-3')}
                     </div>
                   </td>
                 </tr>
@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { FaPlus, FaEdit, FaTrash, FaDownload } from 'react-icons/fa';
+import {
+  getQuestionBanks,
+  getQuestionBankById,
+  deleteQuestionBank,
+  exportQuestionBank
+} from '../../../services/operations/questionBankAPI';
+import { QUIZ_FILE_FORMATS } from '../../../utils/constants';
+import QuizCreator from './QuizCreator';
+
+// Question banks that quizzes can draw random questions from
+const QuestionBankManager = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [banks, setBanks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // Bank being edited ({} for a new bank)
+  const [editingBank, setEditingBank] = useState(null);
+  const [exportFormat, setExportFormat] = useState(QUIZ_FILE_FORMATS[0].id);
+
+  useEffect(() => {
+    fetchBanks();
+  }, []);
+
+  const fetchBanks = async () => {
+    setLoading(true);
+    const result = await getQuestionBanks(token);
+    setBanks(result || []);
+    setLoading(false);
+  };
+
+  const handleEdit = async (bankId) => {
+    const bank = await getQuestionBankById(bankId, token);
+    if (bank) {
+      setEditingBank(bank);
+    }
+  };
+
+  const handleDelete = async (bank) => {
+    if (window.confirm(`Are you sure you want to delete the question bank "${bank.title}"?`)) {
+      const deleted = await deleteQuestionBank(bank._id, token);
+      if (deleted) {
+        fetchBanks();
+      }
+    }
+  };
+
+  const handleSaved = () => {
+    setEditingBank(null);
+    fetchBanks();
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-richblack-300 text-sm">
+          Tag questions with a topic and difficulty, then add draw rules to a quiz to give every student a different set of questions.
+        </p>
+        <div className="flex items-center gap-2 shrink-0">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+            title="Export format"
+          >
+            {QUIZ_FILE_FORMATS.map((format) => (
+              <option key={format.id} value={format.id}>{format.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setEditingBank({})}
+            className="flex items-center justify-center gap-2 bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg hover:scale-95 transition-all duration-200"
+          >
+            <FaPlus className="text-sm" />
+            <span>New Question Bank</span>
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+        </div>
+      ) : banks.length === 0 ? (
+        <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+          <p className="text-xl font-semibold text-richblack-100">No question banks yet</p>
+          <p className="text-richblack-400">Create a question bank to start drawing random questions into quizzes.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {banks.map((bank) => (
+            <div
+              key={bank._id}
+              className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-richblack-700 rounded-lg"
+            >
+              <div className="space-y-1">
+                <p className="text-richblack-5 font-semibold">{bank.title}</p>
+                {bank.description && (
+                  <p className="text-richblack-300 text-sm">{bank.description}</p>
+                )}
+                <p className="text-richblack-300 text-xs">
+                  {bank.questionCount} question(s) · Easy {bank.difficultyCounts.easy} · Medium {bank.difficultyCounts.medium} · Hard {bank.difficultyCounts.hard}
+                </p>
+                {bank.topics.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {bank.topics.map((topic) => (
+                      <span key={topic} className="px-2 py-0.5 rounded-full bg-richblack-600 text-richblack-50 text-xs">
+                        {topic}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center gap-2 self-end sm:self-auto">
+                <button
+                  onClick={() => handleEdit(bank._id)}
+                  className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-colors"
+                >
+                  <FaEdit className="text-sm" />
+                  <span>Edit</span>
+                </button>
+                <button
+                  onClick={() => exportQuestionBank(bank._id, exportFormat, token)}
+                  className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-colors"
+                  title="Export questions"
+                >
+                  <FaDownload className="text-sm" />
+                </button>
+                <button
+                  onClick={() => handleDelete(bank)}
+                  className="flex items-center gap-2 text-pink-300 hover:text-pink-200 px-3 py-2"
+                >
+                  <FaTrash className="text-sm" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Question Bank Editor Modal */}
+      {editingBank && (
+        <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+          <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[800px] max-h-[90vh] overflow-auto">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+              <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                {editingBank._id ? `Edit Question Bank - ${editingBank.title}` : 'New Question Bank'}
+              </h3>
+              <button
+                onClick={() => setEditingBank(null)}
+                className="text-richblack-300 hover:text-richblack-50 text-xl self-end sm:self-auto"
+              >
+                ✕
+              </button>
+            </div>
+            <QuizCreator
+              questionBank={editingBank}
+              onClose={() => setEditingBank(null)}
+              onSuccess={handleSaved}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionBankManager;
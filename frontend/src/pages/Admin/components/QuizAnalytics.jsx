@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { FaEyeSlash } from 'react-icons/fa';
+import { getQuizAnalytics } from '../../../services/operations/quizAPI';
+
+const QUESTION_TYPE_LABELS = {
+  singleAnswer: 'Single Answer',
+  multipleChoice: 'Multiple Choice',
+  matchTheFollowing: 'Match the Following',
+  shortAnswer: 'Short Answer',
+  longAnswer: 'Long Answer',
+  codeSolve: 'Code'
+};
+
+const FLAGS = {
+  tooEasy: { label: 'Too easy', hint: 'Almost every student gets this right', className: 'bg-blue-900 text-blue-100' },
+  tooHard: { label: 'Too hard', hint: 'Very few students get this right', className: 'bg-yellow-900 text-yellow-100' },
+  lowDiscrimination: { label: 'Low discrimination', hint: 'Strong and weak students do about equally well', className: 'bg-richblack-600 text-richblack-50' },
+  negativeDiscrimination: { label: 'Negative discrimination', hint: 'Weak students do better than strong ones - check the question and its answer key', className: 'bg-pink-900 text-pink-100' },
+  distractorAboveKey: { label: 'Distractor above key', hint: 'A wrong option is picked more often than the correct one - check the answer key', className: 'bg-pink-900 text-pink-100' }
+};
+
+const SORTS = [
+  { id: 'quiz', label: 'Quiz order' },
+  { id: 'percentCorrect', label: 'Hardest first' },
+  { id: 'discrimination', label: 'Lowest discrimination first' },
+  { id: 'averageTime', label: 'Slowest first' }
+];
+
+const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return '-';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+// Missing values go last whatever the sort
+const compareBy = (key, descending) => (a, b) => {
+  if (a[key] === null) return b[key] === null ? 0 : 1;
+  if (b[key] === null) return -1;
+  return descending ? b[key] - a[key] : a[key] - b[key];
+};
+
+const Metric = ({ label, value, hint }) => (
+  <div className="bg-richblack-800 rounded-lg p-3" title={hint}>
+    <p className="text-xs text-richblack-300">{label}</p>
+    <p className="text-lg font-semibold text-richblack-5">{value}</p>
+  </div>
+);
+
+const Bar = ({ percent, highlight }) => (
+  <div className="w-full h-2 bg-richblack-600 rounded-full overflow-hidden">
+    <div
+      className={`h-full rounded-full ${highlight ? 'bg-caribbeangreen-200' : 'bg-richblack-300'}`}
+      style={{ width: `${percent || 0}%` }}
+    />
+  </div>
+);
+
+// Item analysis of one quiz: percent correct, discrimination, option picks, time spent
+// and the code test cases students fail, per question
+const QuizAnalytics = ({ quizId }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [sortBy, setSortBy] = useState('quiz');
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  useEffect(() => {
+    if (!quizId) return;
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      setAnalytics(await getQuizAnalytics(quizId, token));
+      setLoading(false);
+    };
+    fetchAnalytics();
+  }, [quizId, token]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-40">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+      </div>
+    );
+  }
+
+  if (!analytics) return null;
+
+  const { summary } = analytics;
+  const numbered = analytics.questions.map((question, index) => ({ ...question, number: index + 1 }));
+  const filtered = flaggedOnly ? numbered.filter((question) => question.flags.length > 0) : numbered;
+  const questions = sortBy === 'quiz'
+    ? filtered
+    : [...filtered].sort(compareBy(sortBy, sortBy === 'averageTime'));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        <Metric label="Completed attempts" value={summary.attempts} />
+        <Metric label="Students" value={summary.students} />
+        <Metric label="Average score" value={formatPercent(summary.averagePercentage)} />
+        <Metric label="Average time taken" value={formatSeconds(summary.averageTimeTaken)} />
+      </div>
+      {summary.truncated && (
+        <p className="text-xs text-yellow-100">Only the most recent attempts are included.</p>
+      )}
+
+      {summary.attempts === 0 ? (
+        <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+          <p className="text-lg font-semibold text-richblack-100">No completed attempts yet</p>
+          <p className="text-sm text-richblack-400">Question statistics appear once students have submitted this quiz.</p>
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <p className="text-xs text-richblack-300">
+              Discrimination compares the top and bottom 27% of attempts by overall score: close to 1 means the question separates strong from weak students well, below 0.2 means it barely does.
+            </p>
+            <div className="flex items-center gap-3 shrink-0">
+              <label className="flex items-center gap-2 text-sm text-richblack-100">
+                <input
+                  type="checkbox"
+                  checked={flaggedOnly}
+                  onChange={(e) => setFlaggedOnly(e.target.checked)}
+                  className="accent-yellow-50"
+                />
+                Flagged only
+              </label>
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+              >
+                {SORTS.map((sort) => (
+                  <option key={sort.id} value={sort.id}>{sort.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {questions.length === 0 && (
+            <p className="text-sm text-richblack-300 text-center p-6 bg-richblack-700 rounded-lg">No questions are flagged.</p>
+          )}
+
+          {questions.map((question) => (
+            <div key={question.questionId} className="bg-richblack-700 rounded-lg p-4 space-y-4">
+              <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                <div>
+                  <p className="text-richblack-5 font-medium">
+                    {question.number}. {question.questionText}
+                  </p>
+                  <p className="text-xs text-richblack-300 mt-1">
+                    {QUESTION_TYPE_LABELS[question.questionType] || question.questionType} · {question.marks} {question.marks === 1 ? 'mark' : 'marks'}
+                    {question.source === 'bank' && ' · From a question bank'}
+                    {question.source === 'removed' && ' · No longer in this quiz'}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {question.flags.map((flag) => (
+                    <span
+                      key={flag}
+                      title={FLAGS[flag]?.hint}
+                      className={`text-xs px-2 py-1 rounded-full ${FLAGS[flag]?.className || 'bg-richblack-600 text-richblack-50'}`}
+                    >
+                      {FLAGS[flag]?.label || flag}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+                <Metric
+                  label="Correct"
+                  value={formatPercent(question.percentCorrect)}
+                  hint="Share of attempts that got the question fully right"
+                />
+                <Metric
+                  label="Average score"
+                  value={formatPercent(question.averageScore)}
+                  hint="Average share of the question's marks earned, including partial credit"
+                />
+                <Metric
+                  label="Discrimination"
+                  value={question.discrimination === null ? '-' : question.discrimination.toFixed(2)}
+                  hint="Needs at least 10 scored attempts"
+                />
+                <Metric
+                  label="Average time"
+                  value={formatSeconds(question.averageTime)}
+                  hint={`Measured on ${question.timedAttempts} attempt(s)`}
+                />
+              </div>
+              <p className="text-xs text-richblack-300">
+                Seen in {question.attempts} attempt(s), answered in {question.answered}
+                {question.pendingReview > 0 && `, ${question.pendingReview} still waiting for grading`}
+              </p>
+
+              {question.options && (
+                <div className="space-y-2">
+                  <p className="text-sm text-richblack-100">Option picks</p>
+                  {question.options.map((option) => (
+                    <div key={option.index} className="grid grid-cols-[1fr_auto] sm:grid-cols-[2fr_3fr_auto] items-center gap-x-3 gap-y-1">
+                      <span className={`text-sm ${option.isCorrect ? 'text-caribbeangreen-100' : 'text-richblack-50'}`}>
+                        {option.text}{option.isCorrect && ' (correct)'}
+                      </span>
+                      <span className="text-xs text-richblack-300 sm:order-last">
+                        {option.count} · {formatPercent(option.percent)}
+                      </span>
+                      <div className="col-span-2 sm:col-span-1">
+                        <Bar percent={option.percent} highlight={option.isCorrect} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {question.pairs && (
+                <div className="space-y-2">
+                  <p className="text-sm text-richblack-100">Pairs</p>
+                  {question.pairs.map((pair) => (
+                    <div key={pair.index} className="text-sm text-richblack-50 flex flex-col sm:flex-row sm:justify-between gap-1">
+                      <span>{pair.left} → {pair.right}</span>
+                      <span className="text-xs text-richblack-300">
+                        {formatPercent(pair.correctPercent)} matched correctly
+                        {pair.mostCommonWrong && ` · most common mistake: ${pair.mostCommonWrong.right} (${pair.mostCommonWrong.count})`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {question.testCases && question.testCases.length > 0 && (
+                <div className="space-y-2">
+                  <p className="text-sm text-richblack-100">Test cases by failure rate</p>
+                  {question.testCases.map((testCase) => (
+                    <div key={testCase.index} className="grid grid-cols-[1fr_auto] sm:grid-cols-[2fr_3fr_auto] items-center gap-x-3 gap-y-1">
+                      <span className="text-sm text-richblack-50 font-mono truncate flex items-center gap-2">
+                        {testCase.isHidden && <FaEyeSlash className="text-richblack-300 shrink-0" title="Hidden test case" />}
+                        Test {testCase.index + 1}: {testCase.input || '(no input)'}
+                      </span>
+                      <span className={`text-xs sm:order-last ${testCase.failPercent >= 50 ? 'text-pink-200' : 'text-richblack-300'}`}>
+                        {testCase.failures}/{testCase.runs} failed
+                      </span>
+                      <div className="col-span-2 sm:col-span-1">
+                        <Bar percent={testCase.failPercent} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuizAnalytics;
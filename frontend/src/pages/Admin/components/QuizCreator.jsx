@@ -2,13 +2,33 @@ import { useState, useEffect, useRef } from "react"
 import { useSelector } from "react-redux"
 import { useForm } from "react-hook-form"
 import { toast } from "react-hot-toast"
-import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+import { RiAddLine, RiDeleteBin6Line, RiUploadLine } from "react-icons/ri"
 import { createQuiz, updateQuiz } from "../../../services/operations/quizAPI"
+import { getQuestionBanks, createQuestionBank, updateQuestionBank } from "../../../services/operations/questionBankAPI"
+import QuizImportModal from "./QuizImportModal"
 
-export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuccess }) {
+const MAX_QUIZ_QUESTIONS = 25
+// Question types that can award partial credit (see backend services/quizScoring.js)
+const PARTIAL_CREDIT_TYPES = ["multipleChoice", "matchTheFollowing", "codeSolve"]
+
+// Edits the questions of a quiz, or of a question bank when `questionBank` is given
+export default function QuizCreator({ subSectionId, existingQuiz, questionBank, onClose, onSuccess }) {
   const { token } = useSelector((state) => state.auth)
+  const isBankMode = Boolean(questionBank)
   const [loading, setLoading] = useState(false)
+  const [showImport, setShowImport] = useState(false)
+  const [bankDetails, setBankDetails] = useState({ title: "", description: "" })
+  const [availableBanks, setAvailableBanks] = useState([])
+  const [drawRules, setDrawRules] = useState([])
+  const [shuffleSettings, setShuffleSettings] = useState({ shuffleQuestions: false, shuffleOptions: false })
   const [timeLimit, setTimeLimit] = useState(10) // Default 10 minutes
+  const [attemptPolicy, setAttemptPolicy] = useState({
+    passingPercentage: 60,
+    maxAttempts: 0, // 0 = unlimited
+    cooldownMinutes: 0,
+    allowRetakeAfterPass: false,
+    scoringMode: "latest"
+  })
   const [questions, setQuestions] = useState([
     {
         questionText: "",
@@ -19,7 +39,12 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         correctAnswer: null, // For single answer (single index)
         keywords: [], // For short answer questions
         marks: 5,
-        required: true
+        required: true,
+        topic: "",
+        difficulty: "medium",
+        partialCredit: false,
+        negativeMarks: 0,
+        hiddenTestWeight: 1
     }
   ])
 
@@ -29,11 +54,12 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
   // State to track validation errors for visual indicators
   const [validationErrors, setValidationErrors] = useState({})
 
-  // Initialize with existing quiz data if editing
+  // Initialize with existing quiz (or question bank) data if editing
   useEffect(() => {
-    if (existingQuiz) {
-      if (existingQuiz.questions) {
-        const processedQuestions = existingQuiz.questions.map(q => {
+    const source = questionBank || existingQuiz
+    if (source) {
+      if (source.questions && source.questions.length > 0) {
+        const processedQuestions = source.questions.map(q => {
           let baseQuestion = {
             questionText: q.questionText || "",
             questionType: q.questionType || "multipleChoice",
@@ -43,7 +69,12 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             correctAnswer: q.correctAnswer !== undefined ? q.correctAnswer : null,
             keywords: Array.isArray(q.keywords) ? [...q.keywords] : [], // Deep copy keywords array
             marks: q.marks || 5,
-            required: q.required !== undefined ? q.required : true
+            required: q.required !== undefined ? q.required : true,
+            topic: q.topic || "",
+            difficulty: q.difficulty || "medium",
+            partialCredit: Boolean(q.partialCredit),
+            negativeMarks: q.negativeMarks || 0,
+            hiddenTestWeight: q.hiddenTestWeight ?? 1
           };
 
           // Ensure keywords are properly initialized for short answer questions
@@ -83,11 +114,68 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         
         setQuestions(processedQuestions);
       }
+    }
+    if (questionBank) {
+      setBankDetails({ title: questionBank.title || "", description: questionBank.description || "" })
+    }
+    if (existingQuiz) {
+      setDrawRules((existingQuiz.drawRules || []).map(rule => ({
+        bank: rule.bank?._id || rule.bank,
+        count: rule.count,
+        difficulty: rule.difficulty || "",
+        topic: rule.topic || ""
+      })))
+      setShuffleSettings({
+        shuffleQuestions: Boolean(existingQuiz.shuffleQuestions),
+        shuffleOptions: Boolean(existingQuiz.shuffleOptions)
+      })
       if (existingQuiz.timeLimit) {
         setTimeLimit(Math.floor(existingQuiz.timeLimit / 60)); // Convert seconds to minutes
       }
+      setAttemptPolicy(prev => ({
+        passingPercentage: existingQuiz.passingPercentage ?? prev.passingPercentage,
+        maxAttempts: existingQuiz.maxAttempts ?? prev.maxAttempts,
+        cooldownMinutes: existingQuiz.cooldownMinutes ?? prev.cooldownMinutes,
+        allowRetakeAfterPass: existingQuiz.allowRetakeAfterPass ?? prev.allowRetakeAfterPass,
+        scoringMode: existingQuiz.scoringMode ?? prev.scoringMode
+      }))
+    }
+  }, [existingQuiz, questionBank])
+
+  // Question banks that draw rules can pick from
+  useEffect(() => {
+    if (isBankMode) return
+    const loadBanks = async () => {
+      const banks = await getQuestionBanks(token)
+      setAvailableBanks(banks || [])
+    }
+    loadBanks()
+  }, [isBankMode, token])
+
+  const drawnCount = drawRules.reduce((sum, rule) => sum + (Number(rule.count) || 0), 0)
+  // Bank questions drawn per attempt count towards the quiz limit
+  const maxQuestions = isBankMode ? Infinity : MAX_QUIZ_QUESTIONS - drawnCount
+  const minQuestions = isBankMode || drawRules.length > 0 ? 0 : 1
+
+  const addDrawRule = () => {
+    if (availableBanks.length === 0) {
+      toast.error("Create a question bank first")
+      return
     }
-  }, [existingQuiz])
+    setDrawRules(prev => [...prev, { bank: availableBanks[0]._id, count: 1, difficulty: "", topic: "" }])
+  }
+
+  const handleDrawRuleChange = (index, field, value) => {
+    setDrawRules(prev => prev.map((rule, i) => {
+      if (i !== index) return rule
+      // Topics belong to a bank, so switching banks clears the topic filter
+      return field === "bank" ? { ...rule, bank: value, topic: "" } : { ...rule, [field]: value }
+    }))
+  }
+
+  const removeDrawRule = (index) => {
+    setDrawRules(prev => prev.filter((_, i) => i !== index))
+  }
 
   const {
     register,
@@ -95,9 +183,24 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     formState: { errors },
   } = useForm()
 
-  // Add more questions (up to 25)
+  // Add more questions (up to 25 per quiz, including drawn questions)
+  // Questions from an import file, already validated by the server
+  const handleImportQuestions = (imported) => {
+    const converted = imported.map(q => ({
+      ...q,
+      // Keep four blank options so switching the type in the editor still works
+      options: q.options.length > 0 ? q.options : ["", "", "", ""],
+      correctAnswer: q.questionType === "singleAnswer" ? q.correctAnswer : null
+    }))
+    // An untouched starter question is replaced rather than kept
+    const keep = questions.filter(q => q.questionText.trim() !== "")
+    setQuestions([...keep, ...converted])
+    setShowImport(false)
+    toast.success(`${converted.length} question(s) added - review them and save`)
+  }
+
   const addQuestion = () => {
-    if (questions.length < 25) {
+    if (questions.length < maxQuestions) {
       setQuestions([...questions, {
         questionText: "",
         questionType: "multipleChoice",
@@ -107,14 +210,19 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         correctAnswer: null,
         keywords: [], // For short answer questions
         marks: 5,
-        required: true
+        required: true,
+        topic: "",
+        difficulty: "medium",
+        partialCredit: false,
+        negativeMarks: 0,
+        hiddenTestWeight: 1
       }])
     }
   }
 
-  // Remove question (minimum 15)
+  // Remove question (a quiz that draws from banks may have no fixed questions)
   const removeQuestion = (index) => {
-    if (questions.length > 1) {
+    if (questions.length > minQuestions) {
       const newQuestions = [...questions]
       newQuestions.splice(index, 1)
       setQuestions(newQuestions)
@@ -139,6 +247,27 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
   const onSubmit = async () => {
     // Clear previous validation errors
     setValidationErrors({});
+
+    if (isBankMode && !bankDetails.title.trim()) {
+      toast.error("Question bank title is required")
+      return
+    }
+
+    if (!isBankMode) {
+      if (questions.length + drawnCount < 1) {
+        toast.error("Add at least one question or draw rule")
+        return
+      }
+      if (questions.length + drawnCount > MAX_QUIZ_QUESTIONS) {
+        toast.error(`A quiz can have at most ${MAX_QUIZ_QUESTIONS} questions, including drawn questions`)
+        return
+      }
+      const invalidRule = drawRules.findIndex(rule => !rule.bank || !(Number(rule.count) >= 1))
+      if (invalidRule !== -1) {
+        toast.error(`Draw rule ${invalidRule + 1}: choose a bank and draw at least one question`)
+        return
+      }
+    }
     
     // Validate questions
     const invalidQuestions = [];
@@ -240,7 +369,13 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           questionText: q.questionText.trim(),
           questionType: q.questionType,
           marks: q.marks,
-          required: q.required
+          required: q.required,
+          topic: (q.topic || "").trim(),
+          difficulty: q.difficulty || "medium",
+          // Scoring rules only apply to the question types that support them
+          partialCredit: PARTIAL_CREDIT_TYPES.includes(q.questionType) && Boolean(q.partialCredit),
+          negativeMarks: q.questionType === "singleAnswer" ? Math.min(q.negativeMarks || 0, q.marks) : 0,
+          hiddenTestWeight: q.hiddenTestWeight ?? 1
         }
 
         if (q.questionType === "shortAnswer") {
@@ -279,10 +414,34 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         }
       })
 
+      if (isBankMode) {
+        const bankData = {
+          title: bankDetails.title.trim(),
+          description: bankDetails.description.trim(),
+          questions: cleanedQuestions
+        }
+        const result = questionBank._id
+          ? await updateQuestionBank(questionBank._id, bankData, token)
+          : await createQuestionBank(bankData, token)
+        if (result) {
+          onSuccess && onSuccess(result)
+          onClose()
+        }
+        return
+      }
+
       const quizData = {
         subSectionId,
         questions: cleanedQuestions,
-        timeLimit: timeLimit * 60 // Convert minutes to seconds
+        timeLimit: timeLimit * 60, // Convert minutes to seconds
+        ...attemptPolicy,
+        drawRules: drawRules.map(rule => ({
+          bank: rule.bank,
+          count: Number(rule.count),
+          difficulty: rule.difficulty || null,
+          topic: rule.topic || null
+        })),
+        ...shuffleSettings
       }
       
       console.log("Submitting quiz data:", quizData)
@@ -311,6 +470,33 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
 
   return (
     <div className="space-y-6">
+      {/* Question Bank Details */}
+      {isBankMode && (
+        <div className="bg-richblack-700 rounded-lg p-4 space-y-4">
+          <h3 className="text-lg font-semibold text-richblack-5">Question Bank Details</h3>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Title *</label>
+            <input
+              type="text"
+              value={bankDetails.title}
+              onChange={(e) => setBankDetails(prev => ({ ...prev, title: e.target.value }))}
+              placeholder="e.g. JavaScript Basics"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Description</label>
+            <textarea
+              value={bankDetails.description}
+              onChange={(e) => setBankDetails(prev => ({ ...prev, description: e.target.value }))}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 min-h-[60px] resize-none border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+          </div>
+        </div>
+      )}
+
+      {!isBankMode && (
+      <>
       {/* Timer Settings */}
       <div className="bg-richblack-700 rounded-lg p-4">
         <h3 className="text-lg font-semibold text-richblack-5 mb-4">Quiz Timer Settings</h3>
@@ -342,21 +528,226 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         </div>
       </div>
 
+      {/* Attempt Settings */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-richblack-5 mb-4">Attempt Settings</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Passing Percentage</label>
+            <input
+              type="number"
+              value={attemptPolicy.passingPercentage}
+              onChange={(e) => {
+                const value = Number(e.target.value)
+                if (value >= 0 && value <= 100) {
+                  setAttemptPolicy(prev => ({ ...prev, passingPercentage: value }))
+                }
+              }}
+              min="0"
+              max="100"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+            <p className="text-xs text-richblack-300 mt-1">Score needed to pass and unlock the next section (default: 60%)</p>
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Max Attempts</label>
+            <input
+              type="number"
+              value={attemptPolicy.maxAttempts}
+              onChange={(e) => {
+                const value = parseInt(e.target.value)
+                if (value >= 0 && value <= 100) {
+                  setAttemptPolicy(prev => ({ ...prev, maxAttempts: value }))
+                }
+              }}
+              min="0"
+              max="100"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+            <p className="text-xs text-richblack-300 mt-1">0 allows unlimited attempts</p>
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Cooldown Between Attempts (minutes)</label>
+            <input
+              type="number"
+              value={attemptPolicy.cooldownMinutes}
+              onChange={(e) => {
+                const value = parseInt(e.target.value)
+                if (value >= 0 && value <= 43200) {
+                  setAttemptPolicy(prev => ({ ...prev, cooldownMinutes: value }))
+                }
+              }}
+              min="0"
+              max="43200"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+            <p className="text-xs text-richblack-300 mt-1">0 lets students retake right away (max 30 days)</p>
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Score That Counts</label>
+            <select
+              value={attemptPolicy.scoringMode}
+              onChange={(e) => setAttemptPolicy(prev => ({ ...prev, scoringMode: e.target.value }))}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="latest">Latest attempt</option>
+              <option value="best">Best attempt</option>
+              <option value="average">Average of all attempts</option>
+            </select>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 mt-4 text-richblack-5 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={attemptPolicy.allowRetakeAfterPass}
+            onChange={(e) => setAttemptPolicy(prev => ({ ...prev, allowRetakeAfterPass: e.target.checked }))}
+            className="w-4 h-4"
+          />
+          <span>Allow students to retake a passed quiz to improve their score</span>
+        </label>
+      </div>
+
+      {/* Question Bank Draws */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-richblack-5">Question Bank Draws</h3>
+          <button
+            type="button"
+            onClick={addDrawRule}
+            className="flex items-center gap-2 bg-richblack-800 text-richblack-5 px-3 py-2 rounded-lg border border-richblack-600 hover:border-yellow-50 transition-colors"
+          >
+            <RiAddLine />
+            Add Draw Rule
+          </button>
+        </div>
+        {drawRules.length === 0 ? (
+          <p className="text-sm text-richblack-300">
+            Every student gets the questions below. Add a draw rule to give each student random questions from a question bank.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {drawRules.map((rule, ruleIndex) => {
+              const bank = availableBanks.find(item => item._id === rule.bank)
+              const available = bank
+                ? (rule.difficulty ? bank.difficultyCounts[rule.difficulty] : bank.questionCount)
+                : 0
+              return (
+                <div key={ruleIndex} className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_100px_auto] gap-2 items-center">
+                  <select
+                    value={rule.bank}
+                    onChange={(e) => handleDrawRuleChange(ruleIndex, "bank", e.target.value)}
+                    className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600"
+                  >
+                    {!bank && <option value={rule.bank}>Unavailable bank</option>}
+                    {availableBanks.map(item => (
+                      <option key={item._id} value={item._id}>
+                        {item.title} ({item.questionCount})
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.difficulty}
+                    onChange={(e) => handleDrawRuleChange(ruleIndex, "difficulty", e.target.value)}
+                    className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600"
+                  >
+                    <option value="">Any difficulty</option>
+                    <option value="easy">Easy</option>
+                    <option value="medium">Medium</option>
+                    <option value="hard">Hard</option>
+                  </select>
+                  <select
+                    value={rule.topic}
+                    onChange={(e) => handleDrawRuleChange(ruleIndex, "topic", e.target.value)}
+                    className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600"
+                  >
+                    <option value="">Any topic</option>
+                    {(bank?.topics || []).map(topic => (
+                      <option key={topic} value={topic}>{topic}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={rule.count}
+                    onChange={(e) => handleDrawRuleChange(ruleIndex, "count", parseInt(e.target.value) || 1)}
+                    min="1"
+                    max={MAX_QUIZ_QUESTIONS}
+                    title={`${available} question(s) available`}
+                    className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeDrawRule(ruleIndex)}
+                    className="text-pink-300 hover:text-pink-200 p-1"
+                  >
+                    <RiDeleteBin6Line />
+                  </button>
+                </div>
+              )
+            })}
+            <p className="text-xs text-richblack-300">
+              {drawnCount} question(s) are drawn at random for every attempt. Topic filters are checked against the bank when the quiz is saved.
+            </p>
+          </div>
+        )}
+        <div className="flex flex-col md:flex-row gap-4 mt-4">
+          <label className="flex items-center gap-2 text-richblack-5 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={shuffleSettings.shuffleQuestions}
+              onChange={(e) => setShuffleSettings(prev => ({ ...prev, shuffleQuestions: e.target.checked }))}
+              className="w-4 h-4"
+            />
+            <span>Shuffle question order for each student</span>
+          </label>
+          <label className="flex items-center gap-2 text-richblack-5 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={shuffleSettings.shuffleOptions}
+              onChange={(e) => setShuffleSettings(prev => ({ ...prev, shuffleOptions: e.target.checked }))}
+              className="w-4 h-4"
+            />
+            <span>Shuffle answer options</span>
+          </label>
+        </div>
+      </div>
+      </>
+      )}
+
       {/* Questions Header */}
       <div className="flex items-center justify-between">
         <p className="text-lg font-semibold text-richblack-5">
-          Quiz Questions ({questions.length}/25)
+          {isBankMode
+            ? `Bank Questions (${questions.length})`
+            : `Quiz Questions (${questions.length + drawnCount}/${MAX_QUIZ_QUESTIONS}${drawnCount > 0 ? `, ${drawnCount} drawn` : ""})`}
         </p>
-        <button
-          onClick={addQuestion}
-          disabled={questions.length >= 25}
-          className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-3 py-2 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          <RiAddLine />
-          Add Question
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowImport(true)}
+            disabled={questions.length >= maxQuestions}
+            className="flex items-center gap-2 bg-richblack-700 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-600 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RiUploadLine />
+            Import
+          </button>
+          <button
+            onClick={addQuestion}
+            disabled={questions.length >= maxQuestions}
+            className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-3 py-2 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RiAddLine />
+            Add Question
+          </button>
+        </div>
       </div>
 
+      {showImport && (
+        <QuizImportModal
+          remainingSlots={maxQuestions - questions.filter(q => q.questionText.trim() !== "").length}
+          onImport={handleImportQuestions}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
 
       <div className="space-y-6 max-h-[60vh] overflow-y-auto">
         {questions.map((question, qIndex) => (
@@ -371,7 +762,7 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           >
             <div className="flex justify-between items-center">
               <p className="text-sm text-richblack-5 font-medium">Question {qIndex + 1}</p>
-              {questions.length > 1 && (
+              {questions.length > minQuestions && (
                 <button
                   onClick={() => removeQuestion(qIndex)}
                   className="text-pink-300 hover:text-pink-200 p-1"
@@ -829,6 +1220,79 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                 Required
               </label>
             </div>
+
+            {/* Scoring rules */}
+            {PARTIAL_CREDIT_TYPES.includes(question.questionType) && (
+              <div className="flex flex-col md:flex-row md:items-center gap-4">
+                <label className="flex items-center gap-2 text-sm text-richblack-5">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(question.partialCredit)}
+                    onChange={(e) => handleQuestionChange(qIndex, "partialCredit", e.target.checked)}
+                    className="rounded"
+                  />
+                  Partial credit
+                </label>
+                <p className="text-xs text-richblack-300">
+                  {question.questionType === "multipleChoice" && "Marks in proportion to the right options picked, minus wrong picks."}
+                  {question.questionType === "matchTheFollowing" && "Marks for every correctly matched pair."}
+                  {question.questionType === "codeSolve" && "Marks for every passed test case."}
+                </p>
+                {question.questionType === "codeSolve" && question.partialCredit && (
+                  <div className="flex items-center gap-2">
+                    <label className="text-sm text-richblack-5">Hidden test weight:</label>
+                    <input
+                      type="number"
+                      value={question.hiddenTestWeight ?? 1}
+                      onChange={(e) => handleQuestionChange(qIndex, "hiddenTestWeight", Math.max(0, parseFloat(e.target.value) || 0))}
+                      min="0"
+                      step="0.5"
+                      className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+            {question.questionType === "singleAnswer" && (
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-richblack-5">Negative marks for a wrong answer:</label>
+                <input
+                  type="number"
+                  value={question.negativeMarks || 0}
+                  onChange={(e) => handleQuestionChange(qIndex, "negativeMarks", Math.max(0, parseFloat(e.target.value) || 0))}
+                  min="0"
+                  max={question.marks}
+                  step="0.25"
+                  className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                />
+              </div>
+            )}
+
+            {/* Topic and Difficulty (used when drawing from question banks) */}
+            <div className="flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-richblack-5">Topic:</label>
+                <input
+                  type="text"
+                  value={question.topic || ""}
+                  onChange={(e) => handleQuestionChange(qIndex, "topic", e.target.value)}
+                  placeholder="e.g. Loops"
+                  className="bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                />
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-richblack-5">Difficulty:</label>
+                <select
+                  value={question.difficulty || "medium"}
+                  onChange={(e) => handleQuestionChange(qIndex, "difficulty", e.target.value)}
+                  className="bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                >
+                  <option value="easy">Easy</option>
+                  <option value="medium">Medium</option>
+                  <option value="hard">Hard</option>
+                </select>
+              </div>
+            </div>
           </div>
         ))}
       </div>
@@ -847,9 +1311,11 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           disabled={loading}
           className="px-6 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
         >
-          {loading 
-            ? (existingQuiz ? "Updating..." : "Creating...") 
-            : (existingQuiz ? "Update Quiz" : "Create Quiz")
+          {isBankMode
+            ? (loading ? "Saving..." : "Save Question Bank")
+            : loading 
+              ? (existingQuiz ? "Updating..." : "Creating...") 
+              : (existingQuiz ? "Update Quiz" : "Create Quiz")
           }
         </button>
       </div>
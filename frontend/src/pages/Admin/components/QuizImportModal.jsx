@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FaCheckCircle, FaExclamationTriangle, FaTimesCircle } from 'react-icons/fa';
+import { previewQuizImport } from '../../../services/operations/quizAPI';
+import { QUIZ_FILE_FORMATS } from '../../../utils/constants';
+
+const formatForFile = (fileName) => {
+  const lowerName = fileName.toLowerCase();
+  return QUIZ_FILE_FORMATS.find(format => format.extensions.some(extension => lowerName.endsWith(extension)));
+};
+
+// Reads a GIFT, Moodle XML, CSV or JSON file and shows the server's validation report
+// before the valid questions are added to the editor
+const QuizImportModal = ({ remainingSlots, onImport, onClose }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [format, setFormat] = useState(QUIZ_FILE_FORMATS[0].id);
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    // Pick the format from the extension, the select can still override it
+    const detected = formatForFile(file.name);
+    const selectedFormat = detected ? detected.id : format;
+    if (detected) setFormat(detected.id);
+
+    setFileName(file.name);
+    setPreview(null);
+    setLoading(true);
+    const content = await file.text();
+    const result = await previewQuizImport(selectedFormat, content, token);
+    setPreview(result ? { ...result, content } : null);
+    setLoading(false);
+  };
+
+  const handleFormatChange = async (newFormat) => {
+    setFormat(newFormat);
+    if (!preview) return;
+    setLoading(true);
+    const result = await previewQuizImport(newFormat, preview.content, token);
+    setPreview(result ? { ...result, content: preview.content } : null);
+    setLoading(false);
+  };
+
+  const handleImport = () => {
+    const questions = preview.questions.slice(0, remainingSlots);
+    if (questions.length < preview.questions.length) {
+      toast.error(`Only ${remainingSlots} more question(s) fit in this quiz; the rest were skipped`);
+    }
+    onImport(questions);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1100] flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[700px] max-h-[85vh] overflow-auto space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-richblack-5">Import Questions</h3>
+          <button onClick={onClose} className="text-richblack-300 hover:text-richblack-50 text-xl">
+            ✕
+          </button>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <select
+            value={format}
+            onChange={(e) => handleFormatChange(e.target.value)}
+            className="bg-richblack-700 text-richblack-5 rounded-lg p-2"
+          >
+            {QUIZ_FILE_FORMATS.map(item => (
+              <option key={item.id} value={item.id}>{item.label}</option>
+            ))}
+          </select>
+          <label className="flex-1 flex items-center gap-2 bg-richblack-700 text-richblack-5 rounded-lg p-2 cursor-pointer">
+            <span className="bg-richblack-600 px-3 py-1 rounded-md text-sm">Choose file</span>
+            <span className="text-sm text-richblack-300 truncate">{fileName || 'No file selected'}</span>
+            <input
+              type="file"
+              accept={QUIZ_FILE_FORMATS.flatMap(item => item.extensions).join(',')}
+              onChange={handleFileChange}
+              className="hidden"
+            />
+          </label>
+        </div>
+        <p className="text-xs text-richblack-300">
+          Questions exported from Moodle (GIFT or XML) or written as CSV/JSON are checked before anything is added. Nothing is saved until you save the quiz.
+        </p>
+
+        {loading && (
+          <div className="flex items-center justify-center h-20">
+            <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-yellow-50"></div>
+          </div>
+        )}
+
+        {preview && !loading && (
+          <>
+            <div className="flex flex-wrap gap-4 text-sm">
+              <span className="text-richblack-5">{preview.summary.total} found</span>
+              <span className="text-caribbeangreen-100">{preview.summary.valid} valid</span>
+              <span className="text-pink-200">{preview.summary.invalid} with errors</span>
+              <span className="text-yellow-100">{preview.summary.warnings} warning(s)</span>
+            </div>
+
+            <div className="space-y-2">
+              {preview.report.map(item => (
+                <div key={item.index} className="bg-richblack-700 rounded-lg p-3 space-y-1">
+                  <div className="flex items-start gap-2">
+                    {!item.valid ? (
+                      <FaTimesCircle className="text-pink-300 mt-1 shrink-0" />
+                    ) : item.warnings.length > 0 ? (
+                      <FaExclamationTriangle className="text-yellow-100 mt-1 shrink-0" />
+                    ) : (
+                      <FaCheckCircle className="text-caribbeangreen-200 mt-1 shrink-0" />
+                    )}
+                    <p className="text-richblack-5 text-sm">
+                      {item.index}. {item.questionText || <span className="italic text-richblack-300">No question text</span>}
+                      {item.questionType && (
+                        <span className="text-richblack-300 text-xs ml-2">({item.questionType})</span>
+                      )}
+                    </p>
+                  </div>
+                  {item.errors.map(error => (
+                    <p key={error} className="text-pink-200 text-xs ml-6">{error}</p>
+                  ))}
+                  {item.warnings.map(warning => (
+                    <p key={warning} className="text-yellow-100 text-xs ml-6">{warning}</p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-end gap-3 pt-2 border-t border-richblack-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600 transition-all duration-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!preview || preview.questions.length === 0 || remainingSlots <= 0}
+            className="px-4 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50 disabled:hover:scale-100"
+          >
+            Add {preview ? Math.min(preview.questions.length, Math.max(remainingSlots, 0)) : 0} Question(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuizImportModal;
@@ -1,13 +1,26 @@
 import { useState, useEffect } from 'react';
 import { useSelector } from 'react-redux';
-import { FaPlus, FaEdit } from 'react-icons/fa';
+import { FaPlus, FaEdit, FaDownload, FaChartBar } from 'react-icons/fa';
 import { getAllCourses } from '../../../services/operations/adminAPI';
 import { getFullDetailsOfCourse } from '../../../services/operations/courseDetailsAPI';
 import { showAllCategories } from '../../../services/operations/categoryAPI';
+import { exportQuiz, exportCourseQuizzes } from '../../../services/operations/quizAPI';
+import { QUIZ_FILE_FORMATS } from '../../../utils/constants';
 import QuizCreator from './QuizCreator';
+import QuestionBankManager from './QuestionBankManager';
+import QuizAnalytics from './QuizAnalytics';
+import QuizGradingQueue from '../../../components/core/Dashboard/QuizGradingQueue';
+
+const TABS = [
+  { id: 'quizzes', label: 'Quizzes' },
+  { id: 'questionBanks', label: 'Question Banks' },
+  { id: 'grading', label: 'Grading Queue' },
+  { id: 'analytics', label: 'Question Analytics' }
+];
 
 const QuizManagement = () => {
   const { token } = useSelector((state) => state.auth);
+  const [activeTab, setActiveTab] = useState('quizzes');
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [courses, setCourses] = useState([]);
@@ -18,6 +31,8 @@ const QuizManagement = () => {
   const [loading, setLoading] = useState(false);
   const [loadingCategories, setLoadingCategories] = useState(false);
   const [loadingCourseDetails, setLoadingCourseDetails] = useState(false);
+  const [exportFormat, setExportFormat] = useState(QUIZ_FILE_FORMATS[0].id);
+  const [analyticsQuizId, setAnalyticsQuizId] = useState('');
 
   useEffect(() => {
     fetchCategories();
@@ -160,10 +175,84 @@ const QuizManagement = () => {
     setShowQuizForm(false);
   };
 
+  const tabBar = (
+    <div className="flex flex-col sm:flex-row gap-2 sm:gap-1 bg-richblack-800 p-2 sm:p-1 rounded-lg">
+      {TABS.map((tab) => (
+        <button
+          key={tab.id}
+          onClick={() => setActiveTab(tab.id)}
+          className={`px-3 sm:px-4 py-3 sm:py-2 rounded-md font-medium transition-colors text-sm sm:text-base ${
+            activeTab === tab.id
+              ? 'bg-richblack-700 text-yellow-50'
+              : 'text-richblack-300 hover:text-richblack-100'
+          }`}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+
   try {
+    if (activeTab === 'questionBanks') {
+      return (
+        <div className="flex flex-col gap-6">
+          <h1 className="text-xl sm:text-2xl font-bold text-richblack-5">Quiz Management</h1>
+          {tabBar}
+          <QuestionBankManager />
+        </div>
+      );
+    }
+
+    if (activeTab === 'grading') {
+      return (
+        <div className="flex flex-col gap-6">
+          <h1 className="text-xl sm:text-2xl font-bold text-richblack-5">Quiz Management</h1>
+          {tabBar}
+          <QuizGradingQueue />
+        </div>
+      );
+    }
+
+    if (activeTab === 'analytics') {
+      const quizSubSections = getSubSections().filter((subsection) => subsection.quiz);
+      return (
+        <div className="flex flex-col gap-6">
+          <h1 className="text-xl sm:text-2xl font-bold text-richblack-5">Quiz Management</h1>
+          {tabBar}
+          {!selectedCourseDetails ? (
+            <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+              <p className="text-lg font-semibold text-richblack-100">No course selected</p>
+              <p className="text-sm text-richblack-400">Select a course in the Quizzes tab to see how its quiz questions perform.</p>
+            </div>
+          ) : (
+            <>
+              <div className="space-y-4">
+                <label className="text-sm text-richblack-5">Select Quiz - {selectedCourseDetails.courseName}</label>
+                <select
+                  value={analyticsQuizId}
+                  onChange={(e) => setAnalyticsQuizId(e.target.value)}
+                  className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 text-sm sm:text-base"
+                >
+                  <option value="">Select a quiz</option>
+                  {quizSubSections.map((subsection) => (
+                    <option key={subsection.quiz._id} value={subsection.quiz._id}>
+                      {subsection.sectionName} - {subsection.title}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {analyticsQuizId && <QuizAnalytics quizId={analyticsQuizId} />}
+            </>
+          )}
+        </div>
+      );
+    }
+
     return (
       <div className="flex flex-col gap-6">
         <h1 className="text-xl sm:text-2xl font-bold text-richblack-5">Quiz Management</h1>
+        {tabBar}
         
         {/* Category Selection */}
         {loadingCategories ? (
@@ -182,6 +271,7 @@ const QuizManagement = () => {
                   setSelectedCourse(null);
                   setSelectedCourseDetails(null);
                   setSelectedSubSection(null);
+                  setAnalyticsQuizId('');
                   if (categoryId) {
                     fetchCourses(categoryId);
                   }
@@ -218,6 +308,7 @@ const QuizManagement = () => {
                     setSelectedCourse(course);
                     setSelectedCourseDetails(null);
                     setSelectedSubSection(null);
+                    setAnalyticsQuizId('');
                     if (course) {
                       fetchCourseDetails(course._id);
                     }
@@ -257,7 +348,28 @@ const QuizManagement = () => {
             
             {selectedCourseDetails && !loadingCourseDetails && (
               <div className="space-y-4">
-                <label className="text-lg font-semibold text-richblack-5">Lectures</label>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                  <label className="text-lg font-semibold text-richblack-5">Lectures</label>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={exportFormat}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                      className="bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+                    >
+                      {QUIZ_FILE_FORMATS.map((format) => (
+                        <option key={format.id} value={format.id}>{format.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => exportCourseQuizzes(selectedCourse._id, exportFormat, token)}
+                      disabled={!getSubSections().some((subsection) => subsection.quiz)}
+                      className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-colors text-sm disabled:opacity-50"
+                    >
+                      <FaDownload className="text-sm" />
+                      <span>Export All Quizzes</span>
+                    </button>
+                  </div>
+                </div>
                 <div className="space-y-3">
                   {getSubSections().map((subsection, index) => (
                     <div key={subsection._id} className="bg-richblack-700 rounded-lg p-4 flex justify-between items-center">
@@ -279,7 +391,28 @@ const QuizManagement = () => {
                           </div>
                         )}
                       </div>
-                      <div className="ml-4">
+                      <div className="ml-4 flex items-center gap-2">
+                        {subsection.quiz && (
+                          <button
+                            onClick={() => {
+                              setAnalyticsQuizId(subsection.quiz._id);
+                              setActiveTab('analytics');
+                            }}
+                            className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-colors"
+                            title="Question analytics"
+                          >
+                            <FaChartBar className="text-sm" />
+                          </button>
+                        )}
+                        {subsection.quiz && (
+                          <button
+                            onClick={() => exportQuiz(subsection.quiz._id, exportFormat, token)}
+                            className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-colors"
+                            title={`Export as ${QUIZ_FILE_FORMATS.find((format) => format.id === exportFormat)?.label}`}
+                          >
+                            <FaDownload className="text-sm" />
+                          </button>
+                        )}
                         {subsection.quiz ? (
                           <button
                             onClick={() => {
@@ -0,0 +1,240 @@
+import { useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { FiCheck, FiX, FiRefreshCw } from 'react-icons/fi'
+import { getRefunds, approveRefund, rejectRefund } from '../../../services/operations/orderAPI'
+import { formatPrice } from '../../../utils/currency'
+
+const STATUS_FILTERS = [
+  { value: 'requested', label: 'Requested' },
+  { value: 'processing', label: 'Processing' },
+  { value: 'processed', label: 'Processed' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+]
+
+const STATUS_STYLES = {
+  requested: 'bg-yellow-900 text-yellow-100',
+  processing: 'bg-blue-900 text-blue-100',
+  processed: 'bg-caribbeangreen-900 text-caribbeangreen-100',
+  failed: 'bg-pink-900 text-pink-100',
+  rejected: 'bg-richblack-600 text-richblack-100',
+}
+
+const refundableAmount = (order) =>
+  order ? Math.round((order.amount - (order.refundedAmount || 0)) * 100) / 100 : 0
+
+// One request; open ones can be approved (for all or part of what is left) or rejected
+function RefundRequest({ refund, onUpdated }) {
+  const { token } = useSelector((state) => state.auth)
+  const refundable = refundableAmount(refund.order)
+  // Refunds are in the currency the order was paid in
+  const currency = refund.order?.currency || 'INR'
+  const [amount, setAmount] = useState('')
+  const [revokeAccess, setRevokeAccess] = useState(true)
+  const [note, setNote] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const isOpen = refund.status === 'requested' || refund.status === 'failed'
+  const isPartial = amount !== '' && Number(amount) < refundable
+
+  const handleApprove = async () => {
+    setBusy(true)
+    const updated = await approveRefund(token, refund._id, {
+      ...(amount !== '' && { amount: Number(amount) }),
+      revokeAccess,
+      note,
+    })
+    setBusy(false)
+    if (updated) onUpdated()
+  }
+
+  const handleReject = async () => {
+    setBusy(true)
+    const updated = await rejectRefund(token, refund._id, note)
+    setBusy(false)
+    if (updated) onUpdated()
+  }
+
+  return (
+    <div className="rounded-lg border border-richblack-600 bg-richblack-700 p-4 space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="space-y-1">
+          <p className="text-sm font-semibold text-richblack-5">
+            {refund.user ? `${refund.user.firstName || ''} ${refund.user.lastName || ''}`.trim() : 'N/A'}
+          </p>
+          <p className="text-xs text-blue-300">{refund.user?.email || 'N/A'}</p>
+          <p className="text-xs text-green-300">{refund.course?.courseName || 'N/A'}</p>
+        </div>
+        <span className={`rounded-full px-3 py-1 text-xs font-medium capitalize ${STATUS_STYLES[refund.status]}`}>
+          {refund.status}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-xs text-richblack-300 sm:grid-cols-4">
+        <p>
+          <span className="block text-richblack-400">Paid</span>
+          {refund.order ? formatPrice(refund.order.amount, currency) : 'N/A'}
+        </p>
+        <p>
+          <span className="block text-richblack-400">Refunded so far</span>
+          {formatPrice(refund.order?.refundedAmount || 0, currency)}
+        </p>
+        <p>
+          <span className="block text-richblack-400">Requested</span>
+          {new Date(refund.createdAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}
+        </p>
+        <p>
+          <span className="block text-richblack-400">Transaction</span>
+          <span className="font-mono text-purple-300 break-all">{refund.order?.transactionId || 'N/A'}</span>
+        </p>
+      </div>
+
+      {refund.reason && (
+        <p className="rounded-md bg-richblack-800 p-3 text-sm text-richblack-100">{refund.reason}</p>
+      )}
+
+      {!isOpen && (
+        <div className="space-y-1 text-xs text-richblack-300">
+          {refund.amount !== null && (
+            <p>
+              Amount: <span className="text-richblack-5">{formatPrice(refund.amount, currency)}</span>
+              {refund.revokeAccess ? ' · course revoked' : ' · course kept'}
+            </p>
+          )}
+          {refund.reviewedBy && (
+            <p>Reviewed by {`${refund.reviewedBy.firstName || ''} ${refund.reviewedBy.lastName || ''}`.trim()}</p>
+          )}
+          {refund.adminNote && <p>Note: {refund.adminNote}</p>}
+        </div>
+      )}
+
+      {isOpen && (
+        <div className="space-y-3 border-t border-richblack-600 pt-3">
+          {refund.failureReason && (
+            <p className="text-xs text-pink-200">Last attempt failed: {refund.failureReason}</p>
+          )}
+          <div className="flex flex-wrap items-center gap-3">
+            <label className="text-xs text-richblack-300" htmlFor={`amount-${refund._id}`}>
+              Amount ({currency})
+            </label>
+            <input
+              id={`amount-${refund._id}`}
+              type="number"
+              min="0.01"
+              max={refundable}
+              step="0.01"
+              value={amount}
+              onChange={(e) => {
+                setAmount(e.target.value)
+                // A partial refund usually leaves the course with the student
+                setRevokeAccess(e.target.value === '' || Number(e.target.value) >= refundable)
+              }}
+              placeholder={`${refundable} (all that is left)`}
+              className="w-48 rounded-md bg-richblack-800 px-3 py-2 text-sm text-richblack-5 outline-none"
+            />
+            <label className="flex items-center gap-2 text-xs text-richblack-100">
+              <input
+                type="checkbox"
+                checked={revokeAccess}
+                onChange={(e) => setRevokeAccess(e.target.checked)}
+              />
+              Remove the course from the student
+            </label>
+          </div>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={1000}
+            placeholder="Note for the student (optional)"
+            className="w-full rounded-md bg-richblack-800 px-3 py-2 text-sm text-richblack-5 outline-none"
+          />
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={handleApprove}
+              disabled={busy}
+              className="flex items-center gap-2 rounded-lg bg-caribbeangreen-500 px-4 py-2 text-sm font-medium text-white transition-all duration-200 hover:scale-105 disabled:opacity-50"
+            >
+              <FiCheck size={16} />
+              Refund {formatPrice(isPartial ? amount : refundable, currency)}
+            </button>
+            <button
+              onClick={handleReject}
+              disabled={busy}
+              className="flex items-center gap-2 rounded-lg bg-pink-600 px-4 py-2 text-sm font-medium text-white transition-all duration-200 hover:scale-105 disabled:opacity-50"
+            >
+              <FiX size={16} />
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function Refunds() {
+  const { token } = useSelector((state) => state.auth)
+  const [refunds, setRefunds] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statusFilter, setStatusFilter] = useState('requested')
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    const fetchRefunds = async () => {
+      setLoading(true)
+      const data = await getRefunds(token, statusFilter)
+      if (data) {
+        setRefunds(data)
+      }
+      setLoading(false)
+    }
+    fetchRefunds()
+  }, [token, statusFilter, reloadKey])
+
+  const reload = () => setReloadKey((key) => key + 1)
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map((filter) => (
+            <button
+              key={filter.label}
+              onClick={() => setStatusFilter(filter.value)}
+              className={`rounded-full px-4 py-1 text-sm transition-all duration-200 ${
+                statusFilter === filter.value
+                  ? 'bg-yellow-50 text-richblack-900'
+                  : 'bg-richblack-700 text-richblack-100 hover:bg-richblack-600'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={reload}
+          className="flex items-center gap-2 rounded-lg bg-richblack-700 px-4 py-2 text-sm text-richblack-100 hover:bg-richblack-600"
+        >
+          <FiRefreshCw size={16} />
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-20">
+          <div className="custom-loader"></div>
+        </div>
+      ) : refunds.length === 0 ? (
+        <p className="py-20 text-center text-richblack-300">No refund requests found</p>
+      ) : (
+        <div className="space-y-4">
+          {refunds.map((refund) => (
+            <RefundRequest key={refund._id} refund={refund} onUpdated={reload} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
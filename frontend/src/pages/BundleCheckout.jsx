@@ -7,6 +7,8 @@ import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
 import { useDispatch } from "react-redux"
 import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiClock, FiUsers } from "react-icons/fi"
 import RatingStars from "../components/common/RatingStars"
+import useCheckoutQuote from "../hooks/useCheckoutQuote"
+import useCurrency from "../hooks/useCurrency"
 import { apiConnector } from "../services/apiConnector"
 import { courseAccessEndpoints } from "../services/apis"
 import toast from "react-hot-toast"
@@ -18,14 +20,25 @@ function BundleCheckout() {
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
   const [couponDiscount, setCouponDiscount] = useState(0)
+  const [appliedCoupon, setAppliedCoupon] = useState(null)
 
   const handleCouponApply = (discountDetails) => {
     const discountAmount = discountDetails.discountAmount;
     setCouponDiscount(discountAmount);
+    setAppliedCoupon(discountDetails);
   }
 
   const selectedCourses = state?.selectedCourses || []
 
+  // Free courses are requested from the admin; the paid ones are priced by the server,
+  // bundle discount included
+  const quotedCourseIds = selectedCourses
+    .filter(course => course.courseType !== 'Free')
+    .map(course => course._id)
+  const { quote, pricing, loading: quoteLoading, error: quoteError, refresh: refreshQuote } =
+    useCheckoutQuote(quotedCourseIds, appliedCoupon?.code, "bundle", token)
+  const { formatPrice, formatCoursePrice, formatBasePrice } = useCurrency()
+
   if (!selectedCourses.length) {
     return (
       <div className="min-h-screen bg-richblack-900 flex items-center justify-center">
@@ -45,35 +58,37 @@ function BundleCheckout() {
   }
 
   const getOriginalPrice = () => {
+    if (pricing) return pricing.subtotal
     return selectedCourses.reduce((total, course) => {
       return total + (course.courseType === 'Free' ? 0 : course.price)
     }, 0)
   }
 
   const getBundleDiscount = () => {
-    if (selectedCourses.length >= 3) return 0.15 // 15% discount for 3+ courses
-    if (selectedCourses.length >= 2) return 0.10 // 10% discount for 2+ courses
-    return 0
+    return pricing ? pricing.bundlePercent / 100 : 0
   }
 
-  const getFinalPrice = () => {
-    const originalPrice = getOriginalPrice()
-    const discount = getBundleDiscount()
-    return Math.round(originalPrice * (1 - discount))
+  const getSavings = () => {
+    return pricing ? pricing.bundleDiscount : 0
   }
 
-  const getSavings = () => {
-    return getOriginalPrice() - getFinalPrice()
+  const getCouponDiscount = () => {
+    return pricing ? pricing.couponDiscount : couponDiscount
   }
 
+  const getFinalPrice = () => {
+    if (pricing) return pricing.amount
+    return Math.max(0, getOriginalPrice() - couponDiscount)
+  }
+
+  // Quoted amounts are in the quote's currency, the courses' own prices in the base currency
+  const showAmount = (amount) => pricing ? formatPrice(amount, pricing.currency) : formatBasePrice(amount)
+
   const isAllFree = selectedCourses.every(course => course.courseType === 'Free')
   const freeCourses = selectedCourses.filter(course => course.courseType === 'Free')
   const paidCourses = selectedCourses.filter(course => course.courseType !== 'Free')
 
   const handleBuyBundle = async () => {
-    const finalPrice = Math.max(0, getFinalPrice() - couponDiscount)
-    const courseIds = selectedCourses.map(course => course._id)
-    const paidCourseIds = paidCourses.map(course => course._id)
     const freeCourseIds = freeCourses.map(course => course._id)
     
     if (isAllFree) {
@@ -95,26 +110,21 @@ function BundleCheckout() {
         toast.error("Failed to send bundle access request")
       }
     } else if (paidCourses.length > 0 && freeCourses.length === 0) {
-      // Scenario 2: All courses are paid - check payment requirement
-      if (finalPrice !== 0 && finalPrice !== null) {
-        toast.error("You have to pay first")
-        return
-      }
-      // Proceed with payment for all paid courses
-      buyCourse(token, paidCourseIds, user, navigate, dispatch)
+      // Scenario 2: All courses are paid - pay for the quote
+      if (!quote) return
+      const paymentResult = await buyCourse(token, quote, user, navigate, dispatch)
+      if (!paymentResult) refreshQuote()
     } else if (paidCourses.length > 0 && freeCourses.length > 0) {
       // Scenario 3: Mixed bundle (paid + free courses)
-      if (finalPrice !== 0 && finalPrice !== null) {
-        toast.error("You have to pay first")
-        return
-      }
+      if (!quote) return
       
       // First, process payment for paid courses
       try {
-        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch)
+        const paymentResult = await buyCourse(token, quote, user, navigate, dispatch)
+        if (!paymentResult) refreshQuote()
         
         // After successful payment, request access for free courses
-        if (paymentResult !== false) { // Assuming buyCourse returns false on failure
+        if (paymentResult) {
           try {
             const response = await apiConnector("POST", 
               courseAccessEndpoints.REQUEST_BUNDLE_ACCESS_API,
@@ -221,7 +231,7 @@ function BundleCheckout() {
                           {course.courseType === 'Free' ? (
                             <span className="text-xl sm:text-2xl font-bold text-caribbeangreen-100">Free</span>
                           ) : (
-                            <span className="text-xl sm:text-2xl font-bold text-richblack-5">₹{course.price}</span>
+                            <span className="text-xl sm:text-2xl font-bold text-richblack-5">{formatCoursePrice(course)}</span>
                           )}
                           <span className={`px-2 sm:px-3 py-1 rounded-full text-xs font-medium ${
                             course.courseType === 'Free' 
@@ -251,7 +261,10 @@ function BundleCheckout() {
               <div className="space-y-3 sm:space-y-4 mb-4 sm:mb-6">
                 {/* Coupon Input */}
                 <CouponInput 
-                  totalAmount={getOriginalPrice()} 
+                  // Coupon minimums are in the base currency
+                  totalAmount={pricing
+                    ? Math.round((pricing.subtotal - pricing.bundleDiscount) * pricing.exchangeRate * 100) / 100
+                    : getOriginalPrice()}
                   onCouponApply={handleCouponApply}
                   checkoutType="bundle"
                 />
@@ -263,20 +276,20 @@ function BundleCheckout() {
                 
                 <div className="flex justify-between text-richblack-300 text-sm sm:text-base">
                   <span>Original Price:</span>
-                  <span className="font-semibold">₹{getOriginalPrice()}</span>
+                  <span className="font-semibold">{showAmount(getOriginalPrice())}</span>
                 </div>
 
                 {getBundleDiscount() > 0 && (
                   <>
                     <div className="flex justify-between text-green-400 text-sm sm:text-base">
                       <span className="text-richblack-100">Bundle Discount ({Math.round(getBundleDiscount() * 100)}%):</span>
-                      <span className="font-bold text-green-400">-₹{getSavings()}</span>
+                      <span className="font-bold text-green-400">-{showAmount(getSavings())}</span>
                     </div>
                     
                     <div className="bg-gradient-to-r from-green-900/30 to-green-800/30 border border-green-600 rounded-lg p-3 sm:p-4">
                       <div className="flex items-center gap-2 text-white text-xs sm:text-sm font-semibold">
                         <FiCheck className="w-4 h-4 sm:w-5 sm:h-5 text-green-400 flex-shrink-0" />
-                        <span>🎉 You're saving ₹{getSavings()} with this bundle!</span>
+                        <span>🎉 You're saving {showAmount(getSavings())} with this bundle!</span>
                       </div>
                     </div>
                   </>
@@ -284,23 +297,35 @@ function BundleCheckout() {
                 
                 <hr className="border-richblack-600" />
                 
-                {couponDiscount > 0 && (
+                {getCouponDiscount() > 0 && (
                   <div className="flex justify-between text-green-400 text-sm sm:text-base">
                     <span>Coupon Discount:</span>
-                    <span className="font-bold text-green-400">-₹{couponDiscount}</span>
+                    <span className="font-bold text-green-400">-{showAmount(getCouponDiscount())}</span>
+                  </div>
+                )}
+
+                {pricing?.taxAmount > 0 && (
+                  <div className="flex justify-between text-richblack-300 text-sm sm:text-base">
+                    <span>{pricing.tax.inclusive ? `Includes GST (${pricing.tax.rate}%):` : `GST (${pricing.tax.rate}%):`}</span>
+                    <span className="font-semibold">{showAmount(pricing.taxAmount)}</span>
                   </div>
                 )}
 
                 <div className="flex justify-between text-lg sm:text-xl font-bold text-richblack-5">
                   <span>Total Amount:</span>
-                  <span className="text-yellow-50">₹{Math.max(0, getFinalPrice() - couponDiscount)}</span>
+                  <span className="text-yellow-50">{showAmount(getFinalPrice())}</span>
                 </div>
+
+                {quoteError && !isAllFree && (
+                  <p className="text-sm text-pink-200">{quoteError}</p>
+                )}
               </div>
 
               <div className="space-y-3 sm:space-y-4">
                 <button
                   onClick={handleBuyBundle}
-                  className={`w-full py-3 sm:py-4 rounded-lg sm:rounded-xl font-bold text-base sm:text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center gap-2 sm:gap-3
+                  disabled={!isAllFree && (!quote || quoteLoading)}
+                  className={`disabled:opacity-50 disabled:cursor-not-allowed w-full py-3 sm:py-4 rounded-lg sm:rounded-xl font-bold text-base sm:text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center gap-2 sm:gap-3
                     ${isAllFree 
                       ? 'bg-caribbeangreen-200 hover:bg-caribbeangreen-100 text-richblack-900' 
                       : 'bg-gradient-to-r from-yellow-50 to-yellow-25 hover:from-yellow-25 hover:to-yellow-50 text-richblack-900'
@@ -7,7 +7,8 @@ import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
 import { useDispatch } from "react-redux"
 import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiUsers } from "react-icons/fi"
 import RatingStars from "../components/common/RatingStars"
-import toast from "react-hot-toast"
+import useCheckoutQuote from "../hooks/useCheckoutQuote"
+import useCurrency from "../hooks/useCurrency"
 
 function CourseCheckout() {
   const { state } = useLocation()
@@ -26,6 +27,11 @@ function CourseCheckout() {
 
   const course = state?.course
 
+  // The prices shown and charged come from the server's quote
+  const { quote, pricing, loading: quoteLoading, error: quoteError, refresh: refreshQuote } =
+    useCheckoutQuote(course ? [course._id] : [], appliedCoupon?.code, "course", token)
+  const { formatPrice, formatCoursePrice, formatBasePrice } = useCurrency()
+
   if (!course) {
     return (
       <div className="min-h-screen bg-richblack-900 flex items-center justify-center">
@@ -45,26 +51,26 @@ function CourseCheckout() {
   }
 
   const getOriginalPrice = () => {
+    if (pricing) return pricing.subtotal
     return course.courseType === 'Free' ? 0 : course.price
   }
 
+  const getCouponDiscount = () => {
+    return pricing ? pricing.couponDiscount : couponDiscount
+  }
+
   const getFinalPrice = () => {
+    if (pricing) return pricing.amount
     return Math.max(0, getOriginalPrice() - couponDiscount)
   }
 
-  const handleBuyCourse = () => {
-    const finalPrice = getFinalPrice()
-    
-    // Check if total amount is not zero - prevent purchase and show message
-    if (finalPrice !== 0 && finalPrice !== null) {
-      toast.error("You have to pay first")
-      return
-    }
-    
-    const coursesId = [course._id]
-    
-    // Only proceed if total amount is 0 or null
-    buyCourse(token, coursesId, user, navigate, dispatch, appliedCoupon)
+  // Quoted amounts are in the quote's currency, the course's own price in the base currency
+  const showAmount = (amount) => pricing ? formatPrice(amount, pricing.currency) : formatBasePrice(amount)
+
+  const handleBuyCourse = async () => {
+    if (!quote) return
+    const enrolled = await buyCourse(token, quote, user, navigate, dispatch)
+    if (!enrolled) refreshQuote()
   }
 
   return (
@@ -138,7 +144,7 @@ function CourseCheckout() {
                       {course.courseType === 'Free' ? (
                         <span className="text-2xl font-bold text-caribbeangreen-100">Free</span>
                       ) : (
-                        <span className="text-2xl font-bold text-richblack-5">₹{course.price}</span>
+                        <span className="text-2xl font-bold text-richblack-5">{formatCoursePrice(course)}</span>
                       )}
                       <span className={`px-3 py-1 rounded-full text-xs font-medium ${
                         course.courseType === 'Free' 
@@ -167,7 +173,8 @@ function CourseCheckout() {
                 {/* Coupon Input - Only show for paid courses */}
                 {course.courseType !== 'Free' && (
                   <CouponInput 
-                    totalAmount={getOriginalPrice()} 
+                    // Coupon minimums are in the base currency
+                    totalAmount={course.price}
                     onCouponApply={handleCouponApply}
                     checkoutType="course"
                   />
@@ -180,13 +187,20 @@ function CourseCheckout() {
                 
                 <div className="flex justify-between text-richblack-300">
                   <span>Original Price:</span>
-                  <span className="font-semibold">₹{getOriginalPrice()}</span>
+                  <span className="font-semibold">{showAmount(getOriginalPrice())}</span>
                 </div>
 
-                {couponDiscount > 0 && (
+                {getCouponDiscount() > 0 && (
                   <div className="flex justify-between text-green-400">
                     <span>Coupon Discount:</span>
-                    <span className="font-bold text-green-400">-₹{couponDiscount}</span>
+                    <span className="font-bold text-green-400">-{showAmount(getCouponDiscount())}</span>
+                  </div>
+                )}
+
+                {pricing?.taxAmount > 0 && (
+                  <div className="flex justify-between text-richblack-300">
+                    <span>{pricing.tax.inclusive ? `Includes GST (${pricing.tax.rate}%):` : `GST (${pricing.tax.rate}%):`}</span>
+                    <span className="font-semibold">{showAmount(pricing.taxAmount)}</span>
                   </div>
                 )}
                 
@@ -194,14 +208,19 @@ function CourseCheckout() {
                 
                 <div className="flex justify-between text-xl font-bold text-richblack-5">
                   <span>Total Amount:</span>
-                  <span className="text-yellow-50">₹{getFinalPrice()}</span>
+                  <span className="text-yellow-50">{showAmount(getFinalPrice())}</span>
                 </div>
+
+                {quoteError && (
+                  <p className="text-sm text-pink-200">{quoteError}</p>
+                )}
               </div>
 
               <div className="space-y-4">
                 <button
                   onClick={handleBuyCourse}
-                  className="w-full py-4 rounded-xl font-bold text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center gap-3 bg-gradient-to-r from-yellow-50 to-yellow-25 hover:from-yellow-25 hover:to-yellow-50 text-richblack-900"
+                  disabled={!quote || quoteLoading}
+                  className="w-full py-4 rounded-xl font-bold text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center gap-3 bg-gradient-to-r from-yellow-50 to-yellow-25 hover:from-yellow-25 hover:to-yellow-50 text-richblack-900 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <FiShoppingCart className="w-5 h-5" />
                   {getFinalPrice() === 0 ? 'Enroll for Free' : 'Complete Purchase'}
@@ -21,6 +21,7 @@ import { requestCourseAccess } from "../services/operations/courseAccessAPI"
 import GetAvgRating from "../utils/avgRating"
 import { ACCOUNT_TYPE } from './../utils/constants';
 import { addToCart } from "../slices/cartSlice"
+import useCurrency from "../hooks/useCurrency"
 
 import { GiReturnArrow } from 'react-icons/gi'
 import { MdOutlineVerified } from 'react-icons/md'
@@ -37,6 +38,7 @@ function CourseDetails() {
   const { token } = useSelector((state) => state.auth)
   const { loading } = useSelector((state) => state.profile)
   const { paymentLoading } = useSelector((state) => state.course)
+  const { formatCoursePrice } = useCurrency()
   const dispatch = useDispatch()
   const navigate = useNavigate()
 
@@ -131,7 +133,6 @@ function CourseDetails() {
     courseName,
     courseDescription,
     thumbnail,
-    price,
     whatYouWillLearn,
     courseContent,
     ratingAndReviews,
@@ -348,7 +349,7 @@ function CourseDetails() {
                   </div>
                 ) : (
                   <>
-                    <p className="text-3xl font-bold text-richblack-5">₹{price}</p>
+                    <p className="text-3xl font-bold text-richblack-5">{formatCoursePrice(response?.data?.courseDetails)}</p>
                     <div className="bg-green-600 text-white px-3 py-1 rounded-lg text-sm font-medium">
                       Best Seller
                     </div>
@@ -4,9 +4,11 @@ import { useNavigate } from "react-router-dom";
 import { FaCode, FaDatabase, FaMobile, FaCloud, FaShieldAlt, FaCogs, FaSearch, FaFilter, FaStar, FaClock, FaUsers, FaPlay, FaBookmark, FaArrowRight } from "react-icons/fa";
 import ImprovedFooter from "../components/common/ImprovedFooter";
 import { getAllCourses } from "../services/operations/courseDetailsAPI";
+import useCurrency from "../hooks/useCurrency";
 
 const Courses = () => {
   const navigate = useNavigate();
+  const { formatCoursePrice } = useCurrency();
   const [activeCategory, setActiveCategory] = useState("all");
   const [searchTerm, setSearchTerm] = useState("");
   const [sortBy, setSortBy] = useState("popular");
@@ -173,9 +175,9 @@ const Courses = () => {
               <span className="text-2xl font-bold text-green-400">Free</span>
             ) : (
               <>
-                <span className="text-2xl font-bold text-yellow-50">₹{course.price}</span>
+                <span className="text-2xl font-bold text-yellow-50">{formatCoursePrice(course)}</span>
                 {course.originalPrice && course.originalPrice !== course.price && (
-                  <span className="text-richblack-400 line-through ml-2">₹{course.originalPrice}</span>
+                  <span className="text-richblack-400 line-through ml-2">{formatCoursePrice(course, "originalPrice")}</span>
                 )}
               </>
             )}
@@ -0,0 +1,13 @@
+import QuizGradingQueue from "../../components/core/Dashboard/QuizGradingQueue"
+
+export default function QuizGrading() {
+  return (
+    <div>
+      <h1 className="mb-4 text-3xl font-medium text-richblack-5">Quiz Grading</h1>
+      <p className="mb-10 text-richblack-300">
+        Award marks and feedback for short and long answers. Students get their final score once you submit the grades.
+      </p>
+      <QuizGradingQueue />
+    </div>
+  )
+}
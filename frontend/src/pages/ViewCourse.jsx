@@ -6,6 +6,7 @@ import { toast } from "react-hot-toast"
 import CourseReviewModal from "../components/core/ViewCourse/CourseReviewModal"
 import VideoDetailsSidebar from "../components/core/ViewCourse/VideoDetailsSidebar"
 import { getFullDetailsOfCourse } from "../services/operations/courseDetailsAPI"
+import { getOfflineCourse } from "../utils/offlineLectures"
 import {
   setCompletedLectures,
   setCourseSectionData,
@@ -20,6 +21,7 @@ import { setCourseViewSidebar } from "../slices/sidebarSlice"
 export default function ViewCourse() {
   const { courseId } = useParams()
   const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
   const dispatch = useDispatch()
   const navigate = useNavigate()
   const [reviewModal, setReviewModal] = useState(false)
@@ -52,7 +54,15 @@ export default function ViewCourse() {
     
     setLoading(true)
     try {
-      const courseData = await getFullDetailsOfCourse(courseId, token)
+      let courseData = await getFullDetailsOfCourse(courseId, token)
+
+      // Without a connection, courses with downloaded sections open from the copy kept with them
+      if (!courseData && !navigator.onLine && user?._id) {
+        courseData = await getOfflineCourse(user._id, courseId).catch(() => null)
+        if (courseData) {
+          toast("You are offline. Only downloaded lectures can be played.")
+        }
+      }
       
       if (courseData?.courseDetails) {
         // Check if course is deleted/deactivated or order is inactive
@@ -88,7 +98,7 @@ export default function ViewCourse() {
     } finally {
       setLoading(false)
     }
-  }, [courseId, token, navigate, dispatch, calculateTotalLectures, resetCourseState, currentCourseData])
+  }, [courseId, token, user, navigate, dispatch, calculateTotalLectures, resetCourseState, currentCourseData])
 
   useEffect(() => {
     fetchCourseDetails()
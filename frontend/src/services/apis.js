@@ -22,10 +22,14 @@ export const profileEndpoints = {
 
 // STUDENTS ENDPOINTS
 export const studentEndpoints = {
+  COURSE_QUOTE_API: BASE_URL + "/api/v1/payment/quote",
   COURSE_PAYMENT_API: BASE_URL + "/api/v1/payment/capturePayment",
   COURSE_VERIFY_API: BASE_URL + "/api/v1/payment/verifyPayment",
   SEND_PAYMENT_SUCCESS_EMAIL_API: BASE_URL + "/api/v1/payment/sendPaymentSuccessEmail",
   GET_ORDER_BY_COURSE_API: BASE_URL + "/api/v1/payment/order/course/:courseId",
+  REQUEST_REFUND_API: BASE_URL + "/api/v1/payment/orders/:orderId/refund",
+  DOWNLOAD_INVOICE_API: BASE_URL + "/api/v1/payment/orders/:orderId/invoice",
+  GET_CURRENCIES_API: BASE_URL + "/api/v1/payment/currencies",
 }
 
 // COURSE ENDPOINTS
@@ -49,10 +53,15 @@ export const courseEndpoints = {
   DELETE_COURSE_API: BASE_URL + "/api/v1/course/deleteCourse",
   GET_FULL_COURSE_DETAILS_AUTHENTICATED: BASE_URL + "/api/v1/course/getFullCourseDetails",
   LECTURE_COMPLETION_API: BASE_URL + "/api/v1/course/updateCourseProgress",
+  VIDEO_PROGRESS_API: BASE_URL + "/api/v1/course/video-progress",
   UPDATE_QUIZ_PROGRESS_API: BASE_URL + "/api/v1/course/updateQuizProgress",
   CHECK_SECTION_ACCESS_API: BASE_URL + "/api/v1/course/checkSectionAccess",
   GET_PROGRESS_PERCENTAGE_API: BASE_URL + "/api/v1/course/getProgressPercentage",
   CREATE_RATING_API: BASE_URL + "/api/v1/course/createRating",
+  CAPTION_TRACKS_API: BASE_URL + "/api/v1/course/captions/:subSectionId",
+  CAPTION_TRACK_API: BASE_URL + "/api/v1/course/captions/:subSectionId/:captionId",
+  OFFLINE_PUBLIC_KEY_API: BASE_URL + "/api/v1/course/offline/public-key",
+  OFFLINE_LICENSES_API: BASE_URL + "/api/v1/course/offline/licenses",
 }
 
 // RATINGS AND REVIEWS
@@ -137,6 +146,13 @@ export const adminEndpoints = {
   UPDATE_ORDER_STATUS_API: BASE_URL + "/api/v1/admin/orders/:orderId/status",
   GENERATE_ORDERS_PDF_API: BASE_URL + "/api/v1/admin/orders/export-pdf",
   GET_ORDER_BY_COURSE_API: BASE_URL + "/api/v1/admin/orders/course/:courseId",
+  GET_ORDER_INVOICE_API: BASE_URL + "/api/v1/admin/orders/:orderId/invoice",
+  REGENERATE_INVOICE_API: BASE_URL + "/api/v1/admin/orders/:orderId/invoice/regenerate",
+  GET_REFUNDS_API: BASE_URL + "/api/v1/admin/refunds",
+  APPROVE_REFUND_API: BASE_URL + "/api/v1/admin/refunds/:refundId/approve",
+  REJECT_REFUND_API: BASE_URL + "/api/v1/admin/refunds/:refundId/reject",
+  GET_EXCHANGE_RATES_API: BASE_URL + "/api/v1/admin/exchange-rates",
+  SET_EXCHANGE_RATE_API: BASE_URL + "/api/v1/admin/exchange-rates/:currency",
   // Notification Management
   SEND_NOTIFICATION_API: BASE_URL + "/api/v1/admin/notifications/send",
   GET_ALL_NOTIFICATIONS_API: BASE_URL + "/api/v1/admin/notifications",
@@ -174,10 +190,30 @@ export const quizEndpoints = {
   UPDATE_QUIZ_API: BASE_URL + "/api/v1/quiz/update/:quizId",
   GET_QUIZ_API: BASE_URL + "/api/v1/quiz/:quizId",
   GET_ALL_QUIZZES_API: BASE_URL + "/api/v1/quiz/all",
+  START_QUIZ_API: BASE_URL + "/api/v1/quiz/start",
+  AUTOSAVE_QUIZ_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId/autosave",
   SUBMIT_QUIZ_API: BASE_URL + "/api/v1/quiz/submit",
   GET_QUIZ_RESULTS_API: BASE_URL + "/api/v1/quiz/results/:quizId",
   GET_QUIZ_STATUS_API: BASE_URL + "/api/v1/quiz/status/:quizId",
   VALIDATE_SECTION_ACCESS_API: BASE_URL + "/api/v1/quiz/validate-access/:sectionId",
+  GET_QUIZ_ATTEMPTS_API: BASE_URL + "/api/v1/quiz/attempts/:quizId",
+  GET_ATTEMPT_REVIEW_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId/review",
+  GET_GRADING_QUEUE_API: BASE_URL + "/api/v1/quiz/grading-queue",
+  GRADE_ATTEMPT_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId/grade",
+  IMPORT_PREVIEW_API: BASE_URL + "/api/v1/quiz/import/preview",
+  EXPORT_QUIZ_API: BASE_URL + "/api/v1/quiz/export/:quizId",
+  EXPORT_COURSE_QUIZZES_API: BASE_URL + "/api/v1/quiz/export/course/:courseId",
+  GET_QUIZ_ANALYTICS_API: BASE_URL + "/api/v1/quiz/analytics/:quizId",
+}
+
+// QUESTION BANK ENDPOINTS
+export const questionBankEndpoints = {
+  CREATE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank",
+  GET_QUESTION_BANKS_API: BASE_URL + "/api/v1/question-bank",
+  GET_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId",
+  UPDATE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId",
+  DELETE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId",
+  EXPORT_QUESTION_BANK_API: BASE_URL + "/api/v1/question-bank/:bankId/export",
 }
 
 // CERTIFICATE ENDPOINTS
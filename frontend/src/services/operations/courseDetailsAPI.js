@@ -22,6 +22,8 @@ const {
   GET_FULL_COURSE_DETAILS_AUTHENTICATED,
   CREATE_RATING_API,
   LECTURE_COMPLETION_API,
+  CAPTION_TRACKS_API,
+  CAPTION_TRACK_API,
 } = courseEndpoints
 
 
@@ -480,3 +482,110 @@ export const createRating = async (data, token) => {
   return success
 }
 
+
+const captionTracksUrl = (subSectionId) => CAPTION_TRACKS_API.replace(":subSectionId", subSectionId)
+const captionTrackUrl = (subSectionId, captionId) =>
+  CAPTION_TRACK_API.replace(":subSectionId", subSectionId).replace(":captionId", captionId)
+
+// Invalid caption files come back with the problems found, show the first one
+const getCaptionErrorMessage = (error, fallback) => {
+  const data = error.response?.data
+  if (data?.errors?.length) {
+    return `${data.message}: ${data.errors[0]}`
+  }
+  return data?.message || error.message || fallback
+}
+
+//   == get Caption Tracks of a lecture   ==
+export const getCaptionTracks = async (subSectionId, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", captionTracksUrl(subSectionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Captions")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET CAPTION TRACKS API ERROR............", error)
+  }
+  return result
+}
+
+//   == get WebVTT text of a Caption Track   ==
+export const getCaptionContent = async (subSectionId, captionId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", captionTrackUrl(subSectionId, captionId), null, {
+      Authorization: `Bearer ${token}`,
+    }, null, { responseType: "text" })
+    result = response?.data
+  } catch (error) {
+    console.log("GET CAPTION CONTENT API ERROR............", error)
+  }
+  return result
+}
+
+//   == add Caption Track   ==
+export const addCaptionTrack = async (subSectionId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Loading...")
+  try {
+    const response = await apiConnector("POST", captionTracksUrl(subSectionId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Add Captions")
+    }
+    result = response?.data?.data
+    toast.success("Captions Added")
+  } catch (error) {
+    console.log("ADD CAPTION TRACK API ERROR............", error)
+    toast.error(getCaptionErrorMessage(error, "Could Not Add Captions"))
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == update Caption Track   ==
+export const updateCaptionTrack = async (subSectionId, captionId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Loading...")
+  try {
+    const response = await apiConnector("PUT", captionTrackUrl(subSectionId, captionId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Update Captions")
+    }
+    result = response?.data?.data
+    toast.success("Captions Updated")
+  } catch (error) {
+    console.log("UPDATE CAPTION TRACK API ERROR............", error)
+    toast.error(getCaptionErrorMessage(error, "Could Not Update Captions"))
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == delete Caption Track   ==
+export const deleteCaptionTrack = async (subSectionId, captionId, token) => {
+  let success = false
+  const toastId = toast.loading("Loading...")
+  try {
+    const response = await apiConnector("DELETE", captionTrackUrl(subSectionId, captionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Delete Captions")
+    }
+    success = true
+    toast.success("Captions Deleted")
+  } catch (error) {
+    console.log("DELETE CAPTION TRACK API ERROR............", error)
+    toast.error(getCaptionErrorMessage(error, "Could Not Delete Captions"))
+  }
+  toast.dismiss(toastId)
+  return success
+}
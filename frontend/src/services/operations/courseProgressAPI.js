@@ -3,10 +3,45 @@ import { apiConnector } from "../apiConnector"
 import { courseEndpoints } from "../apis"
 
 const {
+  VIDEO_PROGRESS_API,
   UPDATE_QUIZ_PROGRESS_API,
   CHECK_SECTION_ACCESS_API,
 } = courseEndpoints
 
+// Saved position and watched share of a lecture video (null when it can't be loaded)
+export async function getVideoProgress(courseId, subSectionId, token) {
+  try {
+    const response = await apiConnector("GET", `${VIDEO_PROGRESS_API}/${subSectionId}`, null, {
+      Authorization: `Bearer ${token}`,
+    }, { courseId })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Load Video Progress")
+    }
+    return response.data.data
+  } catch (error) {
+    console.log("GET VIDEO PROGRESS API ERROR............", error)
+    return null
+  }
+}
+
+// Report the playback position and the intervals watched since the last report
+// { courseId, subSectionId, position, duration, intervals: [[start, end], ...] }
+export async function updateVideoProgress(data, token) {
+  try {
+    const response = await apiConnector("POST", VIDEO_PROGRESS_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Save Video Progress")
+    }
+    return response.data.data
+  } catch (error) {
+    console.log("UPDATE VIDEO PROGRESS API ERROR............", error)
+    // Reported again with the next update, no toast needed
+    return null
+  }
+}
+
 export async function updateQuizProgress(data, token) {
   try {
     const response = await apiConnector("POST", UPDATE_QUIZ_PROGRESS_API, data, {
@@ -0,0 +1,83 @@
+import { toast } from "react-hot-toast";
+import { apiConnector } from "../apiConnector";
+import { adminEndpoints, studentEndpoints } from "../apis";
+import { setRates } from "../../slices/currencySlice";
+
+const { GET_CURRENCIES_API } = studentEndpoints;
+const { GET_EXCHANGE_RATES_API, SET_EXCHANGE_RATE_API } = adminEndpoints;
+
+// The currencies prices can be shown and charged in; the base currency alone when this fails
+export function fetchCurrencies() {
+  return async (dispatch) => {
+    try {
+      const response = await apiConnector("GET", GET_CURRENCIES_API);
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could Not Fetch Currencies");
+      }
+
+      const { base, currencies } = response.data.data;
+      dispatch(setRates({
+        base,
+        rates: Object.fromEntries(currencies.map((currency) => [currency.code, currency.rate])),
+      }));
+    } catch (error) {
+      console.log("GET_CURRENCIES_API ERROR............", error);
+    }
+  };
+}
+
+export async function getExchangeRates(token) {
+  try {
+    const response = await apiConnector("GET", GET_EXCHANGE_RATES_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Fetch Exchange Rates");
+    }
+    return response.data.data;
+  } catch (error) {
+    console.log("GET_EXCHANGE_RATES_API ERROR............", error);
+    toast.error(error.response?.data?.message || "Could Not Fetch Exchange Rates");
+    return null;
+  }
+}
+
+// rate: what one unit of the currency is worth in the base currency
+export async function setExchangeRate(token, currency, rate) {
+  const toastId = toast.loading("Saving rate...");
+  try {
+    const response = await apiConnector("PUT", SET_EXCHANGE_RATE_API.replace(":currency", currency), { rate }, {
+      Authorization: `Bearer ${token}`,
+    });
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Save The Rate");
+    }
+    toast.success(response.data.message);
+    toast.dismiss(toastId);
+    return response.data.data;
+  } catch (error) {
+    toast.error(error.response?.data?.message || "Could Not Save The Rate");
+    toast.dismiss(toastId);
+    return null;
+  }
+}
+
+// Without a rate the currency can no longer be charged
+export async function deleteExchangeRate(token, currency) {
+  const toastId = toast.loading("Removing rate...");
+  try {
+    const response = await apiConnector("DELETE", SET_EXCHANGE_RATE_API.replace(":currency", currency), null, {
+      Authorization: `Bearer ${token}`,
+    });
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Remove The Rate");
+    }
+    toast.success(response.data.message);
+    toast.dismiss(toastId);
+    return true;
+  } catch (error) {
+    toast.error(error.response?.data?.message || "Could Not Remove The Rate");
+    toast.dismiss(toastId);
+    return false;
+  }
+}
@@ -0,0 +1,80 @@
+import { apiConnector } from "../apiConnector"
+import { courseEndpoints } from "../apis"
+import { getBlobErrorMessage } from "../../utils/fileDownload"
+
+const {
+  OFFLINE_PUBLIC_KEY_API,
+  OFFLINE_LICENSES_API,
+} = courseEndpoints
+
+// Public key (JWK) offline licenses are signed with
+export async function getOfflinePublicKey(token) {
+  const response = await apiConnector("GET", OFFLINE_PUBLIC_KEY_API, null, {
+    Authorization: `Bearer ${token}`,
+  })
+  if (!response?.data?.success) {
+    throw new Error(response?.data?.message || "Could Not Load Offline License Key")
+  }
+  return response.data.data
+}
+
+// License to download a section: { licenseId, license, expiresAt, lectures }
+export async function createOfflineLicense(courseId, sectionId, token) {
+  try {
+    const response = await apiConnector("POST", OFFLINE_LICENSES_API, { courseId, sectionId }, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Download Section")
+    }
+    return response.data.data
+  } catch (error) {
+    console.log("CREATE OFFLINE LICENSE API ERROR............", error)
+    throw new Error(error.response?.data?.message || error.message)
+  }
+}
+
+// Extend a license; same response as createOfflineLicense
+export async function renewOfflineLicense(licenseId, token) {
+  try {
+    const response = await apiConnector("POST", `${OFFLINE_LICENSES_API}/${licenseId}/renew`, null, {
+      Authorization: `Bearer ${token}`,
+    })
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Renew Offline License")
+    }
+    return response.data.data
+  } catch (error) {
+    console.log("RENEW OFFLINE LICENSE API ERROR............", error)
+    throw new Error(error.response?.data?.message || error.message)
+  }
+}
+
+// Give up a license after its download was removed (false when that failed)
+export async function revokeOfflineLicense(licenseId, token) {
+  try {
+    await apiConnector("DELETE", `${OFFLINE_LICENSES_API}/${licenseId}`, null, {
+      Authorization: `Bearer ${token}`,
+    })
+    return true
+  } catch (error) {
+    console.log("REVOKE OFFLINE LICENSE API ERROR............", error)
+    return false
+  }
+}
+
+// Encrypted package of one lecture, as a Blob
+export async function downloadOfflineLecture(licenseId, subSectionId, token, onProgress) {
+  try {
+    const response = await apiConnector("GET", `${OFFLINE_LICENSES_API}/${licenseId}/lectures/${subSectionId}`, null, {
+      Authorization: `Bearer ${token}`,
+    }, null, {
+      responseType: "blob",
+      onDownloadProgress: (event) => onProgress?.(event.loaded),
+    })
+    return response.data
+  } catch (error) {
+    console.log("DOWNLOAD OFFLINE LECTURE API ERROR............", error)
+    throw new Error(await getBlobErrorMessage(error))
+  }
+}
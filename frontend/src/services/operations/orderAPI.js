@@ -5,11 +5,18 @@ import { adminEndpoints, studentEndpoints } from "../apis";
 const { 
   GET_ALL_ORDERS_API, 
   UPDATE_ORDER_STATUS_API, 
-  GENERATE_ORDERS_PDF_API 
+  GENERATE_ORDERS_PDF_API,
+  GET_ORDER_INVOICE_API,
+  REGENERATE_INVOICE_API,
+  GET_REFUNDS_API,
+  APPROVE_REFUND_API,
+  REJECT_REFUND_API
 } = adminEndpoints;
 
 const {
-  GET_ORDER_BY_COURSE_API: STUDENT_GET_ORDER_BY_COURSE_API
+  GET_ORDER_BY_COURSE_API: STUDENT_GET_ORDER_BY_COURSE_API,
+  REQUEST_REFUND_API,
+  DOWNLOAD_INVOICE_API
 } = studentEndpoints;
 
 export const getOrderByCourse = async (courseId, token) => {
@@ -133,3 +140,193 @@ export const generateOrdersPDF = async (token) => {
   
   toast.dismiss(toastId);
 };
+
+export const requestRefund = async (token, orderId, reason) => {
+  const toastId = toast.loading("Requesting refund...");
+  let result = false;
+
+  try {
+    const response = await apiConnector(
+      "POST",
+      REQUEST_REFUND_API.replace(":orderId", orderId),
+      { reason },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not request the refund");
+    }
+
+    result = true;
+    toast.success(response.data.message);
+  } catch (error) {
+    console.error("REQUEST_REFUND_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not request the refund");
+  }
+
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const getRefunds = async (token, status = "") => {
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_REFUNDS_API,
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      },
+      status ? { status } : null
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not fetch refunds");
+    }
+
+    result = response?.data?.data;
+  } catch (error) {
+    console.error("GET_REFUNDS_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not fetch refunds");
+  }
+
+  return result;
+};
+
+// details: { amount, revokeAccess, note }; amount left out refunds what is left on the order
+export const approveRefund = async (token, refundId, details) => {
+  const toastId = toast.loading("Processing refund...");
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "POST",
+      APPROVE_REFUND_API.replace(":refundId", refundId),
+      details,
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not approve the refund");
+    }
+
+    result = response?.data?.data;
+    toast.success(response.data.message);
+  } catch (error) {
+    console.error("APPROVE_REFUND_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not approve the refund");
+  }
+
+  toast.dismiss(toastId);
+  return result;
+};
+
+export const rejectRefund = async (token, refundId, note) => {
+  const toastId = toast.loading("Rejecting refund...");
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "POST",
+      REJECT_REFUND_API.replace(":refundId", refundId),
+      { note },
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not reject the refund");
+    }
+
+    result = response?.data?.data;
+    toast.success("Refund request rejected");
+  } catch (error) {
+    console.error("REJECT_REFUND_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not reject the refund");
+  }
+
+  toast.dismiss(toastId);
+  return result;
+};
+
+// The file name the server gave a download, e.g. invoice-INV-26-27-00001.pdf
+const getFileName = (response, fallback) => {
+  const match = /filename="?([^";]+)"?/.exec(response?.headers?.["content-disposition"] || "");
+  return match ? match[1] : fallback;
+};
+
+// The GST invoice of an order; students get their own, admins (asAdmin) any paid order's
+export const downloadInvoice = async (token, orderId, asAdmin = false) => {
+  const toastId = toast.loading("Downloading invoice...");
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      (asAdmin ? GET_ORDER_INVOICE_API : DOWNLOAD_INVOICE_API).replace(":orderId", orderId),
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      },
+      null,
+      { responseType: "blob" }
+    );
+
+    const blob = new Blob([response.data], { type: 'application/pdf' });
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getFileName(response, `invoice-${orderId}.pdf`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error("DOWNLOAD_INVOICE_API ERROR............", error);
+    // Errors come back as a blob too
+    let message = "Could not download the invoice";
+    try {
+      message = JSON.parse(await error?.response?.data?.text())?.message || message;
+    } catch {
+      // Not JSON; keep the default message
+    }
+    toast.error(message);
+  }
+
+  toast.dismiss(toastId);
+};
+
+export const regenerateInvoice = async (token, orderId) => {
+  const toastId = toast.loading("Regenerating invoice...");
+  let result = null;
+
+  try {
+    const response = await apiConnector(
+      "POST",
+      REGENERATE_INVOICE_API.replace(":orderId", orderId),
+      null,
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not regenerate the invoice");
+    }
+
+    result = response?.data?.data;
+    toast.success(response.data.message);
+  } catch (error) {
+    console.error("REGENERATE_INVOICE_API ERROR............", error);
+    toast.error(error?.response?.data?.message || "Could not regenerate the invoice");
+  }
+
+  toast.dismiss(toastId);
+  return result;
+};
@@ -0,0 +1,133 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { questionBankEndpoints } from "../apis"
+import { saveBlobResponse, getBlobErrorMessage } from "../../utils/fileDownload"
+
+const {
+  CREATE_QUESTION_BANK_API,
+  GET_QUESTION_BANKS_API,
+  GET_QUESTION_BANK_API,
+  UPDATE_QUESTION_BANK_API,
+  DELETE_QUESTION_BANK_API,
+  EXPORT_QUESTION_BANK_API,
+} = questionBankEndpoints
+
+//   == Get Question Banks (with question counts)   ==
+export const getQuestionBanks = async (token, courseId = null) => {
+  let result = []
+  try {
+    const url = courseId ? `${GET_QUESTION_BANKS_API}?courseId=${courseId}` : GET_QUESTION_BANKS_API
+    const response = await apiConnector("GET", url, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Question Banks")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUESTION_BANKS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+//   == Get Question Bank by ID   ==
+export const getQuestionBankById = async (bankId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUESTION_BANK_API.replace(":bankId", bankId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Question Bank")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUESTION_BANK_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+//   == Create Question Bank   ==
+export const createQuestionBank = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating Question Bank...")
+  try {
+    const response = await apiConnector("POST", CREATE_QUESTION_BANK_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Question Bank")
+    }
+    result = response?.data?.data
+    toast.success("Question Bank Created Successfully")
+  } catch (error) {
+    console.log("CREATE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == Update Question Bank   ==
+export const updateQuestionBank = async (bankId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Question Bank...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_QUESTION_BANK_API.replace(":bankId", bankId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Question Bank")
+    }
+    result = response?.data?.data
+    toast.success("Question Bank Saved Successfully")
+  } catch (error) {
+    console.log("UPDATE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == Delete Question Bank   ==
+export const deleteQuestionBank = async (bankId, token) => {
+  let result = false
+  const toastId = toast.loading("Deleting Question Bank...")
+  try {
+    const response = await apiConnector("DELETE", DELETE_QUESTION_BANK_API.replace(":bankId", bankId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Question Bank")
+    }
+    result = true
+    toast.success("Question Bank Deleted")
+  } catch (error) {
+    console.log("DELETE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == Export Question Bank   ==
+export const exportQuestionBank = async (bankId, format, token) => {
+  const toastId = toast.loading("Exporting question bank...")
+  try {
+    const response = await apiConnector("GET", EXPORT_QUESTION_BANK_API.replace(":bankId", bankId), null, {
+      Authorization: `Bearer ${token}`,
+    }, { format }, { responseType: "blob" })
+    saveBlobResponse(response, `bank-${bankId}`)
+  } catch (error) {
+    console.log("EXPORT_QUESTION_BANK_API ERROR............", error)
+    toast.error(await getBlobErrorMessage(error))
+  }
+  toast.dismiss(toastId)
+}
@@ -1,16 +1,27 @@
 import { toast } from "react-hot-toast"
 import { apiConnector } from "../apiConnector"
 import { quizEndpoints } from "../apis"
+import { saveBlobResponse, getBlobErrorMessage } from "../../utils/fileDownload"
 
 const {
   CREATE_QUIZ_API,
   UPDATE_QUIZ_API,
   GET_QUIZ_API,
   GET_ALL_QUIZZES_API,
+  START_QUIZ_API,
+  AUTOSAVE_QUIZ_API,
   SUBMIT_QUIZ_API,
   GET_QUIZ_RESULTS_API,
   GET_QUIZ_STATUS_API,
   VALIDATE_SECTION_ACCESS_API,
+  GET_QUIZ_ATTEMPTS_API,
+  GET_ATTEMPT_REVIEW_API,
+  GET_GRADING_QUEUE_API,
+  GRADE_ATTEMPT_API,
+  IMPORT_PREVIEW_API,
+  EXPORT_QUIZ_API,
+  EXPORT_COURSE_QUIZZES_API,
+  GET_QUIZ_ANALYTICS_API,
 } = quizEndpoints
 
 //   == Get All Quizzes   ==
@@ -96,6 +107,53 @@ export const updateQuiz = async (quizId, data, token) => {
   return result
 }
 
+//   == Start Quiz Attempt   ==
+// Starts a timed attempt on the server, or resumes the one already in progress
+export const startQuizAttempt = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Starting Quiz...")
+  try {
+    const response = await apiConnector("POST", START_QUIZ_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Start Quiz")
+    }
+    result = response?.data?.data
+    if (result.resumed) {
+      toast.success("Resumed your quiz attempt")
+    }
+  } catch (error) {
+    console.log("START_QUIZ_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == Autosave Quiz Answers   ==
+// Returns { expired, result } when the server already closed the attempt
+export const autosaveQuizAnswers = async (attemptId, data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("PUT", AUTOSAVE_QUIZ_API.replace(":attemptId", attemptId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Answers")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("AUTOSAVE_QUIZ_API ERROR............", error)
+    if (error.response?.status === 409) {
+      result = error.response.data.data
+    }
+  }
+  return result
+}
+
 //   == Submit Quiz   ==
 export const submitQuiz = async (data, token) => {
   let result = null
@@ -122,14 +180,24 @@ export const submitQuiz = async (data, token) => {
     }
     result = response?.data?.data
     
-    if (data.timerExpired) {
+    if (result.status === 'pending') {
+      toast.success("Quiz submitted. Grading your code answers...")
+    } else if (result.status === 'review') {
+      toast.success("Quiz submitted. Your written answers will be graded by your instructor")
+    } else if (result.autoSubmitted) {
+      toast.success("Time was up. Your last saved answers were submitted")
+    } else if (data.timerExpired) {
       toast.success("Quiz auto-submitted due to time expiry")
     } else {
       toast.success("Quiz Submitted Successfully")
     }
   } catch (error) {
     console.log("SUBMIT_QUIZ_API ERROR............", error)
-    toast.error(error.message)
+    toast.error(error.response?.data?.message || error.message)
+    // Already submitted (e.g. auto-submitted at the deadline) - show that result instead
+    if (error.response?.status === 409 && error.response?.data?.data?.attemptId) {
+      result = error.response.data.data
+    }
   }
   toast.dismiss(toastId)
   return result
@@ -182,6 +250,157 @@ export const getQuizStatus = async (quizId, token) => {
   return result
 }
 
+//   == Get Quiz Attempts   ==
+// Students get their own history, admins and the course instructor get every student's
+export const getQuizAttempts = async (quizId, token, userId = null) => {
+  let result = null
+  try {
+    const url = GET_QUIZ_ATTEMPTS_API.replace(":quizId", quizId) + (userId ? `?userId=${userId}` : "")
+    const response = await apiConnector("GET", url, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Quiz Attempts")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_ATTEMPTS_API ERROR............", error)
+  }
+  return result
+}
+
+//   == Get Attempt Review   ==
+export const getAttemptReview = async (attemptId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_ATTEMPT_REVIEW_API.replace(":attemptId", attemptId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Attempt Review")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_ATTEMPT_REVIEW_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+//   == Get Manual Grading Queue   ==
+export const getGradingQueue = async (token, courseId = null) => {
+  let result = []
+  try {
+    const url = courseId ? `${GET_GRADING_QUEUE_API}?courseId=${courseId}` : GET_GRADING_QUEUE_API
+    const response = await apiConnector("GET", url, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Grading Queue")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_GRADING_QUEUE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+//   == Grade Attempt (short/long answers)   ==
+export const gradeQuizAttempt = async (attemptId, grades, token) => {
+  let result = null
+  const toastId = toast.loading("Saving grades...")
+  try {
+    const response = await apiConnector("PUT", GRADE_ATTEMPT_API.replace(":attemptId", attemptId), { grades }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Grades")
+    }
+    result = response?.data?.data
+    toast.success("Attempt graded")
+  } catch (error) {
+    console.log("GRADE_ATTEMPT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == Preview Question Import (validation report, nothing is saved)   ==
+export const previewQuizImport = async (format, content, token) => {
+  let result = null
+  const toastId = toast.loading("Checking questions...")
+  try {
+    const response = await apiConnector("POST", IMPORT_PREVIEW_API, { format, content }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Read Import File")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("IMPORT_PREVIEW_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+//   == Export Quiz Questions   ==
+export const exportQuiz = async (quizId, format, token) => {
+  const toastId = toast.loading("Exporting quiz...")
+  try {
+    const response = await apiConnector("GET", EXPORT_QUIZ_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    }, { format }, { responseType: "blob" })
+    saveBlobResponse(response, `quiz-${quizId}`)
+  } catch (error) {
+    console.log("EXPORT_QUIZ_API ERROR............", error)
+    toast.error(await getBlobErrorMessage(error))
+  }
+  toast.dismiss(toastId)
+}
+
+//   == Export Every Quiz Of A Course   ==
+export const exportCourseQuizzes = async (courseId, format, token) => {
+  const toastId = toast.loading("Exporting course quizzes...")
+  try {
+    const response = await apiConnector("GET", EXPORT_COURSE_QUIZZES_API.replace(":courseId", courseId), null, {
+      Authorization: `Bearer ${token}`,
+    }, { format }, { responseType: "blob" })
+    saveBlobResponse(response, `course-${courseId}-quizzes`)
+  } catch (error) {
+    console.log("EXPORT_COURSE_QUIZZES_API ERROR............", error)
+    toast.error(await getBlobErrorMessage(error))
+  }
+  toast.dismiss(toastId)
+}
+
+//   == Get Per-Question Analytics   ==
+export const getQuizAnalytics = async (quizId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_ANALYTICS_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Quiz Analytics")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_ANALYTICS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
 //   == Validate Section Access   ==
 export const validateSectionAccess = async (sectionId, token) => {
   let result = null
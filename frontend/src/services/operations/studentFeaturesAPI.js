@@ -6,7 +6,7 @@ import { setPaymentLoading } from "../../slices/courseSlice";
 import { resetCart } from "../../slices/cartSlice";
 
 
-const { COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API } = studentEndpoints;
+const { COURSE_QUOTE_API, COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API } = studentEndpoints;
 
 function loadScript(src) {
     return new Promise((resolve) => {
@@ -23,37 +23,120 @@ function loadScript(src) {
     })
 }
 
+//   == getCheckoutQuote   ==
+// The server's price for the courses and coupon: { quote, pricing }, where quote is what
+// buyCourse pays for. The currency asked for is used when the server can charge in it.
+export async function getCheckoutQuote(token, coursesId, couponCode = null, checkoutType = "course", currency = null) {
+    try {
+        const response = await apiConnector(
+            "POST",
+            COURSE_QUOTE_API,
+            { coursesId, couponCode, checkoutType, currency },
+            {
+                Authorization: `Bearer ${token}`,
+            }
+        );
+
+        if (!response.data.success) {
+            throw new Error(response.data.message);
+        }
+        return response.data.data;
+    } catch (error) {
+        console.log("CHECKOUT QUOTE ERROR.....", error);
+        throw new Error(error.response?.data?.message || error.message || "Could not price your order");
+    }
+}
+
+
 //   == buyCourse   == 
-export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null) {
+// Pays for a quote from getCheckoutQuote; nothing is charged when the coupon covers the whole
+// price. Resolves to true once the user is enrolled, false otherwise (a changed or expired
+// quote included, so the caller should ask for a new one).
+export async function buyCourse(token, quote, userDetails, navigate, dispatch) {
     const toastId = toast.loading("Processing your enrollment...");
+    dispatch(setPaymentLoading(true));
 
     try {
-        // Prepare request body with coupon information if available
-        const requestBody = { coursesId };
-        if (couponData) {
-            requestBody.couponCode = couponData.code;
-            requestBody.discountAmount = couponData.discountAmount;
-        }
-
-        // First API call - capture payment/initiate enrollment
-        const courseResponse = await apiConnector(
+        const orderResponse = await apiConnector(
             "POST", 
             COURSE_PAYMENT_API,
-            requestBody,
+            { quote },
             {
                 Authorization: `Bearer ${token}`,
             }
         );
 
-        if (!courseResponse.data.success) {
-            throw new Error(courseResponse.data.message);
+        if (!orderResponse.data.success) {
+            throw new Error(orderResponse.data.message);
+        }
+
+        const order = orderResponse.data.data;
+        if (order.enrolled) {
+            enrollmentComplete(navigate, dispatch);
+            return true;
+        }
+
+        const loaded = await loadScript(order.checkoutUrl);
+        if (!loaded || !window.Razorpay) {
+            throw new Error("Could not load the payment window. Please check your connection.");
         }
+        toast.dismiss(toastId);
+
+        return await new Promise((resolve) => {
+            const paymentObject = new window.Razorpay({
+                key: order.keyId,
+                amount: order.amount,
+                currency: order.currency,
+                order_id: order.orderId,
+                name: "Beeja Academy",
+                description: "Thank you for purchasing the course",
+                image: rzpLogo,
+                prefill: {
+                    name: `${userDetails.firstName} ${userDetails.lastName}`,
+                    email: userDetails.email,
+                },
+                handler: async (response) => {
+                    resolve(await verifyPayment(response, token, navigate, dispatch));
+                },
+                modal: {
+                    ondismiss: () => {
+                        toast.error("Payment cancelled");
+                        resolve(false);
+                    },
+                },
+            });
+
+            // Razorpay lets the user retry in the same window, so this doesn't settle the purchase
+            paymentObject.on("payment.failed", (response) => {
+                console.log("PAYMENT FAILED.....", response.error);
+                toast.error(response.error?.description || "Payment failed");
+            });
+            paymentObject.open();
+        });
+
+    } catch (error) {
+        console.log("ENROLLMENT API ERROR.....", error);
+        toast.error(error.response?.data?.message || error.message || "Could not complete enrollment");
+        return false;
+    } finally {
+        toast.dismiss(toastId);
+        dispatch(setPaymentLoading(false));
+    }
+}
 
-        // If first call succeeds, proceed with verification
+
+//   == verify Payment   ==
+async function verifyPayment(response, token, navigate, dispatch) {
+    const toastId = toast.loading("Verifying payment...");
+    try {
         const verifyResponse = await apiConnector(
-            "POST", 
-            COURSE_VERIFY_API, 
-            requestBody,
+            "POST",
+            COURSE_VERIFY_API,
+            {
+                razorpay_order_id: response.razorpay_order_id,
+                razorpay_payment_id: response.razorpay_payment_id,
+                razorpay_signature: response.razorpay_signature,
+            },
             {
                 Authorization: `Bearer ${token}`,
             }
@@ -63,19 +146,25 @@ export async function buyCourse(token, coursesId, userDetails, navigate, dispatc
             throw new Error(verifyResponse.data.message);
         }
 
-        toast.success("Successfully enrolled in the course!");
-        navigate("/dashboard/enrolled-courses");
-        dispatch(resetCart());
-
+        enrollmentComplete(navigate, dispatch);
+        return true;
     } catch (error) {
-        console.log("ENROLLMENT API ERROR.....", error);
-        toast.error(error.response?.data?.message || "Could not complete enrollment");
+        console.log("PAYMENT VERIFY ERROR.....", error);
+        toast.error(error.response?.data?.message || "Could not verify payment");
+        return false;
     } finally {
         toast.dismiss(toastId);
     }
 }
 
 
+function enrollmentComplete(navigate, dispatch) {
+    toast.success("Successfully enrolled in the course!");
+    navigate("/dashboard/enrolled-courses");
+    dispatch(resetCart());
+}
+
+
 //   == send Payment Success Email   ==
 async function sendPaymentSuccessEmail(response, amount, token) {
     try {
@@ -0,0 +1,32 @@
+import { createSlice } from "@reduxjs/toolkit"
+
+const initialState = {
+  // Chosen on this browser; otherwise the profile's or the locale's currency is used
+  currency: localStorage.getItem("currency") || null,
+  // Currencies the backend can charge in, with what one unit is worth in the base currency
+  base: "INR",
+  rates: { INR: 1 },
+}
+
+const currencySlice = createSlice({
+  name: "currency",
+  initialState,
+  reducers: {
+    setCurrency(state, action) {
+      state.currency = action.payload
+      if (action.payload) {
+        localStorage.setItem("currency", action.payload)
+      } else {
+        localStorage.removeItem("currency")
+      }
+    },
+    setRates(state, action) {
+      state.base = action.payload.base
+      state.rates = action.payload.rates
+    },
+  },
+})
+
+export const { setCurrency, setRates } = currencySlice.actions
+
+export default currencySlice.reducer
@@ -0,0 +1,97 @@
+/**
+ * Utility functions for editing WebVTT caption tracks in the browser
+ * The server checks and stores the files; these only split a file into cues for the editor
+ * and put it back together.
+ */
+
+const TIMESTAMP = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+/**
+ * Parse a WebVTT timestamp ("00:01:02.500" or "01:02.500")
+ * @param {string} value - The timestamp
+ * @returns {number|null} - Seconds, or null if the timestamp is invalid
+ */
+export const parseTimestamp = (value) => {
+  const match = (value || '').trim().match(TIMESTAMP);
+  if (!match) return null;
+  const [, hours, minutes, seconds, ms] = match;
+  return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(ms) / 1000;
+};
+
+/**
+ * Format seconds as a WebVTT timestamp (hh:mm:ss.ttt)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - The timestamp
+ */
+export const formatTimestamp = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Split a WebVTT file into cues
+ * NOTE, STYLE and REGION blocks are dropped, so files using them should be edited as text.
+ * @param {string} content - The WebVTT file
+ * @returns {Object} - { cues, hasExtraBlocks } with cues as { start, end, settings, text } (times as strings)
+ */
+export const parseVttCues = (content) => {
+  const blocks = (content || '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n+/).slice(1);
+  const cues = [];
+  let hasExtraBlocks = false;
+
+  blocks.forEach((block) => {
+    const lines = block.trim().split('\n');
+    if (lines[0] === '') return;
+    if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(lines[0])) {
+      hasExtraBlocks = true;
+      return;
+    }
+
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) return;
+    const [start, rest = ''] = lines[timingIndex].split('-->').map((part) => part.trim());
+    const [end = '', ...settings] = rest.split(/[ \t]+/);
+
+    cues.push({
+      start,
+      end,
+      settings: settings.join(' '),
+      text: lines.slice(timingIndex + 1).join('\n'),
+    });
+  });
+
+  return { cues, hasExtraBlocks };
+};
+
+/**
+ * Find the problem with a cue, if any
+ * @param {Object} cue - { start, end, text }
+ * @returns {string|null} - The problem, or null if the cue is fine
+ */
+export const getCueError = (cue) => {
+  const start = parseTimestamp(cue.start);
+  const end = parseTimestamp(cue.end);
+  if (start === null || end === null) return 'Times must look like 00:00:01.000';
+  if (end <= start) return 'The cue ends before it starts';
+  if (cue.text.includes('-->')) return 'Text can\'t contain "-->"';
+  if (/\n[ \t]*\n/.test(cue.text)) return 'Text can\'t contain blank lines';
+  return null;
+};
+
+/**
+ * Put cues back together into a WebVTT file, in order of their start time
+ * @param {Array} cues - Cues as returned by parseVttCues
+ * @returns {string} - The WebVTT file
+ */
+export const serializeVttCues = (cues) => {
+  const body = [...cues]
+    .sort((a, b) => parseTimestamp(a.start) - parseTimestamp(b.start))
+    .map((cue) => {
+      const timing = `${formatTimestamp(parseTimestamp(cue.start))} --> ${formatTimestamp(parseTimestamp(cue.end))}`;
+      return `${timing}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text.trim()}`;
+    })
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+};
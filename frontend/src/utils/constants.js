@@ -7,4 +7,11 @@ export const ACCOUNT_TYPE = {
 export const COURSE_STATUS = {
   DRAFT: "Draft",
   PUBLISHED: "Published",
-}
\ No newline at end of file
+}
+// Question import/export formats (see backend/QUIZ_IMPORT_EXPORT.md)
+export const QUIZ_FILE_FORMATS = [
+  { id: "gift", label: "GIFT", extensions: [".gift", ".txt"] },
+  { id: "moodleXml", label: "Moodle XML", extensions: [".xml"] },
+  { id: "csv", label: "CSV", extensions: [".csv"] },
+  { id: "json", label: "JSON", extensions: [".json"] },
+]
@@ -0,0 +1,38 @@
+import { REGION_CURRENCIES } from "../data/currencies"
+
+// An amount in a currency, e.g. ₹1,999 or $24.99
+export const formatPrice = (amount, currency = "INR") => {
+  const value = Number(amount) || 0
+  return new Intl.NumberFormat(currency === "INR" ? "en-IN" : undefined, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+    maximumFractionDigits: 2,
+  }).format(value)
+}
+
+// The currency of the browser's locale, e.g. USD for en-US
+export const detectLocaleCurrency = () => {
+  const locales = navigator.languages?.length ? navigator.languages : [navigator.language]
+  for (const locale of locales) {
+    const region = locale?.split("-")[1]?.toUpperCase()
+    if (region && REGION_CURRENCIES[region]) return REGION_CURRENCIES[region]
+  }
+  return null
+}
+
+/**
+ * A course price in a currency: the course's own price in it, or the base price converted
+ * The server prices checkouts the same way; what it quotes is what is charged.
+ * @param {Object} course - With price and prices
+ * @param {string} currency
+ * @param {number} rate - What one unit of currency is worth in the base currency
+ * @param {string} [field] - "price", or "originalPrice" for the price before a sale
+ */
+export const convertCoursePrice = (course, currency, rate, field = "price") => {
+  const base = Number(course?.[field]) || 0
+  if (!rate) return base
+  const own = field === "price" && course?.prices?.find((price) => price.currency === currency)
+  if (own && own.amount > 0) return own.amount
+  return Math.round((base / rate) * 100) / 100
+}
@@ -0,0 +1,26 @@
+// Save a blob response (axios responseType "blob") as a file download
+export const saveBlobResponse = (response, fallbackName) => {
+  const disposition = response.headers?.["content-disposition"] || ""
+  const match = disposition.match(/filename="?([^";]+)"?/)
+  const url = window.URL.createObjectURL(response.data)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = match ? match[1] : fallbackName
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  window.URL.revokeObjectURL(url)
+}
+
+// Error message of a failed blob request (the JSON error body arrives as a Blob)
+export const getBlobErrorMessage = async (error) => {
+  const data = error.response?.data
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || error.message
+    } catch {
+      return error.message
+    }
+  }
+  return data?.message || error.message
+}
@@ -0,0 +1,264 @@
+/**
+ * Utility functions for lectures downloaded for offline playback
+ * Downloads are kept in IndexedDB as the encrypted packages the server sends, next to the
+ * signed license holding their key. A lecture is only decrypted after the license's signature
+ * and expiry have been checked. The latest time a license was checked at is remembered, so
+ * turning the device clock back does not revive an expired license.
+ */
+
+const DB_NAME = 'offline-lectures';
+const DB_VERSION = 1;
+const PACKAGE_MAGIC = 'OFFLINE1';
+const TAG_LENGTH = 16;
+
+let databasePromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('licenses', { keyPath: 'licenseId' });
+        db.createObjectStore('lectures', { keyPath: 'id' }).createIndex('licenseId', 'licenseId');
+        db.createObjectStore('courses', { keyPath: 'id' });
+        db.createObjectStore('meta');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run one request against a store
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Gets the store, returns an IDBRequest
+ * @returns {Promise<*>} - The request's result
+ */
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return promisifyRequest(callback(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+/**
+ * Check a license's signature and read it
+ * @param {string} license - "{payload}.{signature}" as issued by the server
+ * @param {Object} publicJwk - The server's public key
+ * @returns {Promise<Object>} - The license payload
+ */
+export const verifyLicense = async (license, publicJwk) => {
+  const [payload, signature] = (license || '').split('.');
+  if (!payload || !signature) throw new Error('Invalid offline license');
+
+  const key = await crypto.subtle.importKey('jwk', publicJwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  const valid = await crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    key,
+    base64UrlToBytes(signature),
+    new TextEncoder().encode(payload)
+  );
+  if (!valid) throw new Error('Invalid offline license');
+
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(payload)));
+};
+
+/**
+ * Whether a license has expired, by the latest time any license was checked at
+ * @param {Object} payload - License payload
+ * @returns {Promise<boolean>}
+ */
+export const isLicenseExpired = async (payload) => {
+  const lastCheckedAt = (await withStore('meta', 'readonly', (store) => store.get('lastCheckedAt'))) || 0;
+  const now = Math.max(Date.now(), lastCheckedAt);
+  await withStore('meta', 'readwrite', (store) => store.put(now, 'lastCheckedAt'));
+  return now >= new Date(payload.expiresAt).getTime();
+};
+
+/**
+ * Keep the server's public key for checking licenses without a connection
+ * @param {Object} publicJwk - The key
+ */
+export const savePublicKey = (publicJwk) => withStore('meta', 'readwrite', (store) => store.put(publicJwk, 'publicKey'));
+
+/**
+ * The kept public key
+ * @returns {Promise<Object|undefined>}
+ */
+export const getPublicKey = () => withStore('meta', 'readonly', (store) => store.get('publicKey'));
+
+/**
+ * Store a license (a renewed one replaces the old one, as it keeps its id)
+ * @param {Object} payload - Verified license payload
+ * @param {Object} data - The server's response: { license, lectures: [{ _id, title }] }
+ */
+export const saveOfflineLicense = (payload, { license, lectures }) => withStore('licenses', 'readwrite', (store) => store.put({
+  licenseId: payload.licenseId,
+  userId: payload.userId,
+  courseId: payload.courseId,
+  sectionId: payload.sectionId,
+  expiresAt: payload.expiresAt,
+  license,
+  lectures
+}));
+
+/**
+ * Stored licenses of a user for a course
+ * @param {string} userId - The student
+ * @param {string} courseId - The course
+ * @returns {Promise<Array>} - License records
+ */
+export const getOfflineLicenses = async (userId, courseId) => {
+  const licenses = await withStore('licenses', 'readonly', (store) => store.getAll());
+  return licenses.filter((license) => license.userId === userId && license.courseId === courseId);
+};
+
+/**
+ * Store the encrypted package of a lecture
+ * @param {string} licenseId - License it was downloaded with
+ * @param {string} subSectionId - The lecture
+ * @param {Blob} blob - The package
+ */
+export const saveOfflineLecture = (licenseId, subSectionId, blob) => withStore('lectures', 'readwrite', (store) => store.put({
+  id: `${licenseId}:${subSectionId}`,
+  licenseId,
+  subSectionId,
+  blob,
+  downloadedAt: Date.now()
+}));
+
+/**
+ * Lectures downloaded with a license
+ * @param {string} licenseId - The license
+ * @returns {Promise<Set<string>>} - Their subSection ids
+ */
+export const getDownloadedLectureIds = async (licenseId) => {
+  const keys = await withStore('lectures', 'readonly', (store) => store.index('licenseId').getAllKeys(licenseId));
+  return new Set(keys.map((key) => key.split(':')[1]));
+};
+
+/**
+ * Remove a license and every lecture downloaded with it
+ * @param {string} licenseId - The license
+ */
+export const deleteOfflineLicense = async (licenseId) => {
+  const keys = await withStore('lectures', 'readonly', (store) => store.index('licenseId').getAllKeys(licenseId));
+  const db = await openDatabase();
+  const transaction = db.transaction(['licenses', 'lectures'], 'readwrite');
+  transaction.objectStore('licenses').delete(licenseId);
+  keys.forEach((key) => transaction.objectStore('lectures').delete(key));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Keep the course details, so the course page opens without a connection
+ * @param {string} userId - The student
+ * @param {Object} courseDetails - As returned by getFullDetailsOfCourse
+ */
+export const saveOfflineCourse = (userId, courseDetails) => withStore('courses', 'readwrite', (store) => store.put({
+  id: `${userId}:${courseDetails.courseDetails._id}`,
+  ...courseDetails
+}));
+
+/**
+ * Kept course details, if a section of the course was downloaded
+ * @param {string} userId - The student
+ * @param {string} courseId - The course
+ * @returns {Promise<Object|null>}
+ */
+export const getOfflineCourse = async (userId, courseId) => {
+  if ((await getOfflineLicenses(userId, courseId)).length === 0) return null;
+  return (await withStore('courses', 'readonly', (store) => store.get(`${userId}:${courseId}`))) || null;
+};
+
+/**
+ * Decrypt a lecture package
+ * @param {Blob} blob - The package
+ * @param {Object} payload - Verified license payload, holding the content key
+ * @param {string} subSectionId - The lecture the package must belong to
+ * @returns {Promise<Blob>} - The video
+ */
+export const decryptPackage = async (blob, payload, subSectionId) => {
+  const prefix = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+  if (new TextDecoder().decode(prefix.subarray(0, 8)) !== PACKAGE_MAGIC) {
+    throw new Error('Not an offline lecture file');
+  }
+  const headerLength = new DataView(prefix.buffer).getUint32(8);
+  const header = JSON.parse(await blob.slice(12, 12 + headerLength).text());
+  if (header.licenseId !== payload.licenseId || header.subSectionId !== subSectionId) {
+    throw new Error('This file belongs to another lecture');
+  }
+
+  const key = await crypto.subtle.importKey('raw', base64UrlToBytes(payload.contentKey), 'AES-GCM', false, ['decrypt']);
+  const baseIv = base64UrlToBytes(header.iv);
+  const parts = [];
+
+  // The last record is sealed as such, so a cut-off file fails to decrypt
+  let offset = 12 + headerLength;
+  for (let index = 0; offset < blob.size; index++) {
+    const length = Math.min(header.recordSize + TAG_LENGTH, blob.size - offset);
+    const last = offset + length >= blob.size;
+    const iv = baseIv.slice();
+    const ivView = new DataView(iv.buffer);
+    ivView.setUint32(8, (ivView.getUint32(8) ^ index) >>> 0);
+
+    parts.push(await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv,
+        additionalData: new TextEncoder().encode(`${header.licenseId}:${subSectionId}:${index}:${last ? 1 : 0}`)
+      },
+      key,
+      await blob.slice(offset, offset + length).arrayBuffer()
+    ));
+    offset += length;
+  }
+
+  return new Blob(parts, { type: header.mimeType });
+};
+
+/**
+ * Open the downloaded copy of a lecture, if there is one
+ * @param {string} userId - The student
+ * @param {string} courseId - The course
+ * @param {string} subSectionId - The lecture
+ * @returns {Promise<Object|null>} - { url, expiresAt } with an object URL to revoke after use,
+ *   { expired: true } when its license expired, or null without a usable copy
+ */
+export const openOfflineLecture = async (userId, courseId, subSectionId) => {
+  const licenses = await getOfflineLicenses(userId, courseId);
+  const publicKey = await getPublicKey();
+  if (!publicKey) return null;
+
+  for (const record of licenses) {
+    if (!record.lectures.some((lecture) => lecture._id === subSectionId)) continue;
+    const stored = await withStore('lectures', 'readonly', (store) => store.get(`${record.licenseId}:${subSectionId}`));
+    if (!stored) continue;
+
+    const payload = await verifyLicense(record.license, publicKey);
+    if (payload.userId !== userId) continue;
+    if (await isLicenseExpired(payload)) return { expired: true };
+
+    const video = await decryptPackage(stored.blob, payload, subSectionId);
+    return { url: URL.createObjectURL(video), expiresAt: payload.expiresAt };
+  }
+  return null;
+};
@@ -43,29 +43,71 @@ export const extractVideoIdFromManifest = (manifestUrl) => {
   return match ? match[1] : null;
 };
 
+/**
+ * Get the streaming URL of a chunked video
+ * @param {string} videoId - The chunked video ID
+ * @param {string} playbackToken - Playback token from getPlaybackSession
+ * @returns {string} - The streaming endpoint URL
+ */
+export const getStreamUrl = (videoId, playbackToken) => {
+  const baseUrl = getBaseUrl();
+  return `${baseUrl}/api/v1/video/stream/${videoId}?token=${encodeURIComponent(playbackToken)}`;
+};
+
 /**
  * Get the appropriate video URL for playback
  * @param {string} videoUrl - The original video URL
- * @param {string} token - Authentication token
+ * @param {string} playbackToken - Playback token from getPlaybackSession (chunked videos only)
  * @returns {string} - The URL to use for video playback
  */
-export const getPlaybackUrl = (videoUrl, token) => {
+export const getPlaybackUrl = (videoUrl, playbackToken) => {
   if (!videoUrl) return '';
   
   // If it's a chunked video, use our streaming endpoint
   if (isChunkedVideo(videoUrl)) {
     const videoId = extractVideoIdFromManifest(videoUrl);
-    if (videoId) {
-      // Use our streaming endpoint with authentication
-      const baseUrl = getBaseUrl();
-      return `${baseUrl}/api/v1/video/stream/${videoId}?token=${token}`;
+    if (videoId && playbackToken) {
+      return getStreamUrl(videoId, playbackToken);
     }
+    return '';
   }
   
   // For regular videos, return the original URL
   return videoUrl;
 };
 
+/**
+ * Get a signed playback token for a chunked video, or a signed URL for a video uploaded in one piece
+ * Students pass { courseId, subSectionId }; admins and the uploader can preview with { videoId }.
+ * @param {object} target - The lecture or video to play
+ * @param {string} token - Authentication token
+ * @returns {Promise<object|null>} - { playbackToken, expiresAt, isComplete, transcodingStatus, renditions, ... },
+ * { videoUrl, expiresAt } for videos uploaded in one piece, or null
+ */
+export const getPlaybackSession = async (target, token) => {
+  try {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/v1/video/playback-token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(target)
+    });
+
+    const data = await response.json();
+    if (response.ok && data.success) {
+      return data.data;
+    }
+    console.error('Playback token refused:', data.message);
+  } catch (error) {
+    console.error('Error getting playback token:', error);
+  }
+
+  return null;
+};
+
 /**
  * Check if a video is available for playback
  * @param {string} videoUrl - The video URL to check
@@ -134,3 +176,113 @@ export const getVideoMetadata = async (videoUrl, token) => {
   
   return null;
 };
+
+/**
+ * Get the HLS master playlist URL of a transcoded chunked video
+ * @param {string} videoId - The chunked video ID
+ * @param {string} playbackToken - Playback token from getPlaybackSession
+ * @returns {string} - The master playlist URL
+ */
+export const getHlsUrl = (videoId, playbackToken) => {
+  const baseUrl = getBaseUrl();
+  return `${baseUrl}/api/v1/video/hls/${videoId}/master.m3u8?token=${encodeURIComponent(playbackToken)}`;
+};
+
+/**
+ * Check if adaptive (HLS) renditions of a video are ready
+ * @param {object|null} metadata - Video metadata from getVideoMetadata or getPlaybackSession
+ * @returns {boolean} - True if the HLS master playlist can be played
+ */
+export const isHlsReady = (metadata) => {
+  return Boolean(metadata && metadata.transcodingStatus === 'ready' && metadata.renditions?.length);
+};
+
+/**
+ * Get the poster frame URL of a chunked video
+ * @param {string} videoId - The chunked video ID
+ * @param {string} playbackToken - Playback token from getPlaybackSession
+ * @returns {string} - The poster URL (redirects to the stored image)
+ */
+export const getPosterUrl = (videoId, playbackToken) => {
+  const baseUrl = getBaseUrl();
+  return `${baseUrl}/api/v1/video/poster/${videoId}?token=${encodeURIComponent(playbackToken)}`;
+};
+
+/**
+ * Load the hover-scrub thumbnails of a chunked video
+ * @param {string} videoId - The chunked video ID
+ * @param {string} playbackToken - Playback token from getPlaybackSession
+ * @returns {Promise<Array>} - Cues as { start, end, url, x, y, width, height }, empty if there are none
+ */
+export const getVideoThumbnails = async (videoId, playbackToken) => {
+  try {
+    const baseUrl = getBaseUrl();
+    const response = await fetch(`${baseUrl}/api/v1/video/thumbnails/${videoId}/thumbnails.vtt?token=${encodeURIComponent(playbackToken)}`);
+    if (!response.ok) return [];
+
+    const toSeconds = (value) => value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return (await response.text())
+      .split(/\n\s*\n/)
+      .map((block) => {
+        const match = block.trim().match(/^(\S+) --> (\S+)\n(.+)#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+        if (!match) return null;
+        const [, start, end, url, x, y, width, height] = match;
+        return { start: toSeconds(start), end: toSeconds(end), url, x: Number(x), y: Number(y), width: Number(width), height: Number(height) };
+      })
+      .filter(Boolean);
+  } catch (error) {
+    console.error('Error loading video thumbnails:', error);
+    return [];
+  }
+};
+
+/**
+ * Format a chapter start time as m:ss, or h:mm:ss for long videos
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - The formatted time
+ */
+export const formatChapterTime = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Parse a chapter start time typed as seconds, m:ss or h:mm:ss
+ * @param {string} value - The typed time
+ * @returns {number|null} - Seconds, or null if the time is invalid
+ */
+export const parseChapterTime = (value) => {
+  const parts = (value || '').trim().split(':');
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null;
+  if (parts.slice(1).some((part) => Number(part) >= 60)) return null;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+/**
+ * Turn the chapters of a lecture into rows for the lecture form
+ * @param {Array} chapters - Chapters as { time, title } with the time in seconds
+ * @returns {Array} - Rows as { time, title } with the time formatted
+ */
+export const toChapterRows = (chapters) => {
+  return (chapters || []).map((chapter) => ({ time: formatChapterTime(chapter.time), title: chapter.title }));
+};
+
+/**
+ * Turn the chapter rows of a lecture form into the chapters sent to the server
+ * @param {Array} rows - Rows as { time, title } with the time as typed
+ * @returns {object} - { chapters } sorted by time, or { error }
+ */
+export const readChapterRows = (rows) => {
+  const chapters = [];
+  for (const [index, row] of rows.entries()) {
+    if (!row.time.trim() && !row.title.trim()) continue;
+    const time = parseChapterTime(row.time);
+    if (time === null) return { error: `Chapter ${index + 1}: use a time like 1:30 or 1:02:03` };
+    if (!row.title.trim()) return { error: `Chapter ${index + 1}: title is required` };
+    chapters.push({ time, title: row.title.trim() });
+  }
+  return { chapters: chapters.sort((a, b) => a.time - b.time) };
+};